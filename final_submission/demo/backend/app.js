@@ -13,6 +13,7 @@ const mongoose = require('mongoose');
 const config = require('./config/config');
 const database = require('./config/database');
 const logger = require('./utils/logger');
+const notificationService = require('./services/notificationService');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const { 
   generalLimiter, 
@@ -77,6 +78,15 @@ const symptomProgressionRoutes = require('./routes/symptomProgression');
 const uploadRoutes = require('./routes/uploads'); // MinIO-based file uploads
 const notificationRoutes = require('./routes/notifications'); // Real-time notifications
 const exportRoutes = require('./routes/export'); // Report export (CSV/JSON/PDF)
+const auditRoutes = require('./routes/audit'); // Admin audit log
+const terminologyRoutes = require('./routes/terminology'); // Reaction terminology coding
+const signalRoutes = require('./routes/signals'); // Disproportionality signal detection
+const deadLetterRoutes = require('./routes/deadLetters'); // Failed AI analyses and their replay
+const notificationRuleRoutes = require('./routes/notificationRules'); // Admin-defined notification rules
+const careTeamRoutes = require('./routes/careTeam'); // Doctor-patient care relationships
+const roleRoutes = require('./routes/roles'); // Permission registry and custom roles
+const lotRoutes = require('./routes/lots'); // Reports by batch and the product lot registry
+const recallRoutes = require('./routes/recalls'); // Product recalls and patient notification
 
 // Apply strict rate limiting to auth routes
 app.use('/api/auth', authLimiter);
@@ -100,6 +110,15 @@ app.use('/api/symptom-progression', symptomProgressionRoutes);
 app.use('/api/uploads', uploadRoutes); // File uploads via MinIO
 app.use('/api/notifications', notificationRoutes); // Real-time notifications via SSE
 app.use('/api/export', exportRoutes); // Report export (CSV/JSON/PDF data)
+app.use('/api/audit', auditRoutes); // Hash-chained audit log (admin only)
+app.use('/api/terminology', terminologyRoutes); // LLT/PT/HLT/SOC search and suggestions
+app.use('/api/signals', signalRoutes); // PRR/ROR/IC signals and their evaluation status
+app.use('/api/dead-letters', deadLetterRoutes); // AI consumer dead-letter queue (admin only)
+app.use('/api/notification-rules', notificationRuleRoutes); // Who is notified about which reports (admin only)
+app.use('/api/care-team', careTeamRoutes); // Care team invitations; scopes what doctors see
+app.use('/api/roles', roleRoutes); // Custom roles and their permissions
+app.use('/api/lots', lotRoutes); // Reports clustered by medicine + batch
+app.use('/api/recalls', recallRoutes); // Recalled lots; patients who reported them are notified
 
 // Health and utility routes
 app.get('/', (req, res) => {
@@ -150,6 +169,8 @@ app.get('/metrics', (req, res) => {
         freeMemoryMB: (os.freemem() / 1024 / 1024).toFixed(2)
       },
       activeConnections: mongoose.connections.length,
+      // SSE connections on this instance and cross-instance fan-out
+      sse: notificationService.getStats(),
       timestamp: new Date().toISOString()
     }
   });
@@ -316,6 +337,43 @@ const startServer = async () => {
     rabbitmqService.connect().catch(err => {
       console.log('[App] RabbitMQ connection deferred - events will queue when available');
     });
+
+    // Medications stored before active ingredients were tracked (non-blocking)
+    require('./models/Medication').deriveMissingIngredients()
+      .then(count => count > 0 && logger.info(`Derived active ingredients for ${count} medications`))
+      .catch(err => logger.error(`Deriving medication ingredients failed: ${err.message}`));
+
+    // Reports stored before batches were linked to product lots (non-blocking)
+    require('./services/lotService').backfillLots()
+      .then(count => count > 0 && logger.info(`Linked ${count} reports to product lots`))
+      .catch(err => logger.error(`Linking reports to product lots failed: ${err.message}`));
+
+    // Deliver real-time events sent from other backend instances
+    notificationService.start();
+
+    // Store reports the AI consumer dead-letters
+    const deadLetterService = require('./services/deadLetterService');
+    deadLetterService.start();
+
+    // Push AI analysis job progress to report viewers
+    const analysisJobService = require('./services/analysisJobService');
+    analysisJobService.start();
+
+    // Scheduled disproportionality signal detection
+    const signalDetectionService = require('./services/signalDetectionService');
+    signalDetectionService.start();
+
+    // Scheduled expedited reporting deadline checks
+    const regulatoryDeadlineService = require('./services/regulatoryDeadlineService');
+    regulatoryDeadlineService.start();
+
+    // Scheduled digest emails for doctors and admins
+    const digestService = require('./services/digestService');
+    digestService.start();
+
+    // Scheduled escalation of reports left unreviewed
+    const notificationRuleService = require('./services/notificationRuleService');
+    notificationRuleService.start();
     
     // Start server
     const server = app.listen(config.server.port, () => {
@@ -329,6 +387,10 @@ const startServer = async () => {
       
       server.close(async () => {
         logger.info('HTTP server closed');
+        signalDetectionService.stop();
+        regulatoryDeadlineService.stop();
+        digestService.stop();
+        notificationRuleService.stop();
         await rabbitmqService.close().catch(() => {});
         await database.disconnect();
         logger.info('Graceful shutdown completed');
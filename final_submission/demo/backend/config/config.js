@@ -4,6 +4,7 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   // Server Configuration
@@ -28,7 +29,7 @@ const config = {
   // JWT Configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key',
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
     refreshSecret: process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key',
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d'
   },
@@ -38,7 +39,14 @@ const config = {
     service: process.env.EMAIL_SERVICE || 'gmail',
     user: process.env.EMAIL_USER,
     password: process.env.EMAIL_PASS,
-    from: process.env.EMAIL_FROM || 'noreply@healthcare.com'
+    from: process.env.EMAIL_FROM || 'noreply@healthcare.com',
+    // SMTP server for notification emails (e.g. a local Mailpit on port 1025);
+    // without one, the EMAIL_SERVICE account is used
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true'
+    }
   },
 
   // OpenAI Configuration
@@ -80,7 +88,157 @@ const config = {
   security: {
     bcryptSaltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10,
     sessionSecret: process.env.SESSION_SECRET || 'your-session-secret',
-    cookieMaxAge: parseInt(process.env.COOKIE_MAX_AGE) || 24 * 60 * 60 * 1000 // 24 hours
+    cookieMaxAge: parseInt(process.env.COOKIE_MAX_AGE) || 24 * 60 * 60 * 1000, // 24 hours
+    // Roles that must enroll in TOTP two-factor auth, e.g. "doctor,admin"
+    twoFactorRequiredRoles: process.env.TWO_FACTOR_REQUIRED_ROLES
+      ? process.env.TWO_FACTOR_REQUIRED_ROLES.split(',').map(role => role.trim()).filter(Boolean)
+      : []
+  },
+
+  // ICH E2B(R3) ICSR export (regulatory submission identifiers)
+  e2b: {
+    // Sender / receiver identifiers agreed with the receiving authority (N.1.3 / N.1.4)
+    senderId: process.env.E2B_SENDER_ID || 'SAFEMED',
+    receiverId: process.env.E2B_RECEIVER_ID || 'NCA',
+    senderOrganization: process.env.E2B_SENDER_ORGANIZATION || 'SafeMed ADR',
+    // ISO 3166-1 alpha-2 country of the sender, used in worldwide unique case ids
+    countryCode: process.env.E2B_COUNTRY_CODE || 'US'
+  },
+
+  // Adverse reaction terminology (LLT -> PT -> HLT -> SOC dictionary)
+  terminology: {
+    // JSON dictionary file; point this at a converted MedDRA release where licensed
+    dictionaryPath: process.env.TERMINOLOGY_DICTIONARY_PATH || path.join(__dirname, '..', 'data', 'terminology.json'),
+    // Minimum match score (0-1) for a term to be suggested automatically
+    autoCodeThreshold: parseFloat(process.env.TERMINOLOGY_AUTOCODE_THRESHOLD) || 0.82
+  },
+
+  // Drug-drug interaction knowledge base (ingredient pairs with severity and mechanism)
+  interactions: {
+    // JSON file like data/interactions.json, or a CSV with one ingredient pair per row
+    knowledgeBasePath: process.env.INTERACTIONS_KNOWLEDGE_BASE_PATH || path.join(__dirname, '..', 'data', 'interactions.json')
+  },
+
+  // Bulk medication catalog import (RxNorm RRF extracts, openFDA NDC JSON/CSV)
+  medicationImport: {
+    // Largest file POST /api/medications/import accepts; import full releases
+    // from disk with `npm run import:medications`
+    maxFileSize: parseInt(process.env.MEDICATION_IMPORT_MAX_FILE_SIZE) || 25 * 1024 * 1024,
+    // Medications listed, with their planned changes, in an import's job report
+    previewLimit: parseInt(process.env.MEDICATION_IMPORT_PREVIEW_LIMIT) || 100
+  },
+
+  // Disproportionality signal detection (medicine x reaction pairs)
+  signals: {
+    enabled: process.env.SIGNAL_DETECTION_ENABLED !== 'false',
+    intervalMinutes: parseInt(process.env.SIGNAL_DETECTION_INTERVAL_MINUTES) || 24 * 60,
+    // Evans criteria: at least minCases reports, PRR >= prr and chi-square >= chiSquare
+    minCases: parseInt(process.env.SIGNAL_MIN_CASES) || 3,
+    prr: parseFloat(process.env.SIGNAL_PRR_THRESHOLD) || 2,
+    chiSquare: parseFloat(process.env.SIGNAL_CHI_SQUARE_THRESHOLD) || 4
+  },
+
+  // Reports by batch (services/lotService)
+  lots: {
+    // A lot is flagged once it has minReports reports and concentrationRatio
+    // times as many as the medicine's other lots have on average
+    minReports: parseInt(process.env.LOT_MIN_REPORTS) || 3,
+    concentrationRatio: parseFloat(process.env.LOT_CONCENTRATION_RATIO) || 2,
+    // Reports older than this are left out of the clusters
+    windowDays: parseInt(process.env.LOT_WINDOW_DAYS) || 365
+  },
+
+  // Expedited reporting deadline tracking
+  regulatory: {
+    enabled: process.env.REGULATORY_TRACKING_ENABLED !== 'false',
+    intervalMinutes: parseInt(process.env.REGULATORY_CHECK_INTERVAL_MINUTES) || 60,
+    // Warn this many days before an expedited deadline
+    dueSoonDays: parseInt(process.env.REGULATORY_DUE_SOON_DAYS) || 3
+  },
+
+  // Real-time notifications (SSE)
+  notifications: {
+    // Comment sent on idle streams so proxies and load balancers keep them open
+    heartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS) || 25 * 1000,
+    // Delay clients wait before reconnecting (SSE `retry` field)
+    reconnectDelayMs: parseInt(process.env.SSE_RECONNECT_DELAY_MS) || 5 * 1000,
+    // Most notifications re-sent to a client reconnecting with Last-Event-ID
+    replayLimit: parseInt(process.env.SSE_REPLAY_LIMIT) || 100
+  },
+
+  // Notification delivery outside the app: email, Web Push and SMS
+  delivery: {
+    push: {
+      // Generate a key pair with `npx web-push generate-vapid-keys`
+      vapidPublicKey: process.env.VAPID_PUBLIC_KEY,
+      vapidPrivateKey: process.env.VAPID_PRIVATE_KEY,
+      subject: process.env.VAPID_SUBJECT || 'mailto:noreply@healthcare.com'
+    },
+    sms: {
+      // 'console' logs messages instead of sending them; 'twilio' sends them
+      driver: process.env.SMS_DRIVER || 'console',
+      twilio: {
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_FROM_NUMBER
+      }
+    },
+    // Delivery log entries are deleted after this many days
+    logRetentionDays: parseInt(process.env.DELIVERY_LOG_RETENTION_DAYS) || 90
+  },
+
+  // Daily / weekly digest emails for doctors and admins
+  digest: {
+    enabled: process.env.DIGEST_ENABLED !== 'false',
+    // How often to look for recipients whose digest is due
+    intervalMinutes: parseInt(process.env.DIGEST_CHECK_INTERVAL_MINUTES) || 60,
+    // Digests go out from this hour (0-23) in the recipient's time zone
+    sendHour: parseInt(process.env.DIGEST_SEND_HOUR || '7'),
+    // Review assignments still open after this many days are overdue
+    overdueAfterDays: parseInt(process.env.DIGEST_OVERDUE_AFTER_DAYS) || 3,
+    // Most items listed per section; the totals count all of them
+    maxItems: parseInt(process.env.DIGEST_MAX_ITEMS) || 10
+  },
+
+  // Admin-defined notification rules; disabled, no rule fires and serious
+  // new reports go to every doctor and admin
+  notificationRules: {
+    enabled: process.env.NOTIFICATION_RULES_ENABLED !== 'false',
+    // How often to look for reports that 'unreviewed' rules escalate
+    intervalMinutes: parseInt(process.env.NOTIFICATION_RULES_INTERVAL_MINUTES) || 15,
+    // Most recent reports a dry run checks a rule against
+    dryRunMaxReports: parseInt(process.env.NOTIFICATION_RULES_DRY_RUN_MAX_REPORTS) || 5000
+  },
+
+  // Doctor-patient care relationships, which scope what doctors see
+  careTeam: {
+    // Unanswered invitations expire after this many days
+    inviteExpiryDays: parseInt(process.env.CARE_TEAM_INVITE_EXPIRY_DAYS) || 14
+  },
+
+  // AI providers, selected per task: 'gemini', 'openai' (any OpenAI-compatible
+  // endpoint, e.g. a local Ollama) or 'rule-based' (deterministic, offline)
+  ai: {
+    provider: process.env.AI_PROVIDER,
+    extractionProvider: process.env.AI_PROVIDER_EXTRACTION,
+    // Used when the selected provider fails; 'none' surfaces the error instead
+    fallbackProvider: process.env.AI_FALLBACK_PROVIDER || 'rule-based',
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-2.5-flash'
+    },
+    openaiCompatible: {
+      baseUrl: process.env.AI_OPENAI_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.AI_OPENAI_API_KEY,
+      model: process.env.AI_OPENAI_MODEL || 'llama3.1',
+      // Optional multimodal model for image inputs; images are skipped without one
+      visionModel: process.env.AI_OPENAI_VISION_MODEL,
+      timeoutMs: parseInt(process.env.AI_OPENAI_TIMEOUT_MS) || 60000
+    },
+    // Prompt template versions to use instead of the current ones
+    promptVersions: {
+      'report-extraction': process.env.AI_PROMPT_VERSION_REPORT_EXTRACTION
+    }
   },
 
   // Logging Configuration
@@ -111,6 +269,9 @@ const validateConfig = () => {
     if (!process.env.JWT_SECRET || process.env.JWT_SECRET === 'your-super-secret-jwt-key') {
       requiredVars.push('JWT_SECRET (required in production)');
     }
+    if (!process.env.JWT_REFRESH_SECRET || process.env.JWT_REFRESH_SECRET === 'your-refresh-secret-key') {
+      requiredVars.push('JWT_REFRESH_SECRET (required in production)');
+    }
     if (!process.env.MONGODB_URI) {
       requiredVars.push('MONGODB_URI (required in production)');
     }
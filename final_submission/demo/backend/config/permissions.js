@@ -0,0 +1,83 @@
+/**
+ * Permission registry: every action gated by requirePermission, and what the
+ * built-in roles may do. Custom roles (see models/Role) pick from the same
+ * keys; a user's effective permissions come from services/permissionService.
+ */
+
+// key -> what it allows; the prefix groups permissions in the admin UI
+const PERMISSIONS = {
+  'report:create': 'Submit side effect reports',
+  'report:request_review': 'Ask a doctor to review a report',
+  'report:review': 'Change report status and submit doctor reviews',
+  'report:assess': 'Assess causality',
+  'report:code': 'Edit MedDRA coding',
+  'report:regulatory': 'Classify reports and track regulatory deadlines',
+  'report:reanalyze': 'Re-run AI analysis on reports',
+  'report:duplicates': 'Detect and flag duplicate reports',
+  'report:dashboard': 'View the report dashboard and statistics',
+  'report:assign': 'Assign reports to doctors',
+  'report:restore_version': 'Restore earlier versions of reports',
+  'report:read_all': 'See every report and symptom progression, not only those of care-team patients',
+  'report:edit_all': 'Edit any report, not only drafts of your own and reports assigned to you',
+  'medication:add_own': 'Add medications not in the catalog',
+  'medication:manage': 'Create, edit and delete catalog medications',
+  'medication:verify': 'Verify patient-added medications',
+  'medication:import': 'Import the medication catalog from RxNorm and openFDA files',
+  'progression:analytics': 'View symptom progression analytics and generate progression reports',
+  'progression:delete_all': 'Delete any symptom progression, not only your own',
+  'export:bulk': 'Export reports in bulk and export statistics',
+  'export:e2b': 'Export reports as E2B(R3) ICSR XML',
+  'signal:read': 'View safety signals',
+  'signal:run': 'Run signal detection',
+  'lot:read': 'View reports by batch, product lots and recalls',
+  'recall:manage': 'Issue product recalls and notify the patients who reported the lots',
+  'care_team:patients': 'List care-team patients with their report counts',
+  'care_team:manage': 'See every care relationship, link doctors and patients directly and end any relationship',
+  'notification:digest': 'Preview the review digest email',
+  'notification:deliveries_all': 'See the notification delivery log of every user',
+  'notification_rule:manage': 'Manage notification rules',
+  'audit:read': 'Read the audit log',
+  'dead_letter:manage': 'Inspect and replay dead-lettered messages',
+  'role:manage': 'Manage roles and assign them to users'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Permissions of the built-in roles; admins always have every permission
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ALL_PERMISSIONS,
+  doctor: [
+    'report:create',
+    'report:request_review',
+    'report:review',
+    'report:assess',
+    'report:code',
+    'report:regulatory',
+    'report:reanalyze',
+    'report:duplicates',
+    'report:dashboard',
+    'medication:manage',
+    'medication:verify',
+    'progression:analytics',
+    'export:bulk',
+    'export:e2b',
+    'signal:read',
+    'lot:read',
+    'care_team:patients',
+    'notification:digest'
+  ],
+  patient: [
+    'report:create',
+    'report:request_review',
+    'medication:add_own'
+  ]
+};
+
+const BUILT_IN_ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  BUILT_IN_ROLES
+};
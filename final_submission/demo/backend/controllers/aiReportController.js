@@ -2,6 +2,8 @@ const aiService = require('../services/aiService');
 const Medication = require('../models/Medication');
 const ReportSideEffect = require('../models/ReportSideEffect');
 const symptomProgressionService = require('../services/symptomProgressionService');
+const auditService = require('../services/auditService');
+const terminologyService = require('../services/terminologyService');
 
 /**
  * AI-powered side effect report submission
@@ -47,6 +49,8 @@ const submitAIReport = async (req, res) => {
       foundMedicine: medicine,
       processingMetadata: {
         confidence: extractedData.confidence || 'Medium',
+        provider: extractedData.aiProvider,
+        promptVersion: extractedData.promptVersion || null,
         inputTypes: {
           text: !!inputs.text,
           images: inputs.images.length,
@@ -60,6 +64,14 @@ const submitAIReport = async (req, res) => {
     if (req.body.autoSubmit === 'true' && extractedData.confidence === 'High' && medicine) {
       try {
         const savedReport = await createReportFromExtractedData(extractedData, medicine._id, req.user.id);
+        await auditService.record({
+          req,
+          action: 'report.create',
+          entityType: 'ReportSideEffect',
+          entityId: savedReport._id,
+          after: savedReport,
+          metadata: { source: 'ai_auto_submit' }
+        });
         responseData.autoSubmittedReport = savedReport;
         responseData.message = 'Report automatically processed and submitted successfully';
       } catch (autoSubmitError) {
@@ -174,6 +186,14 @@ const submitConfirmedAIReport = async (req, res) => {
 
     // Create and save the report
     const savedReport = await createReportFromExtractedData(finalData, medicineId, req.user.id);
+    await auditService.record({
+      req,
+      action: 'report.create',
+      entityType: 'ReportSideEffect',
+      entityId: savedReport._id,
+      after: savedReport,
+      metadata: { source: 'ai_confirmed' }
+    });
 
     res.status(201).json({
       status: 'success',
@@ -241,7 +261,8 @@ async function createReportFromExtractedData(extractedData, medicineId, userId)
   const reportData = {
     medicine: medicineId,
     reportedBy: userId,
-    sideEffects: extractedData.sideEffects || [],
+    // Re-coded here rather than trusting coding sent back from the preview
+    sideEffects: terminologyService.codeSideEffects(extractedData.sideEffects || []),
     medicationUsage: {
       indication: extractedData.medicationUsage?.indication || 'Not specified',
       dosage: {
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const AuditEvent = require('../models/AuditEvent');
+const auditService = require('../services/auditService');
+const { sendPaginated, sendSuccess, sendValidationError, sendError } = require('../utils/responseHelper');
+const { validatePagination } = require('../utils/validationHelper');
+
+// Upper bound on rows in a single CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  'sequence',
+  'timestamp',
+  'actorEmail',
+  'actorRole',
+  'action',
+  'entityType',
+  'entityId',
+  'changes',
+  'metadata',
+  'ipAddress',
+  'userAgent',
+  'hash'
+];
+
+// Build a Mongo filter from the audit log query string
+const buildFilter = (query) => {
+  const { actor, action, entityType, entityId, fromDate, toDate } = query;
+  const filter = {};
+
+  if (actor) {
+    filter[mongoose.isValidObjectId(actor) ? 'actor' : 'actorEmail'] = actor;
+  }
+  if (action) {
+    // 'report.' matches every report action
+    filter.action = action.endsWith('.')
+      ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : action;
+  }
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = entityId;
+  if (fromDate || toDate) {
+    filter.timestamp = {};
+    if (fromDate) filter.timestamp.$gte = new Date(fromDate);
+    if (toDate) filter.timestamp.$lte = new Date(toDate);
+  }
+
+  return filter;
+};
+
+const toCSVRow = (event) => CSV_COLUMNS.map((column) => {
+  let value = event[column];
+  if (value instanceof Date) value = value.toISOString();
+  else if (value && typeof value === 'object') value = JSON.stringify(value);
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}).join(',');
+
+// List audit events with filtering, or download them as CSV
+exports.getAuditEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const filter = buildFilter(req.query);
+
+    if (req.query.format === 'csv') {
+      const events = await AuditEvent.find(filter)
+        .sort({ sequence: 1 })
+        .limit(MAX_EXPORT_ROWS)
+        .lean();
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename=audit-log-${new Date().toISOString().split('T')[0]}.csv`
+      );
+      return res.send([CSV_COLUMNS.join(','), ...events.map(toCSVRow)].join('\n'));
+    }
+
+    const { page, limit, skip } = validatePagination(req.query);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .populate('actor', 'firstName lastName role')
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    sendPaginated(res, events, {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    sendError(res, { message: 'Failed to retrieve audit events' });
+  }
+};
+
+// Recompute the hash chain and report whether it is intact
+exports.verifyAuditChain = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const fromSequence = Math.max(1, parseInt(req.query.fromSequence) || 1);
+    const limit = parseInt(req.query.limit) || undefined;
+
+    const result = await auditService.verifyChain({ fromSequence, limit });
+
+    if (!result.valid) {
+      console.warn(`[Audit] Chain verification failed at sequence ${result.brokenAt}: ${result.reason}`);
+    }
+
+    sendSuccess(res, {
+      data: result,
+      message: result.valid ? 'Audit chain is intact' : 'Audit chain verification failed'
+    });
+
+  } catch (error) {
+    console.error('Verify audit chain error:', error);
+    sendError(res, { message: 'Failed to verify audit chain' });
+  }
+};
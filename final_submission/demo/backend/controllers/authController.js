@@ -1,16 +1,17 @@
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
+const tokenService = require('../services/tokenService');
+const twoFactorService = require('../services/twoFactorService');
+const auditService = require('../services/auditService');
+const permissionService = require('../services/permissionService');
 
-// JWT Secret (should be in environment variables)
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const PASSWORD_RESET_EXPIRES_MS = 60 * 60 * 1000; // 1 hour
 
 // Email transporter configuration
 const createEmailTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     service: 'gmail', // You can change this to other email services
     auth: {
       user: process.env.EMAIL_USER, // Your email
@@ -19,11 +20,6 @@ const createEmailTransporter = () => {
   });
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-};
-
 // Generate email verification token
 const generateVerificationToken = () => {
   return crypto.randomBytes(32).toString('hex');
@@ -71,6 +67,50 @@ const sendVerificationEmail = async (user, verificationToken) => {
   }
 };
 
+// Send password reset email
+const sendPasswordResetEmail = async (user, resetToken) => {
+  const transporter = createEmailTransporter();
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/reset-password?token=${resetToken}`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: 'Password Reset - Healthcare App',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Reset Your Password</h2>
+        <p>Hello ${user.firstName} ${user.lastName},</p>
+        <p>We received a request to reset the password for your account. Click the button below to choose a new password:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${resetUrl}" 
+             style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Reset Password
+          </a>
+        </div>
+        <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+        <p style="word-break: break-all;">${resetUrl}</p>
+        <p>Using the mobile app? Enter this reset code on the reset screen:</p>
+        <p style="font-family: monospace; word-break: break-all;">${resetToken}</p>
+        <p>This link can be used once and will expire in 1 hour.</p>
+        <p>If you didn't request a password reset, please ignore this email. Your password will not change.</p>
+        <hr>
+        <p style="font-size: 12px; color: #666;">
+          This is an automated email. Please do not reply to this email.
+        </p>
+      </div>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('Password reset email sent successfully');
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    throw new Error('Failed to send password reset email');
+  }
+};
+
 // Signup controller
 exports.signup = async (req, res) => {
   try {
@@ -140,6 +180,15 @@ exports.signup = async (req, res) => {
 
     await newUser.save();
 
+    await auditService.record({
+      req,
+      actor: newUser,
+      action: 'user.create',
+      entityType: 'User',
+      entityId: newUser._id,
+      after: newUser
+    });
+
     // Send verification email
     try {
       await sendVerificationEmail(newUser, verificationToken);
@@ -148,8 +197,8 @@ exports.signup = async (req, res) => {
       // Continue with registration even if email fails
     }
 
-    // Generate JWT token
-    const token = generateToken(newUser._id);
+    // Start a device session (access + refresh token pair)
+    const tokens = await tokenService.createSession(newUser, req);
 
     // Remove password from response
     const userResponse = newUser.toObject();
@@ -161,7 +210,8 @@ exports.signup = async (req, res) => {
       message: 'User registered successfully. Please check your email for verification.',
       data: {
         user: userResponse,
-        token
+        permissions: await permissionService.getPermissions(newUser),
+        ...tokens
       }
     });
 
@@ -175,6 +225,33 @@ exports.signup = async (req, res) => {
   }
 };
 
+// Record the login, start a device session and send the signed-in user
+const completeSignin = async (user, req, res) => {
+  // Update last login with an atomic write to avoid version conflicts on concurrent sign-ins.
+  const lastLogin = new Date();
+  await User.updateOne({ _id: user._id }, { $set: { lastLogin } });
+  user.lastLogin = lastLogin;
+
+  // Start a device session (access + refresh token pair)
+  const tokens = await tokenService.createSession(user, req);
+
+  // Remove password from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: userResponse,
+      permissions: await permissionService.getPermissions(user),
+      ...tokens,
+      // Roles that must use 2FA are prompted to enrol before privileged actions
+      twoFactorSetupRequired: !user.twoFactor?.enabled && twoFactorService.isRequiredForRole(user.role)
+    }
+  });
+};
+
 // Signin controller
 exports.signin = async (req, res) => {
   try {
@@ -247,29 +324,77 @@ exports.signin = async (req, res) => {
       });
     }
 
-    // Update last login with an atomic write to avoid version conflicts on concurrent sign-ins.
-    const lastLogin = new Date();
-    await User.updateOne({ _id: user._id }, { $set: { lastLogin } });
-    user.lastLogin = lastLogin;
-
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // With 2FA enabled the password alone only earns a short-lived challenge
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallengeToken(user._id.toString())
+        }
+      });
+    }
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    await completeSignin(user, req, res);
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: userResponse,
-        token
-      }
+  } catch (error) {
+    console.error('Signin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
+
+// Second signin step: exchange a challenge token and TOTP/recovery code for a session
+exports.verifyTwoFactorSignin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = twoFactorService.verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your sign-in attempt has expired. Please sign in again.',
+        errorCode: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+      });
+    }
+
+    const result = await twoFactorService.consumeSecondFactor(userId, { code, recoveryCode });
+    if (!result.valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your account has been deactivated. Please contact support.'
+      });
+    }
+
+    if (result.method === 'recovery_code') {
+      console.warn(`[Auth] User ${userId} signed in with a recovery code (${result.recoveryCodesRemaining} remaining)`);
+    }
+
+    await completeSignin(user, req, res);
 
   } catch (error) {
-    console.error('Signin error:', error);
+    console.error('Two-factor signin error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -310,6 +435,16 @@ exports.verifyEmail = async (req, res) => {
     
     await user.save({ validateBeforeSave: false });
 
+    await auditService.record({
+      req,
+      actor: user,
+      action: 'user.verify_email',
+      entityType: 'User',
+      entityId: user._id,
+      before: { isEmailVerified: false },
+      after: { isEmailVerified: true }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Email verified successfully'
@@ -337,10 +472,18 @@ exports.getProfile = async (req, res) => {
       });
     }
 
+    // What the user may do, so clients can hide actions they can't perform
+    const [role, permissions] = await Promise.all([
+      permissionService.describeRole(user),
+      permissionService.getPermissions(user)
+    ]);
+
     res.status(200).json({
       success: true,
       data: {
-        user
+        user,
+        role,
+        permissions
       }
     });
 
@@ -424,6 +567,11 @@ exports.updateProfile = async (req, res) => {
     delete updateData.isEmailVerified;
     delete updateData.emailVerificationToken;
     delete updateData.emailVerificationExpires;
+    delete updateData.passwordResetToken;
+    delete updateData.passwordResetExpires;
+    delete updateData.twoFactor;
+
+    const before = await User.findById(userId).lean();
 
     // Update the user
     const updatedUser = await User.findByIdAndUpdate(
@@ -442,6 +590,15 @@ exports.updateProfile = async (req, res) => {
       });
     }
 
+    await auditService.record({
+      req,
+      action: 'user.update_profile',
+      entityType: 'User',
+      entityId: updatedUser._id,
+      before,
+      after: updatedUser
+    });
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -500,6 +657,17 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Keep the current device signed in, sign out all others
+    const sessionsRevoked = await tokenService.revokeAllSessions(user._id, 'password_changed', req.sessionId);
+
+    await auditService.record({
+      req,
+      action: 'user.change_password',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: { sessionsRevoked }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully'
@@ -515,6 +683,205 @@ exports.changePassword = async (req, res) => {
   }
 };
 
+// Forgot password - issue a one-time reset token by email
+exports.forgotPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email });
+
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Issuing a new token replaces any previously issued one
+    const resetToken = user.createPasswordResetToken(PASSWORD_RESET_EXPIRES_MS);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (emailError) {
+      // Answered like any other request so the status does not reveal the account
+      console.error('Forgot password email error:', emailError);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Reset password using a token issued by forgotPassword
+exports.resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashResetToken(token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired password reset token'
+      });
+    }
+
+    // Clearing the token makes it single-use; passwordChangedAt invalidates
+    // sessions issued before the reset (backdated so clock skew can't bite)
+    user.password = newPassword;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordChangedAt = Date.now() - 1000;
+    await user.save();
+
+    // Sign out every device that may be using the old password
+    const sessionsRevoked = await tokenService.revokeAllSessions(user._id, 'password_reset');
+
+    await auditService.record({
+      req,
+      actor: user,
+      action: 'user.reset_password',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: { sessionsRevoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset successfully. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Refresh tokens - exchange a refresh token for a new token pair
+exports.refreshToken = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const tokens = await tokenService.rotateRefreshToken(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Logout - revoke the session for this device
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await tokenService.revokeByRefreshToken(refreshToken);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Logout all - revoke every session for the current user
+exports.logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await tokenService.revokeAllSessions(req.user._id, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out of all devices',
+      data: {
+        revokedSessions: revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Update profile picture
 exports.updateProfilePicture = async (req, res) => {
   try {
@@ -541,6 +908,15 @@ exports.updateProfilePicture = async (req, res) => {
       });
     }
 
+    await auditService.record({
+      req,
+      action: 'user.update_profile_picture',
+      entityType: 'User',
+      entityId: updatedUser._id,
+      before: { profilePicture: req.user.profilePicture },
+      after: { profilePicture: updatedUser.profilePicture }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Profile picture updated successfully',
@@ -588,6 +964,17 @@ exports.deactivateAccount = async (req, res) => {
     // Deactivate account
     user.isActive = false;
     await user.save({ validateBeforeSave: false });
+    const sessionsRevoked = await tokenService.revokeAllSessions(user._id, 'deactivated');
+
+    await auditService.record({
+      req,
+      action: 'user.deactivate',
+      entityType: 'User',
+      entityId: user._id,
+      before: { isActive: true },
+      after: { isActive: false },
+      metadata: { sessionsRevoked }
+    });
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,219 @@
+const { validationResult } = require('express-validator');
+const CareRelationship = require('../models/CareRelationship');
+const ReportSideEffect = require('../models/ReportSideEffect');
+const careTeamService = require('../services/careTeamService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const { sendPaginated, sendSuccess, sendCreated, sendValidationError, sendError } = require('../utils/responseHelper');
+const { validatePagination, validateObjectId } = require('../utils/validationHelper');
+
+const PERSON_FIELDS = 'firstName lastName email doctorInfo.specialization';
+
+// Send a lookup or conflict error with its status, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error.statusCode) {
+    return sendError(res, { message: error.message, statusCode: error.statusCode });
+  }
+  sendError(res, { message });
+};
+
+// The user's own relationships and invitations; care_team:manage sees everyone's
+exports.getRelationships = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    await careTeamService.expireStale();
+
+    const { page, limit, skip } = validatePagination(req.query);
+    const filter = {};
+    if (await permissionService.hasPermission(req.user, 'care_team:manage')) {
+      if (req.query.doctorId) filter.doctor = req.query.doctorId;
+      if (req.query.patientId) filter.patient = req.query.patientId;
+    } else {
+      filter.$or = [{ doctor: req.user._id }, { patient: req.user._id }];
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const [relationships, total] = await Promise.all([
+      CareRelationship.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('doctor patient', PERSON_FIELDS)
+        .populate('invitedBy endedBy', 'firstName lastName role')
+        .lean(),
+      CareRelationship.countDocuments(filter)
+    ]);
+
+    sendPaginated(res, relationships, {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Get care relationships error:', error);
+    sendError(res, { message: 'Failed to retrieve care relationships' });
+  }
+};
+
+// The doctor's patients with a summary of their reports
+exports.getMyPatients = async (req, res) => {
+  try {
+    await careTeamService.expireStale();
+
+    const relationships = await CareRelationship.find({
+      doctor: req.user._id,
+      ...CareRelationship.activeFilter()
+    })
+      .sort({ acceptedAt: -1 })
+      .populate('patient', 'firstName lastName email')
+      .lean();
+
+    const patientIds = relationships.map(r => r.patient?._id).filter(Boolean);
+    const stats = await ReportSideEffect.aggregate([
+      {
+        $match: {
+          isDeleted: { $ne: true },
+          $or: [{ patient: { $in: patientIds } }, { reportedBy: { $in: patientIds } }]
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$patient', '$reportedBy'] },
+          totalReports: { $sum: 1 },
+          openReports: {
+            $sum: { $cond: [{ $in: ['$status', ['Submitted', 'Under Review']] }, 1, 0] }
+          },
+          seriousReports: {
+            $sum: { $cond: [{ $eq: ['$reportDetails.seriousness', 'Serious'] }, 1, 0] }
+          },
+          pendingReviews: {
+            $sum: { $cond: [{ $in: ['$doctorReview.status', ['pending', 'in_review']] }, 1, 0] }
+          },
+          lastReportAt: { $max: '$createdAt' }
+        }
+      }
+    ]);
+    const statsByPatient = new Map(stats.map(s => [s._id.toString(), s]));
+
+    const patients = relationships
+      .filter(r => r.patient)
+      .map(({ _id, patient, acceptedAt, accessExpiresAt }) => {
+        const summary = statsByPatient.get(patient._id.toString()) || {};
+        return {
+          relationshipId: _id,
+          patient,
+          acceptedAt,
+          accessExpiresAt,
+          totalReports: summary.totalReports || 0,
+          openReports: summary.openReports || 0,
+          seriousReports: summary.seriousReports || 0,
+          pendingReviews: summary.pendingReviews || 0,
+          lastReportAt: summary.lastReportAt || null
+        };
+      });
+
+    sendSuccess(res, {
+      data: patients,
+      message: 'Patients retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Get my patients error:', error);
+    sendError(res, { message: 'Failed to retrieve patients' });
+  }
+};
+
+exports.invite = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const relationship = await careTeamService.invite(req.user, req.body);
+
+    await auditService.record({
+      req,
+      action: 'care_team.invite',
+      entityType: 'CareRelationship',
+      entityId: relationship._id,
+      after: relationship,
+      metadata: { doctor: relationship.doctor, patient: relationship.patient }
+    });
+
+    await relationship.populate('doctor patient', PERSON_FIELDS);
+    sendCreated(
+      res,
+      relationship,
+      relationship.status === 'active' ? 'Doctor added to the care team' : 'Invitation sent successfully'
+    );
+
+  } catch (error) {
+    console.error('Care team invite error:', error);
+    handleError(res, error, 'Failed to send invitation');
+  }
+};
+
+// Accept or decline an invitation, as the user it was sent to
+const respond = (accept) => async (req, res) => {
+  try {
+    validateObjectId(req.params.id, 'Invitation ID');
+
+    const { relationship, before } = await careTeamService.respond(req.params.id, req.user, accept);
+
+    await auditService.record({
+      req,
+      action: accept ? 'care_team.accept' : 'care_team.decline',
+      entityType: 'CareRelationship',
+      entityId: relationship._id,
+      before,
+      after: relationship
+    });
+
+    await relationship.populate('doctor patient', PERSON_FIELDS);
+    sendSuccess(res, {
+      data: relationship,
+      message: accept ? 'Invitation accepted' : 'Invitation declined'
+    });
+
+  } catch (error) {
+    console.error('Care team respond error:', error);
+    handleError(res, error, 'Failed to respond to invitation');
+  }
+};
+
+exports.accept = respond(true);
+exports.decline = respond(false);
+
+// End a relationship or withdraw a pending invitation
+exports.end = async (req, res) => {
+  try {
+    validateObjectId(req.params.id, 'Care relationship ID');
+
+    const { relationship, before } = await careTeamService.end(req.params.id, req.user);
+
+    await auditService.record({
+      req,
+      action: 'care_team.end',
+      entityType: 'CareRelationship',
+      entityId: relationship._id,
+      before,
+      after: relationship
+    });
+
+    sendSuccess(res, {
+      data: relationship,
+      message: before.status === 'pending' ? 'Invitation withdrawn' : 'Care relationship ended'
+    });
+
+  } catch (error) {
+    console.error('End care relationship error:', error);
+    handleError(res, error, 'Failed to end care relationship');
+  }
+};
@@ -0,0 +1,95 @@
+const { validationResult } = require('express-validator');
+const DeadLetter = require('../models/DeadLetter');
+const deadLetterService = require('../services/deadLetterService');
+const { sendPaginated, sendSuccess, sendValidationError, sendError } = require('../utils/responseHelper');
+const { validatePagination, validateObjectId } = require('../utils/validationHelper');
+
+// Upper bound on reports replayed by one bulk request
+const MAX_BULK_REPLAY = 100;
+
+// List dead-lettered reports, newest first
+exports.getDeadLetters = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { page, limit, skip } = validatePagination(req.query);
+    const { deadLetters, total } = await deadLetterService.list({
+      status: req.query.status === 'all' ? null : (req.query.status || 'dead'),
+      skip,
+      limit
+    });
+
+    sendPaginated(res, deadLetters, {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Get dead letters error:', error);
+    sendError(res, { message: 'Failed to retrieve dead letters' });
+  }
+};
+
+// Replay one dead-lettered report
+exports.replayDeadLetter = async (req, res) => {
+  try {
+    validateObjectId(req.params.id, 'Dead letter ID');
+
+    const deadLetter = await deadLetterService.replay(req.params.id, req);
+
+    sendSuccess(res, {
+      data: deadLetter,
+      message: 'Report queued for AI analysis again'
+    });
+
+  } catch (error) {
+    console.error('Replay dead letter error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    sendError(res, { message: 'Failed to replay dead letter' });
+  }
+};
+
+// Replay the given dead letters, or every one that failed for a retryable reason
+exports.replayDeadLetters = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const ids = req.body.ids || (await DeadLetter.find({ status: 'dead', permanent: false })
+      .sort({ deadLetteredAt: 1 })
+      .limit(MAX_BULK_REPLAY)
+      .select('_id')
+      .lean()).map(deadLetter => deadLetter._id);
+
+    const replayed = [];
+    const failed = [];
+    for (const id of ids) {
+      try {
+        await deadLetterService.replay(id, req);
+        replayed.push(String(id));
+      } catch (error) {
+        failed.push({ id: String(id), reason: error.message });
+        // Nothing else can be published while the queue is down
+        if (error.statusCode === 503) break;
+      }
+    }
+
+    sendSuccess(res, {
+      data: { replayed, failed },
+      message: `${replayed.length} report(s) queued for AI analysis again`
+    });
+
+  } catch (error) {
+    console.error('Bulk replay dead letters error:', error);
+    sendError(res, { message: 'Failed to replay dead letters' });
+  }
+};
@@ -0,0 +1,66 @@
+const { validationResult } = require('express-validator');
+const lotService = require('../services/lotService');
+const { sendSuccess, sendValidationError, sendError } = require('../utils/responseHelper');
+const { validatePagination, validateObjectId } = require('../utils/validationHelper');
+
+// Reports by batch: lots with their report counts, flagged ones first
+exports.getBatchClusters = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { page, limit, skip } = validatePagination(req.query);
+    const { medicine, search, flagged, days } = req.query;
+
+    const { clusters, summary, thresholds } = await lotService.getBatchClusters({
+      medicine,
+      search,
+      flaggedOnly: flagged === 'true',
+      ...(days && { days: parseInt(days) })
+    });
+
+    sendSuccess(res, {
+      data: clusters.slice(skip, skip + limit),
+      message: 'Batch clusters retrieved successfully',
+      meta: {
+        pagination: {
+          page,
+          limit,
+          total: clusters.length,
+          totalPages: Math.ceil(clusters.length / limit),
+          hasNextPage: page < Math.ceil(clusters.length / limit),
+          hasPrevPage: page > 1
+        },
+        summary,
+        thresholds
+      }
+    });
+
+  } catch (error) {
+    console.error('Get batch clusters error:', error);
+    sendError(res, { message: 'Failed to retrieve batch clusters' });
+  }
+};
+
+// A lot with its recalls and the reports naming it
+exports.getLotReports = async (req, res) => {
+  try {
+    validateObjectId(req.params.id, 'Lot ID');
+
+    const result = await lotService.getLotReports(req.params.id, req.user);
+
+    sendSuccess(res, {
+      data: result,
+      message: 'Lot reports retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Get lot reports error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    sendError(res, { message: 'Failed to retrieve lot reports' });
+  }
+};
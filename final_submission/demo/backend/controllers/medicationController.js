@@ -12,6 +12,11 @@
 
 const { validationResult } = require('express-validator');
 const Medication = require('../models/Medication');
+const auditService = require('../services/auditService');
+const interactionService = require('../services/interactionService');
+const medicationMergeService = require('../services/medicationMergeService');
+const medicationImportService = require('../services/medicationImportService');
+const fuzzySearchService = require('../services/fuzzySearchService');
 
 /**
  * Response helper for consistent API responses
@@ -33,6 +38,11 @@ const handleError = (res, error, defaultMessage = 'An error occurred') => {
     return sendResponse(res, 400, false, 'A medication with this name already exists');
   }
   
+  // Handle errors raised with a status (AppError)
+  if (error.statusCode) {
+    return sendResponse(res, error.statusCode, false, error.message);
+  }
+
   // Handle validation errors
   if (error.name === 'ValidationError') {
     const messages = Object.values(error.errors).map(e => e.message);
@@ -194,6 +204,35 @@ exports.getMedicationById = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Check medicines taken together for drug-drug interactions
+ * @route   POST /api/medications/interactions/check
+ * @access  Public (Authenticated)
+ * @body    medicines - medicine names, reactions - optional reported reactions
+ */
+exports.checkInteractions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, 'Validation failed', {
+        errors: errors.array()
+      });
+    }
+
+    const result = interactionService.checkNames(req.body.medicines, req.body.reactions);
+
+    return sendResponse(res, 200, true,
+      result.findings.length > 0
+        ? `${result.findings.length} interaction${result.findings.length === 1 ? '' : 's'} found`
+        : 'No known interactions found',
+      result
+    );
+
+  } catch (error) {
+    return handleError(res, error, 'Failed to check interactions');
+  }
+};
+
 // ==================== DOCTOR/ADMIN ENDPOINTS ====================
 
 /**
@@ -223,7 +262,9 @@ exports.getAllMedications = async (req, res) => {
     if (search) {
       filter.$or = [
         { name: new RegExp(search, 'i') },
-        { genericName: new RegExp(search, 'i') }
+        { genericName: new RegExp(search, 'i') },
+        { 'aliases.name': new RegExp(search, 'i') },
+        { 'ingredients.name': new RegExp(search, 'i') }
       ];
     }
     
@@ -284,6 +325,17 @@ exports.createMedication = async (req, res) => {
     
     const medication = new Medication(medicationData);
     await medication.save();
+
+    // Duplicate candidates come from the search index
+    fuzzySearchService.invalidateIndex();
+
+    await auditService.record({
+      req,
+      action: 'medication.create',
+      entityType: 'Medication',
+      entityId: medication._id,
+      after: medication
+    });
     
     // Populate creator info
     await medication.populate('createdBy', 'firstName lastName role');
@@ -311,15 +363,37 @@ exports.updateMedication = async (req, res) => {
       });
     }
     
+    const before = await Medication.findById(req.params.id).lean();
+    if (!before) {
+      return sendResponse(res, 404, false, 'Medication not found');
+    }
+
+    // A new generic name re-derives the ingredients unless they are given
+    const update = { ...req.body, updatedAt: new Date() };
+    if (update.genericName && !update.ingredients && update.genericName !== before.genericName) {
+      update.ingredients = Medication.parseIngredients(update.genericName).map(name => ({ name }));
+    }
+
     const medication = await Medication.findByIdAndUpdate(
       req.params.id,
-      { ...req.body, updatedAt: new Date() },
+      update,
       { new: true, runValidators: true }
     ).populate('createdBy', 'firstName lastName role');
     
     if (!medication) {
       return sendResponse(res, 404, false, 'Medication not found');
     }
+
+    fuzzySearchService.invalidateIndex();
+
+    await auditService.record({
+      req,
+      action: 'medication.update',
+      entityType: 'Medication',
+      entityId: medication._id,
+      before,
+      after: medication
+    });
     
     return sendResponse(res, 200, true, 'Medication updated successfully', {
       medication
@@ -340,12 +414,23 @@ exports.deleteMedication = async (req, res) => {
     const medication = await Medication.findByIdAndUpdate(
       req.params.id,
       { isActive: false },
-      { new: true }
+      { new: false }
     );
     
     if (!medication) {
       return sendResponse(res, 404, false, 'Medication not found');
     }
+
+    fuzzySearchService.invalidateIndex();
+
+    await auditService.record({
+      req,
+      action: 'medication.delete',
+      entityType: 'Medication',
+      entityId: medication._id,
+      before: { isActive: medication.isActive },
+      after: { isActive: false }
+    });
     
     return sendResponse(res, 200, true, 'Medication deleted successfully');
     
@@ -371,7 +456,20 @@ exports.verifyMedication = async (req, res) => {
       return sendResponse(res, 400, false, 'Medication is already verified');
     }
     
+    const before = medication.toObject();
     await medication.verify(req.user._id);
+
+    fuzzySearchService.invalidateIndex();
+
+    await auditService.record({
+      req,
+      action: 'medication.verify',
+      entityType: 'Medication',
+      entityId: medication._id,
+      before,
+      after: medication
+    });
+
     await medication.populate('createdBy verifiedBy', 'firstName lastName role');
     
     return sendResponse(res, 200, true, 'Medication verified successfully', {
@@ -422,6 +520,172 @@ exports.getUnverifiedMedications = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Unverified medications clustered by the medication they likely duplicate
+ * @route   GET /api/medications/duplicates
+ * @access  Doctor/Admin
+ */
+exports.getDuplicateQueue = async (req, res) => {
+  try {
+    const queue = await medicationMergeService.getReviewQueue();
+    
+    return sendResponse(res, 200, true, 'Duplicate review queue retrieved', queue);
+    
+  } catch (error) {
+    return handleError(res, error, 'Failed to get duplicate review queue');
+  }
+};
+
+/**
+ * @desc    Verified medications a medication likely duplicates
+ * @route   GET /api/medications/:id/duplicates
+ * @access  Doctor/Admin
+ */
+exports.getDuplicateCandidates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, 'Validation failed', {
+        errors: errors.array()
+      });
+    }
+    
+    const medication = await Medication.findById(req.params.id).lean();
+    if (!medication) {
+      return sendResponse(res, 404, false, 'Medication not found');
+    }
+    
+    const candidates = await medicationMergeService.findCandidates(medication);
+    
+    return sendResponse(res, 200, true, 'Duplicate candidates retrieved', {
+      medication,
+      candidates
+    });
+    
+  } catch (error) {
+    return handleError(res, error, 'Failed to get duplicate candidates');
+  }
+};
+
+/**
+ * @desc    Merge a patient-created medication into a verified one
+ * @route   POST /api/medications/:id/merge
+ * @access  Doctor/Admin
+ */
+exports.mergeMedication = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, 'Validation failed', {
+        errors: errors.array()
+      });
+    }
+    
+    const { medication, merge } = await medicationMergeService.merge(req.params.id, req.body.targetId, {
+      req,
+      reason: req.body.reason,
+      keepNameAsAlias: req.body.keepNameAsAlias !== false
+    });
+    
+    return sendResponse(res, 200, true, 'Medication merged successfully', {
+      medication,
+      merge
+    });
+    
+  } catch (error) {
+    return handleError(res, error, 'Failed to merge medication');
+  }
+};
+
+// ==================== CATALOG IMPORT ====================
+
+/**
+ * @desc    Start importing medications from an RxNorm RRF or openFDA NDC JSON/CSV file
+ * @route   POST /api/medications/import
+ * @access  Admin
+ */
+exports.importMedications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, 'Validation failed', {
+        errors: errors.array()
+      });
+    }
+    
+    if (!req.file) {
+      return sendResponse(res, 400, false, 'A catalog file is required');
+    }
+    
+    const dryRun = String(req.body.dryRun) === 'true';
+    // Runs in the background; clients poll GET /api/medications/import/jobs/:jobId
+    const job = await medicationImportService.startImport({
+      text: req.file.buffer.toString('utf8'),
+      fileName: req.file.originalname,
+      format: req.body.format || undefined,
+      dryRun,
+      user: req.user,
+      req
+    });
+    
+    return sendResponse(res, 202, true, dryRun ? 'Dry run started' : 'Import started', {
+      job
+    });
+    
+  } catch (error) {
+    return handleError(res, error, 'Failed to import medications');
+  }
+};
+
+/**
+ * @desc    Recent catalog import jobs
+ * @route   GET /api/medications/import/jobs
+ * @access  Admin
+ */
+exports.getImportJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    const { jobs, total } = await medicationImportService.listJobs({ page, limit });
+    
+    return sendResponse(res, 200, true, 'Import jobs retrieved', {
+      jobs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      }
+    });
+    
+  } catch (error) {
+    return handleError(res, error, 'Failed to get import jobs');
+  }
+};
+
+/**
+ * @desc    Job report of a catalog import, with its preview and issues
+ * @route   GET /api/medications/import/jobs/:jobId
+ * @access  Admin
+ */
+exports.getImportJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendResponse(res, 400, false, 'Validation failed', {
+        errors: errors.array()
+      });
+    }
+    
+    const job = await medicationImportService.getJob(req.params.jobId);
+    
+    return sendResponse(res, 200, true, 'Import job retrieved', { job });
+    
+  } catch (error) {
+    return handleError(res, error, 'Failed to get import job');
+  }
+};
+
 // ==================== PATIENT ENDPOINTS ====================
 
 /**
@@ -438,11 +702,12 @@ exports.createPatientMedication = async (req, res) => {
       });
     }
     
-    // Check if a similar medication already exists
-    const existingMedication = await Medication.findOne({
-      name: new RegExp(`^${req.body.name.trim()}$`, 'i'),
-      isActive: true
-    });
+    // Check if the medication already exists under this name, its generic
+    // name or one of its brand names (e.g. "Advil" finds Ibuprofen), also
+    // without strength and dosage form ("amoxicillin 500mg" finds Amoxicillin)
+    const normalizedName = medicationMergeService.normalizeName(req.body.name);
+    const existingMedication = await Medication.findByAnyName(req.body.name) ||
+      (normalizedName && await Medication.findByAnyName(normalizedName));
     
     if (existingMedication) {
       // Return the existing medication instead of creating a duplicate
@@ -466,6 +731,15 @@ exports.createPatientMedication = async (req, res) => {
     
     const medication = new Medication(medicationData);
     await medication.save();
+
+    await auditService.record({
+      req,
+      action: 'medication.create',
+      entityType: 'Medication',
+      entityId: medication._id,
+      after: medication,
+      metadata: { source: 'patient' }
+    });
     
     return sendResponse(res, 201, true, 'Medication created successfully', {
       medication,
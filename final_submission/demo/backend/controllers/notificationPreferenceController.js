@@ -0,0 +1,209 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const deliveryChannels = require('../services/deliveryChannels');
+const digestService = require('../services/digestService');
+const auditService = require('../services/auditService');
+const config = require('../config/config');
+const { sendSuccess, sendPaginated, sendValidationError, sendError } = require('../utils/responseHelper');
+const { validatePagination } = require('../utils/validationHelper');
+const { hasPermission } = require('../middleware/auth');
+
+// Preferences with the types as a plain object, for responses and audit
+const toPlainPreferences = (preferences) => {
+  const plain = preferences?.toObject ? preferences.toObject() : { ...preferences };
+  const types = plain.types instanceof Map ? Object.fromEntries(plain.types) : (plain.types || {});
+  return { ...plain, types };
+};
+
+// Notification preferences of the signed-in user, with what clients need to
+// render them: notification types, channels the server can send on and the
+// VAPID key to subscribe to Web Push with
+exports.getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('notificationPreferences +pushSubscriptions');
+
+    sendSuccess(res, {
+      data: {
+        preferences: toPlainPreferences(user.notificationPreferences),
+        types: Notification.TYPES,
+        channels: deliveryChannels.availability(),
+        pushSubscriptionCount: user.pushSubscriptions.length,
+        vapidPublicKey: config.delivery.push.vapidPublicKey || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    sendError(res, { message: 'Failed to retrieve notification preferences' });
+  }
+};
+
+// Update the given parts of the preferences; type overrides replace the
+// stored ones for the types sent
+exports.updatePreferences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    const before = toPlainPreferences(user.notificationPreferences);
+    const { channels, types, quietHours, digest } = req.body;
+
+    for (const name of deliveryChannels.names) {
+      if (channels?.[name] !== undefined) {
+        user.notificationPreferences.channels[name] = channels[name];
+      }
+    }
+    for (const [type, overrides] of Object.entries(types || {})) {
+      user.notificationPreferences.types.set(type, overrides);
+    }
+    for (const field of ['enabled', 'start', 'end', 'timezone']) {
+      if (quietHours?.[field] !== undefined) {
+        user.notificationPreferences.quietHours[field] = quietHours[field];
+      }
+    }
+    if (digest?.frequency !== undefined) {
+      user.notificationPreferences.digest.frequency = digest.frequency;
+    }
+
+    await user.save({ validateModifiedOnly: true });
+    const after = toPlainPreferences(user.notificationPreferences);
+
+    await auditService.record({
+      req,
+      action: 'user.update_notification_preferences',
+      entityType: 'User',
+      entityId: user._id,
+      before: { notificationPreferences: before },
+      after: { notificationPreferences: after }
+    });
+
+    sendSuccess(res, {
+      data: { preferences: after },
+      message: 'Notification preferences updated'
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    sendError(res, { message: 'Failed to update notification preferences' });
+  }
+};
+
+// Save the Web Push subscription of a browser; subscribing again from the
+// same browser replaces it
+exports.addPushSubscription = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { endpoint, keys } = req.body;
+    await User.updateOne({ _id: req.user._id }, { $pull: { pushSubscriptions: { endpoint } } });
+    await User.updateOne({ _id: req.user._id }, {
+      $push: {
+        pushSubscriptions: {
+          endpoint,
+          keys: { p256dh: keys.p256dh, auth: keys.auth },
+          userAgent: req.get('User-Agent')
+        }
+      }
+    });
+
+    sendSuccess(res, { message: 'Push notifications enabled for this browser', statusCode: 201 });
+
+  } catch (error) {
+    console.error('Add push subscription error:', error);
+    sendError(res, { message: 'Failed to save push subscription' });
+  }
+};
+
+// Forget the Web Push subscription of a browser
+exports.removePushSubscription = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { pushSubscriptions: { endpoint: req.body.endpoint } } }
+    );
+
+    sendSuccess(res, { message: 'Push notifications disabled for this browser' });
+
+  } catch (error) {
+    console.error('Remove push subscription error:', error);
+    sendError(res, { message: 'Failed to remove push subscription' });
+  }
+};
+
+// Delivery log, newest first. Users see their own; with
+// notification:deliveries_all they can pass ?recipient= to see someone else's
+exports.getDeliveries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { page, limit, skip } = validatePagination(req.query);
+    const { recipient, channel, status } = req.query;
+
+    const filter = {
+      recipient: recipient && hasPermission(req, 'notification:deliveries_all') ? recipient : req.user._id
+    };
+    if (channel) filter.channel = channel;
+    if (status) filter.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      NotificationDelivery.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('notification', 'title')
+        .lean(),
+      NotificationDelivery.countDocuments(filter)
+    ]);
+
+    sendPaginated(res, deliveries, {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Get notification deliveries error:', error);
+    sendError(res, { message: 'Failed to retrieve notification deliveries' });
+  }
+};
+
+// The digest email the signed-in doctor or admin would receive now, as JSON
+// or, with ?format=html, as the email itself. Nothing is sent.
+exports.previewDigest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const user = await User.findById(req.user._id).select('firstName lastName email role notificationPreferences');
+    const digest = await digestService.preview(user, { frequency: req.query.frequency });
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(digest.html);
+    }
+    sendSuccess(res, { data: digest });
+
+  } catch (error) {
+    console.error('Preview digest error:', error);
+    sendError(res, { message: 'Failed to build digest preview' });
+  }
+};
@@ -0,0 +1,263 @@
+const { validationResult } = require('express-validator');
+const NotificationRule = require('../models/NotificationRule');
+const NotificationRuleFiring = require('../models/NotificationRuleFiring');
+const User = require('../models/User');
+const notificationRuleService = require('../services/notificationRuleService');
+const auditService = require('../services/auditService');
+const { sendPaginated, sendSuccess, sendCreated, sendNotFound, sendValidationError, sendError } = require('../utils/responseHelper');
+const { validatePagination, validateObjectId } = require('../utils/validationHelper');
+
+// Recent firings returned with a rule
+const FIRINGS_LIMIT = 20;
+
+// Rule definition fields taken from a request body
+const toDefinition = (body) => ({
+  name: body.name,
+  description: body.description,
+  enabled: body.enabled !== undefined ? body.enabled : true,
+  trigger: body.trigger,
+  unreviewedAfterHours: body.trigger === 'unreviewed' ? body.unreviewedAfterHours : undefined,
+  conditions: (body.conditions || []).map(({ field, operator, value }) => ({ field, operator, value })),
+  recipients: {
+    roles: body.recipients?.roles || [],
+    specializations: body.recipients?.specializations || [],
+    users: body.recipients?.users || []
+  },
+  notification: {
+    priority: body.notification?.priority || 'high',
+    title: body.notification?.title || undefined,
+    message: body.notification?.message || undefined
+  }
+});
+
+// Send a validation or lookup error with its status, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error.statusCode) {
+    return sendError(res, { message: error.message, statusCode: error.statusCode });
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(e => e.message);
+    return sendError(res, { message: messages.join('. '), statusCode: 422 });
+  }
+  sendError(res, { message });
+};
+
+// List rules, enabled ones first
+exports.getRules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { page, limit, skip } = validatePagination(req.query);
+    const filter = {};
+    if (req.query.trigger) filter.trigger = req.query.trigger;
+    if (req.query.enabled !== undefined) filter.enabled = req.query.enabled === 'true';
+
+    const [rules, total] = await Promise.all([
+      NotificationRule.find(filter)
+        .sort({ enabled: -1, name: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('recipients.users', 'firstName lastName role')
+        .lean(),
+      NotificationRule.countDocuments(filter)
+    ]);
+
+    sendPaginated(res, rules, {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Get notification rules error:', error);
+    sendError(res, { message: 'Failed to retrieve notification rules' });
+  }
+};
+
+// What a rule can be built from: triggers, fields and their values, and recipients
+exports.getOptions = async (req, res) => {
+  try {
+    const [specializations, staff] = await Promise.all([
+      User.distinct('doctorInfo.specialization', { role: 'doctor', isActive: { $ne: false } }),
+      User.find({ role: { $in: ['doctor', 'admin'] }, isActive: { $ne: false } })
+        .select('firstName lastName role doctorInfo.specialization')
+        .sort({ lastName: 1, firstName: 1 })
+        .lean()
+    ]);
+
+    sendSuccess(res, {
+      data: {
+        triggers: NotificationRule.TRIGGERS,
+        fields: NotificationRule.FIELDS,
+        fieldValues: notificationRuleService.FIELD_VALUES,
+        operators: NotificationRule.OPERATORS,
+        priorities: NotificationRule.PRIORITIES,
+        specializations: specializations.filter(Boolean).sort(),
+        staff
+      },
+      message: 'Notification rule options retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Get notification rule options error:', error);
+    sendError(res, { message: 'Failed to retrieve notification rule options' });
+  }
+};
+
+// A single rule with its latest firings
+exports.getRuleById = async (req, res) => {
+  try {
+    validateObjectId(req.params.id, 'Rule ID');
+
+    const rule = await NotificationRule.findById(req.params.id)
+      .populate('recipients.users', 'firstName lastName role')
+      .populate('createdBy updatedBy', 'firstName lastName')
+      .lean();
+    if (!rule) {
+      return sendNotFound(res, 'Notification rule not found');
+    }
+
+    const firings = await NotificationRuleFiring.find({ rule: rule._id })
+      .sort({ firedAt: -1 })
+      .limit(FIRINGS_LIMIT)
+      .populate({ path: 'report', select: 'medicine status priority', populate: { path: 'medicine', select: 'name' } })
+      .lean();
+
+    sendSuccess(res, {
+      data: { ...rule, firings },
+      message: 'Notification rule retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Get notification rule error:', error);
+    handleError(res, error, 'Failed to retrieve notification rule');
+  }
+};
+
+exports.createRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const rule = await NotificationRule.create({
+      ...toDefinition(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    await auditService.record({
+      req,
+      action: 'notification_rule.create',
+      entityType: 'NotificationRule',
+      entityId: rule._id,
+      after: rule
+    });
+
+    sendCreated(res, rule, 'Notification rule created successfully');
+
+  } catch (error) {
+    console.error('Create notification rule error:', error);
+    handleError(res, error, 'Failed to create notification rule');
+  }
+};
+
+// Replace a rule's definition; its firing history is kept
+exports.updateRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    validateObjectId(req.params.id, 'Rule ID');
+
+    const rule = await NotificationRule.findById(req.params.id);
+    if (!rule) {
+      return sendNotFound(res, 'Notification rule not found');
+    }
+
+    const before = rule.toObject();
+    rule.set({ ...toDefinition(req.body), updatedBy: req.user._id });
+    await rule.save();
+
+    await auditService.record({
+      req,
+      action: 'notification_rule.update',
+      entityType: 'NotificationRule',
+      entityId: rule._id,
+      before,
+      after: rule
+    });
+
+    sendSuccess(res, {
+      data: rule,
+      message: 'Notification rule updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update notification rule error:', error);
+    handleError(res, error, 'Failed to update notification rule');
+  }
+};
+
+exports.deleteRule = async (req, res) => {
+  try {
+    validateObjectId(req.params.id, 'Rule ID');
+
+    const rule = await NotificationRule.findById(req.params.id);
+    if (!rule) {
+      return sendNotFound(res, 'Notification rule not found');
+    }
+
+    await Promise.all([
+      rule.deleteOne(),
+      NotificationRuleFiring.deleteMany({ rule: rule._id })
+    ]);
+
+    await auditService.record({
+      req,
+      action: 'notification_rule.delete',
+      entityType: 'NotificationRule',
+      entityId: rule._id,
+      before: rule
+    });
+
+    sendSuccess(res, { message: 'Notification rule deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete notification rule error:', error);
+    handleError(res, error, 'Failed to delete notification rule');
+  }
+};
+
+// Which recent reports a rule would have matched and who it would have notified
+exports.dryRun = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const rule = toDefinition(req.body);
+    await new NotificationRule(rule).validate();
+
+    const result = await notificationRuleService.dryRun(rule, {
+      days: parseInt(req.body.days) || 30
+    });
+
+    sendSuccess(res, {
+      data: result,
+      message: 'Dry run completed'
+    });
+
+  } catch (error) {
+    console.error('Notification rule dry run error:', error);
+    handleError(res, error, 'Notification rule dry run failed');
+  }
+};
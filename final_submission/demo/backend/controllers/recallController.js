@@ -0,0 +1,123 @@
+const { validationResult } = require('express-validator');
+const Recall = require('../models/Recall');
+const lotService = require('../services/lotService');
+const { sendPaginated, sendSuccess, sendCreated, sendNotFound, sendValidationError, sendError } = require('../utils/responseHelper');
+const { validatePagination, validateObjectId } = require('../utils/validationHelper');
+
+// List recalls, newest first
+exports.getRecalls = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { page, limit, skip } = validatePagination(req.query);
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.medicine) filter.medication = req.query.medicine;
+
+    const [recalls, total] = await Promise.all([
+      Recall.find(filter)
+        .populate('medication', 'name genericName')
+        .populate('lots', 'batchNumber expiryDate manufacturer')
+        .populate('issuedBy', 'firstName lastName')
+        .select('-notifiedPatients -statusHistory')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Recall.countDocuments(filter)
+    ]);
+
+    sendPaginated(res, recalls, {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Get recalls error:', error);
+    sendError(res, { message: 'Failed to retrieve recalls' });
+  }
+};
+
+// A single recall with its status history and how many patients were notified
+exports.getRecallById = async (req, res) => {
+  try {
+    validateObjectId(req.params.id, 'Recall ID');
+
+    const recall = await Recall.findById(req.params.id)
+      .populate('medication', 'name genericName')
+      .populate('lots', 'batchNumber expiryDate manufacturer')
+      .populate('issuedBy', 'firstName lastName')
+      .populate('statusHistory.changedBy', 'firstName lastName role')
+      .lean();
+    if (!recall) {
+      return sendNotFound(res, 'Recall not found');
+    }
+
+    const { notifiedPatients, ...data } = recall;
+    sendSuccess(res, {
+      data: { ...data, notifiedCount: notifiedPatients.length },
+      message: 'Recall retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Get recall error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    sendError(res, { message: 'Failed to retrieve recall' });
+  }
+};
+
+// Issue a recall and notify the patients who reported the recalled lots
+exports.createRecall = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const recall = await lotService.createRecall(req.body, { req });
+    const { notifiedPatients, ...data } = recall.toObject();
+
+    sendCreated(res, { ...data, notifiedCount: notifiedPatients.length },
+      `Recall issued; ${notifiedPatients.length} patient${notifiedPatients.length === 1 ? '' : 's'} notified`);
+
+  } catch (error) {
+    console.error('Create recall error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    sendError(res, { message: 'Failed to issue recall' });
+  }
+};
+
+// Move a recall to completed or terminated (or back to ongoing)
+exports.updateRecallStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    validateObjectId(req.params.id, 'Recall ID');
+    const recall = await lotService.updateRecallStatus(req.params.id, req.body, { req });
+    const { notifiedPatients, ...data } = recall.toObject();
+
+    sendSuccess(res, {
+      data: { ...data, notifiedCount: notifiedPatients.length },
+      message: 'Recall status updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update recall status error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    sendError(res, { message: 'Failed to update recall status' });
+  }
+};
@@ -2,13 +2,36 @@ const { validationResult } = require('express-validator');
 const ReportSideEffect = require('../models/ReportSideEffect');
 const Medication = require('../models/Medication');
 const User = require('../models/User');
-const rabbitmqService = require('../services/rabbitmqService');
+const SymptomProgression = require('../models/SymptomProgression');
 const notificationService = require('../services/notificationService');
 const { sendSuccess, sendCreated, sendNotFound, sendForbidden, sendValidationError, sendError } = require('../utils/responseHelper');
 const { validateObjectId } = require('../utils/validationHelper');
-const { USER_ROLES, SUCCESS_MESSAGES, ERROR_MESSAGES } = require('../utils/constants');
+const { HTTP_STATUS, USER_ROLES, SUCCESS_MESSAGES, ERROR_MESSAGES } = require('../utils/constants');
 const AppError = require('../utils/appError');
 const DuplicateDetectionService = require('../services/duplicateDetectionService');
+const auditService = require('../services/auditService');
+const reportVersionService = require('../services/reportVersionService');
+const terminologyService = require('../services/terminologyService');
+const interactionService = require('../services/interactionService');
+const causalityService = require('../services/causalityService');
+const regulatoryDeadlineService = require('../services/regulatoryDeadlineService');
+const analysisJobService = require('../services/analysisJobService');
+const notificationRuleService = require('../services/notificationRuleService');
+const careTeamService = require('../services/careTeamService');
+const lotService = require('../services/lotService');
+const permissionService = require('../services/permissionService');
+
+// Alert staff as soon as a save starts an expedited clock instead of waiting for the next scheduled check
+const alertExpeditedClock = (report) => {
+  const expedited = report.regulatoryInfo?.expeditedReporting;
+  if (!expedited?.required || expedited.submitted || expedited.escalationLevel !== 'none') return;
+
+  setImmediate(() => {
+    regulatoryDeadlineService.run().catch((err) => {
+      console.error('[Report Controller] Failed to escalate expedited report:', err);
+    });
+  });
+};
 
 // Submit a new side effect report
 exports.submitReport = async (req, res) => {
@@ -36,7 +59,8 @@ exports.submitReport = async (req, res) => {
     const reportData = {
       ...req.body,
       reportedBy: req.user._id,
-      reporterRole: req.user.role,
+      // A custom role can record its users as e.g. pharmacists
+      reporterRole: await permissionService.getReporterRole(req.user),
       'reportDetails.reportDate': new Date()
     };
 
@@ -45,9 +69,29 @@ exports.submitReport = async (req, res) => {
       reportData.patient = req.user._id;
     }
 
+    // Suggest coded terms for each reaction; reviewers confirm or override them later
+    terminologyService.codeSideEffects(reportData.sideEffects);
+
+    // Flag known interactions between the suspected medicine and the concomitant ones
+    reportData.interactionScreening = interactionService.tryScreenReport(reportData, medication);
+
     const report = new ReportSideEffect(reportData);
+
+    // Link the batch the patient took to the product lot registry
+    await lotService.tryAttachLot(report);
+
     await report.save();
 
+    await auditService.record({
+      req,
+      action: 'report.create',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      after: report
+    });
+
+    alertExpeditedClock(report);
+
     // Populate references
     await report.populate([
       { path: 'reportedBy', select: 'firstName lastName role' },
@@ -59,16 +103,24 @@ exports.submitReport = async (req, res) => {
     setImmediate(async () => {
       try {
         console.log(`[Report Controller] Publishing report created event: ${report._id}`);
-        await rabbitmqService.publishReportCreated(report);
+        await analysisJobService.enqueue(report, { trigger: 'submission', requestedBy: req.user._id });
       } catch (publishError) {
-        console.error('[Report Controller] Failed to publish event:', publishError);
-        // Non-blocking - report is still saved successfully
+        console.error('[Report Controller] Failed to publish event:', publishError.message);
+        // Non-blocking - report is still saved and can be re-analyzed later
       }
     });
 
-    // Notify staff if the report has serious/critical severity indicators
+    // Notify staff through the notification rules; while no report_created
+    // rule is enabled, every doctor and admin hears of serious reports
     setImmediate(async () => {
       try {
+        const { rules } = await notificationRuleService.evaluate('report_created', report._id)
+          .catch((ruleError) => {
+            console.error('[Report Controller] Failed to evaluate notification rules:', ruleError);
+            return { rules: 0 };
+          });
+        if (rules > 0) return;
+
         const hasSeriousIndicators = report.sideEffects?.some(
           (e) => e.severity === 'Severe' || e.severity === 'Life-threatening'
         ) || report.reportDetails?.seriousness === 'serious' || report.reportDetails?.seriousness === 'life-threatening';
@@ -81,6 +133,13 @@ exports.submitReport = async (req, res) => {
       }
     });
 
+    // Tell the patient if the batch they took is under an ongoing recall
+    setImmediate(() => {
+      lotService.notifyReporterOfRecalls(report).catch((recallError) => {
+        console.error('[Report Controller] Failed to check recalls:', recallError);
+      });
+    });
+
     sendCreated(res, { 
       report,
       aiAnalysisStatus: 'queued'
@@ -130,18 +189,10 @@ exports.getAllReports = async (req, res) => {
       if (toDate) filter['reportDetails.incidentDate'].$lte = new Date(toDate);
     }
 
-    // Role-based filtering
-    if (req.user.role === 'patient') {
-      // Patients can only see their own reports
-      filter.$or = [
-        { reportedBy: req.user._id },
-        { patient: req.user._id }
-      ];
-    } else if (req.user.role === 'doctor') {
-      // Doctors can see ALL reports for review/monitoring purposes
-      // No additional filter needed - doctors have full visibility
-    }
-    // Admins can see all reports (no additional filter)
+    // Role-based filtering: patients see their own reports, doctors those of
+    // their care-team patients and reports they submitted or were assigned,
+    // admins everything
+    filter.$and = [await careTeamService.reportScope(req.user)];
 
     // Sort options
     const sortOptions = {};
@@ -198,7 +249,7 @@ exports.getReportById = async (req, res) => {
     }
 
     // Check access permissions
-    if (!canAccessReport(req.user, report)) {
+    if (!(await canAccessReport(req.user, report))) {
       return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
     }
 
@@ -227,10 +278,12 @@ exports.updateReportStatus = async (req, res) => {
     }
 
     // Check permissions
-    if (!canModifyReport(req.user, report)) {
+    if (!(await canModifyReport(req.user, report))) {
       return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
     }
 
+    const before = report.toObject();
+
     // Update report
     await report.updateStatus(status, req.user._id);
     
@@ -247,6 +300,16 @@ exports.updateReportStatus = async (req, res) => {
       });
     }
 
+    await auditService.record({
+      req,
+      action: 'report.status_update',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      before,
+      after: report,
+      metadata: comments ? { comments } : undefined
+    });
+
     await report.populate([
       { path: 'assignedTo', select: 'firstName lastName role' },
       { path: 'lastModifiedBy', select: 'firstName lastName role' }
@@ -255,13 +318,20 @@ exports.updateReportStatus = async (req, res) => {
     const { sendUpdated } = require('../utils/responseHelper');
     sendUpdated(res, { report }, 'Report status updated successfully');
 
-    // Notify patient of status change (non-blocking)
+    // Notify patient of status change and evaluate staff notification rules (non-blocking)
     setImmediate(async () => {
       try {
         await notificationService.notifyReportStatusUpdate(report, status);
       } catch (err) {
         console.error('[Report Controller] Failed to send status notification:', err);
       }
+      try {
+        await notificationRuleService.evaluate('status_changed', report._id, {
+          eventKey: `status_changed:${status}`
+        });
+      } catch (err) {
+        console.error('[Report Controller] Failed to evaluate notification rules:', err);
+      }
     });
 
   } catch (error) {
@@ -284,16 +354,27 @@ exports.addFollowUp = async (req, res) => {
     }
 
     // Check permissions
-    if (!canAccessReport(req.user, report)) {
+    if (!(await canAccessReport(req.user, report))) {
       return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
     }
 
+    const before = report.toObject();
+
     await report.addFollowUp({
       informationType,
       description,
       reportedBy: req.user._id
     });
 
+    await auditService.record({
+      req,
+      action: 'report.follow_up',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      before,
+      after: report
+    });
+
     await report.populate('followUp.reportedBy', 'firstName lastName role');
 
     sendSuccess(res, { 
@@ -309,42 +390,199 @@ exports.addFollowUp = async (req, res) => {
 // Update causality assessment
 exports.updateCausalityAssessment = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
     const { id } = req.params;
-    const { algorithm, score, category, comments } = req.body;
+    const { algorithm, score, category, comments, answers } = req.body;
 
     validateObjectId(id, 'Report ID');
 
-    // Only doctors and admins can perform causality assessment
-    if (req.user.role === USER_ROLES.PATIENT) {
-      return sendForbidden(res, 'You do not have permission to perform causality assessment');
-    }
-
-    const report = await ReportSideEffect.findByIdAndUpdate(
-      id,
-      {
-        'causalityAssessment.algorithm': algorithm,
-        'causalityAssessment.score': score,
-        'causalityAssessment.category': category,
-        'causalityAssessment.comments': comments,
-        'causalityAssessment.assessedBy': req.user._id,
-        'causalityAssessment.assessmentDate': new Date(),
-        lastModifiedBy: req.user._id,
-        $inc: { version: 1 }
-      },
-      { new: true, runValidators: true }
-    ).populate('causalityAssessment.assessedBy', 'firstName lastName role');
-
+    const report = await ReportSideEffect.findById(id);
     if (!report) {
       return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND);
     }
 
-    sendSuccess(res, { 
-      causalityAssessment: report.causalityAssessment
-    }, 'Causality assessment updated successfully');
+    if (!(await canAccessReport(req.user, report))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
+    }
+
+    const before = report.toObject();
+
+    // Questionnaire answers decide the score and category; without them the
+    // reviewer's own category is recorded as before
+    const result = answers
+      ? causalityService.assess(algorithm, report, answers)
+      : { score, category, interpretation: undefined, answers: [] };
+
+    // Saved through the document so the change gets its own version snapshot
+    report.set({
+      'causalityAssessment.algorithm': algorithm,
+      'causalityAssessment.score': result.score ?? undefined,
+      'causalityAssessment.category': result.category,
+      'causalityAssessment.interpretation': result.interpretation,
+      'causalityAssessment.answers': result.answers,
+      'causalityAssessment.comments': comments,
+      'causalityAssessment.assessedBy': req.user._id,
+      'causalityAssessment.assessmentDate': new Date(),
+      lastModifiedBy: req.user._id
+    });
+    await report.save();
+    await report.populate('causalityAssessment.assessedBy', 'firstName lastName role');
+
+    await auditService.record({
+      req,
+      action: 'report.causality_update',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      before,
+      after: report,
+      metadata: { computed: Boolean(answers) }
+    });
+
+    sendSuccess(res, {
+      data: { causalityAssessment: report.causalityAssessment },
+      message: 'Causality assessment updated successfully'
+    });
 
   } catch (error) {
     console.error('Update causality assessment error:', error);
-    throw error;
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    return sendError(res, { message: 'Failed to update causality assessment' });
+  }
+};
+
+/**
+ * Causality questionnaire for a report, with answers prefilled from the
+ * report and from any earlier assessment with the same algorithm
+ * GET /api/reports/:id/causality/questionnaire?algorithm=Naranjo
+ */
+exports.getCausalityQuestionnaire = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { id } = req.params;
+    const { algorithm } = req.query;
+    validateObjectId(id, 'Report ID');
+
+    const report = await ReportSideEffect.findById(id);
+    if (!report || report.isDeleted) {
+      return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND);
+    }
+
+    if (!(await canAccessReport(req.user, report))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
+    }
+
+    const previous = report.causalityAssessment?.algorithm === algorithm
+      ? report.causalityAssessment.answers.filter(entry => entry.source === 'reviewer')
+      : [];
+    const answers = {
+      ...causalityService.prefillAnswers(algorithm, report),
+      ...Object.fromEntries(previous.map(entry => [entry.questionId, entry.answer]))
+    };
+
+    sendSuccess(res, {
+      data: {
+        questionnaire: causalityService.getQuestionnaire(algorithm),
+        answers,
+        result: causalityService.assess(algorithm, report, answers)
+      },
+      message: 'Causality questionnaire retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Get causality questionnaire error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    return sendError(res, { message: 'Failed to load causality questionnaire' });
+  }
+};
+
+/**
+ * Score questionnaire answers without saving them, for live feedback
+ * POST /api/reports/causality/evaluate
+ */
+exports.evaluateCausality = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    sendSuccess(res, {
+      data: causalityService.evaluate(req.body.algorithm, req.body.answers),
+      message: 'Causality evaluated successfully'
+    });
+
+  } catch (error) {
+    console.error('Evaluate causality error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    return sendError(res, { message: 'Failed to evaluate causality' });
+  }
+};
+
+/**
+ * Confirm or override the terminology coding of a report's side effects
+ * PUT /api/reports/:id/coding
+ *
+ * Body: { sideEffects: [{ sideEffectId, lltCodes: [...] }] }
+ */
+exports.updateReactionCoding = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { id } = req.params;
+    validateObjectId(id, 'Report ID');
+
+    const report = await ReportSideEffect.findById(id);
+    if (!report || report.isDeleted) {
+      return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND);
+    }
+
+    if (!(await canAccessReport(req.user, report))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
+    }
+
+    const before = report.toObject();
+
+    const coded = applyReactionCoding(report, req.body.sideEffects, req.user._id);
+    report.lastModifiedBy = req.user._id;
+    await report.save();
+    await syncProgressionTerms(coded);
+
+    await auditService.record({
+      req,
+      action: 'report.coding_update',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      before,
+      after: report
+    });
+
+    sendSuccess(res, {
+      data: { sideEffects: report.sideEffects },
+      message: 'Reaction coding updated successfully'
+    });
+  } catch (error) {
+    console.error('Update reaction coding error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    return sendError(res, { message: 'Failed to update reaction coding' });
   }
 };
 
@@ -363,6 +601,7 @@ exports.getReportsByMedicine = async (req, res) => {
     const filter = { medicine: medicineId, isActive: true, isDeleted: false };
     if (severity) filter['sideEffects.severity'] = severity;
     if (seriousness) filter['reportDetails.seriousness'] = seriousness;
+    filter.$and = [await careTeamService.reportScope(req.user)];
 
     const reports = await ReportSideEffect.find(filter)
       .populate([
@@ -398,14 +637,18 @@ exports.getSeriousReports = async (req, res) => {
     const { validatePagination } = require('../utils/validationHelper');
     const { page, limit, skip } = validatePagination(req.query);
 
+    const scope = await careTeamService.reportScope(req.user);
+
     const reports = await ReportSideEffect.findSeriousReports()
+      .and([scope])
       .skip(skip)
       .limit(limit);
 
     const total = await ReportSideEffect.countDocuments({ 
       'reportDetails.seriousness': 'Serious',
       isActive: true,
-      isDeleted: false
+      isDeleted: false,
+      $and: [scope]
     });
 
     const { sendPaginated } = require('../utils/responseHelper');
@@ -422,94 +665,264 @@ exports.getSeriousReports = async (req, res) => {
   }
 };
 
+// Open expedited cases by deadline, overdue first
+exports.getRegulatoryDue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { validatePagination } = require('../utils/validationHelper');
+    const { page, limit, skip } = validatePagination(req.query);
+
+    const { reports, total, summary } = await regulatoryDeadlineService.listDue({
+      status: req.query.status,
+      skip,
+      limit,
+      scope: await careTeamService.reportScope(req.user)
+    });
+
+    sendSuccess(res, {
+      data: { reports, summary },
+      message: 'Expedited reports retrieved successfully',
+      meta: {
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: page * limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get regulatory due reports error:', error);
+    sendError(res, { message: 'Failed to retrieve expedited reports' });
+  }
+};
+
+// Record expectedness and authority submission of an expedited case
+exports.updateRegulatoryInfo = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    validateObjectId(req.params.id, 'Report ID');
+    const { expectedness, submitted, submissionDate, authorityName, reportNumber } = req.body;
+
+    const report = await ReportSideEffect.findById(req.params.id);
+    if (!report) {
+      return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND || 'Report not found');
+    }
+
+    if (!(await canAccessReport(req.user, report))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
+    }
+
+    const before = report.toObject();
+    const regulatory = report.regulatoryInfo;
+
+    if (expectedness) regulatory.expeditedReporting.expectedness = expectedness;
+    if (authorityName !== undefined) regulatory.authorityName = authorityName;
+    if (reportNumber !== undefined) regulatory.reportNumber = reportNumber;
+
+    if (submitted === true) {
+      const submittedAt = submissionDate ? new Date(submissionDate) : new Date();
+      regulatory.expeditedReporting.submitted = true;
+      regulatory.expeditedReporting.submissionDate = submittedAt;
+      regulatory.reportedToAuthority = true;
+      regulatory.reportDate = submittedAt;
+    } else if (submitted === false) {
+      regulatory.expeditedReporting.submitted = false;
+      regulatory.expeditedReporting.submissionDate = undefined;
+      regulatory.reportedToAuthority = false;
+      regulatory.reportDate = undefined;
+    }
+
+    report.lastModifiedBy = req.user._id;
+    await report.save();
+
+    await auditService.record({
+      req,
+      action: 'report.regulatory_update',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      before,
+      after: report
+    });
+
+    alertExpeditedClock(report);
+
+    sendSuccess(res, {
+      data: { regulatoryInfo: report.regulatoryInfo, isExpeditedOverdue: report.isExpeditedOverdue },
+      message: 'Regulatory information updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update regulatory info error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    sendError(res, { message: 'Failed to update regulatory information' });
+  }
+};
+
+/**
+ * Re-run AI analysis of a report (doctor/admin), replacing the current analysis
+ * POST /api/reports/:id/reanalyze
+ */
+exports.reanalyzeReport = async (req, res) => {
+  try {
+    validateObjectId(req.params.id, 'Report ID');
+
+    const report = await ReportSideEffect.findById(req.params.id);
+    if (!report || report.isDeleted) {
+      return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND);
+    }
+
+    if (!(await canAccessReport(req.user, report))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
+    }
+
+    const active = await analysisJobService.findActive(report._id);
+    if (active) {
+      throw AppError.conflict(`An analysis of this report is already ${active.status}`);
+    }
+
+    const job = await analysisJobService.enqueue(report, {
+      trigger: 'reanalyze',
+      requestedBy: req.user._id,
+      force: true
+    });
+
+    await auditService.record({
+      req,
+      action: 'report.reanalyze',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      metadata: { jobId: job._id.toString(), previousModel: report.metadata?.aiModelUsed }
+    });
+
+    sendSuccess(res, {
+      data: { job },
+      message: 'Report queued for analysis',
+      statusCode: HTTP_STATUS.ACCEPTED
+    });
+  } catch (error) {
+    console.error('Reanalyze report error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    sendError(res, { message: 'Failed to queue report for analysis' });
+  }
+};
+
+/**
+ * AI analysis status of a report with its latest and earlier jobs
+ * GET /api/reports/:id/analysis-status
+ */
+exports.getAnalysisStatus = async (req, res) => {
+  try {
+    validateObjectId(req.params.id, 'Report ID');
+
+    const report = await ReportSideEffect.findById(req.params.id)
+      .select('reportedBy patient assignedTo doctorReview.assignedDoctor metadata.aiProcessed metadata.aiProcessedAt metadata.aiModelUsed metadata.aiProcessingError isDeleted');
+    if (!report || report.isDeleted) {
+      return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND);
+    }
+
+    if (!(await canAccessReport(req.user, report))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
+    }
+
+    sendSuccess(res, { data: await analysisJobService.getStatus(report) });
+  } catch (error) {
+    console.error('Get analysis status error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    sendError(res, { message: 'Failed to fetch analysis status' });
+  }
+};
+
 // Get dashboard statistics
 exports.getDashboardStats = async (req, res) => {
   try {
     const now = new Date();
     const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    // Counted over the reports the user may see
+    const active = { isActive: true, isDeleted: false, $and: [await careTeamService.reportScope(req.user)] };
     
     const stats = await Promise.all([
       // Total reports
-      ReportSideEffect.countDocuments({ isActive: true, isDeleted: false }),
+      ReportSideEffect.countDocuments(active),
       
       // Serious reports
       ReportSideEffect.countDocuments({ 
         'reportDetails.seriousness': 'Serious',
-        isActive: true, 
-        isDeleted: false 
+        ...active
       }),
       
       // Reports by status
       ReportSideEffect.aggregate([
-        { $match: { isActive: true, isDeleted: false } },
+        { $match: active },
         { $group: { _id: '$status', count: { $sum: 1 } } }
       ]),
       
       // Reports by priority
       ReportSideEffect.aggregate([
-        { $match: { isActive: true, isDeleted: false } },
+        { $match: active },
         { $group: { _id: '$priority', count: { $sum: 1 } } }
       ]),
       
-      // Most reported medicines
+      // Most reported active ingredients, so brands and generics of the
+      // same medicine count together
       ReportSideEffect.aggregate([
-        { $match: { isActive: true, isDeleted: false } },
-        { $group: { _id: '$medicine', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 5 },
-        {
-          $lookup: {
-            from: 'medicines',
-            localField: '_id',
-            foreignField: '_id',
-            as: 'medicine'
-          }
-        },
-        { $unwind: '$medicine' },
-        {
-          $project: {
-            medicineName: '$medicine.name',
-            medicineGeneric: '$medicine.genericName',
-            reportCount: '$count'
-          }
-        }
+        { $match: active },
+        ...Medication.ingredientCountStages(),
+        { $limit: 5 }
       ]),
       
       // AI severity distribution (from AI analysis)
       ReportSideEffect.aggregate([
-        { $match: { isActive: true, isDeleted: false, 'metadata.aiProcessed': true } },
+        { $match: { ...active, 'metadata.aiProcessed': true } },
         { $group: { _id: '$metadata.aiAnalysis.severity.level', count: { $sum: 1 } } }
       ]),
       
       // Patient-reported severity distribution (from sideEffects)
       ReportSideEffect.aggregate([
-        { $match: { isActive: true, isDeleted: false } },
+        { $match: active },
         { $unwind: '$sideEffects' },
         { $group: { _id: '$sideEffects.severity', count: { $sum: 1 } } }
       ]),
       
       // Reports this week
       ReportSideEffect.countDocuments({ 
-        isActive: true, isDeleted: false, 
+        ...active,
         createdAt: { $gte: weekAgo } 
       }),
       
       // AI processed count
       ReportSideEffect.countDocuments({ 
-        isActive: true, isDeleted: false, 
+        ...active,
         'metadata.aiProcessed': true 
       }),
       
       // Pending review requests
       ReportSideEffect.countDocuments({
-        isActive: true, isDeleted: false,
+        ...active,
         'doctorReview.requested': true,
         'doctorReview.status': { $in: ['pending', 'in_review'] }
       }),
       
       // Severe + Life-threatening (AI-detected OR patient-reported)
       ReportSideEffect.countDocuments({
-        isActive: true, isDeleted: false,
+        ...active,
         $or: [
           { 'metadata.aiAnalysis.severity.level': { $in: ['Severe', 'Life-threatening'] } },
           { 'sideEffects.severity': { $in: ['Severe', 'Life-threatening'] } }
@@ -518,9 +931,16 @@ exports.getDashboardStats = async (req, res) => {
       
       // High + Critical priority
       ReportSideEffect.countDocuments({
-        isActive: true, isDeleted: false,
+        ...active,
         priority: { $in: ['High', 'Critical'] }
-      })
+      }),
+
+      // Most reported reactions, grouped by coded preferred term
+      ReportSideEffect.aggregate([
+        { $match: active },
+        ...terminologyService.preferredTermStages(),
+        { $limit: 10 }
+      ])
     ]);
 
     sendSuccess(res, {
@@ -529,14 +949,15 @@ exports.getDashboardStats = async (req, res) => {
         seriousReports: stats[1],
         reportsByStatus: stats[2],
         reportsByPriority: stats[3],
-        mostReportedMedicines: stats[4],
+        mostReportedIngredients: stats[4],
         aiSeverityDistribution: stats[5],
         patientSeverityDistribution: stats[6],
         reportsThisWeek: stats[7],
         aiProcessedCount: stats[8],
         pendingReviewCount: stats[9],
         severeCaseCount: stats[10],
-        highPriorityCount: stats[11]
+        highPriorityCount: stats[11],
+        topReactions: stats[12]
       },
       message: 'Dashboard statistics retrieved successfully'
     });
@@ -548,48 +969,53 @@ exports.getDashboardStats = async (req, res) => {
 };
 
 // Helper functions
+// Users see their own reports, reports they were assigned and those of their
+// care-team patients; report:read_all sees everything
 function canAccessReport(user, report) {
-  // Admin can access all reports
-  if (user.role === 'admin') return true;
-  
-  // Get the reportedBy ID (handle both populated and non-populated cases)
-  const reportedById = report.reportedBy?._id?.toString() || report.reportedBy?.toString();
-  const patientId = report.patient?._id?.toString() || report.patient?.toString();
-  const assignedToId = report.assignedTo?._id?.toString() || report.assignedTo?.toString();
-  const userId = user._id.toString();
-  
-  // User can access reports they submitted
-  if (reportedById === userId) return true;
-  
-  // Patient can access reports about them
-  if (user.role === 'patient' && patientId === userId) return true;
-  
-  // Doctor can access reports they're assigned to or submitted
-  if (user.role === 'doctor' && assignedToId === userId) return true;
-  
-  // Doctors can access all reports for review purposes
-  if (user.role === 'doctor') return true;
-  
-  return false;
+  return careTeamService.canAccessReport(user, report);
 }
 
-function canModifyReport(user, report) {
-  // Admin can modify all reports
-  if (user.role === 'admin') return true;
-  
-  // Doctor can modify reports assigned to them
-  if (user.role === 'doctor' && report.assignedTo && report.assignedTo.toString() === user._id.toString()) return true;
-  
+async function canModifyReport(user, report) {
   // User can modify their own draft reports
   if (report.reportedBy.toString() === user._id.toString() && report.status === 'Draft') return true;
-  
-  return false;
+
+  // Reviewers can modify reports assigned to them
+  if (report.assignedTo && report.assignedTo.toString() === user._id.toString()) {
+    return permissionService.hasPermission(user, 'report:review');
+  }
+
+  return permissionService.hasPermission(user, 'report:edit_all');
+}
+
+/**
+ * Apply reviewer coding entries to a report's side effects
+ * @param {Object} report - ReportSideEffect document
+ * @param {Array<{sideEffectId: string, lltCodes: Array<string>}>} entries - Coding per side effect
+ * @param {string} userId - Reviewer
+ * @returns {Array<Object>} Updated side effects
+ * @throws {AppError} 404 for an unknown side effect, 400 for an unknown code
+ */
+function applyReactionCoding(report, entries, userId) {
+  return entries.map(({ sideEffectId, lltCodes }) => {
+    const sideEffect = report.sideEffects.id(sideEffectId);
+    if (!sideEffect) {
+      throw new AppError(`Side effect ${sideEffectId} not found in this report`, 404);
+    }
+    return terminologyService.applyReviewedCoding(sideEffect, lltCodes, userId);
+  });
 }
 
-async function getPatientIds(doctorId) {
-  // This would typically get patient IDs for a specific doctor
-  // Implementation depends on your appointment/patient management system
-  return [];
+// Keep symptom progressions grouped under the reviewed preferred term
+async function syncProgressionTerms(sideEffects) {
+  await Promise.all(sideEffects.map((sideEffect) => {
+    const [term] = sideEffect.coding.terms;
+    return SymptomProgression.updateMany(
+      { 'symptom.originalSideEffectId': sideEffect._id },
+      term
+        ? { $set: { 'symptom.preferredTerm': { code: term.ptCode, name: term.ptName } } }
+        : { $unset: { 'symptom.preferredTerm': '' } }
+    );
+  }));
 }
 
 // ============================================
@@ -609,12 +1035,18 @@ exports.findDuplicates = async (req, res) => {
     const { id } = req.params;
     validateObjectId(id, 'Report ID');
 
-    // Only doctors and admins can check for duplicates
-    if (req.user.role === USER_ROLES.PATIENT) {
-      return sendForbidden(res, 'Only healthcare staff can access duplicate detection');
+    const report = await ReportSideEffect.findById(id).select('reportedBy patient assignedTo doctorReview.assignedDoctor');
+    if (!report) {
+      return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND);
+    }
+    if (!(await canAccessReport(req.user, report))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
     }
 
-    const result = await DuplicateDetectionService.findDuplicates(id);
+    // Only reports the user may see are offered as duplicates
+    const result = await DuplicateDetectionService.findDuplicates(id, {
+      scope: await careTeamService.reportScope(req.user)
+    });
     
     sendSuccess(res, result, 'Duplicate analysis completed successfully');
   } catch (error) {
@@ -636,7 +1068,9 @@ exports.checkDuplicatesBeforeSubmission = async (req, res) => {
   try {
     const reportData = req.body;
     
-    const result = await DuplicateDetectionService.checkForDuplicatesBeforeSubmission(reportData);
+    const result = await DuplicateDetectionService.checkForDuplicatesBeforeSubmission(reportData, {
+      scope: await careTeamService.reportScope(req.user)
+    });
     
     sendSuccess(res, {
       ...result,
@@ -664,23 +1098,37 @@ exports.flagAsDuplicate = async (req, res) => {
     validateObjectId(id, 'Report ID');
     validateObjectId(originalReportId, 'Original Report ID');
 
-    // Only doctors and admins can flag duplicates
-    if (req.user.role === USER_ROLES.PATIENT) {
-      return sendForbidden(res, 'Only healthcare staff can flag duplicates');
-    }
-
     // Verify original report exists
     const originalReport = await ReportSideEffect.findById(originalReportId);
     if (!originalReport) {
       return sendNotFound(res, 'Original report not found');
     }
 
+    const before = await ReportSideEffect.findById(id).lean();
+    if (!before) {
+      return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND);
+    }
+    // Both reports must be ones the user may see
+    if (!(await canAccessReport(req.user, before)) || !(await canAccessReport(req.user, originalReport))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
+    }
+
     const report = await DuplicateDetectionService.flagAsDuplicate(
       id, 
       originalReportId, 
       req.user._id
     );
 
+    await auditService.record({
+      req,
+      action: 'report.flag_duplicate',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      before,
+      after: report,
+      metadata: { originalReportId }
+    });
+
     await report.populate([
       { path: 'metadata.duplicateOf', select: 'reportDetails.reportDate medicine' },
       { path: 'metadata.duplicateFlaggedBy', select: 'firstName lastName' }
@@ -705,12 +1153,9 @@ exports.flagAsDuplicate = async (req, res) => {
  */
 exports.getDuplicateStats = async (req, res) => {
   try {
-    // Only doctors and admins can access stats
-    if (req.user.role === USER_ROLES.PATIENT) {
-      return sendForbidden(res, 'Only healthcare staff can access duplicate statistics');
-    }
-
-    const stats = await DuplicateDetectionService.getDuplicateStats();
+    const stats = await DuplicateDetectionService.getDuplicateStats({
+      scope: await careTeamService.reportScope(req.user)
+    });
     
     sendSuccess(res, stats, 'Duplicate statistics retrieved successfully');
   } catch (error) {
@@ -723,12 +1168,19 @@ exports.getDuplicateStats = async (req, res) => {
  * Request a doctor review for a report
  * POST /api/reports/:id/request-review
  * 
- * Allows patients to request a doctor's review of their side effect report
+ * Allows patients to request a doctor's review of their side effect report. The
+ * request goes to the chosen care-team doctor or, by default, the patient's own
+ * doctor; without a care team it waits for an admin to assign one.
  */
 exports.requestDoctorReview = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
     const { id } = req.params;
-    const { reason } = req.body;
+    const { reason, doctorId } = req.body;
     
     validateObjectId(id, 'Report ID');
 
@@ -742,6 +1194,9 @@ exports.requestDoctorReview = async (req, res) => {
         report.reportedBy.toString() !== req.user._id.toString()) {
       return sendForbidden(res, 'You can only request review for your own reports');
     }
+    if (!(await canAccessReport(req.user, report))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
+    }
 
     // Check if review already requested
     if (report.doctorReview?.requested) {
@@ -751,22 +1206,54 @@ exports.requestDoctorReview = async (req, res) => {
       });
     }
 
+    // Route the request to a doctor on the patient's care team
+    const patientId = report.patient || report.reportedBy;
+    if (doctorId && !(await careTeamService.isOnCareTeam(doctorId, patientId))) {
+      return sendError(res, {
+        message: 'The selected doctor is not on this patient\'s care team',
+        statusCode: HTTP_STATUS.BAD_REQUEST
+      });
+    }
+    const assignedDoctor = doctorId || await careTeamService.getPrimaryDoctorId(patientId);
+
+    const before = report.toObject();
+
     // Update the report with review request
+    const requestedAt = new Date();
     report.doctorReview = {
       requested: true,
-      requestedAt: new Date(),
+      requestedAt,
       requestedBy: req.user._id,
       requestReason: reason || 'Patient requested doctor review',
-      status: 'pending'
+      status: 'pending',
+      ...(assignedDoctor && { assignedDoctor, assignedAt: requestedAt })
     };
+    report.lastModifiedBy = req.user._id;
 
     await report.save();
 
+    await auditService.record({
+      req,
+      action: 'report.review_request',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      before,
+      after: report
+    });
+
     await report.populate([
       { path: 'reportedBy', select: 'firstName lastName' },
       { path: 'medicine', select: 'name genericName' }
     ]);
 
+    if (assignedDoctor) {
+      notificationService.notifyReviewRequested(report, assignedDoctor).catch((err) => {
+        console.error('[Report Controller] Failed to notify doctor of review request:', err);
+      });
+    }
+
+    await report.populate({ path: 'doctorReview.assignedDoctor', select: 'firstName lastName' });
+
     sendSuccess(res, { data: { report }, message: 'Doctor review requested successfully' });
   } catch (error) {
     console.error('Request doctor review error:', error);
@@ -785,28 +1272,17 @@ exports.requestDoctorReview = async (req, res) => {
  */
 exports.getPendingReviews = async (req, res) => {
   try {
-    // Only doctors and admins can access pending reviews
-    if (req.user.role === USER_ROLES.PATIENT) {
-      return sendForbidden(res, 'Only healthcare staff can access pending reviews');
-    }
-
     const { validatePagination } = require('../utils/validationHelper');
     const { page, limit, skip } = validatePagination(req.query);
 
-    const filter = {
-      isActive: true,
-      isDeleted: false,
-      'doctorReview.requested': true,
-      'doctorReview.status': { $in: ['pending', 'in_review'] }
-    };
-
     // If specific doctor, filter by assigned
-    if (req.query.assignedToMe === 'true') {
-      filter['doctorReview.assignedDoctor'] = req.user._id;
-    }
+    const options = req.query.assignedToMe === 'true' ? { assignedDoctor: req.user._id } : {};
+    // Doctors see requests of their care-team patients and those assigned to them
+    const scope = await careTeamService.reportScope(req.user);
 
     const [reports, total] = await Promise.all([
-      ReportSideEffect.find(filter)
+      ReportSideEffect.findPendingReviews(options)
+        .and([scope])
         .populate('reportedBy', 'firstName lastName email')
         .populate('medicine', 'name genericName category')
         .populate('patient', 'firstName lastName')
@@ -814,7 +1290,7 @@ exports.getPendingReviews = async (req, res) => {
         .sort({ 'doctorReview.requestedAt': -1 })
         .skip(skip)
         .limit(limit),
-      ReportSideEffect.countDocuments(filter)
+      ReportSideEffect.findPendingReviews(options).and([scope]).countDocuments()
     ]);
 
     sendSuccess(res, { 
@@ -848,6 +1324,11 @@ exports.getPendingReviews = async (req, res) => {
  */
 exports.submitDoctorReview = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
     const { id } = req.params;
     const { 
       remarks, 
@@ -857,21 +1338,26 @@ exports.submitDoctorReview = async (req, res) => {
       actionRequired,
       followUpRequired,
       followUpDate,
-      additionalNotes 
+      additionalNotes,
+      coding,
+      seriousness,
+      seriousnessReason,
+      expectedness
     } = req.body;
     
     validateObjectId(id, 'Report ID');
 
-    // Only doctors and admins can submit reviews
-    if (req.user.role === USER_ROLES.PATIENT) {
-      return sendForbidden(res, 'Only healthcare staff can submit reviews');
-    }
-
     const report = await ReportSideEffect.findById(id);
     if (!report) {
       return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND || 'Report not found');
     }
 
+    if (!(await canAccessReport(req.user, report))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
+    }
+
+    const before = report.toObject();
+
     // Update doctor review information
     report.doctorReview = {
       ...report.doctorReview,
@@ -890,10 +1376,29 @@ exports.submitDoctorReview = async (req, res) => {
       }
     };
 
+    // Reviewer's confirmed or overridden reaction codes
+    const coded = coding ? applyReactionCoding(report, coding, req.user._id) : [];
+
+    // Reviewer's seriousness classification; a serious unexpected case starts the expedited clock on save
+    if (seriousness) report.reportDetails.seriousness = seriousness;
+    if (seriousnessReason) report.reportDetails.seriousnessReason = seriousnessReason;
+    if (expectedness) report.regulatoryInfo.expeditedReporting.expectedness = expectedness;
+
     // Update report status to reviewed
     report.status = 'Reviewed';
+    report.lastModifiedBy = req.user._id;
 
     await report.save();
+    await syncProgressionTerms(coded);
+
+    await auditService.record({
+      req,
+      action: 'report.review_submit',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      before,
+      after: report
+    });
 
     await report.populate([
       { path: 'reportedBy', select: 'firstName lastName' },
@@ -902,22 +1407,31 @@ exports.submitDoctorReview = async (req, res) => {
       { path: 'doctorReview.reviewedBy', select: 'firstName lastName' }
     ]);
 
-    // Notify patient that review is complete
+    alertExpeditedClock(report);
+
+    // Notify patient that review is complete and evaluate staff notification rules
     setImmediate(async () => {
       try {
         await notificationService.notifyReviewComplete(report);
       } catch (err) {
         console.error('[Report Controller] Failed to send review notification:', err);
       }
+      try {
+        await notificationRuleService.evaluate('status_changed', report._id, {
+          eventKey: 'status_changed:Reviewed'
+        });
+      } catch (err) {
+        console.error('[Report Controller] Failed to evaluate notification rules:', err);
+      }
     });
 
     sendSuccess(res, { data: { report }, message: 'Doctor review submitted successfully' });
   } catch (error) {
     console.error('Submit doctor review error:', error);
     if (error.statusCode) {
-      return sendError(res, error.message, error.statusCode);
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
     }
-    return sendError(res, 'Failed to submit doctor review', 500);
+    return sendError(res, { message: 'Failed to submit doctor review' });
   }
 };
 
@@ -935,11 +1449,6 @@ exports.assignToDoctor = async (req, res) => {
     validateObjectId(id, 'Report ID');
     validateObjectId(doctorId, 'Doctor ID');
 
-    // Only admins can assign
-    if (req.user.role !== USER_ROLES.ADMIN) {
-      return sendForbidden(res, 'Only administrators can assign reports to doctors');
-    }
-
     // Verify doctor exists and is a doctor
     const doctor = await User.findById(doctorId);
     if (!doctor || doctor.role !== USER_ROLES.DOCTOR) {
@@ -951,6 +1460,8 @@ exports.assignToDoctor = async (req, res) => {
       return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND || 'Report not found');
     }
 
+    const before = report.toObject();
+
     // Update assignment
     report.doctorReview = {
       ...report.doctorReview,
@@ -958,9 +1469,19 @@ exports.assignToDoctor = async (req, res) => {
       assignedAt: new Date(),
       status: 'in_review'
     };
+    report.lastModifiedBy = req.user._id;
 
     await report.save();
 
+    await auditService.record({
+      req,
+      action: 'report.assign_doctor',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      before,
+      after: report
+    });
+
     await report.populate([
       { path: 'doctorReview.assignedDoctor', select: 'firstName lastName email' }
     ]);
@@ -973,4 +1494,133 @@ exports.assignToDoctor = async (req, res) => {
     }
     return sendError(res, 'Failed to assign report to doctor', 500);
   }
-};
\ No newline at end of file
+};
+/**
+ * List the saved versions of a report
+ * GET /api/reports/:id/versions
+ */
+exports.getReportVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    validateObjectId(id, 'Report ID');
+
+    const report = await ReportSideEffect.findById(id);
+    if (!report || report.isDeleted) {
+      return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND);
+    }
+
+    if (!(await canAccessReport(req.user, report))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
+    }
+
+    const versions = await reportVersionService.listVersions(report._id);
+
+    sendSuccess(res, { data: { currentVersion: report.version, versions } });
+  } catch (error) {
+    console.error('Get report versions error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    return sendError(res, { message: 'Failed to fetch report versions' });
+  }
+};
+
+/**
+ * Field-level diff of one report version against the previous one
+ * (or against ?against=<version>)
+ * GET /api/reports/:id/versions/:version/diff
+ */
+exports.getReportVersionDiff = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { id } = req.params;
+    validateObjectId(id, 'Report ID');
+
+    const report = await ReportSideEffect.findById(id);
+    if (!report || report.isDeleted) {
+      return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND);
+    }
+
+    if (!(await canAccessReport(req.user, report))) {
+      return sendForbidden(res, ERROR_MESSAGES.FORBIDDEN);
+    }
+
+    const version = parseInt(req.params.version, 10);
+    const against = req.query.against !== undefined ? parseInt(req.query.against, 10) : undefined;
+
+    const result = await reportVersionService.getVersionDiff(report._id, version, against);
+    if (!result) {
+      return sendNotFound(res, 'Report version not found');
+    }
+
+    sendSuccess(res, { data: result });
+  } catch (error) {
+    console.error('Get report version diff error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    return sendError(res, { message: 'Failed to fetch report version diff' });
+  }
+};
+
+/**
+ * Restore a report to an earlier version (admin only). The restore is saved
+ * as a new version.
+ * POST /api/reports/:id/versions/:version/restore
+ */
+exports.restoreReportVersion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { id } = req.params;
+    validateObjectId(id, 'Report ID');
+
+    const report = await ReportSideEffect.findById(id);
+    if (!report || report.isDeleted) {
+      return sendNotFound(res, ERROR_MESSAGES.REPORT_NOT_FOUND);
+    }
+
+    const version = parseInt(req.params.version, 10);
+    if (version === report.version) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already the current version of the report'
+      });
+    }
+
+    const before = report.toObject();
+
+    const restored = await reportVersionService.restoreVersion(report, version, req.user._id);
+    if (!restored) {
+      return sendNotFound(res, 'Report version not found');
+    }
+
+    await auditService.record({
+      req,
+      action: 'report.restore_version',
+      entityType: 'ReportSideEffect',
+      entityId: report._id,
+      before,
+      after: restored,
+      metadata: { restoredFrom: version, reason: req.body.reason }
+    });
+
+    sendSuccess(res, {
+      data: { report: restored },
+      message: `Report restored to version ${version}`
+    });
+  } catch (error) {
+    console.error('Restore report version error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    return sendError(res, { message: 'Failed to restore report version' });
+  }
+};
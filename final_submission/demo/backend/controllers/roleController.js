@@ -0,0 +1,169 @@
+const { validationResult } = require('express-validator');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const { BUILT_IN_ROLES } = require('../config/permissions');
+const Role = require('../models/Role');
+const { sendSuccess, sendCreated, sendValidationError, sendError } = require('../utils/responseHelper');
+
+// Send a validation or lookup error with its status, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error.statusCode) {
+    return sendError(res, { message: error.message, statusCode: error.statusCode });
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(e => e.message);
+    return sendError(res, { message: messages.join('. '), statusCode: 422 });
+  }
+  sendError(res, { message });
+};
+
+// Built-in roles with their current permissions, then custom roles
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await permissionService.listRoles();
+
+    sendSuccess(res, {
+      data: roles,
+      message: 'Roles retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    sendError(res, { message: 'Failed to retrieve roles' });
+  }
+};
+
+// The permission registry, and what a role can be built on
+exports.getPermissions = async (req, res) => {
+  sendSuccess(res, {
+    data: {
+      permissions: Object.entries(permissionService.PERMISSIONS).map(([key, description]) => ({
+        key,
+        group: key.split(':')[0],
+        description
+      })),
+      baseRoles: BUILT_IN_ROLES,
+      reporterRoles: Role.REPORTER_ROLES
+    },
+    message: 'Permissions retrieved successfully'
+  });
+};
+
+exports.createRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const role = await permissionService.createRole(req.body, req.user);
+
+    await auditService.record({
+      req,
+      action: 'role.create',
+      entityType: 'Role',
+      entityId: role._id,
+      after: role
+    });
+
+    sendCreated(res, role, 'Role created successfully');
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    handleError(res, error, 'Failed to create role');
+  }
+};
+
+// Edit a custom role, or the permissions of the built-in doctor or patient role
+exports.updateRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { before, after } = await permissionService.updateRole(req.params.role, req.body, req.user);
+
+    await auditService.record({
+      req,
+      action: 'role.update',
+      entityType: 'Role',
+      entityId: after._id,
+      before,
+      after,
+      metadata: { role: after.name }
+    });
+
+    sendSuccess(res, {
+      data: after,
+      message: 'Role updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    handleError(res, error, 'Failed to update role');
+  }
+};
+
+// Delete a custom role, or reset a built-in role to its default permissions
+exports.deleteRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const role = await permissionService.deleteRole(req.params.role);
+    const builtIn = BUILT_IN_ROLES.includes(req.params.role);
+
+    if (role) {
+      await auditService.record({
+        req,
+        action: builtIn ? 'role.reset' : 'role.delete',
+        entityType: 'Role',
+        entityId: role._id,
+        before: role,
+        metadata: { role: role.name }
+      });
+    }
+
+    sendSuccess(res, {
+      message: builtIn ? 'Role reset to its default permissions' : 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    handleError(res, error, 'Failed to delete role');
+  }
+};
+
+// Give a user a custom role, or take it away with roleId null
+exports.assignRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { before, after, role } = await permissionService.assignRole(req.params.userId, req.body.roleId || null, req.user);
+
+    await auditService.record({
+      req,
+      action: 'role.assign',
+      entityType: 'User',
+      entityId: req.params.userId,
+      before,
+      after,
+      metadata: { role: role ? role.name : null }
+    });
+
+    sendSuccess(res, {
+      data: { userId: req.params.userId, customRole: role },
+      message: role ? `Role ${role.name} assigned` : 'Custom role removed'
+    });
+
+  } catch (error) {
+    console.error('Assign role error:', error);
+    handleError(res, error, 'Failed to assign role');
+  }
+};
@@ -0,0 +1,179 @@
+const { validationResult } = require('express-validator');
+const Signal = require('../models/Signal');
+const signalDetectionService = require('../services/signalDetectionService');
+const auditService = require('../services/auditService');
+const { sendPaginated, sendSuccess, sendNotFound, sendValidationError, sendError } = require('../utils/responseHelper');
+const { validatePagination, validateObjectId } = require('../utils/validationHelper');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// Build a Mongo filter from the signal list query string
+const buildFilter = (query) => {
+  const { status, active, ingredient, medicine, search } = query;
+  const filter = {};
+
+  if (status) filter.status = status;
+  if (active !== undefined) filter.isActive = active === 'true';
+  if (ingredient) filter.ingredient = ingredient.toLowerCase();
+  if (medicine) filter['medicines._id'] = medicine;
+  if (search) {
+    const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    filter.$or = [{ ingredientName: pattern }, { 'medicines.name': pattern }, { 'event.ptName': pattern }];
+  }
+
+  return filter;
+};
+
+// List signals, strongest active ones first
+exports.getSignals = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { page, limit, skip } = validatePagination(req.query);
+    const filter = buildFilter(req.query);
+
+    const [signals, total] = await Promise.all([
+      Signal.find(filter)
+        .sort({ isActive: -1, 'metrics.prr': -1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-statusHistory')
+        .lean(),
+      Signal.countDocuments(filter)
+    ]);
+
+    sendPaginated(res, signals, {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Get signals error:', error);
+    sendError(res, { message: 'Failed to retrieve signals' });
+  }
+};
+
+// Signal counts by status, for dashboard badges
+exports.getSignalSummary = async (req, res) => {
+  try {
+    const rows = await Signal.aggregate([
+      {
+        $group: {
+          _id: '$status',
+          total: { $sum: 1 },
+          active: { $sum: { $cond: ['$isActive', 1, 0] } }
+        }
+      }
+    ]);
+
+    const byStatus = Object.fromEntries(Signal.STATUSES.map((status) => {
+      const row = rows.find(r => r._id === status);
+      return [status, { total: row?.total || 0, active: row?.active || 0 }];
+    }));
+
+    sendSuccess(res, {
+      data: { byStatus },
+      message: 'Signal summary retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Get signal summary error:', error);
+    sendError(res, { message: 'Failed to retrieve signal summary' });
+  }
+};
+
+// A single signal with its status history
+exports.getSignalById = async (req, res) => {
+  try {
+    validateObjectId(req.params.id, 'Signal ID');
+
+    const signal = await Signal.findById(req.params.id)
+      .populate('statusHistory.changedBy', 'firstName lastName role');
+    if (!signal) {
+      return sendNotFound(res, 'Signal not found');
+    }
+
+    sendSuccess(res, {
+      data: signal,
+      message: 'Signal retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Get signal error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    sendError(res, { message: 'Failed to retrieve signal' });
+  }
+};
+
+// Move a signal through evaluation (new -> under_evaluation -> refuted/confirmed)
+exports.updateSignalStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    validateObjectId(req.params.id, 'Signal ID');
+    const { status, comment } = req.body;
+
+    const signal = await Signal.findById(req.params.id);
+    if (!signal) {
+      return sendNotFound(res, 'Signal not found');
+    }
+
+    const before = signal.toObject();
+    signal.status = status;
+    signal.statusHistory.push({ status, comment, changedBy: req.user._id, changedAt: new Date() });
+    await signal.save();
+
+    await auditService.record({
+      req,
+      action: 'signal.status_update',
+      entityType: 'Signal',
+      entityId: signal._id,
+      before,
+      after: signal,
+      metadata: comment ? { comment } : undefined
+    });
+
+    sendSuccess(res, {
+      data: signal,
+      message: 'Signal status updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update signal status error:', error);
+    if (error.statusCode) {
+      return sendError(res, { message: error.message, statusCode: error.statusCode });
+    }
+    sendError(res, { message: 'Failed to update signal status' });
+  }
+};
+
+// Run detection now instead of waiting for the schedule
+exports.runDetection = async (req, res) => {
+  try {
+    const summary = await signalDetectionService.run();
+    if (summary.skipped) {
+      return sendError(res, {
+        message: 'Signal detection is already running on another server',
+        statusCode: HTTP_STATUS.CONFLICT
+      });
+    }
+
+    sendSuccess(res, {
+      data: summary,
+      message: 'Signal detection completed'
+    });
+
+  } catch (error) {
+    console.error('Run signal detection error:', error);
+    sendError(res, { message: 'Signal detection failed' });
+  }
+};
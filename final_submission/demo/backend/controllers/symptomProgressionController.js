@@ -7,6 +7,27 @@ const { validationResult } = require('express-validator');
 const symptomProgressionService = require('../services/symptomProgressionService');
 const symptomProgressionAnalytics = require('../services/symptomProgressionAnalytics');
 const ReportSideEffect = require('../models/ReportSideEffect');
+const SymptomProgression = require('../models/SymptomProgression');
+const auditService = require('../services/auditService');
+const careTeamService = require('../services/careTeamService');
+const permissionService = require('../services/permissionService');
+
+/**
+ * Audit a progression change. Both states are read straight from the model so
+ * populated fields in service results don't show up as changes.
+ */
+async function auditProgression(req, action, progressionId, before, metadata) {
+  const after = await SymptomProgression.findById(progressionId).lean();
+  await auditService.record({
+    req,
+    action,
+    entityType: 'SymptomProgression',
+    entityId: progressionId,
+    before,
+    after,
+    metadata
+  });
+}
 
 /**
  * Create a new symptom progression from an existing side effect report
@@ -32,6 +53,14 @@ const createProgressionFromReport = async (req, res) => {
       });
     }
 
+    const canAccess = await checkPatientAccess(patientId.toString(), req.user);
+    if (!canAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to patient progressions'
+      });
+    }
+
     const reportData = { reportId };
     const symptomData = { 
       sideEffectId, 
@@ -45,6 +74,8 @@ const createProgressionFromReport = async (req, res) => {
       patientId
     );
 
+    await auditProgression(req, 'progression.create', progression._id, null, { reportId });
+
     res.status(201).json({
       success: true,
       message: 'Symptom progression tracking created successfully',
@@ -80,11 +111,15 @@ const addProgressionEntry = async (req, res) => {
       enteredBy: req.user._id
     };
 
+    const before = await SymptomProgression.findById(progressionId).lean();
+
     const updatedProgression = await symptomProgressionService.addProgressionEntry(
       progressionId,
       entryData
     );
 
+    await auditProgression(req, 'progression.add_entry', progressionId, before);
+
     res.json({
       success: true,
       message: 'Progression entry added successfully',
@@ -193,14 +228,6 @@ const getProgressionsByPatient = async (req, res) => {
  */
 const getProgressionsNeedingAttention = async (req, res) => {
   try {
-    // Only healthcare providers and admins can access this endpoint
-    if (!['doctor', 'admin', 'pharmacist'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Healthcare provider access required.'
-      });
-    }
-
     const filters = {
       severity: req.query.severity,
       bodySystem: req.query.bodySystem,
@@ -210,6 +237,9 @@ const getProgressionsNeedingAttention = async (req, res) => {
     // Remove undefined filters
     Object.keys(filters).forEach(key => filters[key] === undefined && delete filters[key]);
 
+    // Doctors only see their care-team patients
+    filters.scope = await careTeamService.progressionScope(req.user);
+
     const progressions = await symptomProgressionService.getProgressionsNeedingAttention(filters);
 
     res.json({
@@ -255,12 +285,16 @@ const updateProgressionStatus = async (req, res) => {
       });
     }
 
+    const before = await SymptomProgression.findById(progressionId).lean();
+
     const updatedProgression = await symptomProgressionService.updateProgressionStatus(
       progressionId,
       status,
       req.user._id
     );
 
+    await auditProgression(req, 'progression.status_update', progressionId, before);
+
     res.json({
       success: true,
       message: 'Progression status updated successfully',
@@ -304,12 +338,16 @@ const acknowledgeAlerts = async (req, res) => {
       });
     }
 
+    const before = await SymptomProgression.findById(progressionId).lean();
+
     const updatedProgression = await symptomProgressionService.acknowledgeAlerts(
       progressionId,
       alertIds,
       req.user._id
     );
 
+    await auditProgression(req, 'progression.acknowledge_alerts', progressionId, before, { alertIds });
+
     res.json({
       success: true,
       message: 'Alerts acknowledged successfully',
@@ -346,9 +384,12 @@ const searchProgressions = async (req, res) => {
       sortOrder: req.query.sortOrder || 'desc'
     };
 
-    // If user is a patient, restrict search to their own progressions
+    // If user is a patient, restrict search to their own progressions; doctors
+    // to their care-team patients
     if (req.user.role === 'patient') {
       searchParams.patientId = req.user._id;
+    } else {
+      searchParams.scope = await careTeamService.progressionScope(req.user);
     }
 
     const result = await symptomProgressionService.searchProgressions(searchParams);
@@ -372,15 +413,8 @@ const searchProgressions = async (req, res) => {
  */
 const getProgressionAnalytics = async (req, res) => {
   try {
-    // Only healthcare providers and admins can access analytics
-    if (!['doctor', 'admin', 'pharmacist'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Healthcare provider access required.'
-      });
-    }
-
-    const filters = {};
+    // Doctors only see their care-team patients
+    const filters = await careTeamService.progressionScope(req.user);
     
     // Apply query filters
     if (req.query.medicineId) filters.medicine = req.query.medicineId;
@@ -425,11 +459,10 @@ const generateProgressionReport = async (req, res) => {
       });
     }
 
-    // Only healthcare providers and admins can generate reports
-    if (!['doctor', 'admin', 'pharmacist'].includes(req.user.role)) {
+    if (req.body.type === 'patient' && !(await checkPatientAccess(req.body.entityId, req.user))) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Healthcare provider access required.'
+        message: 'Access denied to patient progressions'
       });
     }
 
@@ -438,7 +471,9 @@ const generateProgressionReport = async (req, res) => {
       entityId: req.body.entityId,
       startDate: req.body.startDate,
       endDate: req.body.endDate,
-      includeAnalytics: req.body.includeAnalytics !== false
+      includeAnalytics: req.body.includeAnalytics !== false,
+      // Doctors only see their care-team patients
+      scope: await careTeamService.progressionScope(req.user)
     };
 
     const report = await symptomProgressionService.generateProgressionReport(reportParams);
@@ -463,16 +498,18 @@ const generateProgressionReport = async (req, res) => {
  */
 const getProgressionSummary = async (req, res) => {
   try {
-    let filters = {};
-    
-    // If user is a patient, only show their progressions
-    if (req.user.role === 'patient') {
-      filters.patient = req.user._id;
-    }
+    // Patients see their own progressions, doctors their care-team patients'
+    let filters = await careTeamService.progressionScope(req.user);
     
     // Apply additional filters for healthcare providers
     if (req.query.patientId && req.user.role !== 'patient') {
-      filters.patient = req.query.patientId;
+      if (!(await checkPatientAccess(req.query.patientId, req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied to patient progressions'
+        });
+      }
+      filters = { patient: req.query.patientId };
     }
     
     if (req.query.medicineId) {
@@ -509,15 +546,8 @@ const getProgressionSummary = async (req, res) => {
  */
 const getDashboardAnalytics = async (req, res) => {
   try {
-    // Only healthcare providers and admins can access dashboard analytics
-    if (!['doctor', 'admin', 'pharmacist'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Healthcare provider access required.'
-      });
-    }
-
-    const filters = {};
+    // Doctors only see their care-team patients
+    const filters = await careTeamService.progressionScope(req.user);
     
     // Apply query filters
     if (req.query.medicineId) filters.medicine = req.query.medicineId;
@@ -603,8 +633,9 @@ const deleteProgression = async (req, res) => {
       });
     }
 
+    const before = await SymptomProgression.findById(progressionId).lean();
+
     // Soft delete by setting isDeleted flag
-    const SymptomProgression = require('../models/SymptomProgression');
     await SymptomProgression.findByIdAndUpdate(progressionId, {
       isDeleted: true,
       isActive: false,
@@ -612,6 +643,8 @@ const deleteProgression = async (req, res) => {
       deletedBy: req.user._id
     });
 
+    await auditProgression(req, 'progression.delete', progressionId, before);
+
     res.json({
       success: true,
       message: 'Symptom progression deleted successfully'
@@ -629,76 +662,33 @@ const deleteProgression = async (req, res) => {
 // Helper functions for access control
 
 /**
- * Check if user can access a specific progression
+ * Check if user can access a specific progression: their own, their
+ * care-team patients' and, with report:read_all, everyone's
  */
 async function checkProgressionAccess(progression, user) {
-  // Admin can access everything
-  if (user.role === 'admin') return true;
-  
-  // Healthcare providers can access progressions of their patients
-  if (['doctor', 'pharmacist'].includes(user.role)) {
-    // Could add additional checks here for provider-patient relationships
-    return true;
-  }
-  
-  // Patients can only access their own progressions
-  if (user.role === 'patient') {
-    return progression.patient._id.toString() === user._id.toString();
-  }
-  
-  return false;
+  return careTeamService.canAccessPatient(user, progression.patient._id || progression.patient);
 }
 
 /**
  * Check if user can access progressions for a specific patient
  */
 async function checkPatientAccess(patientId, user) {
-  // Admin can access everything
-  if (user.role === 'admin') return true;
-  
-  // Healthcare providers can access patient data
-  if (['doctor', 'pharmacist'].includes(user.role)) {
-    return true;
-  }
-  
-  // Patients can only access their own data
-  if (user.role === 'patient') {
-    return patientId === user._id.toString();
-  }
-  
-  return false;
+  return careTeamService.canAccessPatient(user, patientId);
 }
 
 /**
- * Check if user can modify a progression
+ * Check if user can modify a progression; patients make limited modifications to their own
  */
 async function checkProgressionModifyAccess(progression, user) {
-  // Admin and healthcare providers can modify
-  if (['admin', 'doctor', 'pharmacist'].includes(user.role)) {
-    return true;
-  }
-  
-  // Patients can modify their own progressions (limited modifications)
-  if (user.role === 'patient') {
-    return progression.patient._id.toString() === user._id.toString();
-  }
-  
-  return false;
+  return careTeamService.canAccessPatient(user, progression.patient._id || progression.patient);
 }
 
 /**
- * Check if user can delete a progression
+ * Check if user can delete a progression: the patient themselves, or with progression:delete_all
  */
 async function checkProgressionDeleteAccess(progression, user) {
-  // Only admin and the patient themselves can delete
-  if (user.role === 'admin') return true;
-  
-  if (user.role === 'patient') {
-    return progression.patient._id.toString() === user._id.toString();
-  }
-  
-  // Healthcare providers cannot delete progressions
-  return false;
+  if ((progression.patient._id || progression.patient).toString() === user._id.toString()) return true;
+  return permissionService.hasPermission(user, 'progression:delete_all');
 }
 
 module.exports = {
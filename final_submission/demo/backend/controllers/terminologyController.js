@@ -0,0 +1,82 @@
+const { validationResult } = require('express-validator');
+const terminologyService = require('../services/terminologyService');
+const { sendSuccess, sendNotFound, sendValidationError, sendError } = require('../utils/responseHelper');
+
+// Dictionary name, version and size
+exports.getDictionaryInfo = async (req, res) => {
+  try {
+    const { info, counts } = terminologyService.getDictionary();
+
+    sendSuccess(res, {
+      data: { ...info, counts },
+      message: 'Terminology dictionary retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Get terminology dictionary error:', error);
+    sendError(res, { message: 'Failed to load terminology dictionary' });
+  }
+};
+
+// Type-ahead search over lowest level terms
+exports.searchTerms = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const terms = terminologyService.search(req.query.q, { limit });
+
+    sendSuccess(res, {
+      data: terms,
+      message: `Found ${terms.length} matching terms`
+    });
+
+  } catch (error) {
+    console.error('Search terminology error:', error);
+    sendError(res, { message: 'Failed to search terminology' });
+  }
+};
+
+// Coded terms the system would assign to a verbatim reaction
+exports.suggestTerms = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    sendSuccess(res, {
+      data: {
+        verbatim: req.query.text,
+        terms: terminologyService.suggestTerms(req.query.text)
+      },
+      message: 'Terminology suggestions retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Suggest terminology error:', error);
+    sendError(res, { message: 'Failed to suggest terms' });
+  }
+};
+
+// A single term with its LLT -> PT -> HLT -> SOC hierarchy
+exports.getTerm = async (req, res) => {
+  try {
+    const term = terminologyService.getTerm(req.params.code);
+    if (!term) {
+      return sendNotFound(res, 'Term not found');
+    }
+
+    sendSuccess(res, {
+      data: term,
+      message: 'Term retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Get term error:', error);
+    sendError(res, { message: 'Failed to retrieve term' });
+  }
+};
@@ -0,0 +1,267 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const twoFactorService = require('../services/twoFactorService');
+const auditService = require('../services/auditService');
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendServerError = (res, label, error) => {
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Get two-factor status for the current user
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        required: twoFactorService.isRequiredForRole(user.role),
+        recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter(rc => !rc.usedAt).length
+      }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'Get two-factor status', error);
+  }
+};
+
+// Start enrollment: generate a pending secret and its QR code
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = twoFactorService.generateSecret();
+    const otpauthUrl = twoFactorService.buildOtpAuthUrl(secret, user.email);
+    const qrCode = await twoFactorService.generateQRCode(otpauthUrl);
+
+    // The secret only becomes active once the user proves their app has it
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.pendingSecret': twoFactorService.encryptSecret(secret) } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'Two-factor setup', error);
+  }
+};
+
+// Finish enrollment: confirm a code from the pending secret and issue recovery codes
+exports.enable = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before enabling it'
+      });
+    }
+
+    const step = twoFactorService.verifyTOTP(
+      twoFactorService.decryptSecret(user.twoFactor.pendingSecret),
+      req.body.code
+    );
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.recoveryCodes': hashes
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      }
+    );
+
+    await auditService.record({
+      req,
+      action: 'user.two_factor_enable',
+      entityType: 'User',
+      entityId: user._id,
+      before: { twoFactor: { enabled: false } },
+      after: { twoFactor: { enabled: true } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they will not be shown again.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'Enable two-factor', error);
+  }
+};
+
+// Turn two-factor off (not allowed for roles that require it)
+exports.disable = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (twoFactorService.isRequiredForRole(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const isPasswordCorrect = await user.correctPassword(req.body.password, user.password);
+    if (!isPasswordCorrect) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const { code, recoveryCode } = req.body;
+    const result = await twoFactorService.consumeSecondFactor(user._id, { code, recoveryCode });
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.recoveryCodes': [] },
+        $unset: {
+          'twoFactor.enabledAt': 1,
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.lastUsedStep': 1
+        }
+      }
+    );
+
+    await auditService.record({
+      req,
+      action: 'user.two_factor_disable',
+      entityType: 'User',
+      entityId: user._id,
+      before: { twoFactor: { enabled: true } },
+      after: { twoFactor: { enabled: false } },
+      metadata: { method: result.method }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    sendServerError(res, 'Disable two-factor', error);
+  }
+};
+
+// Replace all recovery codes with a fresh set
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const result = await twoFactorService.consumeSecondFactor(req.user._id, { code: req.body.code });
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    await auditService.record({
+      req,
+      action: 'user.two_factor_recovery_codes',
+      entityType: 'User',
+      entityId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Your previous codes no longer work.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'Regenerate recovery codes', error);
+  }
+};
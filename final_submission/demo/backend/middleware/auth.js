@@ -1,7 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+const config = require('../config/config');
+const { isSessionActive } = require('../services/tokenService');
+const { isRequiredForRole } = require('../services/twoFactorService');
+const permissionService = require('../services/permissionService');
 
 // Middleware to protect routes
 exports.protect = async (req, res, next) => {
@@ -22,10 +24,18 @@ exports.protect = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(token, JWT_SECRET);
+      const decoded = jwt.verify(token, config.jwt.secret);
+
+      // Access tokens are bound to a device session so they can be revoked
+      if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Your session has ended. Please log in again.'
+        });
+      }
       
       // Check if user still exists
-      const user = await User.findById(decoded.userId);
+      const user = await User.findById(decoded.userId).select('+passwordChangedAt');
       if (!user) {
         return res.status(401).json({
           success: false,
@@ -33,6 +43,14 @@ exports.protect = async (req, res, next) => {
         });
       }
 
+      // Reject tokens issued before the last password reset
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed recently. Please log in again.'
+        });
+      }
+
       // Check if user account is active
       if (!user.isActive) {
         return res.status(401).json({
@@ -43,6 +61,8 @@ exports.protect = async (req, res, next) => {
 
       // Grant access to protected route
       req.user = user;
+      req.sessionId = decoded.sid;
+      req.permissions = await permissionService.getPermissions(user);
       next();
 
     } catch (error) {
@@ -70,8 +90,14 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Middleware to restrict access to specific roles
-exports.restrictTo = (...roles) => {
+// Whether the authenticated user has a permission, for checks that depend on
+// the request rather than the route
+const hasPermission = (req, permission) => (req.permissions || []).includes(permission);
+exports.hasPermission = hasPermission;
+
+// Middleware to require permissions from the registry in config/permissions;
+// the user needs every one listed
+exports.requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -80,10 +106,12 @@ exports.restrictTo = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    const missing = permissions.find(permission => !hasPermission(req, permission));
+    if (missing) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to perform this action.'
+        message: `You do not have the required permission: ${missing}`,
+        errorCode: 'PERMISSION_DENIED'
       });
     }
 
@@ -110,32 +138,24 @@ exports.requireEmailVerification = (req, res, next) => {
   next();
 };
 
-// Middleware to check admin permissions
-exports.requirePermission = (permission) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. Please login first.'
-      });
-    }
-
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required.'
-      });
-    }
+// Middleware to block privileged actions until roles that require 2FA have enrolled
+exports.requireTwoFactor = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. Please login first.'
+    });
+  }
 
-    if (!req.user.hasPermission(permission)) {
-      return res.status(403).json({
-        success: false,
-        message: `You do not have the required permission: ${permission}`
-      });
-    }
+  if (isRequiredForRole(req.user.role) && !req.user.twoFactor?.enabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be enabled on your account to perform this action.',
+      errorCode: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
 
-    next();
-  };
+  next();
 };
 
 // Middleware to allow users to access their own data or admins to access any data
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'retrying', 'failed', 'completed'];
+const STEP_STATUSES = ['pending', 'running', 'completed', 'skipped', 'failed'];
+const JOB_TRIGGERS = ['submission', 'reanalyze', 'replay'];
+
+/**
+ * One run of a report through the AI consumer's processing pipeline. The
+ * backend creates it when the report is queued; the consumer moves it and
+ * its steps through their statuses and publishes every change so the
+ * backend can push it to the report's viewers.
+ */
+const analysisJobSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportSideEffect',
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: JOB_TRIGGERS,
+    default: 'submission',
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Re-run even when the report already has an analysis
+  force: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued',
+  },
+  // Runs so far, including retries
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Steps of ReportProcessor.pipeline, in order
+  steps: [{
+    _id: false,
+    name: String,
+    status: {
+      type: String,
+      enum: STEP_STATUSES,
+      default: 'pending',
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    durationMs: Number,
+    error: String,
+  }],
+  error: String,
+  modelUsed: String,
+  queuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  startedAt: Date,
+  finishedAt: Date,
+}, {
+  timestamps: true,
+});
+
+analysisJobSchema.index({ report: 1, createdAt: -1 });
+
+analysisJobSchema.statics.STATUSES = JOB_STATUSES;
+// Statuses of a job the consumer has not finished with
+analysisJobSchema.statics.ACTIVE_STATUSES = ['queued', 'running', 'retrying'];
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema);
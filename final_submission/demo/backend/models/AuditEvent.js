@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Append-only audit record of a mutation. Events form a hash chain: each
+ * event's hash covers its own content plus the previous event's hash, so
+ * editing or deleting any stored event breaks verification from that point on.
+ */
+const auditEventSchema = new mongoose.Schema({
+  // Position in the chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true,
+  },
+  actorRole: String,
+  actorEmail: String,
+  // Dotted verb, e.g. 'report.status_update' or 'user.deactivate'
+  action: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  entityType: {
+    type: String,
+    enum: ['ReportSideEffect', 'Medication', 'User', 'SymptomProgression', 'Signal', 'NotificationRule', 'CareRelationship', 'Role'],
+    required: true,
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // Field-level changes as dotted paths
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  }],
+  metadata: mongoose.Schema.Types.Mixed,
+  ipAddress: String,
+  userAgent: String,
+  timestamp: {
+    type: Date,
+    required: true,
+    index: true,
+  },
+  prevHash: {
+    type: String,
+    required: true,
+  },
+  hash: {
+    type: String,
+    required: true,
+  },
+}, {
+  // Events are never updated, so only the event timestamp is kept
+  timestamps: false,
+  versionKey: false,
+  // Keep empty objects so stored content hashes the same as when it was written
+  minimize: false,
+});
+
+auditEventSchema.index({ entityType: 1, entityId: 1, sequence: 1 });
+
+// Block every update and delete path Mongoose offers
+const IMMUTABLE_OPERATIONS = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove',
+];
+
+IMMUTABLE_OPERATIONS.forEach((operation) => {
+  auditEventSchema.pre(operation, function() {
+    throw new Error('Audit events are immutable');
+  });
+});
+
+auditEventSchema.pre('save', function() {
+  if (!this.isNew) {
+    throw new Error('Audit events are immutable');
+  }
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// pending: invited, waiting for the other side; active: the doctor is on the
+// patient's care team; declined, ended and expired relationships grant nothing
+const STATUSES = ['pending', 'active', 'declined', 'ended', 'expired'];
+
+/**
+ * A doctor on a patient's care team. Either side invites the other (admins
+ * link them directly) and the relationship grants the doctor access to the
+ * patient's reports and symptom progressions once accepted, until it is
+ * ended or its accessExpiresAt passes.
+ */
+const careRelationshipSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending',
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters'],
+  },
+  // Pending invitations expire unanswered after config.careTeam.inviteExpiryDays
+  inviteExpiresAt: Date,
+  respondedAt: Date,
+  acceptedAt: Date,
+  // Optional end of the doctor's access, e.g. for a time-limited consultation
+  accessExpiresAt: Date,
+  endedAt: Date,
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+careRelationshipSchema.index({ doctor: 1, status: 1 });
+careRelationshipSchema.index({ patient: 1, status: 1 });
+careRelationshipSchema.index({ doctor: 1, patient: 1 });
+
+/**
+ * Filter matching relationships that currently grant access
+ * @param {Date} [now]
+ * @returns {Object} Mongo filter
+ */
+careRelationshipSchema.statics.activeFilter = function(now = new Date()) {
+  return {
+    status: 'active',
+    $or: [
+      { accessExpiresAt: null },
+      { accessExpiresAt: { $gt: now } }
+    ]
+  };
+};
+
+careRelationshipSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('CareRelationship', careRelationshipSchema);
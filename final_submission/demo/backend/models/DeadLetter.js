@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const DEAD_LETTER_STATUSES = ['dead', 'replayed'];
+
+/**
+ * A message the AI consumer gave up on, read from its dead-letter queue.
+ * Keeps every failure reason so admins can see why a report has no analysis
+ * and replay it once the cause is fixed.
+ */
+const deadLetterSchema = new mongoose.Schema({
+  // Work queue the message failed on
+  queue: {
+    type: String,
+    required: true,
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportSideEffect',
+    index: true,
+  },
+  // Original message body
+  message: mongoose.Schema.Types.Mixed,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Failed for a reason retrying cannot fix (e.g. the report was deleted)
+  permanent: {
+    type: Boolean,
+    default: false,
+  },
+  reason: String,
+  failures: [{
+    _id: false,
+    attempt: Number,
+    error: String,
+    failedAt: Date,
+  }],
+  deadLetteredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  status: {
+    type: String,
+    enum: DEAD_LETTER_STATUSES,
+    default: 'dead',
+    index: true,
+  },
+  replays: [{
+    _id: false,
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    replayedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+}, {
+  timestamps: true,
+});
+
+deadLetterSchema.index({ status: 1, deadLetteredAt: -1 });
+
+deadLetterSchema.statics.STATUSES = DEAD_LETTER_STATUSES;
+
+module.exports = mongoose.model('DeadLetter', deadLetterSchema);
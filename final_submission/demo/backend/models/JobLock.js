@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+/**
+ * Lease on a scheduled job that only one backend instance may run at a time.
+ * The instance that takes the lease runs the job and gives the lease back
+ * when done; the others skip the run while it is held. A lease left behind
+ * by a crashed instance frees itself at lockedUntil.
+ */
+const jobLockSchema = new mongoose.Schema({
+  // Job name, e.g. 'signal-detection'
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Identifies the run holding the lease
+  holder: String,
+  lockedUntil: Date,
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
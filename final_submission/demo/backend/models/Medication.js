@@ -16,6 +16,8 @@
 
 const mongoose = require('mongoose');
 
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 /**
  * Medication Categories - Common therapeutic categories
  */
@@ -61,6 +63,89 @@ const MEDICATION_SOURCES = [
   'patient'      // Created by patient during side effect reporting
 ];
 
+/**
+ * Alias Types - Other names a medication is reported under
+ */
+const ALIAS_TYPES = [
+  'brand',    // Trade name (e.g., Advil for ibuprofen)
+  'synonym'   // Alternative generic name or abbreviation (e.g., Paracetamol, APAP)
+];
+
+// Salt and release qualifiers that do not change the active ingredient
+const INGREDIENT_QUALIFIERS = /\s+(hydrochloride|hcl|sodium|potassium|calcium|magnesium|besylate|bisulfate|succinate|phosphate|sulfate|hyclate|fumarate|bromide|oxalate|acetate|maleate|tartrate|mesylate|extended-release|delayed-release|er|xl|sr)$/i;
+
+// Ingredients named after their ion, where the salt is part of the name
+const ION_INGREDIENTS = ['ferrous', 'ferric', 'zinc', 'magnesium', 'calcium', 'potassium', 'sodium', 'lithium'];
+
+/**
+ * Split a generic name into its active ingredients, e.g.
+ * "Amoxicillin and Clavulanate Potassium" -> ["Amoxicillin", "Clavulanate"]
+ * @param {String} genericName - Generic name, possibly of a combination product
+ * @returns {Array<String>} Ingredient names
+ */
+function parseIngredients(genericName) {
+  return String(genericName || '')
+    .split(/\s*(?:\/|\+|,|\band\b|\bwith\b)\s*/i)
+    .map(part => part.trim().replace(/\s+/g, ' '))
+    .filter(Boolean)
+    .map((part) => {
+      let name = part;
+      while (INGREDIENT_QUALIFIERS.test(name)) {
+        const stripped = name.replace(INGREDIENT_QUALIFIERS, '');
+        if (ION_INGREDIENTS.includes(stripped.toLowerCase())) break;
+        name = stripped;
+      }
+      return name;
+    });
+}
+
+/**
+ * Key statistics are grouped under, so "Ibuprofen" and "ibuprofen " match
+ * @param {String} name - Ingredient name
+ * @returns {String} Ingredient key
+ */
+function ingredientKey(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+const ingredientSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Ingredient name is required'],
+      trim: true,
+      maxlength: [150, 'Ingredient name cannot exceed 150 characters']
+    },
+    // Strength of this ingredient in the product (e.g., "875mg")
+    strength: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Ingredient strength cannot exceed 50 characters']
+    }
+  },
+  { _id: false }
+);
+
+const aliasSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Alias name is required'],
+      trim: true,
+      maxlength: [150, 'Alias name cannot exceed 150 characters']
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ALIAS_TYPES,
+        message: 'Invalid alias type'
+      },
+      default: 'brand'
+    }
+  },
+  { _id: false }
+);
+
 const medicationSchema = new mongoose.Schema(
   {
     // Basic medication information
@@ -78,6 +163,13 @@ const medicationSchema = new mongoose.Schema(
       maxlength: [150, 'Generic name cannot exceed 150 characters']
     },
     
+    // Active ingredients; more than one makes this a combination product.
+    // Derived from the generic name when not given.
+    ingredients: [ingredientSchema],
+    
+    // Brand names and synonyms patients may report this medication under
+    aliases: [aliasSchema],
+    
     // Category for easy filtering
     category: {
       type: String,
@@ -167,6 +259,60 @@ const medicationSchema = new mongoose.Schema(
       type: String,
       trim: true,
       lowercase: true
+    }],
+    
+    // Identifiers in external drug catalogs; catalog imports match on them
+    externalIds: {
+      // RxNorm ingredient (IN) or multiple ingredient (MIN) concept
+      rxcui: {
+        type: String,
+        trim: true
+      },
+      // FDA NDC directory product codes folded into this medication
+      ndc: [{
+        type: String,
+        trim: true
+      }]
+    },
+    
+    // Catalog import that created or last updated this medication
+    importJob: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MedicationImportJob'
+    },
+    
+    // Set on a duplicate entry once merged; it is then inactive
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication'
+    },
+    
+    // Duplicate entries merged into this medication
+    mergeHistory: [{
+      _id: false,
+      medication: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medication'
+      },
+      name: String,
+      genericName: String,
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      usageCount: Number,
+      reportsMoved: Number,
+      progressionsMoved: Number,
+      score: Number,
+      reason: String,
+      mergedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      mergedAt: {
+        type: Date,
+        default: Date.now
+      }
     }]
   },
   {
@@ -177,11 +323,24 @@ const medicationSchema = new mongoose.Schema(
 );
 
 // Indexes for efficient querying
-medicationSchema.index({ name: 'text', genericName: 'text', description: 'text' });
+medicationSchema.index({
+  name: 'text',
+  genericName: 'text',
+  'aliases.name': 'text',
+  'ingredients.name': 'text',
+  description: 'text'
+});
+medicationSchema.index({ 'aliases.name': 1 });
+medicationSchema.index({ 'ingredients.name': 1 });
 medicationSchema.index({ category: 1, isActive: 1 });
 medicationSchema.index({ source: 1, isActive: 1 });
 medicationSchema.index({ createdBy: 1 });
 medicationSchema.index({ usageCount: -1 }); // For popular medications
+medicationSchema.index(
+  { 'externalIds.rxcui': 1 },
+  { unique: true, partialFilterExpression: { 'externalIds.rxcui': { $type: 'string' } } }
+);
+medicationSchema.index({ 'externalIds.ndc': 1 });
 
 // Pre-save middleware for normalization
 medicationSchema.pre('save', function(next) {
@@ -195,6 +354,22 @@ medicationSchema.pre('save', function(next) {
     this.genericName = this.genericName.trim();
   }
   
+  // Derive active ingredients from the generic name, or the name itself
+  if (this.isSelected('ingredients') && this.ingredients.length === 0) {
+    this.ingredients = parseIngredients(this.genericName || this.name).map(name => ({ name }));
+  }
+  
+  // Drop aliases repeating the name or each other
+  if (this.isModified('aliases')) {
+    const aliasKeys = new Set([ingredientKey(this.name)]);
+    this.aliases = this.aliases.filter((alias) => {
+      const key = ingredientKey(alias.name);
+      if (!key || aliasKeys.has(key)) return false;
+      aliasKeys.add(key);
+      return true;
+    });
+  }
+  
   // Auto-set verification for doctor/admin created medications
   if (this.isNew && (this.creatorRole === 'doctor' || this.creatorRole === 'admin')) {
     this.isVerified = true;
@@ -219,6 +394,8 @@ medicationSchema.statics.search = async function(searchTerm, options = {}) {
     $or: [
       { name: new RegExp(searchTerm, 'i') },
       { genericName: new RegExp(searchTerm, 'i') },
+      { 'aliases.name': new RegExp(searchTerm, 'i') },
+      { 'ingredients.name': new RegExp(searchTerm, 'i') },
       { tags: new RegExp(searchTerm, 'i') }
     ]
   };
@@ -238,7 +415,115 @@ medicationSchema.statics.search = async function(searchTerm, options = {}) {
   return this.find(query)
     .sort({ usageCount: -1, name: 1 })
     .limit(limit)
-    .select('name genericName category dosageForm commonStrengths description source isVerified');
+    .select('name genericName ingredients aliases category dosageForm commonStrengths description source isVerified');
+};
+
+// Static method: Find a medication reported under any of its names
+medicationSchema.statics.findByAnyName = async function(name) {
+  const exact = new RegExp(`^${escapeRegex(String(name).trim())}$`, 'i');
+  return this.findOne({
+    isActive: true,
+    $or: [
+      { name: exact },
+      { genericName: exact },
+      { 'aliases.name': exact }
+    ]
+  }).sort({ source: -1, usageCount: -1 });
+};
+
+/**
+ * Aggregation stages that turn documents referencing a medication into one
+ * row per active ingredient, so brands and combination products count
+ * towards each of their ingredients. Each row carries `ingredient.key`,
+ * `ingredient.name` and `medication` ({ _id, name }).
+ * @param {String} [field='medicine'] - Field holding the medication id
+ * @returns {Array<Object>} Pipeline stages
+ */
+medicationSchema.statics.ingredientStages = function(field = 'medicine') {
+  return [
+    {
+      $lookup: {
+        from: this.collection.name,
+        localField: field,
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1, genericName: 1, ingredients: 1 } }],
+        as: '_medication'
+      }
+    },
+    { $unwind: '$_medication' },
+    {
+      $addFields: {
+        medication: { _id: '$_medication._id', name: '$_medication.name' },
+        ingredient: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$_medication.ingredients', []] } }, 0] },
+            '$_medication.ingredients.name',
+            [{ $ifNull: ['$_medication.genericName', '$_medication.name'] }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$ingredient' },
+    {
+      $addFields: {
+        ingredient: {
+          key: { $toLower: { $trim: { input: '$ingredient' } } },
+          name: { $trim: { input: '$ingredient' } }
+        }
+      }
+    },
+    { $project: { _medication: 0 } }
+  ];
+};
+
+/**
+ * Aggregation stages that count documents per active ingredient, listing
+ * the medications (brands, combinations) each count came from
+ * @param {String} [field='medicine'] - Field holding the medication id
+ * @returns {Array<Object>} Pipeline stages
+ */
+medicationSchema.statics.ingredientCountStages = function(field = 'medicine') {
+  return [
+    ...this.ingredientStages(field),
+    {
+      $group: {
+        _id: '$ingredient.key',
+        ingredientName: { $first: '$ingredient.name' },
+        documents: { $addToSet: '$_id' },
+        medicines: { $addToSet: '$medication.name' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        ingredient: '$_id',
+        ingredientName: 1,
+        medicines: 1,
+        reportCount: { $size: '$documents' }
+      }
+    },
+    { $sort: { reportCount: -1, ingredient: 1 } }
+  ];
+};
+
+// Static method: Derive ingredients for medications stored without them
+medicationSchema.statics.deriveMissingIngredients = async function() {
+  const medications = await this.find({ 'ingredients.0': { $exists: false } })
+    .select('name genericName')
+    .lean();
+  if (medications.length === 0) return 0;
+
+  await this.bulkWrite(medications.map(medication => ({
+    updateOne: {
+      filter: { _id: medication._id },
+      update: {
+        $set: {
+          ingredients: parseIngredients(medication.genericName || medication.name).map(name => ({ name }))
+        }
+      }
+    }
+  })));
+  return medications.length;
 };
 
 // Static method: Get popular medications
@@ -271,6 +556,11 @@ medicationSchema.methods.verify = async function(verifierId) {
   return this.save();
 };
 
+// Virtual: More than one active ingredient
+medicationSchema.virtual('isCombination').get(function() {
+  return (this.ingredients || []).length > 1;
+});
+
 // Virtual: Display name with generic name
 medicationSchema.virtual('displayName').get(function() {
   if (this.genericName && this.genericName !== this.name) {
@@ -283,6 +573,9 @@ medicationSchema.virtual('displayName').get(function() {
 medicationSchema.statics.CATEGORIES = MEDICATION_CATEGORIES;
 medicationSchema.statics.DOSAGE_FORMS = DOSAGE_FORMS;
 medicationSchema.statics.SOURCES = MEDICATION_SOURCES;
+medicationSchema.statics.ALIAS_TYPES = ALIAS_TYPES;
+medicationSchema.statics.parseIngredients = parseIngredients;
+medicationSchema.statics.ingredientKey = ingredientKey;
 
 const Medication = mongoose.model('Medication', medicationSchema);
 
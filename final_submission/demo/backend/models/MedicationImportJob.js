@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const IMPORT_FORMATS = ['rxnorm', 'openfda-json', 'openfda-csv'];
+const IMPORT_STATUSES = ['pending', 'running', 'completed', 'failed'];
+const IMPORT_ACTIONS = ['create', 'update', 'unchanged', 'skip', 'fail'];
+
+/**
+ * One run of a catalog file (RxNorm RRF extract or openFDA NDC JSON/CSV)
+ * through services/medicationImportService, with what it did or, for a dry
+ * run, would do to each medication. Kept as the job report of the upload,
+ * which is pending until the background import picks it up.
+ */
+const medicationImportJobSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: IMPORT_FORMATS,
+    required: true,
+  },
+  fileName: String,
+  // Planned changes are reported but not written
+  dryRun: {
+    type: Boolean,
+    default: false,
+  },
+  // Uploaded through the API or run from the command line
+  origin: {
+    type: String,
+    enum: ['upload', 'cli'],
+    default: 'upload',
+  },
+  status: {
+    type: String,
+    enum: IMPORT_STATUSES,
+    default: 'pending',
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  counts: {
+    // Lines, products or rows read from the file
+    records: { type: Number, default: 0 },
+    // Medications the records were grouped into
+    medications: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  // First medications and what happened to them
+  preview: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: IMPORT_ACTIONS,
+    },
+    medication: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+    },
+    name: String,
+    genericName: String,
+    category: String,
+    dosageForm: String,
+    ingredients: [String],
+    aliases: [String],
+    commonStrengths: [String],
+    externalIds: {
+      rxcui: String,
+      ndc: [String],
+    },
+    // Fields an update changes
+    changes: [String],
+    reason: String,
+  }],
+  // Records that could not be read and medications that could not be saved
+  issues: [{
+    _id: false,
+    // Line of an RRF or CSV file, record number in a JSON file
+    line: Number,
+    name: String,
+    message: String,
+  }],
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: Date,
+}, {
+  timestamps: true,
+});
+
+medicationImportJobSchema.index({ createdAt: -1 });
+
+medicationImportJobSchema.statics.FORMATS = IMPORT_FORMATS;
+medicationImportJobSchema.statics.STATUSES = IMPORT_STATUSES;
+medicationImportJobSchema.statics.ACTIONS = IMPORT_ACTIONS;
+
+module.exports = mongoose.model('MedicationImportJob', medicationImportJobSchema);
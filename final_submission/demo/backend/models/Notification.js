@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 
+const TYPES = [
+  'urgent_report',
+  'critical_report',
+  'new_report',
+  'review_requested',
+  'review_completed',
+  'status_updated',
+  'ai_analysis_complete',
+  'duplicate_detected',
+  'signal_detected',
+  'expedited_deadline',
+  'rule_alert',
+  'care_team',
+  'product_recall',
+];
+
 const notificationSchema = new mongoose.Schema({
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,16 +25,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: [
-      'urgent_report',
-      'critical_report',
-      'new_report',
-      'review_requested',
-      'review_completed',
-      'status_updated',
-      'ai_analysis_complete',
-      'duplicate_detected',
-    ],
+    enum: TYPES,
     required: true,
   },
   title: {
@@ -51,6 +58,11 @@ const notificationSchema = new mongoose.Schema({
     medicineName: String,
     severity: String,
     reportId: String,
+    reaction: String,
+    signalId: String,
+    deadline: Date,
+    recallId: String,
+    batchNumbers: [String],
   },
 }, {
   timestamps: true,
@@ -59,6 +71,8 @@ const notificationSchema = new mongoose.Schema({
 // Compound index for efficient queries
 notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
 
+notificationSchema.statics.TYPES = TYPES;
+
 // Mark as read
 notificationSchema.methods.markAsRead = function() {
   this.isRead = true;
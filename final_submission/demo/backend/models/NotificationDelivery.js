@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const CHANNELS = ['email', 'push', 'sms'];
+const STATUSES = ['sent', 'failed', 'skipped'];
+
+/**
+ * One attempt to deliver a notification over a channel outside the app, or
+ * the reason it was not attempted. Kept for config.delivery.logRetentionDays.
+ */
+const notificationDeliverySchema = new mongoose.Schema({
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    required: true,
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: String,
+  priority: String,
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    required: true,
+  },
+  // Why a delivery was skipped: quiet_hours, not_configured or no_address
+  reason: String,
+  // Where it went: email address, masked phone number or push subscription count
+  destination: String,
+  // Message id returned by the SMTP server or SMS provider
+  providerMessageId: String,
+  error: String,
+  durationMs: Number,
+}, {
+  timestamps: true,
+});
+
+notificationDeliverySchema.index({ recipient: 1, createdAt: -1 });
+notificationDeliverySchema.index({ notification: 1 });
+notificationDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.delivery.logRetentionDays * 24 * 60 * 60 }
+);
+
+notificationDeliverySchema.statics.CHANNELS = CHANNELS;
+notificationDeliverySchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
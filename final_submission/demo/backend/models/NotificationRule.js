@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Events a rule is evaluated on; 'unreviewed' is checked on a schedule
+const TRIGGERS = ['report_created', 'analysis_completed', 'status_changed', 'unreviewed'];
+
+// Report fields a condition can test; see notificationRuleService for how
+// each one is read from a report
+const FIELDS = ['severity', 'priority', 'seriousness', 'bodySystem', 'medicine', 'status'];
+
+// gte / lte compare ordered fields (severity, priority); the others compare values
+const OPERATORS = ['eq', 'ne', 'in', 'gte', 'lte'];
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Admin-defined rule deciding who is notified about which reports. A rule
+ * fires when every condition matches the report on its trigger, notifying
+ * the users with the given roles or specializations and the listed users.
+ */
+const notificationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [120, 'Rule name cannot exceed 120 characters'],
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  trigger: {
+    type: String,
+    enum: TRIGGERS,
+    required: true,
+  },
+  // Hours a report may go without review before an 'unreviewed' rule fires
+  unreviewedAfterHours: {
+    type: Number,
+    min: 1,
+    required: function() { return this.trigger === 'unreviewed'; },
+  },
+  // All must match
+  conditions: [{
+    _id: false,
+    field: {
+      type: String,
+      enum: FIELDS,
+      required: true,
+    },
+    operator: {
+      type: String,
+      enum: OPERATORS,
+      required: true,
+    },
+    // A string, or an array of strings for 'in'
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  }],
+  recipients: {
+    roles: [{
+      type: String,
+      enum: ['doctor', 'admin'],
+    }],
+    // Doctors with one of these specializations, e.g. 'Cardiology'
+    specializations: [String],
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+  },
+  notification: {
+    priority: {
+      type: String,
+      enum: PRIORITIES,
+      default: 'high',
+    },
+    // Defaults to the rule name and a description of the report
+    title: String,
+    message: String,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  fireCount: {
+    type: Number,
+    default: 0,
+  },
+  lastFiredAt: Date,
+}, {
+  timestamps: true,
+});
+
+notificationRuleSchema.index({ trigger: 1, enabled: 1 });
+
+notificationRuleSchema.statics.TRIGGERS = TRIGGERS;
+notificationRuleSchema.statics.FIELDS = FIELDS;
+notificationRuleSchema.statics.OPERATORS = OPERATORS;
+notificationRuleSchema.statics.PRIORITIES = PRIORITIES;
+
+module.exports = mongoose.model('NotificationRule', notificationRuleSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * A rule firing for a report. A rule fires once per report and event: once
+ * on creation, once per analysis run, once per status reached and once when
+ * the report goes unreviewed.
+ */
+const notificationRuleFiringSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationRule',
+    required: true,
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportSideEffect',
+    required: true,
+  },
+  trigger: {
+    type: String,
+    required: true,
+  },
+  // Identifies the event, e.g. 'status_changed:Closed' or 'analysis_completed:<job id>'
+  eventKey: {
+    type: String,
+    required: true,
+  },
+  recipients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  firedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+notificationRuleFiringSchema.index({ rule: 1, report: 1, eventKey: 1 }, { unique: true });
+notificationRuleFiringSchema.index({ rule: 1, firedAt: -1 });
+
+module.exports = mongoose.model('NotificationRuleFiring', notificationRuleFiringSchema);
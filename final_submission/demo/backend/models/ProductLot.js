@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const LOT_SOURCES = ['report', 'recall'];
+
+/**
+ * A manufactured batch of a medication, registered the first time a report
+ * or a recall names it. Batch numbers are matched on batchKey, so "ab-1234"
+ * and "AB 1234" on two reports are the same lot; reports point to their lot
+ * through medicineDetails.lot (see services/lotService).
+ */
+const productLotSchema = new mongoose.Schema({
+  medication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+    required: true,
+  },
+  // As first entered
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Upper case letters and digits only
+  batchKey: {
+    type: String,
+    required: true,
+  },
+  manufacturer: {
+    type: String,
+    trim: true,
+  },
+  expiryDate: Date,
+  // What registered the lot
+  source: {
+    type: String,
+    enum: LOT_SOURCES,
+    default: 'report',
+  },
+  firstReportedAt: Date,
+  lastReportedAt: Date,
+}, {
+  timestamps: true,
+});
+
+productLotSchema.index({ medication: 1, batchKey: 1 }, { unique: true });
+productLotSchema.index({ batchKey: 1 });
+
+productLotSchema.statics.SOURCES = LOT_SOURCES;
+
+module.exports = mongoose.model('ProductLot', productLotSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// FDA recall classes: I = may cause serious harm or death, II = temporary or
+// reversible harm, III = unlikely to cause harm
+const RECALL_CLASSIFICATIONS = ['class_i', 'class_ii', 'class_iii'];
+const RECALL_STATUSES = ['ongoing', 'completed', 'terminated'];
+
+/**
+ * A recall of one or more lots of a medication, issued by an admin. Patients
+ * whose reports name a recalled lot are notified when the recall is issued,
+ * and later reporters of the lot when they submit, while it is ongoing.
+ */
+const recallSchema = new mongoose.Schema({
+  medication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+    required: true,
+  },
+  lots: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductLot',
+  }],
+  // Recall number from the manufacturer or authority, e.g. D-0123-2026
+  reference: {
+    type: String,
+    trim: true,
+  },
+  classification: {
+    type: String,
+    enum: RECALL_CLASSIFICATIONS,
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // What patients holding the lot should do; included in their notification
+  patientInstructions: {
+    type: String,
+    trim: true,
+  },
+  manufacturer: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: RECALL_STATUSES,
+    default: 'ongoing',
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Patients notified so far; each is notified once per recall
+  notifiedPatients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: RECALL_STATUSES,
+    },
+    comment: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    changedAt: Date,
+  }],
+}, {
+  timestamps: true,
+});
+
+recallSchema.index({ lots: 1, status: 1 });
+recallSchema.index({ createdAt: -1 });
+
+recallSchema.statics.CLASSIFICATIONS = RECALL_CLASSIFICATIONS;
+recallSchema.statics.STATUSES = RECALL_STATUSES;
+
+module.exports = mongoose.model('Recall', recallSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ReportSideEffectVersion = require('./ReportSideEffectVersion');
 
 const reportSideEffectSchema = new mongoose.Schema({
   // Reporter information
@@ -27,7 +28,12 @@ const reportSideEffectSchema = new mongoose.Schema({
     expiryDate: Date,
     manufacturer: String,
     dosageForm: String,
-    strength: String
+    strength: String,
+    // Registry entry for the medicine + batch, set by services/lotService
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductLot'
+    }
   },
   
   // Patient information (if reported by someone other than patient)
@@ -121,6 +127,36 @@ const reportSideEffectSchema = new mongoose.Schema({
     treatment: {
       type: String,
       maxlength: [300, 'Treatment description cannot exceed 300 characters']
+    },
+    // Terminology coding of the verbatim effect (services/terminologyService)
+    coding: {
+      status: {
+        type: String,
+        enum: ['uncoded', 'auto', 'confirmed', 'overridden'],
+        default: 'uncoded'
+      },
+      terms: [{
+        _id: false,
+        lltCode: String,
+        lltName: String,
+        ptCode: String,
+        ptName: String,
+        hltCode: String,
+        hltName: String,
+        socCode: String,
+        socName: String,
+        score: Number
+      }],
+      dictionary: {
+        name: String,
+        version: String,
+        system: String
+      },
+      codedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      codedAt: Date
     }
   }],
   
@@ -244,7 +280,20 @@ const reportSideEffectSchema = new mongoose.Schema({
       ref: 'User'
     },
     assessmentDate: Date,
-    comments: String
+    comments: String,
+    // Naranjo / WHO-UMC questionnaire answers the category was computed from
+    interpretation: String,
+    answers: [{
+      _id: false,
+      questionId: String,
+      question: String,
+      answer: String,
+      points: Number,
+      source: {
+        type: String,
+        enum: ['reviewer', 'report']
+      }
+    }]
   },
   
   // Follow-up information
@@ -300,7 +349,26 @@ const reportSideEffectSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
+      // A serious reaction the label already lists is not expedited
+      expectedness: {
+        type: String,
+        enum: ['Expected', 'Unexpected', 'Unknown'],
+        default: 'Unknown'
+      },
+      // Day 0 of the clock; the deadline is timeframeDays after it
+      clockStartDate: Date,
+      timeframeDays: {
+        type: Number,
+        enum: [7, 15]
+      },
       deadline: Date,
+      // Highest escalation sent so far, so each level is notified once
+      escalationLevel: {
+        type: String,
+        enum: ['none', 'started', 'due_soon', 'overdue'],
+        default: 'none'
+      },
+      lastEscalatedAt: Date,
       submitted: {
         type: Boolean,
         default: false
@@ -328,6 +396,45 @@ const reportSideEffectSchema = new mongoose.Schema({
     }
   },
   
+  // Drug-drug interaction screening of the suspected and concomitant medicines
+  // (services/interactionService), on submission and again in the AI pipeline
+  interactionScreening: {
+    status: {
+      type: String,
+      enum: ['clear', 'flagged']
+    },
+    highestSeverity: {
+      type: String,
+      enum: ['contraindicated', 'major', 'moderate', 'minor']
+    },
+    findings: [{
+      _id: false,
+      severity: {
+        type: String,
+        enum: ['contraindicated', 'major', 'moderate', 'minor']
+      },
+      medicines: [String],
+      ingredients: [String],
+      rule: String,
+      involvesSuspect: Boolean,
+      mechanism: String,
+      effect: String,
+      management: String,
+      matchedReactions: [String]
+    }],
+    // Medicine names no ingredient in the knowledge base could be found for
+    unrecognized: [String],
+    knowledgeBase: {
+      name: String,
+      version: String
+    },
+    source: {
+      type: String,
+      enum: ['submission', 'pipeline']
+    },
+    checkedAt: Date
+  },
+
   // AI Analysis Metadata
   metadata: {
     aiProcessed: {
@@ -394,6 +501,8 @@ const reportSideEffectSchema = new mongoose.Schema({
       },
       model: String,
       processedAt: Date,
+      // Prompt template the analysis was produced with, e.g. 'report-analysis@v1'
+      promptVersion: String,
       // Medication verification from Google Search grounding
       medicationVerification: {
         isVerifiedMedication: { type: Boolean, default: false },
@@ -528,10 +637,17 @@ reportSideEffectSchema.index({ priority: 1 });
 reportSideEffectSchema.index({ 'reportDetails.incidentDate': 1 });
 reportSideEffectSchema.index({ 'reportDetails.seriousness': 1 });
 reportSideEffectSchema.index({ isActive: 1, isDeleted: 1 });
+reportSideEffectSchema.index({ 'sideEffects.coding.terms.ptCode': 1 });
+reportSideEffectSchema.index({ 'medicineDetails.lot': 1 });
 
 // Compound indexes
 reportSideEffectSchema.index({ medicine: 1, status: 1 });
 reportSideEffectSchema.index({ reportedBy: 1, 'reportDetails.reportDate': -1 });
+reportSideEffectSchema.index({
+  'regulatoryInfo.expeditedReporting.required': 1,
+  'regulatoryInfo.expeditedReporting.submitted': 1,
+  'regulatoryInfo.expeditedReporting.deadline': 1
+});
 
 // Virtual for report age in days
 reportSideEffectSchema.virtual('reportAge').get(function() {
@@ -565,7 +681,25 @@ reportSideEffectSchema.virtual('overallSeverity').get(function() {
 });
 
 // Pre-save middleware
-reportSideEffectSchema.pre('save', function(next) {
+reportSideEffectSchema.pre('save', async function() {
+  // Start, move or stop the expedited clock before deciding whether this is a new version
+  this.applyExpeditedClock();
+
+  // Every save that changes the report produces a new version snapshot. The
+  // number is taken with an atomic increment, as the AI consumer does, so a
+  // concurrent save or analysis never gets the same one; the save itself
+  // leaves the stored counter alone.
+  this.$locals.recordVersion = this.isNew || this.isModified();
+  if (!this.isNew && this.$locals.recordVersion) {
+    const allocated = await this.constructor.findByIdAndUpdate(
+      this._id,
+      { $inc: { version: 1 } },
+      { new: true, projection: { version: 1 } }
+    ).lean();
+    if (allocated) this.version = allocated.version;
+    this.unmarkModified('version');
+  }
+
   this.updatedAt = Date.now();
   
   // Auto-assign priority based on severity and seriousness
@@ -577,10 +711,68 @@ reportSideEffectSchema.pre('save', function(next) {
   
   // Set quality score based on completeness
   this.dataQuality.qualityScore = this.calculateQualityScore();
-  
-  next();
 });
 
+// Post-save middleware: keep a snapshot of the version that was just saved.
+// Saves the system makes on its own set $locals.versionActor
+// ({ actor: 'system' | 'ai', source }) so they are not credited to the
+// reporter or the last person who edited the report; a person's change made
+// through another workflow sets { actor: 'user', source } and lastModifiedBy.
+reportSideEffectSchema.post('save', async function(doc) {
+  if (!doc.$locals.recordVersion) return;
+  doc.$locals.recordVersion = false;
+
+  const versionActor = doc.$locals.versionActor;
+  doc.$locals.versionActor = undefined;
+  const changedBy = versionActor && versionActor.actor !== 'user' ? null : doc.lastModifiedBy || doc.reportedBy;
+  // A failed snapshot fails the save, so no change goes missing from the history
+  await ReportSideEffectVersion.create({
+    report: doc._id,
+    version: doc.version,
+    snapshot: doc.toObject({ depopulate: true, virtuals: false, versionKey: false }),
+    changedBy: changedBy?._id || changedBy || undefined,
+    actor: versionActor?.actor || 'user',
+    source: versionActor?.source,
+    restoredFrom: doc.$locals.restoredFrom
+  });
+});
+
+// Method to start or update the expedited reporting clock. Serious reactions
+// that are not expected start a 15-day clock from the report date, 7 days
+// when the reaction is fatal or life-threatening. Submitted cases keep theirs.
+reportSideEffectSchema.methods.applyExpeditedClock = function() {
+  const expedited = this.regulatoryInfo.expeditedReporting;
+  if (expedited.submitted) return;
+
+  const required = this.reportDetails.seriousness === 'Serious' && expedited.expectedness !== 'Expected';
+  if (!required) {
+    if (expedited.required) {
+      expedited.required = false;
+      expedited.clockStartDate = undefined;
+      expedited.timeframeDays = undefined;
+      expedited.deadline = undefined;
+      expedited.escalationLevel = 'none';
+    }
+    return;
+  }
+
+  const fatal = this.reportDetails.outcome === 'Fatal' ||
+    (this.reportDetails.seriousnessReason || []).some(reason => ['Death', 'Life-threatening'].includes(reason)) ||
+    this.sideEffects.some(effect => effect.severity === 'Life-threatening');
+  const timeframeDays = fatal ? 7 : 15;
+  const clockStartDate = this.reportDetails.reportDate || this.createdAt || new Date();
+  const deadline = new Date(clockStartDate.getTime() + timeframeDays * 24 * 60 * 60 * 1000);
+
+  expedited.required = true;
+  if (!expedited.deadline || expedited.deadline.getTime() !== deadline.getTime()) {
+    expedited.clockStartDate = clockStartDate;
+    expedited.timeframeDays = timeframeDays;
+    expedited.deadline = deadline;
+    // A moved deadline is escalated again from the start
+    expedited.escalationLevel = 'none';
+  }
+};
+
 // Method to calculate quality score
 reportSideEffectSchema.methods.calculateQualityScore = function() {
   let score = 0;
@@ -628,6 +820,22 @@ reportSideEffectSchema.statics.findSeriousReports = function() {
   }).populate('medicine reportedBy patient');
 };
 
+// Static method to find reports waiting for a doctor review, optionally only
+// those assigned to one doctor or requested after a date
+reportSideEffectSchema.statics.findPendingReviews = function(options = {}) {
+  const query = {
+    isActive: true,
+    isDeleted: false,
+    'doctorReview.requested': true,
+    'doctorReview.status': { $in: ['pending', 'in_review'] }
+  };
+
+  if (options.assignedDoctor) query['doctorReview.assignedDoctor'] = options.assignedDoctor;
+  if (options.requestedSince) query['doctorReview.requestedAt'] = { $gte: options.requestedSince };
+
+  return this.find(query);
+};
+
 // Static method to find reports by status
 reportSideEffectSchema.statics.findByStatus = function(status) {
   return this.find({ 
@@ -640,7 +848,7 @@ reportSideEffectSchema.statics.findByStatus = function(status) {
 // Instance method to add follow-up information
 reportSideEffectSchema.methods.addFollowUp = function(followUpData) {
   this.followUp.push(followUpData);
-  this.version += 1;
+  if (followUpData.reportedBy) this.lastModifiedBy = followUpData.reportedBy;
   return this.save();
 };
 
@@ -648,7 +856,6 @@ reportSideEffectSchema.methods.addFollowUp = function(followUpData) {
 reportSideEffectSchema.methods.updateStatus = function(newStatus, userId) {
   this.status = newStatus;
   this.lastModifiedBy = userId;
-  this.version += 1;
   return this.save();
 };
 
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Full snapshot of a side effect report as it was saved at a given version.
+ * Written by the ReportSideEffect save hook; never edited afterwards.
+ */
+const reportSideEffectVersionSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportSideEffect',
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  // The whole report document (references depopulated, no virtuals)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Set for changes made by a person; system and AI changes have none
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  actor: {
+    type: String,
+    enum: ['user', 'system', 'ai'],
+    default: 'user',
+  },
+  // What made the change, e.g. 'regulatory_clock', the AI model or 'medication_merge'
+  source: String,
+  // Set when this version was produced by restoring an earlier one
+  restoredFrom: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  versionKey: false,
+  minimize: false,
+});
+
+reportSideEffectVersionSchema.index({ report: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReportSideEffectVersion', reportSideEffectVersionSchema);
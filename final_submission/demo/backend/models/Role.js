@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+
+// What a report submitted by a role's users records as the reporter
+// (ReportSideEffect.reporterRole, E2B C.2.r.4 qualification)
+const REPORTER_ROLES = ['patient', 'doctor', 'admin', 'pharmacist', 'caregiver'];
+
+/**
+ * Admin-defined role, e.g. a pharmacist or a read-only auditor. A custom role
+ * builds on an account type (baseRole: admin, doctor or patient), which still
+ * decides which reports and patients its users see, and grants its own set of
+ * permissions. System roles store edited permissions of the built-in doctor
+ * and patient roles.
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [40, 'Role name cannot exceed 40 characters'],
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain lowercase letters, digits, - and _'],
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [80, 'Label cannot exceed 80 characters'],
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  baseRole: {
+    type: String,
+    enum: BUILT_IN_ROLES,
+    required: [true, 'Base role is required'],
+  },
+  permissions: [{
+    type: String,
+    enum: ALL_PERMISSIONS,
+  }],
+  // Defaults to the base role
+  reporterRole: {
+    type: String,
+    enum: REPORTER_ROLES,
+  },
+  isSystem: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+roleSchema.statics.REPORTER_ROLES = REPORTER_ROLES;
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * A signed-in device. Each session holds the hash of the one refresh token
+ * currently valid for it; the token is rotated on every refresh, so seeing an
+ * older token again means it was stolen and the whole session is revoked.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: 128,
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+  userAgent: String,
+  ipAddress: String,
+  // SHA-256 of the jti of the refresh token currently issued for this session
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  rotationCount: {
+    type: Number,
+    default: 0,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', 'replaced', 'password_reset', 'password_changed', 'deactivated'],
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether access tokens bound to this session should still be accepted
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static: Revoke every active session for a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Static: Active sessions for a user, most recently used first
+sessionSchema.statics.getActiveForUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
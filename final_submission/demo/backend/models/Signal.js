@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const SIGNAL_STATUSES = ['new', 'under_evaluation', 'refuted', 'confirmed'];
+
+/**
+ * An active ingredient x reaction pair reported disproportionately often.
+ * Reports count towards every ingredient of their medication, so brands,
+ * generics and combination products of the same ingredient add up. Created
+ * by signal detection the first time the pair crosses the thresholds, then
+ * kept up to date on every run; the safety team moves it through its statuses.
+ */
+const signalSchema = new mongoose.Schema({
+  // Lowercased ingredient name, as grouped by Medication.ingredientStages
+  ingredient: {
+    type: String,
+    required: true,
+  },
+  ingredientName: String,
+  // Medications containing the ingredient that were reported with the reaction
+  medicines: [{
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+    },
+    name: String,
+  }],
+  // Preferred term, or the verbatim reaction when it is not coded
+  event: {
+    key: {
+      type: String,
+      required: true,
+    },
+    ptCode: String,
+    ptName: String,
+    socName: String,
+    coded: Boolean,
+  },
+  // 2x2 table in reports: a = ingredient with reaction, b = ingredient without
+  // it, c = other ingredients with reaction, d = other ingredients without it
+  contingency: {
+    a: Number,
+    b: Number,
+    c: Number,
+    d: Number,
+  },
+  metrics: {
+    prr: Number,
+    prrLower: Number,
+    prrUpper: Number,
+    chiSquare: Number,
+    ror: Number,
+    rorLower: Number,
+    rorUpper: Number,
+    expected: Number,
+    ic: Number,
+    ic025: Number,
+    ic975: Number,
+  },
+  // Which methods flagged the pair on the latest run
+  criteria: [{
+    type: String,
+    enum: ['PRR', 'ROR', 'IC'],
+  }],
+  // Whether the pair still crosses the thresholds
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: SIGNAL_STATUSES,
+    default: 'new',
+    index: true,
+  },
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: SIGNAL_STATUSES,
+    },
+    comment: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  firstDetectedAt: Date,
+  lastEvaluatedAt: Date,
+  lastNotifiedAt: Date,
+}, {
+  timestamps: true,
+});
+
+signalSchema.index({ ingredient: 1, 'event.key': 1 }, { unique: true });
+signalSchema.index({ 'medicines._id': 1 });
+signalSchema.index({ 'metrics.prr': -1 });
+
+signalSchema.statics.STATUSES = SIGNAL_STATUSES;
+
+module.exports = mongoose.model('Signal', signalSchema);
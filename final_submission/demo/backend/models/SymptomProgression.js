@@ -49,6 +49,11 @@ const symptomProgressionSchema = new mongoose.Schema({
         'Hematological', 'Psychiatric', 'Ocular', 'Otic', 'Other'
       ],
       required: [true, 'Body system is required']
+    },
+    // Coded preferred term of the originating side effect, used to group statistics
+    preferredTerm: {
+      code: String,
+      name: String
     }
   },
   
@@ -414,6 +419,7 @@ const symptomProgressionSchema = new mongoose.Schema({
 symptomProgressionSchema.index({ originalReport: 1, patient: 1 });
 symptomProgressionSchema.index({ patient: 1, status: 1 });
 symptomProgressionSchema.index({ medicine: 1, 'symptom.bodySystem': 1 });
+symptomProgressionSchema.index({ 'symptom.preferredTerm.code': 1 });
 symptomProgressionSchema.index({ 'timeline.startDate': 1, 'timeline.endDate': 1 });
 symptomProgressionSchema.index({ 'progressionEntries.entryDate': -1 });
 symptomProgressionSchema.index({ 'analytics.trendDirection': 1 });
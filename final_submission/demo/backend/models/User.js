@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   // Basic user information
@@ -57,6 +58,12 @@ const userSchema = new mongoose.Schema({
     required: [true, 'User role is required'],
     default: 'patient'
   },
+  // Admin-defined role replacing the built-in role's permissions (see config/permissions)
+  customRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
   
   // Doctor-specific fields
   doctorInfo: {
@@ -171,6 +178,93 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  // Only the SHA-256 hash of the reset token is stored; the raw token is emailed
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication; secrets are AES-GCM encrypted
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret issued by setup but not yet confirmed with a valid code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, to block replays
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
+  // Delivery of notifications outside the app; in-app notifications are always created
+  notificationPreferences: {
+    channels: {
+      email: { type: Boolean, default: true },
+      push: { type: Boolean, default: true },
+      sms: { type: Boolean, default: false }
+    },
+    // Per notification type overrides of the channels, e.g. { signal_detected: { email: false } }
+    types: {
+      type: Map,
+      of: new mongoose.Schema({
+        email: Boolean,
+        push: Boolean,
+        sms: Boolean
+      }, { _id: false }),
+      default: {}
+    },
+    // No email, push or SMS between these times (HH:mm in the user's time
+    // zone), except for critical notifications
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+      end: { type: String, default: '07:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+      timezone: { type: String, default: 'UTC' }
+    },
+    // Summary email of the review queue, for doctors and admins
+    digest: {
+      frequency: { type: String, enum: ['off', 'daily', 'weekly'], default: 'daily' },
+      lastSentAt: Date
+    }
+  },
+  // Web Push subscriptions of the user's browsers
+  pushSubscriptions: {
+    type: [{
+      _id: false,
+      endpoint: { type: String, required: true },
+      keys: {
+        p256dh: String,
+        auth: String
+      },
+      userAgent: String,
+      createdAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -252,10 +346,26 @@ userSchema.methods.correctPassword = async function(candidatePassword, userPassw
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
-// Instance method to check if user has specific permission (for admins)
-userSchema.methods.hasPermission = function(permission) {
-  if (this.role !== 'admin') return false;
-  return this.adminInfo.permissions.includes(permission);
+// Instance method to issue a password reset token. Returns the raw token
+// (to be emailed) and stores only its hash with a short expiry.
+userSchema.methods.createPasswordResetToken = function(expiresInMs = 60 * 60 * 1000) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = this.constructor.hashResetToken(resetToken);
+  this.passwordResetExpires = Date.now() + expiresInMs;
+
+  return resetToken;
+};
+
+// Instance method to check whether the password was reset after a JWT was issued
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
+// Static method to hash a raw password reset token for lookup
+userSchema.statics.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
 // Static method to find users by role
@@ -0,0 +1,163 @@
+const express = require('express');
+const { query } = require('express-validator');
+const auditController = require('../controllers/auditController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The audit log is admin-only by default
+router.use(protect);
+router.use(requirePermission('audit:read'));
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get audit events (requires audit:read)
+ *     description: |
+ *       Retrieve the append-only audit log of report, medication, user and symptom
+ *       progression mutations. Use `format=csv` to download matching events as CSV.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Actor user ID or email
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action (e.g. report.status_update), or a prefix ending in a dot (e.g. report.)
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [ReportSideEffect, Medication, User, SymptomProgression, Signal, NotificationRule, CareRelationship, Role]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Audit events (JSON with pagination, or a CSV attachment)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEvent'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('actor').optional().trim().notEmpty(),
+  query('action').optional().trim().isLength({ min: 1, max: 100 }),
+  query('entityType').optional().isIn(['ReportSideEffect', 'Medication', 'User', 'SymptomProgression', 'Signal', 'NotificationRule', 'CareRelationship', 'Role']),
+  query('entityId').optional().isMongoId(),
+  query('fromDate').optional().isISO8601(),
+  query('toDate').optional().isISO8601(),
+  query('format').optional().isIn(['json', 'csv'])
+], auditController.getAuditEvents);
+
+/**
+ * @swagger
+ * /api/audit/verify:
+ *   get:
+ *     summary: Verify the audit hash chain (requires audit:read)
+ *     description: |
+ *       Recompute every event hash in sequence order. Any edited, reordered or
+ *       deleted event is reported as the first broken link.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fromSequence
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                     checked:
+ *                       type: integer
+ *                     lastSequence:
+ *                       type: integer
+ *                       nullable: true
+ *                     brokenAt:
+ *                       type: integer
+ *                     reason:
+ *                       type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/verify', [
+  query('fromSequence').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1 })
+], auditController.verifyAuditChain);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
@@ -272,6 +273,75 @@ router.post('/signup', signupValidation, authController.signup);
  */
 router.post('/signin', signinValidation, authController.signin);
 
+// Validation for endpoints that take either a TOTP code or a recovery code
+const secondFactorValidation = [
+  body('code')
+    .optional()
+    .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+    .withMessage('Authentication code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code must not be empty'),
+
+  body()
+    .custom((value) => !!(value.code || value.recoveryCode))
+    .withMessage('An authentication code or recovery code is required')
+];
+
+/**
+ * @swagger
+ * /auth/signin/2fa:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Complete sign in with a two-factor code
+ *     description: Second sign-in step for accounts with two-factor authentication. Exchange the challenge token returned by /auth/signin and a code from the authenticator app (or an unused recovery code) for a session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-d3e4f"
+ *               deviceId:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Challenge expired or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/signin/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...secondFactorValidation
+], authController.verifyTwoFactorSignin);
+
 /**
  * @swagger
  * /auth/verify-email:
@@ -318,13 +388,202 @@ router.post('/resend-verification', [
     .withMessage('Please provide a valid email')
 ], authController.resendVerificationEmail);
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Refresh access token
+ *     description: Exchange a refresh token for a new access token and a new refresh token. Each refresh token can be used once; reusing an old one revokes the whole device session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], authController.refreshToken);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Log out this device
+ *     description: Revoke the device session the refresh token belongs to. Access tokens issued for the session stop working immediately.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Sign out of all devices
+ *     description: Revoke every session for the authenticated user, including the current one
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout-all', protect, authController.logoutAll);
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Request a password reset
+ *     description: Email a one-time password reset link to the account. The response is the same whether or not the email is registered.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *           example:
+ *             email: "john.doe@example.com"
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "If an account exists for that email, a password reset link has been sent"
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], authController.forgotPassword);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Reset password with a reset token
+ *     description: Set a new password using the single-use token from the password reset email. Tokens expire after 1 hour.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *           example:
+ *             token: "abc123def456ghi789"
+ *             newPassword: "NewPassword123"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Password has been reset successfully. Please sign in with your new password."
+ *       400:
+ *         description: Validation errors or invalid/expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+], authController.resetPassword);
+
 /**
  * @swagger
  * /auth/profile:
  *   get:
  *     tags: [Authentication]
  *     summary: Get current user profile
- *     description: Get the authenticated user's profile information
+ *     description: Get the authenticated user's profile, role and effective permissions
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -343,6 +602,27 @@ router.post('/resend-verification', [
  *                   properties:
  *                     user:
  *                       $ref: '#/components/schemas/User'
+ *                     role:
+ *                       type: object
+ *                       description: The user's custom role, or their built-in role
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                           example: pharmacist
+ *                         label:
+ *                           type: string
+ *                           example: Pharmacist
+ *                         baseRole:
+ *                           type: string
+ *                           enum: [admin, doctor, patient]
+ *                         custom:
+ *                           type: boolean
+ *                     permissions:
+ *                       type: array
+ *                       description: Effective permissions, see GET /api/roles/permissions
+ *                       items:
+ *                         type: string
+ *                       example: [report:create, report:request_review, medication:add_own]
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
@@ -504,6 +784,147 @@ router.put('/profile-picture', [
     .withMessage('Profile picture must be a valid URL')
 ], authController.updateProfilePicture);
 
+/**
+ * @swagger
+ * /auth/2fa/status:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get two-factor authentication status
+ *     description: Whether 2FA is enabled, whether the user's role requires it, and how many recovery codes are left
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/2fa/status', protect, twoFactorController.getStatus);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Start two-factor enrollment
+ *     description: Generate a new TOTP secret and return it with an otpauth URL and a QR code (PNG data URL). The secret is not active until confirmed via /auth/2fa/enable.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Provisioning details
+ *       400:
+ *         description: Two-factor authentication already enabled
+ */
+router.post('/2fa/setup', protect, twoFactorController.setup);
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Confirm two-factor enrollment
+ *     description: Confirm the pending secret with a code from the authenticator app. Returns recovery codes once.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or no pending setup
+ */
+router.post('/2fa/enable', [
+  protect,
+  body('code')
+    .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+    .withMessage('Authentication code must be 6 digits')
+], twoFactorController.enable);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Disable two-factor authentication
+ *     description: Requires the account password and a current code or recovery code. Not allowed for roles where 2FA is mandatory.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is required for this role
+ */
+router.post('/2fa/disable', [
+  protect,
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to disable two-factor authentication'),
+  ...secondFactorValidation
+], twoFactorController.disable);
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Regenerate recovery codes
+ *     description: Replace all recovery codes after confirming a current authenticator code. Previous codes stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ */
+router.post('/2fa/recovery-codes', [
+  protect,
+  body('code')
+    .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+    .withMessage('Authentication code must be 6 digits')
+], twoFactorController.regenerateRecoveryCodes);
+
 // DELETE /api/auth/deactivate - Deactivate user account (protected route)
 router.delete('/deactivate', [
   protect,
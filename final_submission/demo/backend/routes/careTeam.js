@@ -0,0 +1,244 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const careTeamController = require('../controllers/careTeamController');
+const CareRelationship = require('../models/CareRelationship');
+const { protect, requirePermission, hasPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Doctors and patients name the other side by email or user ID; users with
+// care_team:manage link a doctor and a patient directly
+const linksDirectly = (value, { req }) => hasPermission(req, 'care_team:manage');
+
+const inviteValidation = [
+  body('doctorId')
+    .if(linksDirectly)
+    .isMongoId().withMessage('Valid doctorId is required'),
+  body('patientId')
+    .if(linksDirectly)
+    .isMongoId().withMessage('Valid patientId is required'),
+  body('email').optional().isEmail().withMessage('Invalid email').normalizeEmail(),
+  body('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  body().custom((value, { req }) => {
+    if (!linksDirectly(value, { req }) && !req.body.email && !req.body.userId) {
+      throw new Error('email or userId of the person to invite is required');
+    }
+    return true;
+  }),
+  body('message').optional().trim().isLength({ max: 500 }).withMessage('Message cannot exceed 500 characters'),
+  body('accessExpiresAt').optional().isISO8601().withMessage('accessExpiresAt must be a date')
+    .custom(value => {
+      if (new Date(value) <= new Date()) throw new Error('accessExpiresAt must be in the future');
+      return true;
+    })
+];
+
+/**
+ * @swagger
+ * /api/care-team:
+ *   get:
+ *     summary: Get your care relationships and invitations
+ *     description: |
+ *       A care relationship puts a doctor on a patient's care team. Doctors see the
+ *       reports and symptom progressions of their care-team patients only (plus
+ *       reports they submitted or were assigned); patients see their own doctors.
+ *       Admins see every relationship and can filter by doctor and patient.
+ *     tags: [Care Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, declined, ended, expired]
+ *       - in: query
+ *         name: doctorId
+ *         description: Admins only
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: patientId
+ *         description: Admins only
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Care relationships with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CareRelationship'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(CareRelationship.STATUSES).withMessage('Invalid status'),
+  query('doctorId').optional().isMongoId().withMessage('Invalid doctor ID'),
+  query('patientId').optional().isMongoId().withMessage('Invalid patient ID')
+], careTeamController.getRelationships);
+
+/**
+ * @swagger
+ * /api/care-team/patients:
+ *   get:
+ *     summary: Get the doctor's care-team patients with report counts (requires care_team:patients)
+ *     tags: [Care Team]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Patients with total, open and serious report counts, pending reviews and their latest report date
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/patients', requirePermission('care_team:patients'), careTeamController.getMyPatients);
+
+/**
+ * @swagger
+ * /api/care-team/invitations:
+ *   post:
+ *     summary: Invite a patient or doctor onto a care team
+ *     description: |
+ *       Doctors invite patients and patients invite doctors, by email or user ID; the
+ *       invitee accepts or declines, and unanswered invitations expire after
+ *       CARE_TEAM_INVITE_EXPIRY_DAYS days. Admins pass doctorId and patientId to link
+ *       them directly, without an invitation.
+ *     tags: [Care Team]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               userId:
+ *                 type: string
+ *               doctorId:
+ *                 type: string
+ *                 description: Admins only
+ *               patientId:
+ *                 type: string
+ *                 description: Admins only
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *               accessExpiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional end of the doctor's access
+ *     responses:
+ *       201:
+ *         description: Invitation sent, or relationship created by a user with care_team:manage
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Already on the care team or an invitation is pending
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/invitations', inviteValidation, careTeamController.invite);
+
+/**
+ * @swagger
+ * /api/care-team/{id}/accept:
+ *   post:
+ *     summary: Accept a care team invitation sent to you
+ *     tags: [Care Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted; the relationship is active
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The invitation is no longer pending (declined, ended or expired)
+ */
+router.post('/:id/accept', careTeamController.accept);
+
+/**
+ * @swagger
+ * /api/care-team/{id}/decline:
+ *   post:
+ *     summary: Decline a care team invitation sent to you
+ *     tags: [Care Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The invitation is no longer pending
+ */
+router.post('/:id/decline', careTeamController.decline);
+
+/**
+ * @swagger
+ * /api/care-team/{id}:
+ *   delete:
+ *     summary: End a care relationship or withdraw an invitation
+ *     description: Either the doctor, the patient or a user with care_team:manage can end it; the doctor loses access at once.
+ *     tags: [Care Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Relationship ended
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Already ended, declined or expired
+ */
+router.delete('/:id', careTeamController.end);
+
+module.exports = router;
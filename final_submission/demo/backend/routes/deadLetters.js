@@ -0,0 +1,129 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const deadLetterController = require('../controllers/deadLetterController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Dead letters are an operations view
+router.use(protect);
+router.use(requirePermission('dead_letter:manage'));
+
+/**
+ * @swagger
+ * /api/dead-letters:
+ *   get:
+ *     summary: Get reports the AI consumer gave up on (requires dead_letter:manage)
+ *     description: |
+ *       The consumer retries a failed analysis with exponential backoff and
+ *       dead-letters the report once it runs out of attempts, or at once when
+ *       the failure cannot be fixed by retrying. Each entry keeps every failure reason.
+ *     tags: [Dead Letters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [dead, replayed, all]
+ *           default: dead
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Dead letters with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeadLetter'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', [
+  query('status').optional().isIn(['dead', 'replayed', 'all']).withMessage('Invalid dead letter status'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], deadLetterController.getDeadLetters);
+
+/**
+ * @swagger
+ * /api/dead-letters/replay:
+ *   post:
+ *     summary: Replay several dead-lettered reports (requires dead_letter:manage)
+ *     description: |
+ *       Replays the given dead letters, or when `ids` is omitted the oldest 100
+ *       that did not fail permanently. Each report gets a fresh attempt budget.
+ *     tags: [Dead Letters]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: IDs replayed and IDs that could not be, with the reason
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/replay', [
+  body('ids').optional().isArray({ min: 1, max: 100 }).withMessage('ids must be an array of 1 to 100 IDs'),
+  body('ids.*').isMongoId().withMessage('Invalid dead letter ID')
+], deadLetterController.replayDeadLetters);
+
+/**
+ * @swagger
+ * /api/dead-letters/{id}/replay:
+ *   post:
+ *     summary: Replay a dead-lettered report (requires dead_letter:manage)
+ *     description: Resets the report's attempt count and queues it for AI analysis again.
+ *     tags: [Dead Letters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dead letter marked replayed
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Already replayed, or the report no longer exists
+ *       503:
+ *         description: Message queue unavailable
+ */
+router.post('/:id/replay', deadLetterController.replayDeadLetter);
+
+module.exports = router;
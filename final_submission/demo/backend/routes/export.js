@@ -1,18 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const ReportSideEffect = require('../models/ReportSideEffect');
-const { protect } = require('../middleware/auth');
-const { restrictTo } = require('../middleware/auth');
+const Medication = require('../models/Medication');
+const { protect, requirePermission } = require('../middleware/auth');
+const e2bService = require('../services/e2bService');
+const terminologyService = require('../services/terminologyService');
+const careTeamService = require('../services/careTeamService');
 
 // All export routes require authentication
 router.use(protect);
 
+// format=e2b also requires export:e2b
+const requireFormatPermission = (req, res, next) => (
+  req.query.format === 'e2b' ? requirePermission('export:e2b')(req, res, next) : next()
+);
+
 /**
  * GET /api/export/reports
- * Export reports in various formats: json, csv
- * Query params: format (json|csv), status, priority, fromDate, toDate, medicine, limit
+ * Export reports in various formats: json, csv, e2b (ICH E2B(R3) batch XML)
+ * Query params: format (json|csv|e2b), status, priority, fromDate, toDate, medicine, limit
  */
-router.get('/reports', restrictTo('admin', 'doctor'), async (req, res) => {
+router.get('/reports', requirePermission('export:bulk'), requireFormatPermission, async (req, res) => {
   try {
     const {
       format = 'json',
@@ -34,17 +42,22 @@ router.get('/reports', restrictTo('admin', 'doctor'), async (req, res) => {
       if (fromDate) filter['reportDetails.reportDate'].$gte = new Date(fromDate);
       if (toDate) filter['reportDetails.reportDate'].$lte = new Date(toDate);
     }
+    // Doctors export their care-team patients' reports and those assigned to them
+    filter.$and = [await careTeamService.reportScope(req.user)];
 
     const reports = await ReportSideEffect.find(filter)
-      .populate('medicine', 'name genericName category')
+      .populate('medicine', 'name genericName category dosageForm')
       .populate('patient', 'firstName lastName')
       .populate('reportedBy', 'firstName lastName role')
       .populate('doctorReview.reviewedBy', 'firstName lastName')
+      .populate('causalityAssessment.assessedBy', 'role')
       .sort({ 'reportDetails.reportDate': -1 })
       .limit(parseInt(limit))
       .lean();
 
-    if (format === 'csv') {
+    if (format === 'e2b') {
+      return exportE2B(res, reports);
+    } else if (format === 'csv') {
       return exportCSV(res, reports);
     } else {
       return exportJSON(res, reports);
@@ -58,31 +71,33 @@ router.get('/reports', restrictTo('admin', 'doctor'), async (req, res) => {
 /**
  * GET /api/export/reports/:id
  * Export a single report in detail (for printing / PDF generation)
+ * format=e2b returns an ICH E2B(R3) ICSR (requires export:e2b)
  */
-router.get('/reports/:id', async (req, res) => {
+router.get('/reports/:id', requireFormatPermission, async (req, res) => {
   try {
     const report = await ReportSideEffect.findById(req.params.id)
       .populate('medicine', 'name genericName category dosageForm')
       .populate('patient', 'firstName lastName email')
       .populate('reportedBy', 'firstName lastName role')
       .populate('doctorReview.reviewedBy', 'firstName lastName')
+      .populate('causalityAssessment.assessedBy', 'role')
       .lean();
 
     if (!report) {
       return res.status(404).json({ success: false, message: 'Report not found' });
     }
 
-    // Check access: patients can only export their own
-    if (req.user.role === 'patient') {
-      const patientId = report.patient?._id?.toString();
-      const userId = req.user._id.toString();
-      if (patientId !== userId && report.reportedBy?._id?.toString() !== userId) {
-        return res.status(403).json({ success: false, message: 'Access denied' });
-      }
+    // Check access: patients can only export their own, doctors their care-team patients'
+    if (!(await careTeamService.canAccessReport(req.user, report))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
     const { format = 'json' } = req.query;
 
+    if (format === 'e2b') {
+      return exportE2B(res, [report], `icsr-${report._id}.xml`);
+    }
+
     // Build structured export data suitable for printing
     const exportData = {
       reportId: report._id,
@@ -114,6 +129,7 @@ router.get('/reports/:id', async (req, res) => {
           effect: e.effect,
           severity: e.severity,
           onset: e.onset,
+          preferredTerms: (e.coding?.terms || []).map((t) => t.ptName),
           description: e.description || '',
           bodySystem: e.bodySystem || '',
         })),
@@ -185,7 +201,7 @@ router.get('/reports/:id', async (req, res) => {
  * GET /api/export/statistics
  * Export dashboard statistics as JSON
  */
-router.get('/statistics', restrictTo('admin', 'doctor'), async (req, res) => {
+router.get('/statistics', requirePermission('export:bulk'), async (req, res) => {
   try {
     const totalReports = await ReportSideEffect.countDocuments();
     const byStatus = await ReportSideEffect.aggregate([
@@ -197,25 +213,13 @@ router.get('/statistics', restrictTo('admin', 'doctor'), async (req, res) => {
     const bySeriousness = await ReportSideEffect.aggregate([
       { $group: { _id: '$reportDetails.seriousness', count: { $sum: 1 } } },
     ]);
-    const topMedicines = await ReportSideEffect.aggregate([
-      { $group: { _id: '$medicine', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
+    const byPreferredTerm = await ReportSideEffect.aggregate([
+      ...terminologyService.preferredTermStages(),
+      { $limit: 50 },
+    ]);
+    const topIngredients = await ReportSideEffect.aggregate([
+      ...Medication.ingredientCountStages(),
       { $limit: 10 },
-      {
-        $lookup: {
-          from: 'medications',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'medicineInfo',
-        },
-      },
-      { $unwind: { path: '$medicineInfo', preserveNullAndEmptyArrays: true } },
-      {
-        $project: {
-          medicineName: '$medicineInfo.name',
-          count: 1,
-        },
-      },
     ]);
 
     res.json({
@@ -226,7 +230,8 @@ router.get('/statistics', restrictTo('admin', 'doctor'), async (req, res) => {
         byStatus: Object.fromEntries(byStatus.map((s) => [s._id, s.count])),
         byPriority: Object.fromEntries(byPriority.map((p) => [p._id, p.count])),
         bySeriousness: Object.fromEntries(bySeriousness.map((s) => [s._id, s.count])),
-        topMedicines,
+        byPreferredTerm,
+        topIngredients,
       },
     });
   } catch (error) {
@@ -268,6 +273,30 @@ function exportCSV(res, reports) {
   return res.send(csvLines.join('\n'));
 }
 
+// Reports missing required E2B elements are left out; the count is sent in X-E2B-Excluded
+function exportE2B(res, reports, filename) {
+  const { xml, batchId, excluded } = e2bService.generateBatch(reports);
+
+  if (!xml) {
+    return res.status(422).json({
+      success: false,
+      message: 'No report has the elements required for an E2B(R3) ICSR',
+      errors: excluded,
+    });
+  }
+
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename=${filename || `e2b-${batchId}.xml`}`);
+  res.setHeader('X-E2B-Excluded', String(excluded.length));
+  return res.send(xml);
+}
+
+function preferredTermNames(report) {
+  return (report.sideEffects || [])
+    .flatMap((e) => (e.coding?.terms || []).map((t) => t.ptName))
+    .join('; ');
+}
+
 function formatReportForExport(report) {
   return {
     id: report._id,
@@ -279,6 +308,7 @@ function formatReportForExport(report) {
     patient: report.patient ? `${report.patient.firstName} ${report.patient.lastName}` : 'Anonymous',
     reportedBy: report.reportedBy ? `${report.reportedBy.firstName} ${report.reportedBy.lastName}` : 'Unknown',
     sideEffects: (report.sideEffects || []).map((e) => e.effect).join('; '),
+    preferredTerms: preferredTermNames(report),
     severity: (report.sideEffects || []).map((e) => e.severity).join('; '),
     seriousness: report.reportDetails?.seriousness || '',
     outcome: report.reportDetails?.outcome || '',
@@ -304,6 +334,7 @@ function flattenReportForCSV(report) {
     'Reported By': report.reportedBy ? `${report.reportedBy.firstName} ${report.reportedBy.lastName}` : '',
     'Reporter Role': report.reportedBy?.role || '',
     'Side Effects': (report.sideEffects || []).map((e) => e.effect).join('; '),
+    'Preferred Terms': preferredTermNames(report),
     'Severity': (report.sideEffects || []).map((e) => e.severity).join('; '),
     'Onset': (report.sideEffects || []).map((e) => e.onset).join('; '),
     'Body Systems': (report.sideEffects || []).map((e) => e.bodySystem).join('; '),
@@ -0,0 +1,115 @@
+const express = require('express');
+const { query } = require('express-validator');
+const lotController = require('../controllers/lotController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Reports by batch are for the safety team: doctors and admins by default
+router.use(protect);
+router.use(requirePermission('lot:read'));
+
+/**
+ * @swagger
+ * /api/lots:
+ *   get:
+ *     summary: Reports by batch (requires lot:read)
+ *     description: |
+ *       Product lots with the reports naming them, counted over all reports. Each lot is
+ *       compared with the other lots of its medication; a lot with at least LOT_MIN_REPORTS
+ *       reports and LOT_CONCENTRATION_RATIO times as many as the other lots have on average
+ *       is flagged as a possible quality defect. Flagged lots come first.
+ *     tags: [Lots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: medicine
+ *         schema:
+ *           type: string
+ *         description: Medication ID
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches batch number or medication name
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: boolean
+ *         description: Only flagged lots
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 3650
+ *           default: 365
+ *         description: Count reports submitted in the last days
+ *     responses:
+ *       200:
+ *         description: Lots with pagination; meta also has the summary and thresholds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BatchCluster'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('medicine').optional().isMongoId().withMessage('Invalid medicine ID'),
+  query('search').optional().trim().isLength({ max: 100 }),
+  query('flagged').optional().isIn(['true', 'false']).withMessage('flagged must be true or false'),
+  query('days').optional().isInt({ min: 1, max: 3650 }).withMessage('days must be between 1 and 3650')
+], lotController.getBatchClusters);
+
+/**
+ * @swagger
+ * /api/lots/{id}/reports:
+ *   get:
+ *     summary: A lot with its recalls and reports (requires lot:read)
+ *     description: |
+ *       Lists the reports naming the lot that the user may see; hiddenReports counts
+ *       those of patients outside the doctor's care team.
+ *     tags: [Lots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ lot, recalls, reports, totalReports, hiddenReports }"
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/reports', lotController.getLotReports);
+
+module.exports = router;
@@ -5,12 +5,18 @@
  * - Public routes (authenticated): Search, categories, popular medications
  * - Patient routes: Create custom medications during reporting
  * - Doctor/Admin routes: Full CRUD, verification, statistics
+ * - Admin routes: Bulk catalog import from RxNorm / openFDA files
  */
 
+const path = require('path');
 const express = require('express');
+const multer = require('multer');
 const { body, query, param } = require('express-validator');
 const medicationController = require('../controllers/medicationController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const config = require('../config/config');
+const AppError = require('../utils/appError');
+const MedicationImportJob = require('../models/MedicationImportJob');
 
 const router = express.Router();
 
@@ -54,6 +60,37 @@ const createMedicationValidation = [
     .isArray()
     .withMessage('Common strengths must be an array'),
   
+  body('ingredients')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Ingredients must be an array of at most 10 items'),
+  
+  body('ingredients.*.name')
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Ingredient name must be between 2 and 150 characters'),
+  
+  body('ingredients.*.strength')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Ingredient strength cannot exceed 50 characters'),
+  
+  body('aliases')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('Aliases must be an array of at most 30 items'),
+  
+  body('aliases.*.name')
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Alias name must be between 2 and 150 characters'),
+  
+  body('aliases.*.type')
+    .optional()
+    .isIn(['brand', 'synonym'])
+    .withMessage('Alias type must be brand or synonym'),
+  
   body('description')
     .optional()
     .trim()
@@ -133,6 +170,37 @@ const updateMedicationValidation = [
     .isArray()
     .withMessage('Common strengths must be an array'),
   
+  body('ingredients')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Ingredients must be an array of at most 10 items'),
+  
+  body('ingredients.*.name')
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Ingredient name must be between 2 and 150 characters'),
+  
+  body('ingredients.*.strength')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Ingredient strength cannot exceed 50 characters'),
+  
+  body('aliases')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('Aliases must be an array of at most 30 items'),
+  
+  body('aliases.*.name')
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Alias name must be between 2 and 150 characters'),
+  
+  body('aliases.*.type')
+    .optional()
+    .isIn(['brand', 'synonym'])
+    .withMessage('Alias type must be brand or synonym'),
+  
   body('description')
     .optional()
     .trim()
@@ -153,6 +221,82 @@ const searchValidation = [
     .withMessage('Limit must be between 1 and 100')
 ];
 
+const interactionCheckValidation = [
+  body('medicines')
+    .isArray({ min: 2, max: 20 })
+    .withMessage('Provide between 2 and 20 medicines'),
+
+  body('medicines.*')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Each medicine must be a name between 2 and 150 characters'),
+
+  body('reactions')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Reactions must be an array of at most 20 entries'),
+
+  body('reactions.*')
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Each reaction cannot exceed 200 characters')
+];
+
+const mergeValidation = [
+  body('targetId')
+    .isMongoId()
+    .withMessage('Invalid target medication ID'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  body('keepNameAsAlias')
+    .optional()
+    .isBoolean()
+    .withMessage('keepNameAsAlias must be a boolean')
+];
+
+const importValidation = [
+  body('format')
+    .optional({ checkFalsy: true })
+    .isIn(MedicationImportJob.FORMATS)
+    .withMessage(`Format must be one of: ${MedicationImportJob.FORMATS.join(', ')}`),
+  
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+];
+
+const importJobValidation = [
+  param('jobId')
+    .isMongoId()
+    .withMessage('Invalid import job ID')
+];
+
+// Catalog files are parsed in memory: RXNCONSO.RRF extracts, openFDA NDC JSON, CSV or TSV
+const IMPORT_EXTENSIONS = ['.rrf', '.json', '.csv', '.tsv', '.txt'];
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.medicationImport.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(AppError.validation(`Catalog files must be one of: ${IMPORT_EXTENSIONS.join(', ')}`), false);
+    }
+  }
+}).single('file');
+
 const idValidation = [
   param('id')
     .isMongoId()
@@ -189,75 +333,168 @@ router.get('/categories', medicationController.getCategories);
  */
 router.get('/category/:category', medicationController.getMedicationsByCategory);
 
+/**
+ * @route   POST /api/medications/interactions/check
+ * @desc    Check medicine names (brand or generic) against the interaction
+ *          knowledge base; optional reactions are matched to each finding
+ * @access  Authenticated
+ * @body    medicines - 2-20 names, reactions - optional reported reactions
+ */
+router.post(
+  '/interactions/check',
+  interactionCheckValidation,
+  medicationController.checkInteractions
+);
+
 // ==================== PATIENT ROUTES ====================
 
 /**
  * @route   POST /api/medications/patient
- * @desc    Create a new medication (patient-created, needs verification)
- * @access  Patient
+ * @desc    Create a new medication (patient-created, needs verification).
+ *          Returns the existing medication instead when the name matches
+ *          one's name, generic name or a brand name/synonym
+ * @access  medication:add_own permission
  */
 router.post(
   '/patient',
-  restrictTo('patient'),
+  requirePermission('medication:add_own'),
   patientMedicationValidation,
   medicationController.createPatientMedication
 );
 
-// ==================== DOCTOR/ADMIN ROUTES ====================
+// ==================== CATALOG MANAGEMENT ROUTES ====================
 
 /**
  * @route   GET /api/medications/stats
  * @desc    Get medication statistics for dashboard
- * @access  Doctor/Admin
+ * @access  medication:manage permission
  */
 router.get(
   '/stats',
-  restrictTo('doctor', 'admin'),
+  requirePermission('medication:manage'),
   medicationController.getMedicationStats
 );
 
 /**
  * @route   GET /api/medications/unverified
  * @desc    Get unverified patient-created medications
- * @access  Doctor/Admin
+ * @access  medication:verify permission
  */
 router.get(
   '/unverified',
-  restrictTo('doctor', 'admin'),
+  requirePermission('medication:verify'),
   medicationController.getUnverifiedMedications
 );
 
+/**
+ * @route   GET /api/medications/duplicates
+ * @desc    Review queue: unverified patient-created medications clustered
+ *          with the verified medication they most likely duplicate
+ * @access  medication:verify permission
+ */
+router.get(
+  '/duplicates',
+  requirePermission('medication:verify'),
+  medicationController.getDuplicateQueue
+);
+
+/**
+ * @route   GET /api/medications/:id/duplicates
+ * @desc    Verified medications a medication most likely duplicates
+ * @access  medication:verify permission
+ */
+router.get(
+  '/:id/duplicates',
+  requirePermission('medication:verify'),
+  idValidation,
+  medicationController.getDuplicateCandidates
+);
+
+/**
+ * @route   POST /api/medications/:id/merge
+ * @desc    Merge a patient-created medication into a verified one; its
+ *          reports and symptom progressions move to the target
+ * @access  medication:verify permission
+ * @body    targetId, reason (optional), keepNameAsAlias (optional, default true)
+ */
+router.post(
+  '/:id/merge',
+  requirePermission('medication:verify'),
+  idValidation,
+  mergeValidation,
+  medicationController.mergeMedication
+);
+
 /**
  * @route   PUT /api/medications/:id/verify
  * @desc    Verify a patient-created medication
- * @access  Doctor/Admin
+ * @access  medication:verify permission
  */
 router.put(
   '/:id/verify',
-  restrictTo('doctor', 'admin'),
+  requirePermission('medication:verify'),
   idValidation,
   medicationController.verifyMedication
 );
 
+/**
+ * @route   POST /api/medications/import
+ * @desc    Import medications from an RxNorm RRF extract or openFDA NDC JSON/CSV
+ *          file (multipart field "file"); with dryRun=true only the job report
+ *          of planned changes is produced. Answers 202 with the pending job,
+ *          imported in the background; poll its job report.
+ * @access  medication:import permission
+ */
+router.post(
+  '/import',
+  requirePermission('medication:import'),
+  importUpload,
+  importValidation,
+  medicationController.importMedications
+);
+
+/**
+ * @route   GET /api/medications/import/jobs
+ * @desc    Recent catalog import jobs
+ * @access  medication:import permission
+ */
+router.get(
+  '/import/jobs',
+  requirePermission('medication:import'),
+  medicationController.getImportJobs
+);
+
+/**
+ * @route   GET /api/medications/import/jobs/:jobId
+ * @desc    Job report of a catalog import
+ * @access  medication:import permission
+ */
+router.get(
+  '/import/jobs/:jobId',
+  requirePermission('medication:import'),
+  importJobValidation,
+  medicationController.getImportJob
+);
+
 /**
  * @route   GET /api/medications
  * @desc    Get all medications with filtering and pagination
- * @access  Doctor/Admin
+ * @access  medication:manage permission
  */
 router.get(
   '/',
-  restrictTo('doctor', 'admin'),
+  requirePermission('medication:manage'),
   medicationController.getAllMedications
 );
 
 /**
  * @route   POST /api/medications
  * @desc    Create a new medication (predefined)
- * @access  Doctor/Admin
+ * @access  medication:manage permission
  */
 router.post(
   '/',
-  restrictTo('doctor', 'admin'),
+  requirePermission('medication:manage'),
   createMedicationValidation,
   medicationController.createMedication
 );
@@ -272,11 +509,11 @@ router.get('/:id', idValidation, medicationController.getMedicationById);
 /**
  * @route   PUT /api/medications/:id
  * @desc    Update a medication
- * @access  Doctor/Admin
+ * @access  medication:manage permission
  */
 router.put(
   '/:id',
-  restrictTo('doctor', 'admin'),
+  requirePermission('medication:manage'),
   idValidation,
   updateMedicationValidation,
   medicationController.updateMedication
@@ -285,11 +522,11 @@ router.put(
 /**
  * @route   DELETE /api/medications/:id
  * @desc    Delete a medication (soft delete)
- * @access  Doctor/Admin
+ * @access  medication:manage permission
  */
 router.delete(
   '/:id',
-  restrictTo('doctor', 'admin'),
+  requirePermission('medication:manage'),
   idValidation,
   medicationController.deleteMedication
 );
@@ -0,0 +1,278 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query } = require('express-validator');
+const notificationRuleController = require('../controllers/notificationRuleController');
+const NotificationRule = require('../models/NotificationRule');
+const { FIELD_VALUES, ORDERS } = require('../services/notificationRuleService');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rules decide who hears about which reports: admins only by default
+router.use(protect);
+router.use(requirePermission('notification_rule:manage'));
+
+// A condition's value must suit its field and operator
+const checkCondition = ({ field, operator, value }) => {
+  const values = Array.isArray(value) ? value : [value];
+  if (operator === 'in' ? values.length === 0 : Array.isArray(value)) {
+    throw new Error(operator === 'in' ? "'in' needs at least one value" : `'${operator}' takes a single value`);
+  }
+  if (values.some(v => typeof v !== 'string' || !v.trim())) {
+    throw new Error('Condition values must be non-empty strings');
+  }
+  if ((operator === 'gte' || operator === 'lte') && !ORDERS[field]) {
+    throw new Error(`'${operator}' only applies to ${Object.keys(ORDERS).join(' and ')}`);
+  }
+  if (field === 'medicine' && !values.every(v => mongoose.isValidObjectId(v))) {
+    throw new Error('Medicine conditions take medication IDs');
+  }
+  const allowed = (FIELD_VALUES[field] || []).map(v => v.toLowerCase());
+  if (allowed.length > 0 && !values.every(v => allowed.includes(v.toLowerCase()))) {
+    throw new Error(`${field} must be one of: ${FIELD_VALUES[field].join(', ')}`);
+  }
+  return true;
+};
+
+const ruleValidation = [
+  body('name').trim().notEmpty().withMessage('Rule name is required')
+    .isLength({ max: 120 }).withMessage('Rule name cannot exceed 120 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+  body('trigger').isIn(NotificationRule.TRIGGERS).withMessage('Invalid trigger'),
+  body('unreviewedAfterHours')
+    .if(body('trigger').equals('unreviewed'))
+    .isInt({ min: 1, max: 24 * 30 }).withMessage('unreviewedAfterHours must be between 1 and 720'),
+  body('conditions').optional().isArray({ max: 20 }).withMessage('conditions must be an array of at most 20'),
+  body('conditions.*.field').isIn(NotificationRule.FIELDS).withMessage('Invalid condition field'),
+  body('conditions.*.operator').isIn(NotificationRule.OPERATORS).withMessage('Invalid condition operator'),
+  body('conditions.*').custom(checkCondition),
+  body('recipients').isObject().withMessage('recipients is required'),
+  body('recipients.roles').optional().isArray(),
+  body('recipients.roles.*').isIn(['doctor', 'admin']).withMessage('Recipient roles must be doctor or admin'),
+  body('recipients.specializations').optional().isArray(),
+  body('recipients.specializations.*').isString().trim().notEmpty(),
+  body('recipients.users').optional().isArray(),
+  body('recipients.users.*').isMongoId().withMessage('Invalid recipient user ID'),
+  body('recipients').custom(({ roles = [], specializations = [], users = [] } = {}) => {
+    if (roles.length + specializations.length + users.length === 0) {
+      throw new Error('A rule needs at least one role, specialization or user to notify');
+    }
+    return true;
+  }),
+  body('notification.priority').optional().isIn(NotificationRule.PRIORITIES).withMessage('Invalid notification priority'),
+  body('notification.title').optional().trim().isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  body('notification.message').optional().trim().isLength({ max: 1000 }).withMessage('Message cannot exceed 1000 characters')
+];
+
+/**
+ * @swagger
+ * /api/notification-rules:
+ *   get:
+ *     summary: Get notification rules (requires notification_rule:manage)
+ *     description: |
+ *       Rules decide which staff are notified about which reports. Each rule has a
+ *       trigger (report created, AI analysis completed, status changed, or unreviewed
+ *       for a number of hours), conditions that must all match the report, and
+ *       recipients by role, doctor specialization or user. While no report_created
+ *       rule is enabled, every doctor and admin is notified of serious new reports.
+ *     tags: [Notification Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [report_created, analysis_completed, status_changed, unreviewed]
+ *       - in: query
+ *         name: enabled
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Rules with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotificationRule'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('trigger').optional().isIn(NotificationRule.TRIGGERS).withMessage('Invalid trigger'),
+  query('enabled').optional().isIn(['true', 'false']).withMessage('enabled must be true or false')
+], notificationRuleController.getRules);
+
+/**
+ * @swagger
+ * /api/notification-rules/options:
+ *   get:
+ *     summary: Triggers, condition fields and values, and possible recipients (requires notification_rule:manage)
+ *     tags: [Notification Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Triggers, fields, fieldValues, operators, priorities, specializations and staff
+ */
+router.get('/options', notificationRuleController.getOptions);
+
+/**
+ * @swagger
+ * /api/notification-rules/dry-run:
+ *   post:
+ *     summary: Test a rule against recent reports without notifying anyone (requires notification_rule:manage)
+ *     description: |
+ *       Takes a rule definition, saved or not, and returns the reports of the last
+ *       `days` days it matches and the users it would notify. For 'unreviewed'
+ *       rules only reports still waiting for review past the limit match.
+ *     tags: [Notification Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/NotificationRuleInput'
+ *               - type: object
+ *                 properties:
+ *                   days:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 365
+ *                     default: 30
+ *     responses:
+ *       200:
+ *         description: Reports checked and matched, up to 20 matching reports, recipients and notifications that would have been sent
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/dry-run', [
+  ...ruleValidation,
+  body('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365')
+], notificationRuleController.dryRun);
+
+/**
+ * @swagger
+ * /api/notification-rules:
+ *   post:
+ *     summary: Create a notification rule (requires notification_rule:manage)
+ *     tags: [Notification Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationRuleInput'
+ *     responses:
+ *       201:
+ *         description: Created rule
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/', ruleValidation, notificationRuleController.createRule);
+
+/**
+ * @swagger
+ * /api/notification-rules/{id}:
+ *   get:
+ *     summary: Get a notification rule with its latest firings (requires notification_rule:manage)
+ *     tags: [Notification Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule and its 20 latest firings
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', notificationRuleController.getRuleById);
+
+/**
+ * @swagger
+ * /api/notification-rules/{id}:
+ *   put:
+ *     summary: Replace a notification rule's definition (requires notification_rule:manage)
+ *     tags: [Notification Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationRuleInput'
+ *     responses:
+ *       200:
+ *         description: Updated rule
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.put('/:id', ruleValidation, notificationRuleController.updateRule);
+
+/**
+ * @swagger
+ * /api/notification-rules/{id}:
+ *   delete:
+ *     summary: Delete a notification rule and its firing history (requires notification_rule:manage)
+ *     tags: [Notification Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', notificationRuleController.deleteRule);
+
+module.exports = router;
@@ -1,18 +1,33 @@
 const express = require('express');
+const { body, query } = require('express-validator');
 const router = express.Router();
 const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
 const notificationService = require('../services/notificationService');
-const { protect } = require('../middleware/auth');
+const deliveryService = require('../services/deliveryService');
+const notificationPreferenceController = require('../controllers/notificationPreferenceController');
+const digestService = require('../services/digestService');
+const { protect, requirePermission } = require('../middleware/auth');
+const config = require('../config/config');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 // All routes require authentication
 router.use(protect);
 
 /**
  * GET /api/notifications/stream
- * Server-Sent Events (SSE) endpoint for real-time notifications
+ * Server-Sent Events (SSE) endpoint for real-time notifications.
+ * A client reconnecting with a Last-Event-ID header (or ?lastEventId=)
+ * first receives the notifications it missed.
  */
-router.get('/stream', (req, res) => {
+router.get('/stream', async (req, res) => {
   const userId = req.user._id.toString();
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  // Long-lived connection: no socket timeout, TCP keepalive on
+  req.socket.setTimeout(0);
+  req.socket.setKeepAlive(true);
 
   // Set SSE headers
   res.writeHead(200, {
@@ -22,22 +37,32 @@ router.get('/stream', (req, res) => {
     'X-Accel-Buffering': 'no', // Disable nginx buffering
   });
 
+  // Tell the client how long to wait before reconnecting
+  res.write(`retry: ${config.notifications.reconnectDelayMs}\n\n`);
+
   // Send initial connection event
   res.write(`event: connected\ndata: ${JSON.stringify({ userId, timestamp: new Date() })}\n\n`);
 
-  // Register client
+  // Register client (heartbeats are sent while it is connected)
   notificationService.addClient(userId, res);
 
-  // Heartbeat every 30 seconds to keep connection alive
-  const heartbeat = setInterval(() => {
-    res.write(`:heartbeat ${Date.now()}\n\n`);
-  }, 30000);
-
   // Cleanup on disconnect
   req.on('close', () => {
-    clearInterval(heartbeat);
     notificationService.removeClient(userId, res);
   });
+
+  // Registered first so nothing created during the replay is lost; the
+  // client ignores notifications it already has
+  if (lastEventId) {
+    try {
+      const replayed = await notificationService.replayMissed(userId, lastEventId, res);
+      if (replayed > 0) {
+        console.log(`[Notifications] Replayed ${replayed} notifications to ${userId} after ${lastEventId}`);
+      }
+    } catch (error) {
+      console.error('[Notifications] Replay failed:', error.message);
+    }
+  }
 });
 
 /**
@@ -87,6 +112,283 @@ router.get('/unread-count', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get my notification preferences
+ *     description: |
+ *       Which notifications reach the user by email, Web Push and SMS, with the
+ *       notification types, the channels the server can send on and the VAPID
+ *       public key browsers subscribe to Web Push with.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     preferences:
+ *                       $ref: '#/components/schemas/NotificationPreferences'
+ *                     types:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     channels:
+ *                       type: object
+ *                       description: Whether the server can send on each channel
+ *                       example: { email: true, push: false, sms: true }
+ *                     pushSubscriptionCount:
+ *                       type: integer
+ *                     vapidPublicKey:
+ *                       type: string
+ *                       nullable: true
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   put:
+ *     summary: Update my notification preferences
+ *     description: Only the parts sent are changed; a type's overrides replace the stored ones.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/preferences', notificationPreferenceController.getPreferences);
+
+router.put('/preferences', [
+  body('channels').optional().isObject().withMessage('channels must be an object'),
+  body('channels.*').isBoolean().withMessage('Channel switches must be true or false'),
+  body('types').optional().isObject().withMessage('types must be an object'),
+  body('types').optional().custom((types) => {
+    for (const [type, overrides] of Object.entries(types)) {
+      if (!Notification.TYPES.includes(type)) {
+        throw new Error(`Unknown notification type ${type}`);
+      }
+      if (!overrides || typeof overrides !== 'object' || Object.entries(overrides)
+        .some(([channel, on]) => !NotificationDelivery.CHANNELS.includes(channel) || typeof on !== 'boolean')) {
+        throw new Error(`Overrides of ${type} must map email, push or sms to true or false`);
+      }
+    }
+    return true;
+  }),
+  body('quietHours').optional().isObject().withMessage('quietHours must be an object'),
+  body('quietHours.enabled').optional().isBoolean().withMessage('quietHours.enabled must be true or false'),
+  body('quietHours.start').optional().matches(TIME_OF_DAY).withMessage('quietHours.start must be HH:mm'),
+  body('quietHours.end').optional().matches(TIME_OF_DAY).withMessage('quietHours.end must be HH:mm'),
+  body('quietHours.timezone').optional().custom(deliveryService.isValidTimezone)
+    .withMessage('quietHours.timezone must be an IANA time zone, e.g. Europe/London'),
+  body('digest.frequency').optional().isIn(['off', ...digestService.FREQUENCIES])
+    .withMessage('digest.frequency must be off, daily or weekly')
+], notificationPreferenceController.updatePreferences);
+
+/**
+ * @swagger
+ * /api/notifications/digest/preview:
+ *   get:
+ *     summary: Preview my digest email (requires notification:digest)
+ *     description: |
+ *       The digest the user would receive now: new review requests, symptom
+ *       progressions needing attention, their overdue assignments and new
+ *       duplicate flags since their last digest. Nothing is sent.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: frequency
+ *         schema:
+ *           type: string
+ *           enum: [daily, weekly]
+ *         description: Period to preview instead of the user's own
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *         description: html returns the email body itself
+ *     responses:
+ *       200:
+ *         description: Digest
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Digest'
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/digest/preview', requirePermission('notification:digest'), [
+  query('frequency').optional().isIn(digestService.FREQUENCIES).withMessage('frequency must be daily or weekly'),
+  query('format').optional().isIn(['json', 'html']).withMessage('format must be json or html')
+], notificationPreferenceController.previewDigest);
+
+/**
+ * @swagger
+ * /api/notifications/push-subscriptions:
+ *   post:
+ *     summary: Enable Web Push for this browser
+ *     description: Saves the PushSubscription the browser returned for the server's VAPID key.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [endpoint, keys]
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *               keys:
+ *                 type: object
+ *                 properties:
+ *                   p256dh:
+ *                     type: string
+ *                   auth:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Subscription saved
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     summary: Disable Web Push for this browser
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [endpoint]
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subscription removed
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/push-subscriptions', [
+  body('endpoint').isURL({ protocols: ['https'], require_tld: false }).withMessage('endpoint must be an https URL'),
+  body('keys.p256dh').isString().notEmpty().withMessage('keys.p256dh is required'),
+  body('keys.auth').isString().notEmpty().withMessage('keys.auth is required')
+], notificationPreferenceController.addPushSubscription);
+
+router.delete('/push-subscriptions', [
+  body('endpoint').isString().notEmpty().withMessage('endpoint is required')
+], notificationPreferenceController.removePushSubscription);
+
+/**
+ * @swagger
+ * /api/notifications/deliveries:
+ *   get:
+ *     summary: Get my notification delivery log
+ *     description: |
+ *       Email, push and SMS deliveries, newest first: sent, failed, or skipped with
+ *       the reason. Users with notification:deliveries_all (admins by default) can pass
+ *       `recipient` to see another user's log.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, push, sms]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [sent, failed, skipped]
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *         description: User ID (admins only)
+ *     responses:
+ *       200:
+ *         description: Deliveries with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotificationDelivery'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/deliveries', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('channel').optional().isIn(NotificationDelivery.CHANNELS).withMessage('Invalid channel'),
+  query('status').optional().isIn(NotificationDelivery.STATUSES).withMessage('Invalid delivery status'),
+  query('recipient').optional().isMongoId().withMessage('Invalid recipient ID')
+], notificationPreferenceController.getDeliveries);
+
 /**
  * PUT /api/notifications/:id/read
  * Mark a single notification as read
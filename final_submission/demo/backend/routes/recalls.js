@@ -0,0 +1,169 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const recallController = require('../controllers/recallController');
+const Recall = require('../models/Recall');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/recalls:
+ *   get:
+ *     summary: List product recalls (requires lot:read)
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ongoing, completed, terminated]
+ *       - in: query
+ *         name: medicine
+ *         schema:
+ *           type: string
+ *         description: Medication ID
+ *     responses:
+ *       200:
+ *         description: Recalls with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Recall'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     summary: Issue a recall (requires recall:manage)
+ *     description: |
+ *       Recalls lots of a medication, registering batch numbers not seen before, and
+ *       notifies every patient whose reports name a recalled lot. Patients reporting a
+ *       recalled lot later are notified when they submit, while the recall is ongoing.
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecallInput'
+ *     responses:
+ *       201:
+ *         description: Issued recall with notifiedCount
+ *       400:
+ *         description: A batch number has no letters or digits
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/', requirePermission('lot:read'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(Recall.STATUSES).withMessage('Invalid recall status'),
+  query('medicine').optional().isMongoId().withMessage('Invalid medicine ID')
+], recallController.getRecalls);
+
+router.post('/', requirePermission('recall:manage'), [
+  body('medication').isMongoId().withMessage('Valid medication ID is required'),
+  body('batchNumbers').isArray({ min: 1, max: 50 }).withMessage('Between 1 and 50 batch numbers are required'),
+  body('batchNumbers.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Batch numbers must be 1 to 50 characters'),
+  body('classification').isIn(Recall.CLASSIFICATIONS).withMessage('Invalid recall classification'),
+  body('reason').trim().isLength({ min: 5, max: 1000 }).withMessage('Reason must be between 5 and 1000 characters'),
+  body('patientInstructions').optional().trim().isLength({ max: 1000 }).withMessage('Patient instructions cannot exceed 1000 characters'),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+  body('manufacturer').optional().trim().isLength({ max: 200 }).withMessage('Manufacturer cannot exceed 200 characters')
+], recallController.createRecall);
+
+/**
+ * @swagger
+ * /api/recalls/{id}:
+ *   get:
+ *     summary: Get a recall with its status history (requires lot:read)
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recall
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', requirePermission('lot:read'), recallController.getRecallById);
+
+/**
+ * @swagger
+ * /api/recalls/{id}/status:
+ *   put:
+ *     summary: Update recall status (requires recall:manage)
+ *     description: Completed and terminated recalls no longer notify later reporters of their lots.
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [ongoing, completed, terminated]
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Updated recall
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.put('/:id/status', requirePermission('recall:manage'), [
+  body('status').isIn(Recall.STATUSES).withMessage('Invalid recall status'),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
+], recallController.updateRecallStatus);
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const reportController = require('../controllers/reportController');
 const aiReportController = require('../controllers/aiReportController');
+const causalityService = require('../services/causalityService');
 const { uploadAIReportFiles, handleUploadErrors, validateUploadedFiles } = require('../middleware/fileUpload');
-const { protect, restrictTo, requirePermission } = require('../middleware/auth');
+const { protect, requirePermission, requireTwoFactor } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -16,6 +17,23 @@ const submitReportValidation = [
     .isMongoId()
     .withMessage('Valid medicine ID is required'),
   
+  body('medicineDetails.batchNumber')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Batch number cannot exceed 50 characters'),
+  
+  body('medicineDetails.expiryDate')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Valid expiry date is required'),
+  
+  body('medicineDetails.manufacturer')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Manufacturer cannot exceed 200 characters'),
+  
   body('patient')
     .optional()
     .isMongoId()
@@ -142,6 +160,47 @@ const followUpValidation = [
     .withMessage('Description must be between 10 and 500 characters')
 ];
 
+// Reviewer coding entries: [{ sideEffectId, lltCodes: [...] }]
+const codingValidation = (field, { optional = false } = {}) => {
+  const list = body(field);
+  return [
+    (optional ? list.optional() : list).isArray({ min: 1 }).withMessage(`${field} must be a non-empty array`),
+    body(`${field}.*.sideEffectId`).isMongoId().withMessage('Invalid side effect ID'),
+    body(`${field}.*.lltCodes`).isArray().withMessage('lltCodes must be an array'),
+    body(`${field}.*.lltCodes.*`).isString().trim().notEmpty().withMessage('Invalid terminology code')
+  ];
+};
+
+// Reviewer's seriousness classification on submit-review
+const seriousnessValidation = [
+  body('seriousness').optional().isIn(['Serious', 'Non-serious']).withMessage('Seriousness must be Serious or Non-serious'),
+  body('seriousnessReason').optional().isArray().withMessage('seriousnessReason must be an array'),
+  body('seriousnessReason.*')
+    .isIn(['Death', 'Life-threatening', 'Hospitalization', 'Persistent disability', 'Congenital anomaly', 'Medically important', 'Other'])
+    .withMessage('Invalid seriousness reason'),
+  body('expectedness').optional().isIn(['Expected', 'Unexpected', 'Unknown']).withMessage('Invalid expectedness')
+];
+
+const regulatoryInfoValidation = [
+  body('expectedness').optional().isIn(['Expected', 'Unexpected', 'Unknown']).withMessage('Invalid expectedness'),
+  body('submitted').optional().isBoolean({ strict: true }).withMessage('submitted must be a boolean'),
+  body('submissionDate').optional().isISO8601().withMessage('Valid submission date is required'),
+  body('authorityName').optional().trim().isLength({ max: 200 }).withMessage('Authority name cannot exceed 200 characters'),
+  body('reportNumber').optional().trim().isLength({ max: 100 }).withMessage('Report number cannot exceed 100 characters')
+];
+
+// Questionnaire answers by question id, e.g. { temporal: 'yes', dechallenge: 'no' }
+const questionnaireAnswersValidation = ({ optional = false } = {}) => {
+  const answers = body('answers');
+  return [
+    (optional ? answers.optional() : answers)
+      .isObject().withMessage('Answers must be an object keyed by question id')
+      .custom((value, { req }) => causalityService.ALGORITHMS.includes(req.body.algorithm))
+      .withMessage(`Questionnaire answers are only supported for ${causalityService.ALGORITHMS.join(' and ')}`),
+    body('answers.*').isString().withMessage('Each answer must be a string')
+  ];
+};
+
 const causalityAssessmentValidation = [
   body('algorithm')
     .isIn(['WHO-UMC', 'Naranjo', 'CIOMS/RUCAM', 'Other', 'Not assessed'])
@@ -152,12 +211,16 @@ const causalityAssessmentValidation = [
     .isFloat()
     .withMessage('Score must be a number'),
   
+  // Computed from the questionnaire when answers are given
   body('category')
+    .if(body('answers').not().exists())
     .isIn([
       'Certain', 'Probable', 'Possible', 'Unlikely', 
       'Conditional', 'Unassessable', 'Unclassifiable'
     ])
     .withMessage('Invalid causality category'),
+
+  ...questionnaireAnswersValidation({ optional: true }),
   
   body('comments')
     .optional()
@@ -310,7 +373,7 @@ router.get('/', [
  * @swagger
  * /api/reports/dashboard:
  *   get:
- *     summary: Get dashboard statistics (Admin/Doctor only)
+ *     summary: Get dashboard statistics (requires report:dashboard)
  *     description: Retrieve comprehensive statistics for side effect reporting dashboard
  *     tags: [Side Effect Reports]
  *     security:
@@ -341,15 +404,24 @@ router.get('/', [
  *                     reportsThisMonth:
  *                       type: integer
  *                       example: 28
- *                     topMedicines:
+ *                     mostReportedIngredients:
  *                       type: array
+ *                       description: Reports per active ingredient, counting brands and combination products towards each of their ingredients
  *                       items:
  *                         type: object
  *                         properties:
- *                           medicine:
+ *                           ingredient:
+ *                             type: string
+ *                             example: "ibuprofen"
+ *                           ingredientName:
  *                             type: string
- *                             example: "Paracetamol 500mg"
- *                           count:
+ *                             example: "Ibuprofen"
+ *                           medicines:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["Ibuprofen", "Advil"]
+ *                           reportCount:
  *                             type: integer
  *                             example: 15
  *                     severityBreakdown:
@@ -374,9 +446,9 @@ router.get('/', [
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-// GET /api/reports/dashboard - Get dashboard statistics (Admin/Doctor only)
+// GET /api/reports/dashboard - Get dashboard statistics (requires report:dashboard)
 router.get('/dashboard', 
-  restrictTo('admin', 'doctor'),
+  requirePermission('report:dashboard'),
   reportController.getDashboardStats
 );
 
@@ -389,7 +461,7 @@ router.get('/dashboard',
  * /api/reports/duplicate-stats:
  *   get:
  *     summary: Get duplicate detection statistics
- *     description: Retrieve statistics about duplicate report detection (Admin/Doctor only)
+ *     description: Retrieve statistics about duplicate report detection over the reports the user may see
  *     tags: [Duplicate Detection]
  *     security:
  *       - bearerAuth: []
@@ -425,7 +497,7 @@ router.get('/dashboard',
  *         $ref: '#/components/responses/ForbiddenError'
  */
 router.get('/duplicate-stats', 
-  restrictTo('admin', 'doctor'),
+  requirePermission('report:duplicates'),
   reportController.getDuplicateStats
 );
 
@@ -475,7 +547,7 @@ router.get('/duplicate-stats',
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/check-duplicates', reportController.checkDuplicatesBeforeSubmission);
+router.post('/check-duplicates', requirePermission('report:create'), reportController.checkDuplicatesBeforeSubmission);
 
 /**
  * @swagger
@@ -512,6 +584,76 @@ router.post('/check-duplicates', reportController.checkDuplicatesBeforeSubmissio
 // GET /api/reports/serious - Get serious reports
 router.get('/serious', reportController.getSeriousReports);
 
+/**
+ * @swagger
+ * /api/reports/regulatory-due:
+ *   get:
+ *     summary: Get open expedited reporting cases (requires report:regulatory)
+ *     description: |
+ *       Serious unexpected reactions must be reported to the authority within
+ *       15 days of the report date, 7 days when fatal or life-threatening.
+ *       Lists cases not yet submitted, earliest deadline first, with counts of
+ *       overdue, due soon and open cases.
+ *     tags: [Side Effect Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [overdue, due_soon, open]
+ *         description: Only cases in this deadline status (all open cases when omitted)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Expedited cases with deadlineStatus and daysRemaining
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ReportSideEffect'
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         overdue:
+ *                           type: integer
+ *                         dueSoon:
+ *                           type: integer
+ *                         open:
+ *                           type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/regulatory-due', requirePermission('report:regulatory'), [
+  query('status').optional().isIn(['overdue', 'due_soon', 'open']).withMessage('Invalid deadline status'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], reportController.getRegulatoryDue);
+
 /**
  * @swagger
  * /api/reports/medicine/{medicineId}:
@@ -590,7 +732,7 @@ router.get('/medicine/:medicineId', [
 ], reportController.getReportsByMedicine);
 
 // GET /api/reports/pending-reviews - Get reports pending doctor review (must be before /:id route)
-router.get('/pending-reviews', reportController.getPendingReviews);
+router.get('/pending-reviews', requirePermission('report:review'), reportController.getPendingReviews);
 
 /**
  * @swagger
@@ -657,6 +799,25 @@ router.get('/:id', reportController.getReportById);
  *                 type: string
  *                 description: Medicine ID causing the side effect
  *                 example: "507f1f77bcf86cd799439011"
+ *               medicineDetails:
+ *                 type: object
+ *                 description: The pack the patient took, from its label
+ *                 properties:
+ *                   batchNumber:
+ *                     type: string
+ *                     maxLength: 50
+ *                     description: Batch (lot) number; links the report to the product lot registry
+ *                     example: "AB1234"
+ *                   expiryDate:
+ *                     type: string
+ *                     format: date
+ *                   manufacturer:
+ *                     type: string
+ *                     maxLength: 200
+ *                   dosageForm:
+ *                     type: string
+ *                   strength:
+ *                     type: string
  *               patient:
  *                 type: string
  *                 description: Patient ID (optional for anonymous reports)
@@ -801,6 +962,7 @@ router.get('/:id', reportController.getReportById);
  */
 // POST /api/reports - Submit new report
 router.post('/', 
+  requirePermission('report:create'),
   submitReportValidation,
   reportController.submitReport
 );
@@ -809,7 +971,7 @@ router.post('/',
  * @swagger
  * /api/reports/{id}/status:
  *   put:
- *     summary: Update report status (Doctor/Admin only)
+ *     summary: Update report status (requires report:review)
  *     description: Update the workflow status of a side effect report
  *     tags: [Side Effect Reports]
  *     security:
@@ -881,9 +1043,10 @@ router.post('/',
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-// PUT /api/reports/:id/status - Update report status (Doctor/Admin only)
+// PUT /api/reports/:id/status - Update report status (requires report:review)
 router.put('/:id/status', 
-  restrictTo('admin', 'doctor'),
+  requirePermission('report:review'),
+  requireTwoFactor,
   updateStatusValidation,
   reportController.updateReportStatus
 );
@@ -980,8 +1143,8 @@ router.post('/:id/followup',
  * @swagger
  * /api/reports/{id}/duplicates:
  *   get:
- *     summary: Find potential duplicate reports (Doctor/Admin only)
- *     description: Analyze a specific report to find potential duplicates. Implements Use Case 8 - Identify Duplicate Reports.
+ *     summary: Find potential duplicate reports (requires report:duplicates)
+ *     description: Analyze a specific report to find potential duplicates among the reports the user may see. Implements Use Case 8 - Identify Duplicate Reports.
  *     tags: [Duplicate Detection]
  *     security:
  *       - bearerAuth: []
@@ -1035,7 +1198,7 @@ router.post('/:id/followup',
  *         $ref: '#/components/responses/NotFoundError'
  */
 router.get('/:id/duplicates', 
-  restrictTo('admin', 'doctor'),
+  requirePermission('report:duplicates'),
   reportController.findDuplicates
 );
 
@@ -1043,8 +1206,8 @@ router.get('/:id/duplicates',
  * @swagger
  * /api/reports/{id}/flag-duplicate:
  *   post:
- *     summary: Flag report as duplicate (Doctor/Admin only)
- *     description: Confirm and flag a report as a duplicate of another report
+ *     summary: Flag report as duplicate (requires report:duplicates)
+ *     description: Confirm and flag a report as a duplicate of another report; the user must have access to both
  *     tags: [Duplicate Detection]
  *     security:
  *       - bearerAuth: []
@@ -1078,7 +1241,7 @@ router.get('/:id/duplicates',
  *         $ref: '#/components/responses/NotFoundError'
  */
 router.post('/:id/flag-duplicate', 
-  restrictTo('admin', 'doctor'),
+  requirePermission('report:duplicates'),
   reportController.flagAsDuplicate
 );
 
@@ -1086,8 +1249,12 @@ router.post('/:id/flag-duplicate',
  * @swagger
  * /api/reports/{id}/causality:
  *   put:
- *     summary: Update causality assessment (Doctor/Admin only)
- *     description: Update the causality assessment of a side effect report using standardized algorithms
+ *     summary: Update causality assessment (requires report:assess)
+ *     description: |
+ *       Update the causality assessment of a side effect report using standardized algorithms.
+ *       For Naranjo and WHO-UMC, send questionnaire answers and the score and category are computed
+ *       from them, using the report's dechallenge/rechallenge data for unanswered questions.
+ *       The answers are stored with the result.
  *     tags: [Side Effect Reports]
  *     security:
  *       - bearerAuth: []
@@ -1107,22 +1274,23 @@ router.post('/:id/flag-duplicate',
  *             type: object
  *             required:
  *               - algorithm
- *               - category
  *             properties:
  *               algorithm:
  *                 type: string
  *                 enum: [WHO-UMC, Naranjo, CIOMS/RUCAM, Other, Not assessed]
  *                 example: "WHO-UMC"
  *                 description: Causality assessment algorithm used
+ *               answers:
+ *                 $ref: '#/components/schemas/CausalityAnswers'
  *               score:
  *                 type: number
  *                 example: 7.5
- *                 description: Numerical score if applicable
+ *                 description: Numerical score if applicable (ignored when answers are given)
  *               category:
  *                 type: string
  *                 enum: [Certain, Probable, Possible, Unlikely, Conditional, Unassessable, Unclassifiable]
  *                 example: "Probable"
- *                 description: Causality assessment category
+ *                 description: Causality assessment category (required unless answers are given)
  *               comments:
  *                 type: string
  *                 maxLength: 1000
@@ -1177,13 +1345,90 @@ router.post('/:id/flag-duplicate',
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-// PUT /api/reports/:id/causality - Update causality assessment (Doctor/Admin only)
+// PUT /api/reports/:id/causality - Update causality assessment (requires report:assess)
 router.put('/:id/causality', 
-  restrictTo('admin', 'doctor'),
+  requirePermission('report:assess'),
+  requireTwoFactor,
   causalityAssessmentValidation,
   reportController.updateCausalityAssessment
 );
 
+/**
+ * @swagger
+ * /api/reports/{id}/causality/questionnaire:
+ *   get:
+ *     summary: Get a causality questionnaire for a report (requires report:assess)
+ *     description: |
+ *       Questions and answer options for the Naranjo scale or WHO-UMC criteria. Answers are
+ *       prefilled from the report (drug start vs. incident date, dechallenge, rechallenge) and
+ *       from an earlier assessment with the same algorithm, with the result they give.
+ *     tags: [Side Effect Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: algorithm
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Naranjo, WHO-UMC]
+ *     responses:
+ *       200:
+ *         description: Questionnaire with prefilled answers
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/causality/questionnaire',
+  requirePermission('report:assess'),
+  query('algorithm').isIn(causalityService.ALGORITHMS).withMessage('Invalid questionnaire algorithm'),
+  reportController.getCausalityQuestionnaire
+);
+
+/**
+ * @swagger
+ * /api/reports/causality/evaluate:
+ *   post:
+ *     summary: Score causality questionnaire answers without saving (requires report:assess)
+ *     tags: [Side Effect Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - algorithm
+ *               - answers
+ *             properties:
+ *               algorithm:
+ *                 type: string
+ *                 enum: [Naranjo, WHO-UMC]
+ *               answers:
+ *                 $ref: '#/components/schemas/CausalityAnswers'
+ *     responses:
+ *       200:
+ *         description: Score, category and interpretation
+ *       400:
+ *         description: Unknown question or answer
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/causality/evaluate',
+  requirePermission('report:assess'),
+  body('algorithm').isIn(causalityService.ALGORITHMS).withMessage('Invalid questionnaire algorithm'),
+  questionnaireAnswersValidation(),
+  reportController.evaluateCausality
+);
+
 // AI-Powered Report Submission Routes
 
 /**
@@ -1349,7 +1594,11 @@ router.put('/:id/causality',
  * /api/reports/{id}/request-review:
  *   post:
  *     summary: Request a doctor review for a report
- *     description: Allows patients to request a doctor's review of their side effect report
+ *     description: |
+ *       Allows patients to request a doctor's review of their side effect report. The
+ *       request goes to the given doctor, who must be on the patient's care team, or
+ *       by default to the patient's own doctor (the one longest on their care team).
+ *       Without a care team it stays unassigned until an admin assigns a doctor.
  *     tags: [Doctor Reviews]
  *     security:
  *       - bearerAuth: []
@@ -1367,11 +1616,19 @@ router.put('/:id/causality',
  *             properties:
  *               reason:
  *                 type: string
+ *               doctorId:
+ *                 type: string
+ *                 description: A doctor on the patient's care team
  *     responses:
  *       200:
  *         description: Doctor review requested successfully
+ *       400:
+ *         description: The doctor is not on the patient's care team, or a review was already requested
  */
-router.post('/:id/request-review', reportController.requestDoctorReview);
+router.post('/:id/request-review', requirePermission('report:request_review'), [
+  body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters'),
+  body('doctorId').optional().isMongoId().withMessage('Invalid doctor ID')
+], reportController.requestDoctorReview);
 
 /**
  * @swagger
@@ -1414,11 +1671,228 @@ router.post('/:id/request-review', reportController.requestDoctorReview);
  *                 format: date
  *               additionalNotes:
  *                 type: string
+ *               coding:
+ *                 type: array
+ *                 description: Confirmed or overridden terminology codes per side effect
+ *                 items:
+ *                   $ref: '#/components/schemas/ReactionCodingUpdate'
+ *               seriousness:
+ *                 type: string
+ *                 enum: [Serious, Non-serious]
+ *                 description: Reviewer's classification; serious unexpected reactions start the expedited clock
+ *               seriousnessReason:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [Death, Life-threatening, Hospitalization, Persistent disability, Congenital anomaly, Medically important, Other]
+ *               expectedness:
+ *                 type: string
+ *                 enum: [Expected, Unexpected, Unknown]
  *     responses:
  *       200:
  *         description: Doctor review submitted successfully
  */
-router.post('/:id/submit-review', reportController.submitDoctorReview);
+router.post('/:id/submit-review',
+  requirePermission('report:review'),
+  requireTwoFactor,
+  codingValidation('coding', { optional: true }),
+  seriousnessValidation,
+  reportController.submitDoctorReview
+);
+
+/**
+ * @swagger
+ * /api/reports/{id}/regulatory:
+ *   put:
+ *     summary: Update expedited reporting information (requires report:regulatory)
+ *     description: |
+ *       Records whether the reaction is expected (expected reactions are not
+ *       expedited) and the submission to the authority, which stops the clock.
+ *     tags: [Doctor Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expectedness:
+ *                 type: string
+ *                 enum: [Expected, Unexpected, Unknown]
+ *               submitted:
+ *                 type: boolean
+ *               submissionDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now when submitted is true
+ *               authorityName:
+ *                 type: string
+ *               reportNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated regulatory information
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.put('/:id/regulatory',
+  requirePermission('report:regulatory'),
+  regulatoryInfoValidation,
+  reportController.updateRegulatoryInfo
+);
+
+/**
+ * @swagger
+ * /api/reports/{id}/reanalyze:
+ *   post:
+ *     summary: Re-run AI analysis of a report (requires report:reanalyze)
+ *     description: |
+ *       Queues the report for the AI consumer even if it already has an
+ *       analysis, which the new run replaces. Progress is pushed to the
+ *       report's viewers as `analysis_status` events on the notification stream.
+ *     tags: [Side Effect Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Report queued; returns the new analysis job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job:
+ *                       $ref: '#/components/schemas/AnalysisJob'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: An analysis of the report is already queued or running
+ *       503:
+ *         description: Message queue unavailable
+ */
+router.post('/:id/reanalyze',
+  requirePermission('report:reanalyze'),
+  reportController.reanalyzeReport
+);
+
+/**
+ * @swagger
+ * /api/reports/{id}/analysis-status:
+ *   get:
+ *     summary: Get the AI analysis status of a report
+ *     description: Latest analysis job with its pipeline steps, and up to five earlier jobs
+ *     tags: [Side Effect Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Analysis status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     aiProcessed:
+ *                       type: boolean
+ *                     aiProcessedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     aiModelUsed:
+ *                       type: string
+ *                     aiProcessingError:
+ *                       type: string
+ *                     job:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/AnalysisJob'
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AnalysisJob'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/analysis-status', reportController.getAnalysisStatus);
+
+/**
+ * @swagger
+ * /api/reports/{id}/coding:
+ *   put:
+ *     summary: Confirm or override reaction coding (requires report:code)
+ *     description: |
+ *       Sets the coded terms of one or more side effects. Keeping the suggested
+ *       terms marks them confirmed; choosing different ones marks them overridden.
+ *     tags: [Doctor Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sideEffects
+ *             properties:
+ *               sideEffects:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ReactionCodingUpdate'
+ *     responses:
+ *       200:
+ *         description: Reaction coding updated
+ *       400:
+ *         description: Unknown terminology code
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/coding',
+  requirePermission('report:code'),
+  codingValidation('sideEffects'),
+  reportController.updateReactionCoding
+);
 
 /**
  * @swagger
@@ -1450,7 +1924,160 @@ router.post('/:id/submit-review', reportController.submitDoctorReview);
  *       200:
  *         description: Report assigned to doctor successfully
  */
-router.post('/:id/assign-doctor', reportController.assignToDoctor);
+router.post('/:id/assign-doctor', requirePermission('report:assign'), reportController.assignToDoctor);
+
+// ==================== Version History Routes ====================
+
+const versionParamValidation = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+];
+
+/**
+ * @swagger
+ * /api/reports/{id}/versions:
+ *   get:
+ *     summary: Get the version history of a report
+ *     description: Lists every saved version of the report, newest first, with who made it, when, and which fields changed
+ *     tags: [Side Effect Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Version history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currentVersion:
+ *                       type: integer
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ReportVersion'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/versions', reportController.getReportVersions);
+
+/**
+ * @swagger
+ * /api/reports/{id}/versions/{version}/diff:
+ *   get:
+ *     summary: Get the field-level diff of a report version
+ *     description: Compares the version with the one before it, or with the version given in `against`
+ *     tags: [Side Effect Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: against
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Version to compare with (defaults to the previous version)
+ *     responses:
+ *       200:
+ *         description: Version diff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ReportVersion'
+ *                     - type: object
+ *                       properties:
+ *                         comparedTo:
+ *                           type: integer
+ *                           nullable: true
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/versions/:version/diff',
+  versionParamValidation,
+  query('against').optional().isInt({ min: 1 }).withMessage('against must be a positive integer'),
+  reportController.getReportVersionDiff
+);
+
+/**
+ * @swagger
+ * /api/reports/{id}/versions/{version}/restore:
+ *   post:
+ *     summary: Restore a report to an earlier version (requires report:restore_version)
+ *     description: Copies the content of the given version back onto the report and saves it as a new version
+ *     tags: [Side Effect Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Report restored
+ *       400:
+ *         description: The version is already current
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/versions/:version/restore',
+  requirePermission('report:restore_version'),
+  requireTwoFactor,
+  versionParamValidation,
+  body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters'),
+  reportController.restoreReportVersion
+);
 
 // ========================================
 // AI-Powered Report Routes
@@ -1465,6 +2092,7 @@ router.post('/:id/assign-doctor', reportController.assignToDoctor);
  *     tags: [AI Reports]
  */
 router.post('/aisubmit', 
+  requirePermission('report:create'),
   uploadAIReportFiles, 
   handleUploadErrors, 
   validateUploadedFiles, 
@@ -1480,6 +2108,7 @@ router.post('/aisubmit',
  *     tags: [AI Reports]
  */
 router.post('/aipreview', 
+  requirePermission('report:create'),
   uploadAIReportFiles, 
   handleUploadErrors, 
   validateUploadedFiles, 
@@ -1494,6 +2123,6 @@ router.post('/aipreview',
  *     description: Saves the confirmed AI-extracted report data
  *     tags: [AI Reports]
  */
-router.post('/aiconfirm', aiReportController.submitConfirmedAIReport);
+router.post('/aiconfirm', requirePermission('report:create'), aiReportController.submitConfirmedAIReport);
 
 module.exports = router;
\ No newline at end of file
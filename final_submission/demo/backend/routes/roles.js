@@ -0,0 +1,250 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param } = require('express-validator');
+const roleController = require('../controllers/roleController');
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Roles decide what everyone may do: admins only by default
+router.use(protect);
+router.use(requirePermission('role:manage'));
+
+const roleParamValidation = [
+  param('role')
+    .custom(value => BUILT_IN_ROLES.includes(value) || mongoose.isValidObjectId(value))
+    .withMessage('Role must be a built-in role name or a role ID')
+];
+
+const permissionsValidation = (optional) => [
+  (optional ? body('permissions').optional() : body('permissions'))
+    .isArray().withMessage('permissions must be an array'),
+  body('permissions.*').isIn(ALL_PERMISSIONS).withMessage('Unknown permission')
+];
+
+const createValidation = [
+  body('name').trim().toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{0,39}$/)
+    .withMessage('Role name must start with a letter and contain at most 40 lowercase letters, digits, - and _'),
+  body('label').optional().trim().isLength({ max: 80 }).withMessage('Label cannot exceed 80 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('baseRole').isIn(BUILT_IN_ROLES).withMessage(`baseRole must be one of: ${BUILT_IN_ROLES.join(', ')}`),
+  body('reporterRole').optional({ values: 'falsy' }).isIn(Role.REPORTER_ROLES).withMessage('Invalid reporter role'),
+  ...permissionsValidation(false)
+];
+
+const updateValidation = [
+  ...roleParamValidation,
+  body('label').optional().trim().isLength({ max: 80 }).withMessage('Label cannot exceed 80 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('reporterRole').optional({ values: 'null' }).isIn([...Role.REPORTER_ROLES, '']).withMessage('Invalid reporter role'),
+  // Built-in roles only take permissions
+  ...permissionsValidation(true),
+  body('permissions')
+    .if(param('role').isIn(BUILT_IN_ROLES))
+    .exists().withMessage('permissions is required for built-in roles')
+];
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get built-in and custom roles with their permissions (requires role:manage)
+ *     description: |
+ *       Every user has a built-in role (admin, doctor or patient), which is their
+ *       account type and decides which reports and patients they see. Their
+ *       permissions come from their custom role when an admin has given them one,
+ *       otherwise from the built-in role. The admin role always has every permission.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with their permissions and user counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', roleController.getRoles);
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get the permission registry (requires role:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions with their group and description, base roles and reporter roles
+ */
+router.get('/permissions', roleController.getPermissions);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a custom role (requires role:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, baseRole, permissions]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: pharmacist
+ *               label:
+ *                 type: string
+ *                 example: Pharmacist
+ *               description:
+ *                 type: string
+ *               baseRole:
+ *                 type: string
+ *                 enum: [admin, doctor, patient]
+ *                 description: Account type the role is for; users keep its access to reports and patients
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [report:create, medication:verify, signal:read]
+ *               reporterRole:
+ *                 type: string
+ *                 enum: [patient, doctor, admin, pharmacist, caregiver]
+ *                 description: Reporter qualification recorded on reports its users submit; defaults to the base role
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       409:
+ *         description: A role with this name already exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/', createValidation, roleController.createRole);
+
+/**
+ * @swagger
+ * /api/roles/users/{userId}:
+ *   put:
+ *     summary: Give a user a custom role, or remove it (requires role:manage)
+ *     description: The role must be for the user's account type. You cannot change your own role.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               roleId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Custom role ID, or null to fall back to the built-in role
+ *     responses:
+ *       200:
+ *         description: Role assigned or removed
+ *       400:
+ *         description: The role is for another account type
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/users/:userId', [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('roleId').optional({ values: 'null' }).isMongoId().withMessage('Invalid role ID')
+], roleController.assignRole);
+
+/**
+ * @swagger
+ * /api/roles/{role}:
+ *   put:
+ *     summary: Update a role (requires role:manage)
+ *     description: |
+ *       Takes a custom role ID, or doctor or patient to change the permissions of
+ *       a built-in role. The admin role cannot be changed. A custom role keeps its
+ *       name and base role.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               reporterRole:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: The admin role cannot be changed
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *   delete:
+ *     summary: Delete a custom role, or reset a built-in role (requires role:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted, or built-in role reset to its default permissions
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Users still have this role
+ */
+router.put('/:role', updateValidation, roleController.updateRole);
+router.delete('/:role', roleParamValidation, roleController.deleteRole);
+
+module.exports = router;
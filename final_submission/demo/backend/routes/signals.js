@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const signalController = require('../controllers/signalController');
+const Signal = require('../models/Signal');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Signals are for the safety team: doctors and admins by default
+router.use(protect);
+router.use(requirePermission('signal:read'));
+
+/**
+ * @swagger
+ * /api/signals:
+ *   get:
+ *     summary: Get disproportionality signals (requires signal:read)
+ *     description: |
+ *       Medicine x reaction pairs reported more often than expected, with PRR, ROR
+ *       (95% confidence intervals) and information component. Active signals cross
+ *       the thresholds on the latest detection run.
+ *     tags: [Signals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [new, under_evaluation, refuted, confirmed]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: ingredient
+ *         schema:
+ *           type: string
+ *         description: Active ingredient, e.g. ibuprofen
+ *       - in: query
+ *         name: medicine
+ *         schema:
+ *           type: string
+ *         description: Medication ID; signals for any of its ingredients reported with it
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches ingredient, medicine or reaction name
+ *     responses:
+ *       200:
+ *         description: Signals with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Signal'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(Signal.STATUSES).withMessage('Invalid signal status'),
+  query('active').optional().isIn(['true', 'false']).withMessage('active must be true or false'),
+  query('ingredient').optional().trim().isLength({ min: 1, max: 150 }).withMessage('Invalid ingredient'),
+  query('medicine').optional().isMongoId().withMessage('Invalid medicine ID'),
+  query('search').optional().trim().isLength({ max: 100 })
+], signalController.getSignals);
+
+/**
+ * @swagger
+ * /api/signals/summary:
+ *   get:
+ *     summary: Signal counts by status (requires signal:read)
+ *     tags: [Signals]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Total and active signal counts per status
+ */
+router.get('/summary', signalController.getSignalSummary);
+
+/**
+ * @swagger
+ * /api/signals/run:
+ *   post:
+ *     summary: Run signal detection now (requires signal:run)
+ *     description: Detection also runs on a schedule; a request during a running detection waits for that run.
+ *     tags: [Signals]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Run summary (pairs evaluated, flagged, new, reactivated, inactive)
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: Detection is running on another server
+ */
+router.post('/run', requirePermission('signal:run'), signalController.runDetection);
+
+/**
+ * @swagger
+ * /api/signals/{id}:
+ *   get:
+ *     summary: Get a signal with its status history (requires signal:read)
+ *     tags: [Signals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signal
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', signalController.getSignalById);
+
+/**
+ * @swagger
+ * /api/signals/{id}/status:
+ *   put:
+ *     summary: Update signal evaluation status (requires signal:read)
+ *     tags: [Signals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [new, under_evaluation, refuted, confirmed]
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Updated signal
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.put('/:id/status', [
+  body('status').isIn(Signal.STATUSES).withMessage('Invalid signal status'),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
+], signalController.updateSignalStatus);
+
+module.exports = router;
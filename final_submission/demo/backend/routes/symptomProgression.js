@@ -8,8 +8,7 @@ const { body, param, query } = require('express-validator');
 const router = express.Router();
 
 const symptomProgressionController = require('../controllers/symptomProgressionController');
-const { protect: auth } = require('../middleware/auth');
-const { requireRoles: roleAuth } = require('../middleware/roleAuth');
+const { protect: auth, requirePermission } = require('../middleware/auth');
 
 // Validation middleware
 const validateProgressionCreation = [
@@ -490,7 +489,7 @@ router.get('/patient/:patientId?',
  * @swagger
  * /api/symptom-progression/attention/needed:
  *   get:
- *     summary: Get progressions needing attention (Healthcare providers only)
+ *     summary: Get progressions needing attention (requires progression:analytics)
  *     tags: [Symptom Progression]
  *     security:
  *       - bearerAuth: []
@@ -532,7 +531,7 @@ router.get('/patient/:patientId?',
  */
 router.get('/attention/needed', 
   auth, 
-  roleAuth(['doctor', 'admin', 'pharmacist']), 
+  requirePermission('progression:analytics'), 
   symptomProgressionController.getProgressionsNeedingAttention
 );
 
@@ -764,7 +763,7 @@ router.get('/search',
  * @swagger
  * /api/symptom-progression/analytics:
  *   get:
- *     summary: Get progression analytics (Healthcare providers only)
+ *     summary: Get progression analytics (requires progression:analytics)
  *     tags: [Symptom Progression]
  *     security:
  *       - bearerAuth: []
@@ -835,7 +834,7 @@ router.get('/search',
  */
 router.get('/analytics', 
   auth, 
-  roleAuth(['doctor', 'admin', 'pharmacist']), 
+  requirePermission('progression:analytics'), 
   symptomProgressionController.getProgressionAnalytics
 );
 
@@ -843,7 +842,7 @@ router.get('/analytics',
  * @swagger
  * /api/symptom-progression/reports/generate:
  *   post:
- *     summary: Generate progression report (Healthcare providers only)
+ *     summary: Generate progression report (requires progression:analytics)
  *     tags: [Symptom Progression]
  *     security:
  *       - bearerAuth: []
@@ -900,7 +899,7 @@ router.get('/analytics',
  */
 router.post('/reports/generate', 
   auth, 
-  roleAuth(['doctor', 'admin', 'pharmacist']),
+  requirePermission('progression:analytics'),
   validateReportGeneration, 
   symptomProgressionController.generateProgressionReport
 );
@@ -909,7 +908,7 @@ router.post('/reports/generate',
  * @swagger
  * /api/symptom-progression/dashboard-analytics:
  *   get:
- *     summary: Get comprehensive dashboard analytics (Healthcare providers only)
+ *     summary: Get comprehensive dashboard analytics (requires progression:analytics)
  *     tags: [Symptom Progression]
  *     security:
  *       - bearerAuth: []
@@ -974,7 +973,7 @@ router.post('/reports/generate',
  */
 router.get('/dashboard-analytics', 
   auth, 
-  roleAuth(['doctor', 'admin', 'pharmacist']), 
+  requirePermission('progression:analytics'), 
   symptomProgressionController.getDashboardAnalytics
 );
 
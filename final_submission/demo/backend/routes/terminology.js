@@ -0,0 +1,127 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const terminologyController = require('../controllers/terminologyController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All terminology routes require authentication
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/terminology:
+ *   get:
+ *     summary: Get the loaded terminology dictionary
+ *     description: Name, version, coding system and size of the reaction dictionary (LLT -> PT -> HLT -> SOC)
+ *     tags: [Terminology]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dictionary information
+ */
+router.get('/', terminologyController.getDictionaryInfo);
+
+/**
+ * @swagger
+ * /api/terminology/search:
+ *   get:
+ *     summary: Search reaction terms
+ *     description: Ranked type-ahead search over lowest level terms; each result carries its full hierarchy
+ *     tags: [Terminology]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Matching terms
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CodedTerm'
+ */
+router.get('/search', [
+  query('q').trim().notEmpty().withMessage('Search text is required')
+    .isLength({ max: 200 }).withMessage('Search text cannot exceed 200 characters'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], terminologyController.searchTerms);
+
+/**
+ * @swagger
+ * /api/terminology/suggest:
+ *   get:
+ *     summary: Suggest coded terms for a verbatim reaction
+ *     description: Returns the terms a report would be auto-coded with, e.g. "nausea+vomiting" gives Nausea and Vomiting
+ *     tags: [Terminology]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: text
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suggested terms
+ */
+router.get('/suggest', [
+  query('text').trim().notEmpty().withMessage('Reaction text is required')
+    .isLength({ max: 500 }).withMessage('Reaction text cannot exceed 500 characters')
+], terminologyController.suggestTerms);
+
+/**
+ * @swagger
+ * /api/terminology/terms/{code}:
+ *   get:
+ *     summary: Get a term by code
+ *     tags: [Terminology]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Lowest level term or preferred term code
+ *     responses:
+ *       200:
+ *         description: Term with its hierarchy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CodedTerm'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/terms/:code', [
+  param('code').trim().notEmpty()
+], terminologyController.getTerm);
+
+module.exports = router;
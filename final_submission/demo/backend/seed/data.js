@@ -346,6 +346,15 @@ for (const baseMedication of medicationCatalog) {
   medicineIds.push(medication._id);
 }
 
+// A few batches per medication, as printed on the packs patients report from
+const medicineBatches = new Map(medicines.map((medicine) => [
+  medicine._id,
+  Array.from({ length: 3 }, () => ({
+    batchNumber: `${faker.string.alpha(2).toUpperCase()}${faker.string.numeric(4)}`,
+    expiryDate: faker.date.future({ years: 2 }),
+  })),
+]));
+
 // 3. Generate Side Effect Reports with clinically plausible matching
 const reports = [];
 const reportIds = [];
@@ -370,7 +379,9 @@ for (let i = 0; i < NUM_REPORTS; i++) {
     patient: patientId,
     medicineDetails: {
       dosageForm: medicine.dosageForm,
-      strength: getRandomElement(medicine.commonStrengths.length ? medicine.commonStrengths : ['standard dose'])
+      strength: getRandomElement(medicine.commonStrengths.length ? medicine.commonStrengths : ['standard dose']),
+      // Not every patient keeps the pack
+      ...(Math.random() < 0.6 && getRandomElement(medicineBatches.get(medicine._id))),
     },
     sideEffects: [
       {
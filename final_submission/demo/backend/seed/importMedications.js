@@ -0,0 +1,87 @@
+/**
+ * Import medications from an RxNorm RRF extract or an openFDA NDC JSON/CSV
+ * file on disk, for files too large to upload through the API.
+ *
+ * Usage:
+ *   node seed/importMedications.js <file>
+ *   node seed/importMedications.js <file> --dry-run
+ *   node seed/importMedications.js <file> --format rxnorm|openfda-json|openfda-csv
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const config = require('../config/config');
+const medicationImportService = require('../services/medicationImportService');
+
+function parseArgs(argv) {
+  const args = { file: null, format: undefined, dryRun: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--format') {
+      args.format = argv[i + 1];
+      i += 1;
+    } else if (!args.file) {
+      args.file = argv[i];
+    }
+  }
+  return args;
+}
+
+async function resolveImportOwner() {
+  const admin = await User.findOne({ role: 'admin', isActive: true }).select('_id role email');
+  if (admin) return admin;
+
+  return { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+}
+
+async function importMedications() {
+  const { file, format, dryRun } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.log('Usage: node seed/importMedications.js <file> [--dry-run] [--format rxnorm|openfda-json|openfda-csv]');
+    process.exit(1);
+  }
+
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    await mongoose.connect(config.database.uri);
+    console.log('Connected to MongoDB');
+
+    const job = await medicationImportService.importCatalog({
+      text,
+      fileName: path.basename(file),
+      format,
+      dryRun,
+      user: await resolveImportOwner(),
+      origin: 'cli'
+    });
+
+    console.log(`${dryRun ? 'Dry run' : 'Import'} ${job.status}: ${job.format} file ${job.fileName}`);
+    console.log(`  Records read:   ${job.counts.records}`);
+    console.log(`  Medications:    ${job.counts.medications}`);
+    console.log(`  Created:        ${job.counts.created}`);
+    console.log(`  Updated:        ${job.counts.updated}`);
+    console.log(`  Unchanged:      ${job.counts.unchanged}`);
+    console.log(`  Skipped:        ${job.counts.skipped}`);
+    console.log(`  Failed:         ${job.counts.failed}`);
+    if (job.error) console.log(`  Error: ${job.error}`);
+
+    if (job.issues.length > 0) {
+      console.log('\nIssues:');
+      job.issues.forEach((issue) => {
+        console.log(`  line ${issue.line}: ${issue.message}${issue.name ? ` (${issue.name})` : ''}`);
+      });
+    }
+    console.log(`\nJob report: GET /api/medications/import/jobs/${job._id}`);
+  } catch (error) {
+    console.error('Import error:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\nDisconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+importMedications();
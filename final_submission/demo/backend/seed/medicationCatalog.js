@@ -14,6 +14,13 @@ const medicationCatalog = [
   {
     name: 'Acetaminophen',
     genericName: 'Acetaminophen',
+    ingredients: [{ name: 'Acetaminophen' }],
+    aliases: [
+      { name: 'Tylenol', type: 'brand' },
+      { name: 'Panadol', type: 'brand' },
+      { name: 'Paracetamol', type: 'synonym' },
+      { name: 'APAP', type: 'synonym' }
+    ],
     category: 'Analgesic',
     dosageForm: 'Tablet',
     commonStrengths: ['325mg', '500mg', '650mg'],
@@ -23,6 +30,12 @@ const medicationCatalog = [
   {
     name: 'Ibuprofen',
     genericName: 'Ibuprofen',
+    ingredients: [{ name: 'Ibuprofen' }],
+    aliases: [
+      { name: 'Advil', type: 'brand' },
+      { name: 'Motrin', type: 'brand' },
+      { name: 'Nurofen', type: 'brand' }
+    ],
     category: 'Analgesic',
     dosageForm: 'Tablet',
     commonStrengths: ['200mg', '400mg', '600mg', '800mg'],
@@ -32,6 +45,12 @@ const medicationCatalog = [
   {
     name: 'Naproxen',
     genericName: 'Naproxen',
+    ingredients: [{ name: 'Naproxen' }],
+    aliases: [
+      { name: 'Aleve', type: 'brand' },
+      { name: 'Naprosyn', type: 'brand' },
+      { name: 'Anaprox', type: 'brand' }
+    ],
     category: 'Analgesic',
     dosageForm: 'Tablet',
     commonStrengths: ['220mg', '250mg', '375mg', '500mg'],
@@ -41,6 +60,13 @@ const medicationCatalog = [
   {
     name: 'Aspirin',
     genericName: 'Acetylsalicylic Acid',
+    ingredients: [{ name: 'Acetylsalicylic Acid' }],
+    aliases: [
+      { name: 'Bayer', type: 'brand' },
+      { name: 'Ecotrin', type: 'brand' },
+      { name: 'Bufferin', type: 'brand' },
+      { name: 'ASA', type: 'synonym' }
+    ],
     category: 'Analgesic',
     dosageForm: 'Tablet',
     commonStrengths: ['81mg', '325mg', '500mg'],
@@ -50,6 +76,12 @@ const medicationCatalog = [
   {
     name: 'Diclofenac',
     genericName: 'Diclofenac Sodium',
+    ingredients: [{ name: 'Diclofenac' }],
+    aliases: [
+      { name: 'Voltaren', type: 'brand' },
+      { name: 'Cataflam', type: 'brand' },
+      { name: 'Diclofenac Sodium', type: 'synonym' }
+    ],
     category: 'Analgesic',
     dosageForm: 'Tablet',
     commonStrengths: ['25mg', '50mg', '75mg', '100mg'],
@@ -59,6 +91,12 @@ const medicationCatalog = [
   {
     name: 'Tramadol',
     genericName: 'Tramadol Hydrochloride',
+    ingredients: [{ name: 'Tramadol' }],
+    aliases: [
+      { name: 'Ultram', type: 'brand' },
+      { name: 'ConZip', type: 'brand' },
+      { name: 'Tramadol Hydrochloride', type: 'synonym' }
+    ],
     category: 'Analgesic',
     dosageForm: 'Tablet',
     commonStrengths: ['50mg', '100mg', '200mg', '300mg'],
@@ -70,6 +108,8 @@ const medicationCatalog = [
   {
     name: 'Amoxicillin',
     genericName: 'Amoxicillin',
+    ingredients: [{ name: 'Amoxicillin' }],
+    aliases: [{ name: 'Amoxil', type: 'brand' }, { name: 'Moxatag', type: 'brand' }],
     category: 'Antibiotic',
     dosageForm: 'Capsule',
     commonStrengths: ['250mg', '500mg', '875mg'],
@@ -79,6 +119,8 @@ const medicationCatalog = [
   {
     name: 'Amoxicillin/Clavulanate',
     genericName: 'Amoxicillin and Clavulanate Potassium',
+    ingredients: [{ name: 'Amoxicillin', strength: '875mg' }, { name: 'Clavulanate', strength: '125mg' }],
+    aliases: [{ name: 'Augmentin', type: 'brand' }, { name: 'Co-amoxiclav', type: 'synonym' }],
     category: 'Antibiotic',
     dosageForm: 'Tablet',
     commonStrengths: ['500mg/125mg', '875mg/125mg'],
@@ -88,6 +130,8 @@ const medicationCatalog = [
   {
     name: 'Azithromycin',
     genericName: 'Azithromycin',
+    ingredients: [{ name: 'Azithromycin' }],
+    aliases: [{ name: 'Zithromax', type: 'brand' }, { name: 'Z-Pak', type: 'brand' }],
     category: 'Antibiotic',
     dosageForm: 'Tablet',
     commonStrengths: ['250mg', '500mg', '600mg'],
@@ -97,6 +141,8 @@ const medicationCatalog = [
   {
     name: 'Cephalexin',
     genericName: 'Cephalexin',
+    ingredients: [{ name: 'Cephalexin' }],
+    aliases: [{ name: 'Keflex', type: 'brand' }, { name: 'Cefalexin', type: 'synonym' }],
     category: 'Antibiotic',
     dosageForm: 'Capsule',
     commonStrengths: ['250mg', '500mg', '750mg'],
@@ -106,6 +152,13 @@ const medicationCatalog = [
   {
     name: 'Doxycycline',
     genericName: 'Doxycycline Hyclate',
+    ingredients: [{ name: 'Doxycycline' }],
+    aliases: [
+      { name: 'Vibramycin', type: 'brand' },
+      { name: 'Doryx', type: 'brand' },
+      { name: 'Acticlate', type: 'brand' },
+      { name: 'Doxycycline Hyclate', type: 'synonym' }
+    ],
     category: 'Antibiotic',
     dosageForm: 'Capsule',
     commonStrengths: ['50mg', '75mg', '100mg', '150mg'],
@@ -115,6 +168,8 @@ const medicationCatalog = [
   {
     name: 'Ciprofloxacin',
     genericName: 'Ciprofloxacin Hydrochloride',
+    ingredients: [{ name: 'Ciprofloxacin' }],
+    aliases: [{ name: 'Cipro', type: 'brand' }, { name: 'Ciprofloxacin Hydrochloride', type: 'synonym' }],
     category: 'Antibiotic',
     dosageForm: 'Tablet',
     commonStrengths: ['250mg', '500mg', '750mg'],
@@ -124,6 +179,13 @@ const medicationCatalog = [
   {
     name: 'Trimethoprim/Sulfamethoxazole',
     genericName: 'Sulfamethoxazole and Trimethoprim',
+    ingredients: [{ name: 'Sulfamethoxazole', strength: '800mg' }, { name: 'Trimethoprim', strength: '160mg' }],
+    aliases: [
+      { name: 'Bactrim', type: 'brand' },
+      { name: 'Septra', type: 'brand' },
+      { name: 'Co-trimoxazole', type: 'synonym' },
+      { name: 'TMP-SMX', type: 'synonym' }
+    ],
     category: 'Antibiotic',
     dosageForm: 'Tablet',
     commonStrengths: ['400mg/80mg', '800mg/160mg'],
@@ -133,6 +195,8 @@ const medicationCatalog = [
   {
     name: 'Clindamycin',
     genericName: 'Clindamycin Hydrochloride',
+    ingredients: [{ name: 'Clindamycin' }],
+    aliases: [{ name: 'Cleocin', type: 'brand' }, { name: 'Clindamycin Hydrochloride', type: 'synonym' }],
     category: 'Antibiotic',
     dosageForm: 'Capsule',
     commonStrengths: ['150mg', '300mg'],
@@ -144,6 +208,8 @@ const medicationCatalog = [
   {
     name: 'Acyclovir',
     genericName: 'Acyclovir',
+    ingredients: [{ name: 'Acyclovir' }],
+    aliases: [{ name: 'Zovirax', type: 'brand' }, { name: 'Aciclovir', type: 'synonym' }],
     category: 'Antiviral',
     dosageForm: 'Tablet',
     commonStrengths: ['200mg', '400mg', '800mg'],
@@ -153,6 +219,8 @@ const medicationCatalog = [
   {
     name: 'Valacyclovir',
     genericName: 'Valacyclovir Hydrochloride',
+    ingredients: [{ name: 'Valacyclovir' }],
+    aliases: [{ name: 'Valtrex', type: 'brand' }, { name: 'Valaciclovir', type: 'synonym' }],
     category: 'Antiviral',
     dosageForm: 'Tablet',
     commonStrengths: ['500mg', '1g'],
@@ -162,6 +230,8 @@ const medicationCatalog = [
   {
     name: 'Oseltamivir',
     genericName: 'Oseltamivir Phosphate',
+    ingredients: [{ name: 'Oseltamivir' }],
+    aliases: [{ name: 'Tamiflu', type: 'brand' }, { name: 'Oseltamivir Phosphate', type: 'synonym' }],
     category: 'Antiviral',
     dosageForm: 'Capsule',
     commonStrengths: ['30mg', '45mg', '75mg'],
@@ -171,6 +241,8 @@ const medicationCatalog = [
   {
     name: 'Nirmatrelvir/Ritonavir',
     genericName: 'Nirmatrelvir and Ritonavir',
+    ingredients: [{ name: 'Nirmatrelvir', strength: '300mg' }, { name: 'Ritonavir', strength: '100mg' }],
+    aliases: [{ name: 'Paxlovid', type: 'brand' }],
     category: 'Antiviral',
     dosageForm: 'Tablet',
     commonStrengths: ['300mg/100mg'],
@@ -182,6 +254,8 @@ const medicationCatalog = [
   {
     name: 'Fluconazole',
     genericName: 'Fluconazole',
+    ingredients: [{ name: 'Fluconazole' }],
+    aliases: [{ name: 'Diflucan', type: 'brand' }],
     category: 'Antifungal',
     dosageForm: 'Tablet',
     commonStrengths: ['50mg', '100mg', '150mg', '200mg'],
@@ -191,6 +265,8 @@ const medicationCatalog = [
   {
     name: 'Terbinafine',
     genericName: 'Terbinafine Hydrochloride',
+    ingredients: [{ name: 'Terbinafine' }],
+    aliases: [{ name: 'Lamisil', type: 'brand' }, { name: 'Terbinafine Hydrochloride', type: 'synonym' }],
     category: 'Antifungal',
     dosageForm: 'Tablet',
     commonStrengths: ['250mg'],
@@ -200,6 +276,8 @@ const medicationCatalog = [
   {
     name: 'Clotrimazole',
     genericName: 'Clotrimazole',
+    ingredients: [{ name: 'Clotrimazole' }],
+    aliases: [{ name: 'Lotrimin', type: 'brand' }, { name: 'Canesten', type: 'brand' }],
     category: 'Antifungal',
     dosageForm: 'Cream/Ointment',
     commonStrengths: ['1%'],
@@ -211,6 +289,8 @@ const medicationCatalog = [
   {
     name: 'Cetirizine',
     genericName: 'Cetirizine Hydrochloride',
+    ingredients: [{ name: 'Cetirizine' }],
+    aliases: [{ name: 'Zyrtec', type: 'brand' }, { name: 'Cetirizine Hydrochloride', type: 'synonym' }],
     category: 'Antihistamine',
     dosageForm: 'Tablet',
     commonStrengths: ['5mg', '10mg'],
@@ -220,6 +300,8 @@ const medicationCatalog = [
   {
     name: 'Loratadine',
     genericName: 'Loratadine',
+    ingredients: [{ name: 'Loratadine' }],
+    aliases: [{ name: 'Claritin', type: 'brand' }, { name: 'Alavert', type: 'brand' }],
     category: 'Antihistamine',
     dosageForm: 'Tablet',
     commonStrengths: ['10mg'],
@@ -229,6 +311,8 @@ const medicationCatalog = [
   {
     name: 'Fexofenadine',
     genericName: 'Fexofenadine Hydrochloride',
+    ingredients: [{ name: 'Fexofenadine' }],
+    aliases: [{ name: 'Allegra', type: 'brand' }, { name: 'Fexofenadine Hydrochloride', type: 'synonym' }],
     category: 'Antihistamine',
     dosageForm: 'Tablet',
     commonStrengths: ['60mg', '120mg', '180mg'],
@@ -238,6 +322,12 @@ const medicationCatalog = [
   {
     name: 'Diphenhydramine',
     genericName: 'Diphenhydramine Hydrochloride',
+    ingredients: [{ name: 'Diphenhydramine' }],
+    aliases: [
+      { name: 'Benadryl', type: 'brand' },
+      { name: 'ZzzQuil', type: 'brand' },
+      { name: 'Diphenhydramine Hydrochloride', type: 'synonym' }
+    ],
     category: 'Antihistamine',
     dosageForm: 'Capsule',
     commonStrengths: ['25mg', '50mg'],
@@ -249,6 +339,8 @@ const medicationCatalog = [
   {
     name: 'Lisinopril',
     genericName: 'Lisinopril',
+    ingredients: [{ name: 'Lisinopril' }],
+    aliases: [{ name: 'Zestril', type: 'brand' }, { name: 'Prinivil', type: 'brand' }],
     category: 'Cardiovascular',
     dosageForm: 'Tablet',
     commonStrengths: ['2.5mg', '5mg', '10mg', '20mg', '40mg'],
@@ -258,6 +350,8 @@ const medicationCatalog = [
   {
     name: 'Losartan',
     genericName: 'Losartan Potassium',
+    ingredients: [{ name: 'Losartan' }],
+    aliases: [{ name: 'Cozaar', type: 'brand' }, { name: 'Losartan Potassium', type: 'synonym' }],
     category: 'Cardiovascular',
     dosageForm: 'Tablet',
     commonStrengths: ['25mg', '50mg', '100mg'],
@@ -267,6 +361,8 @@ const medicationCatalog = [
   {
     name: 'Amlodipine',
     genericName: 'Amlodipine Besylate',
+    ingredients: [{ name: 'Amlodipine' }],
+    aliases: [{ name: 'Norvasc', type: 'brand' }, { name: 'Amlodipine Besylate', type: 'synonym' }],
     category: 'Cardiovascular',
     dosageForm: 'Tablet',
     commonStrengths: ['2.5mg', '5mg', '10mg'],
@@ -276,6 +372,8 @@ const medicationCatalog = [
   {
     name: 'Metoprolol Succinate',
     genericName: 'Metoprolol Succinate Extended-Release',
+    ingredients: [{ name: 'Metoprolol' }],
+    aliases: [{ name: 'Toprol-XL', type: 'brand' }, { name: 'Metoprolol Succinate ER', type: 'synonym' }],
     category: 'Cardiovascular',
     dosageForm: 'Tablet',
     commonStrengths: ['25mg', '50mg', '100mg', '200mg'],
@@ -285,6 +383,8 @@ const medicationCatalog = [
   {
     name: 'Hydrochlorothiazide',
     genericName: 'Hydrochlorothiazide',
+    ingredients: [{ name: 'Hydrochlorothiazide' }],
+    aliases: [{ name: 'Microzide', type: 'brand' }, { name: 'HCTZ', type: 'synonym' }],
     category: 'Cardiovascular',
     dosageForm: 'Tablet',
     commonStrengths: ['12.5mg', '25mg', '50mg'],
@@ -294,6 +394,8 @@ const medicationCatalog = [
   {
     name: 'Atorvastatin',
     genericName: 'Atorvastatin Calcium',
+    ingredients: [{ name: 'Atorvastatin' }],
+    aliases: [{ name: 'Lipitor', type: 'brand' }, { name: 'Atorvastatin Calcium', type: 'synonym' }],
     category: 'Cardiovascular',
     dosageForm: 'Tablet',
     commonStrengths: ['10mg', '20mg', '40mg', '80mg'],
@@ -303,6 +405,8 @@ const medicationCatalog = [
   {
     name: 'Rosuvastatin',
     genericName: 'Rosuvastatin Calcium',
+    ingredients: [{ name: 'Rosuvastatin' }],
+    aliases: [{ name: 'Crestor', type: 'brand' }, { name: 'Rosuvastatin Calcium', type: 'synonym' }],
     category: 'Cardiovascular',
     dosageForm: 'Tablet',
     commonStrengths: ['5mg', '10mg', '20mg', '40mg'],
@@ -312,6 +416,8 @@ const medicationCatalog = [
   {
     name: 'Clopidogrel',
     genericName: 'Clopidogrel Bisulfate',
+    ingredients: [{ name: 'Clopidogrel' }],
+    aliases: [{ name: 'Plavix', type: 'brand' }, { name: 'Clopidogrel Bisulfate', type: 'synonym' }],
     category: 'Cardiovascular',
     dosageForm: 'Tablet',
     commonStrengths: ['75mg', '300mg'],
@@ -321,6 +427,8 @@ const medicationCatalog = [
   {
     name: 'Apixaban',
     genericName: 'Apixaban',
+    ingredients: [{ name: 'Apixaban' }],
+    aliases: [{ name: 'Eliquis', type: 'brand' }],
     category: 'Cardiovascular',
     dosageForm: 'Tablet',
     commonStrengths: ['2.5mg', '5mg'],
@@ -330,6 +438,8 @@ const medicationCatalog = [
   {
     name: 'Furosemide',
     genericName: 'Furosemide',
+    ingredients: [{ name: 'Furosemide' }],
+    aliases: [{ name: 'Lasix', type: 'brand' }, { name: 'Frusemide', type: 'synonym' }],
     category: 'Cardiovascular',
     dosageForm: 'Tablet',
     commonStrengths: ['20mg', '40mg', '80mg'],
@@ -341,6 +451,12 @@ const medicationCatalog = [
   {
     name: 'Metformin',
     genericName: 'Metformin Hydrochloride',
+    ingredients: [{ name: 'Metformin' }],
+    aliases: [
+      { name: 'Glucophage', type: 'brand' },
+      { name: 'Glumetza', type: 'brand' },
+      { name: 'Metformin Hydrochloride', type: 'synonym' }
+    ],
     category: 'Diabetes',
     dosageForm: 'Tablet',
     commonStrengths: ['500mg', '850mg', '1000mg'],
@@ -350,6 +466,8 @@ const medicationCatalog = [
   {
     name: 'Glipizide',
     genericName: 'Glipizide',
+    ingredients: [{ name: 'Glipizide' }],
+    aliases: [{ name: 'Glucotrol', type: 'brand' }],
     category: 'Diabetes',
     dosageForm: 'Tablet',
     commonStrengths: ['2.5mg', '5mg', '10mg'],
@@ -359,6 +477,8 @@ const medicationCatalog = [
   {
     name: 'Empagliflozin',
     genericName: 'Empagliflozin',
+    ingredients: [{ name: 'Empagliflozin' }],
+    aliases: [{ name: 'Jardiance', type: 'brand' }],
     category: 'Diabetes',
     dosageForm: 'Tablet',
     commonStrengths: ['10mg', '25mg'],
@@ -368,6 +488,12 @@ const medicationCatalog = [
   {
     name: 'Semaglutide',
     genericName: 'Semaglutide',
+    ingredients: [{ name: 'Semaglutide' }],
+    aliases: [
+      { name: 'Ozempic', type: 'brand' },
+      { name: 'Wegovy', type: 'brand' },
+      { name: 'Rybelsus', type: 'brand' }
+    ],
     category: 'Diabetes',
     dosageForm: 'Injection',
     commonStrengths: ['0.25mg/dose', '0.5mg/dose', '1mg/dose', '2mg/dose'],
@@ -377,6 +503,12 @@ const medicationCatalog = [
   {
     name: 'Insulin Glargine',
     genericName: 'Insulin Glargine',
+    ingredients: [{ name: 'Insulin Glargine' }],
+    aliases: [
+      { name: 'Lantus', type: 'brand' },
+      { name: 'Toujeo', type: 'brand' },
+      { name: 'Basaglar', type: 'brand' }
+    ],
     category: 'Diabetes',
     dosageForm: 'Injection',
     commonStrengths: ['100units/mL', '300units/mL'],
@@ -386,6 +518,8 @@ const medicationCatalog = [
   {
     name: 'Sitagliptin',
     genericName: 'Sitagliptin',
+    ingredients: [{ name: 'Sitagliptin' }],
+    aliases: [{ name: 'Januvia', type: 'brand' }],
     category: 'Diabetes',
     dosageForm: 'Tablet',
     commonStrengths: ['25mg', '50mg', '100mg'],
@@ -397,6 +531,13 @@ const medicationCatalog = [
   {
     name: 'Albuterol',
     genericName: 'Albuterol Sulfate',
+    ingredients: [{ name: 'Albuterol' }],
+    aliases: [
+      { name: 'ProAir', type: 'brand' },
+      { name: 'Ventolin', type: 'brand' },
+      { name: 'Proventil', type: 'brand' },
+      { name: 'Salbutamol', type: 'synonym' }
+    ],
     category: 'Respiratory',
     dosageForm: 'Inhaler',
     commonStrengths: ['90mcg/actuation'],
@@ -406,6 +547,12 @@ const medicationCatalog = [
   {
     name: 'Fluticasone Propionate',
     genericName: 'Fluticasone Propionate',
+    ingredients: [{ name: 'Fluticasone' }],
+    aliases: [
+      { name: 'Flovent', type: 'brand' },
+      { name: 'Flonase', type: 'brand' },
+      { name: 'Fluticasone Propionate', type: 'synonym' }
+    ],
     category: 'Respiratory',
     dosageForm: 'Inhaler',
     commonStrengths: ['44mcg/actuation', '110mcg/actuation', '220mcg/actuation'],
@@ -415,6 +562,8 @@ const medicationCatalog = [
   {
     name: 'Budesonide/Formoterol',
     genericName: 'Budesonide and Formoterol Fumarate',
+    ingredients: [{ name: 'Budesonide', strength: '160mcg' }, { name: 'Formoterol', strength: '4.5mcg' }],
+    aliases: [{ name: 'Symbicort', type: 'brand' }],
     category: 'Respiratory',
     dosageForm: 'Inhaler',
     commonStrengths: ['80mcg/4.5mcg', '160mcg/4.5mcg'],
@@ -424,6 +573,8 @@ const medicationCatalog = [
   {
     name: 'Montelukast',
     genericName: 'Montelukast Sodium',
+    ingredients: [{ name: 'Montelukast' }],
+    aliases: [{ name: 'Singulair', type: 'brand' }, { name: 'Montelukast Sodium', type: 'synonym' }],
     category: 'Respiratory',
     dosageForm: 'Tablet',
     commonStrengths: ['4mg', '5mg', '10mg'],
@@ -433,6 +584,8 @@ const medicationCatalog = [
   {
     name: 'Tiotropium',
     genericName: 'Tiotropium Bromide',
+    ingredients: [{ name: 'Tiotropium' }],
+    aliases: [{ name: 'Spiriva', type: 'brand' }, { name: 'Tiotropium Bromide', type: 'synonym' }],
     category: 'Respiratory',
     dosageForm: 'Inhaler',
     commonStrengths: ['1.25mcg/actuation', '2.5mcg/actuation'],
@@ -442,6 +595,12 @@ const medicationCatalog = [
   {
     name: 'Ipratropium/Albuterol',
     genericName: 'Ipratropium Bromide and Albuterol Sulfate',
+    ingredients: [{ name: 'Ipratropium', strength: '20mcg' }, { name: 'Albuterol', strength: '100mcg' }],
+    aliases: [
+      { name: 'Combivent', type: 'brand' },
+      { name: 'DuoNeb', type: 'brand' },
+      { name: 'Ipratropium/Salbutamol', type: 'synonym' }
+    ],
     category: 'Respiratory',
     dosageForm: 'Inhaler',
     commonStrengths: ['20mcg/100mcg per actuation'],
@@ -453,6 +612,8 @@ const medicationCatalog = [
   {
     name: 'Omeprazole',
     genericName: 'Omeprazole',
+    ingredients: [{ name: 'Omeprazole' }],
+    aliases: [{ name: 'Prilosec', type: 'brand' }, { name: 'Losec', type: 'brand' }],
     category: 'Gastrointestinal',
     dosageForm: 'Capsule',
     commonStrengths: ['10mg', '20mg', '40mg'],
@@ -462,6 +623,8 @@ const medicationCatalog = [
   {
     name: 'Pantoprazole',
     genericName: 'Pantoprazole Sodium',
+    ingredients: [{ name: 'Pantoprazole' }],
+    aliases: [{ name: 'Protonix', type: 'brand' }, { name: 'Pantoprazole Sodium', type: 'synonym' }],
     category: 'Gastrointestinal',
     dosageForm: 'Tablet',
     commonStrengths: ['20mg', '40mg'],
@@ -471,6 +634,8 @@ const medicationCatalog = [
   {
     name: 'Famotidine',
     genericName: 'Famotidine',
+    ingredients: [{ name: 'Famotidine' }],
+    aliases: [{ name: 'Pepcid', type: 'brand' }],
     category: 'Gastrointestinal',
     dosageForm: 'Tablet',
     commonStrengths: ['10mg', '20mg', '40mg'],
@@ -480,6 +645,8 @@ const medicationCatalog = [
   {
     name: 'Ondansetron',
     genericName: 'Ondansetron',
+    ingredients: [{ name: 'Ondansetron' }],
+    aliases: [{ name: 'Zofran', type: 'brand' }],
     category: 'Gastrointestinal',
     dosageForm: 'Tablet',
     commonStrengths: ['4mg', '8mg', '24mg'],
@@ -489,6 +656,8 @@ const medicationCatalog = [
   {
     name: 'Docusate Sodium',
     genericName: 'Docusate Sodium',
+    ingredients: [{ name: 'Docusate' }],
+    aliases: [{ name: 'Colace', type: 'brand' }, { name: 'Docusate Sodium', type: 'synonym' }],
     category: 'Gastrointestinal',
     dosageForm: 'Capsule',
     commonStrengths: ['50mg', '100mg', '250mg'],
@@ -498,6 +667,8 @@ const medicationCatalog = [
   {
     name: 'Loperamide',
     genericName: 'Loperamide Hydrochloride',
+    ingredients: [{ name: 'Loperamide' }],
+    aliases: [{ name: 'Imodium', type: 'brand' }, { name: 'Loperamide Hydrochloride', type: 'synonym' }],
     category: 'Gastrointestinal',
     dosageForm: 'Capsule',
     commonStrengths: ['2mg'],
@@ -509,6 +680,8 @@ const medicationCatalog = [
   {
     name: 'Gabapentin',
     genericName: 'Gabapentin',
+    ingredients: [{ name: 'Gabapentin' }],
+    aliases: [{ name: 'Neurontin', type: 'brand' }, { name: 'Gralise', type: 'brand' }],
     category: 'Neurological',
     dosageForm: 'Capsule',
     commonStrengths: ['100mg', '300mg', '400mg'],
@@ -518,6 +691,8 @@ const medicationCatalog = [
   {
     name: 'Pregabalin',
     genericName: 'Pregabalin',
+    ingredients: [{ name: 'Pregabalin' }],
+    aliases: [{ name: 'Lyrica', type: 'brand' }],
     category: 'Neurological',
     dosageForm: 'Capsule',
     commonStrengths: ['25mg', '50mg', '75mg', '100mg', '150mg', '300mg'],
@@ -527,6 +702,8 @@ const medicationCatalog = [
   {
     name: 'Levetiracetam',
     genericName: 'Levetiracetam',
+    ingredients: [{ name: 'Levetiracetam' }],
+    aliases: [{ name: 'Keppra', type: 'brand' }],
     category: 'Neurological',
     dosageForm: 'Tablet',
     commonStrengths: ['250mg', '500mg', '750mg', '1000mg'],
@@ -536,6 +713,8 @@ const medicationCatalog = [
   {
     name: 'Sumatriptan',
     genericName: 'Sumatriptan Succinate',
+    ingredients: [{ name: 'Sumatriptan' }],
+    aliases: [{ name: 'Imitrex', type: 'brand' }, { name: 'Sumatriptan Succinate', type: 'synonym' }],
     category: 'Neurological',
     dosageForm: 'Tablet',
     commonStrengths: ['25mg', '50mg', '100mg'],
@@ -545,6 +724,8 @@ const medicationCatalog = [
   {
     name: 'Topiramate',
     genericName: 'Topiramate',
+    ingredients: [{ name: 'Topiramate' }],
+    aliases: [{ name: 'Topamax', type: 'brand' }],
     category: 'Neurological',
     dosageForm: 'Tablet',
     commonStrengths: ['25mg', '50mg', '100mg', '200mg'],
@@ -556,6 +737,8 @@ const medicationCatalog = [
   {
     name: 'Sertraline',
     genericName: 'Sertraline Hydrochloride',
+    ingredients: [{ name: 'Sertraline' }],
+    aliases: [{ name: 'Zoloft', type: 'brand' }, { name: 'Sertraline Hydrochloride', type: 'synonym' }],
     category: 'Psychiatric',
     dosageForm: 'Tablet',
     commonStrengths: ['25mg', '50mg', '100mg'],
@@ -565,6 +748,8 @@ const medicationCatalog = [
   {
     name: 'Escitalopram',
     genericName: 'Escitalopram Oxalate',
+    ingredients: [{ name: 'Escitalopram' }],
+    aliases: [{ name: 'Lexapro', type: 'brand' }, { name: 'Escitalopram Oxalate', type: 'synonym' }],
     category: 'Psychiatric',
     dosageForm: 'Tablet',
     commonStrengths: ['5mg', '10mg', '20mg'],
@@ -574,6 +759,12 @@ const medicationCatalog = [
   {
     name: 'Fluoxetine',
     genericName: 'Fluoxetine Hydrochloride',
+    ingredients: [{ name: 'Fluoxetine' }],
+    aliases: [
+      { name: 'Prozac', type: 'brand' },
+      { name: 'Sarafem', type: 'brand' },
+      { name: 'Fluoxetine Hydrochloride', type: 'synonym' }
+    ],
     category: 'Psychiatric',
     dosageForm: 'Capsule',
     commonStrengths: ['10mg', '20mg', '40mg'],
@@ -583,6 +774,12 @@ const medicationCatalog = [
   {
     name: 'Bupropion XL',
     genericName: 'Bupropion Hydrochloride Extended-Release',
+    ingredients: [{ name: 'Bupropion' }],
+    aliases: [
+      { name: 'Wellbutrin XL', type: 'brand' },
+      { name: 'Zyban', type: 'brand' },
+      { name: 'Bupropion Hydrochloride', type: 'synonym' }
+    ],
     category: 'Psychiatric',
     dosageForm: 'Tablet',
     commonStrengths: ['150mg', '300mg'],
@@ -592,6 +789,8 @@ const medicationCatalog = [
   {
     name: 'Duloxetine',
     genericName: 'Duloxetine Hydrochloride',
+    ingredients: [{ name: 'Duloxetine' }],
+    aliases: [{ name: 'Cymbalta', type: 'brand' }, { name: 'Duloxetine Hydrochloride', type: 'synonym' }],
     category: 'Psychiatric',
     dosageForm: 'Capsule',
     commonStrengths: ['20mg', '30mg', '40mg', '60mg'],
@@ -601,6 +800,8 @@ const medicationCatalog = [
   {
     name: 'Trazodone',
     genericName: 'Trazodone Hydrochloride',
+    ingredients: [{ name: 'Trazodone' }],
+    aliases: [{ name: 'Desyrel', type: 'brand' }, { name: 'Trazodone Hydrochloride', type: 'synonym' }],
     category: 'Psychiatric',
     dosageForm: 'Tablet',
     commonStrengths: ['50mg', '100mg', '150mg', '300mg'],
@@ -612,6 +813,8 @@ const medicationCatalog = [
   {
     name: 'Mupirocin',
     genericName: 'Mupirocin',
+    ingredients: [{ name: 'Mupirocin' }],
+    aliases: [{ name: 'Bactroban', type: 'brand' }],
     category: 'Dermatological',
     dosageForm: 'Cream/Ointment',
     commonStrengths: ['2%'],
@@ -621,6 +824,8 @@ const medicationCatalog = [
   {
     name: 'Hydrocortisone',
     genericName: 'Hydrocortisone',
+    ingredients: [{ name: 'Hydrocortisone' }],
+    aliases: [{ name: 'Cortaid', type: 'brand' }, { name: 'Cortizone-10', type: 'brand' }],
     category: 'Dermatological',
     dosageForm: 'Cream/Ointment',
     commonStrengths: ['0.5%', '1%', '2.5%'],
@@ -630,6 +835,8 @@ const medicationCatalog = [
   {
     name: 'Triamcinolone Acetonide',
     genericName: 'Triamcinolone Acetonide',
+    ingredients: [{ name: 'Triamcinolone' }],
+    aliases: [{ name: 'Kenalog', type: 'brand' }, { name: 'Triamcinolone Acetonide', type: 'synonym' }],
     category: 'Dermatological',
     dosageForm: 'Cream/Ointment',
     commonStrengths: ['0.025%', '0.1%', '0.5%'],
@@ -639,6 +846,8 @@ const medicationCatalog = [
   {
     name: 'Adapalene',
     genericName: 'Adapalene',
+    ingredients: [{ name: 'Adapalene' }],
+    aliases: [{ name: 'Differin', type: 'brand' }],
     category: 'Dermatological',
     dosageForm: 'Cream/Ointment',
     commonStrengths: ['0.1%', '0.3%'],
@@ -650,6 +859,14 @@ const medicationCatalog = [
   {
     name: 'Levothyroxine',
     genericName: 'Levothyroxine Sodium',
+    ingredients: [{ name: 'Levothyroxine' }],
+    aliases: [
+      { name: 'Synthroid', type: 'brand' },
+      { name: 'Levoxyl', type: 'brand' },
+      { name: 'Euthyrox', type: 'brand' },
+      { name: 'Levothyroxine Sodium', type: 'synonym' },
+      { name: 'L-thyroxine', type: 'synonym' }
+    ],
     category: 'Hormonal',
     dosageForm: 'Tablet',
     commonStrengths: ['25mcg', '50mcg', '75mcg', '100mcg', '125mcg', '150mcg', '175mcg', '200mcg'],
@@ -659,6 +876,8 @@ const medicationCatalog = [
   {
     name: 'Prednisone',
     genericName: 'Prednisone',
+    ingredients: [{ name: 'Prednisone' }],
+    aliases: [{ name: 'Rayos', type: 'brand' }],
     category: 'Hormonal',
     dosageForm: 'Tablet',
     commonStrengths: ['1mg', '2.5mg', '5mg', '10mg', '20mg', '50mg'],
@@ -668,6 +887,12 @@ const medicationCatalog = [
   {
     name: 'Ethinyl Estradiol/Norethindrone',
     genericName: 'Ethinyl Estradiol and Norethindrone Acetate',
+    ingredients: [{ name: 'Norethindrone', strength: '1mg' }, { name: 'Ethinyl Estradiol', strength: '20mcg' }],
+    aliases: [
+      { name: 'Loestrin', type: 'brand' },
+      { name: 'Junel', type: 'brand' },
+      { name: 'Norethisterone/Ethinylestradiol', type: 'synonym' }
+    ],
     category: 'Hormonal',
     dosageForm: 'Tablet',
     commonStrengths: ['1mg/20mcg', '1mg/10mcg', '1.5mg/30mcg'],
@@ -677,6 +902,8 @@ const medicationCatalog = [
   {
     name: 'Medroxyprogesterone',
     genericName: 'Medroxyprogesterone Acetate',
+    ingredients: [{ name: 'Medroxyprogesterone' }],
+    aliases: [{ name: 'Depo-Provera', type: 'brand' }, { name: 'Medroxyprogesterone Acetate', type: 'synonym' }],
     category: 'Hormonal',
     dosageForm: 'Injection',
     commonStrengths: ['150mg/mL'],
@@ -688,6 +915,8 @@ const medicationCatalog = [
   {
     name: 'Vitamin D3',
     genericName: 'Cholecalciferol',
+    ingredients: [{ name: 'Cholecalciferol' }],
+    aliases: [{ name: 'Vitamin D3', type: 'synonym' }, { name: 'Colecalciferol', type: 'synonym' }],
     category: 'Supplement',
     dosageForm: 'Tablet',
     commonStrengths: ['400IU', '1000IU', '2000IU', '5000IU'],
@@ -697,6 +926,8 @@ const medicationCatalog = [
   {
     name: 'Vitamin B12',
     genericName: 'Cyanocobalamin',
+    ingredients: [{ name: 'Cyanocobalamin' }],
+    aliases: [{ name: 'Vitamin B12', type: 'synonym' }],
     category: 'Supplement',
     dosageForm: 'Tablet',
     commonStrengths: ['500mcg', '1000mcg', '2500mcg'],
@@ -706,6 +937,12 @@ const medicationCatalog = [
   {
     name: 'Ferrous Sulfate',
     genericName: 'Ferrous Sulfate',
+    ingredients: [{ name: 'Ferrous Sulfate' }],
+    aliases: [
+      { name: 'Feosol', type: 'brand' },
+      { name: 'Slow Fe', type: 'brand' },
+      { name: 'Iron Sulfate', type: 'synonym' }
+    ],
     category: 'Supplement',
     dosageForm: 'Tablet',
     commonStrengths: ['325mg', '65mg elemental iron'],
@@ -715,6 +952,12 @@ const medicationCatalog = [
   {
     name: 'Folic Acid',
     genericName: 'Folic Acid',
+    ingredients: [{ name: 'Folic Acid' }],
+    aliases: [
+      { name: 'Folvite', type: 'brand' },
+      { name: 'Folate', type: 'synonym' },
+      { name: 'Vitamin B9', type: 'synonym' }
+    ],
     category: 'Supplement',
     dosageForm: 'Tablet',
     commonStrengths: ['400mcg', '800mcg', '1mg'],
@@ -5,6 +5,9 @@ const User = require('../models/User');
 const Medication = require('../models/Medication');
 const ReportSideEffect = require('../models/ReportSideEffect');
 const SymptomProgression = require('../models/SymptomProgression');
+const ProductLot = require('../models/ProductLot');
+const Recall = require('../models/Recall');
+const lotService = require('../services/lotService');
 
 // MongoDB Connection URI - use the same logic as in your app.js
 const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/healthcare_app';
@@ -21,6 +24,8 @@ const seedDatabase = async () => {
     await Medication.deleteMany({});
     await ReportSideEffect.deleteMany({});
     await SymptomProgression.deleteMany({});
+    await ProductLot.deleteMany({});
+    await Recall.deleteMany({});
     console.log('Existing data cleared.');
 
     // 3. Insert new data
@@ -43,6 +48,10 @@ const seedDatabase = async () => {
     await ReportSideEffect.insertMany(reports);
     console.log(`${reports.length} side effect reports inserted.`);
 
+    // insertMany skips linking reports to their batches' product lots
+    const linked = await lotService.backfillLots();
+    console.log(`${linked} reports linked to product lots.`);
+
     await SymptomProgression.insertMany(symptomProgressions);
     console.log(`${symptomProgressions.length} symptom progressions inserted.`);
 
@@ -4,11 +4,15 @@
  * Demo credentials:
  * - Patient: patient@demo.com / Demo@123
  * - Doctor:  doctor@demo.com / Demo@123
+ *
+ * The demo doctor is put on the demo patient's care team, so they see the
+ * patient's reports.
  */
 
 require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const CareRelationship = require('../models/CareRelationship');
 
 const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/healthcare_app';
 
@@ -97,6 +101,30 @@ async function upsertDemoUser(userData) {
   return 'created';
 }
 
+// Put the demo doctor on the demo patient's care team
+async function linkDemoCareTeam() {
+  const [patient, doctor] = await Promise.all([
+    User.findOne({ email: 'patient@demo.com' }),
+    User.findOne({ email: 'doctor@demo.com' })
+  ]);
+  const existing = await CareRelationship.findOne({
+    doctor: doctor._id,
+    patient: patient._id,
+    ...CareRelationship.activeFilter()
+  });
+  if (existing) return 'kept';
+
+  await CareRelationship.create({
+    doctor: doctor._id,
+    patient: patient._id,
+    invitedBy: doctor._id,
+    status: 'active',
+    acceptedAt: new Date(),
+    respondedAt: new Date()
+  });
+  return 'created';
+}
+
 async function seedDemoUsers() {
   try {
     console.log('Connecting to MongoDB...');
@@ -110,6 +138,9 @@ async function seedDemoUsers() {
       console.log(`  ✅ ${action === 'created' ? 'Created' : 'Updated'}: ${userData.email} (${userData.role})`);
     }
 
+    const careTeam = await linkDemoCareTeam();
+    console.log(`  ✅ ${careTeam === 'created' ? 'Linked' : 'Already linked'}: doctor@demo.com on patient@demo.com's care team`);
+
     console.log('\n=== Demo Users Summary ===');
     console.log('┌─────────────────────────────────────────────────────┐');
     console.log('│  Role     │  Email              │  Password         │');
@@ -0,0 +1,49 @@
+/**
+ * Report field extraction shared by the model providers: the prompt that
+ * asks for the ReportSideEffect-shaped JSON, and parsing of the reply.
+ *
+ * @module services/aiProviders/extraction
+ */
+
+const promptTemplates = require('./promptTemplates');
+
+/**
+ * Build the extraction prompt for free-form report text
+ * @param {string} text - What the user wrote
+ * @returns {{ text: string, version: string }} Prompt and its template id, e.g. 'report-extraction@v1'
+ */
+function buildExtractionPrompt(text) {
+  return promptTemplates.render('report-extraction', { text });
+}
+
+/**
+ * Parse a model reply into an extraction
+ * @param {string} raw - Model output, possibly wrapped in markdown fences
+ * @returns {Object} Extraction with at least one side effect
+ * @throws {SyntaxError} When the reply is not JSON
+ */
+function parseExtraction(raw) {
+  // Strip optional markdown fences
+  const jsonStr = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '').trim();
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonStr);
+  } catch (err) {
+    // Local models sometimes wrap the object in prose
+    const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw err;
+    parsed = JSON.parse(jsonMatch[0]);
+  }
+
+  // Ensure sideEffects is always an array
+  if (!Array.isArray(parsed.sideEffects) || parsed.sideEffects.length === 0) {
+    parsed.sideEffects = [{ effect: 'Not specified', severity: 'Mild', onset: 'Unknown' }];
+  }
+
+  return parsed;
+}
+
+module.exports = {
+  buildExtractionPrompt,
+  parseExtraction
+};
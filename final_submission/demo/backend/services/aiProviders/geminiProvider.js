@@ -0,0 +1,61 @@
+/**
+ * Gemini provider: Google's hosted models through @google/generative-ai.
+ * Patient text leaves the network, so it is only used when configured.
+ *
+ * @module services/aiProviders/geminiProvider
+ */
+
+const config = require('../../config/config');
+const { buildExtractionPrompt, parseExtraction } = require('./extraction');
+
+let GoogleGenerativeAI;
+try {
+  ({ GoogleGenerativeAI } = require('@google/generative-ai'));
+} catch {
+  // Package not installed – the provider reports itself unconfigured
+  GoogleGenerativeAI = null;
+}
+
+// Images sent along with the text, at most
+const MAX_IMAGES = 3;
+
+const geminiProvider = {
+  name: 'gemini',
+
+  isConfigured() {
+    const { apiKey } = config.ai.gemini;
+    return Boolean(GoogleGenerativeAI && apiKey && apiKey !== 'your-gemini-api-key');
+  },
+
+  /**
+   * Extract report fields from free text and optional images
+   * @param {{ text: string, images: Array }} inputs
+   * @returns {Promise<Object>}
+   */
+  async extractReport({ text = '', images = [] }) {
+    if (!this.isConfigured()) {
+      throw new Error('Gemini API key is not configured');
+    }
+
+    const genAI = new GoogleGenerativeAI(config.ai.gemini.apiKey);
+    const model = genAI.getGenerativeModel({ model: config.ai.gemini.model });
+
+    const prompt = buildExtractionPrompt(text);
+    const parts = [{ text: prompt.text }];
+    for (const img of images.slice(0, MAX_IMAGES)) {
+      if (img.buffer && img.mimetype) {
+        parts.push({
+          inlineData: {
+            mimeType: img.mimetype,
+            data: img.buffer.toString('base64')
+          }
+        });
+      }
+    }
+
+    const result = await model.generateContent({ contents: [{ role: 'user', parts }] });
+    return { ...parseExtraction(result.response.text()), promptVersion: prompt.version };
+  }
+};
+
+module.exports = geminiProvider;
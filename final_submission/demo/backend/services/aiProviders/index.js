@@ -0,0 +1,77 @@
+/**
+ * AI Provider Registry
+ *
+ * A provider is an object with a `name`, `isConfigured()` and one async
+ * method per task it supports. The backend has one task:
+ *
+ *   extractReport({ text, images }) -> report fields from free-form input
+ *
+ * Severity/causality analysis and image analysis run in the consumer, which
+ * has its own registry with the same provider names.
+ *
+ * The provider of a task comes from config.ai (AI_PROVIDER_<TASK>, then
+ * AI_PROVIDER). When neither is set, Gemini is used if it has an API key and
+ * the rule-based provider otherwise.
+ *
+ * @module services/aiProviders
+ */
+
+const config = require('../../config/config');
+const geminiProvider = require('./geminiProvider');
+const openAICompatibleProvider = require('./openAICompatibleProvider');
+const ruleBasedProvider = require('./ruleBasedProvider');
+
+const providers = {
+  [geminiProvider.name]: geminiProvider,
+  [openAICompatibleProvider.name]: openAICompatibleProvider,
+  [ruleBasedProvider.name]: ruleBasedProvider
+};
+
+// Config key holding the per-task provider override
+const TASK_SETTINGS = {
+  extraction: 'extractionProvider'
+};
+
+/**
+ * Look up a provider by name
+ * @param {string} name - 'gemini', 'openai' or 'rule-based'
+ * @returns {Object}
+ * @throws {Error} When no provider has that name
+ */
+function get(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${name}" (expected one of: ${Object.keys(providers).join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Provider configured for a task
+ * @param {string} task - Task name, e.g. 'extraction'
+ * @returns {Object}
+ */
+function forTask(task) {
+  const name = config.ai[TASK_SETTINGS[task]] || config.ai.provider;
+  if (name) return get(name);
+  return geminiProvider.isConfigured() ? geminiProvider : ruleBasedProvider;
+}
+
+/**
+ * Provider to fall back on when the task's provider fails, or null when
+ * errors should reach the caller
+ * @param {Object} provider - Provider that failed
+ * @returns {Object|null}
+ */
+function fallbackFor(provider) {
+  const name = config.ai.fallbackProvider;
+  if (!name || name === 'none' || name === provider.name) return null;
+  return get(name);
+}
+
+module.exports = {
+  get,
+  forTask,
+  fallbackFor,
+  names: Object.keys(providers)
+};
@@ -0,0 +1,86 @@
+/**
+ * OpenAI-compatible provider: any server speaking the /chat/completions API,
+ * such as a local Ollama, vLLM or LM Studio instance, so patient text can
+ * stay inside the hospital network.
+ *
+ * @module services/aiProviders/openAICompatibleProvider
+ */
+
+const config = require('../../config/config');
+const { buildExtractionPrompt, parseExtraction } = require('./extraction');
+
+// Images sent along with the text, at most
+const MAX_IMAGES = 3;
+
+/**
+ * POST a chat completion and return the text of the first choice
+ * @param {Array<Object>} messages - Chat messages
+ * @param {string} model - Model name on the server
+ * @returns {Promise<string>}
+ */
+async function complete(messages, model) {
+  const { baseUrl, apiKey, timeoutMs } = config.ai.openaiCompatible;
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature: 0.2,
+      response_format: { type: 'json_object' }
+    }),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new Error(`OpenAI-compatible endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+  }
+
+  const data = await response.json();
+  const content = data.choices?.[0]?.message?.content;
+  if (!content) {
+    throw new Error('OpenAI-compatible endpoint returned no content');
+  }
+  return content;
+}
+
+const openAICompatibleProvider = {
+  name: 'openai',
+
+  isConfigured() {
+    return Boolean(config.ai.openaiCompatible.baseUrl && config.ai.openaiCompatible.model);
+  },
+
+  /**
+   * Extract report fields from free text and optional images. Images go to
+   * the vision model when one is configured and are skipped otherwise.
+   * @param {{ text: string, images: Array }} inputs
+   * @returns {Promise<Object>}
+   */
+  async extractReport({ text = '', images = [] }) {
+    const { model, visionModel } = config.ai.openaiCompatible;
+    const imageParts = visionModel
+      ? images.slice(0, MAX_IMAGES)
+        .filter(img => img.buffer && img.mimetype)
+        .map(img => ({
+          type: 'image_url',
+          image_url: { url: `data:${img.mimetype};base64,${img.buffer.toString('base64')}` }
+        }))
+      : [];
+
+    const prompt = buildExtractionPrompt(text);
+    const content = imageParts.length > 0
+      ? [{ type: 'text', text: prompt.text }, ...imageParts]
+      : prompt.text;
+
+    const raw = await complete([{ role: 'user', content }], imageParts.length > 0 ? visionModel : model);
+    return { ...parseExtraction(raw), promptVersion: prompt.version };
+  }
+};
+
+module.exports = openAICompatibleProvider;
@@ -0,0 +1,109 @@
+/**
+ * Prompt Templates
+ *
+ * Prompts live in prompts/<name>.<version>.txt so a change to one is a new
+ * file that can be reviewed and evaluated before it is switched on, and each
+ * result records the version it was produced with. The consumer keeps its
+ * analysis prompts the same way.
+ *
+ * Templates use a small Mustache subset:
+ *
+ *   {{name}}                  value of `name`
+ *   {{#name}}...{{/name}}     once if `name` is true, once per item if it is
+ *                             an array (item fields are in scope)
+ *   {{^name}}...{{/name}}     once if `name` is false or an empty array
+ *
+ * A section tag followed by a line break consumes it. Values are inserted as
+ * is and never re-rendered.
+ *
+ * The version of a prompt is CURRENT_VERSIONS[name] unless
+ * config.ai.promptVersions (AI_PROMPT_VERSION_<NAME>) overrides it.
+ *
+ * @module services/aiProviders/promptTemplates
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+// Version of each prompt in use
+const CURRENT_VERSIONS = {
+  'report-extraction': 'v1'
+};
+
+const TOKEN = /\{\{([#^])(\w+)\}\}\n?([\s\S]*?)\{\{\/\2\}\}\n?|\{\{(\w+)\}\}/g;
+
+// Template text by file name
+const cache = new Map();
+
+/**
+ * Version of a prompt to use
+ * @param {string} name - Template name
+ * @returns {string}
+ */
+function versionOf(name) {
+  return config.ai.promptVersions?.[name] || CURRENT_VERSIONS[name];
+}
+
+/**
+ * Read a template
+ * @throws {Error} When the prompt has no such version
+ */
+function load(name, version) {
+  const file = `${name}.${version}.txt`;
+  if (!cache.has(file)) {
+    const filePath = path.join(PROMPTS_DIR, file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Unknown prompt template ${name}@${version}`);
+    }
+    // Drop the final line break editors add
+    cache.set(file, fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, ''));
+  }
+  return cache.get(file);
+}
+
+function lookup(scope, key, id) {
+  if (scope[key] === undefined) {
+    throw new Error(`Prompt template ${id} uses {{${key}}} but no value was given`);
+  }
+  return scope[key];
+}
+
+function renderTemplate(template, scope, id) {
+  return template.replace(TOKEN, (match, kind, sectionKey, body, key) => {
+    if (key) return String(lookup(scope, key, id));
+
+    const value = lookup(scope, sectionKey, id);
+    const items = Array.isArray(value) ? value : (value ? [value] : []);
+    if (kind === '^') {
+      return items.length === 0 ? renderTemplate(body, scope, id) : '';
+    }
+    return items
+      .map(item => renderTemplate(body, item && typeof item === 'object' ? { ...scope, ...item } : scope, id))
+      .join('');
+  });
+}
+
+/**
+ * Render a prompt
+ * @param {string} name - Template name, e.g. 'report-extraction'
+ * @param {Object} [vars] - Values of the template's tags
+ * @param {string} [version] - Version to render instead of the one in use
+ * @returns {{ text: string, version: string }} Prompt and its id, e.g. 'report-extraction@v1'
+ * @throws {Error} When the template is missing or uses a value not given
+ */
+function render(name, vars = {}, version = versionOf(name)) {
+  const id = `${name}@${version}`;
+  return {
+    text: renderTemplate(load(name, version), vars, id),
+    version: id
+  };
+}
+
+module.exports = {
+  CURRENT_VERSIONS,
+  versionOf,
+  render
+};
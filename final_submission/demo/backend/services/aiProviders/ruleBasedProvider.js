@@ -0,0 +1,103 @@
+/**
+ * Rule-based provider: keyword heuristics with no model and no network.
+ * The same input always yields the same extraction, so it works offline,
+ * in tests and as the fallback when a model provider fails.
+ *
+ * @module services/aiProviders/ruleBasedProvider
+ */
+
+/**
+ * Extraction used when there is nothing to extract from
+ * @param {string} note - Why, kept as additionalNotes
+ * @returns {Object}
+ */
+function buildDefaultExtraction(note) {
+  return {
+    medicine: { name: null, genericName: null },
+    sideEffects: [{ effect: 'Not specified', severity: 'Mild', onset: 'Unknown' }],
+    medicationUsage: {
+      indication: null,
+      dosage: { amount: null, frequency: null, route: 'Oral' },
+      startDate: null
+    },
+    reportDetails: { seriousness: 'Non-serious', outcome: 'Unknown' },
+    patientInfo: { age: null, gender: null },
+    confidence: 'Low',
+    additionalNotes: note
+  };
+}
+
+function extractWithHeuristics(text) {
+  // Detect severity keywords
+  let severity = 'Moderate';
+  if (/life.?threatening|emergency|death|fatal|critical/i.test(text)) severity = 'Life-threatening';
+  else if (/severe|serious|hospital|ER|emergency room/i.test(text)) severity = 'Severe';
+  else if (/mild|slight|minor|small/i.test(text)) severity = 'Mild';
+
+  // Detect onset
+  let onset = 'Unknown';
+  if (/immediately|right away|instant/i.test(text)) onset = 'Immediate';
+  else if (/hours?|hour later/i.test(text)) onset = 'Within hours';
+  else if (/days?|day later|next day/i.test(text)) onset = 'Within days';
+  else if (/weeks?|week later/i.test(text)) onset = 'Within weeks';
+
+  // Try to find medicine name (simple heuristic: word before "mg" or capitalised drug-like word)
+  let medicineName = null;
+  const mgMatch = text.match(/(\w+)\s+\d+\s*mg/i);
+  if (mgMatch) medicineName = mgMatch[1];
+
+  // Detect route
+  let route = 'Oral';
+  if (/inject|IV|intravenous/i.test(text)) route = 'Intravenous';
+  else if (/topical|cream|gel|ointment/i.test(text)) route = 'Topical';
+  else if (/inhale|inhaler|nebulizer/i.test(text)) route = 'Inhalation';
+
+  const confidence = medicineName && text.length > 20 ? 'Medium' : 'Low';
+
+  return {
+    medicine: { name: medicineName, genericName: null },
+    sideEffects: [{
+      effect: text.length > 100 ? text.slice(0, 100) : text,
+      severity,
+      onset,
+      description: text.length > 100 ? text : null
+    }],
+    medicationUsage: {
+      indication: null,
+      dosage: { amount: null, frequency: null, route },
+      startDate: null
+    },
+    reportDetails: {
+      seriousness: severity === 'Severe' || severity === 'Life-threatening' ? 'Serious' : 'Non-serious',
+      outcome: 'Unknown'
+    },
+    patientInfo: { age: null, gender: null },
+    confidence,
+    additionalNotes: text
+  };
+}
+
+const ruleBasedProvider = {
+  name: 'rule-based',
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Extract report fields from free text. Images cannot be read without a
+   * model, so an image-only input gets the default extraction.
+   * @param {{ text: string, images: Array }} inputs
+   * @returns {Promise<Object>}
+   */
+  async extractReport({ text = '' }) {
+    if (!text.trim()) {
+      return buildDefaultExtraction('Images could not be read without an AI model');
+    }
+    return extractWithHeuristics(text);
+  },
+
+  buildDefaultExtraction
+};
+
+module.exports = ruleBasedProvider;
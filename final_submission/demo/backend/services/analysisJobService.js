@@ -0,0 +1,201 @@
+/**
+ * Analysis Job Service
+ *
+ * Every time a report is sent to the AI consumer an AnalysisJob records the
+ * run. The consumer updates the job and its pipeline steps as it works and
+ * publishes each change; this service forwards those changes over SSE to
+ * the people looking at the report, queues new runs and reports a report's
+ * analysis status.
+ *
+ * @module services/analysisJobService
+ */
+
+const AnalysisJob = require('../models/AnalysisJob');
+const ReportSideEffect = require('../models/ReportSideEffect');
+const AppError = require('../utils/appError');
+const rabbitmqService = require('./rabbitmqService');
+const notificationService = require('./notificationService');
+const notificationRuleService = require('./notificationRuleService');
+const regulatoryDeadlineService = require('./regulatoryDeadlineService');
+
+// SSE event carrying job snapshots
+const SSE_EVENT = 'analysis_status';
+
+// Earlier runs returned with the status
+const HISTORY_LIMIT = 5;
+
+let started = false;
+
+/**
+ * Users to push a report's job updates to: the reporter, the patient and
+ * the doctors assigned to it
+ * @param {Object} report - Report with reportedBy, patient, assignedTo and doctorReview
+ * @returns {Array<string>} User IDs
+ */
+function recipientsOf(report) {
+  const ids = [
+    report.reportedBy,
+    report.patient,
+    report.assignedTo,
+    report.doctorReview?.assignedDoctor
+  ];
+  return [...new Set(ids.filter(Boolean).map(id => (id._id || id).toString()))];
+}
+
+/**
+ * Push a job snapshot to the report's viewers and whoever requested the run
+ * @param {Object} job - AnalysisJob document or plain object
+ * @returns {Promise<void>}
+ */
+async function broadcast(job) {
+  const report = await ReportSideEffect.findById(job.report)
+    .select('reportedBy patient assignedTo doctorReview.assignedDoctor')
+    .lean();
+  if (!report) return;
+
+  const recipients = recipientsOf(report);
+  if (job.requestedBy && !recipients.includes(job.requestedBy.toString())) {
+    recipients.push(job.requestedBy.toString());
+  }
+
+  const snapshot = toSnapshot(job);
+  recipients.forEach(userId => notificationService.sendSSE(userId, SSE_EVENT, snapshot));
+}
+
+/**
+ * Fields of a job sent to clients
+ * @param {Object} job
+ * @returns {Object}
+ */
+function toSnapshot(job) {
+  return {
+    jobId: job._id.toString(),
+    reportId: job.report.toString(),
+    trigger: job.trigger,
+    status: job.status,
+    attempts: job.attempts,
+    steps: job.steps,
+    error: job.error,
+    modelUsed: job.modelUsed,
+    queuedAt: job.queuedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * Latest unfinished job of a report
+ * @param {string} reportId
+ * @returns {Promise<Object|null>}
+ */
+async function findActive(reportId) {
+  return AnalysisJob.findOne({ report: reportId, status: { $in: AnalysisJob.ACTIVE_STATUSES } })
+    .sort({ createdAt: -1 });
+}
+
+/**
+ * Queue a report for AI analysis and track the run with a new job. A forced
+ * re-run starts with a fresh retry budget, so a report that used up its
+ * retries earlier is not dead-lettered on its first failure.
+ * @param {Object} report - Report document
+ * @param {Object} options - { trigger, requestedBy, force: re-run even if already analyzed }
+ * @returns {Promise<Object>} AnalysisJob document
+ * @throws {AppError} 503 when RabbitMQ is down; the job is kept as failed
+ */
+async function enqueue(report, { trigger = 'submission', requestedBy, force = false } = {}) {
+  if (force) {
+    // Reset the consumer's attempt count; bookkeeping only, so no new report version
+    await ReportSideEffect.updateOne({ _id: report._id }, { $set: { 'metadata.aiProcessingAttempts': 0 } });
+  }
+
+  const job = await AnalysisJob.create({
+    report: report._id,
+    trigger,
+    requestedBy,
+    force
+  });
+
+  const published = await rabbitmqService.publishReportCreated(report, {
+    jobId: job._id,
+    forceReprocess: force
+  });
+
+  if (!published) {
+    job.status = 'failed';
+    job.error = 'Message queue unavailable';
+    job.finishedAt = new Date();
+    await job.save();
+  }
+
+  broadcast(job).catch((error) => {
+    console.error('[AnalysisJob] Failed to broadcast job status:', error.message);
+  });
+
+  if (!published) {
+    throw AppError.serviceUnavailable('Message queue unavailable, try again later');
+  }
+  return job;
+}
+
+/**
+ * Analysis state of a report: the AI fields of the report, its latest job
+ * and the runs before it
+ * @param {Object} report - Report document
+ * @returns {Promise<{ aiProcessed: boolean, aiProcessedAt: Date, aiModelUsed: string, aiProcessingError: string, job: Object|null, history: Array<Object> }>}
+ */
+async function getStatus(report) {
+  const jobs = await AnalysisJob.find({ report: report._id })
+    .sort({ createdAt: -1 })
+    .limit(HISTORY_LIMIT + 1)
+    .populate('requestedBy', 'firstName lastName role')
+    .lean();
+
+  const metadata = report.metadata || {};
+  return {
+    aiProcessed: Boolean(metadata.aiProcessed),
+    aiProcessedAt: metadata.aiProcessedAt,
+    aiModelUsed: metadata.aiModelUsed,
+    aiProcessingError: metadata.aiProcessingError,
+    job: jobs[0] || null,
+    history: jobs.slice(1)
+  };
+}
+
+/**
+ * Forward job status changes published by the AI consumer, and once an
+ * analysis completes evaluate notification rules and check the report's
+ * expedited clock, since the analysis may have marked it serious
+ */
+function start() {
+  if (started) return;
+  started = true;
+  rabbitmqService.consume(rabbitmqService.queues.reportAnalysisStatus, async (message) => {
+    if (!message.jobId) return;
+    const job = await AnalysisJob.findById(message.jobId).lean();
+    if (!job) return;
+    await broadcast(job);
+
+    if (job.status === 'completed') {
+      notificationRuleService.evaluate('analysis_completed', job.report, {
+        eventKey: `analysis_completed:${job._id}`
+      }).catch((error) => {
+        console.error('[AnalysisJob] Failed to evaluate notification rules:', error.message);
+      });
+      regulatoryDeadlineService.checkReport(job.report).catch((error) => {
+        console.error('[AnalysisJob] Failed to check expedited clock:', error.message);
+      });
+    }
+  }).catch((error) => {
+    console.error('[AnalysisJob] Failed to consume job status queue:', error.message);
+  });
+}
+
+module.exports = {
+  SSE_EVENT,
+  enqueue,
+  findActive,
+  getStatus,
+  broadcast,
+  start
+};
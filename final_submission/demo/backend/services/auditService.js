@@ -0,0 +1,283 @@
+/**
+ * Audit Service
+ *
+ * Writes tamper-evident AuditEvent records for mutations to reports,
+ * medications, users and symptom progressions, and verifies the hash chain.
+ *
+ * @module services/auditService
+ */
+
+const crypto = require('crypto');
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Audit settings
+ */
+const AUDIT_CONFIG = {
+  GENESIS_HASH: '0'.repeat(64),
+  // Attempts to claim the next sequence number when writers race
+  MAX_APPEND_ATTEMPTS: 5,
+  // Long values (e.g. free-text descriptions) are truncated in diffs
+  MAX_VALUE_LENGTH: 2000
+};
+
+// Never copied into audit records
+const EXCLUDED_PATHS = [
+  '_id',
+  '__v',
+  'id',
+  'createdAt',
+  'updatedAt',
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'passwordChangedAt',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'twoFactor.secret',
+  'twoFactor.pendingSecret',
+  'twoFactor.lastUsedStep',
+  'twoFactor.recoveryCodes'
+];
+
+const isExcluded = (path) =>
+  EXCLUDED_PATHS.some(excluded => path === excluded || path.startsWith(`${excluded}.`));
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Convert a value into plain JSON-safe data (ObjectIds and Dates become strings)
+ * @param {*} value - Any value
+ * @returns {*} Normalized value
+ */
+function normalize(value) {
+  if (value === undefined || value === null) return value ?? null;
+  if (typeof value.toObject === 'function' && !value._bsontype) {
+    return normalize(value.toObject({ depopulate: true }));
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toString();
+  if (Buffer.isBuffer(value)) return `[binary ${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).sort().forEach((key) => {
+      if (value[key] !== undefined) result[key] = normalize(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Shorten long strings stored in a diff
+ * @param {*} value - Normalized value
+ * @returns {*} Value, truncated if it is a long string
+ */
+function truncate(value) {
+  if (typeof value === 'string' && value.length > AUDIT_CONFIG.MAX_VALUE_LENGTH) {
+    return `${value.slice(0, AUDIT_CONFIG.MAX_VALUE_LENGTH)}…`;
+  }
+  return value;
+}
+
+/**
+ * Flatten a normalized object into dotted paths; arrays are kept whole
+ * @param {Object} obj - Normalized object
+ * @param {string} [prefix] - Path prefix
+ * @param {Object} [out] - Accumulator
+ * @returns {Object} Map of path to value
+ */
+function flatten(obj, prefix = '', out = {}) {
+  if (!isPlainObject(obj)) return out;
+
+  Object.keys(obj).forEach((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isExcluded(path)) return;
+
+    const value = obj[key];
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+  return out;
+}
+
+/**
+ * Field-level diff between two versions of a document
+ * @param {Object|null} before - Previous state (document or plain object)
+ * @param {Object|null} after - New state (document or plain object)
+ * @returns {Array<{path: string, before: *, after: *}>} Changed paths
+ */
+function diff(before, after) {
+  const beforeFlat = flatten(normalize(before) || {});
+  const afterFlat = flatten(normalize(after) || {});
+  const paths = new Set([...Object.keys(beforeFlat), ...Object.keys(afterFlat)]);
+
+  return [...paths]
+    .sort()
+    .filter(path => JSON.stringify(beforeFlat[path] ?? null) !== JSON.stringify(afterFlat[path] ?? null))
+    .map(path => ({
+      path,
+      before: truncate(beforeFlat[path] ?? null),
+      after: truncate(afterFlat[path] ?? null)
+    }));
+}
+
+/**
+ * JSON with sorted object keys, so hashes do not depend on key order
+ * @param {*} value - Normalized value
+ * @returns {string} Canonical JSON
+ */
+function canonicalStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of an event's content chained to the previous hash
+ * @param {Object} event - Event fields (plain object)
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function computeHash(event) {
+  const content = {
+    sequence: event.sequence,
+    actor: event.actor ? event.actor.toString() : null,
+    actorRole: event.actorRole ?? null,
+    actorEmail: event.actorEmail ?? null,
+    action: event.action,
+    entityType: event.entityType,
+    entityId: event.entityId.toString(),
+    changes: normalize(event.changes || []),
+    metadata: normalize(event.metadata ?? null),
+    ipAddress: event.ipAddress ?? null,
+    userAgent: event.userAgent ?? null,
+    timestamp: new Date(event.timestamp).toISOString(),
+    prevHash: event.prevHash
+  };
+  return crypto.createHash('sha256').update(canonicalStringify(content)).digest('hex');
+}
+
+/**
+ * Append an event to the chain, retrying if another writer took the sequence
+ * @param {Object} fields - Event fields without sequence/hash
+ * @returns {Promise<Object>} Saved AuditEvent
+ */
+async function append(fields) {
+  for (let attempt = 1; attempt <= AUDIT_CONFIG.MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+    const event = {
+      ...fields,
+      sequence: last ? last.sequence + 1 : 1,
+      prevHash: last ? last.hash : AUDIT_CONFIG.GENESIS_HASH
+    };
+    event.hash = computeHash(event);
+
+    try {
+      return await AuditEvent.create(event);
+    } catch (error) {
+      // Duplicate sequence: someone appended first, so chain onto their event
+      if (error.code !== 11000 || attempt === AUDIT_CONFIG.MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Record an audit event. Failures are logged, never thrown, so auditing
+ * cannot break the operation being audited.
+ * @param {Object} options
+ * @param {Object} [options.req] - Express request (actor, IP and user agent)
+ * @param {Object} [options.actor] - Acting user when there is no req.user
+ * @param {string} options.action - Dotted action name, e.g. 'report.create'
+ * @param {string} options.entityType - Model name of the changed entity
+ * @param {string} options.entityId - Id of the changed entity
+ * @param {Object|null} [options.before] - State before the change
+ * @param {Object|null} [options.after] - State after the change
+ * @param {Object} [options.metadata] - Extra context (reason, comments, ...)
+ * @returns {Promise<Object|null>} Saved AuditEvent, or null on failure
+ */
+async function record({ req, actor, action, entityType, entityId, before = null, after = null, metadata }) {
+  try {
+    const user = actor || req?.user;
+    return await append({
+      actor: user?._id,
+      actorRole: user?.role,
+      actorEmail: user?.email,
+      action,
+      entityType,
+      entityId,
+      changes: diff(before, after),
+      metadata: metadata ? normalize(metadata) : undefined,
+      ipAddress: req?.ip,
+      userAgent: req?.get?.('User-Agent'),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error(`[Audit] Failed to record ${action} for ${entityType} ${entityId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Recompute the hash chain and report the first broken link
+ * @param {Object} [options]
+ * @param {number} [options.fromSequence=1] - First sequence to check
+ * @param {number} [options.limit] - Maximum number of events to check
+ * @returns {Promise<{valid: boolean, checked: number, lastSequence: number|null, brokenAt?: number, reason?: string}>}
+ */
+async function verifyChain({ fromSequence = 1, limit } = {}) {
+  let expectedPrevHash = AUDIT_CONFIG.GENESIS_HASH;
+  let expectedSequence = fromSequence;
+
+  if (fromSequence > 1) {
+    const previous = await AuditEvent.findOne({ sequence: fromSequence - 1 }).select('hash').lean();
+    if (!previous) {
+      return { valid: false, checked: 0, lastSequence: null, brokenAt: fromSequence - 1, reason: 'missing event' };
+    }
+    expectedPrevHash = previous.hash;
+  }
+
+  let query = AuditEvent.find({ sequence: { $gte: fromSequence } }).sort({ sequence: 1 }).lean();
+  if (limit) query = query.limit(limit);
+
+  let checked = 0;
+  let lastSequence = null;
+  for await (const event of query.cursor()) {
+    if (event.sequence !== expectedSequence) {
+      return { valid: false, checked, lastSequence, brokenAt: expectedSequence, reason: 'missing event' };
+    }
+    if (event.prevHash !== expectedPrevHash) {
+      return { valid: false, checked, lastSequence, brokenAt: event.sequence, reason: 'previous hash mismatch' };
+    }
+    if (computeHash(event) !== event.hash) {
+      return { valid: false, checked, lastSequence, brokenAt: event.sequence, reason: 'content hash mismatch' };
+    }
+
+    expectedPrevHash = event.hash;
+    expectedSequence += 1;
+    lastSequence = event.sequence;
+    checked += 1;
+  }
+
+  return { valid: true, checked, lastSequence };
+}
+
+module.exports = {
+  record,
+  diff,
+  computeHash,
+  verifyChain,
+  AUDIT_CONFIG
+};
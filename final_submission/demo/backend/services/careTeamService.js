@@ -0,0 +1,330 @@
+/**
+ * Care Team Service
+ *
+ * Doctor-patient care relationships (see the CareRelationship model) and the
+ * access they grant: doctors see the reports and symptom progressions of
+ * patients on whose care team they are, plus reports they submitted or were
+ * assigned, and patients their own records. Users with report:read_all
+ * (admins by default) see everything; care_team:manage lets a user see and
+ * end every relationship and link doctors and patients directly.
+ *
+ * @module services/careTeamService
+ */
+
+const CareRelationship = require('../models/CareRelationship');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const config = require('../config/config');
+const notificationService = require('./notificationService');
+const permissionService = require('./permissionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const fullName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim();
+
+/**
+ * IDs of the patients whose care team a doctor is on
+ * @param {string} doctorId
+ * @returns {Promise<Array<ObjectId>>}
+ */
+async function getPatientIds(doctorId) {
+  return CareRelationship.distinct('patient', { doctor: doctorId, ...CareRelationship.activeFilter() });
+}
+
+/**
+ * IDs of the doctors on a patient's care team
+ * @param {string} patientId
+ * @returns {Promise<Array<ObjectId>>}
+ */
+async function getDoctorIds(patientId) {
+  return CareRelationship.distinct('doctor', { patient: patientId, ...CareRelationship.activeFilter() });
+}
+
+/**
+ * The patient's own doctor: the one longest on their care team
+ * @param {string} patientId
+ * @returns {Promise<ObjectId|null>}
+ */
+async function getPrimaryDoctorId(patientId) {
+  const relationship = await CareRelationship.findOne({ patient: patientId, ...CareRelationship.activeFilter() })
+    .sort({ acceptedAt: 1 })
+    .select('doctor')
+    .lean();
+  return relationship?.doctor || null;
+}
+
+/**
+ * Whether a doctor is on a patient's care team
+ * @param {string} doctorId
+ * @param {string} patientId
+ * @returns {Promise<boolean>}
+ */
+async function isOnCareTeam(doctorId, patientId) {
+  if (!doctorId || !patientId) return false;
+  const count = await CareRelationship.countDocuments({
+    doctor: doctorId,
+    patient: patientId,
+    ...CareRelationship.activeFilter()
+  });
+  return count > 0;
+}
+
+/**
+ * Report filter limiting a user to the reports they may see: their own,
+ * those assigned to them and those of their care-team patients
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Mongo filter; empty with report:read_all
+ */
+async function reportScope(user) {
+  if (await permissionService.hasPermission(user, 'report:read_all')) return {};
+
+  const patientIds = await getPatientIds(user._id);
+  return {
+    $or: [
+      { patient: { $in: [user._id, ...patientIds] } },
+      { reportedBy: { $in: [user._id, ...patientIds] } },
+      { assignedTo: user._id },
+      { 'doctorReview.assignedDoctor': user._id }
+    ]
+  };
+}
+
+/**
+ * Symptom progression filter limiting a user to their own and their
+ * care-team patients' progressions
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Mongo filter; empty with report:read_all
+ */
+async function progressionScope(user) {
+  if (await permissionService.hasPermission(user, 'report:read_all')) return {};
+  return { patient: { $in: [user._id, ...(await getPatientIds(user._id))] } };
+}
+
+/**
+ * Whether a user may see a report
+ * @param {Object} user - Authenticated user
+ * @param {Object} report - Report, populated or not
+ * @returns {Promise<boolean>}
+ */
+async function canAccessReport(user, report) {
+  const userId = user._id.toString();
+  const patientId = toId(report.patient);
+  const reportedById = toId(report.reportedBy);
+
+  if (reportedById === userId || patientId === userId) return true;
+  if (toId(report.assignedTo) === userId || toId(report.doctorReview?.assignedDoctor) === userId) return true;
+  if (await permissionService.hasPermission(user, 'report:read_all')) return true;
+  return isOnCareTeam(user._id, patientId || reportedById);
+}
+
+/**
+ * Whether a user may see a patient's records
+ * @param {Object} user - Authenticated user
+ * @param {string} patientId
+ * @returns {Promise<boolean>}
+ */
+async function canAccessPatient(user, patientId) {
+  if (toId(patientId) === user._id.toString()) return true;
+  if (await permissionService.hasPermission(user, 'report:read_all')) return true;
+  return isOnCareTeam(user._id, patientId);
+}
+
+/**
+ * Mark invitations nobody answered in time, and relationships whose access
+ * ended, as expired
+ * @returns {Promise<void>}
+ */
+async function expireStale(now = new Date()) {
+  await Promise.all([
+    CareRelationship.updateMany(
+      { status: 'pending', inviteExpiresAt: { $lte: now } },
+      { $set: { status: 'expired' } }
+    ),
+    CareRelationship.updateMany(
+      { status: 'active', accessExpiresAt: { $lte: now } },
+      { $set: { status: 'expired' } }
+    )
+  ]);
+}
+
+/**
+ * Find the user on the other side of an invitation
+ * @param {Object} invitation - { userId } or { email }
+ * @param {string} role - Role the user must have
+ * @returns {Promise<Object>} User
+ * @throws {AppError} 404 when no active user with that role matches
+ */
+async function findInvitee({ userId, email }, role) {
+  const filter = userId ? { _id: userId } : { email: String(email).toLowerCase().trim() };
+  const user = await User.findOne({ ...filter, role, isActive: { $ne: false } })
+    .select('firstName lastName email role');
+  if (!user) throw AppError.notFound(role === 'doctor' ? 'Doctor' : 'Patient');
+  return user;
+}
+
+/**
+ * Invite a patient onto a doctor's care team or a doctor onto a patient's.
+ * Doctors invite patients and patients invite doctors; the invitee accepts.
+ * Users with care_team:manage link a doctor and a patient directly.
+ * @param {Object} inviter - Authenticated user
+ * @param {Object} invitation - { userId | email } of the invitee, or
+ *   { doctorId, patientId } with care_team:manage; optional message and accessExpiresAt
+ * @returns {Promise<Object>} CareRelationship document
+ * @throws {AppError} 404 for an unknown invitee, 409 when the two are already linked or invited
+ */
+async function invite(inviter, { userId, email, doctorId, patientId, message, accessExpiresAt }) {
+  const direct = await permissionService.hasPermission(inviter, 'care_team:manage');
+  let doctor;
+  let patient;
+  if (direct) {
+    [doctor, patient] = await Promise.all([
+      findInvitee({ userId: doctorId }, 'doctor'),
+      findInvitee({ userId: patientId }, 'patient')
+    ]);
+  } else if (inviter.role === 'doctor') {
+    doctor = inviter;
+    patient = await findInvitee({ userId, email }, 'patient');
+  } else {
+    patient = inviter;
+    doctor = await findInvitee({ userId, email }, 'doctor');
+  }
+
+  await expireStale();
+  const existing = await CareRelationship.findOne({
+    doctor: doctor._id,
+    patient: patient._id,
+    status: { $in: ['pending', 'active'] }
+  });
+  if (existing) {
+    throw AppError.conflict(existing.status === 'active'
+      ? 'This doctor is already on the patient\'s care team'
+      : 'An invitation between this doctor and patient is already pending');
+  }
+
+  const now = new Date();
+  const relationship = await CareRelationship.create({
+    doctor: doctor._id,
+    patient: patient._id,
+    invitedBy: inviter._id,
+    message,
+    status: direct ? 'active' : 'pending',
+    inviteExpiresAt: direct ? undefined : new Date(now.getTime() + config.careTeam.inviteExpiryDays * DAY_MS),
+    acceptedAt: direct ? now : undefined,
+    accessExpiresAt: accessExpiresAt ? new Date(accessExpiresAt) : undefined
+  });
+
+  const invitee = inviter.role === 'doctor' ? patient : doctor;
+  const title = direct ? 'Added to a care team' : 'Care team invitation';
+  const text = direct
+    ? `${fullName(doctor)} is now on the care team of ${fullName(patient)}.`
+    : inviter.role === 'doctor'
+      ? `Dr. ${fullName(doctor)} invited you to add them to your care team. They would see your ADR reports.`
+      : `${fullName(patient)} invited you to join their care team and follow their ADR reports.`;
+  const recipients = direct ? [doctor, patient] : [invitee];
+  recipients.forEach((recipient) => {
+    notificationService.notify({
+      recipientId: recipient._id,
+      type: 'care_team',
+      title,
+      message: text,
+      priority: 'medium',
+      metadata: { careRelationshipId: relationship._id.toString() }
+    }).catch((error) => {
+      console.error('[CareTeam] Failed to send invitation notification:', error.message);
+    });
+  });
+
+  return relationship;
+}
+
+/**
+ * Accept or decline an invitation
+ * @param {string} id - CareRelationship ID
+ * @param {Object} user - Authenticated user; must be the invitee
+ * @param {boolean} accept
+ * @returns {Promise<{ relationship: Object, before: Object }>}
+ * @throws {AppError} 404 when there is no such invitation for the user, 409 when it is no longer pending
+ */
+async function respond(id, user, accept) {
+  const relationship = await CareRelationship.findById(id);
+  const userId = user._id.toString();
+  const isParty = relationship && [toId(relationship.doctor), toId(relationship.patient)].includes(userId);
+  if (!isParty || toId(relationship.invitedBy) === userId) {
+    throw AppError.notFound('Invitation');
+  }
+
+  const now = new Date();
+  if (relationship.status === 'pending' && relationship.inviteExpiresAt && relationship.inviteExpiresAt <= now) {
+    relationship.status = 'expired';
+    await relationship.save();
+  }
+  if (relationship.status !== 'pending') {
+    throw AppError.conflict(`This invitation is ${relationship.status}`);
+  }
+
+  const before = relationship.toObject();
+  relationship.status = accept ? 'active' : 'declined';
+  relationship.respondedAt = now;
+  if (accept) relationship.acceptedAt = now;
+  await relationship.save();
+
+  if (accept) {
+    notificationService.notify({
+      recipientId: relationship.invitedBy,
+      type: 'care_team',
+      title: 'Care team invitation accepted',
+      message: `${fullName(user)} accepted your care team invitation.`,
+      priority: 'low',
+      metadata: { careRelationshipId: relationship._id.toString() }
+    }).catch((error) => {
+      console.error('[CareTeam] Failed to send acceptance notification:', error.message);
+    });
+  }
+
+  return { relationship, before };
+}
+
+/**
+ * End a relationship or withdraw an invitation. Either side can, and users
+ * with care_team:manage.
+ * @param {string} id - CareRelationship ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<{ relationship: Object, before: Object }>}
+ * @throws {AppError} 404 when the user is not a party, 409 when it already ended
+ */
+async function end(id, user) {
+  const relationship = await CareRelationship.findById(id);
+  const userId = user._id.toString();
+  const isParty = relationship && [toId(relationship.doctor), toId(relationship.patient)].includes(userId);
+  if (!relationship || (!isParty && !(await permissionService.hasPermission(user, 'care_team:manage')))) {
+    throw AppError.notFound('Care relationship');
+  }
+  if (!['pending', 'active'].includes(relationship.status)) {
+    throw AppError.conflict(`This care relationship is already ${relationship.status}`);
+  }
+
+  const before = relationship.toObject();
+  relationship.status = 'ended';
+  relationship.endedAt = new Date();
+  relationship.endedBy = user._id;
+  await relationship.save();
+
+  return { relationship, before };
+}
+
+module.exports = {
+  getPatientIds,
+  getDoctorIds,
+  getPrimaryDoctorId,
+  isOnCareTeam,
+  reportScope,
+  progressionScope,
+  canAccessReport,
+  canAccessPatient,
+  expireStale,
+  invite,
+  respond,
+  end
+};
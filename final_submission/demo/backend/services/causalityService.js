@@ -0,0 +1,269 @@
+/**
+ * Causality Service
+ *
+ * Structured questionnaires for the Naranjo ADR probability scale and the
+ * WHO-UMC causality criteria. Answers are scored into the categories used by
+ * ReportSideEffect.causalityAssessment, and questions the report already
+ * answers (drug start vs. onset, dechallenge, rechallenge) are prefilled.
+ *
+ * @module services/causalityService
+ */
+
+const AppError = require('../utils/appError');
+
+const YES_NO_UNKNOWN = [
+  { value: 'yes', label: 'Yes' },
+  { value: 'no', label: 'No' },
+  { value: 'unknown', label: 'Do not know' }
+];
+
+// Naranjo answer options with the points each answer scores
+function naranjoOptions(yes, no) {
+  return YES_NO_UNKNOWN.map(option => ({
+    ...option,
+    points: { yes, no, unknown: 0 }[option.value]
+  }));
+}
+
+const NARANJO_QUESTIONS = [
+  { id: 'previousReports', text: 'Are there previous conclusive reports on this reaction?', options: naranjoOptions(1, 0) },
+  { id: 'temporal', text: 'Did the adverse event appear after the suspected drug was administered?', options: naranjoOptions(2, -1) },
+  { id: 'dechallenge', text: 'Did the adverse reaction improve when the drug was discontinued or a specific antagonist was administered?', options: naranjoOptions(1, 0) },
+  { id: 'rechallenge', text: 'Did the adverse reaction reappear when the drug was readministered?', options: naranjoOptions(2, -1) },
+  { id: 'alternativeCauses', text: 'Are there alternative causes (other than the drug) that could on their own have caused the reaction?', options: naranjoOptions(-1, 2) },
+  { id: 'placebo', text: 'Did the reaction reappear when a placebo was given?', options: naranjoOptions(-1, 1) },
+  { id: 'toxicLevels', text: 'Was the drug detected in the blood (or other fluids) in concentrations known to be toxic?', options: naranjoOptions(1, 0) },
+  { id: 'doseResponse', text: 'Was the reaction more severe when the dose was increased, or less severe when the dose was decreased?', options: naranjoOptions(1, 0) },
+  { id: 'previousExposure', text: 'Did the patient have a similar reaction to the same or similar drugs in any previous exposure?', options: naranjoOptions(1, 0) },
+  { id: 'objectiveEvidence', text: 'Was the adverse event confirmed by any objective evidence?', options: naranjoOptions(1, 0) }
+];
+
+// Total score bands, highest first; Definite and Doubtful map onto the
+// Certain and Unlikely categories stored on the report
+const NARANJO_BANDS = [
+  { min: 9, interpretation: 'Definite', category: 'Certain' },
+  { min: 5, interpretation: 'Probable', category: 'Probable' },
+  { min: 1, interpretation: 'Possible', category: 'Possible' },
+  { min: -Infinity, interpretation: 'Doubtful', category: 'Unlikely' }
+];
+
+const WHO_UMC_QUESTIONS = [
+  {
+    id: 'timeRelationship',
+    text: 'Is there a plausible time relationship between drug intake and the event?',
+    options: [
+      { value: 'plausible', label: 'Plausible' },
+      { value: 'improbable', label: 'Improbable (but not impossible)' },
+      { value: 'unknown', label: 'Cannot be determined' }
+    ]
+  },
+  {
+    id: 'alternativeCauses',
+    text: 'Could the event be explained by disease or other drugs?',
+    options: [
+      { value: 'no', label: 'No, it cannot be explained otherwise' },
+      { value: 'unlikely', label: 'Unlikely' },
+      { value: 'yes', label: 'Yes, it could be explained otherwise' },
+      { value: 'unknown', label: 'Do not know' }
+    ]
+  },
+  {
+    id: 'dechallenge',
+    text: 'What was the response to withdrawal of the drug?',
+    options: [
+      { value: 'positive', label: 'Clinically reasonable improvement' },
+      { value: 'negative', label: 'No improvement' },
+      { value: 'unclear', label: 'Unclear' },
+      { value: 'not_done', label: 'Not withdrawn / no information' }
+    ]
+  },
+  {
+    id: 'definitive',
+    text: 'Is the event definitive pharmacologically or phenomenologically (an objective, specific disorder or recognised pharmacological phenomenon)?',
+    options: YES_NO_UNKNOWN
+  },
+  {
+    id: 'rechallenge',
+    text: 'What was the outcome of rechallenge?',
+    options: [
+      { value: 'positive', label: 'Reaction reappeared' },
+      { value: 'negative', label: 'Reaction did not reappear' },
+      { value: 'not_done', label: 'Not done / not necessary' }
+    ]
+  },
+  {
+    id: 'dataStatus',
+    text: 'Is the information sufficient to assess the case?',
+    options: [
+      { value: 'sufficient', label: 'Sufficient' },
+      { value: 'pending', label: 'More data is essential and being examined' },
+      { value: 'insufficient', label: 'Insufficient or contradictory, and cannot be supplemented' }
+    ]
+  }
+];
+
+const WHO_UMC_DEFAULTS = {
+  timeRelationship: 'unknown',
+  alternativeCauses: 'unknown',
+  dechallenge: 'not_done',
+  definitive: 'unknown',
+  rechallenge: 'not_done',
+  dataStatus: 'sufficient'
+};
+
+// Walks the WHO-UMC criteria from the least to the most certain category
+function whoUmcCategory(answers) {
+  if (answers.dataStatus === 'insufficient') return 'Unassessable';
+  if (answers.dataStatus === 'pending') return 'Conditional';
+  if (answers.timeRelationship === 'unknown') return 'Unassessable';
+  if (answers.timeRelationship === 'improbable') return 'Unlikely';
+  if (!['no', 'unlikely'].includes(answers.alternativeCauses)) return 'Possible';
+  if (answers.dechallenge !== 'positive') return 'Possible';
+  if (answers.alternativeCauses === 'no' && answers.definitive === 'yes' && answers.rechallenge !== 'negative') {
+    return 'Certain';
+  }
+  return 'Probable';
+}
+
+const QUESTIONNAIRES = {
+  Naranjo: {
+    algorithm: 'Naranjo',
+    name: 'Naranjo Adverse Drug Reaction Probability Scale',
+    description: 'Ten weighted questions; the total score gives Definite (9+), Probable (5-8), Possible (1-4) or Doubtful (0 or less).',
+    questions: NARANJO_QUESTIONS
+  },
+  'WHO-UMC': {
+    algorithm: 'WHO-UMC',
+    name: 'WHO-UMC Causality Assessment System',
+    description: 'Each category requires all of its criteria to be met; the most certain category whose criteria are met applies.',
+    questions: WHO_UMC_QUESTIONS
+  }
+};
+
+const ALGORITHMS = Object.keys(QUESTIONNAIRES);
+
+/**
+ * Questionnaire definition for an algorithm
+ * @param {string} algorithm - 'Naranjo' or 'WHO-UMC'
+ * @returns {Object} Questions with their answer options
+ * @throws {AppError} 400 if the algorithm has no questionnaire
+ */
+function getQuestionnaire(algorithm) {
+  const questionnaire = QUESTIONNAIRES[algorithm];
+  if (!questionnaire) {
+    throw new AppError(`No questionnaire for algorithm: ${algorithm}`, 400);
+  }
+  return questionnaire;
+}
+
+// Positive/Negative challenge result from reportDetails, if one was performed
+function challengeResult(challenge) {
+  if (!challenge?.performed) return null;
+  return challenge.result || 'Unknown';
+}
+
+/**
+ * Answers that can be read from the report itself
+ * @param {string} algorithm - 'Naranjo' or 'WHO-UMC'
+ * @param {Object} report - Report document
+ * @returns {Object} Answer value by question id
+ */
+function prefillAnswers(algorithm, report) {
+  getQuestionnaire(algorithm);
+  const answers = {};
+  const startDate = report.medicationUsage?.startDate;
+  const incidentDate = report.reportDetails?.incidentDate;
+  const dechallenge = challengeResult(report.reportDetails?.dechallenge);
+  const rechallenge = challengeResult(report.reportDetails?.rechallenge);
+  const afterStart = startDate && incidentDate
+    ? new Date(incidentDate) >= new Date(startDate)
+    : null;
+
+  if (algorithm === 'Naranjo') {
+    if (afterStart !== null) answers.temporal = afterStart ? 'yes' : 'no';
+    if (dechallenge === 'Positive') answers.dechallenge = 'yes';
+    if (dechallenge === 'Negative') answers.dechallenge = 'no';
+    if (rechallenge === 'Positive') answers.rechallenge = 'yes';
+    if (rechallenge === 'Negative') answers.rechallenge = 'no';
+  } else {
+    if (afterStart !== null) answers.timeRelationship = afterStart ? 'plausible' : 'improbable';
+    if (dechallenge) {
+      answers.dechallenge = { Positive: 'positive', Negative: 'negative' }[dechallenge] || 'unclear';
+    }
+    if (rechallenge === 'Positive') answers.rechallenge = 'positive';
+    if (rechallenge === 'Negative') answers.rechallenge = 'negative';
+  }
+
+  return answers;
+}
+
+/**
+ * Score a set of answers. Unanswered Naranjo questions count as "Do not
+ * know"; unanswered WHO-UMC criteria count as not met.
+ * @param {string} algorithm - 'Naranjo' or 'WHO-UMC'
+ * @param {Object} answers - Answer value by question id
+ * @returns {{ score: number|null, category: string, interpretation: string, answers: Array<Object> }}
+ * @throws {AppError} 400 on an unknown question or answer
+ */
+function evaluate(algorithm, answers = {}) {
+  const { questions } = getQuestionnaire(algorithm);
+  const byId = new Map(questions.map(question => [question.id, question]));
+
+  Object.entries(answers).forEach(([questionId, value]) => {
+    const question = byId.get(questionId);
+    if (!question) {
+      throw new AppError(`Unknown ${algorithm} question: ${questionId}`, 400);
+    }
+    if (!question.options.some(option => option.value === value)) {
+      throw new AppError(`Invalid answer for ${algorithm} question ${questionId}: ${value}`, 400);
+    }
+  });
+
+  const defaults = algorithm === 'Naranjo' ? {} : WHO_UMC_DEFAULTS;
+  const recorded = questions.map((question) => {
+    const answer = answers[question.id] || defaults[question.id] || 'unknown';
+    const option = question.options.find(o => o.value === answer);
+    return {
+      questionId: question.id,
+      question: question.text,
+      answer,
+      points: option.points
+    };
+  });
+
+  if (algorithm === 'Naranjo') {
+    const score = recorded.reduce((total, entry) => total + entry.points, 0);
+    const band = NARANJO_BANDS.find(b => score >= b.min);
+    return { score, category: band.category, interpretation: band.interpretation, answers: recorded };
+  }
+
+  const category = whoUmcCategory(Object.fromEntries(recorded.map(entry => [entry.questionId, entry.answer])));
+  return { score: null, category, interpretation: category, answers: recorded };
+}
+
+/**
+ * Evaluate a reviewer's answers on top of what the report already says.
+ * Reviewer answers win; answers matching the report data are marked as
+ * taken from the report.
+ * @param {string} algorithm - 'Naranjo' or 'WHO-UMC'
+ * @param {Object} report - Report document
+ * @param {Object} answers - Reviewer answers by question id
+ * @returns {Object} Evaluation, each answer tagged with its source
+ */
+function assess(algorithm, report, answers = {}) {
+  const prefilled = prefillAnswers(algorithm, report);
+  const result = evaluate(algorithm, { ...prefilled, ...answers });
+
+  result.answers.forEach((entry) => {
+    entry.source = prefilled[entry.questionId] === entry.answer ? 'report' : 'reviewer';
+  });
+  return result;
+}
+
+module.exports = {
+  ALGORITHMS,
+  getQuestionnaire,
+  prefillAnswers,
+  evaluate,
+  assess
+};
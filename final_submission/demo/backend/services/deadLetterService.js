@@ -0,0 +1,151 @@
+/**
+ * Dead Letter Service
+ *
+ * The AI consumer retries a failed analysis with exponential backoff and,
+ * once out of attempts, publishes the report to its dead-letter queue with
+ * every failure reason. This service drains that queue into DeadLetter
+ * documents and replays dead-lettered reports through the AI pipeline.
+ *
+ * @module services/deadLetterService
+ */
+
+const mongoose = require('mongoose');
+const DeadLetter = require('../models/DeadLetter');
+const ReportSideEffect = require('../models/ReportSideEffect');
+const AppError = require('../utils/appError');
+const rabbitmqService = require('./rabbitmqService');
+const auditService = require('./auditService');
+const analysisJobService = require('./analysisJobService');
+
+let started = false;
+
+/**
+ * Store a message from the dead-letter queue. A report that is already
+ * dead-lettered gets its entry updated instead of a second one.
+ * @param {Object} message - Dead-letter message published by the consumer
+ * @returns {Promise<Object>} DeadLetter document
+ */
+async function record(message) {
+  const report = mongoose.isValidObjectId(message.reportId) ? message.reportId : undefined;
+  const entry = {
+    queue: message.queue,
+    report,
+    message: message.message,
+    attempts: message.attempts,
+    permanent: Boolean(message.permanent),
+    reason: message.reason,
+    failures: message.failures || [],
+    deadLetteredAt: message.deadLetteredAt ? new Date(message.deadLetteredAt) : new Date(),
+    status: 'dead'
+  };
+
+  const existing = report && await DeadLetter.findOne({ report, status: 'dead' });
+  const deadLetter = existing
+    ? await existing.set(entry).save()
+    : await DeadLetter.create(entry);
+
+  console.warn(`[DeadLetter] Report ${message.reportId || '(unknown)'} dead-lettered after ${message.attempts} attempt(s): ${message.reason}`);
+  return deadLetter;
+}
+
+/**
+ * Dead-lettered messages, newest first
+ * @param {Object} options - { status, skip, limit }
+ * @returns {Promise<{ deadLetters: Array<Object>, total: number }>}
+ */
+async function list({ status = 'dead', skip = 0, limit = 10 } = {}) {
+  const filter = status ? { status } : {};
+  const [deadLetters, total] = await Promise.all([
+    DeadLetter.find(filter)
+      .sort({ deadLetteredAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({
+        path: 'report',
+        select: 'medicine status sideEffects.effect metadata.aiProcessingAttempts metadata.aiProcessingError',
+        populate: { path: 'medicine', select: 'name' }
+      })
+      .populate('replays.replayedBy', 'firstName lastName email')
+      .lean(),
+    DeadLetter.countDocuments(filter)
+  ]);
+
+  return { deadLetters, total };
+}
+
+/**
+ * Send a dead-lettered report through the AI pipeline again with a fresh
+ * attempt budget
+ * @param {string} id - DeadLetter ID
+ * @param {Object} req - Request of the admin replaying it, for the audit trail
+ * @returns {Promise<Object>} Updated DeadLetter document
+ * @throws {AppError} 404 when unknown, 409 when already replayed or its report is gone, 503 when RabbitMQ is down
+ */
+async function replay(id, req) {
+  const found = await DeadLetter.findById(id);
+  if (!found) {
+    throw AppError.notFound('Dead letter');
+  }
+
+  const report = found.report && await ReportSideEffect.findById(found.report);
+  if (found.status === 'dead' && (!report || report.isDeleted)) {
+    throw AppError.conflict('The report of this dead letter no longer exists');
+  }
+
+  // Claim the dead letter before queueing, so two admins replaying it at
+  // once cannot both send the report through the pipeline
+  const deadLetter = await DeadLetter.findOneAndUpdate(
+    { _id: found._id, status: 'dead' },
+    { $set: { status: 'replayed' } },
+    { new: true }
+  );
+  if (!deadLetter) {
+    throw AppError.conflict('This dead letter has already been replayed');
+  }
+
+  let job;
+  try {
+    // Reset the consumer's attempt count; bookkeeping only, so no new report version
+    await ReportSideEffect.updateOne({ _id: report._id }, {
+      $set: { 'metadata.aiProcessingAttempts': 0 },
+      $unset: { 'metadata.aiProcessingError': '' }
+    });
+
+    job = await analysisJobService.enqueue(report, { trigger: 'replay', requestedBy: req.user._id });
+  } catch (error) {
+    // Give the claim back so the dead letter can be replayed again
+    await DeadLetter.updateOne({ _id: deadLetter._id, status: 'replayed' }, { $set: { status: 'dead' } });
+    throw error;
+  }
+
+  deadLetter.replays.push({ replayedBy: req.user._id, replayedAt: new Date() });
+  await deadLetter.save();
+
+  await auditService.record({
+    req,
+    action: 'report.ai_replay',
+    entityType: 'ReportSideEffect',
+    entityId: report._id,
+    metadata: { deadLetterId: deadLetter._id.toString(), jobId: job._id.toString(), attempts: deadLetter.attempts, reason: deadLetter.reason }
+  });
+
+  return deadLetter;
+}
+
+/**
+ * Start draining the dead-letter queue
+ */
+function start() {
+  if (started) return;
+  started = true;
+  rabbitmqService.consume(rabbitmqService.queues.reportDeadLetter, record).catch((error) => {
+    console.error('[DeadLetter] Failed to consume dead-letter queue:', error.message);
+  });
+}
+
+module.exports = {
+  record,
+  list,
+  replay,
+  start
+};
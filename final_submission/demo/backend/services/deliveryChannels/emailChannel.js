@@ -0,0 +1,95 @@
+/**
+ * Email channel: sends notifications through SMTP with nodemailer.
+ *
+ * Uses config.email.smtp.host when set (any SMTP server, or a local mail
+ * catcher such as Mailpit in development) and the EMAIL_SERVICE account
+ * (e.g. Gmail) otherwise.
+ *
+ * @module services/deliveryChannels/emailChannel
+ */
+
+const nodemailer = require('nodemailer');
+const config = require('../../config/config');
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    const { smtp, service, user, password } = config.email;
+    const auth = user ? { user, pass: password } : undefined;
+    transporter = smtp.host
+      ? nodemailer.createTransport({ host: smtp.host, port: smtp.port, secure: smtp.secure, auth })
+      : nodemailer.createTransport({ service, auth });
+  }
+  return transporter;
+}
+
+/**
+ * Link to what the notification is about
+ */
+function linkFor(notification) {
+  const base = config.frontend.url;
+  return notification.relatedReport
+    ? `${base}/reports/${notification.relatedReport._id || notification.relatedReport}`
+    : `${base}/dashboard`;
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const emailChannel = {
+  name: 'email',
+
+  isConfigured() {
+    return Boolean(config.email.smtp.host || config.email.user);
+  },
+
+  /**
+   * @param {Object} user
+   * @returns {string|null} Address to send to
+   */
+  addressOf(user) {
+    return user.email || null;
+  },
+
+  /**
+   * @param {Object} user - Recipient
+   * @param {Object} notification
+   * @returns {Promise<{ providerMessageId: string, destination: string }>}
+   */
+  async send(user, notification) {
+    const link = linkFor(notification);
+    return this.sendMessage(user, {
+      subject: notification.title,
+      text: `${notification.message}\n\n${link}\n\nManage notifications in Settings.`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">${escapeHtml(notification.title)}</h2>
+          <p>${escapeHtml(notification.message)}</p>
+          <p><a href="${escapeHtml(link)}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Open</a></p>
+          <p style="color: #666; font-size: 12px;">You can choose which notifications you receive by email in Settings.</p>
+        </div>
+      `
+    });
+  },
+
+  /**
+   * Send an email that is not a single notification, e.g. a digest
+   * @param {Object} user - Recipient
+   * @param {{ subject: string, text: string, html: string }} message
+   * @returns {Promise<{ providerMessageId: string, destination: string }>}
+   */
+  async sendMessage(user, { subject, text, html }) {
+    const info = await getTransporter().sendMail({
+      from: config.email.from,
+      to: user.email,
+      subject,
+      text,
+      html
+    });
+    return { providerMessageId: info.messageId, destination: user.email };
+  }
+};
+
+module.exports = emailChannel;
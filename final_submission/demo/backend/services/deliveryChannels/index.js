@@ -0,0 +1,38 @@
+/**
+ * Delivery Channel Registry
+ *
+ * A channel delivers a notification outside the app. It is an object with a
+ * `name`, `isConfigured()`, `addressOf(user)` (null when the user cannot be
+ * reached on it) and `send(user, notification)`, which resolves to
+ * `{ providerMessageId, destination }` and throws when delivery failed.
+ *
+ * @module services/deliveryChannels
+ */
+
+const emailChannel = require('./emailChannel');
+const pushChannel = require('./pushChannel');
+const smsChannel = require('./smsChannel');
+
+const channels = [emailChannel, pushChannel, smsChannel];
+
+/**
+ * Every channel, in delivery order
+ * @returns {Array<Object>}
+ */
+function all() {
+  return channels;
+}
+
+/**
+ * Whether each channel can send, for clients choosing their preferences
+ * @returns {Object<string, boolean>}
+ */
+function availability() {
+  return Object.fromEntries(channels.map(channel => [channel.name, channel.isConfigured()]));
+}
+
+module.exports = {
+  names: channels.map(channel => channel.name),
+  all,
+  availability
+};
@@ -0,0 +1,88 @@
+/**
+ * Web Push channel: sends notifications to the browsers a user subscribed
+ * from the PWA, signed with the VAPID key pair in config.delivery.push.
+ * Subscriptions the push service reports as gone are removed.
+ *
+ * @module services/deliveryChannels/pushChannel
+ */
+
+const webpush = require('web-push');
+const config = require('../../config/config');
+const User = require('../../models/User');
+
+// Push services answer these for subscriptions that no longer exist
+const GONE_STATUS_CODES = [404, 410];
+
+// Seconds a push service keeps a message for an offline browser
+const TTL_SECONDS = 24 * 60 * 60;
+
+let vapidSet = false;
+
+function ensureVapid() {
+  if (vapidSet) return;
+  const { subject, vapidPublicKey, vapidPrivateKey } = config.delivery.push;
+  webpush.setVapidDetails(subject, vapidPublicKey, vapidPrivateKey);
+  vapidSet = true;
+}
+
+const pushChannel = {
+  name: 'push',
+
+  isConfigured() {
+    const { vapidPublicKey, vapidPrivateKey } = config.delivery.push;
+    return Boolean(vapidPublicKey && vapidPrivateKey);
+  },
+
+  /**
+   * @param {Object} user - With pushSubscriptions selected
+   * @returns {string|null} Number of subscribed browsers, null without any
+   */
+  addressOf(user) {
+    const count = user.pushSubscriptions?.length || 0;
+    return count > 0 ? `${count} subscription${count === 1 ? '' : 's'}` : null;
+  },
+
+  /**
+   * Send to every subscription of the user
+   * @returns {Promise<{ destination: string }>}
+   * @throws {Error} When no subscription accepted the message
+   */
+  async send(user, notification) {
+    ensureVapid();
+    const payload = JSON.stringify({
+      title: notification.title,
+      body: notification.message,
+      tag: notification._id.toString(),
+      priority: notification.priority,
+      url: notification.relatedReport
+        ? `/reports/${notification.relatedReport._id || notification.relatedReport}`
+        : '/dashboard'
+    });
+
+    const results = await Promise.allSettled(user.pushSubscriptions.map(subscription =>
+      webpush.sendNotification({
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.keys?.p256dh, auth: subscription.keys?.auth }
+      }, payload, {
+        TTL: TTL_SECONDS,
+        urgency: ['critical', 'high'].includes(notification.priority) ? 'high' : 'normal'
+      })
+    ));
+
+    const gone = user.pushSubscriptions
+      .filter((subscription, index) => GONE_STATUS_CODES.includes(results[index].reason?.statusCode))
+      .map(subscription => subscription.endpoint);
+    if (gone.length > 0) {
+      await User.updateOne({ _id: user._id }, { $pull: { pushSubscriptions: { endpoint: { $in: gone } } } });
+    }
+
+    const sent = results.filter(result => result.status === 'fulfilled').length;
+    if (sent === 0) {
+      const failure = results.find(result => result.status === 'rejected')?.reason;
+      throw new Error(failure?.body || failure?.message || 'Push delivery failed');
+    }
+    return { destination: `${sent}/${results.length} subscriptions` };
+  }
+};
+
+module.exports = pushChannel;
@@ -0,0 +1,96 @@
+/**
+ * SMS channel. The driver comes from config.delivery.sms.driver:
+ *
+ *   console - logs the message instead of sending it (development, tests)
+ *   twilio  - sends it with the Twilio Messages API
+ *
+ * Another gateway is a driver object with `isConfigured()` and
+ * `send(to, body)` resolving to a message id, registered with registerDriver.
+ *
+ * @module services/deliveryChannels/smsChannel
+ */
+
+const config = require('../../config/config');
+
+// Longest message sent; longer ones are cut to keep to two SMS segments
+const MAX_LENGTH = 306;
+
+const drivers = {
+  console: {
+    isConfigured() {
+      return true;
+    },
+    async send(to, body) {
+      console.log(`[SMS] To ${to}: ${body}`);
+      return `console-${Date.now()}`;
+    }
+  },
+
+  twilio: {
+    isConfigured() {
+      const { accountSid, authToken, from } = config.delivery.sms.twilio;
+      return Boolean(accountSid && authToken && from);
+    },
+    async send(to, body) {
+      const { accountSid, authToken, from } = config.delivery.sms.twilio;
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: body }),
+        signal: AbortSignal.timeout(15000)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Twilio responded ${response.status}: ${data.message || response.statusText}`);
+      }
+      return data.sid;
+    }
+  }
+};
+
+/**
+ * Add or replace an SMS driver
+ * @param {string} name - Value of SMS_DRIVER that selects it
+ * @param {{ isConfigured: Function, send: Function }} driver
+ */
+function registerDriver(name, driver) {
+  drivers[name] = driver;
+}
+
+function currentDriver() {
+  return drivers[config.delivery.sms.driver] || null;
+}
+
+// Show only the last digits of phone numbers in delivery logs
+const maskPhone = (phone) => `***${phone.slice(-4)}`;
+
+const smsChannel = {
+  name: 'sms',
+
+  isConfigured() {
+    return Boolean(currentDriver()?.isConfigured());
+  },
+
+  addressOf(user) {
+    return user.phone || null;
+  },
+
+  /**
+   * @returns {Promise<{ providerMessageId: string, destination: string }>}
+   */
+  async send(user, notification) {
+    let body = `${notification.title}: ${notification.message}`;
+    if (body.length > MAX_LENGTH) {
+      body = `${body.slice(0, MAX_LENGTH - 3)}...`;
+    }
+    const providerMessageId = await currentDriver().send(user.phone, body);
+    return { providerMessageId, destination: maskPhone(user.phone) };
+  },
+
+  registerDriver
+};
+
+module.exports = smsChannel;
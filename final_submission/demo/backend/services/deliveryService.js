@@ -0,0 +1,153 @@
+/**
+ * Delivery Service
+ *
+ * Sends a notification over the channels outside the app (email, Web Push,
+ * SMS) the recipient chose in their notification preferences. A channel is
+ * used when the user's master switch for it is on and no per-type override
+ * turns it off. During the user's quiet hours only critical notifications are
+ * sent.
+ *
+ * Every channel the user wants is logged in NotificationDelivery, as sent,
+ * failed or skipped with the reason (quiet hours, channel not configured on
+ * the server, no address). Channels the user turned off are not logged.
+ */
+
+const User = require('../models/User');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const deliveryChannels = require('./deliveryChannels');
+
+/**
+ * Minutes since midnight of a time in a time zone; UTC if the zone is unknown
+ * @param {Date} date
+ * @param {string} [timezone] - IANA name
+ * @returns {number}
+ */
+function minutesInZone(date, timezone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+  } catch (error) {
+    return date.getUTCHours() * 60 + date.getUTCMinutes();
+  }
+  const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return value('hour') * 60 + value('minute');
+}
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether a time falls in a user's quiet hours; a window whose end is before
+ * its start runs over midnight
+ * @param {Object} quietHours - { enabled, start, end, timezone }
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours?.enabled) return false;
+
+  const now = minutesInZone(date, quietHours.timezone);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+  return start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+/**
+ * Whether the user wants notifications of a type on a channel
+ * @param {Object} preferences - User.notificationPreferences
+ * @param {string} type - Notification type
+ * @param {string} channel - Channel name
+ * @returns {boolean}
+ */
+function wantsChannel(preferences, type, channel) {
+  if (!preferences?.channels?.[channel]) return false;
+
+  const types = preferences.types;
+  const override = types instanceof Map ? types.get(type) : types?.[type];
+  return override?.[channel] !== false;
+}
+
+/**
+ * Validate a time zone name
+ * @param {string} timezone - IANA name, e.g. 'Europe/London'
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function deliverOnChannel(channel, user, notification, quiet) {
+  const entry = {
+    notification: notification._id,
+    recipient: user._id,
+    type: notification.type,
+    priority: notification.priority,
+    channel: channel.name
+  };
+
+  if (quiet) {
+    return { ...entry, status: 'skipped', reason: 'quiet_hours' };
+  }
+  if (!channel.isConfigured()) {
+    return { ...entry, status: 'skipped', reason: 'not_configured' };
+  }
+  if (!channel.addressOf(user)) {
+    return { ...entry, status: 'skipped', reason: 'no_address' };
+  }
+
+  const started = Date.now();
+  try {
+    const result = await channel.send(user, notification);
+    return { ...entry, status: 'sent', ...result, durationMs: Date.now() - started };
+  } catch (error) {
+    console.error(`[Delivery] ${channel.name} delivery of ${notification._id} failed:`, error.message);
+    return { ...entry, status: 'failed', error: error.message, durationMs: Date.now() - started };
+  }
+}
+
+const deliveryService = {
+  /**
+   * Send a notification over the recipient's chosen channels and log the
+   * outcome per channel
+   * @param {Object} notification - Saved Notification
+   * @returns {Promise<Array<Object>>} NotificationDelivery entries created
+   */
+  async deliver(notification) {
+    const user = await User.findById(notification.recipient)
+      .select('+pushSubscriptions email phone notificationPreferences isActive');
+    if (!user || user.isActive === false) return [];
+
+    const preferences = user.notificationPreferences;
+    const channels = deliveryChannels.all()
+      .filter(channel => wantsChannel(preferences, notification.type, channel.name));
+    if (channels.length === 0) return [];
+
+    const quiet = notification.priority !== 'critical' && isQuietTime(preferences.quietHours);
+    const entries = await Promise.all(
+      channels.map(channel => deliverOnChannel(channel, user, notification, quiet))
+    );
+    return NotificationDelivery.insertMany(entries);
+  },
+
+  isQuietTime,
+  minutesInZone,
+  wantsChannel,
+  isValidTimezone
+};
+
+module.exports = deliveryService;
@@ -0,0 +1,401 @@
+/**
+ * Digest Service
+ *
+ * Emails doctors and admins a summary of their queue once a day or once a
+ * week, as they chose in their notification preferences:
+ *
+ *   - reports that asked for a doctor review since the last digest
+ *   - symptom progressions needing attention (unresolved alerts or worsening)
+ *   - review assignments of the recipient still open after
+ *     config.digest.overdueAfterDays
+ *   - reports flagged as duplicates since the last digest
+ *
+ * Doctors only hear about reports and progressions of their care-team
+ * patients (see careTeamService) and reports assigned to them.
+ *
+ * A scheduled check sends the digests that are due, from config.digest.sendHour
+ * in the recipient's time zone (the one of their quiet hours). Digests with
+ * nothing in them are not sent.
+ *
+ * @module services/digestService
+ */
+
+const ReportSideEffect = require('../models/ReportSideEffect');
+const careTeamService = require('./careTeamService');
+const SymptomProgression = require('../models/SymptomProgression');
+const User = require('../models/User');
+const config = require('../config/config');
+const deliveryService = require('./deliveryService');
+const emailChannel = require('./deliveryChannels/emailChannel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ['daily', 'weekly'];
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+// A digest is due a little before a full period has passed, so the hourly
+// check does not push each one an hour later than the last
+const DUE_SLACK_MS = 60 * 60 * 1000;
+
+const STAFF_ROLES = ['doctor', 'admin'];
+
+let timer = null;
+let running = null;
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const fullName = (person) => (person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() : '');
+
+const reportLink = (id) => `${config.frontend.url}/reports/${id}`;
+
+/**
+ * Start of the period a digest covers: the last one sent, or one period ago
+ */
+function periodStart(user, frequency, now) {
+  const lastSentAt = user.notificationPreferences?.digest?.lastSentAt;
+  return lastSentAt || new Date(now.getTime() - PERIOD_DAYS[frequency] * DAY_MS);
+}
+
+/**
+ * Whether a user's digest should be sent now
+ * @param {Object} user
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isDue(user, now = new Date()) {
+  const digest = user.notificationPreferences?.digest;
+  if (!FREQUENCIES.includes(digest?.frequency)) return false;
+
+  const timezone = user.notificationPreferences.quietHours?.timezone;
+  if (deliveryService.minutesInZone(now, timezone) < config.digest.sendHour * 60) return false;
+
+  if (!digest.lastSentAt) return true;
+  return now.getTime() - digest.lastSentAt.getTime() >= PERIOD_DAYS[digest.frequency] * DAY_MS - DUE_SLACK_MS;
+}
+
+/**
+ * Collect what goes in a user's digest
+ * @param {Object} user - Doctor or admin
+ * @param {Object} [options] - { frequency, now }; frequency defaults to the user's, or daily
+ * @returns {Promise<Object>} { frequency, since, generatedAt, sections, total }
+ */
+async function compile(user, { frequency, now = new Date() } = {}) {
+  const preferred = user.notificationPreferences?.digest?.frequency;
+  const period = frequency || (FREQUENCIES.includes(preferred) ? preferred : 'daily');
+  const since = periodStart(user, period, now);
+  const overdueBefore = new Date(now.getTime() - config.digest.overdueAfterDays * DAY_MS);
+  const limit = config.digest.maxItems;
+
+  const overdueFilter = {
+    isActive: true,
+    isDeleted: false,
+    $or: [
+      {
+        'doctorReview.assignedDoctor': user._id,
+        'doctorReview.status': { $in: ['pending', 'in_review'] },
+        'doctorReview.assignedAt': { $lte: overdueBefore }
+      },
+      {
+        assignedTo: user._id,
+        status: { $in: ['Submitted', 'Under Review'] },
+        createdAt: { $lte: overdueBefore }
+      }
+    ]
+  };
+  const [reportScope, progressionScope] = await Promise.all([
+    careTeamService.reportScope(user),
+    careTeamService.progressionScope(user)
+  ]);
+  const duplicateFilter = {
+    isDeleted: false,
+    'metadata.isDuplicate': true,
+    'metadata.duplicateFlaggedAt': { $gte: since },
+    $and: [reportScope]
+  };
+
+  const [
+    pendingReviews, pendingReviewCount,
+    progressions, progressionCount,
+    overdue, overdueCount,
+    duplicates, duplicateCount
+  ] = await Promise.all([
+    ReportSideEffect.findPendingReviews({ requestedSince: since }).and([reportScope])
+      .sort({ 'doctorReview.requestedAt': -1 })
+      .limit(limit)
+      .populate('medicine', 'name')
+      .populate('patient', 'firstName lastName')
+      .select('medicine patient priority doctorReview.requestedAt doctorReview.requestReason')
+      .lean(),
+    ReportSideEffect.findPendingReviews({ requestedSince: since }).and([reportScope]).countDocuments(),
+    SymptomProgression.findNeedingAttention().and([progressionScope])
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .lean(),
+    SymptomProgression.findNeedingAttention().and([progressionScope]).countDocuments(),
+    ReportSideEffect.find(overdueFilter)
+      .sort({ 'doctorReview.assignedAt': 1, createdAt: 1 })
+      .limit(limit)
+      .populate('medicine', 'name')
+      .populate('patient', 'firstName lastName')
+      .select('medicine patient priority status createdAt doctorReview.status doctorReview.assignedAt')
+      .lean(),
+    ReportSideEffect.countDocuments(overdueFilter),
+    ReportSideEffect.find(duplicateFilter)
+      .sort({ 'metadata.duplicateFlaggedAt': -1 })
+      .limit(limit)
+      .populate('medicine', 'name')
+      .populate('metadata.duplicateFlaggedBy', 'firstName lastName')
+      .select('medicine metadata.duplicateOf metadata.duplicateFlaggedBy metadata.duplicateFlaggedAt')
+      .lean(),
+    ReportSideEffect.countDocuments(duplicateFilter)
+  ]);
+
+  const daysSince = (date) => Math.floor((now.getTime() - new Date(date).getTime()) / DAY_MS);
+
+  const sections = [
+    {
+      key: 'pendingReviews',
+      title: 'New review requests',
+      shortTitle: 'review requests',
+      total: pendingReviewCount,
+      items: pendingReviews.map(report => ({
+        id: report._id,
+        text: `${report.medicine?.name || 'Unknown medication'} – ${fullName(report.patient) || 'Unknown patient'}` +
+          ` (${report.priority || 'medium'} priority)`,
+        detail: report.doctorReview?.requestReason,
+        link: reportLink(report._id)
+      }))
+    },
+    {
+      key: 'progressions',
+      title: 'Symptom progressions needing attention',
+      shortTitle: 'progressions',
+      total: progressionCount,
+      items: progressions.map(progression => {
+        const openAlerts = (progression.alerts || []).filter(alert => !alert.resolved);
+        return {
+          id: progression._id,
+          text: `${progression.symptom?.name || 'Symptom'} – ${fullName(progression.patient) || 'Unknown patient'}`,
+          detail: [
+            progression.analytics?.trendDirection === 'Worsening' ? 'worsening' : null,
+            openAlerts.length > 0 ? `${openAlerts.length} open alert${openAlerts.length === 1 ? '' : 's'}` : null
+          ].filter(Boolean).join(', '),
+          link: progression.originalReport ? reportLink(progression.originalReport._id) : null
+        };
+      })
+    },
+    {
+      key: 'overdueAssignments',
+      title: 'Your overdue assignments',
+      shortTitle: 'overdue assignments',
+      total: overdueCount,
+      items: overdue.map(report => ({
+        id: report._id,
+        text: `${report.medicine?.name || 'Unknown medication'} – ${fullName(report.patient) || 'Unknown patient'}`,
+        detail: `assigned ${daysSince(report.doctorReview?.assignedAt || report.createdAt)} days ago`,
+        link: reportLink(report._id)
+      }))
+    },
+    {
+      key: 'duplicates',
+      title: 'Reports flagged as duplicates',
+      shortTitle: 'duplicates',
+      total: duplicateCount,
+      items: duplicates.map(report => ({
+        id: report._id,
+        text: `${report.medicine?.name || 'Unknown medication'} duplicates report ${report.metadata?.duplicateOf}`,
+        detail: fullName(report.metadata?.duplicateFlaggedBy) ? `flagged by ${fullName(report.metadata.duplicateFlaggedBy)}` : null,
+        link: reportLink(report._id)
+      }))
+    }
+  ];
+
+  return {
+    frequency: period,
+    since,
+    generatedAt: now,
+    sections,
+    total: sections.reduce((sum, section) => sum + section.total, 0)
+  };
+}
+
+/**
+ * Email subject and bodies of a digest
+ * @param {Object} digest - From compile
+ * @param {Object} user - Recipient
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function render(digest, user) {
+  const label = digest.frequency === 'weekly' ? 'Weekly' : 'Daily';
+  const counts = digest.sections
+    .filter(section => section.total > 0)
+    .map(section => `${section.total} ${section.shortTitle}`);
+  const subject = `${label} digest: ${counts.join(', ') || 'nothing new'}`;
+  const settingsLink = `${config.frontend.url}/settings`;
+  const sinceText = new Date(digest.since).toUTCString();
+
+  const text = [
+    user.firstName ? `Hello ${user.firstName},` : 'Hello,',
+    '',
+    `Your ${label.toLowerCase()} SafeMed ADR summary since ${sinceText}.`,
+    ...digest.sections.flatMap(section => [
+      '',
+      `${section.title} (${section.total})`,
+      ...(section.items.length === 0 ? ['  None.'] : section.items.map(item =>
+        `  - ${item.text}${item.detail ? ` – ${item.detail}` : ''}${item.link ? `\n    ${item.link}` : ''}`
+      )),
+      ...(section.total > section.items.length ? [`  ...and ${section.total - section.items.length} more`] : [])
+    ]),
+    '',
+    `Change how often you get this email in Settings: ${settingsLink}`
+  ].join('\n');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">${label} digest</h2>
+      <p style="color: #666;">Since ${escapeHtml(sinceText)}</p>
+      ${digest.sections.map(section => `
+      <h3 style="color: #333; border-bottom: 1px solid #eee; padding-bottom: 4px;">${escapeHtml(section.title)} (${section.total})</h3>
+      ${section.items.length === 0 ? '<p style="color: #666;">None.</p>' : `
+      <ul>
+        ${section.items.map(item => `
+        <li>
+          ${item.link ? `<a href="${escapeHtml(item.link)}">${escapeHtml(item.text)}</a>` : escapeHtml(item.text)}
+          ${item.detail ? `<span style="color: #666;"> – ${escapeHtml(item.detail)}</span>` : ''}
+        </li>`).join('')}
+      </ul>`}
+      ${section.total > section.items.length ? `<p style="color: #666;">...and ${section.total - section.items.length} more</p>` : ''}`).join('')}
+      <p style="color: #666; font-size: 12px;">You can change how often you get this email in <a href="${escapeHtml(settingsLink)}">Settings</a>.</p>
+    </div>
+  `;
+
+  return { subject, text, html };
+}
+
+/**
+ * Digest a user would receive now, without sending it
+ * @param {Object} user
+ * @param {Object} [options] - { frequency }
+ * @returns {Promise<Object>} Digest with its subject, text and html
+ */
+async function preview(user, options = {}) {
+  const digest = await compile(user, options);
+  return { ...digest, ...render(digest, user) };
+}
+
+/**
+ * Move a user's lastSentAt from one value to another, if nobody else did first
+ * @param {string} userId
+ * @param {Date|null} from - lastSentAt the caller read
+ * @param {Date|null} to
+ * @returns {Promise<boolean>} Whether this caller made the change
+ */
+async function claim(userId, from, to) {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, 'notificationPreferences.digest.lastSentAt': from },
+    { $set: { 'notificationPreferences.digest.lastSentAt': to } },
+    { new: true, projection: { _id: 1 } }
+  );
+  return Boolean(user);
+}
+
+/**
+ * Send the digests that are due
+ * @returns {Promise<{ sent: number, empty: number, failed: number }>}
+ */
+async function sendDue() {
+  const result = { sent: 0, empty: 0, failed: 0 };
+  if (!emailChannel.isConfigured()) return result;
+
+  const now = new Date();
+  const users = await User.find({
+    role: { $in: STAFF_ROLES },
+    isActive: { $ne: false },
+    'notificationPreferences.digest.frequency': { $in: FREQUENCIES }
+  }).select('firstName lastName email role notificationPreferences');
+
+  for (const user of users.filter(candidate => isDue(candidate, now))) {
+    // Every backend instance runs this check; the one that moves lastSentAt
+    // on from the value it read sends the digest, the others skip it
+    const previous = user.notificationPreferences.digest.lastSentAt || null;
+    let claimed = false;
+    try {
+      claimed = await claim(user._id, previous, now);
+      if (!claimed) continue;
+
+      const digest = await compile(user, { now });
+      if (digest.total > 0) {
+        await emailChannel.sendMessage(user, render(digest, user));
+        result.sent++;
+      } else {
+        // Empty periods count as sent so the next digest does not repeat them
+        result.empty++;
+      }
+    } catch (error) {
+      result.failed++;
+      console.error(`[Digest] Failed to send digest to ${user._id}:`, error.message);
+      // Give the claim back so the next check retries this digest
+      if (claimed) await claim(user._id, now, previous).catch(() => {});
+    }
+  }
+  return result;
+}
+
+/**
+ * Send due digests, unless a run is already in progress, in which case the
+ * running one is returned
+ * @returns {Promise<{ sent: number, empty: number, failed: number }>}
+ */
+function run() {
+  if (!running) {
+    running = sendDue()
+      .then((result) => {
+        if (result.sent || result.failed) {
+          console.log(`[Digest] ${result.sent} digests sent, ${result.failed} failed`);
+        }
+        return result;
+      })
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+}
+
+/**
+ * Start scheduled digest checks (config.digest.intervalMinutes)
+ */
+function start() {
+  if (!config.digest.enabled || timer) return;
+
+  const runScheduled = () => run().catch((error) => {
+    console.error('[Digest] Digest check failed:', error);
+  });
+
+  timer = setInterval(runScheduled, config.digest.intervalMinutes * 60 * 1000);
+  timer.unref();
+  console.log(`[Digest] Digests checked every ${config.digest.intervalMinutes} minutes`);
+}
+
+/**
+ * Stop scheduled digest checks
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  FREQUENCIES,
+  isDue,
+  compile,
+  render,
+  preview,
+  sendDue,
+  run,
+  start,
+  stop
+};
@@ -143,9 +143,10 @@ function calculateDuplicateScore(report1, report2) {
 /**
  * Find potential duplicates for a given report
  * @param {string} reportId - ID of the report to check
+ * @param {Object} [options] - { scope: filter limiting the candidates to the reports the user may see }
  * @returns {Promise<Object>} Duplicate analysis result
  */
-async function findDuplicates(reportId) {
+async function findDuplicates(reportId, { scope = {} } = {}) {
   const report = await ReportSideEffect.findById(reportId);
   
   if (!report) {
@@ -167,7 +168,8 @@ async function findDuplicates(reportId) {
       // Same patient
       { patient: report.patient }
     ],
-    createdAt: { $gte: searchStartDate }
+    createdAt: { $gte: searchStartDate },
+    $and: [scope]
   }).populate([
     { path: 'medicine', select: 'name genericName' },
     { path: 'patient', select: 'firstName lastName' },
@@ -211,9 +213,10 @@ async function findDuplicates(reportId) {
 /**
  * Check for duplicates during report submission (pre-submission check)
  * @param {Object} reportData - Report data to check
+ * @param {Object} [options] - { scope: filter limiting the candidates to the reports the user may see }
  * @returns {Promise<Object>} Potential duplicates found
  */
-async function checkForDuplicatesBeforeSubmission(reportData) {
+async function checkForDuplicatesBeforeSubmission(reportData, { scope = {} } = {}) {
   const searchStartDate = new Date();
   searchStartDate.setHours(searchStartDate.getHours() - DUPLICATE_CONFIG.TIME_WINDOW_HOURS);
   
@@ -221,7 +224,8 @@ async function checkForDuplicatesBeforeSubmission(reportData) {
   const query = {
     isActive: true,
     isDeleted: false,
-    createdAt: { $gte: searchStartDate }
+    createdAt: { $gte: searchStartDate },
+    $and: [scope]
   };
   
   // Add medicine filter if provided
@@ -293,10 +297,12 @@ async function flagAsDuplicate(reportId, originalReportId, flaggedBy) {
 
 /**
  * Get duplicate detection statistics
+ * @param {Object} [options] - { scope: filter limiting the statistics to the reports the user may see }
  * @returns {Promise<Object>} Statistics about duplicate detection
  */
-async function getDuplicateStats() {
+async function getDuplicateStats({ scope = {} } = {}) {
   const stats = await ReportSideEffect.aggregate([
+    { $match: scope },
     {
       $facet: {
         totalReports: [
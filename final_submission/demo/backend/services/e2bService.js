@@ -0,0 +1,773 @@
+/**
+ * E2B Service
+ *
+ * Builds ICH E2B(R3) individual case safety report (ICSR) messages from
+ * ReportSideEffect documents. Each report becomes one PORR_IN049016UV
+ * message; one or more messages are wrapped in an MCCI_IN200100UV01 batch.
+ * Element references in comments (C.1.1, E.i.7, G.k.2.2, ...) follow the
+ * ICH E2B(R3) implementation guide.
+ *
+ * Reactions are sent as reporter verbatim text (E.i.1.1a). When a side effect
+ * was coded against a MedDRA dictionary, each coded term becomes its own
+ * reaction carrying the LLT code (E.i.2.1); locally coded terms are not
+ * MedDRA and are left out.
+ *
+ * @module services/e2bService
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// HL7 / ICH object identifiers
+const OID = {
+  BATCH_NUMBER: '2.16.840.1.113883.3.989.2.1.3.22',
+  BATCH_SENDER: '2.16.840.1.113883.3.989.2.1.3.13',
+  BATCH_RECEIVER: '2.16.840.1.113883.3.989.2.1.3.14',
+  MESSAGE_ID: '2.16.840.1.113883.3.989.2.1.3.1',
+  MESSAGE_SENDER: '2.16.840.1.113883.3.989.2.1.3.11',
+  MESSAGE_RECEIVER: '2.16.840.1.113883.3.989.2.1.3.12',
+  SAFETY_REPORT_ID: '2.16.840.1.113883.3.989.2.1.3.1',
+  WORLDWIDE_CASE_ID: '2.16.840.1.113883.3.989.2.1.3.2',
+  INTERACTION: '2.16.840.1.113883.1.6',
+  TRIGGER_EVENT: '2.16.840.1.113883.1.18',
+  ACT_CODE: '2.16.840.1.113883.5.4',
+  BATCH_TYPE: '2.16.840.1.113883.3.989.2.1.1.1',
+  REPORT_TYPE: '2.16.840.1.113883.3.989.2.1.1.2',
+  QUALIFICATION: '2.16.840.1.113883.3.989.2.1.1.6',
+  SENDER_TYPE: '2.16.840.1.113883.3.989.2.1.1.7',
+  OUTCOME: '2.16.840.1.113883.3.989.2.1.1.11',
+  DRUG_ROLE: '2.16.840.1.113883.3.989.2.1.1.13',
+  RECURRENCE: '2.16.840.1.113883.3.989.2.1.1.16',
+  OBSERVATION: '2.16.840.1.113883.3.989.2.1.1.19',
+  ORGANIZER: '2.16.840.1.113883.3.989.2.1.1.20',
+  SOURCE_REPORT: '2.16.840.1.113883.3.989.2.1.1.22',
+  CHARACTERISTIC: '2.16.840.1.113883.3.989.2.1.1.23',
+  SEX: '1.0.5218',
+  MEDDRA: '2.16.840.1.113883.6.163'
+};
+
+// Observation codes (code system OID.OBSERVATION)
+const OBSERVATION_CODES = {
+  AGE: '3',
+  BODY_WEIGHT: '7',
+  COMMENT: '10',
+  CONGENITAL_ANOMALY: '12',
+  HEIGHT: '17',
+  INDICATION: '19',
+  DRUG_CHARACTERIZATION: '20',
+  LIFE_THREATENING: '21',
+  LOCAL_EXPEDITED: '23',
+  MEDICALLY_IMPORTANT: '26',
+  OUTCOME: '27',
+  REACTION: '29',
+  RECURRENCE: '31',
+  HOSPITALIZATION: '33',
+  DEATH: '34',
+  DISABILITY: '35',
+  CAUSALITY: '39'
+};
+
+// reportDetails.seriousnessReason -> E.i.3.2a-f criterion
+const SERIOUSNESS_CRITERIA = {
+  'Death': { code: OBSERVATION_CODES.DEATH, name: 'resultsInDeath' },
+  'Life-threatening': { code: OBSERVATION_CODES.LIFE_THREATENING, name: 'isLifeThreatening' },
+  'Hospitalization': { code: OBSERVATION_CODES.HOSPITALIZATION, name: 'requiresInpatientHospitalization' },
+  'Persistent disability': { code: OBSERVATION_CODES.DISABILITY, name: 'resultsInPersistentOrSignificantDisability' },
+  'Congenital anomaly': { code: OBSERVATION_CODES.CONGENITAL_ANOMALY, name: 'congenitalAnomalyBirthDefect' },
+  'Medically important': { code: OBSERVATION_CODES.MEDICALLY_IMPORTANT, name: 'otherMedicallyImportantCondition' },
+  'Other': { code: OBSERVATION_CODES.MEDICALLY_IMPORTANT, name: 'otherMedicallyImportantCondition' }
+};
+
+// reportDetails.outcome -> E.i.7
+const OUTCOME_CODES = {
+  'Recovered/Resolved': '1',
+  'Recovering': '2',
+  'Not recovered': '3',
+  'Recovered with sequelae': '4',
+  'Fatal': '5',
+  'Unknown': '0'
+};
+
+// reportDetails.reportType -> C.1.3
+const REPORT_TYPE_CODES = {
+  'Spontaneous': '1',
+  'Study': '2',
+  'Solicited': '3',
+  'Literature': '3'
+};
+
+// reporterRole -> C.2.r.4
+const QUALIFICATION_CODES = {
+  doctor: '1',
+  pharmacist: '2',
+  admin: '3',
+  patient: '5',
+  caregiver: '5'
+};
+
+// D.5 (ISO 5218)
+const SEX_CODES = {
+  male: '1',
+  female: '2'
+};
+
+// sideEffects.duration.unit -> UCUM
+const DURATION_UNITS = {
+  minutes: 'min',
+  hours: 'h',
+  days: 'd',
+  weeks: 'wk',
+  months: 'mo'
+};
+
+// C.3.1 sender type: 6 = other
+const SENDER_TYPE = '6';
+
+const NARRATIVE_MAX_LENGTH = 100000;
+
+// ---- XML building ----
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Create an XML element node. Null, undefined and false children are dropped,
+ * as are attributes whose value is null or undefined.
+ * @param {string} name - Element name
+ * @param {Object} [attrs] - Attributes
+ * @param {...(Object|string|Array)} children - Child nodes or text
+ * @returns {Object} Element node
+ */
+function el(name, attrs = {}, ...children) {
+  return { name, attrs, children: children.flat(Infinity).filter(child => child !== null && child !== undefined && child !== false) };
+}
+
+/**
+ * Serialize an element node with two-space indentation
+ * @param {Object} node - Element node
+ * @param {number} [depth] - Current depth
+ * @returns {string} XML
+ */
+function serialize(node, depth = 0) {
+  const pad = '  '.repeat(depth);
+  const attrs = Object.entries(node.attrs)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  if (node.children.length === 0) {
+    return `${pad}<${node.name}${attrs}/>`;
+  }
+  if (node.children.every(child => typeof child === 'string')) {
+    return `${pad}<${node.name}${attrs}>${escapeXml(node.children.join(''))}</${node.name}>`;
+  }
+  const inner = node.children
+    .map(child => (typeof child === 'string' ? `${pad}  ${escapeXml(child)}` : serialize(child, depth + 1)))
+    .join('\n');
+  return `${pad}<${node.name}${attrs}>\n${inner}\n${pad}</${node.name}>`;
+}
+
+// ---- Value formatting ----
+
+/**
+ * HL7 timestamp (UTC)
+ * @param {Date|string} date - Date
+ * @param {boolean} [dateOnly] - Emit CCYYMMDD instead of CCYYMMDDhhmmss
+ * @returns {string|null} Timestamp, or null for missing/invalid dates
+ */
+function formatTimestamp(date, dateOnly = false) {
+  if (!date) return null;
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime())) return null;
+
+  const digits = value.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  return dateOnly ? digits.slice(0, 8) : digits;
+}
+
+const observationCode = (code, displayName) =>
+  el('code', { code, codeSystem: OID.OBSERVATION, displayName });
+
+const uuid = () => crypto.randomUUID();
+
+// "500mg" -> { value: '500', unit: 'mg' }
+function parseDose(amount) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-zA-Zµμ]+)?/.exec(amount || '');
+  if (!match) return null;
+  const unit = (match[2] || '1').replace(/^ml$/i, 'mL').replace(/^(µ|μ)g$/, 'ug');
+  return { value: match[1], unit };
+}
+
+function weightInKg(weight) {
+  if (!weight?.value) return null;
+  const kg = weight.unit === 'lbs' ? weight.value * 0.45359237 : weight.value;
+  return Math.round(kg * 10) / 10;
+}
+
+function heightInCm(height) {
+  if (!height?.value) return null;
+  const cm = height.unit === 'ft' ? height.value * 30.48 : height.value;
+  return Math.round(cm);
+}
+
+function initials(person) {
+  if (!person?.firstName && !person?.lastName) return null;
+  return `${person.firstName?.[0] || ''}${person.lastName?.[0] || ''}`.toUpperCase() || null;
+}
+
+// ---- Identifiers ----
+
+/**
+ * Sender's safety report unique identifier (C.1.1), also used as the
+ * worldwide unique case id (C.1.8.1) since we are the first sender
+ * @param {Object} report - Report
+ * @returns {string}
+ */
+function safetyReportId(report) {
+  return `${config.e2b.countryCode}-${config.e2b.senderId}-${report._id}`;
+}
+
+// ---- Validation ----
+
+/**
+ * Check a report for the elements an ICSR cannot be sent without: an
+ * identifiable reporter, patient, reaction and suspect drug, plus the
+ * mandatory administrative and outcome elements.
+ * @param {Object} report - Report (medicine and patient populated)
+ * @returns {Array<{element: string, message: string}>} Problems; empty when valid
+ */
+function validateReport(report) {
+  const errors = [];
+  const add = (element, message) => errors.push({ element, message });
+
+  if (!report.reportDetails?.reportDate && !report.createdAt) {
+    add('C.1.4', 'Date report was first received from source is required');
+  }
+  if (!REPORT_TYPE_CODES[report.reportDetails?.reportType || 'Spontaneous']) {
+    add('C.1.3', `Unsupported report type "${report.reportDetails.reportType}"`);
+  }
+  if (!QUALIFICATION_CODES[report.reporterRole]) {
+    add('C.2.r.4', 'Reporter qualification is required');
+  }
+
+  const patientInfo = report.patientInfo || {};
+  if (!initials(report.patient) && !patientInfo.age && !SEX_CODES[patientInfo.gender]) {
+    add('D', 'Patient must be identifiable by initials, age or sex');
+  }
+
+  const reactions = (report.sideEffects || []).filter(effect => effect.effect);
+  if (reactions.length === 0) {
+    add('E.i.1.1a', 'At least one reaction is required');
+  }
+  if (!report.reportDetails?.seriousness) {
+    add('E.i.3.2', 'Seriousness is required');
+  } else if (report.reportDetails.seriousness === 'Serious' && !(report.reportDetails.seriousnessReason || []).length) {
+    add('E.i.3.2', 'A serious case needs at least one seriousness criterion');
+  }
+  if (!OUTCOME_CODES[report.reportDetails?.outcome]) {
+    add('E.i.7', 'Reaction outcome is required');
+  }
+
+  if (!report.medicine?.name) {
+    add('G.k.2.2', 'Suspect medicinal product name is required');
+  }
+
+  return errors;
+}
+
+// ---- Message sections ----
+
+function buildPatient(report) {
+  const patientInfo = report.patientInfo || {};
+  const patientInitials = initials(report.patient);
+  const sexCode = SEX_CODES[patientInfo.gender];
+  const weight = weightInKg(patientInfo.weight);
+  const height = heightInCm(patientInfo.height);
+
+  return [
+    // D.1, D.5
+    el('player1', { classCode: 'PSN', determinerCode: 'INSTANCE' },
+      patientInitials ? el('name', {}, patientInitials) : el('name', { nullFlavor: 'MSK' }),
+      sexCode
+        ? el('administrativeGenderCode', { code: sexCode, codeSystem: OID.SEX })
+        : el('administrativeGenderCode', { nullFlavor: 'UNK' })
+    ),
+    // D.2.2a/b
+    patientInfo.age && el('subjectOf2', { typeCode: 'SBJ' },
+      el('observation', { classCode: 'OBS', moodCode: 'EVN' },
+        observationCode(OBSERVATION_CODES.AGE, 'age'),
+        el('value', { 'xsi:type': 'PQ', value: patientInfo.age, unit: 'a' })
+      )
+    ),
+    // D.3
+    weight && el('subjectOf2', { typeCode: 'SBJ' },
+      el('observation', { classCode: 'OBS', moodCode: 'EVN' },
+        observationCode(OBSERVATION_CODES.BODY_WEIGHT, 'bodyWeight'),
+        el('value', { 'xsi:type': 'PQ', value: weight, unit: 'kg' })
+      )
+    ),
+    // D.4
+    height && el('subjectOf2', { typeCode: 'SBJ' },
+      el('observation', { classCode: 'OBS', moodCode: 'EVN' },
+        observationCode(OBSERVATION_CODES.HEIGHT, 'height'),
+        el('value', { 'xsi:type': 'PQ', value: height, unit: 'cm' })
+      )
+    )
+  ];
+}
+
+function buildMedicalHistory(report) {
+  const history = [
+    ...(report.patientInfo?.medicalHistory || []),
+    ...(report.patientInfo?.allergies || []).map(allergy => `Allergy: ${allergy}`)
+  ].filter(Boolean);
+  if (history.length === 0) return null;
+
+  // D.7.1.r (verbatim text; no MedDRA code)
+  return el('subjectOf2', { typeCode: 'SBJ' },
+    el('organizer', { classCode: 'CATEGORY', moodCode: 'EVN' },
+      el('code', { code: '1', codeSystem: OID.ORGANIZER, displayName: 'relevantMedicalHistoryAndConcurrentConditions' }),
+      history.map(entry => el('component', { typeCode: 'COMP' },
+        el('observation', { classCode: 'OBS', moodCode: 'EVN' },
+          el('code', {}, el('originalText', {}, entry))
+        )
+      ))
+    )
+  );
+}
+
+// One reaction per MedDRA-coded term, or one verbatim reaction per side effect
+function listReactions(report) {
+  return (report.sideEffects || [])
+    .filter(effect => effect.effect)
+    .flatMap((effect) => {
+      const coding = effect.coding || {};
+      const terms = coding.dictionary?.system === 'MedDRA' ? coding.terms || [] : [];
+      return terms.length > 0
+        ? terms.map(term => ({ effect, term, meddraVersion: coding.dictionary.version }))
+        : [{ effect, term: null }];
+    });
+}
+
+function buildReaction(report, { effect, term, meddraVersion }, reactionId) {
+  const details = report.reportDetails || {};
+  const criteria = details.seriousness === 'Serious'
+    ? [...new Map((details.seriousnessReason || [])
+      .map(reason => SERIOUSNESS_CRITERIA[reason])
+      .filter(Boolean)
+      .map(criterion => [criterion.code, criterion])).values()]
+    : [];
+  const durationUnit = DURATION_UNITS[effect.duration?.unit];
+
+  return el('subjectOf2', { typeCode: 'SBJ' },
+    el('observation', { classCode: 'OBS', moodCode: 'EVN' },
+      el('id', { root: reactionId }),
+      observationCode(OBSERVATION_CODES.REACTION, 'reaction'),
+      // E.i.4 start date, E.i.6 duration
+      el('effectiveTime', { 'xsi:type': 'IVL_TS' },
+        details.incidentDate && el('low', { value: formatTimestamp(details.incidentDate, true) }),
+        effect.duration?.value && durationUnit && el('width', { value: effect.duration.value, unit: durationUnit })
+      ),
+      // E.i.1.1a reaction as reported, E.i.2.1 MedDRA LLT
+      el('value', term
+        ? { 'xsi:type': 'CE', code: term.lltCode, codeSystem: OID.MEDDRA, codeSystemVersion: meddraVersion }
+        : { 'xsi:type': 'CE' },
+      el('originalText', {}, effect.effect)),
+      // E.i.3.2a-f seriousness criteria
+      criteria.map(criterion => el('outboundRelationship2', { typeCode: 'PERT' },
+        el('observation', { classCode: 'OBS', moodCode: 'EVN' },
+          observationCode(criterion.code, criterion.name),
+          el('value', { 'xsi:type': 'BL', value: 'true' })
+        )
+      )),
+      // E.i.7 outcome
+      el('outboundRelationship2', { typeCode: 'PERT' },
+        el('observation', { classCode: 'OBS', moodCode: 'EVN' },
+          observationCode(OBSERVATION_CODES.OUTCOME, 'outcome'),
+          el('value', { 'xsi:type': 'CE', code: OUTCOME_CODES[details.outcome] || '0', codeSystem: OID.OUTCOME })
+        )
+      )
+    )
+  );
+}
+
+function buildSuspectDrug(report, drugId) {
+  const usage = report.medicationUsage || {};
+  const dose = parseDose(usage.dosage?.amount);
+  const dosageText = [usage.dosage?.amount, usage.dosage?.frequency].filter(Boolean).join(', ');
+  const dosageForm = report.medicineDetails?.dosageForm || report.medicine.dosageForm;
+  const rechallenge = report.reportDetails?.rechallenge;
+  const recurrenceCode = !rechallenge?.performed
+    ? '4'
+    : { Positive: '1', Negative: '2' }[rechallenge.result] || '3';
+
+  return el('component', { typeCode: 'COMP' },
+    el('substanceAdministration', { classCode: 'SBADM', moodCode: 'EVN' },
+      el('id', { root: drugId }),
+      // G.k.2.2 medicinal product name, G.k.2.3.r.1 substance
+      el('consumable', { typeCode: 'CSM' },
+        el('instanceOfKind', { classCode: 'INST' },
+          el('kindOfProduct', { classCode: 'MMAT', determinerCode: 'KIND' },
+            el('name', {}, report.medicine.name),
+            report.medicine.genericName && el('ingredient', { classCode: 'ACTI' },
+              el('ingredientSubstance', { classCode: 'MMAT', determinerCode: 'KIND' },
+                el('name', {}, report.medicine.genericName)
+              )
+            )
+          )
+        )
+      ),
+      // G.k.4.r dosage
+      el('outboundRelationship2', { typeCode: 'COMP' },
+        el('substanceAdministration', { classCode: 'SBADM', moodCode: 'EVN' },
+          dosageText && el('text', {}, dosageText),
+          el('effectiveTime', { 'xsi:type': 'IVL_TS' },
+            usage.startDate && el('low', { value: formatTimestamp(usage.startDate, true) }),
+            usage.endDate && el('high', { value: formatTimestamp(usage.endDate, true) })
+          ),
+          usage.dosage?.route && el('routeCode', {}, el('originalText', {}, usage.dosage.route)),
+          dose && el('doseQuantity', { value: dose.value, unit: dose.unit }),
+          dosageForm && el('consumable', { typeCode: 'CSM' },
+            el('instanceOfKind', { classCode: 'INST' },
+              el('kindOfProduct', { classCode: 'MMAT', determinerCode: 'KIND' },
+                el('formCode', {}, el('originalText', {}, dosageForm))
+              )
+            )
+          )
+        )
+      ),
+      // G.k.9.i.4 did the reaction recur on readministration
+      el('outboundRelationship2', { typeCode: 'PERT' },
+        el('observation', { classCode: 'OBS', moodCode: 'EVN' },
+          observationCode(OBSERVATION_CODES.RECURRENCE, 'recurranceOfReaction'),
+          el('value', { 'xsi:type': 'CE', code: recurrenceCode, codeSystem: OID.RECURRENCE })
+        )
+      ),
+      // G.k.7.r indication
+      usage.indication && el('inboundRelationship', { typeCode: 'RSON' },
+        el('observation', { classCode: 'OBS', moodCode: 'EVN' },
+          observationCode(OBSERVATION_CODES.INDICATION, 'indication'),
+          el('value', { 'xsi:type': 'CE' }, el('originalText', {}, usage.indication))
+        )
+      )
+    )
+  );
+}
+
+function buildConcomitantDrug(medication, drugId) {
+  return el('component', { typeCode: 'COMP' },
+    el('substanceAdministration', { classCode: 'SBADM', moodCode: 'EVN' },
+      el('id', { root: drugId }),
+      el('consumable', { typeCode: 'CSM' },
+        el('instanceOfKind', { classCode: 'INST' },
+          el('kindOfProduct', { classCode: 'MMAT', determinerCode: 'KIND' },
+            el('name', {}, medication.medicineName)
+          )
+        )
+      ),
+      el('outboundRelationship2', { typeCode: 'COMP' },
+        el('substanceAdministration', { classCode: 'SBADM', moodCode: 'EVN' },
+          medication.dosage && el('text', {}, medication.dosage),
+          el('effectiveTime', { 'xsi:type': 'IVL_TS' },
+            medication.startDate && el('low', { value: formatTimestamp(medication.startDate, true) }),
+            medication.endDate && el('high', { value: formatTimestamp(medication.endDate, true) })
+          )
+        )
+      )
+    )
+  );
+}
+
+// G.k.1 characterisation of drug role
+function buildDrugRole(drugId, roleCode, roleName) {
+  return el('component', { typeCode: 'COMP' },
+    el('causalityAssessment', { classCode: 'OBS', moodCode: 'EVN' },
+      observationCode(OBSERVATION_CODES.DRUG_CHARACTERIZATION, 'interventionCharacterization'),
+      el('value', { 'xsi:type': 'CE', code: roleCode, codeSystem: OID.DRUG_ROLE, displayName: roleName }),
+      el('subject2', { typeCode: 'SUBJ' },
+        el('productUseReference', { classCode: 'SBADM', moodCode: 'EVN' }, el('id', { root: drugId }))
+      )
+    )
+  );
+}
+
+// G.k.9.i.2.r relatedness of the suspect drug to each reaction
+function buildCausality(report, reactionIds, drugId) {
+  const assessment = report.causalityAssessment;
+  if (!assessment?.category) return [];
+
+  const result = assessment.score !== undefined && assessment.score !== null
+    ? `${assessment.category} (score ${assessment.score})`
+    : assessment.category;
+  const source = assessment.assessedBy?.role === 'doctor' ? 'Physician' : 'Sender';
+
+  return reactionIds.map(reactionId => el('component1', { typeCode: 'COMP' },
+    el('causalityAssessment', { classCode: 'OBS', moodCode: 'EVN' },
+      observationCode(OBSERVATION_CODES.CAUSALITY, 'causality'),
+      el('value', { 'xsi:type': 'ST' }, result),
+      el('methodCode', {}, el('originalText', {}, assessment.algorithm || 'Not assessed')),
+      el('author', { typeCode: 'AUT' },
+        el('assignedEntity', { classCode: 'ASSIGNED' },
+          el('code', {}, el('originalText', {}, source))
+        )
+      ),
+      el('subject1', { typeCode: 'SUBJ' },
+        el('adverseEffectReference', { classCode: 'OBS', moodCode: 'EVN' }, el('id', { root: reactionId }))
+      ),
+      el('subject2', { typeCode: 'SUBJ' },
+        el('productUseReference', { classCode: 'SBADM', moodCode: 'EVN' }, el('id', { root: drugId }))
+      )
+    )
+  ));
+}
+
+// H.1 case narrative
+function buildNarrative(report) {
+  const details = report.reportDetails || {};
+  const lines = [];
+
+  lines.push(`${details.reportType || 'Spontaneous'} report of ${(report.sideEffects || []).length} reaction(s) ` +
+    `after ${report.medicine?.name || 'an unknown product'} for ${report.medicationUsage?.indication || 'an unknown indication'}.`);
+
+  (report.sideEffects || []).forEach((effect) => {
+    const parts = [`${effect.effect} (${effect.severity}, onset ${effect.onset || 'unknown'})`];
+    if (effect.description) parts.push(effect.description);
+    if (effect.treatmentRequired) parts.push(`Treatment: ${effect.treatment || 'required'}`);
+    lines.push(`- ${parts.join('. ')}`);
+  });
+
+  lines.push(`Seriousness: ${details.seriousness || 'not assessed'}` +
+    `${(details.seriousnessReason || []).length ? ` (${details.seriousnessReason.join(', ')})` : ''}. ` +
+    `Outcome: ${details.outcome || 'unknown'}.`);
+
+  if (details.dechallenge?.performed) {
+    lines.push(`Dechallenge performed: ${details.dechallenge.result || 'result unknown'}.`);
+  }
+
+  (report.followUp || []).forEach((entry) => {
+    lines.push(`Follow-up ${formatTimestamp(entry.date, true) || ''} (${entry.informationType}): ${entry.description}`);
+  });
+
+  return lines.join('\n').slice(0, NARRATIVE_MAX_LENGTH);
+}
+
+// H.4 sender's comments
+function buildSenderComments(report) {
+  const comments = [
+    report.causalityAssessment?.comments,
+    report.doctorReview?.remarks && `Reviewing physician: ${report.doctorReview.remarks}`
+  ].filter(Boolean);
+  if (comments.length === 0) return null;
+
+  return el('component1', { typeCode: 'COMP' },
+    el('observationEvent', { classCode: 'OBS', moodCode: 'EVN' },
+      observationCode(OBSERVATION_CODES.COMMENT, 'comment'),
+      el('value', { 'xsi:type': 'ED' }, comments.join('\n')),
+      el('author', { typeCode: 'AUT' },
+        el('assignedEntity', { classCode: 'ASSIGNED' },
+          el('code', { code: '3', codeSystem: '2.16.840.1.113883.3.989.2.1.1.21', displayName: 'sender' })
+        )
+      )
+    )
+  );
+}
+
+/**
+ * Build the ICSR message (PORR_IN049016UV) for one report
+ * @param {Object} report - Report (medicine, patient and causalityAssessment.assessedBy populated)
+ * @param {Date} now - Message creation time
+ * @returns {Object} Element node
+ */
+function buildIcsr(report, now) {
+  const details = report.reportDetails || {};
+  const caseId = safetyReportId(report);
+  const reactions = listReactions(report);
+  const reactionIds = reactions.map(() => uuid());
+  const suspectDrugId = uuid();
+  const concomitants = (report.patientInfo?.concomitantMedications || []).filter(med => med.medicineName);
+  const concomitantIds = concomitants.map(() => uuid());
+
+  const firstReceived = details.reportDate || report.createdAt;
+  const latestFollowUp = (report.followUp || [])
+    .map(entry => new Date(entry.date))
+    .sort((a, b) => b - a)[0];
+  const mostRecent = latestFollowUp || report.updatedAt || firstReceived;
+  const expedited = report.regulatoryInfo?.expeditedReporting?.required || details.seriousness === 'Serious';
+
+  return el('PORR_IN049016UV', {},
+    el('id', { root: OID.MESSAGE_ID, extension: `${caseId}-v${report.version || 1}` }),
+    el('creationTime', { value: formatTimestamp(now) }),
+    el('interactionId', { root: OID.INTERACTION, extension: 'PORR_IN049016UV' }),
+    el('processingCode', { code: 'P' }),
+    el('processingModeCode', { code: 'T' }),
+    el('acceptAckCode', { code: 'AL' }),
+    el('receiver', { typeCode: 'RCV' },
+      el('device', { classCode: 'DEV', determinerCode: 'INSTANCE' },
+        el('id', { root: OID.MESSAGE_RECEIVER, extension: config.e2b.receiverId })
+      )
+    ),
+    el('sender', { typeCode: 'SND' },
+      el('device', { classCode: 'DEV', determinerCode: 'INSTANCE' },
+        el('id', { root: OID.MESSAGE_SENDER, extension: config.e2b.senderId })
+      )
+    ),
+    el('controlActProcess', { classCode: 'CACT', moodCode: 'EVN' },
+      el('code', { code: 'PORR_TE049016UV', codeSystem: OID.TRIGGER_EVENT }),
+      // C.1.2 date of creation
+      el('effectiveTime', { value: formatTimestamp(now) }),
+      el('subject', { typeCode: 'SUBJ' },
+        el('investigationEvent', { classCode: 'INVSTG', moodCode: 'EVN' },
+          el('id', { root: OID.SAFETY_REPORT_ID, extension: caseId }),
+          el('id', { root: OID.WORLDWIDE_CASE_ID, extension: caseId }),
+          el('code', { code: 'PAT_ADV_EVNT', codeSystem: OID.ACT_CODE }),
+          el('text', {}, buildNarrative(report)),
+          el('statusCode', { code: 'active' }),
+          // C.1.4 first received, C.1.5 most recent information
+          el('effectiveTime', {}, el('low', { value: formatTimestamp(firstReceived, true) })),
+          el('availabilityTime', { value: formatTimestamp(mostRecent, true) }),
+          el('component', { typeCode: 'COMP' },
+            el('adverseEventAssessment', { classCode: 'INVSTG', moodCode: 'EVN' },
+              el('subject1', { typeCode: 'SBJ' },
+                el('primaryRole', { classCode: 'INVSBJ' },
+                  buildPatient(report),
+                  buildMedicalHistory(report),
+                  reactions.map((reaction, index) => buildReaction(report, reaction, reactionIds[index])),
+                  el('subjectOf2', { typeCode: 'SBJ' },
+                    el('organizer', { classCode: 'CATEGORY', moodCode: 'EVN' },
+                      el('code', { code: '4', codeSystem: OID.ORGANIZER, displayName: 'drugInformation' }),
+                      buildSuspectDrug(report, suspectDrugId),
+                      concomitants.map((med, index) => buildConcomitantDrug(med, concomitantIds[index]))
+                    )
+                  )
+                )
+              ),
+              buildDrugRole(suspectDrugId, '1', 'Suspect'),
+              concomitantIds.map(id => buildDrugRole(id, '2', 'Concomitant')),
+              buildCausality(report, reactionIds, suspectDrugId),
+              buildSenderComments(report)
+            )
+          ),
+          // C.1.7 fulfils local criteria for an expedited report
+          el('component', { typeCode: 'COMP' },
+            el('observationEvent', { classCode: 'OBS', moodCode: 'EVN' },
+              observationCode(OBSERVATION_CODES.LOCAL_EXPEDITED, 'localCriteriaForExpedited'),
+              el('value', { 'xsi:type': 'BL', value: expedited ? 'true' : 'false' })
+            )
+          ),
+          // C.2.r primary source
+          el('outboundRelationship', { typeCode: 'SPRT' },
+            el('relatedInvestigation', { classCode: 'INVSTG', moodCode: 'EVN' },
+              el('code', { code: '2', codeSystem: OID.SOURCE_REPORT, displayName: 'sourceReport' }),
+              el('subjectOf2', { typeCode: 'SUBJ' },
+                el('controlActEvent', { classCode: 'CACT', moodCode: 'EVN' },
+                  el('author', { typeCode: 'AUT' },
+                    el('assignedEntity', { classCode: 'ASSIGNED' },
+                      el('code', { code: QUALIFICATION_CODES[report.reporterRole], codeSystem: OID.QUALIFICATION })
+                    )
+                  )
+                )
+              )
+            )
+          ),
+          // C.3 sender
+          el('subjectOf1', { typeCode: 'SUBJ' },
+            el('controlActEvent', { classCode: 'CACT', moodCode: 'EVN' },
+              el('author', { typeCode: 'AUT' },
+                el('assignedEntity', { classCode: 'ASSIGNED' },
+                  el('code', { code: SENDER_TYPE, codeSystem: OID.SENDER_TYPE }),
+                  el('representedOrganization', { classCode: 'ORG', determinerCode: 'INSTANCE' },
+                    el('name', {}, config.e2b.senderOrganization)
+                  )
+                )
+              )
+            )
+          ),
+          // C.1.3 type of report
+          el('subjectOf2', { typeCode: 'SUBJ' },
+            el('investigationCharacteristic', { classCode: 'OBS', moodCode: 'EVN' },
+              el('code', { code: '1', codeSystem: OID.CHARACTERISTIC, displayName: 'ichReportType' }),
+              el('value', { 'xsi:type': 'CE', code: REPORT_TYPE_CODES[details.reportType || 'Spontaneous'], codeSystem: OID.REPORT_TYPE })
+            )
+          ),
+          // C.1.9.1 no other case identifiers in previous transmissions
+          el('subjectOf2', { typeCode: 'SUBJ' },
+            el('investigationCharacteristic', { classCode: 'OBS', moodCode: 'EVN' },
+              el('code', { code: '2', codeSystem: OID.CHARACTERISTIC, displayName: 'otherCaseIds' }),
+              el('value', { 'xsi:type': 'BL', value: 'false' })
+            )
+          )
+        )
+      )
+    )
+  );
+}
+
+/**
+ * Generate an E2B(R3) batch message. Reports that fail validation are left
+ * out and returned with their problems.
+ * @param {Array<Object>} reports - Reports (medicine, patient and causalityAssessment.assessedBy populated)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Creation time (defaults to now)
+ * @returns {{xml: string|null, batchId: string, included: Array<string>, excluded: Array<{reportId: string, errors: Array}>}}
+ */
+function generateBatch(reports, { now = new Date() } = {}) {
+  const included = [];
+  const excluded = [];
+  const messages = [];
+
+  reports.forEach((report) => {
+    const errors = validateReport(report);
+    if (errors.length > 0) {
+      excluded.push({ reportId: report._id.toString(), errors });
+      return;
+    }
+    messages.push(buildIcsr(report, now));
+    included.push(report._id.toString());
+  });
+
+  const batchId = `${config.e2b.senderId}-${formatTimestamp(now)}-${crypto.randomBytes(3).toString('hex')}`;
+  if (messages.length === 0) {
+    return { xml: null, batchId, included, excluded };
+  }
+
+  const batch = el('MCCI_IN200100UV01', {
+    ITSVersion: 'XML_1.0',
+    xmlns: 'urn:hl7-org:v3',
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
+  },
+  // N.1.2 batch number, N.1.5 batch transmission date, N.1.1 batch type (ichicsr)
+  el('id', { root: OID.BATCH_NUMBER, extension: batchId }),
+  el('creationTime', { value: formatTimestamp(now) }),
+  el('responseModeCode', { code: 'D' }),
+  el('interactionId', { root: OID.INTERACTION, extension: 'MCCI_IN200100UV01' }),
+  el('name', { code: '1', codeSystem: OID.BATCH_TYPE }),
+  messages,
+  // N.1.4 batch receiver, N.1.3 batch sender
+  el('receiver', { typeCode: 'RCV' },
+    el('device', { classCode: 'DEV', determinerCode: 'INSTANCE' },
+      el('id', { root: OID.BATCH_RECEIVER, extension: config.e2b.receiverId })
+    )
+  ),
+  el('sender', { typeCode: 'SND' },
+    el('device', { classCode: 'DEV', determinerCode: 'INSTANCE' },
+      el('id', { root: OID.BATCH_SENDER, extension: config.e2b.senderId })
+    )
+  ));
+
+  return {
+    xml: `<?xml version="1.0" encoding="UTF-8"?>\n${serialize(batch)}\n`,
+    batchId,
+    included,
+    excluded
+  };
+}
+
+module.exports = {
+  validateReport,
+  generateBatch,
+  safetyReportId,
+  formatTimestamp
+};
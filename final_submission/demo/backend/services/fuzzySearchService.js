@@ -17,6 +17,14 @@ class FuzzySearchService {
           name: 'genericName',
           weight: 0.6  // Generic name is very important
         },
+        {
+          name: 'aliases.name',
+          weight: 0.65 // Brand names and synonyms patients report under
+        },
+        {
+          name: 'ingredients.name',
+          weight: 0.5  // Active ingredients, incl. each part of a combination
+        },
         {
           name: 'manufacturer.name',
           weight: 0.2  // Manufacturer name has lower weight
@@ -72,8 +80,10 @@ class FuzzySearchService {
 
       console.log('Updating fuzzy search index...');
       
-      // Fetch all active medications
-      const medications = await Medication.find({}).lean();
+      // Fetch all active medications with their aliases and ingredients
+      const medications = await Medication.find({ isActive: true })
+        .select('name genericName aliases ingredients category dosageForm commonStrengths description tags source isVerified')
+        .lean();
 
       // Create search index
       this.medicineIndex = new Fuse(medications, this.fuseOptions);
@@ -380,13 +390,13 @@ class FuzzySearchService {
       
       const cleanQuery = this.cleanQuery(query);
       
-      const exactMatches = await Medicine.find({
+      const exactMatches = await Medication.find({
         $or: [
           { name: { $regex: new RegExp(`^${cleanQuery}$`, 'i') } },
-          { genericName: { $regex: new RegExp(`^${cleanQuery}$`, 'i') } }
+          { genericName: { $regex: new RegExp(`^${cleanQuery}$`, 'i') } },
+          { 'aliases.name': { $regex: new RegExp(`^${cleanQuery}$`, 'i') } }
         ],
-        isActive: true,
-        isDiscontinued: false
+        isActive: true
       }).lean();
 
       return exactMatches;
@@ -442,6 +452,13 @@ class FuzzySearchService {
     };
   }
 
+  /**
+   * Rebuild the index on next use, e.g. after medications were merged
+   */
+  invalidateIndex() {
+    this.lastIndexUpdate = null;
+  }
+
   /**
    * Force refresh the search index
    */
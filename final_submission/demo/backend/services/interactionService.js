@@ -0,0 +1,333 @@
+/**
+ * Interaction Service
+ *
+ * Screens a report's suspected medicine and the concomitant medications the
+ * reporter listed for known drug-drug interactions, and flags the ones whose
+ * typical reactions match what was reported (warfarin + NSAID with a GI
+ * bleed). Medicines are resolved to ingredients by name, generic name or
+ * brand alias against a knowledge base loaded from a local JSON or CSV file
+ * (config.interactions), so combination products match every ingredient.
+ *
+ * @module services/interactionService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const AppError = require('../utils/appError');
+const { parseCsv } = require('../utils/csv');
+
+// Most to least severe
+const SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+
+const CSV_COLUMNS = ['ingredient_a', 'ingredient_b', 'severity', 'mechanism', 'effect', 'management', 'reactions'];
+
+let knowledgeBase = null;
+
+/**
+ * Lowercase and reduce to words, so "Co-Trimoxazole" and "co trimoxazole" match
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Whole words of `term` appear in `text` (both normalized)
+const containsWords = (text, term) => Boolean(term) && ` ${text} `.includes(` ${term} `);
+
+// A word in `text` starts with `stem` ("bleed" matches "rectal bleeding")
+const containsStem = (text, stem) => Boolean(stem) && ` ${text}`.includes(` ${stem}`);
+
+// A CSV of ingredient pairs in the same shape as the JSON file
+function fromCsv(text, file) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(name => name.trim().toLowerCase());
+  const missing = CSV_COLUMNS.slice(0, 3).filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`Interaction CSV ${file} is missing columns: ${missing.join(', ')}`);
+  }
+  const cell = (cells, name) => (cells[columns.indexOf(name)] || '').trim();
+
+  return {
+    name: path.basename(file),
+    interactions: rows.map(cells => ({
+      a: cell(cells, 'ingredient_a'),
+      b: cell(cells, 'ingredient_b'),
+      severity: cell(cells, 'severity'),
+      mechanism: cell(cells, 'mechanism'),
+      effect: cell(cells, 'effect'),
+      management: cell(cells, 'management'),
+      reactions: cell(cells, 'reactions').split(';').map(r => r.trim()).filter(Boolean)
+    }))
+  };
+}
+
+/**
+ * Load the knowledge base file and index ingredient names and aliases.
+ * Interaction ends name an ingredient or a group of them ("nsaids");
+ * ingredients only named in a pair (as in a CSV) are added as they are.
+ * @returns {Object} Loaded knowledge base
+ */
+function loadKnowledgeBase() {
+  const file = config.interactions.knowledgeBasePath;
+  const text = fs.readFileSync(file, 'utf8');
+  const raw = path.extname(file).toLowerCase() === '.csv' ? fromCsv(text, file) : JSON.parse(text);
+
+  const ingredients = new Map();
+  const addIngredient = (name, groups = []) => {
+    const key = normalize(name);
+    if (!ingredients.has(key)) ingredients.set(key, { name: key, groups: new Set(), aliases: new Set([key]) });
+    groups.forEach(group => ingredients.get(key).groups.add(normalize(group)));
+    return ingredients.get(key);
+  };
+
+  (raw.ingredients || []).forEach((entry) => {
+    const ingredient = addIngredient(entry.name, entry.groups);
+    (entry.aliases || []).forEach(alias => ingredient.aliases.add(normalize(alias)));
+  });
+  const groups = new Set([...ingredients.values()].flatMap(ingredient => [...ingredient.groups]));
+
+  const interactions = (raw.interactions || []).map((entry, index) => {
+    const severity = normalize(entry.severity);
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Interaction ${index + 1} (${entry.a} + ${entry.b}) has unknown severity '${entry.severity}'`);
+    }
+    const [a, b] = [normalize(entry.a), normalize(entry.b)];
+    [a, b].filter(end => !groups.has(end)).forEach(end => addIngredient(end));
+    return {
+      a,
+      b,
+      severity,
+      mechanism: entry.mechanism || '',
+      effect: entry.effect || '',
+      management: entry.management || '',
+      reactions: (entry.reactions || []).map(normalize).filter(Boolean)
+    };
+  });
+
+  const terms = [...ingredients.values()]
+    .flatMap(ingredient => [...ingredient.aliases].map(term => ({ term, ingredient: ingredient.name })));
+
+  return {
+    info: {
+      name: raw.name,
+      version: raw.version || null
+    },
+    counts: {
+      ingredients: ingredients.size,
+      groups: groups.size,
+      interactions: interactions.length
+    },
+    ingredients,
+    terms,
+    interactions
+  };
+}
+
+/**
+ * Loaded knowledge base (read from disk on first use)
+ * @returns {Object}
+ */
+function getKnowledgeBase() {
+  if (!knowledgeBase) {
+    knowledgeBase = loadKnowledgeBase();
+  }
+  return knowledgeBase;
+}
+
+/**
+ * Drop the cached knowledge base so the next call reads the file again
+ */
+function reloadKnowledgeBase() {
+  knowledgeBase = null;
+  return getKnowledgeBase();
+}
+
+/**
+ * Knowledge base name, version and counts
+ * @returns {Object}
+ */
+function getInfo() {
+  const { info, counts } = getKnowledgeBase();
+  return { ...info, counts };
+}
+
+/**
+ * Ingredients a medicine name contains, by ingredient name or alias
+ * ("Advil" -> ibuprofen, "Nirmatrelvir/Ritonavir" -> ritonavir)
+ * @param {...string} names - Brand, generic or free-text names of one medicine
+ * @returns {Array<string>} Ingredient names
+ */
+function resolveIngredients(...names) {
+  const text = normalize(names.filter(Boolean).join(' '));
+  const found = new Set();
+  getKnowledgeBase().terms.forEach(({ term, ingredient }) => {
+    if (containsWords(text, term)) found.add(ingredient);
+  });
+  return [...found];
+}
+
+// An ingredient and the groups it belongs to
+function classesOf(ingredient) {
+  return [ingredient, ...getKnowledgeBase().ingredients.get(ingredient).groups];
+}
+
+// Knowledge base entries for one ingredient pair, either way round. When both
+// an ingredient entry (warfarin + nsaids) and a group entry (anticoagulants +
+// nsaids) apply, only the most specific is kept.
+function findInteractions(x, y) {
+  const [ofX, ofY] = [classesOf(x), classesOf(y)];
+  const matches = getKnowledgeBase().interactions.filter(rule =>
+    (ofX.includes(rule.a) && ofY.includes(rule.b)) || (ofX.includes(rule.b) && ofY.includes(rule.a))
+  );
+  const specificity = rule => [rule.a, rule.b].filter(end => end === x || end === y).length;
+  const best = Math.max(...matches.map(specificity));
+  return matches.filter(rule => specificity(rule) === best);
+}
+
+/**
+ * Check medicines taken together for interactions. Every pair of medicines is
+ * checked; a finding involving the suspected medicine, or whose typical
+ * reactions match the reported ones, sorts first within its severity.
+ * @param {Array<Object|string>} medicines - Names, or { name, genericName, role } with role 'suspect' or 'concomitant'
+ * @param {Object} [options]
+ * @param {Array<string>} [options.reactions] - Reported reactions or coded terms to match against
+ * @returns {{medicines: Array<Object>, findings: Array<Object>, unrecognized: Array<string>}}
+ */
+function check(medicines = [], { reactions = [] } = {}) {
+  const resolved = medicines
+    .map(medicine => (typeof medicine === 'string' ? { name: medicine } : medicine))
+    .filter(medicine => medicine && medicine.name)
+    .map(medicine => ({
+      name: medicine.name,
+      role: medicine.role || 'concomitant',
+      ingredients: resolveIngredients(medicine.name, medicine.genericName)
+    }));
+  const reported = reactions.filter(Boolean).map(text => ({ text, normalized: normalize(text) }));
+
+  const findings = [];
+  const seen = new Set();
+  resolved.forEach((first, i) => {
+    resolved.slice(i + 1).forEach((second) => {
+      first.ingredients.forEach((x) => {
+        second.ingredients.forEach((y) => {
+          if (x === y) return;
+          findInteractions(x, y).forEach((rule) => {
+            const key = [first.name, second.name, rule.a, rule.b].join('|');
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            findings.push({
+              severity: rule.severity,
+              medicines: [first.name, second.name],
+              ingredients: [x, y],
+              rule: `${rule.a} + ${rule.b}`,
+              involvesSuspect: first.role === 'suspect' || second.role === 'suspect',
+              mechanism: rule.mechanism,
+              effect: rule.effect,
+              management: rule.management,
+              matchedReactions: [...new Set(reported
+                .filter(reaction => rule.reactions.some(stem => containsStem(reaction.normalized, stem)))
+                .map(reaction => reaction.text))]
+            });
+          });
+        });
+      });
+    });
+  });
+
+  findings.sort((x, y) =>
+    SEVERITIES.indexOf(x.severity) - SEVERITIES.indexOf(y.severity) ||
+    Number(y.matchedReactions.length > 0) - Number(x.matchedReactions.length > 0) ||
+    Number(y.involvesSuspect) - Number(x.involvesSuspect)
+  );
+
+  return {
+    medicines: resolved,
+    findings,
+    unrecognized: resolved.filter(medicine => medicine.ingredients.length === 0).map(medicine => medicine.name)
+  };
+}
+
+/**
+ * Screen a report, in the shape stored on ReportSideEffect.interactionScreening
+ * @param {Object} report - Report document or plain object
+ * @param {Object} medicine - The suspected Medication ({ name, genericName })
+ * @param {string} [source] - 'submission', 'pipeline' or 'manual'
+ * @returns {Object} Screening result
+ */
+function screenReport(report, medicine, source = 'submission') {
+  const concomitants = (report.patientInfo?.concomitantMedications || [])
+    .filter(med => med.medicineName)
+    .map(med => ({ name: med.medicineName, role: 'concomitant' }));
+  const reactions = (report.sideEffects || []).flatMap(sideEffect => [
+    sideEffect.effect,
+    ...(sideEffect.coding?.terms || []).map(term => term.ptName)
+  ]);
+
+  const { findings, unrecognized } = check(
+    [{ name: medicine?.name, genericName: medicine?.genericName, role: 'suspect' }, ...concomitants],
+    { reactions }
+  );
+
+  return {
+    status: findings.length > 0 ? 'flagged' : 'clear',
+    highestSeverity: findings[0]?.severity || null,
+    findings,
+    unrecognized,
+    knowledgeBase: getKnowledgeBase().info,
+    source,
+    checkedAt: new Date()
+  };
+}
+
+/**
+ * Screen a report, logging instead of failing when the knowledge base
+ * cannot be read, so a bad file never blocks a submission
+ * @param {Object} report
+ * @param {Object} medicine
+ * @param {string} [source]
+ * @returns {Object|undefined} Screening result, or undefined if screening failed
+ */
+function tryScreenReport(report, medicine, source) {
+  try {
+    return screenReport(report, medicine, source);
+  } catch (error) {
+    console.error('Interaction screening failed:', error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Ad-hoc check of medicine names
+ * @param {Array<string>} names - At least two medicine names
+ * @param {Array<string>} [reactions] - Optional reactions to match
+ * @returns {Object} Check result with the knowledge base it used
+ * @throws {AppError} 503 if the knowledge base cannot be read
+ */
+function checkNames(names, reactions = []) {
+  try {
+    return { ...check(names, { reactions }), knowledgeBase: getKnowledgeBase().info };
+  } catch (error) {
+    if (error.statusCode) throw error;
+    console.error('Interaction knowledge base error:', error.message);
+    throw AppError.serviceUnavailable('The interaction knowledge base is unavailable');
+  }
+}
+
+module.exports = {
+  SEVERITIES,
+  normalize,
+  getKnowledgeBase,
+  reloadKnowledgeBase,
+  getInfo,
+  resolveIngredients,
+  check,
+  checkNames,
+  screenReport,
+  tryScreenReport
+};
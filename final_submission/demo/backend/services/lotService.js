@@ -0,0 +1,528 @@
+/**
+ * Product Lot Service
+ *
+ * Registry of the batches patients report taking, reports clustered by
+ * medicine + batch, and recalls. A report naming a batch number is linked
+ * to its lot when it is submitted; a lot reported far more often than the
+ * same medicine's other lots points at a quality defect rather than at the
+ * medicine itself. Issuing a recall notifies every patient whose reports
+ * name a recalled lot, and later reporters of the lot while it is ongoing.
+ *
+ * @module services/lotService
+ */
+
+const ProductLot = require('../models/ProductLot');
+const Recall = require('../models/Recall');
+const Medication = require('../models/Medication');
+const ReportSideEffect = require('../models/ReportSideEffect');
+const AppError = require('../utils/appError');
+const config = require('../config/config');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const terminologyService = require('./terminologyService');
+const careTeamService = require('./careTeamService');
+
+const LOT_CONFIG = config.lots;
+
+// Same reports as signal detection
+const REPORT_FILTER = { isDeleted: false, status: { $ne: 'Rejected' } };
+
+// What patients enter when the label cannot be read
+const UNKNOWN_BATCHES = new Set(['NA', 'NONE', 'NIL', 'UNKNOWN', 'NOTKNOWN']);
+
+// Reports listed for a lot
+const MAX_LOT_REPORTS = 200;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Key batch numbers are matched on
+ * @param {string} batchNumber - As entered, e.g. "ab-1234 "
+ * @returns {string|null} e.g. "AB1234"; null when there is no usable number
+ */
+function normalizeBatchNumber(batchNumber) {
+  const key = String(batchNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return key && !UNKNOWN_BATCHES.has(key) ? key : null;
+}
+
+// The patient a report is about; reports by doctors without a patient have none
+function reportPatient(report) {
+  return report.patient || (report.reporterRole === 'patient' ? report.reportedBy : null);
+}
+
+/**
+ * Find the lot of a medication and batch number, registering it the first
+ * time. Manufacturer and expiry date fill in what the registry lacks.
+ * @param {Object} details
+ * @param {string} details.medication - Medication ID
+ * @param {string} details.batchNumber
+ * @param {string} [details.manufacturer]
+ * @param {Date|string} [details.expiryDate]
+ * @param {string} [details.source='report'] - What is registering the lot
+ * @param {Date} [details.reportedAt] - When a report named the lot
+ * @returns {Promise<Object|null>} Lot, or null without a usable batch number
+ */
+async function registerLot({ medication, batchNumber, manufacturer, expiryDate, source = 'report', reportedAt }) {
+  const batchKey = normalizeBatchNumber(batchNumber);
+  if (!batchKey) return null;
+
+  const lot = await ProductLot.findOneAndUpdate(
+    { medication: toId(medication), batchKey },
+    {
+      $setOnInsert: { batchNumber: String(batchNumber).trim(), source },
+      ...(reportedAt && { $min: { firstReportedAt: reportedAt }, $max: { lastReportedAt: reportedAt } })
+    },
+    { upsert: true, new: true }
+  );
+
+  const missing = {};
+  if (!lot.manufacturer && manufacturer?.trim()) missing.manufacturer = manufacturer.trim();
+  if (!lot.expiryDate && expiryDate) missing.expiryDate = expiryDate;
+  if (Object.keys(missing).length > 0) {
+    lot.set(missing);
+    await lot.save();
+  }
+
+  return lot;
+}
+
+/**
+ * Link a report to the lot its batch number names, registering the lot if
+ * needed. Logs instead of failing so the registry never blocks a submission.
+ * @param {Object} report - Report document, before it is saved
+ * @returns {Promise<Object|null>} Lot, or null when there is none
+ */
+async function tryAttachLot(report) {
+  try {
+    const details = report.medicineDetails || {};
+    const lot = await registerLot({
+      medication: report.medicine,
+      batchNumber: details.batchNumber,
+      manufacturer: details.manufacturer,
+      expiryDate: details.expiryDate,
+      reportedAt: report.createdAt || new Date()
+    });
+    if (lot) report.medicineDetails.lot = lot._id;
+    return lot;
+  } catch (error) {
+    console.error('Lot registration failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Link reports stored before lots were tracked to their lots
+ * @returns {Promise<number>} Reports linked
+ */
+async function backfillLots() {
+  const reports = await ReportSideEffect.find({
+    'medicineDetails.batchNumber': { $nin: [null, ''] },
+    'medicineDetails.lot': { $exists: false }
+  })
+    .select('medicine medicineDetails createdAt')
+    .lean();
+
+  let linked = 0;
+  for (const report of reports) {
+    const lot = await registerLot({
+      medication: report.medicine,
+      batchNumber: report.medicineDetails.batchNumber,
+      manufacturer: report.medicineDetails.manufacturer,
+      expiryDate: report.medicineDetails.expiryDate,
+      reportedAt: report.createdAt
+    });
+    if (!lot) continue;
+
+    await ReportSideEffect.updateOne({ _id: report._id }, { $set: { 'medicineDetails.lot': lot._id } });
+    linked += 1;
+  }
+  return linked;
+}
+
+/**
+ * Move a medication's lots to another one, after its reports were merged
+ * into it. A lot the target already has takes over the reports and recalls
+ * of the merged medication's lot.
+ * @param {string} fromMedication - Medication ID
+ * @param {string} toMedication - Medication ID
+ * @returns {Promise<number>} Lots moved or folded into the target's
+ */
+async function moveLots(fromMedication, toMedication) {
+  const lots = await ProductLot.find({ medication: toId(fromMedication) });
+
+  for (const lot of lots) {
+    const existing = await ProductLot.findOne({ medication: toId(toMedication), batchKey: lot.batchKey });
+    if (!existing) {
+      lot.medication = toId(toMedication);
+      await lot.save();
+      continue;
+    }
+
+    await ReportSideEffect.updateMany({ 'medicineDetails.lot': lot._id }, { $set: { 'medicineDetails.lot': existing._id } });
+    await Recall.updateMany({ lots: lot._id }, { $addToSet: { lots: existing._id } });
+    await Recall.updateMany({ lots: lot._id }, { $pull: { lots: lot._id } });
+    await lot.deleteOne();
+  }
+
+  return lots.length;
+}
+
+/**
+ * Reports clustered by lot. Each lot is compared with the other lots of the
+ * same medication: one reported concentrationRatio times as often as they
+ * are on average, with at least minReports reports, is flagged. A medication
+ * reported from a single lot has nothing to compare with and is not flagged.
+ * @param {Object} [options]
+ * @param {string} [options.medicine] - Medication ID
+ * @param {string} [options.search] - Matches batch number or medication name
+ * @param {boolean} [options.flaggedOnly] - Only flagged lots
+ * @param {number} [options.days] - Reports submitted in the last days
+ * @returns {Promise<Object>} { clusters, summary, thresholds }
+ */
+async function getBatchClusters({ medicine, search, flaggedOnly = false, days = LOT_CONFIG.windowDays } = {}) {
+  const match = {
+    ...REPORT_FILTER,
+    'medicineDetails.lot': { $ne: null },
+    createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+  };
+
+  const [lotRows, reactionRows] = await Promise.all([
+    ReportSideEffect.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$medicineDetails.lot',
+          reportCount: { $sum: 1 },
+          seriousCount: { $sum: { $cond: [{ $eq: ['$reportDetails.seriousness', 'Serious'] }, 1, 0] } },
+          patients: { $addToSet: { $ifNull: ['$patient', '$reportedBy'] } },
+          firstReportAt: { $min: '$createdAt' },
+          lastReportAt: { $max: '$createdAt' }
+        }
+      }
+    ]),
+    ReportSideEffect.aggregate([
+      { $match: match },
+      // reportTermStages keeps each row's medicine; carry the lot in it instead
+      { $project: { medicine: '$medicineDetails.lot', sideEffects: 1 } },
+      ...terminologyService.reportTermStages(),
+      {
+        $group: {
+          _id: { lot: '$medicine', ptName: '$terms.ptName' },
+          reports: { $addToSet: '$_id' }
+        }
+      },
+      { $project: { _id: 0, lot: '$_id.lot', name: '$_id.ptName', reportCount: { $size: '$reports' } } },
+      { $sort: { reportCount: -1, name: 1 } }
+    ])
+  ]);
+
+  const lotIds = lotRows.map(row => row._id);
+  const [lots, recalls] = await Promise.all([
+    ProductLot.find({ _id: { $in: lotIds } })
+      .populate('medication', 'name genericName')
+      .lean(),
+    Recall.find({ lots: { $in: lotIds }, status: { $ne: 'terminated' } })
+      .select('lots reference classification status createdAt')
+      .lean()
+  ]);
+  const lotsById = new Map(lots.map(lot => [toId(lot), lot]));
+
+  const reactionsByLot = new Map();
+  reactionRows.forEach(({ lot, name, reportCount }) => {
+    const key = toId(lot);
+    if (!reactionsByLot.has(key)) reactionsByLot.set(key, []);
+    reactionsByLot.get(key).push({ name, reportCount });
+  });
+
+  // Reports and lots per medication, to compare each lot with its siblings
+  const byMedication = new Map();
+  lotRows.forEach((row) => {
+    const lot = lotsById.get(toId(row._id));
+    if (!lot) return;
+    const key = toId(lot.medication);
+    const stats = byMedication.get(key) || { reports: 0, lots: 0 };
+    byMedication.set(key, { reports: stats.reports + row.reportCount, lots: stats.lots + 1 });
+  });
+
+  let clusters = lotRows
+    .filter(row => lotsById.has(toId(row._id)))
+    .map((row) => {
+      const { medication, ...lot } = lotsById.get(toId(row._id));
+      const stats = byMedication.get(toId(medication));
+      const otherLotsMean = stats.lots > 1 ? (stats.reports - row.reportCount) / (stats.lots - 1) : null;
+      const concentration = otherLotsMean ? round(row.reportCount / otherLotsMean) : null;
+
+      return {
+        lot,
+        medication,
+        reportCount: row.reportCount,
+        seriousCount: row.seriousCount,
+        patientCount: row.patients.length,
+        firstReportAt: row.firstReportAt,
+        lastReportAt: row.lastReportAt,
+        medicationLots: stats.lots,
+        medicationReports: stats.reports,
+        concentration,
+        flagged: row.reportCount >= LOT_CONFIG.minReports &&
+          concentration !== null && concentration >= LOT_CONFIG.concentrationRatio,
+        topReactions: (reactionsByLot.get(toId(row._id)) || []).slice(0, 5),
+        recalls: recalls
+          .filter(recall => recall.lots.some(id => toId(id) === toId(row._id)))
+          .map(({ _id, reference, classification, status, createdAt }) => ({ _id, reference, classification, status, createdAt }))
+      };
+    });
+
+  if (medicine) {
+    clusters = clusters.filter(cluster => toId(cluster.medication) === toId(medicine));
+  }
+  if (search) {
+    const needle = search.toLowerCase();
+    const key = normalizeBatchNumber(search);
+    clusters = clusters.filter(cluster =>
+      (key && cluster.lot.batchKey.includes(key)) ||
+      cluster.medication?.name?.toLowerCase().includes(needle) ||
+      cluster.medication?.genericName?.toLowerCase().includes(needle)
+    );
+  }
+  if (flaggedOnly) {
+    clusters = clusters.filter(cluster => cluster.flagged);
+  }
+
+  clusters.sort((a, b) =>
+    Number(b.flagged) - Number(a.flagged) ||
+    (b.concentration || 0) - (a.concentration || 0) ||
+    b.reportCount - a.reportCount
+  );
+
+  return {
+    clusters,
+    summary: {
+      lots: clusters.length,
+      reports: clusters.reduce((sum, cluster) => sum + cluster.reportCount, 0),
+      flagged: clusters.filter(cluster => cluster.flagged).length,
+      recalled: clusters.filter(cluster => cluster.recalls.length > 0).length
+    },
+    thresholds: {
+      minReports: LOT_CONFIG.minReports,
+      concentrationRatio: LOT_CONFIG.concentrationRatio,
+      days
+    }
+  };
+}
+
+/**
+ * A lot with its recalls and the reports naming it that the user may see
+ * @param {string} lotId
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { lot, recalls, reports, totalReports, hiddenReports }
+ */
+async function getLotReports(lotId, user) {
+  const lot = await ProductLot.findById(lotId)
+    .populate('medication', 'name genericName')
+    .lean();
+  if (!lot) throw AppError.notFound('Product lot');
+
+  const filter = { isDeleted: false, 'medicineDetails.lot': lot._id };
+  const scoped = { $and: [filter, await careTeamService.reportScope(user)] };
+
+  const [reports, visibleReports, totalReports, recalls] = await Promise.all([
+    ReportSideEffect.find(scoped)
+      .select('status priority createdAt reportDetails.seriousness reportDetails.incidentDate sideEffects.effect sideEffects.severity medicineDetails patient')
+      .populate('patient', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(MAX_LOT_REPORTS)
+      .lean(),
+    ReportSideEffect.countDocuments(scoped),
+    ReportSideEffect.countDocuments(filter),
+    Recall.find({ lots: lot._id })
+      .populate('issuedBy', 'firstName lastName')
+      .select('-notifiedPatients -statusHistory')
+      .sort({ createdAt: -1 })
+      .lean()
+  ]);
+
+  return {
+    lot,
+    recalls,
+    reports,
+    totalReports,
+    // Reports of patients outside the user's care team
+    hiddenReports: totalReports - visibleReports
+  };
+}
+
+/**
+ * Notify the patients whose reports name one of a recall's lots and who
+ * have not been notified about it yet, once each
+ * @param {Object} recall - Recall document
+ * @returns {Promise<number>} Patients notified
+ */
+async function notifyAffectedPatients(recall) {
+  await recall.populate([
+    { path: 'medication', select: 'name' },
+    { path: 'lots', select: 'batchNumber' }
+  ]);
+
+  const reports = await ReportSideEffect.find({
+    isDeleted: false,
+    'medicineDetails.lot': { $in: recall.lots.map(lot => lot._id) }
+  })
+    .select('patient reportedBy reporterRole createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  // Each patient hears about the recall once, linked to their latest report
+  const notified = new Set(recall.notifiedPatients.map(toId));
+  const latestReport = new Map();
+  reports.forEach((report) => {
+    const patientId = toId(reportPatient(report));
+    if (patientId && !notified.has(patientId) && !latestReport.has(patientId)) {
+      latestReport.set(patientId, report);
+    }
+  });
+  if (latestReport.size === 0) return 0;
+
+  await Promise.all([...latestReport].map(([patientId, report]) =>
+    notificationService.notifyPatientRecall(recall, patientId, report)
+  ));
+
+  const patientIds = [...latestReport.keys()];
+  await Recall.updateOne({ _id: recall._id }, { $addToSet: { notifiedPatients: { $each: patientIds } } });
+  recall.notifiedPatients.push(...patientIds);
+
+  console.log(`[Lots] Notified ${patientIds.length} patients about recall ${recall._id}`);
+  return patientIds.length;
+}
+
+/**
+ * Notify the patient of a newly submitted report if it names a lot under
+ * an ongoing recall they have not heard about
+ * @param {Object} report - Saved report
+ * @returns {Promise<number>} Recalls the patient was notified about
+ */
+async function notifyReporterOfRecalls(report) {
+  const lotId = report.medicineDetails?.lot;
+  const patientId = toId(reportPatient(report));
+  if (!lotId || !patientId) return 0;
+
+  const recalls = await Recall.find({ lots: toId(lotId), status: 'ongoing', notifiedPatients: { $ne: patientId } })
+    .populate('medication', 'name')
+    .populate('lots', 'batchNumber');
+
+  for (const recall of recalls) {
+    await notificationService.notifyPatientRecall(recall, patientId, report);
+    await Recall.updateOne({ _id: recall._id }, { $addToSet: { notifiedPatients: patientId } });
+  }
+  return recalls.length;
+}
+
+/**
+ * Issue a recall of lots of a medication and notify the patients who
+ * reported taking them. Batch numbers not registered yet are registered.
+ * @param {Object} data
+ * @param {string} data.medication - Medication ID
+ * @param {Array<string>} data.batchNumbers
+ * @param {string} data.classification - class_i, class_ii or class_iii
+ * @param {string} data.reason
+ * @param {string} [data.patientInstructions]
+ * @param {string} [data.reference] - Recall number
+ * @param {string} [data.manufacturer]
+ * @param {Object} options
+ * @param {Object} options.req - Express request (acting user)
+ * @returns {Promise<Object>} Recall; notifiedPatients lists the patients notified
+ */
+async function createRecall(data, { req }) {
+  const medication = await Medication.findById(data.medication).select('name');
+  if (!medication) throw AppError.notFound('Medication');
+
+  const invalid = data.batchNumbers.filter(batchNumber => !normalizeBatchNumber(batchNumber));
+  if (invalid.length > 0) {
+    throw AppError.validation(`Not a batch number: ${invalid.join(', ')}`);
+  }
+
+  const lots = [];
+  for (const batchNumber of data.batchNumbers) {
+    const lot = await registerLot({
+      medication: medication._id,
+      batchNumber,
+      manufacturer: data.manufacturer,
+      source: 'recall'
+    });
+    if (!lots.some(existing => existing._id.equals(lot._id))) lots.push(lot);
+  }
+
+  const recall = await Recall.create({
+    medication: medication._id,
+    lots: lots.map(lot => lot._id),
+    reference: data.reference,
+    classification: data.classification,
+    reason: data.reason,
+    patientInstructions: data.patientInstructions,
+    manufacturer: data.manufacturer,
+    issuedBy: req.user._id,
+    statusHistory: [{ status: 'ongoing', changedBy: req.user._id, changedAt: new Date() }]
+  });
+
+  await auditService.record({
+    req,
+    action: 'recall.create',
+    entityType: 'Recall',
+    entityId: recall._id,
+    after: recall,
+    metadata: {
+      medicationName: medication.name,
+      batchNumbers: lots.map(lot => lot.batchNumber)
+    }
+  });
+
+  await notifyAffectedPatients(recall);
+  return recall;
+}
+
+/**
+ * Move a recall to a new status. A completed or terminated recall no longer
+ * notifies later reporters of its lots.
+ * @param {string} recallId
+ * @param {Object} update - { status, comment }
+ * @param {Object} options
+ * @param {Object} options.req - Express request (acting user)
+ * @returns {Promise<Object>} Updated recall
+ */
+async function updateRecallStatus(recallId, { status, comment }, { req }) {
+  const recall = await Recall.findById(recallId);
+  if (!recall) throw AppError.notFound('Recall');
+
+  const before = recall.toObject();
+  recall.status = status;
+  recall.statusHistory.push({ status, comment, changedBy: req.user._id, changedAt: new Date() });
+  await recall.save();
+
+  await auditService.record({
+    req,
+    action: 'recall.status_update',
+    entityType: 'Recall',
+    entityId: recall._id,
+    before,
+    after: recall,
+    metadata: comment ? { comment } : undefined
+  });
+
+  return recall;
+}
+
+module.exports = {
+  LOT_CONFIG,
+  normalizeBatchNumber,
+  registerLot,
+  tryAttachLot,
+  backfillLots,
+  moveLots,
+  getBatchClusters,
+  getLotReports,
+  notifyAffectedPatients,
+  notifyReporterOfRecalls,
+  createRecall,
+  updateRecallStatus
+};
@@ -0,0 +1,824 @@
+/**
+ * Medication Import Service
+ *
+ * Bulk import of the medication catalog from drug database files: RxNorm
+ * RRF extracts (RXNCONSO.RRF rows) and the openFDA NDC directory, as JSON
+ * (the drug/ndc download or an API response) or CSV/TSV (openFDA field
+ * names or the FDA NDC product.txt columns). Records are grouped into one
+ * medication per active ingredient set, the way the catalog is organized
+ * ("Amoxicillin/Clavulanate" with its strengths, dosage form and brand
+ * names), then upserted: matched by RxNorm concept, then NDC, then name.
+ * Curated values win; an import only fills in what is missing and adds
+ * strengths, brand names and identifiers, so running the same file twice
+ * changes nothing. Every run is recorded as a MedicationImportJob, and a
+ * dry run records what it would do without writing medications. Uploads are
+ * imported in the background; the command line waits for the import.
+ *
+ * @module services/medicationImportService
+ */
+
+const path = require('path');
+const config = require('../config/config');
+const Medication = require('../models/Medication');
+const MedicationImportJob = require('../models/MedicationImportJob');
+const AppError = require('../utils/appError');
+const { parseCsv } = require('../utils/csv');
+const auditService = require('./auditService');
+const fuzzySearchService = require('./fuzzySearchService');
+
+const FORMATS = MedicationImportJob.FORMATS;
+
+// Issues kept on a job; the counts cover all of them
+const MAX_ISSUES = 100;
+
+// Same limits as the medication validators in routes/medications.js
+const MAX_ALIASES = 30;
+const MAX_STRENGTHS = 10;
+
+// RXNCONSO.RRF columns
+const RRF = { RXCUI: 0, LAT: 1, SAB: 11, TTY: 12, CODE: 13, STR: 14, SUPPRESS: 16 };
+
+// RxNorm clinical drug names: "amoxicillin 250 MG / clavulanate 125 MG Oral Tablet",
+// optionally with a quantity factor ("12 HR ...") and a brand ("... [Augmentin]")
+const RX_STRENGTH = '(\\d+(?:\\.\\d+)?\\s+(?:MG|MCG|G|ML|UNT|MEQ|MMOL|%)(?:\\/(?:\\d+(?:\\.\\d+)?\\s*)?[A-Z]+)?)';
+const RX_COMPONENT = new RegExp(`^(.+?)\\s+${RX_STRENGTH}$`);
+const RX_LAST_COMPONENT = new RegExp(`^(.+?)\\s+${RX_STRENGTH}\\s+(.+)$`);
+const RX_QUANTITY = /^\d+(?:\.\d+)?\s+(?:HR|ML|ACTUAT|MG|G|DAY|UNT)\s+/;
+const RX_BRAND = /\s*\[([^\]]+)\]\s*$/;
+
+// openFDA field names and FDA NDC directory (product.txt) column names
+const CSV_COLUMNS = {
+  ndc: ['product_ndc', 'productndc'],
+  brand: ['brand_name', 'proprietaryname'],
+  generic: ['generic_name', 'nonproprietaryname'],
+  dosageForm: ['dosage_form', 'dosageformname'],
+  substances: ['active_ingredients', 'substancename'],
+  strengths: ['active_numerator_strength', 'strength'],
+  units: ['active_ingred_unit'],
+  pharmClasses: ['pharm_class', 'pharm_classes'],
+  marketingCategory: ['marketing_category', 'marketingcategoryname']
+};
+
+// Raw substances sold to manufacturers, not medications patients take
+const BULK_INGREDIENT = /bulk ingredient/i;
+
+// First matching pattern wins, so the more specific forms come first
+const DOSAGE_FORM_PATTERNS = [
+  [/inhal|aerosol|metered|nebuli/i, 'Inhaler'],
+  [/ophthalmic|otic|drops?\b/i, 'Drops'],
+  [/inject|infusion|intravenous|syringe/i, 'Injection'],
+  [/patch|transdermal/i, 'Patch'],
+  [/cream|ointment|gel\b|lotion|paste/i, 'Cream/Ointment'],
+  [/capsule/i, 'Capsule'],
+  [/tablet|caplet|lozenge/i, 'Tablet'],
+  [/solution|syrup|suspension|elixir|liquid|emulsion|concentrate/i, 'Liquid/Syrup'],
+  [/powder|granule/i, 'Powder']
+];
+
+// ATC code prefixes (RxNorm ATC atoms), longest first
+const ATC_CATEGORIES = [
+  ['A10', 'Diabetes'],
+  ['A11', 'Supplement'],
+  ['A12', 'Supplement'],
+  ['B03', 'Supplement'],
+  ['B01', 'Cardiovascular'],
+  ['D01', 'Antifungal'],
+  ['G03', 'Hormonal'],
+  ['J01', 'Antibiotic'],
+  ['J02', 'Antifungal'],
+  ['J05', 'Antiviral'],
+  ['M01', 'Analgesic'],
+  ['N02', 'Analgesic'],
+  ['N05', 'Psychiatric'],
+  ['N06', 'Psychiatric'],
+  ['R03', 'Respiratory'],
+  ['R05', 'Respiratory'],
+  ['R06', 'Antihistamine'],
+  ['A', 'Gastrointestinal'],
+  ['C', 'Cardiovascular'],
+  ['D', 'Dermatological'],
+  ['H', 'Hormonal'],
+  ['N', 'Neurological']
+];
+
+// openFDA established pharmacologic classes ("Penicillin-class Antibacterial [EPC]")
+const PHARM_CLASS_CATEGORIES = [
+  [/antibacterial|penicillin|cephalosporin|macrolide|tetracycline|quinolone/i, 'Antibiotic'],
+  [/antiviral|neuraminidase|reverse transcriptase|protease inhibitor/i, 'Antiviral'],
+  [/antifungal/i, 'Antifungal'],
+  [/histamine-1|histamine h1/i, 'Antihistamine'],
+  [/anti-inflammatory|opioid agonist|analgesic/i, 'Analgesic'],
+  [/insulin|biguanide|sulfonylurea|dipeptidyl peptidase|glucagon-like|sodium-glucose|thiazolidinedione/i, 'Diabetes'],
+  [/beta2-adrenergic agonist|bronchodilator|leukotriene/i, 'Respiratory'],
+  [/angiotensin|adrenergic beta|beta-adrenergic blocker|calcium channel blocker|diuretic|hmg-coa reductase|anticoagulant|platelet aggregation|vasodilator/i, 'Cardiovascular'],
+  [/proton pump|histamine-2|laxative|antiemetic|antidiarrheal/i, 'Gastrointestinal'],
+  [/serotonin reuptake|antidepressant|antipsychotic|benzodiazepine|central nervous system stimulant/i, 'Psychiatric'],
+  [/anti-epileptic|anticonvulsant|dopamine agonist|cholinesterase inhibitor|serotonin-1b/i, 'Neurological'],
+  [/estrogen|progestin|thyroid|androgen|corticosteroid/i, 'Hormonal'],
+  [/vitamin|mineral|dietary supplement/i, 'Supplement'],
+  [/retinoid/i, 'Dermatological']
+];
+
+const SMALL_WORDS = new Set(['and', 'with', 'of', 'in', 'for']);
+
+/**
+ * "AMOXICILLIN AND CLAVULANATE POTASSIUM" -> "Amoxicillin and Clavulanate Potassium"
+ * @param {string} text
+ * @returns {string}
+ */
+function titleCase(text) {
+  return String(text || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .split(' ')
+    .map((word, index) => (index > 0 && SMALL_WORDS.has(word)
+      ? word
+      : word.replace(/(^|[-/(])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase())))
+    .join(' ');
+}
+
+// Title case names written in one case ("MOTRIN IB", "ibuprofen"), keep mixed case as written
+const displayName = (text) => {
+  const name = String(text || '').trim().replace(/\s+/g, ' ');
+  return name === name.toUpperCase() || name === name.toLowerCase() ? titleCase(name) : name;
+};
+
+// Ingredient as the catalog names it: "CLAVULANATE POTASSIUM" -> "Clavulanate"
+const ingredientName = (name) => Medication.parseIngredients(titleCase(name))[0] || titleCase(name);
+
+/**
+ * "500 MG" -> "500mg", "50 MG/ML" -> "50mg/ml", "500 mg/1" -> "500mg"
+ * @param {string} strength
+ * @returns {string}
+ */
+function normalizeStrength(strength) {
+  return String(strength || '')
+    .toLowerCase()
+    .replace(/[[\]\s]/g, '')
+    .replace(/\/1$/, '');
+}
+
+/**
+ * Catalog dosage form for a source dose form ("Oral Tablet", "INJECTION, SOLUTION")
+ * @param {string} doseForm
+ * @returns {string|undefined}
+ */
+function mapDosageForm(doseForm) {
+  if (!doseForm) return undefined;
+  const match = DOSAGE_FORM_PATTERNS.find(([pattern]) => pattern.test(doseForm));
+  return match ? match[1] : 'Other';
+}
+
+const categoryFromAtc = (code) => ATC_CATEGORIES.find(([prefix]) => code.startsWith(prefix))?.[1];
+
+const categoryFromPharmClasses = (classes) => {
+  const text = classes.join(' ');
+  return PHARM_CLASS_CATEGORIES.find(([pattern]) => pattern.test(text))?.[1];
+};
+
+/**
+ * Format of a catalog file from its name, then its first line
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {string|null} One of FORMATS
+ */
+function detectFormat(fileName, text) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (extension === '.rrf') return 'rxnorm';
+  if (extension === '.json') return 'openfda-json';
+  if (['.csv', '.tsv'].includes(extension)) return 'openfda-csv';
+
+  const firstLine = text.trimStart().split(/\r?\n/, 1)[0] || '';
+  if (firstLine.startsWith('{') || firstLine.startsWith('[')) return 'openfda-json';
+  if (firstLine.split('|').length > RRF.SUPPRESS) return 'rxnorm';
+  if (/[,\t]/.test(firstLine)) return 'openfda-csv';
+  return null;
+}
+
+/**
+ * Records of one active ingredient set, collected into one medication
+ */
+class Draft {
+  constructor(ingredients) {
+    this.ingredients = ingredients;
+    this.name = ingredients.join('/');
+    this.line = null;
+    this.rxcui = null;
+    this.ndc = new Set();
+    this.genericNames = new Map();
+    this.brands = new Set();
+    this.synonyms = new Set();
+    this.strengths = new Map();
+    this.doseForms = new Map();
+    this.categories = new Map();
+  }
+
+  static keyOf(ingredients) {
+    return ingredients.map(Medication.ingredientKey).sort().join(' / ');
+  }
+
+  static count(map, value) {
+    if (value) map.set(value, (map.get(value) || 0) + 1);
+  }
+
+  static ranked(map) {
+    return [...map.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value);
+  }
+
+  /**
+   * A product (strength and dose form) of this ingredient set
+   * @param {Object} product - { strengths, doseForm, brand, genericName, ndc, category }
+   */
+  addProduct(product) {
+    if (product.strengths.every(Boolean)) {
+      Draft.count(this.strengths, product.strengths.join('/'));
+    }
+    Draft.count(this.doseForms, mapDosageForm(product.doseForm));
+    Draft.count(this.genericNames, product.genericName && displayName(product.genericName));
+    Draft.count(this.categories, product.category);
+    if (product.brand) this.brands.add(displayName(product.brand));
+    if (product.ndc) this.ndc.add(product.ndc);
+  }
+
+  /**
+   * Medication fields the records add up to
+   * @returns {Object}
+   */
+  toFields() {
+    const [strength] = Draft.ranked(this.strengths);
+    const combination = this.ingredients.length > 1;
+    const strengthParts = combination && strength ? strength.split('/') : [];
+    const fields = {
+      name: this.name,
+      genericName: Draft.ranked(this.genericNames)[0] || this.ingredients.join(' and '),
+      // Combination products carry their usual strength per ingredient
+      ingredients: this.ingredients.map((name, index) => ({
+        name,
+        ...(strengthParts.length === this.ingredients.length && { strength: strengthParts[index] })
+      })),
+      category: Draft.ranked(this.categories)[0] || 'Other',
+      dosageForm: Draft.ranked(this.doseForms)[0],
+      commonStrengths: Draft.ranked(this.strengths).slice(0, MAX_STRENGTHS),
+      externalIds: {
+        ...(this.rxcui && { rxcui: this.rxcui }),
+        ndc: [...this.ndc]
+      }
+    };
+
+    const known = new Set([fields.name, fields.genericName, ...this.ingredients].map(Medication.ingredientKey));
+    fields.aliases = [
+      ...[...this.brands].map(name => ({ name, type: 'brand' })),
+      ...[...this.synonyms].map(name => ({ name, type: 'synonym' }))
+    ]
+      .filter((alias) => {
+        const key = Medication.ingredientKey(alias.name);
+        if (known.has(key)) return false;
+        known.add(key);
+        return true;
+      })
+      .slice(0, MAX_ALIASES);
+    return fields;
+  }
+}
+
+/**
+ * Drafts keyed by ingredient set
+ */
+class DraftIndex {
+  constructor() {
+    this.drafts = new Map();
+  }
+
+  get(ingredients) {
+    return this.drafts.get(Draft.keyOf(ingredients));
+  }
+
+  getOrCreate(ingredients, line) {
+    const key = Draft.keyOf(ingredients);
+    if (!this.drafts.has(key)) {
+      const draft = new Draft(ingredients);
+      draft.line = line;
+      this.drafts.set(key, draft);
+    }
+    return this.drafts.get(key);
+  }
+
+  values() {
+    return [...this.drafts.values()];
+  }
+}
+
+/**
+ * Ingredients, strengths, dose form and brand of an RxNorm clinical or
+ * branded drug name
+ * @param {string} name - e.g. "amoxicillin 875 MG / clavulanate 125 MG Oral Tablet [Augmentin]"
+ * @returns {Object|null}
+ */
+function parseClinicalDrug(name) {
+  const brand = name.match(RX_BRAND)?.[1];
+  const segments = name.replace(RX_BRAND, '').replace(RX_QUANTITY, '').split(' / ');
+  const last = segments.pop().match(RX_LAST_COMPONENT);
+  const components = segments.map(segment => segment.match(RX_COMPONENT));
+  if (!last || components.some(component => !component)) return null;
+
+  const parts = [...components, last];
+  return {
+    ingredients: parts.map(part => ingredientName(part[1])),
+    strengths: parts.map(part => normalizeStrength(part[2])),
+    doseForm: last[3],
+    brand
+  };
+}
+
+/**
+ * RxNorm RRF extract: ingredient (IN) and multiple ingredient (MIN)
+ * concepts become medications, identified by their RXCUI; clinical and
+ * branded drugs (SCD, SBD) give their strengths, dose forms and brand
+ * names; synonyms (SY) become synonym aliases and ATC atoms set the category
+ * @param {string} text
+ * @param {Function} addIssue - (line, message, name)
+ * @returns {{ records: number, drafts: Array<Draft> }}
+ */
+function parseRxNorm(text, addIssue) {
+  const index = new DraftIndex();
+  const byRxcui = new Map();
+  const atcCodes = new Map();
+  const synonyms = [];
+  const products = [];
+  let records = 0;
+
+  text.split(/\r?\n/).forEach((row, position) => {
+    if (!row.trim()) return;
+    const line = position + 1;
+    const cells = row.split('|');
+    records += 1;
+    if (cells.length <= RRF.SUPPRESS) {
+      addIssue(line, 'Not an RXNCONSO.RRF row');
+      return;
+    }
+    if (cells[RRF.LAT] !== 'ENG' || !['', 'N'].includes(cells[RRF.SUPPRESS])) return;
+
+    const rxcui = cells[RRF.RXCUI];
+    const tty = cells[RRF.TTY];
+    const str = cells[RRF.STR];
+    if (cells[RRF.SAB] === 'ATC') {
+      if (/^[A-Z]\d\d/.test(cells[RRF.CODE])) atcCodes.set(rxcui, cells[RRF.CODE]);
+      return;
+    }
+    if (cells[RRF.SAB] !== 'RXNORM') return;
+
+    if (tty === 'IN' || tty === 'MIN') {
+      const draft = index.getOrCreate(str.split(' / ').map(ingredientName), line);
+      draft.rxcui = rxcui;
+      byRxcui.set(rxcui, draft);
+    } else if (tty === 'SY' || tty === 'TMSY') {
+      synonyms.push({ rxcui, name: str });
+    } else if (tty === 'SCD' || tty === 'SBD') {
+      const product = parseClinicalDrug(str);
+      if (product) {
+        products.push({ ...product, line, name: str });
+      } else {
+        addIssue(line, 'Could not read the strength and dose form', str);
+      }
+    }
+  });
+
+  synonyms.forEach(({ rxcui, name }) => byRxcui.get(rxcui)?.synonyms.add(name));
+  atcCodes.forEach((code, rxcui) => {
+    const draft = byRxcui.get(rxcui);
+    if (draft) Draft.count(draft.categories, categoryFromAtc(code));
+  });
+
+  const unmatched = new Set();
+  products.forEach((product) => {
+    const draft = index.get(product.ingredients);
+    if (draft) {
+      draft.addProduct(product);
+    } else if (!unmatched.has(Draft.keyOf(product.ingredients))) {
+      unmatched.add(Draft.keyOf(product.ingredients));
+      addIssue(product.line, `No ingredient (IN/MIN) row for ${product.ingredients.join(' / ')}`, product.name);
+    }
+  });
+
+  return { records, drafts: index.values() };
+}
+
+/**
+ * Group openFDA NDC products by ingredient set
+ * @param {Array<Object>} products - { line, ndc, brand, generic, doseForm, ingredients: [{ name, strength }], pharmClasses, marketingCategory }
+ * @param {Function} addIssue
+ * @returns {Array<Draft>}
+ */
+function draftsFromProducts(products, addIssue) {
+  const index = new DraftIndex();
+  products.forEach((product) => {
+    if (BULK_INGREDIENT.test(product.marketingCategory || '')) return;
+
+    const ingredients = product.ingredients.length > 0
+      ? product.ingredients
+      : Medication.parseIngredients(titleCase(product.generic)).map(name => ({ name }));
+    if (ingredients.length === 0) {
+      addIssue(product.line, 'No active ingredients or generic name', product.brand || product.ndc);
+      return;
+    }
+
+    const names = ingredients.map(ingredient => ingredientName(ingredient.name));
+    index.getOrCreate(names, product.line).addProduct({
+      strengths: ingredients.map(ingredient => normalizeStrength(ingredient.strength)),
+      doseForm: product.doseForm,
+      brand: product.brand,
+      genericName: product.generic,
+      ndc: product.ndc,
+      category: categoryFromPharmClasses(product.pharmClasses)
+    });
+  });
+  return index.values();
+}
+
+/**
+ * openFDA NDC JSON: a drug/ndc download or API response ({ results: [...] })
+ * @param {string} text
+ * @param {Function} addIssue
+ * @returns {{ records: number, drafts: Array<Draft> }}
+ */
+function parseOpenFdaJson(text, addIssue) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw AppError.validation(`The file is not valid JSON: ${error.message}`);
+  }
+  const results = Array.isArray(data) ? data : data?.results;
+  if (!Array.isArray(results)) {
+    throw AppError.validation('Expected an openFDA NDC file with a "results" array');
+  }
+
+  const products = results.map((product, position) => ({
+    line: position + 1,
+    ndc: product.product_ndc,
+    brand: product.brand_name,
+    generic: product.generic_name,
+    doseForm: product.dosage_form,
+    ingredients: (product.active_ingredients || []).map(ingredient => ({
+      name: ingredient.name,
+      strength: ingredient.strength
+    })),
+    pharmClasses: product.pharm_class || [],
+    marketingCategory: product.marketing_category
+  }));
+  return { records: results.length, drafts: draftsFromProducts(products, addIssue) };
+}
+
+/**
+ * openFDA NDC CSV or TSV, with openFDA field names or FDA product.txt columns
+ * @param {string} text
+ * @param {Function} addIssue
+ * @returns {{ records: number, drafts: Array<Draft> }}
+ */
+function parseOpenFdaCsv(text, addIssue) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const [header = [], ...rows] = parseCsv(content, firstLine.includes('\t') ? '\t' : ',');
+  const columns = header.map(name => name.trim().toLowerCase());
+  const columnOf = (field) => CSV_COLUMNS[field].map(name => columns.indexOf(name)).find(position => position >= 0);
+  if (columnOf('generic') === undefined && columnOf('substances') === undefined) {
+    throw AppError.validation('The CSV needs a generic_name or active_ingredients column (NONPROPRIETARYNAME or SUBSTANCENAME in product.txt)');
+  }
+  const cell = (cells, field) => (columnOf(field) === undefined ? '' : (cells[columnOf(field)] || '').trim());
+  const list = (value) => value.split(';').map(item => item.trim());
+
+  const products = rows.map((cells, position) => {
+    const strengths = list(cell(cells, 'strengths'));
+    const units = list(cell(cells, 'units'));
+    return {
+      line: position + 2,
+      ndc: cell(cells, 'ndc'),
+      brand: cell(cells, 'brand'),
+      generic: cell(cells, 'generic'),
+      doseForm: cell(cells, 'dosageForm'),
+      ingredients: list(cell(cells, 'substances')).filter(Boolean).map((name, position) => ({
+        name,
+        strength: [strengths[position], units[position]].filter(Boolean).join(' ')
+      })),
+      pharmClasses: [cell(cells, 'pharmClasses')],
+      marketingCategory: cell(cells, 'marketingCategory')
+    };
+  });
+  return { records: rows.length, drafts: draftsFromProducts(products, addIssue) };
+}
+
+const PARSERS = {
+  rxnorm: parseRxNorm,
+  'openfda-json': parseOpenFdaJson,
+  'openfda-csv': parseOpenFdaCsv
+};
+
+/**
+ * The catalog medication a draft updates: same RxNorm concept, one of its
+ * NDCs, or a verified medication under its name or generic name
+ * @param {Object} fields - Draft fields
+ * @returns {Promise<Object|null>} Medication document
+ */
+async function findExisting(fields) {
+  if (fields.externalIds.rxcui) {
+    const medication = await Medication.findOne({ 'externalIds.rxcui': fields.externalIds.rxcui });
+    if (medication) return medication;
+  }
+  if (fields.externalIds.ndc.length > 0) {
+    const medication = await Medication.findOne({ 'externalIds.ndc': { $in: fields.externalIds.ndc } });
+    if (medication) return medication;
+  }
+  for (const name of [fields.name, fields.genericName]) {
+    const medication = await Medication.findByAnyName(name);
+    if (medication?.isVerified) return medication;
+  }
+  return null;
+}
+
+/**
+ * What a draft adds to an existing medication: missing generic name,
+ * category, dosage form and ingredients, new strengths, brand names and
+ * identifiers. Curated values are never replaced.
+ * @param {Object} medication - Existing medication
+ * @param {Object} fields - Draft fields
+ * @returns {Object} Paths to set
+ */
+function planUpdate(medication, fields) {
+  const update = {};
+
+  if (!medication.genericName && fields.genericName) update.genericName = fields.genericName;
+  if ((!medication.category || medication.category === 'Other') && fields.category !== 'Other') {
+    update.category = fields.category;
+  }
+  if (!medication.dosageForm && fields.dosageForm) update.dosageForm = fields.dosageForm;
+  if ((medication.ingredients || []).length === 0) update.ingredients = fields.ingredients;
+
+  const strengths = medication.commonStrengths || [];
+  const knownStrengths = new Set(strengths.map(strength => strength.toLowerCase()));
+  const newStrengths = fields.commonStrengths.filter(strength => !knownStrengths.has(strength.toLowerCase()));
+  const strengthRoom = MAX_STRENGTHS - strengths.length;
+  if (newStrengths.length > 0 && strengthRoom > 0) {
+    update.commonStrengths = [...strengths, ...newStrengths.slice(0, strengthRoom)];
+  }
+
+  const aliases = (medication.aliases || []).map(alias => ({ name: alias.name, type: alias.type }));
+  const knownNames = new Set([medication.name, medication.genericName, ...aliases.map(alias => alias.name)]
+    .filter(Boolean)
+    .map(Medication.ingredientKey));
+  const newAliases = fields.aliases.filter(alias => !knownNames.has(Medication.ingredientKey(alias.name)));
+  const aliasRoom = MAX_ALIASES - aliases.length;
+  if (newAliases.length > 0 && aliasRoom > 0) {
+    update.aliases = [...aliases, ...newAliases.slice(0, aliasRoom)];
+  }
+
+  const externalIds = medication.externalIds || {};
+  if (fields.externalIds.rxcui && !externalIds.rxcui) update['externalIds.rxcui'] = fields.externalIds.rxcui;
+  const ndc = externalIds.ndc || [];
+  const newNdc = fields.externalIds.ndc.filter(code => !ndc.includes(code));
+  if (newNdc.length > 0) update['externalIds.ndc'] = [...ndc, ...newNdc];
+
+  return update;
+}
+
+/**
+ * Validation messages of a failed save, or the error message
+ * @param {Error} error
+ * @returns {string}
+ */
+function messageOf(error) {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(e => e.message).join('. ');
+  }
+  if (error.code === 11000) {
+    return 'Another medication already has this RxNorm identifier';
+  }
+  return error.message;
+}
+
+/**
+ * Parse a catalog file and record its import job as pending. The file is
+ * parsed and grouped first, so an unreadable file fails with a 400 before
+ * any job is recorded.
+ * @param {Object} options
+ * @param {string} options.text - File contents
+ * @param {string} [options.fileName] - Original file name, used to detect the format
+ * @param {string} [options.format] - One of FORMATS; detected when omitted
+ * @param {boolean} [options.dryRun=false] - Report planned changes without writing them
+ * @param {Object} options.user - Acting user; owner of created medications
+ * @param {Object} [options.req] - Express request, for the audit log
+ * @param {string} [options.origin='upload'] - 'upload' or 'cli'
+ * @returns {Promise<{ job: Object, run: Function }>} The pending job, and the
+ *   function that imports its medications and resolves to the finished job
+ */
+async function prepareImport({ text, fileName, format, dryRun = false, user, req, origin = 'upload' }) {
+  const resolvedFormat = format || detectFormat(fileName, text);
+  if (!FORMATS.includes(resolvedFormat)) {
+    throw AppError.validation(`Could not tell the file format; set format to one of: ${FORMATS.join(', ')}`);
+  }
+
+  const issues = [];
+  let issueCount = 0;
+  const addIssue = (line, message, name) => {
+    issueCount += 1;
+    if (issues.length < MAX_ISSUES) issues.push({ line, name, message });
+  };
+  const { records, drafts } = PARSERS[resolvedFormat](text, addIssue);
+
+  const job = await MedicationImportJob.create({
+    format: resolvedFormat,
+    fileName,
+    dryRun,
+    origin,
+    requestedBy: user._id,
+    counts: { records, medications: drafts.length }
+  });
+
+  const run = async () => {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+
+    const preview = [];
+    const report = (action, fields, details = {}) => {
+      job.counts[{ create: 'created', update: 'updated', unchanged: 'unchanged', skip: 'skipped', fail: 'failed' }[action]] += 1;
+      if (preview.length < config.medicationImport.previewLimit) {
+        preview.push({
+          action,
+          name: fields.name,
+          genericName: fields.genericName,
+          category: fields.category,
+          dosageForm: fields.dosageForm,
+          ingredients: fields.ingredients.map(ingredient => ingredient.name),
+          aliases: fields.aliases.map(alias => alias.name),
+          commonStrengths: fields.commonStrengths,
+          externalIds: fields.externalIds,
+          ...details
+        });
+      }
+    };
+
+    try {
+      for (const draft of drafts) {
+        const fields = draft.toFields();
+        try {
+          const existing = await findExisting(fields);
+
+          if (existing && !existing.isActive) {
+            report('skip', fields, { medication: existing._id, reason: 'Deactivated in the catalog' });
+            continue;
+          }
+
+          if (existing) {
+            const update = planUpdate(existing, fields);
+            const changes = Object.keys(update);
+            if (changes.length === 0) {
+              report('unchanged', fields, { medication: existing._id });
+              continue;
+            }
+            existing.set(update);
+            existing.importJob = job._id;
+            if (dryRun) {
+              await existing.validate();
+            } else {
+              await existing.save();
+            }
+            report('update', fields, { medication: existing._id, changes });
+            continue;
+          }
+
+          const medication = new Medication({
+            ...fields,
+            source: 'predefined',
+            createdBy: user._id,
+            creatorRole: user.role,
+            importJob: job._id
+          });
+          if (dryRun) {
+            await medication.validate();
+            report('create', fields);
+          } else {
+            await medication.save();
+            report('create', fields, { medication: medication._id });
+          }
+        } catch (error) {
+          // A medication that does not validate fails alone; anything else fails the job
+          if (error.name !== 'ValidationError' && error.code !== 11000) throw error;
+          addIssue(draft.line, messageOf(error), fields.name);
+          report('fail', fields, { reason: messageOf(error) });
+        }
+      }
+
+      job.status = 'completed';
+    } catch (error) {
+      console.error(`[MedicationImport] Job ${job._id} failed:`, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.preview = preview;
+    job.issues = issues;
+    job.finishedAt = new Date();
+    await job.save();
+
+    if (!dryRun && job.counts.created + job.counts.updated > 0) {
+      fuzzySearchService.invalidateIndex();
+    }
+    if (!dryRun) {
+      await auditService.record({
+        req,
+        actor: req ? undefined : user,
+        action: 'medication.import',
+        entityType: 'MedicationImportJob',
+        entityId: job._id,
+        metadata: {
+          format: resolvedFormat,
+          fileName,
+          origin,
+          ...job.toObject().counts,
+          issues: issueCount
+        }
+      });
+    }
+
+    return job;
+  };
+
+  return { job, run };
+}
+
+/**
+ * Import a catalog file and wait for it to finish (command line)
+ * @param {Object} options - See prepareImport
+ * @returns {Promise<Object>} The finished MedicationImportJob
+ */
+async function importCatalog(options) {
+  const { run } = await prepareImport(options);
+  return run();
+}
+
+/**
+ * Start importing an uploaded catalog file. Matching and saving takes one or
+ * more queries per medication, too long for a request on a full release, so
+ * it runs after the response; clients poll the job until it is completed or
+ * failed.
+ * @param {Object} options - See prepareImport
+ * @returns {Promise<Object>} The pending MedicationImportJob
+ */
+async function startImport(options) {
+  const { job, run } = await prepareImport(options);
+  const pending = job.toObject();
+
+  setImmediate(() => {
+    run().catch((error) => {
+      console.error(`[MedicationImport] Job ${job._id} could not be finished:`, error.message);
+    });
+  });
+
+  return pending;
+}
+
+/**
+ * Recent import jobs, newest first, without their previews
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{ jobs: Array<Object>, total: number }>}
+ */
+async function listJobs({ page = 1, limit = 20 } = {}) {
+  const [jobs, total] = await Promise.all([
+    MedicationImportJob.find()
+      .select('-preview -issues')
+      .populate('requestedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    MedicationImportJob.countDocuments()
+  ]);
+  return { jobs, total };
+}
+
+/**
+ * One import job with its preview and issues
+ * @param {string} jobId
+ * @returns {Promise<Object>}
+ */
+async function getJob(jobId) {
+  const job = await MedicationImportJob.findById(jobId)
+    .populate('requestedBy', 'firstName lastName email')
+    .lean();
+  if (!job) throw AppError.notFound('Import job');
+  return job;
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseClinicalDrug,
+  mapDosageForm,
+  importCatalog,
+  startImport,
+  listJobs,
+  getJob
+};
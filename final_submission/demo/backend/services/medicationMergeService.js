@@ -0,0 +1,340 @@
+/**
+ * Medication Merge Service
+ *
+ * Review queue for patient-created medications that duplicate catalog
+ * entries ("Amoxicilin", "amoxicillin 500", "Amoxil") and the merge that
+ * folds such an entry into a verified medication. Candidates come from the
+ * fuzzy search index (names, generic names, brand names and ingredients);
+ * a merge re-points every report, symptom progression and product lot, adds
+ * the usage count and keeps the entry's name as a synonym so the next
+ * patient typing it gets the verified medication straight away.
+ *
+ * @module services/medicationMergeService
+ */
+
+const Medication = require('../models/Medication');
+const ReportSideEffect = require('../models/ReportSideEffect');
+const SymptomProgression = require('../models/SymptomProgression');
+const AppError = require('../utils/appError');
+const auditService = require('./auditService');
+const fuzzySearchService = require('./fuzzySearchService');
+const lotService = require('./lotService');
+
+/**
+ * Configuration for duplicate detection thresholds
+ */
+const MERGE_CONFIG = {
+  // Minimum similarity (0-1) for an entry to be listed as a likely duplicate
+  MIN_SCORE: 0.75,
+
+  // Verified candidates suggested per entry
+  MAX_CANDIDATES: 3,
+
+  // Unverified entries considered per review queue
+  MAX_QUEUE: 200
+};
+
+// Strengths ("500", "500mg", "10 mg/5ml") and dosage forms say nothing about
+// which medication an entry is
+const STRENGTH = /\b\d+(?:[.,]\d+)?\s*(?:mg|mcg|µg|g|ml|iu|units?|%)?(?:\s*\/\s*\d*(?:[.,]\d+)?\s*(?:mg|mcg|g|ml))?\b/gi;
+const DOSAGE_FORM = /\b(?:tablets?|tabs?|capsules?|caps?|pills?|syrup|suspension|solution|injection|cream|ointment|gel|drops|inhaler|patch|er|xr|xl|sr|dr|oral)\b/gi;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+/**
+ * Reduce a medication name to what identifies the medicine
+ * @param {string} name - Name as entered, e.g. "Amoxicillin 500mg caps"
+ * @returns {string} e.g. "amoxicillin"
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(STRENGTH, ' ')
+    .replace(DOSAGE_FORM, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Matching a combination product by one of its ingredients is weaker
+// evidence than matching a single-ingredient product by name
+const INGREDIENT_MATCH_WEIGHT = 0.9;
+
+/**
+ * Every name a medication is known under, with how much a match on it counts
+ * @param {Object} medication
+ * @returns {Array<{ name: string, weight: number }>}
+ */
+function namesOf(medication) {
+  const ingredients = medication.ingredients || [];
+  const ingredientWeight = ingredients.length > 1 ? INGREDIENT_MATCH_WEIGHT : 1;
+  return [
+    { name: medication.name, weight: 1 },
+    { name: medication.genericName, weight: 1 },
+    ...(medication.aliases || []).map(alias => ({ name: alias.name, weight: 1 })),
+    ...ingredients.map(ingredient => ({ name: ingredient.name, weight: ingredientWeight }))
+  ].filter(entry => entry.name);
+}
+
+/**
+ * Best similarity between a normalized name and any name of a medication
+ * @param {string} query - Normalized name
+ * @param {Object} medication
+ * @returns {{ score: number, matchedOn: string|null }}
+ */
+function bestSimilarity(query, medication) {
+  return namesOf(medication).reduce((best, { name, weight }) => {
+    const normalized = normalizeName(name);
+    const score = normalized ? fuzzySearchService.calculateStringSimilarity(query, normalized) * weight : 0;
+    return score > best.score ? { score, matchedOn: name } : best;
+  }, { score: 0, matchedOn: null });
+}
+
+/**
+ * Verified medications an entry most likely duplicates. The fuzzy index
+ * finds the candidates; they are ranked by string similarity to their
+ * closest name.
+ * @param {Object} medication - The (unverified) entry
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum candidates
+ * @param {number} [options.minScore] - Minimum similarity
+ * @returns {Promise<Array<{ medication: Object, score: number, matchedOn: string }>>}
+ */
+async function findCandidates(medication, { limit = MERGE_CONFIG.MAX_CANDIDATES, minScore = MERGE_CONFIG.MIN_SCORE } = {}) {
+  const query = normalizeName(medication.name) || medication.name.toLowerCase();
+  const results = await fuzzySearchService.fuzzySearch(query, { maxResults: 20, minScore: 0 });
+
+  return results
+    .filter(result => result.medicine.isVerified && toId(result.medicine) !== toId(medication))
+    .map((result) => {
+      const { score, matchedOn } = bestSimilarity(query, result.medicine);
+      return {
+        medication: result.medicine,
+        score: Math.round(score * 1000) / 1000,
+        matchedOn
+      };
+    })
+    .filter(candidate => candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Unverified patient-created medications grouped into clusters of likely
+ * duplicates. Entries resembling a verified medication are grouped under
+ * it; entries only resembling each other form a cluster without a target,
+ * for a doctor to verify one of them and merge the rest into it.
+ * @returns {Promise<Object>} { clusters, totalUnverified, clusteredEntries }
+ */
+async function getReviewQueue() {
+  const unverified = await Medication.find({ isActive: true, isVerified: false, source: 'patient' })
+    .populate('createdBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .limit(MERGE_CONFIG.MAX_QUEUE)
+    .lean();
+
+  const reportCounts = await ReportSideEffect.aggregate([
+    { $match: { medicine: { $in: unverified.map(medication => medication._id) }, isDeleted: false } },
+    { $group: { _id: '$medicine', count: { $sum: 1 } } }
+  ]);
+  const reportsById = new Map(reportCounts.map(row => [toId(row._id), row.count]));
+
+  const entries = [];
+  for (const medication of unverified) {
+    entries.push({
+      medication,
+      normalizedName: normalizeName(medication.name),
+      reportCount: reportsById.get(toId(medication)) || 0,
+      candidates: await findCandidates(medication)
+    });
+  }
+
+  const clusters = new Map();
+  const addToCluster = (key, target, entry, score, matchedOn) => {
+    if (!clusters.has(key)) clusters.set(key, { target, score: 0, entries: [] });
+    const cluster = clusters.get(key);
+    cluster.entries.push({
+      medication: entry.medication,
+      reportCount: entry.reportCount,
+      score,
+      matchedOn,
+      candidates: entry.candidates
+    });
+    cluster.score = Math.max(cluster.score, score);
+  };
+
+  // Entries resembling a verified medication join its cluster
+  const unmatched = [];
+  entries.forEach((entry) => {
+    const [best] = entry.candidates;
+    if (best) {
+      addToCluster(toId(best.medication), best.medication, entry, best.score, best.matchedOn);
+    } else {
+      unmatched.push(entry);
+    }
+  });
+
+  // The rest are grouped with similar unmatched entries (single link)
+  const parent = unmatched.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const similarity = unmatched.map(() => 0);
+  unmatched.forEach((x, i) => {
+    unmatched.slice(i + 1).forEach((y, offset) => {
+      const j = i + 1 + offset;
+      const score = x.normalizedName && y.normalizedName
+        ? fuzzySearchService.calculateStringSimilarity(x.normalizedName, y.normalizedName)
+        : 0;
+      if (score >= MERGE_CONFIG.MIN_SCORE) {
+        parent[find(j)] = find(i);
+        similarity[i] = Math.max(similarity[i], score);
+        similarity[j] = Math.max(similarity[j], score);
+      }
+    });
+  });
+  const groups = new Map();
+  unmatched.forEach((entry, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+  groups.forEach((members, root) => {
+    if (members.length < 2) return;
+    members.forEach((index) => {
+      const score = Math.round(similarity[index] * 1000) / 1000;
+      addToCluster(`unmatched:${root}`, null, unmatched[index], score, null);
+    });
+  });
+
+  const sorted = [...clusters.values()].sort((a, b) =>
+    b.entries.length - a.entries.length || b.score - a.score
+  );
+
+  return {
+    clusters: sorted,
+    totalUnverified: unverified.length,
+    clusteredEntries: sorted.reduce((sum, cluster) => sum + cluster.entries.length, 0)
+  };
+}
+
+/**
+ * Merge a patient-created entry into a verified medication: re-point its
+ * reports, symptom progressions and lots, add its usage count, keep its
+ * name as a synonym and deactivate it. The merge is recorded on the
+ * target's mergeHistory and in the audit log.
+ * @param {string} sourceId - Unverified, patient-created medication
+ * @param {string} targetId - Verified medication to merge into
+ * @param {Object} options
+ * @param {Object} options.req - Express request (acting user)
+ * @param {string} [options.reason] - Why the entries are the same medicine
+ * @param {boolean} [options.keepNameAsAlias=true] - Add the entry's name as a synonym
+ * @returns {Promise<{ medication: Object, merge: Object }>}
+ */
+async function merge(sourceId, targetId, { req, reason, keepNameAsAlias = true }) {
+  if (toId(sourceId) === toId(targetId)) {
+    throw AppError.validation('A medication cannot be merged into itself');
+  }
+
+  const [source, target] = await Promise.all([
+    Medication.findById(sourceId),
+    Medication.findById(targetId)
+  ]);
+  if (!source) throw AppError.notFound('Medication');
+  if (!target || !target.isActive) throw AppError.notFound('Target medication');
+  if (source.mergedInto) {
+    throw AppError.conflict('This medication has already been merged');
+  }
+  if (!source.isActive || source.isVerified || source.source !== 'patient') {
+    throw AppError.validation('Only active, unverified patient-created medications can be merged');
+  }
+  if (!target.isVerified) {
+    throw AppError.validation('Medications can only be merged into a verified medication');
+  }
+
+  // Claim the entry before moving anything, so a concurrent merge of the
+  // same entry cannot split its references between two targets
+  const claimed = await Medication.findOneAndUpdate(
+    { _id: source._id, mergedInto: null, isActive: true },
+    { $set: { mergedInto: target._id } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw AppError.conflict('This medication has already been merged');
+  }
+
+  const before = target.toObject();
+  const query = normalizeName(source.name) || source.name.toLowerCase();
+  const { score } = bestSimilarity(query, target);
+
+  let entry;
+  try {
+    // References first, so a failure part-way leaves the entry to merge again.
+    // Reports are saved one by one so the new suspect medicine shows in their history
+    let reportsMoved = 0;
+    for await (const report of ReportSideEffect.find({ medicine: source._id }).cursor()) {
+      report.medicine = target._id;
+      report.lastModifiedBy = req.user._id;
+      report.$locals.versionActor = { actor: 'user', source: 'medication_merge' };
+      await report.save();
+      reportsMoved++;
+    }
+    const progressions = await SymptomProgression.updateMany({ medicine: source._id }, { $set: { medicine: target._id } });
+    // Batches reported against the entry are batches of the target
+    await lotService.moveLots(source._id, target._id);
+
+    entry = {
+      medication: source._id,
+      name: source.name,
+      genericName: source.genericName || undefined,
+      createdBy: source.createdBy,
+      usageCount: source.usageCount,
+      reportsMoved,
+      progressionsMoved: progressions.modifiedCount,
+      score: Math.round(score * 1000) / 1000,
+      reason,
+      mergedBy: req.user._id,
+      mergedAt: new Date()
+    };
+
+    target.usageCount += source.usageCount;
+    const knownNames = new Set(namesOf(target).map(({ name }) => normalizeName(name)));
+    if (keepNameAsAlias && !knownNames.has(normalizeName(source.name))) {
+      target.aliases.push({ name: source.name, type: 'synonym' });
+    }
+    target.mergeHistory.push(entry);
+    await target.save();
+  } catch (error) {
+    // Release the claim so the entry can be merged again
+    await Medication.updateOne({ _id: source._id, mergedInto: target._id }, { $set: { mergedInto: null } });
+    throw error;
+  }
+
+  claimed.isActive = false;
+  await claimed.save();
+
+  fuzzySearchService.invalidateIndex();
+
+  await auditService.record({
+    req,
+    action: 'medication.merge',
+    entityType: 'Medication',
+    entityId: target._id,
+    before,
+    after: target,
+    metadata: {
+      mergedMedication: source._id.toString(),
+      mergedName: source.name,
+      reportsMoved: entry.reportsMoved,
+      progressionsMoved: entry.progressionsMoved,
+      reason
+    }
+  });
+
+  return { medication: target, merge: entry };
+}
+
+module.exports = {
+  MERGE_CONFIG,
+  normalizeName,
+  findCandidates,
+  getReviewQueue,
+  merge
+};
@@ -0,0 +1,406 @@
+/**
+ * Notification Rule Service
+ *
+ * Evaluates admin-defined notification rules (see the NotificationRule
+ * model) against reports when they are created, when an AI analysis of
+ * them completes and when their status changes, and on a schedule for
+ * reports still unreviewed after a rule's unreviewedAfterHours. A matching
+ * rule notifies its recipients once per report and event.
+ *
+ * Until a report_created rule is enabled, or with config.notificationRules
+ * disabled, new serious reports keep going to every doctor and admin
+ * (notificationService.notifyStaffUrgentReport).
+ *
+ * @module services/notificationRuleService
+ */
+
+const NotificationRule = require('../models/NotificationRule');
+const NotificationRuleFiring = require('../models/NotificationRuleFiring');
+const ReportSideEffect = require('../models/ReportSideEffect');
+const User = require('../models/User');
+const config = require('../config/config');
+const notificationService = require('./notificationService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Ordered values of the fields gte / lte compare
+const ORDERS = {
+  severity: ['Mild', 'Moderate', 'Severe', 'Life-threatening'],
+  priority: ['Low', 'Medium', 'High', 'Critical']
+};
+
+// Values a condition can compare each field with; medicine takes Medication IDs
+const reportSchema = ReportSideEffect.schema;
+const FIELD_VALUES = {
+  ...ORDERS,
+  seriousness: reportSchema.path('reportDetails.seriousness').enumValues,
+  bodySystem: reportSchema.path('sideEffects').schema.path('bodySystem').enumValues,
+  status: reportSchema.path('status').enumValues
+};
+
+// Report statuses that have not been through review yet
+const UNREVIEWED_STATUSES = ['Submitted', 'Under Review'];
+
+// Report fields rules read
+const REPORT_FIELDS = 'medicine patient status priority sideEffects.severity sideEffects.bodySystem ' +
+  'sideEffects.effect reportDetails.seriousness metadata.aiAnalysis.severity metadata.aiAnalysis.bodySystemsAffected createdAt';
+
+let timer = null;
+let running = null;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const highest = (values, order) => values
+  .filter(value => order.includes(value))
+  .sort((a, b) => order.indexOf(b) - order.indexOf(a))[0];
+
+/**
+ * Values of a rule field on a report. Severity is the highest of the
+ * reported and AI-assessed severities; body systems combine both too.
+ * @param {Object} report
+ * @param {string} field - One of NotificationRule.FIELDS
+ * @returns {Array<string>} Values; any of them can match
+ */
+function valuesOf(report, field) {
+  const sideEffects = report.sideEffects || [];
+  const aiAnalysis = report.metadata?.aiAnalysis || {};
+
+  switch (field) {
+    case 'severity': {
+      const level = highest(
+        [...sideEffects.map(effect => effect.severity), aiAnalysis.severity?.level],
+        ORDERS.severity
+      );
+      return level ? [level] : [];
+    }
+    case 'priority':
+      return report.priority ? [report.priority] : [];
+    case 'seriousness':
+      return report.reportDetails?.seriousness ? [report.reportDetails.seriousness] : [];
+    case 'bodySystem':
+      return [...new Set([
+        ...sideEffects.map(effect => effect.bodySystem),
+        ...(aiAnalysis.bodySystemsAffected || [])
+      ].filter(Boolean))];
+    case 'medicine':
+      return report.medicine ? [toId(report.medicine)] : [];
+    case 'status':
+      return report.status ? [report.status] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Whether one condition holds for a report
+ * @param {Object} condition - { field, operator, value }
+ * @param {Object} report
+ * @returns {boolean}
+ */
+function conditionMatches({ field, operator, value }, report) {
+  const values = valuesOf(report, field).map(v => v.toLowerCase());
+  const expected = (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase());
+
+  switch (operator) {
+    case 'eq':
+      return values.includes(expected[0]);
+    case 'ne':
+      return !values.includes(expected[0]);
+    case 'in':
+      return values.some(v => expected.includes(v));
+    case 'gte':
+    case 'lte': {
+      const order = (ORDERS[field] || []).map(v => v.toLowerCase());
+      const threshold = order.indexOf(expected[0]);
+      if (threshold < 0) return false;
+      return values.some((v) => {
+        const rank = order.indexOf(v);
+        return rank >= 0 && (operator === 'gte' ? rank >= threshold : rank <= threshold);
+      });
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether a rule's conditions all hold for a report
+ * @param {Object} rule
+ * @param {Object} report
+ * @returns {boolean}
+ */
+function matches(rule, report) {
+  return (rule.conditions || []).every(condition => conditionMatches(condition, report));
+}
+
+/**
+ * Whether a report has waited for review longer than a rule allows
+ */
+function isUnreviewed(rule, report, now = new Date()) {
+  return UNREVIEWED_STATUSES.includes(report.status) &&
+    new Date(report.createdAt).getTime() <= now.getTime() - rule.unreviewedAfterHours * HOUR_MS;
+}
+
+/**
+ * Active users a rule notifies
+ * @param {Object} rule
+ * @returns {Promise<Array<Object>>} Users with names and roles
+ */
+async function resolveRecipients(rule) {
+  const { roles = [], specializations = [], users = [] } = rule.recipients || {};
+  const or = [];
+  if (roles.length > 0) or.push({ role: { $in: roles } });
+  if (specializations.length > 0) {
+    or.push({
+      role: 'doctor',
+      'doctorInfo.specialization': { $in: specializations.map(s => new RegExp(`^${s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')) }
+    });
+  }
+  if (users.length > 0) or.push({ _id: { $in: users }, role: { $in: ['doctor', 'admin'] } });
+  if (or.length === 0) return [];
+
+  return User.find({ $or: or, isActive: { $ne: false } })
+    .select('firstName lastName role doctorInfo.specialization')
+    .lean();
+}
+
+/**
+ * Notification a rule sends about a report
+ */
+function buildNotification(rule, report) {
+  const medicineName = report.medicine?.name || 'Unknown medication';
+  const severity = valuesOf(report, 'severity')[0] || 'Unknown';
+  const waited = rule.trigger === 'unreviewed'
+    ? ` It has not been reviewed for more than ${rule.unreviewedAfterHours} hours.`
+    : '';
+
+  return {
+    type: 'rule_alert',
+    title: rule.notification?.title || `${rule.name}: ${medicineName}`,
+    message: rule.notification?.message ||
+      `ADR report for ${medicineName} (severity ${severity}, status ${report.status}) matches "${rule.name}".${waited}`,
+    priority: rule.notification?.priority || 'high',
+    relatedReport: report._id,
+    metadata: {
+      medicineName,
+      severity,
+      reportId: report._id.toString(),
+      ruleId: rule._id.toString(),
+      ruleName: rule.name
+    }
+  };
+}
+
+/**
+ * Record a firing and notify the rule's recipients, unless the rule already
+ * fired for this report and event
+ * @returns {Promise<number>} Users notified
+ */
+async function fire(rule, report, eventKey) {
+  const recipients = await resolveRecipients(rule);
+  // The unique firing is the claim: with every backend instance checking,
+  // only the one that records it notifies
+  let firing;
+  try {
+    firing = await NotificationRuleFiring.create({
+      rule: rule._id,
+      report: report._id,
+      trigger: rule.trigger,
+      eventKey,
+      recipients: recipients.map(user => user._id)
+    });
+  } catch (error) {
+    if (error.code === 11000) return 0;
+    throw error;
+  }
+
+  const notification = buildNotification(rule, report);
+  // notify() logs its own failures and resolves without a notification
+  const sent = (await Promise.all(recipients.map(user =>
+    notificationService.notify({ ...notification, recipientId: user._id })
+  ))).filter(Boolean);
+  if (recipients.length > 0 && sent.length === 0) {
+    // Nobody was notified: give the claim back so the next check retries it
+    await NotificationRuleFiring.deleteOne({ _id: firing._id });
+    throw new Error(`Rule ${rule._id} could not notify any of its ${recipients.length} recipients`);
+  }
+  if (sent.length < recipients.length) {
+    console.error(`[Rules] Rule ${rule._id} notified ${sent.length} of ${recipients.length} recipients`);
+  }
+  await NotificationRule.updateOne(
+    { _id: rule._id },
+    { $inc: { fireCount: 1 }, $set: { lastFiredAt: new Date() } }
+  );
+  return sent.length;
+}
+
+/**
+ * Evaluate the enabled rules of a trigger against a report
+ * @param {string} trigger - 'report_created', 'analysis_completed' or 'status_changed'
+ * @param {string|Object} reportId - Report or its ID
+ * @param {Object} [options] - { eventKey: identifies the event, defaults to the trigger }
+ * @returns {Promise<{ rules: number, fired: number, notified: number }>} Enabled rules, rules fired, users notified
+ */
+async function evaluate(trigger, reportId, { eventKey = trigger } = {}) {
+  const rules = config.notificationRules.enabled
+    ? await NotificationRule.find({ trigger, enabled: true }).lean()
+    : [];
+  const result = { rules: rules.length, fired: 0, notified: 0 };
+  if (rules.length === 0) return result;
+
+  const report = await ReportSideEffect.findById(toId(reportId))
+    .select(REPORT_FIELDS)
+    .populate('medicine', 'name')
+    .lean();
+  if (!report) return result;
+
+  for (const rule of rules.filter(candidate => matches(candidate, report))) {
+    try {
+      const notified = await fire(rule, report, eventKey);
+      if (notified > 0) {
+        result.fired++;
+        result.notified += notified;
+      }
+    } catch (error) {
+      console.error(`[Rules] Rule ${rule._id} failed for report ${report._id}:`, error.message);
+    }
+  }
+  return result;
+}
+
+/**
+ * Fire 'unreviewed' rules for reports that waited too long. Only reports
+ * that passed the limit after the rule was created are considered, so a
+ * new rule does not go off for the whole backlog.
+ * @returns {Promise<number>} Rules fired
+ */
+async function checkUnreviewed() {
+  const now = new Date();
+  const rules = await NotificationRule.find({ trigger: 'unreviewed', enabled: true }).lean();
+
+  let fired = 0;
+  for (const rule of rules) {
+    const limitMs = rule.unreviewedAfterHours * HOUR_MS;
+    const reports = await ReportSideEffect.find({
+      isDeleted: false,
+      status: { $in: UNREVIEWED_STATUSES },
+      createdAt: {
+        $lte: new Date(now.getTime() - limitMs),
+        $gte: new Date(new Date(rule.createdAt).getTime() - limitMs)
+      }
+    })
+      .select(REPORT_FIELDS)
+      .populate('medicine', 'name')
+      .lean();
+
+    for (const report of reports.filter(candidate => matches(rule, candidate))) {
+      try {
+        if (await fire(rule, report, 'unreviewed') > 0) fired++;
+      } catch (error) {
+        console.error(`[Rules] Rule ${rule._id} failed for report ${report._id}:`, error.message);
+      }
+    }
+  }
+  return fired;
+}
+
+/**
+ * Test a rule against historic reports without notifying anyone
+ * @param {Object} rule - Saved or unsaved rule
+ * @param {Object} [options] - { days: how far back to look, limit: matches returned }
+ * @returns {Promise<Object>} { checked, matched, reports, recipients }
+ */
+async function dryRun(rule, { days = 30, limit = 20 } = {}) {
+  const now = new Date();
+  const reports = await ReportSideEffect.find({
+    isDeleted: false,
+    createdAt: { $gte: new Date(now.getTime() - days * DAY_MS) }
+  })
+    .sort({ createdAt: -1 })
+    .limit(config.notificationRules.dryRunMaxReports)
+    .select(REPORT_FIELDS)
+    .populate('medicine', 'name')
+    .populate('patient', 'firstName lastName')
+    .lean();
+
+  const matched = reports.filter(report =>
+    matches(rule, report) && (rule.trigger !== 'unreviewed' || isUnreviewed(rule, report, now))
+  );
+  const recipients = await resolveRecipients(rule);
+
+  return {
+    days,
+    checked: reports.length,
+    matched: matched.length,
+    reports: matched.slice(0, limit).map(report => ({
+      _id: report._id,
+      medicine: report.medicine,
+      patient: report.patient,
+      status: report.status,
+      priority: report.priority,
+      severity: valuesOf(report, 'severity')[0] || null,
+      bodySystems: valuesOf(report, 'bodySystem'),
+      createdAt: report.createdAt
+    })),
+    recipients,
+    // Notifications the rule would have sent over the period
+    notifications: matched.length * recipients.length
+  };
+}
+
+/**
+ * Check unreviewed reports, unless a check is already in progress, in which
+ * case the running one is returned
+ * @returns {Promise<number>} Rules fired
+ */
+function run() {
+  if (!running) {
+    running = checkUnreviewed()
+      .then((fired) => {
+        if (fired) console.log(`[Rules] ${fired} unreviewed-report rules fired`);
+        return fired;
+      })
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+}
+
+/**
+ * Start scheduled unreviewed-report checks (config.notificationRules.intervalMinutes)
+ */
+function start() {
+  if (!config.notificationRules.enabled || timer) return;
+
+  const runScheduled = () => run().catch((error) => {
+    console.error('[Rules] Unreviewed report check failed:', error);
+  });
+
+  timer = setInterval(runScheduled, config.notificationRules.intervalMinutes * 60 * 1000);
+  timer.unref();
+  console.log(`[Rules] Unreviewed reports checked every ${config.notificationRules.intervalMinutes} minutes`);
+}
+
+/**
+ * Stop scheduled unreviewed-report checks
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  ORDERS,
+  FIELD_VALUES,
+  valuesOf,
+  matches,
+  resolveRecipients,
+  evaluate,
+  checkUnreviewed,
+  dryRun,
+  run,
+  start,
+  stop
+};
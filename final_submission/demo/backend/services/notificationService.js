@@ -1,15 +1,123 @@
+const os = require('os');
+const mongoose = require('mongoose');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const config = require('../config/config');
+const rabbitmqService = require('./rabbitmqService');
+const deliveryService = require('./deliveryService');
 
 // Store active SSE connections: Map<userId, Set<response>>
 const sseClients = new Map();
 
+// Identifies this instance in fanned-out events, so it skips its own
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+// Counters reported by /metrics
+const counters = {
+  eventsSent: 0,
+  fanoutPublished: 0,
+  fanoutReceived: 0,
+  replayed: 0,
+};
+
+let heartbeatTimer = null;
+let started = false;
+
+/**
+ * Format an SSE frame; `id` is only set for events that can be replayed
+ */
+function formatEvent(event, data, id) {
+  return `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Notification fields pushed to clients
+ */
+function toEventData(notification) {
+  return {
+    id: notification._id,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    priority: notification.priority,
+    relatedReport: notification.relatedReport,
+    metadata: notification.metadata,
+    createdAt: notification.createdAt,
+  };
+}
+
+/**
+ * Write an event to the connections of a user on this instance
+ * @returns {boolean} Whether the user has any
+ */
+function deliverLocally(userId, event, data, id) {
+  const clients = sseClients.get(userId);
+  if (!clients || clients.size === 0) return false;
+
+  const payload = formatEvent(event, data, id);
+  clients.forEach((client) => {
+    try {
+      client.write(payload);
+      counters.eventsSent++;
+    } catch (err) {
+      console.error('[Notifications] SSE send error:', err.message);
+    }
+  });
+  return true;
+}
+
+/**
+ * Keep idle streams open: proxies and load balancers close connections that
+ * send nothing for a while. Runs only while this instance has clients.
+ */
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(() => {
+    const payload = `:heartbeat ${Date.now()}\n\n`;
+    sseClients.forEach((clients) => clients.forEach((client) => {
+      try {
+        client.write(payload);
+      } catch (err) {
+        // The close handler removes the client
+      }
+    }));
+  }, config.notifications.heartbeatMs);
+  heartbeatTimer.unref();
+}
+
+function stopHeartbeat() {
+  if (!heartbeatTimer) return;
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
 /**
  * Notification Service
  * Handles creating notifications, sending real-time SSE events,
- * and optional email notifications for urgent reports.
+ * and delivering them by email, push and SMS (see deliveryService).
+ *
+ * SSE connections live on the instance the client connected to. Every event
+ * is delivered to this instance's connections and broadcast on the RabbitMQ
+ * notification.events fanout exchange, from which the other instances
+ * deliver it to theirs. Notification events carry the notification's id, so
+ * a client reconnecting with Last-Event-ID gets the ones it missed.
  */
 const notificationService = {
+  /**
+   * Receive events sent by other backend instances
+   */
+  start() {
+    if (started) return;
+    started = true;
+    rabbitmqService.subscribe(rabbitmqService.exchanges.notificationEvents, (message) => {
+      if (message.origin === instanceId || !message.userId) return;
+      counters.fanoutReceived++;
+      deliverLocally(message.userId, message.event, message.data, message.id);
+    }).catch((error) => {
+      console.error('[Notifications] Failed to subscribe to notification events:', error.message);
+    });
+  },
+
   /**
    * Register an SSE client connection
    */
@@ -18,6 +126,7 @@ const notificationService = {
       sseClients.set(userId, new Set());
     }
     sseClients.get(userId).add(res);
+    startHeartbeat();
     console.log(`[Notifications] SSE client connected: ${userId} (${sseClients.get(userId).size} active)`);
   },
 
@@ -31,27 +140,88 @@ const notificationService = {
       if (clients.size === 0) {
         sseClients.delete(userId);
       }
+      if (sseClients.size === 0) {
+        stopHeartbeat();
+      }
       console.log(`[Notifications] SSE client disconnected: ${userId}`);
     }
   },
 
   /**
-   * Send a real-time SSE event to a specific user
+   * Send a real-time SSE event to a specific user, on whichever instance
+   * they are connected to
+   * @param {string} userId
+   * @param {string} event - SSE event name
+   * @param {Object} data
+   * @param {string} [id] - Event id clients resume from with Last-Event-ID
+   * @returns {boolean} Whether the user is connected to this instance
    */
-  sendSSE(userId, event, data) {
-    const clients = sseClients.get(userId.toString());
-    if (clients && clients.size > 0) {
-      const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
-      clients.forEach((client) => {
-        try {
-          client.write(payload);
-        } catch (err) {
-          console.error('[Notifications] SSE send error:', err.message);
-        }
-      });
-      return true;
-    }
-    return false;
+  sendSSE(userId, event, data, id) {
+    const recipient = userId.toString();
+    const eventId = id?.toString();
+    const delivered = deliverLocally(recipient, event, data, eventId);
+
+    const published = rabbitmqService.broadcast(rabbitmqService.exchanges.notificationEvents, {
+      origin: instanceId,
+      userId: recipient,
+      event,
+      data,
+      id: eventId,
+    });
+    if (published) counters.fanoutPublished++;
+
+    return delivered;
+  },
+
+  /**
+   * Re-send the notifications a reconnecting client missed: those created
+   * after the one it last received
+   * @param {string} userId
+   * @param {string} lastEventId - Id of the last notification the client got
+   * @param {Object} res - SSE response
+   * @returns {Promise<number>} Notifications re-sent
+   */
+  async replayMissed(userId, lastEventId, res) {
+    if (!mongoose.isValidObjectId(lastEventId)) return 0;
+
+    const last = await Notification.findOne({ _id: lastEventId, recipient: userId })
+      .select('createdAt')
+      .lean();
+    if (!last) return 0;
+
+    const missed = await Notification.find({
+      recipient: userId,
+      createdAt: { $gte: last.createdAt },
+      _id: { $ne: last._id },
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(config.notifications.replayLimit)
+      .lean();
+
+    missed.forEach((notification) => {
+      res.write(formatEvent('notification', toEventData(notification), notification._id.toString()));
+    });
+    counters.replayed += missed.length;
+    return missed.length;
+  },
+
+  /**
+   * SSE connection counts of this instance, for /metrics
+   */
+  getStats() {
+    let connections = 0;
+    sseClients.forEach((clients) => { connections += clients.size; });
+
+    return {
+      instanceId,
+      connectedUsers: sseClients.size,
+      connections,
+      fanout: {
+        exchange: rabbitmqService.exchanges.notificationEvents,
+        subscribed: started && rabbitmqService.isConnected,
+      },
+      ...counters,
+    };
   },
 
   /**
@@ -71,15 +241,12 @@ const notificationService = {
       });
 
       // Send real-time SSE event
-      this.sendSSE(recipientId, 'notification', {
-        id: notification._id,
-        type,
-        title,
-        message,
-        priority,
-        relatedReport,
-        metadata,
-        createdAt: notification.createdAt,
+      this.sendSSE(recipientId, 'notification', toEventData(notification), notification._id);
+
+      // Email, push and SMS per the recipient's preferences; not awaited so
+      // a slow mail server does not hold up the caller
+      deliveryService.deliver(notification).catch((error) => {
+        console.error('[Notifications] Delivery failed:', error.message);
       });
 
       return notification;
@@ -208,6 +375,160 @@ const notificationService = {
       },
     });
   },
+
+  /**
+   * Notify the doctor a review request was routed to
+   */
+  async notifyReviewRequested(report, doctorId) {
+    const medicineName = report.medicine?.name || 'a medication';
+    const requester = report.doctorReview?.requestedBy?.firstName
+      || report.reportedBy?.firstName
+      || 'A patient';
+
+    return this.notify({
+      recipientId: doctorId,
+      type: 'review_requested',
+      title: 'Doctor Review Requested',
+      message: `${requester} asked for your review of an ADR report for ${medicineName}.`,
+      priority: 'medium',
+      relatedReport: report._id,
+      metadata: {
+        medicineName,
+        reportId: report._id.toString(),
+      },
+    });
+  },
+
+  /**
+   * Notify all admins that a medicine x reaction pair crossed the signal thresholds
+   */
+  async notifyAdminsSignalDetected(signal) {
+    try {
+      const admins = await User.find({
+        role: 'admin',
+        isActive: { $ne: false },
+      }).select('_id');
+
+      const ingredientName = signal.ingredientName || 'Unknown ingredient';
+      const reaction = signal.event?.ptName || 'unknown reaction';
+      const { prr, rorLower, ic025 } = signal.metrics || {};
+
+      const notifications = await Promise.all(
+        admins.map((admin) =>
+          this.notify({
+            recipientId: admin._id,
+            type: 'signal_detected',
+            title: `Safety Signal: ${ingredientName} – ${reaction}`,
+            message: `${ingredientName} is reported with ${reaction} more often than expected ` +
+              `(${signal.contingency?.a} reports, PRR ${prr}, ROR lower bound ${rorLower}, IC025 ${ic025}).`,
+            priority: 'high',
+            metadata: {
+              ingredientName,
+              reaction,
+              signalId: signal._id.toString(),
+            },
+          })
+        )
+      );
+
+      console.log(`[Notifications] Notified ${admins.length} admins about signal ${signal._id}`);
+      return notifications;
+    } catch (error) {
+      console.error('[Notifications] Failed to notify admins about signal:', error);
+    }
+  },
+
+  /**
+   * Notify the assigned doctor and admins (all doctors and admins when the case
+   * is unassigned) that an expedited case's clock started, is nearly due or is overdue
+   * @returns {Promise<Array<Object>>} Notifications created
+   * @throws {Error} When no staff member could be notified, so the caller can retry
+   */
+  async notifyExpeditedDeadline(report, level) {
+    const expedited = report.regulatoryInfo.expeditedReporting;
+    const assignedDoctor = report.doctorReview?.assignedDoctor;
+    const staff = await User.find({
+      $or: [
+        { role: 'admin' },
+        assignedDoctor ? { _id: assignedDoctor._id || assignedDoctor } : { role: 'doctor' },
+      ],
+      isActive: { $ne: false },
+    }).select('_id');
+
+    const medicineName = report.medicine?.name || 'Unknown medication';
+    const deadline = expedited.deadline.toISOString().slice(0, 10);
+    const content = {
+      started: {
+        title: `Expedited Report Required: ${medicineName}`,
+        message: `A serious unexpected reaction to ${medicineName} must be reported to the authority ` +
+          `within ${expedited.timeframeDays} days, by ${deadline}.`,
+        priority: 'high',
+      },
+      due_soon: {
+        title: `Expedited Report Due Soon: ${medicineName}`,
+        message: `The ${expedited.timeframeDays}-day expedited report for ${medicineName} is due on ${deadline} and has not been submitted.`,
+        priority: 'high',
+      },
+      overdue: {
+        title: `OVERDUE: Expedited Report for ${medicineName}`,
+        message: `The ${expedited.timeframeDays}-day expedited report for ${medicineName} was due on ${deadline} and has not been submitted.`,
+        priority: 'critical',
+      },
+    }[level];
+
+    const notifications = await Promise.all(
+      staff.map((member) =>
+        this.notify({
+          ...content,
+          recipientId: member._id,
+          type: 'expedited_deadline',
+          relatedReport: report._id,
+          metadata: {
+            medicineName,
+            reportId: report._id.toString(),
+            deadline: expedited.deadline,
+          },
+        })
+      )
+    );
+
+    // notify() logs and swallows its own failures
+    const sent = notifications.filter(Boolean);
+    if (sent.length === 0) {
+      throw new Error(`No staff member could be notified about ${level} expedited report ${report._id}`);
+    }
+
+    console.log(`[Notifications] Notified ${sent.length} staff members about ${level} expedited report ${report._id}`);
+    return sent;
+  },
+
+  /**
+   * Tell a patient that a lot they reported taking has been recalled
+   * @param {Object} recall - Recall with its medication and lots populated
+   * @param {string} patientId
+   * @param {Object} report - The patient's latest report naming a recalled lot
+   */
+  async notifyPatientRecall(recall, patientId, report) {
+    const medicineName = recall.medication?.name || 'a medication';
+    const batchNumbers = (recall.lots || []).map((lot) => lot.batchNumber).filter(Boolean);
+    const batches = batchNumbers.length === 1 ? `batch ${batchNumbers[0]}` : `batches ${batchNumbers.join(', ')}`;
+
+    return this.notify({
+      recipientId: patientId,
+      type: 'product_recall',
+      title: `Recall: ${medicineName}`,
+      message: `${medicineName} ${batches}, which you reported taking, has been recalled: ${recall.reason}` +
+        (recall.patientInstructions ? ` ${recall.patientInstructions}` : ''),
+      priority: { class_i: 'critical', class_ii: 'high', class_iii: 'medium' }[recall.classification] || 'high',
+      relatedReport: report?._id,
+      metadata: {
+        medicineName,
+        reportId: report?._id?.toString(),
+        recallId: recall._id.toString(),
+        batchNumbers,
+      },
+    });
+  },
 };
 
 module.exports = notificationService;
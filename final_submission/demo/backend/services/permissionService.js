@@ -0,0 +1,306 @@
+/**
+ * Permission Service
+ *
+ * Resolves what a user may do. A user's permissions come from their custom
+ * role when they have one, otherwise from their built-in role (admin, doctor
+ * or patient), whose defaults live in config/permissions and can be edited
+ * by admins. The built-in admin role always has every permission, so admins
+ * cannot lock everyone out of role management.
+ *
+ * @module services/permissionService
+ */
+
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  BUILT_IN_ROLES
+} = require('../config/permissions');
+
+// Roles are read on every request; edits on another instance show up within this
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+// Keep registered permissions only, in registry order
+const normalize = (permissions = []) => ALL_PERMISSIONS.filter(p => permissions.includes(p));
+
+/**
+ * Stored roles, by ID and (for edited built-in roles) by name
+ * @returns {Promise<{byId: Map, system: Map}>}
+ */
+async function loadRoles() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+
+  const roles = await Role.find().lean();
+  cache = {
+    loadedAt: Date.now(),
+    byId: new Map(roles.map(role => [role._id.toString(), role])),
+    system: new Map(roles.filter(role => role.isSystem).map(role => [role.name, role]))
+  };
+  return cache;
+}
+
+/**
+ * Drop cached roles after an edit
+ */
+function invalidate() {
+  cache = null;
+}
+
+/**
+ * The stored role deciding a user's permissions: their custom role, or the
+ * edited version of their built-in role. Null means the built-in defaults.
+ * @param {Object} user
+ * @returns {Promise<Object|null>}
+ */
+async function resolveRole(user) {
+  const { byId, system } = await loadRoles();
+  const custom = user.customRole && byId.get(toId(user.customRole));
+  // A role only applies to the account type it builds on
+  if (custom && custom.baseRole === user.role) return custom;
+  return system.get(user.role) || null;
+}
+
+/**
+ * A user's effective permissions
+ * @param {Object} user
+ * @returns {Promise<Array<string>>}
+ */
+async function getPermissions(user) {
+  if (!user) return [];
+  const role = await resolveRole(user);
+  if (role) return normalize(role.permissions);
+  return [...(DEFAULT_ROLE_PERMISSIONS[user.role] || [])];
+}
+
+/**
+ * Whether a user has every one of the given permissions
+ * @param {Object} user
+ * @param {...string} permissions
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(user, ...permissions) {
+  const granted = await getPermissions(user);
+  return permissions.every(permission => granted.includes(permission));
+}
+
+/**
+ * The role a user is shown as: name and label of their custom role, or their built-in role
+ * @param {Object} user
+ * @returns {Promise<{name: string, label: string, baseRole: string, custom: boolean}>}
+ */
+async function describeRole(user) {
+  const role = await resolveRole(user);
+  if (role && !role.isSystem) {
+    return { name: role.name, label: role.label || capitalize(role.name), baseRole: role.baseRole, custom: true };
+  }
+  return { name: user.role, label: capitalize(user.role), baseRole: user.role, custom: false };
+}
+
+/**
+ * What reports submitted by a user record as the reporter's role
+ * @param {Object} user
+ * @returns {Promise<string>}
+ */
+async function getReporterRole(user) {
+  const role = await resolveRole(user);
+  return role?.reporterRole || user.role;
+}
+
+/**
+ * Built-in roles with their current permissions, then custom roles, each
+ * with the number of users who have it
+ * @returns {Promise<Array<Object>>}
+ */
+async function listRoles() {
+  const [roles, customCounts, baseCounts] = await Promise.all([
+    Role.find().sort({ name: 1 }).populate('updatedBy', 'firstName lastName').lean(),
+    User.aggregate([
+      { $match: { customRole: { $ne: null } } },
+      { $group: { _id: '$customRole', count: { $sum: 1 } } }
+    ]),
+    User.aggregate([
+      { $match: { customRole: null } },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ])
+  ]);
+  const countOf = (counts, key) => counts.find(c => toId(c._id) === key)?.count || 0;
+
+  const builtIn = BUILT_IN_ROLES.map(name => {
+    const stored = roles.find(role => role.isSystem && role.name === name);
+    return {
+      name,
+      label: capitalize(name),
+      baseRole: name,
+      isSystem: true,
+      editable: name !== 'admin',
+      customized: Boolean(stored),
+      permissions: stored ? normalize(stored.permissions) : [...DEFAULT_ROLE_PERMISSIONS[name]],
+      updatedBy: stored?.updatedBy,
+      updatedAt: stored?.updatedAt,
+      userCount: countOf(baseCounts, name)
+    };
+  });
+
+  const custom = roles
+    .filter(role => !role.isSystem)
+    .map(role => ({
+      ...role,
+      permissions: normalize(role.permissions),
+      editable: true,
+      userCount: countOf(customCounts, role._id.toString())
+    }));
+
+  return [...builtIn, ...custom];
+}
+
+/**
+ * Create a custom role
+ * @param {Object} data - name, label, description, baseRole, permissions, reporterRole
+ * @param {Object} actor
+ * @returns {Promise<Object>}
+ */
+async function createRole(data, actor) {
+  if (BUILT_IN_ROLES.includes(data.name)) {
+    throw AppError.conflict(`'${data.name}' is a built-in role`);
+  }
+  if (await Role.exists({ name: data.name })) {
+    throw AppError.conflict(`A role named '${data.name}' already exists`);
+  }
+
+  const role = await Role.create({
+    name: data.name,
+    label: data.label,
+    description: data.description,
+    baseRole: data.baseRole,
+    permissions: normalize(data.permissions),
+    reporterRole: data.reporterRole || undefined,
+    createdBy: actor._id,
+    updatedBy: actor._id
+  });
+  invalidate();
+  return role.toObject();
+}
+
+// A built-in role name or a custom role ID
+async function findRole(key) {
+  if (BUILT_IN_ROLES.includes(key)) {
+    if (key === 'admin') {
+      throw AppError.forbidden('The admin role always has every permission and cannot be changed');
+    }
+    return { builtIn: true, role: await Role.findOne({ name: key, isSystem: true }) };
+  }
+  const role = mongoose.isValidObjectId(key) ? await Role.findOne({ _id: key, isSystem: false }) : null;
+  if (!role) throw AppError.notFound('Role');
+  return { builtIn: false, role };
+}
+
+/**
+ * Update a role. Built-in doctor and patient roles only take permissions;
+ * a custom role keeps its name and base role.
+ * @param {string} key - Built-in role name or custom role ID
+ * @param {Object} data
+ * @param {Object} actor
+ * @returns {Promise<{before: Object|null, after: Object}>}
+ */
+async function updateRole(key, data, actor) {
+  const { builtIn, role } = await findRole(key);
+  const before = role ? role.toObject() : null;
+
+  let updated;
+  if (builtIn) {
+    updated = await Role.findOneAndUpdate(
+      { name: key, isSystem: true },
+      {
+        $set: { permissions: normalize(data.permissions), updatedBy: actor._id },
+        $setOnInsert: { baseRole: key, label: capitalize(key), createdBy: actor._id }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+  } else {
+    if (data.label !== undefined) role.label = data.label;
+    if (data.description !== undefined) role.description = data.description;
+    if (data.permissions !== undefined) role.permissions = normalize(data.permissions);
+    if (data.reporterRole !== undefined) role.reporterRole = data.reporterRole || undefined;
+    role.updatedBy = actor._id;
+    updated = await role.save();
+  }
+
+  invalidate();
+  return { before, after: updated.toObject() };
+}
+
+/**
+ * Delete a custom role, or reset a built-in role to its default permissions.
+ * A custom role still assigned to users cannot be deleted.
+ * @param {string} key - Built-in role name or custom role ID
+ * @returns {Promise<Object|null>} The deleted role, or null when nothing was stored
+ */
+async function deleteRole(key) {
+  const { builtIn, role } = await findRole(key);
+  if (!role) return null;
+
+  if (!builtIn) {
+    const users = await User.countDocuments({ customRole: role._id });
+    if (users > 0) {
+      throw AppError.conflict(`${users} user${users === 1 ? ' has' : 's have'} this role; assign them another role first`);
+    }
+  }
+
+  await role.deleteOne();
+  invalidate();
+  return role.toObject();
+}
+
+/**
+ * Give a user a custom role, or take it away (roleId null) so their
+ * built-in role applies again
+ * @param {string} userId
+ * @param {string|null} roleId
+ * @param {Object} actor
+ * @returns {Promise<{before: Object, after: Object, role: Object|null}>}
+ */
+async function assignRole(userId, roleId, actor) {
+  if (toId(actor._id) === toId(userId)) {
+    throw AppError.forbidden('You cannot change your own role');
+  }
+
+  const user = await User.findById(userId);
+  if (!user) throw AppError.notFound('User');
+
+  let role = null;
+  if (roleId) {
+    role = await Role.findOne({ _id: roleId, isSystem: false }).lean();
+    if (!role) throw AppError.notFound('Role');
+    if (role.baseRole !== user.role) {
+      throw AppError.validation(`The ${role.name} role is for ${role.baseRole} accounts; this user is a ${user.role}`);
+    }
+  }
+
+  const before = { customRole: user.customRole || null };
+  await User.updateOne({ _id: user._id }, { $set: { customRole: role ? role._id : null } });
+  return { before, after: { customRole: role ? role._id : null }, role };
+}
+
+module.exports = {
+  PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  describeRole,
+  getReporterRole,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRole,
+  invalidate
+};
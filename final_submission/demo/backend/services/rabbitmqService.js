@@ -12,12 +12,25 @@ class RabbitMQService {
     this.channel = null;
     this.isConnected = false;
     this.reconnecting = false;
+    // Registered consumers and exchange subscribers, re-attached after every reconnect
+    this.consumers = [];
+    this.subscribers = [];
     
     // Queue names
     this.queues = {
       reportCreated: 'report.created',
       reportUpdated: 'report.updated',
-      reportProcessed: 'report.processed'
+      reportProcessed: 'report.processed',
+      // Reports the AI consumer gave up on after its retries
+      reportDeadLetter: 'report.created.dlq',
+      // Analysis job status changes published by the AI consumer
+      reportAnalysisStatus: 'report.analysis.status'
+    };
+
+    // Fanout exchanges: every backend instance gets every message
+    this.exchanges = {
+      // Real-time events for users connected to any instance
+      notificationEvents: 'notification.events'
     };
   }
 
@@ -46,6 +59,9 @@ class RabbitMQService {
       for (const queueName of Object.values(this.queues)) {
         await this.channel.assertQueue(queueName, { durable: true });
       }
+      for (const exchangeName of Object.values(this.exchanges)) {
+        await this.channel.assertExchange(exchangeName, 'fanout', { durable: true });
+      }
 
       // Handle connection errors
       this.connection.on('error', (err) => {
@@ -64,6 +80,13 @@ class RabbitMQService {
       this.reconnecting = false;
       console.log('[RabbitMQ] Connected successfully');
 
+      for (const { queueName, handler } of this.consumers) {
+        await this.attachConsumer(queueName, handler);
+      }
+      for (const { exchangeName, handler } of this.subscribers) {
+        await this.attachSubscriber(exchangeName, handler);
+      }
+
     } catch (error) {
       console.error('[RabbitMQ] Connection failed:', error.message);
       this.reconnecting = false;
@@ -109,13 +132,99 @@ class RabbitMQService {
     }
   }
 
+  /**
+   * Consume a queue. The handler is attached now if connected and again after
+   * every reconnect; messages are acked once it resolves and requeued once if
+   * it throws.
+   */
+  async consume(queueName, handler) {
+    this.consumers.push({ queueName, handler });
+    if (this.isConnected) {
+      await this.attachConsumer(queueName, handler);
+    }
+  }
+
+  /**
+   * Attach a consumer to the current channel
+   */
+  async attachConsumer(queueName, handler) {
+    await this.channel.assertQueue(queueName, { durable: true });
+    await this.channel.consume(queueName, async (msg) => {
+      if (!msg) return;
+
+      try {
+        await handler(JSON.parse(msg.content.toString()));
+        this.channel.ack(msg);
+      } catch (error) {
+        console.error(`[RabbitMQ] Handler error on ${queueName}:`, error.message);
+        // Give it one more delivery, then drop it rather than loop
+        this.channel.nack(msg, false, !msg.fields.redelivered);
+      }
+    });
+    console.log(`[RabbitMQ] Consuming ${queueName}`);
+  }
+
+  /**
+   * Publish a transient message to every subscriber of a fanout exchange.
+   * Messages are not persisted; subscribers that are down miss them.
+   * @returns {boolean} Whether the message was handed to RabbitMQ
+   */
+  broadcast(exchangeName, message) {
+    if (!this.isConnected) return false;
+
+    try {
+      return this.channel.publish(exchangeName, '', Buffer.from(JSON.stringify(message)), {
+        contentType: 'application/json',
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.error(`[RabbitMQ] Broadcast error on ${exchangeName}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Receive every message broadcast on a fanout exchange, through a queue of
+   * this process's own that is deleted when it disconnects. Attached now if
+   * connected and again after every reconnect; handler errors are logged.
+   */
+  async subscribe(exchangeName, handler) {
+    this.subscribers.push({ exchangeName, handler });
+    if (this.isConnected) {
+      await this.attachSubscriber(exchangeName, handler);
+    }
+  }
+
+  /**
+   * Bind an exclusive queue to an exchange on the current channel
+   */
+  async attachSubscriber(exchangeName, handler) {
+    await this.channel.assertExchange(exchangeName, 'fanout', { durable: true });
+    const { queue } = await this.channel.assertQueue('', { exclusive: true, autoDelete: true });
+    await this.channel.bindQueue(queue, exchangeName, '');
+    await this.channel.consume(queue, async (msg) => {
+      if (!msg) return;
+
+      try {
+        await handler(JSON.parse(msg.content.toString()));
+      } catch (error) {
+        console.error(`[RabbitMQ] Subscriber error on ${exchangeName}:`, error.message);
+      }
+    }, { noAck: true });
+    console.log(`[RabbitMQ] Subscribed to ${exchangeName}`);
+  }
+
   /**
    * Publish report created event
+   * @param {Object} report - Report to analyze
+   * @param {Object} [options] - { jobId: AnalysisJob tracking the run, forceReprocess: re-run an analyzed report }
    */
-  async publishReportCreated(report) {
+  async publishReportCreated(report, { jobId, forceReprocess = false } = {}) {
     return this.publish(this.queues.reportCreated, {
       type: 'report.created',
       reportId: report._id.toString(),
+      jobId: jobId?.toString(),
+      forceReprocess,
       timestamp: new Date().toISOString(),
       data: {
         medicineId: report.medicine?.toString(),
@@ -0,0 +1,262 @@
+/**
+ * Regulatory Deadline Service
+ *
+ * Tracks the expedited reporting clocks of serious unexpected reactions. The
+ * clock itself is set when a report is saved (see applyExpeditedClock on the
+ * report model); this service picks up reports classified serious outside the
+ * backend (the AI consumer updates reports directly), escalates open cases to
+ * staff when the clock starts, when the deadline gets close and when it
+ * passes, and lists the cases that are due.
+ *
+ * @module services/regulatoryDeadlineService
+ */
+
+const ReportSideEffect = require('../models/ReportSideEffect');
+const config = require('../config/config');
+const notificationService = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Escalation levels in the order they are reached
+const ESCALATION_LEVELS = ['none', 'started', 'due_soon', 'overdue'];
+
+// Open expedited cases: required, not yet submitted, report not deleted
+const OPEN_FILTER = {
+  isDeleted: false,
+  'regulatoryInfo.expeditedReporting.required': true,
+  'regulatoryInfo.expeditedReporting.submitted': { $ne: true }
+};
+
+let timer = null;
+let running = null;
+
+/**
+ * Where an open case stands against its deadline
+ * @param {Date} deadline - Expedited deadline
+ * @param {Date} [now]
+ * @returns {string} 'overdue', 'due_soon' or 'open'
+ */
+function deadlineStatus(deadline, now = new Date()) {
+  if (deadline <= now) return 'overdue';
+  if (deadline.getTime() - now.getTime() <= config.regulatory.dueSoonDays * DAY_MS) return 'due_soon';
+  return 'open';
+}
+
+/**
+ * Mongo filter for open cases, optionally narrowed to one deadline status
+ * @param {string} [status] - 'overdue', 'due_soon' or 'open'
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+function dueFilter(status, now = new Date()) {
+  const dueSoonAt = new Date(now.getTime() + config.regulatory.dueSoonDays * DAY_MS);
+  const deadline = {
+    overdue: { $lte: now },
+    due_soon: { $gt: now, $lte: dueSoonAt },
+    open: { $gt: dueSoonAt }
+  }[status];
+
+  return deadline
+    ? { ...OPEN_FILTER, 'regulatoryInfo.expeditedReporting.deadline': deadline }
+    : { ...OPEN_FILTER };
+}
+
+/**
+ * Open expedited cases, earliest deadline first, with counts per status
+ * @param {Object} options - { status, skip, limit, scope }; scope is the
+ *   caller's report filter (careTeamService.reportScope), applied to the list
+ *   and the counts alike
+ * @returns {Promise<{ reports: Array<Object>, total: number, summary: Object }>}
+ */
+async function listDue({ status, skip = 0, limit = 10, scope = {} } = {}) {
+  const now = new Date();
+  const scoped = (filterStatus) => ({ ...dueFilter(filterStatus, now), ...scope });
+  const filter = scoped(status);
+
+  const [reports, total, overdue, dueSoon, open] = await Promise.all([
+    ReportSideEffect.find(filter)
+      .sort({ 'regulatoryInfo.expeditedReporting.deadline': 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('medicine', 'name genericName')
+      .populate('patient', 'firstName lastName')
+      .populate('doctorReview.assignedDoctor', 'firstName lastName')
+      .select('medicine patient status priority sideEffects.effect reportDetails doctorReview.assignedDoctor regulatoryInfo.expeditedReporting')
+      .lean(),
+    ReportSideEffect.countDocuments(filter),
+    ReportSideEffect.countDocuments(scoped('overdue')),
+    ReportSideEffect.countDocuments(scoped('due_soon')),
+    ReportSideEffect.countDocuments(scoped('open'))
+  ]);
+
+  const withStatus = reports.map((report) => {
+    const { deadline } = report.regulatoryInfo.expeditedReporting;
+    return {
+      ...report,
+      deadlineStatus: deadlineStatus(deadline, now),
+      daysRemaining: Math.ceil((deadline.getTime() - now.getTime()) / DAY_MS)
+    };
+  });
+
+  return { reports: withStatus, total, summary: { overdue, dueSoon, open } };
+}
+
+/**
+ * Start or stop clocks on reports whose seriousness changed without a save
+ * through the model (AI consumer updates)
+ * @param {Object} [filter] - Narrows the reports checked, e.g. to one report
+ * @returns {Promise<number>} Reports updated
+ */
+async function syncClocks(filter = {}) {
+  const reports = await ReportSideEffect.find({
+    ...filter,
+    isDeleted: false,
+    'regulatoryInfo.expeditedReporting.submitted': { $ne: true },
+    $or: [
+      {
+        'reportDetails.seriousness': 'Serious',
+        'regulatoryInfo.expeditedReporting.required': { $ne: true },
+        'regulatoryInfo.expeditedReporting.expectedness': { $ne: 'Expected' }
+      },
+      {
+        'reportDetails.seriousness': { $ne: 'Serious' },
+        'regulatoryInfo.expeditedReporting.required': true
+      }
+    ]
+  });
+
+  let synced = 0;
+  for (const report of reports) {
+    try {
+      report.$locals.versionActor = { actor: 'system', source: 'regulatory_clock' };
+      await report.save();
+      synced++;
+    } catch (error) {
+      // One invalid legacy report must not hold up the other clocks
+      console.error(`[Regulatory] Failed to update clock of report ${report._id}:`, error.message);
+    }
+  }
+  return synced;
+}
+
+/**
+ * Notify staff about open cases that reached a new escalation level
+ * @param {Object} [filter] - Narrows the cases checked, e.g. to one report
+ * @returns {Promise<number>} Escalations sent
+ */
+async function escalate(filter = {}) {
+  const now = new Date();
+  const reports = await ReportSideEffect.find({ ...filter, ...OPEN_FILTER })
+    .populate('medicine', 'name')
+    .select('medicine doctorReview.assignedDoctor regulatoryInfo.expeditedReporting');
+
+  let escalated = 0;
+  for (const report of reports) {
+    const expedited = report.regulatoryInfo.expeditedReporting;
+    const status = deadlineStatus(expedited.deadline, now);
+    const level = status === 'open' ? 'started' : status;
+    if (ESCALATION_LEVELS.indexOf(level) <= ESCALATION_LEVELS.indexOf(expedited.escalationLevel)) continue;
+
+    // Every backend instance runs this check; the one that raises the level
+    // from the value it read sends the escalation, the others skip it.
+    // Escalation bookkeeping is not a change to the case, so it skips versioning
+    const previous = expedited.escalationLevel;
+    const claim = await ReportSideEffect.updateOne({
+      _id: report._id,
+      // Reports saved before escalation tracking have no level stored yet
+      'regulatoryInfo.expeditedReporting.escalationLevel': previous === 'none' ? { $in: ['none', null] } : previous
+    }, {
+      $set: {
+        'regulatoryInfo.expeditedReporting.escalationLevel': level,
+        'regulatoryInfo.expeditedReporting.lastEscalatedAt': now
+      }
+    });
+    if (claim.modifiedCount === 0) continue;
+
+    try {
+      await notificationService.notifyExpeditedDeadline(report, level);
+    } catch (error) {
+      // Give the level back so the next check retries this escalation; the
+      // other reports still get theirs
+      console.error(`[Regulatory] Failed to escalate report ${report._id}:`, error.message);
+      await ReportSideEffect.updateOne({
+        _id: report._id,
+        'regulatoryInfo.expeditedReporting.escalationLevel': level
+      }, {
+        $set: { 'regulatoryInfo.expeditedReporting.escalationLevel': previous }
+      });
+      continue;
+    }
+    escalated++;
+  }
+  return escalated;
+}
+
+/**
+ * Sync clocks then escalate, unless a check is already in progress, in which
+ * case the running one is returned
+ * @returns {Promise<{ synced: number, escalated: number }>}
+ */
+function run() {
+  if (!running) {
+    running = (async () => {
+      const synced = await syncClocks();
+      const escalated = await escalate();
+      if (synced || escalated) {
+        console.log(`[Regulatory] ${synced} clocks updated, ${escalated} escalations sent`);
+      }
+      return { synced, escalated };
+    })().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+/**
+ * Sync the clock of one report and escalate it right away, for reports whose
+ * seriousness just changed outside the backend (a completed AI analysis)
+ * rather than waiting for the next scheduled check
+ * @param {string} reportId
+ * @returns {Promise<{ synced: number, escalated: number }>}
+ */
+async function checkReport(reportId) {
+  const filter = { _id: reportId };
+  const synced = await syncClocks(filter);
+  const escalated = await escalate(filter);
+  return { synced, escalated };
+}
+
+/**
+ * Start scheduled deadline checks (config.regulatory.intervalMinutes)
+ */
+function start() {
+  if (!config.regulatory.enabled || timer) return;
+
+  const runScheduled = () => run().catch((error) => {
+    console.error('[Regulatory] Deadline check failed:', error);
+  });
+
+  timer = setInterval(runScheduled, config.regulatory.intervalMinutes * 60 * 1000);
+  timer.unref();
+  console.log(`[Regulatory] Expedited deadlines checked every ${config.regulatory.intervalMinutes} minutes`);
+}
+
+/**
+ * Stop scheduled deadline checks
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  deadlineStatus,
+  listDue,
+  syncClocks,
+  escalate,
+  checkReport,
+  run,
+  start,
+  stop
+};
@@ -0,0 +1,121 @@
+/**
+ * Report Version Service
+ *
+ * Reads the version snapshots written by the ReportSideEffect save hook:
+ * lists a report's history with the fields each version changed, diffs any
+ * two versions, and restores an earlier version as a new one.
+ *
+ * @module services/reportVersionService
+ */
+
+const ReportSideEffectVersion = require('../models/ReportSideEffectVersion');
+const { diff } = require('./auditService');
+
+// Bookkeeping fields that change on every save and say nothing about the report
+const IGNORED_PATHS = ['version', 'lastModifiedBy'];
+
+// Kept from the current report when restoring; deletion has its own lifecycle
+const PRESERVED_ON_RESTORE = ['_id', 'createdAt', 'isActive', 'isDeleted', 'deletedAt', 'deletedBy'];
+
+/**
+ * Field-level changes between two snapshots
+ * @param {Object|null} before - Older snapshot
+ * @param {Object|null} after - Newer snapshot
+ * @returns {Array<{path: string, before: *, after: *}>}
+ */
+function diffSnapshots(before, after) {
+  return diff(before, after).filter(change => !IGNORED_PATHS.includes(change.path));
+}
+
+/**
+ * List every stored version of a report, newest first
+ * @param {string} reportId - Report id
+ * @returns {Promise<Array<Object>>} Versions with author, time and changed fields
+ */
+async function listVersions(reportId) {
+  const versions = await ReportSideEffectVersion.find({ report: reportId })
+    .populate('changedBy', 'firstName lastName role')
+    .sort({ version: 1 })
+    .lean();
+
+  return versions.map((entry, index) => {
+    const previous = index > 0 ? versions[index - 1] : null;
+    return {
+      version: entry.version,
+      changedBy: entry.changedBy || null,
+      actor: entry.actor || 'user',
+      source: entry.source || null,
+      changedAt: entry.createdAt,
+      restoredFrom: entry.restoredFrom ?? null,
+      previousVersion: previous ? previous.version : null,
+      // The first stored version has nothing to compare against
+      changes: previous ? diffSnapshots(previous.snapshot, entry.snapshot) : []
+    };
+  }).reverse();
+}
+
+/**
+ * Diff a version against another one (by default the version before it)
+ * @param {string} reportId - Report id
+ * @param {number} versionNumber - Version to inspect
+ * @param {number} [againstVersion] - Version to compare with
+ * @returns {Promise<Object|null>} Diff, or null if either version does not exist
+ */
+async function getVersionDiff(reportId, versionNumber, againstVersion) {
+  const target = await ReportSideEffectVersion.findOne({ report: reportId, version: versionNumber })
+    .populate('changedBy', 'firstName lastName role')
+    .lean();
+  if (!target) return null;
+
+  const baseQuery = againstVersion !== undefined
+    ? { report: reportId, version: againstVersion }
+    : { report: reportId, version: { $lt: versionNumber } };
+  const base = await ReportSideEffectVersion.findOne(baseQuery).sort({ version: -1 }).lean();
+  if (againstVersion !== undefined && !base) return null;
+
+  return {
+    version: target.version,
+    comparedTo: base ? base.version : null,
+    changedBy: target.changedBy || null,
+    actor: target.actor || 'user',
+    source: target.source || null,
+    changedAt: target.createdAt,
+    restoredFrom: target.restoredFrom ?? null,
+    changes: diffSnapshots(base ? base.snapshot : null, target.snapshot)
+  };
+}
+
+/**
+ * Bring a report back to the content of an earlier version. The restore is
+ * saved as a new version, so nothing in the history is lost.
+ * @param {Object} report - ReportSideEffect document
+ * @param {number} versionNumber - Version to restore
+ * @param {string} userId - User performing the restore
+ * @returns {Promise<Object|null>} Saved report, or null if the version does not exist
+ */
+async function restoreVersion(report, versionNumber, userId) {
+  const target = await ReportSideEffectVersion.findOne({ report: report._id, version: versionNumber }).lean();
+  if (!target) return null;
+
+  const content = { ...target.snapshot };
+  PRESERVED_ON_RESTORE.forEach((field) => {
+    content[field] = report.get(field);
+  });
+
+  // The save hook gives the restore its version number
+  report.overwrite({
+    ...content,
+    version: report.version,
+    lastModifiedBy: userId
+  });
+  report.$locals.restoredFrom = versionNumber;
+
+  await report.save();
+  return report;
+}
+
+module.exports = {
+  listVersions,
+  getVersionDiff,
+  restoreVersion
+};
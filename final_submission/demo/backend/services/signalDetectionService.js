@@ -0,0 +1,419 @@
+/**
+ * Signal Detection Service
+ *
+ * Disproportionality analysis over the report database. Every active
+ * ingredient x reaction pair (preferred term, or verbatim text when uncoded)
+ * gets a 2x2 table of report counts, counting reports of every brand and
+ * combination product containing the ingredient, from which PRR, ROR (with
+ * 95% confidence intervals) and the information component are computed. Pairs crossing the
+ * configured thresholds are persisted as Signal documents and admins are
+ * notified; detection runs on a timer started with the server. Every backend
+ * instance has the timer, so a run first takes the JobLock lease and is
+ * skipped while another instance holds it.
+ *
+ * @module services/signalDetectionService
+ */
+
+const crypto = require('crypto');
+const ReportSideEffect = require('../models/ReportSideEffect');
+const Medication = require('../models/Medication');
+const Signal = require('../models/Signal');
+const JobLock = require('../models/JobLock');
+const config = require('../config/config');
+const terminologyService = require('./terminologyService');
+const notificationService = require('./notificationService');
+
+const Z_95 = 1.96;
+
+const LOCK_NAME = 'signal-detection';
+// Longer than a run takes; frees the lease of an instance that died mid-run
+const LOCK_LEASE_MS = 6 * 60 * 60 * 1000;
+
+// Reports that count towards disproportionality
+const REPORT_FILTER = { isDeleted: false, status: { $ne: 'Rejected' } };
+
+let timer = null;
+let initialRun = null;
+let running = null;
+let migrated = null;
+
+const round = value => (Number.isFinite(value) ? Math.round(value * 1000) / 1000 : null);
+
+/**
+ * Event key shared by coded and uncoded reactions
+ * @param {Object} term - { ptCode, ptName }
+ * @returns {string}
+ */
+function eventKey(term) {
+  return term.ptCode || `verbatim:${term.ptName}`;
+}
+
+/**
+ * Disproportionality measures for one 2x2 table. Empty cells get the
+ * Haldane-Anscombe correction (+0.5) for PRR and ROR; the information
+ * component uses the Noren shrinkage estimate and its credibility interval.
+ * @param {Object} contingency - { a, b, c, d } report counts
+ * @returns {Object} prr, ror and ic with their interval bounds, chiSquare, expected
+ */
+function computeMetrics({ a, b, c, d }) {
+  const n = a + b + c + d;
+  const cells = [a, b, c, d].some(cell => cell === 0)
+    ? [a, b, c, d].map(cell => cell + 0.5)
+    : [a, b, c, d];
+  const [ca, cb, cc, cd] = cells;
+
+  const prr = (ca / (ca + cb)) / (cc / (cc + cd));
+  const prrSe = Math.sqrt(1 / ca - 1 / (ca + cb) + 1 / cc - 1 / (cc + cd));
+  const ror = (ca * cd) / (cb * cc);
+  const rorSe = Math.sqrt(1 / ca + 1 / cb + 1 / cc + 1 / cd);
+
+  // Yates-corrected chi-square, as used with the Evans criteria
+  const margins = (a + b) * (c + d) * (a + c) * (b + d);
+  const chiSquare = margins > 0
+    ? n * Math.pow(Math.max(0, Math.abs(a * d - b * c) - n / 2), 2) / margins
+    : 0;
+
+  const expected = n > 0 ? (a + b) * (a + c) / n : 0;
+  const ic = Math.log2((a + 0.5) / (expected + 0.5));
+  const shrunk = a + 0.5;
+
+  return {
+    prr: round(prr),
+    prrLower: round(Math.exp(Math.log(prr) - Z_95 * prrSe)),
+    prrUpper: round(Math.exp(Math.log(prr) + Z_95 * prrSe)),
+    chiSquare: round(chiSquare),
+    ror: round(ror),
+    rorLower: round(Math.exp(Math.log(ror) - Z_95 * rorSe)),
+    rorUpper: round(Math.exp(Math.log(ror) + Z_95 * rorSe)),
+    expected: round(expected),
+    ic: round(ic),
+    ic025: round(ic - 3.3 * Math.pow(shrunk, -0.5) - 2 * Math.pow(shrunk, -1.5)),
+    ic975: round(ic + 2.4 * Math.pow(shrunk, -0.5) - 0.5 * Math.pow(shrunk, -1.5))
+  };
+}
+
+/**
+ * Methods whose thresholds a pair crosses
+ * @param {number} cases - Reports with the ingredient and the reaction (a)
+ * @param {Object} metrics - Output of computeMetrics
+ * @returns {Array<string>} Any of 'PRR', 'ROR', 'IC'
+ */
+function criteriaMet(cases, metrics) {
+  const thresholds = config.signals;
+  if (cases < thresholds.minCases) return [];
+
+  const criteria = [];
+  if (metrics.prr >= thresholds.prr && metrics.chiSquare >= thresholds.chiSquare) criteria.push('PRR');
+  if (metrics.rorLower > 1) criteria.push('ROR');
+  if (metrics.ic025 > 0) criteria.push('IC');
+  return criteria;
+}
+
+/**
+ * Build the 2x2 table and measures for every ingredient x reaction pair.
+ * A combination product's report counts once for each of its ingredients.
+ * @returns {Promise<{ totalReports: number, pairs: Array<Object> }>}
+ */
+async function evaluatePairs() {
+  const [totalReports, ingredientCounts, eventCounts, pairCounts] = await Promise.all([
+    ReportSideEffect.countDocuments(REPORT_FILTER),
+    ReportSideEffect.aggregate([
+      { $match: REPORT_FILTER },
+      ...Medication.ingredientCountStages()
+    ]),
+    ReportSideEffect.aggregate([
+      { $match: REPORT_FILTER },
+      ...terminologyService.preferredTermStages()
+    ]),
+    ReportSideEffect.aggregate([
+      { $match: REPORT_FILTER },
+      ...terminologyService.reportTermStages(),
+      ...Medication.ingredientStages(),
+      {
+        $group: {
+          _id: { ingredient: '$ingredient.key', ptCode: '$terms.ptCode', ptName: '$terms.ptName' },
+          ingredientName: { $first: '$ingredient.name' },
+          socName: { $first: '$terms.socName' },
+          medicines: { $addToSet: '$medication' },
+          reports: { $addToSet: '$_id' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          ingredient: '$_id.ingredient',
+          ingredientName: 1,
+          medicines: 1,
+          ptCode: '$_id.ptCode',
+          ptName: '$_id.ptName',
+          socName: 1,
+          cases: { $size: '$reports' }
+        }
+      }
+    ])
+  ]);
+
+  const reportsByIngredient = new Map(ingredientCounts.map(row => [row.ingredient, row.reportCount]));
+  const reportsByEvent = new Map(eventCounts.map(row => [eventKey(row), row.reportCount]));
+
+  const pairs = pairCounts.map((pair) => {
+    const key = eventKey(pair);
+    const a = pair.cases;
+    const b = (reportsByIngredient.get(pair.ingredient) || a) - a;
+    const c = (reportsByEvent.get(key) || a) - a;
+    const d = totalReports - a - b - c;
+    const contingency = { a, b, c, d };
+    const metrics = computeMetrics(contingency);
+
+    return {
+      ingredient: pair.ingredient,
+      ingredientName: pair.ingredientName,
+      medicines: pair.medicines,
+      event: {
+        key,
+        ptCode: pair.ptCode,
+        ptName: pair.ptName,
+        socName: pair.socName,
+        coded: Boolean(pair.ptCode)
+      },
+      contingency,
+      metrics,
+      criteria: criteriaMet(a, metrics)
+    };
+  });
+
+  return { totalReports, pairs };
+}
+
+/**
+ * Move signals from before detection was keyed by active ingredient onto
+ * the (first) ingredient of their medication. Signals that end up on the
+ * same ingredient and reaction are merged into the earliest detected one,
+ * keeping every status change, and the old medicine index is dropped.
+ * @returns {Promise<void>}
+ */
+async function migrateMedicineSignals() {
+  const legacy = await Signal.collection
+    .find({ ingredient: { $exists: false }, medicine: { $exists: true } })
+    .sort({ firstDetectedAt: 1, _id: 1 })
+    .toArray();
+
+  if (legacy.length > 0) {
+    const medications = await Medication.find({ _id: { $in: legacy.map(signal => signal.medicine) } })
+      .select('name genericName ingredients')
+      .lean();
+    const medicationsById = new Map(medications.map(medication => [String(medication._id), medication]));
+    const kept = new Map();
+
+    for (const signal of legacy) {
+      const medication = medicationsById.get(String(signal.medicine));
+      const name = medication?.ingredients?.[0]?.name || medication?.genericName || medication?.name || signal.medicineName;
+      if (!name) continue;
+
+      const ingredient = name.trim().toLowerCase();
+      const key = `${ingredient}|${signal.event.key}`;
+      const target = kept.get(key) || await Signal.collection.findOne({ ingredient, 'event.key': signal.event.key });
+
+      if (!target) {
+        const fields = {
+          ingredient,
+          ingredientName: name.trim(),
+          medicines: [{ _id: signal.medicine, name: medication?.name || signal.medicineName }]
+        };
+        await Signal.collection.updateOne({ _id: signal._id }, { $set: fields, $unset: { medicine: '', medicineName: '' } });
+        kept.set(key, { ...signal, ...fields });
+        continue;
+      }
+
+      const statusHistory = [...(target.statusHistory || []), ...(signal.statusHistory || [])]
+        .sort((x, y) => new Date(x.changedAt) - new Date(y.changedAt));
+      const merged = {
+        medicines: [...(target.medicines || []), { _id: signal.medicine, name: medication?.name || signal.medicineName }],
+        statusHistory,
+        status: statusHistory.length > 0 ? statusHistory[statusHistory.length - 1].status : target.status,
+        isActive: Boolean(target.isActive || signal.isActive)
+      };
+      await Signal.collection.updateOne({ _id: target._id }, { $set: merged });
+      await Signal.collection.deleteOne({ _id: signal._id });
+      kept.set(key, { ...target, ...merged });
+    }
+    console.log(`[Signals] Moved ${legacy.length} medicine signals onto their active ingredient`);
+  }
+
+  await Signal.syncIndexes();
+}
+
+/**
+ * Evaluate every pair, create or refresh Signal documents and notify admins
+ * about signals that are new or cross the thresholds again
+ * @returns {Promise<Object>} Run summary
+ */
+async function runDetection() {
+  if (!migrated) {
+    migrated = migrateMedicineSignals().catch((error) => {
+      migrated = null;
+      throw error;
+    });
+  }
+  await migrated;
+
+  const startedAt = new Date();
+  const { totalReports, pairs } = await evaluatePairs();
+  const pairsByKey = new Map(pairs.map(pair => [`${pair.ingredient}|${pair.event.key}`, pair]));
+
+  const existing = await Signal.find({});
+  const signalsByKey = new Map(existing.map(signal => [`${signal.ingredient}|${signal.event.key}`, signal]));
+
+  const flagged = pairs.filter(pair => pair.criteria.length > 0);
+
+  const toNotify = [];
+  const summary = { totalReports, evaluatedPairs: pairs.length, flagged: flagged.length, created: 0, reactivated: 0, deactivated: 0 };
+
+  for (const pair of flagged) {
+    const key = `${pair.ingredient}|${pair.event.key}`;
+    let signal = signalsByKey.get(key);
+
+    if (!signal) {
+      signal = new Signal({
+        ingredient: pair.ingredient,
+        event: pair.event,
+        firstDetectedAt: startedAt,
+        statusHistory: [{ status: 'new', comment: `Detected by ${pair.criteria.join(', ')}`, changedAt: startedAt }]
+      });
+      summary.created++;
+      toNotify.push(signal);
+    } else if (!signal.isActive) {
+      summary.reactivated++;
+      toNotify.push(signal);
+    }
+
+    signal.set({
+      ingredientName: pair.ingredientName,
+      medicines: pair.medicines,
+      event: pair.event,
+      contingency: pair.contingency,
+      metrics: pair.metrics,
+      criteria: pair.criteria,
+      isActive: true,
+      lastEvaluatedAt: startedAt
+    });
+    await signal.save();
+  }
+
+  // Signals that no longer cross the thresholds keep their history but go inactive
+  for (const [key, signal] of signalsByKey) {
+    const pair = pairsByKey.get(key);
+    if (pair && pair.criteria.length > 0) continue;
+
+    if (signal.isActive) summary.deactivated++;
+    signal.set({
+      ...(pair && { medicines: pair.medicines, contingency: pair.contingency, metrics: pair.metrics }),
+      criteria: [],
+      isActive: false,
+      lastEvaluatedAt: startedAt
+    });
+    await signal.save();
+  }
+
+  for (const signal of toNotify) {
+    await notificationService.notifyAdminsSignalDetected(signal);
+    signal.lastNotifiedAt = new Date();
+    await signal.save();
+  }
+
+  console.log(`[Signals] Evaluated ${summary.evaluatedPairs} pairs over ${totalReports} reports: ` +
+    `${summary.flagged} flagged, ${summary.created} new, ${summary.reactivated} reactivated, ${summary.deactivated} inactive`);
+  return { ...summary, startedAt, finishedAt: new Date() };
+}
+
+/**
+ * Take the detection lease unless another instance holds it
+ * @returns {Promise<string|null>} Holder token to give the lease back with, or null
+ */
+async function acquireLock() {
+  const now = new Date();
+  const holder = crypto.randomUUID();
+  try {
+    await JobLock.findOneAndUpdate(
+      { name: LOCK_NAME, $or: [{ lockedUntil: { $lte: now } }, { lockedUntil: null }] },
+      { $set: { holder, lockedUntil: new Date(now.getTime() + LOCK_LEASE_MS) } },
+      { upsert: true }
+    );
+    return holder;
+  } catch (error) {
+    // The lease is held, so the upsert tried to insert a second lock
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+/**
+ * Give the detection lease back
+ * @param {string} holder - Token returned by acquireLock
+ */
+async function releaseLock(holder) {
+  await JobLock.deleteOne({ name: LOCK_NAME, holder });
+}
+
+/**
+ * Run detection unless a run is already in progress, in which case the
+ * running one is returned. Resolves to { skipped: true } when another
+ * instance is running detection.
+ * @returns {Promise<Object>} Run summary
+ */
+function run() {
+  if (!running) {
+    running = (async () => {
+      const holder = await acquireLock();
+      if (!holder) {
+        console.log('[Signals] Detection is running on another instance; skipped');
+        return { skipped: true };
+      }
+      try {
+        return await runDetection();
+      } finally {
+        await releaseLock(holder);
+      }
+    })().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+/**
+ * Start scheduled detection (config.signals.intervalMinutes). The first run
+ * happens a minute after start so it does not compete with startup.
+ */
+function start() {
+  if (!config.signals.enabled || timer) return;
+
+  const runScheduled = () => run().catch((error) => {
+    console.error('[Signals] Scheduled detection failed:', error);
+  });
+
+  timer = setInterval(runScheduled, config.signals.intervalMinutes * 60 * 1000);
+  timer.unref();
+  initialRun = setTimeout(runScheduled, 60 * 1000);
+  initialRun.unref();
+  console.log(`[Signals] Detection scheduled every ${config.signals.intervalMinutes} minutes`);
+}
+
+/**
+ * Stop scheduled detection
+ */
+function stop() {
+  clearTimeout(initialRun);
+  clearInterval(timer);
+  initialRun = null;
+  timer = null;
+}
+
+module.exports = {
+  computeMetrics,
+  criteriaMet,
+  evaluatePairs,
+  run,
+  start,
+  stop
+};
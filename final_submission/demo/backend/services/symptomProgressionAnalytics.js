@@ -6,6 +6,9 @@
 const SymptomProgression = require('../models/SymptomProgression');
 const Medication = require('../models/Medication');
 
+// Symptoms are grouped by coded preferred term; uncoded ones fall back to their verbatim name
+const SYMPTOM_TERM = { $ifNull: ['$symptom.preferredTerm.name', '$symptom.name'] };
+
 class SymptomProgressionAnalytics {
 
   /**
@@ -275,7 +278,7 @@ class SymptomProgressionAnalytics {
             $sum: { $cond: [{ $gte: ['$analytics.averageSeverity', 7] }, 1, 0] }
           },
           chronicCases: { $sum: { $cond: [{ $eq: ['$status', 'Chronic'] }, 1, 0] } },
-          symptomTypes: { $addToSet: '$symptom.name' }
+          symptomTypes: { $addToSet: SYMPTOM_TERM }
         }
       },
       {
@@ -331,7 +334,7 @@ class SymptomProgressionAnalytics {
             output: {
               count: { $sum: 1 },
               avgSeverity: { $avg: '$analytics.averageSeverity' },
-              symptoms: { $addToSet: '$symptom.name' }
+              symptoms: { $addToSet: SYMPTOM_TERM }
             }
           }
         }
@@ -635,7 +638,7 @@ class SymptomProgressionAnalytics {
       },
       {
         $group: {
-          _id: '$symptom.name',
+          _id: SYMPTOM_TERM,
           occurrences: { $sum: 1 },
           bodySystem: { $first: '$symptom.bodySystem' },
           avgDuration: { $avg: '$timeline.totalDuration' },
@@ -678,7 +681,7 @@ class SymptomProgressionAnalytics {
           medicineName: { $first: '$medicineDetails.name' },
           category: { $first: '$medicineDetails.category' },
           progressionCount: { $sum: 1 },
-          symptoms: { $addToSet: '$symptom.name' },
+          symptoms: { $addToSet: SYMPTOM_TERM },
           avgSeverity: { $avg: '$analytics.averageSeverity' },
           resolvedCount: { $sum: { $cond: [{ $eq: ['$status', 'Resolved'] }, 1, 0] } }
         }
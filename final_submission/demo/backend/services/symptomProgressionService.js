@@ -7,6 +7,7 @@ const SymptomProgression = require('../models/SymptomProgression');
 const ReportSideEffect = require('../models/ReportSideEffect');
 const Medication = require('../models/Medication');
 const User = require('../models/User');
+const terminologyService = require('./terminologyService');
 
 class SymptomProgressionService {
   
@@ -62,6 +63,11 @@ class SymptomProgressionService {
         confidence: 'High'
       };
 
+      // Group under the report's coded term; suggest one for reports coded before terminology existed
+      const [term] = sideEffect.coding?.terms?.length
+        ? sideEffect.coding.terms
+        : terminologyService.suggestTerms(sideEffect.effect);
+
       const progressionData = {
         originalReport: reportData.reportId,
         patient: patientId,
@@ -70,7 +76,8 @@ class SymptomProgressionService {
           originalSideEffectId: sideEffect._id,
           name: sideEffect.effect,
           description: sideEffect.description,
-          bodySystem: sideEffect.bodySystem
+          bodySystem: sideEffect.bodySystem,
+          preferredTerm: term ? { code: term.ptCode, name: term.ptName } : undefined
         },
         timeline: {
           startDate: originalReport.reportDetails.incidentDate,
@@ -166,6 +173,11 @@ class SymptomProgressionService {
     try {
       let query = SymptomProgression.findNeedingAttention();
       
+      // Limit to the patients the caller may see
+      if (filters.scope) {
+        query = query.and([filters.scope]);
+      }
+      
       // Apply additional filters
       if (filters.severity) {
         query = query.where('progressionEntries.severity.level').equals(filters.severity);
@@ -307,7 +319,8 @@ class SymptomProgressionService {
         page = 1,
         limit = 20,
         sortBy = 'timeline.startDate',
-        sortOrder = 'desc'
+        sortOrder = 'desc',
+        scope
       } = searchParams;
 
       // Build the search query
@@ -316,6 +329,7 @@ class SymptomProgressionService {
         isDeleted: false
       };
 
+      if (scope) searchQuery.$and = [scope];
       if (patientId) searchQuery.patient = patientId;
       if (medicineId) searchQuery.medicine = medicineId;
       if (bodySystem) searchQuery['symptom.bodySystem'] = bodySystem;
@@ -324,6 +338,7 @@ class SymptomProgressionService {
       if (query) {
         searchQuery.$or = [
           { 'symptom.name': new RegExp(query, 'i') },
+          { 'symptom.preferredTerm.name': new RegExp(query, 'i') },
           { 'symptom.description': new RegExp(query, 'i') }
         ];
       }
@@ -376,9 +391,9 @@ class SymptomProgressionService {
    */
   async generateProgressionReport(reportParams) {
     try {
-      const { type, entityId, startDate, endDate, includeAnalytics = true } = reportParams;
+      const { type, entityId, startDate, endDate, includeAnalytics = true, scope } = reportParams;
       
-      let filters = {};
+      let filters = scope ? { $and: [scope] } : {};
       
       if (type === 'patient') {
         filters.patient = entityId;
@@ -564,7 +579,7 @@ class SymptomProgressionService {
         {
           $group: {
             _id: {
-              symptomName: '$symptom.name',
+              symptomName: { $ifNull: ['$symptom.preferredTerm.name', '$symptom.name'] },
               bodySystem: '$symptom.bodySystem'
             },
             count: { $sum: 1 },
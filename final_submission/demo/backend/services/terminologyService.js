@@ -0,0 +1,334 @@
+/**
+ * Terminology Service
+ *
+ * Codes free-text reactions ("tummy ache", "nausea+vomiting") against a
+ * MedDRA-style dictionary (LLT -> PT -> HLT -> SOC) loaded from a local JSON
+ * file, so statistics can be grouped by preferred term instead of spelling.
+ * The bundled starter dictionary uses local codes; config.terminology points
+ * at a converted MedDRA release where one is licensed.
+ *
+ * @module services/terminologyService
+ */
+
+const fs = require('fs');
+const levenshtein = require('fast-levenshtein');
+const config = require('../config/config');
+const AppError = require('../utils/appError');
+
+// Qualifiers that describe a reaction without changing which term it codes to
+const QUALIFIERS = new Set([
+  'a', 'an', 'the', 'my', 'some', 'very', 'really', 'bad', 'mild', 'slight', 'slightly',
+  'moderate', 'severe', 'serious', 'extreme', 'terrible', 'constant', 'occasional', 'little', 'bit', 'of'
+]);
+
+// Separators between several reactions written in one field
+const VERBATIM_SEPARATORS = /\s*(?:\+|&|,|;|\/|\band\b|\bwith\b|\bplus\b)\s*/i;
+
+const MIN_SEARCH_SCORE = 0.5;
+
+let dictionary = null;
+
+/**
+ * Lowercase, strip punctuation and qualifiers
+ * @param {string} text - Verbatim text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !QUALIFIERS.has(word))
+    .join(' ');
+}
+
+/**
+ * Load the dictionary file and index every lowest level term. Each preferred
+ * term is also indexed as a lowest level term of itself, as in MedDRA.
+ * @returns {Object} Loaded dictionary
+ */
+function loadDictionary() {
+  const raw = JSON.parse(fs.readFileSync(config.terminology.dictionaryPath, 'utf8'));
+  const terms = [];
+  const byCode = new Map();
+
+  (raw.socs || []).forEach((soc) => {
+    (soc.hlts || []).forEach((hlt) => {
+      (hlt.pts || []).forEach((pt) => {
+        const path = {
+          ptCode: pt.code,
+          ptName: pt.name,
+          hltCode: hlt.code,
+          hltName: hlt.name,
+          socCode: soc.code,
+          socName: soc.name
+        };
+        [{ code: pt.code, name: pt.name }, ...(pt.llts || [])].forEach((llt) => {
+          const term = { lltCode: llt.code, lltName: llt.name, ...path, normalized: normalize(llt.name) };
+          terms.push(term);
+          byCode.set(llt.code, term);
+        });
+      });
+    });
+  });
+
+  return {
+    info: {
+      name: raw.name,
+      version: raw.version,
+      system: raw.system || 'local'
+    },
+    counts: {
+      socs: (raw.socs || []).length,
+      preferredTerms: new Set(terms.map(term => term.ptCode)).size,
+      lowestLevelTerms: terms.length
+    },
+    terms,
+    byCode
+  };
+}
+
+/**
+ * Loaded dictionary (read from disk on first use)
+ * @returns {Object}
+ */
+function getDictionary() {
+  if (!dictionary) {
+    dictionary = loadDictionary();
+  }
+  return dictionary;
+}
+
+/**
+ * Drop the cached dictionary so the next call reads the file again
+ */
+function reloadDictionary() {
+  dictionary = null;
+  return getDictionary();
+}
+
+// Similarity of a normalized fragment to a normalized term, 0-1
+function scoreMatch(fragment, term) {
+  if (!fragment || !term) return 0;
+  if (fragment === term) return 1;
+
+  const distance = levenshtein.get(fragment, term);
+  const editScore = 1 - distance / Math.max(fragment.length, term.length);
+
+  // The term appears as whole words inside a longer description
+  const contained = ` ${fragment} `.includes(` ${term} `)
+    ? 0.85 + 0.15 * (term.length / fragment.length)
+    : 0;
+
+  // The fragment is only part of the term ("head" for "headache"); good enough
+  // for type-ahead search but kept below the auto-code threshold
+  const partial = term.startsWith(fragment) || ` ${term} `.includes(` ${fragment} `)
+    ? 0.6 + 0.2 * (fragment.length / term.length)
+    : 0;
+
+  return Math.max(editScore, contained, partial);
+}
+
+// Public shape of a term; the normalized key stays internal
+function toTerm(term, score) {
+  const { normalized, ...rest } = term;
+  return score === undefined ? rest : { ...rest, score: Math.round(score * 100) / 100 };
+}
+
+/**
+ * Rank dictionary terms against a query, one result per lowest level term
+ * @param {string} query - Search text
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum results
+ * @returns {Array<Object>} Terms with their full hierarchy and a score
+ */
+function search(query, { limit = 10 } = {}) {
+  const fragment = normalize(query);
+  if (!fragment) return [];
+
+  return getDictionary().terms
+    .map(term => ({ term, score: scoreMatch(fragment, term.normalized) }))
+    .filter(match => match.score >= MIN_SEARCH_SCORE)
+    .sort((a, b) => b.score - a.score || a.term.lltName.localeCompare(b.term.lltName))
+    .slice(0, limit)
+    .map(match => toTerm(match.term, match.score));
+}
+
+// Best term for one fragment, if it clears the auto-code threshold
+function bestMatch(fragment) {
+  const [top] = search(fragment, { limit: 1 });
+  return top && top.score >= config.terminology.autoCodeThreshold ? top : null;
+}
+
+/**
+ * Suggest coded terms for a verbatim reaction. The whole text is tried first
+ * so multi-word terms like "pins and needles" survive; otherwise it is split
+ * into separate reactions ("nausea+vomiting").
+ * @param {string} verbatim - Reaction as reported
+ * @returns {Array<Object>} Suggested terms, one per preferred term
+ */
+function suggestTerms(verbatim) {
+  const whole = bestMatch(verbatim);
+  if (whole && whole.score === 1) return [whole];
+
+  const fragments = String(verbatim || '').split(VERBATIM_SEPARATORS).filter(Boolean);
+  const matches = fragments.length > 1 ? fragments.map(bestMatch).filter(Boolean) : [];
+  const terms = matches.length > 0 ? matches : [whole].filter(Boolean);
+
+  const seen = new Set();
+  return terms.filter((term) => {
+    if (seen.has(term.ptCode)) return false;
+    seen.add(term.ptCode);
+    return true;
+  });
+}
+
+/**
+ * Automatic coding for a verbatim reaction, in the shape stored on
+ * ReportSideEffect.sideEffects[].coding
+ * @param {string} verbatim - Reaction as reported
+ * @returns {Object} Coding
+ */
+function autoCode(verbatim) {
+  const terms = suggestTerms(verbatim);
+  return {
+    status: terms.length > 0 ? 'auto' : 'uncoded',
+    terms,
+    dictionary: getDictionary().info,
+    codedAt: new Date()
+  };
+}
+
+/**
+ * Auto-code every side effect in place. Any coding sent by the client is
+ * replaced; only reviewers set confirmed codes.
+ * @param {Array<Object>} sideEffects - Side effect entries
+ * @returns {Array<Object>} The same entries
+ */
+function codeSideEffects(sideEffects = []) {
+  sideEffects.forEach((sideEffect) => {
+    sideEffect.coding = autoCode(sideEffect.effect);
+  });
+  return sideEffects;
+}
+
+/**
+ * Look up terms by lowest level term code
+ * @param {Array<string>} codes - LLT (or PT) codes
+ * @returns {Array<Object>} Terms
+ * @throws {AppError} 400 if a code is not in the dictionary
+ */
+function resolveTerms(codes = []) {
+  const { byCode } = getDictionary();
+  return codes.map((code) => {
+    const term = byCode.get(String(code));
+    if (!term) {
+      throw new AppError(`Unknown terminology code: ${code}`, 400);
+    }
+    return toTerm(term);
+  });
+}
+
+/**
+ * Record a reviewer's coding for one side effect. Keeping the suggested
+ * terms confirms them; anything else is an override.
+ * @param {Object} sideEffect - Side effect subdocument
+ * @param {Array<string>} lltCodes - Terms chosen by the reviewer
+ * @param {string} userId - Reviewer
+ * @returns {Object} The side effect
+ */
+function applyReviewedCoding(sideEffect, lltCodes, userId) {
+  const terms = resolveTerms(lltCodes);
+  const previous = (sideEffect.coding?.terms || []).map(term => term.lltCode).sort();
+  const chosen = terms.map(term => term.lltCode).sort();
+  const unchanged = previous.length === chosen.length && previous.every((code, i) => code === chosen[i]);
+
+  sideEffect.coding = {
+    status: terms.length === 0 ? 'uncoded' : (unchanged ? 'confirmed' : 'overridden'),
+    terms,
+    dictionary: getDictionary().info,
+    codedBy: userId,
+    codedAt: new Date()
+  };
+  return sideEffect;
+}
+
+/**
+ * Term with its hierarchy
+ * @param {string} code - LLT or PT code
+ * @returns {Object|null}
+ */
+function getTerm(code) {
+  const term = getDictionary().byCode.get(String(code));
+  return term ? toTerm(term) : null;
+}
+
+/**
+ * Aggregation stages that turn report documents into one row per coded term,
+ * keeping the report's medicine. Uncoded side effects become a term named by
+ * their verbatim text (with a null ptCode) so they still show up.
+ * @returns {Array<Object>} Pipeline stages; each row has `medicine` and `terms`
+ */
+function reportTermStages() {
+  return [
+    { $unwind: '$sideEffects' },
+    {
+      $project: {
+        medicine: 1,
+        terms: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$sideEffects.coding.terms', []] } }, 0] },
+            '$sideEffects.coding.terms',
+            [{ ptCode: null, ptName: { $toLower: '$sideEffects.effect' }, socName: null }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$terms' }
+  ];
+}
+
+/**
+ * Aggregation stages that turn report documents into one row per preferred
+ * term, counting reports
+ * @returns {Array<Object>} Pipeline stages
+ */
+function preferredTermStages() {
+  return [
+    ...reportTermStages(),
+    {
+      $group: {
+        _id: { ptCode: '$terms.ptCode', ptName: '$terms.ptName' },
+        socName: { $first: '$terms.socName' },
+        reports: { $addToSet: '$_id' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        ptCode: '$_id.ptCode',
+        ptName: '$_id.ptName',
+        socName: 1,
+        coded: { $ne: ['$_id.ptCode', null] },
+        reportCount: { $size: '$reports' }
+      }
+    },
+    { $sort: { reportCount: -1, ptName: 1 } }
+  ];
+}
+
+module.exports = {
+  normalize,
+  getDictionary,
+  reloadDictionary,
+  search,
+  suggestTerms,
+  autoCode,
+  codeSideEffects,
+  resolveTerms,
+  applyReviewedCoding,
+  getTerm,
+  reportTermStages,
+  preferredTermStages
+};
@@ -0,0 +1,221 @@
+/**
+ * Token Service
+ *
+ * Issues short-lived access tokens and rotating refresh tokens bound to a
+ * per-device Session. Every refresh replaces the session's refresh token;
+ * presenting a token that has already been rotated away is treated as theft
+ * and revokes the whole session.
+ *
+ * @module services/tokenService
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+
+/**
+ * Hash a refresh token id for storage
+ * @param {string} jti - Refresh token id
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashTokenId(jti) {
+  return crypto.createHash('sha256').update(jti).digest('hex');
+}
+
+/**
+ * Sign an access token bound to a session
+ * @param {string} userId - User id
+ * @param {string} sessionId - Session id
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ userId, sid: sessionId }, config.jwt.secret, {
+    expiresIn: config.jwt.expiresIn
+  });
+}
+
+/**
+ * Sign a refresh token with a fresh token id
+ * @param {string} userId - User id
+ * @param {string} sessionId - Session id
+ * @returns {{refreshToken: string, jti: string, expiresAt: Date}}
+ */
+function signRefreshToken(userId, sessionId) {
+  const jti = crypto.randomBytes(32).toString('hex');
+  const refreshToken = jwt.sign({ userId, sid: sessionId, jti }, config.jwt.refreshSecret, {
+    expiresIn: config.jwt.refreshExpiresIn
+  });
+  const { exp } = jwt.decode(refreshToken);
+
+  return { refreshToken, jti, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Build the token payload returned to clients
+ * @param {string} accessToken - Access token
+ * @param {string} refreshToken - Refresh token
+ * @param {string} sessionId - Session id
+ * @returns {Object} Token response fields
+ */
+function buildTokenResponse(accessToken, refreshToken, sessionId) {
+  const { exp } = jwt.decode(accessToken);
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresAt: new Date(exp * 1000).toISOString(),
+    sessionId: sessionId.toString()
+  };
+}
+
+/**
+ * Device details for a new session, taken from the request
+ * @param {Object} req - Express request
+ * @returns {Object} Device fields
+ */
+function getDeviceInfo(req) {
+  return {
+    deviceId: req.body?.deviceId || req.get('X-Device-Id') || undefined,
+    deviceName: req.body?.deviceName || undefined,
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  };
+}
+
+/**
+ * Start a new device session and issue its first token pair.
+ * Signing in again from the same device replaces that device's old session.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Token response fields
+ */
+async function createSession(user, req) {
+  const device = getDeviceInfo(req);
+
+  if (device.deviceId) {
+    await Session.updateMany(
+      { user: user._id, deviceId: device.deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'replaced' } }
+    );
+  }
+
+  const session = new Session({ user: user._id, ...device });
+  const { refreshToken, jti, expiresAt } = signRefreshToken(user._id, session._id);
+  session.refreshTokenHash = hashTokenId(jti);
+  session.expiresAt = expiresAt;
+  await session.save();
+
+  const accessToken = signAccessToken(user._id, session._id);
+  return buildTokenResponse(accessToken, refreshToken, session._id);
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @returns {Promise<Object>} Token response fields
+ * @throws {AppError} 401 if the token is invalid, expired, revoked or reused
+ */
+async function rotateRefreshToken(refreshToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
+  } catch (error) {
+    throw AppError.auth('Invalid or expired refresh token');
+  }
+
+  const { userId, sid, jti } = decoded;
+  const next = signRefreshToken(userId, sid);
+
+  // Only the holder of the current token can rotate; the filter makes this atomic
+  const session = await Session.findOneAndUpdate(
+    { _id: sid, user: userId, refreshTokenHash: hashTokenId(jti), revokedAt: null },
+    {
+      $set: { refreshTokenHash: hashTokenId(next.jti), expiresAt: next.expiresAt, lastUsedAt: new Date() },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A signed, unexpired token that is no longer current has been used twice
+    if (await revokeSession(sid, 'reuse_detected')) {
+      console.warn(`[Auth] Refresh token reuse detected for user ${userId}; session ${sid} revoked`);
+    }
+    throw AppError.auth('Session is no longer valid. Please log in again.');
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) {
+    await revokeSession(sid, 'deactivated');
+    throw AppError.auth('Your account has been deactivated. Please contact support.');
+  }
+
+  const accessToken = signAccessToken(userId, sid);
+  return buildTokenResponse(accessToken, next.refreshToken, sid);
+}
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session id
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+async function revokeSession(sessionId, reason) {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke the session a refresh token belongs to. Expired tokens are accepted
+ * so clients can always sign out.
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+async function revokeByRefreshToken(refreshToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, config.jwt.refreshSecret, { ignoreExpiration: true });
+  } catch (error) {
+    return false;
+  }
+  return revokeSession(decoded.sid, 'logout');
+}
+
+/**
+ * Revoke every session for a user
+ * @param {string} userId - User id
+ * @param {string} reason - Revocation reason
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the caller's)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason, exceptSessionId = null) {
+  const result = await Session.revokeAllForUser(userId, reason, exceptSessionId);
+  return result.modifiedCount;
+}
+
+/**
+ * Check that the session behind an access token is still active
+ * @param {string} sessionId - Session id from the access token
+ * @param {string} userId - User id from the access token
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId, userId) {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+  const session = await Session.findOne({ _id: sessionId, user: userId }).select('revokedAt expiresAt');
+  return !!session && session.isActive();
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+  isSessionActive
+};
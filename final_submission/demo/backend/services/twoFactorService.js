@@ -0,0 +1,352 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * RFC 6238 time-based one-time passwords (TOTP, HMAC-SHA1, 6 digits, 30s
+ * step) plus single-use recovery codes. Shared secrets are encrypted at rest
+ * with AES-256-GCM.
+ *
+ * @module services/twoFactorService
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const config = require('../config/config');
+const User = require('../models/User');
+
+/**
+ * TOTP and recovery code settings
+ */
+const TWO_FACTOR_CONFIG = {
+  ISSUER: 'SafeMed ADR',
+  DIGITS: 6,
+  STEP_SECONDS: 30,
+  // Accept codes from one step either side to tolerate clock drift
+  WINDOW: 1,
+  SECRET_BYTES: 20,
+  RECOVERY_CODE_COUNT: 10,
+  // Lifetime of the challenge token issued between password and code steps
+  CHALLENGE_EXPIRES_IN: '5m'
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding optional)
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Compute an HOTP value (RFC 4226) for a counter
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+function hotp(key, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** TWO_FACTOR_CONFIG.DIGITS).toString().padStart(TWO_FACTOR_CONFIG.DIGITS, '0');
+}
+
+/**
+ * Current TOTP time step
+ * @param {number} [timestamp=Date.now()] - Time in milliseconds
+ * @returns {number} Time step counter
+ */
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TWO_FACTOR_CONFIG.STEP_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a secret at a point in time
+ * @param {string} secret - Base32 secret
+ * @param {number} [timestamp=Date.now()] - Time in milliseconds
+ * @returns {string} TOTP code
+ */
+function generateTOTP(secret, timestamp = Date.now()) {
+  return hotp(base32Decode(secret), getTimeStep(timestamp));
+}
+
+/**
+ * Verify a TOTP code within the drift window.
+ * Returns the matched time step so callers can reject replays of the same code.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.lastUsedStep] - Step of the last accepted code
+ * @param {number} [options.timestamp=Date.now()] - Time in milliseconds
+ * @returns {number|null} Matched time step, or null if invalid
+ */
+function verifyTOTP(secret, code, { lastUsedStep = -1, timestamp = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TWO_FACTOR_CONFIG.DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep(timestamp);
+  const expected = Buffer.from(normalized);
+
+  for (let drift = -TWO_FACTOR_CONFIG.WINDOW; drift <= TWO_FACTOR_CONFIG.WINDOW; drift++) {
+    const step = currentStep + drift;
+    if (step <= lastUsedStep) continue;
+    const candidate = Buffer.from(hotp(key, step));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Generate a new random base32 secret
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(TWO_FACTOR_CONFIG.SECRET_BYTES));
+}
+
+/**
+ * Build the otpauth:// URI understood by authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (usually the email)
+ * @returns {string} otpauth URI
+ */
+function buildOtpAuthUrl(secret, accountName) {
+  const issuer = TWO_FACTOR_CONFIG.ISSUER;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TWO_FACTOR_CONFIG.DIGITS),
+    period: String(TWO_FACTOR_CONFIG.STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Render an otpauth URI as a QR code PNG data URL
+ * @param {string} otpauthUrl - otpauth URI
+ * @returns {Promise<string>} data:image/png;base64 URL
+ */
+function generateQRCode(otpauthUrl) {
+  return QRCode.toDataURL(otpauthUrl, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+}
+
+/**
+ * Key used to encrypt secrets at rest
+ * @returns {Buffer} 32-byte key
+ */
+function getEncryptionKey() {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || config.jwt.secret;
+  return crypto.createHash('sha256').update(source).digest();
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext - Base32 secret
+ * @returns {string} iv:tag:ciphertext (hex)
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Value produced by encryptSecret
+ * @returns {string} Base32 secret
+ */
+function decryptSecret(stored) {
+  const [ivHex, tagHex, dataHex] = stored.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(dataHex, 'hex')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Normalize and hash a recovery code for storage or lookup
+ * @param {string} code - Recovery code
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {{codes: string[], hashes: Array<{hash: string}>}} Plain codes (show once) and hashes (store)
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < TWO_FACTOR_CONFIG.RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return {
+    codes,
+    hashes: codes.map(code => ({ hash: hashRecoveryCode(code) }))
+  };
+}
+
+/**
+ * Issue the short-lived token that links the password step to the code step
+ * @param {string} userId - User id
+ * @returns {string} Signed challenge token
+ */
+function createChallengeToken(userId) {
+  return jwt.sign({ userId, purpose: '2fa' }, config.jwt.secret, {
+    expiresIn: TWO_FACTOR_CONFIG.CHALLENGE_EXPIRES_IN
+  });
+}
+
+/**
+ * Verify a challenge token from createChallengeToken
+ * @param {string} token - Challenge token
+ * @returns {string|null} User id, or null if invalid or expired
+ */
+function verifyChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(token, config.jwt.secret);
+    return decoded.purpose === '2fa' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a user's second factor and consume it so it cannot be replayed.
+ * Accepts either a current TOTP code or an unused recovery code.
+ * @param {string} userId - User id
+ * @param {Object} factor
+ * @param {string} [factor.code] - TOTP code
+ * @param {string} [factor.recoveryCode] - Recovery code
+ * @returns {Promise<{valid: boolean, method?: string, recoveryCodesRemaining?: number}>}
+ */
+async function consumeSecondFactor(userId, { code, recoveryCode } = {}) {
+  const user = await User.findById(userId)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user || !user.twoFactor?.enabled || !user.twoFactor.secret) {
+    return { valid: false };
+  }
+
+  if (code) {
+    const step = verifyTOTP(decryptSecret(user.twoFactor.secret), code, {
+      lastUsedStep: user.twoFactor.lastUsedStep ?? -1
+    });
+    if (step === null) return { valid: false };
+
+    // Conditional update so two concurrent requests can't both use one code
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': { $exists: false } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0 ? { valid: true, method: 'totp' } : { valid: false };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    if (result.modifiedCount === 0) return { valid: false };
+
+    const remaining = user.twoFactor.recoveryCodes.filter(rc => !rc.usedAt && rc.hash !== hash).length;
+    return { valid: true, method: 'recovery_code', recoveryCodesRemaining: remaining };
+  }
+
+  return { valid: false };
+}
+
+/**
+ * Whether a role must have two-factor authentication enabled
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+function isRequiredForRole(role) {
+  return (config.security.twoFactorRequiredRoles || []).includes(role);
+}
+
+module.exports = {
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUrl,
+  generateQRCode,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isRequiredForRole,
+  createChallengeToken,
+  verifyChallengeToken,
+  consumeSecondFactor,
+  base32Encode,
+  base32Decode,
+  TWO_FACTOR_CONFIG
+};
@@ -15,7 +15,18 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Medication = require('../models/Medication');
 const ReportSideEffect = require('../models/ReportSideEffect');
+const ReportSideEffectVersion = require('../models/ReportSideEffectVersion');
 const SymptomProgression = require('../models/SymptomProgression');
+const AnalysisJob = require('../models/AnalysisJob');
+const DeadLetter = require('../models/DeadLetter');
+const JobLock = require('../models/JobLock');
+const NotificationRule = require('../models/NotificationRule');
+const NotificationRuleFiring = require('../models/NotificationRuleFiring');
+const twoFactorService = require('../services/twoFactorService');
+const regulatoryDeadlineService = require('../services/regulatoryDeadlineService');
+const notificationService = require('../services/notificationService');
+const notificationRuleService = require('../services/notificationRuleService');
+const config = require('../config/config');
 
 // Test data
 let authToken = '';
@@ -48,7 +59,7 @@ afterAll(async () => {
 describe('API Endpoints Test Suite', () => {
   
   // ========================================
-  // AUTHENTICATION ENDPOINTS (9 tests)
+  // AUTHENTICATION ENDPOINTS (10 tests)
   // ========================================
   
   describe('Authentication Endpoints', () => {
@@ -206,6 +217,188 @@ describe('API Endpoints Test Suite', () => {
           newPassword: 'Test123456'
         });
     });
+
+    test('POST /auth/forgot-password - Same response for unknown email', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@test.com' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+    });
+
+    test('POST /auth/forgot-password - Registered email gets the same response', async () => {
+      const [registered, unknown] = await Promise.all(['patient@test.com', 'nobody@test.com'].map((email) => request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email })));
+
+      // Also when the reset email cannot be sent
+      expect(registered.status).toBe(unknown.status);
+      expect(registered.body).toEqual(unknown.body);
+    });
+
+    test('POST /auth/reset-password - Reject invalid token', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({
+          token: 'invalid-token',
+          newPassword: 'NewTest123456'
+        });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('POST /auth/refresh - Rotate refresh token and detect reuse', async () => {
+      const signin = await request(app)
+        .post('/api/auth/signin')
+        .send({ email: 'patient@test.com', password: 'Test123456', deviceId: 'refresh-test' });
+      const { refreshToken } = signin.body.data;
+      expect(refreshToken).toBeDefined();
+
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+      
+      expect(rotated.status).toBe(200);
+      expect(rotated.body.data.refreshToken).not.toBe(refreshToken);
+
+      // Replaying the old token revokes the session, including the new token
+      const reused = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+      expect(reused.status).toBe(401);
+
+      const afterReuse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${rotated.body.data.token}`);
+      expect(afterReuse.status).toBe(401);
+    });
+
+    test('POST /auth/logout - Revoked session rejects its access token', async () => {
+      const signin = await request(app)
+        .post('/api/auth/signin')
+        .send({ email: 'patient@test.com', password: 'Test123456', deviceId: 'logout-test' });
+      const { token, refreshToken } = signin.body.data;
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken });
+      expect(response.status).toBe(200);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+      expect(profile.status).toBe(401);
+    });
+
+    test('POST /auth/signin/2fa - Reject an invalid challenge token', async () => {
+      const response = await request(app)
+        .post('/api/auth/signin/2fa')
+        .send({ challengeToken: 'not-a-token', code: '123456' });
+      
+      expect(response.status).toBe(401);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('POST /auth/2fa - Enroll, sign in with a recovery code, then disable', async () => {
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(setup.status).toBe(200);
+      expect(setup.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+
+      const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: twoFactorService.generateTOTP(setup.body.data.secret) });
+      expect(enable.status).toBe(200);
+      const [recoveryCode, secondRecoveryCode] = enable.body.data.recoveryCodes;
+
+      // Password alone now only yields a challenge
+      const signin = await request(app)
+        .post('/api/auth/signin')
+        .send({ email: 'patient@test.com', password: 'Test123456' });
+      expect(signin.body.data.twoFactorRequired).toBe(true);
+      expect(signin.body.data.token).toBeUndefined();
+
+      const verify = await request(app)
+        .post('/api/auth/signin/2fa')
+        .send({ challengeToken: signin.body.data.challengeToken, recoveryCode });
+      expect(verify.status).toBe(200);
+      expect(verify.body.data.token).toBeDefined();
+
+      // Recovery codes are single-use
+      const reused = await request(app)
+        .post('/api/auth/signin/2fa')
+        .send({ challengeToken: signin.body.data.challengeToken, recoveryCode });
+      expect(reused.status).toBe(401);
+
+      const disable = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'Test123456', recoveryCode: secondRecoveryCode });
+      expect(disable.status).toBe(200);
+    });
+  });
+
+  // ========================================
+  // CARE TEAM ENDPOINTS (5 tests)
+  // ========================================
+
+  // The test doctor joins the test patient's care team here, so the report
+  // tests below can see the patient's reports
+  describe('Care Team Endpoints', () => {
+    let invitationId = '';
+
+    test('POST /care-team/invitations - Doctor invites a patient by email', async () => {
+      const response = await request(app)
+        .post('/api/care-team/invitations')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ email: 'patient@test.com', message: 'Please add me to your care team' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.status).toBe('pending');
+      expect(response.body.data.inviteExpiresAt).toBeDefined();
+      invitationId = response.body.data._id;
+    });
+
+    test('POST /care-team/invitations - Reject a second pending invitation', async () => {
+      const response = await request(app)
+        .post('/api/care-team/invitations')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: 'doctor@test.com' });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('POST /care-team/:id/accept - The inviter cannot accept their own invitation', async () => {
+      const response = await request(app)
+        .post(`/api/care-team/${invitationId}/accept`)
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('POST /care-team/:id/accept - Patient accepts the invitation', async () => {
+      const response = await request(app)
+        .post(`/api/care-team/${invitationId}/accept`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('active');
+    });
+
+    test('GET /care-team/patients - Doctor lists their patients', async () => {
+      const response = await request(app)
+        .get('/api/care-team/patients')
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(response.status).toBe(200);
+      const patient = response.body.data.find((p) => p.patient.email === 'patient@test.com');
+      expect(patient).toBeDefined();
+      expect(patient.totalReports).toBe(0);
+    });
   });
 
   // ========================================
@@ -349,7 +542,293 @@ describe('API Endpoints Test Suite', () => {
   });
 
   // ========================================
-  // SIDE EFFECT REPORTS ENDPOINTS (16 tests)
+  // MEDICATION INGREDIENT & ALIAS ENDPOINTS (4 tests)
+  // ========================================
+
+  describe('Medication Ingredient & Alias Endpoints', () => {
+    let combinationId;
+
+    test('POST /medications - Combination product derives its ingredients', async () => {
+      const response = await request(app)
+        .post('/api/medications')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({
+          name: 'TEST_Amoxiclav',
+          genericName: 'Amoxicillin and Clavulanate Potassium',
+          category: 'Antibiotic',
+          aliases: [{ name: 'TEST_Clavamox', type: 'brand' }]
+        });
+
+      expect(response.status).toBe(201);
+      const { medication } = response.body.data;
+      expect(medication.ingredients.map(ingredient => ingredient.name)).toEqual(['Amoxicillin', 'Clavulanate']);
+      expect(medication.isCombination).toBe(true);
+      combinationId = medication._id;
+    });
+
+    test('GET /medications/search - Finds a medication by brand name', async () => {
+      const response = await request(app)
+        .get('/api/medications/search')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ q: 'TEST_Clavamox' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.medications.map(medication => medication._id)).toContain(combinationId);
+    });
+
+    test('POST /medications/patient - Brand name returns the existing medication', async () => {
+      const response = await request(app)
+        .post('/api/medications/patient')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'test_clavamox' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.isExisting).toBe(true);
+      expect(response.body.data.medication._id).toBe(combinationId);
+    });
+
+    test('GET /reports/dashboard - Most reported medicines are grouped by ingredient', async () => {
+      const response = await request(app)
+        .get('/api/reports/dashboard')
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(response.status).toBe(200);
+      const ingredients = response.body.data.mostReportedIngredients;
+      expect(Array.isArray(ingredients)).toBe(true);
+      ingredients.forEach((row) => {
+        expect(row.ingredient).toBe(row.ingredient.toLowerCase());
+        expect(Array.isArray(row.medicines)).toBe(true);
+      });
+    });
+  });
+
+  // ========================================
+  // MEDICATION MERGE ENDPOINTS (5 tests)
+  // ========================================
+
+  describe('Medication Merge Endpoints', () => {
+    let targetId;
+    let duplicateId;
+
+    test('GET /medications/duplicates - Misspelled patient entry is queued under the verified medication', async () => {
+      const target = await request(app)
+        .post('/api/medications')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ name: 'TEST_Cefuroxime', genericName: 'Cefuroxime', category: 'Antibiotic' });
+      expect(target.status).toBe(201);
+      targetId = target.body.data.medication._id;
+
+      const duplicate = await request(app)
+        .post('/api/medications/patient')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'TEST_Cefuroxim 250mg' });
+      expect(duplicate.status).toBe(201);
+      duplicateId = duplicate.body.data.medication._id;
+
+      const response = await request(app)
+        .get('/api/medications/duplicates')
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(response.status).toBe(200);
+      const cluster = response.body.data.clusters.find(c => c.target?._id === targetId);
+      expect(cluster).toBeDefined();
+      expect(cluster.entries.map(entry => entry.medication._id)).toContain(duplicateId);
+    });
+
+    test('GET /medications/duplicates - Patient cannot review duplicates', async () => {
+      const response = await request(app)
+        .get('/api/medications/duplicates')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('POST /medications/:id/merge - Only merges into a verified medication other than itself', async () => {
+      const intoItself = await request(app)
+        .post(`/api/medications/${duplicateId}/merge`)
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ targetId: duplicateId });
+      expect(intoItself.status).toBe(400);
+
+      const unverified = await request(app)
+        .post('/api/medications/patient')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'TEST_Unverified Target' });
+      const intoUnverified = await request(app)
+        .post(`/api/medications/${duplicateId}/merge`)
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ targetId: unverified.body.data.medication._id });
+      expect(intoUnverified.status).toBe(400);
+    });
+
+    test('POST /medications/:id/merge - Moves reports and keeps the name as a synonym', async () => {
+      const report = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          medicine: duplicateId,
+          sideEffects: [{ effect: 'Rash', severity: 'Mild', onset: 'Within days', bodySystem: 'Dermatological' }],
+          medicationUsage: {
+            indication: 'Infection',
+            dosage: { amount: '250mg', frequency: 'Twice daily', route: 'Oral' },
+            startDate: new Date('2024-01-01')
+          },
+          reportDetails: {
+            incidentDate: new Date('2024-01-03'),
+            seriousness: 'Non-serious',
+            outcome: 'Recovering'
+          }
+        });
+      expect(report.status).toBe(201);
+
+      const response = await request(app)
+        .post(`/api/medications/${duplicateId}/merge`)
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ targetId, reason: 'Misspelling' });
+
+      expect(response.status).toBe(200);
+      const { medication, merge } = response.body.data;
+      expect(merge.reportsMoved).toBe(1);
+      expect(medication.aliases.map(alias => alias.name)).toContain('TEST_Cefuroxim 250mg');
+      expect(medication.mergeHistory).toHaveLength(1);
+      expect(await ReportSideEffect.countDocuments({ medicine: duplicateId })).toBe(0);
+
+      // The new suspect medicine is a version of the report, credited to the merge
+      const [latest] = await ReportSideEffectVersion.find({ report: report.body.data.report._id })
+        .sort({ version: -1 })
+        .limit(1)
+        .lean();
+      expect(latest).toMatchObject({ actor: 'user', source: 'medication_merge' });
+      expect(latest.snapshot.medicine.toString()).toBe(targetId);
+
+      const again = await request(app)
+        .post(`/api/medications/${duplicateId}/merge`)
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ targetId });
+      expect(again.status).toBe(409);
+    });
+
+    test('POST /medications/:id/merge - Concurrent merges of one entry: only one goes through', async () => {
+      const otherTarget = await request(app)
+        .post('/api/medications')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ name: 'TEST_Cefadroxil', genericName: 'Cefadroxil', category: 'Antibiotic' });
+      const entry = await request(app)
+        .post('/api/medications/patient')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'TEST_Cefuroxine' });
+      const entryId = entry.body.data.medication._id;
+
+      const responses = await Promise.all([targetId, otherTarget.body.data.medication._id].map(id =>
+        request(app)
+          .post(`/api/medications/${entryId}/merge`)
+          .set('Authorization', `Bearer ${doctorToken}`)
+          .send({ targetId: id })
+      ));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+    });
+  });
+
+  // ========================================
+  // MEDICATION CATALOG IMPORT ENDPOINTS (5 tests)
+  // ========================================
+
+  describe('Medication Catalog Import Endpoints', () => {
+    const ndcFile = Buffer.from(JSON.stringify({
+      results: [{
+        product_ndc: 'TEST-0001',
+        generic_name: 'IMPORTOLAMIDE',
+        brand_name: 'IMPORTEX',
+        dosage_form: 'TABLET, FILM COATED',
+        active_ingredients: [{ name: 'IMPORTOLAMIDE', strength: '250 mg/1' }],
+        pharm_class: ['Penicillin-class Antibacterial [EPC]'],
+        marketing_category: 'NDA'
+      }]
+    }));
+    // Uploads are imported in the background; poll the job report until it finishes
+    const finishedJob = async (id) => {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const response = await request(app)
+          .get(`/api/medications/import/jobs/${id}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+        const { job } = response.body.data;
+        if (!['pending', 'running'].includes(job.status)) return job;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      throw new Error(`Import job ${id} did not finish`);
+    };
+
+    afterAll(async () => {
+      await Medication.deleteMany({ 'externalIds.ndc': 'TEST-0001' });
+    });
+
+    test('POST /medications/import - Patient cannot import', async () => {
+      const response = await request(app)
+        .post('/api/medications/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('file', ndcFile, 'ndc.json');
+
+      expect(response.status).toBe(403);
+    });
+
+    test('POST /medications/import - Requires a file', async () => {
+      const response = await request(app)
+        .post('/api/medications/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('dryRun', 'true');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('POST /medications/import - Dry run reports planned medications without saving', async () => {
+      const response = await request(app)
+        .post('/api/medications/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('dryRun', 'true')
+        .attach('file', ndcFile, 'ndc.json');
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.job.status).toBe('pending');
+      const job = await finishedJob(response.body.data.job._id);
+      expect(job.status).toBe('completed');
+      expect(job.format).toBe('openfda-json');
+      expect(job.counts.created).toBe(1);
+      expect(job.preview[0]).toMatchObject({ action: 'create', name: 'Importolamide', category: 'Antibiotic', dosageForm: 'Tablet' });
+      expect(await Medication.countDocuments({ 'externalIds.ndc': 'TEST-0001' })).toBe(0);
+    });
+
+    test('POST /medications/import - Imports a verified medication with its brand name', async () => {
+      const response = await request(app)
+        .post('/api/medications/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('file', ndcFile, 'ndc.json');
+
+      expect(response.status).toBe(202);
+      const job = await finishedJob(response.body.data.job._id);
+      expect(job.counts.created).toBe(1);
+
+      const medication = await Medication.findOne({ 'externalIds.ndc': 'TEST-0001' });
+      expect(medication.isVerified).toBe(true);
+      expect(medication.commonStrengths).toEqual(['250mg']);
+      expect(medication.aliases.map(alias => alias.name)).toContain('Importex');
+    });
+
+    test('POST /medications/import - Importing the same file again changes nothing', async () => {
+      const response = await request(app)
+        .post('/api/medications/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('file', ndcFile, 'ndc.json');
+
+      expect(response.status).toBe(202);
+      const job = await finishedJob(response.body.data.job._id);
+      expect(job.counts).toMatchObject({ created: 0, updated: 0, unchanged: 1 });
+      expect(job.preview[0].action).toBe('unchanged');
+    });
+  });
+
+  // ========================================
+  // SIDE EFFECT REPORTS ENDPOINTS (18 tests)
   // ========================================
   
   describe('Side Effect Reports Endpoints', () => {
@@ -475,6 +954,72 @@ describe('API Endpoints Test Suite', () => {
       expect([200, 403, 404]).toContain(response.status);
     });
 
+    test('GET /reports/:id/versions - Get report version history', async () => {
+      const response = await request(app)
+        .get(`/api/reports/${testReportId}/versions`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const { versions, currentVersion } = response.body.data;
+      expect(versions[0].version).toBe(currentVersion);
+      expect(versions[versions.length - 1].version).toBe(1);
+    });
+
+    test('GET /reports/:id/versions/:version/diff - Get version diff', async () => {
+      const response = await request(app)
+        .get(`/api/reports/${testReportId}/versions/2/diff`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect([200, 404]).toContain(response.status);
+      if (response.status === 200) {
+        expect(response.body.data.comparedTo).toBe(1);
+        expect(Array.isArray(response.body.data.changes)).toBe(true);
+      }
+    });
+
+    test('GET /reports/:id/versions - System changes are not credited to a person', async () => {
+      const { _id, version, ...fields } = await ReportSideEffect.findById(testReportId).lean();
+      const report = await ReportSideEffect.create(fields);
+
+      // The AI consumer classifies the report serious without a model save;
+      // the scheduled check then starts its expedited clock
+      await ReportSideEffect.updateOne({ _id: report._id }, { $set: { 'reportDetails.seriousness': 'Serious' } });
+      await regulatoryDeadlineService.syncClocks();
+
+      const response = await request(app)
+        .get(`/api/reports/${report._id}/versions`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      await ReportSideEffect.deleteOne({ _id: report._id });
+
+      expect(response.status).toBe(200);
+      const { versions } = response.body.data;
+      expect(versions[0]).toMatchObject({ actor: 'system', source: 'regulatory_clock', changedBy: null });
+      expect(versions[versions.length - 1].actor).toBe('user');
+    });
+
+    test('GET /reports/:id/versions - Concurrent changes get their own versions', async () => {
+      const report = await ReportSideEffect.findById(testReportId);
+
+      // An AI update, numbered the way the consumer does, lands between
+      // loading the report and saving it
+      const analysed = await ReportSideEffect.findByIdAndUpdate(testReportId, { $inc: { version: 1 } }, { new: true }).lean();
+      report.set('doctorReview.remarks', 'Edited while the analysis ran');
+      await report.save();
+
+      const stored = await ReportSideEffect.findById(testReportId).lean();
+      expect(report.version).toBe(analysed.version + 1);
+      expect(stored.version).toBe(report.version);
+      expect(await ReportSideEffectVersion.countDocuments({ report: testReportId, version: report.version })).toBe(1);
+    });
+
+    test('POST /reports/:id/versions/:version/restore - Patients cannot restore', async () => {
+      const response = await request(app)
+        .post(`/api/reports/${testReportId}/versions/1/restore`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
     test('POST /reports/aisubmit - Submit report using AI', async () => {
       const response = await request(app)
         .post('/api/reports/aisubmit')
@@ -821,6 +1366,1098 @@ describe('API Endpoints Test Suite', () => {
     });
   });
 
+  // ========================================
+  // AUDIT LOG ENDPOINTS (4 tests)
+  // ========================================
+
+  describe('Audit Log Endpoints', () => {
+
+    test('GET /audit - Patients cannot read the audit log', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('GET /audit - Filter events for a report', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .query({ entityType: 'ReportSideEffect', entityId: testReportId });
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      response.body.data.forEach((event) => {
+        expect(event.entityId).toBe(testReportId);
+        expect(event.hash).toMatch(/^[a-f0-9]{64}$/);
+      });
+    });
+
+    test('GET /audit?format=csv - Export audit log as CSV', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .query({ action: 'report.', format: 'csv' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.text.split('\n')[0]).toContain('sequence,timestamp,actorEmail');
+    });
+
+    test('GET /audit/verify - Hash chain is intact', async () => {
+      const response = await request(app)
+        .get('/api/audit/verify')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.valid).toBe(true);
+    });
+  });
+
+  // ========================================
+  // TERMINOLOGY ENDPOINTS (4 tests)
+  // ========================================
+
+  describe('Terminology Endpoints', () => {
+
+    test('GET /terminology/search - Lay terms resolve to their preferred term', async () => {
+      const response = await request(app)
+        .get('/api/terminology/search')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ q: 'tummy ache' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0].ptName).toBe('Abdominal pain');
+      expect(response.body.data[0].socName).toBe('Gastrointestinal disorders');
+    });
+
+    test('GET /terminology/suggest - Split combined reactions', async () => {
+      const response = await request(app)
+        .get('/api/terminology/suggest')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ text: 'nausea+vomiting' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.terms.map((term) => term.ptName)).toEqual(['Nausea', 'Vomiting']);
+    });
+
+    test('PUT /reports/:id/coding - Patients cannot change coding', async () => {
+      const response = await request(app)
+        .put(`/api/reports/${testReportId}/coding`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ sideEffects: [] });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('PUT /reports/:id/coding - Confirm the suggested terms', async () => {
+      const report = await ReportSideEffect.findById(testReportId);
+      const [sideEffect] = report.sideEffects;
+      expect(sideEffect.coding.status).toBe('auto');
+
+      const response = await request(app)
+        .put(`/api/reports/${testReportId}/coding`)
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({
+          sideEffects: [{
+            sideEffectId: sideEffect._id.toString(),
+            lltCodes: sideEffect.coding.terms.map((term) => term.lltCode)
+          }]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.sideEffects[0].coding.status).toBe('confirmed');
+    });
+  });
+
+  // ========================================
+  // DRUG INTERACTION ENDPOINTS (3 tests)
+  // ========================================
+
+  describe('Drug Interaction Endpoints', () => {
+
+    test('POST /medications/interactions/check - Brand names resolve to interacting ingredients', async () => {
+      const response = await request(app)
+        .post('/api/medications/interactions/check')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ medicines: ['Warfarin', 'Advil'], reactions: ['Rectal bleeding'] });
+
+      expect(response.status).toBe(200);
+      const [finding] = response.body.data.findings;
+      expect(finding.severity).toBe('major');
+      expect(finding.ingredients).toEqual(['warfarin', 'ibuprofen']);
+      expect(finding.matchedReactions).toEqual(['Rectal bleeding']);
+    });
+
+    test('POST /medications/interactions/check - Needs at least two medicines', async () => {
+      const response = await request(app)
+        .post('/api/medications/interactions/check')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ medicines: ['Warfarin'] });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('POST /reports - Submission screens concomitant medications', async () => {
+      const response = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          medicine: testMedicineId,
+          sideEffects: [{ effect: 'Rectal bleeding', severity: 'Severe', onset: 'Within days' }],
+          medicationUsage: {
+            indication: 'Pain relief',
+            dosage: { amount: '300mg', frequency: 'Once daily', route: 'Oral' },
+            startDate: new Date('2024-01-01')
+          },
+          reportDetails: {
+            incidentDate: new Date('2024-01-05'),
+            seriousness: 'Non-serious',
+            outcome: 'Recovering'
+          },
+          patientInfo: {
+            age: 70,
+            concomitantMedications: [{ medicineName: 'Coumadin', dosage: '5mg' }]
+          }
+        });
+
+      expect(response.status).toBe(201);
+      const screening = response.body.data.report.interactionScreening;
+      expect(screening.status).toBe('flagged');
+      expect(screening.findings[0]).toMatchObject({
+        severity: 'major',
+        involvesSuspect: true,
+        matchedReactions: ['Rectal bleeding']
+      });
+
+      await ReportSideEffect.deleteOne({ _id: response.body.data.report._id });
+    });
+  });
+
+  // ========================================
+  // E2B EXPORT ENDPOINTS (2 tests)
+  // ========================================
+
+  describe('E2B Export Endpoints', () => {
+
+    test('GET /export/reports/:id?format=e2b - Patients cannot export ICSRs', async () => {
+      const response = await request(app)
+        .get(`/api/export/reports/${testReportId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ format: 'e2b' });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('GET /export/reports?format=e2b - Export an E2B(R3) batch', async () => {
+      const response = await request(app)
+        .get('/api/export/reports')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .query({ format: 'e2b' });
+
+      expect([200, 422]).toContain(response.status);
+      if (response.status === 200) {
+        expect(response.headers['content-type']).toMatch(/application\/xml/);
+        expect(response.text).toContain('<MCCI_IN200100UV01');
+        expect(response.text).toContain('<PORR_IN049016UV>');
+      }
+    });
+  });
+
+  // ========================================
+  // CAUSALITY QUESTIONNAIRE ENDPOINTS (3 tests)
+  // ========================================
+
+  describe('Causality Questionnaire Endpoints', () => {
+
+    test('GET /reports/:id/causality/questionnaire - Patients cannot assess causality', async () => {
+      const response = await request(app)
+        .get(`/api/reports/${testReportId}/causality/questionnaire`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ algorithm: 'Naranjo' });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('GET /reports/:id/causality/questionnaire - Prefill from report dates', async () => {
+      const response = await request(app)
+        .get(`/api/reports/${testReportId}/causality/questionnaire`)
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .query({ algorithm: 'WHO-UMC' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.questionnaire.questions.length).toBeGreaterThan(0);
+      expect(response.body.data.answers.timeRelationship).toBe('plausible');
+    });
+
+    test('POST /reports/causality/evaluate - Score Naranjo answers', async () => {
+      const response = await request(app)
+        .post('/api/reports/causality/evaluate')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({
+          algorithm: 'Naranjo',
+          answers: {
+            previousReports: 'yes',
+            temporal: 'yes',
+            dechallenge: 'yes',
+            rechallenge: 'yes',
+            alternativeCauses: 'no',
+            objectiveEvidence: 'yes'
+          }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.score).toBe(9);
+      expect(response.body.data.category).toBe('Certain');
+      expect(response.body.data.interpretation).toBe('Definite');
+    });
+  });
+
+  // ========================================
+  // SIGNAL DETECTION ENDPOINTS (4 tests)
+  // ========================================
+
+  describe('Signal Detection Endpoints', () => {
+
+    test('GET /signals - Patients cannot view signals', async () => {
+      const response = await request(app)
+        .get('/api/signals')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('POST /signals/run - Evaluate every ingredient and reaction pair', async () => {
+      const response = await request(app)
+        .post('/api/signals/run')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.totalReports).toBeGreaterThan(0);
+      expect(response.body.data.evaluatedPairs).toBeGreaterThan(0);
+    });
+
+    test('POST /signals/run - Skip while another server holds the detection lease', async () => {
+      await JobLock.create({
+        name: 'signal-detection',
+        holder: 'another-server',
+        lockedUntil: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      const response = await request(app)
+        .post('/api/signals/run')
+        .set('Authorization', `Bearer ${adminToken}`);
+      await JobLock.deleteOne({ name: 'signal-detection', holder: 'another-server' });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('GET /signals - List signals with pagination', async () => {
+      const response = await request(app)
+        .get('/api/signals')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .query({ active: 'true', limit: 5 });
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.meta.pagination.limit).toBe(5);
+    });
+  });
+
+  // ========================================
+  // PRODUCT LOT AND RECALL ENDPOINTS (5 tests)
+  // ========================================
+
+  describe('Product Lot and Recall Endpoints', () => {
+    let lotMedicationId;
+    let lotId;
+
+    const reportBatch = (batchNumber) => request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        medicine: lotMedicationId,
+        medicineDetails: { batchNumber, manufacturer: 'Test Pharma', expiryDate: '2027-06-30' },
+        sideEffects: [{ effect: 'Headache', severity: 'Moderate', onset: 'Within hours', bodySystem: 'Nervous System' }],
+        medicationUsage: {
+          indication: 'Hypertension',
+          dosage: { amount: '10mg', frequency: 'Once daily', route: 'Oral' },
+          startDate: new Date('2024-02-01')
+        },
+        reportDetails: {
+          incidentDate: new Date('2024-02-03'),
+          seriousness: 'Non-serious',
+          outcome: 'Recovering'
+        }
+      });
+
+    test('GET /lots - Patients cannot view reports by batch', async () => {
+      const response = await request(app)
+        .get('/api/lots')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('GET /lots - Lot reported far more often than the other lots is flagged', async () => {
+      const medication = await request(app)
+        .post('/api/medications')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ name: 'TEST_Lotamine', genericName: 'Lotamine', category: 'Cardiovascular' });
+      expect(medication.status).toBe(201);
+      lotMedicationId = medication.body.data.medication._id;
+
+      // Spellings of the same batch number are one lot
+      for (const batchNumber of ['TL-0001', 'tl 0001', 'TL0001', 'TL-0002']) {
+        const report = await reportBatch(batchNumber);
+        expect(report.status).toBe(201);
+      }
+
+      const response = await request(app)
+        .get('/api/lots')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .query({ medicine: lotMedicationId });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(2);
+      const [flagged, other] = response.body.data;
+      expect(flagged).toMatchObject({ reportCount: 3, concentration: 3, flagged: true, medicationLots: 2 });
+      expect(flagged.lot).toMatchObject({ batchNumber: 'TL-0001', batchKey: 'TL0001', manufacturer: 'Test Pharma' });
+      expect(flagged.topReactions[0]).toMatchObject({ reportCount: 3 });
+      expect(other).toMatchObject({ reportCount: 1, flagged: false });
+      expect(response.body.meta.summary).toMatchObject({ lots: 2, reports: 4, flagged: 1 });
+      lotId = flagged.lot._id;
+    });
+
+    test('GET /lots/:id/reports - Reports naming the lot', async () => {
+      const response = await request(app)
+        .get(`/api/lots/${lotId}/reports`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.totalReports).toBe(3);
+      expect(response.body.data.hiddenReports).toBe(0);
+      expect(response.body.data.reports.map(report => report.medicineDetails.batchNumber))
+        .toEqual(expect.arrayContaining(['TL-0001', 'tl 0001', 'TL0001']));
+    });
+
+    test('POST /recalls - Only admins issue recalls, with a valid classification', async () => {
+      const recall = {
+        medication: lotMedicationId,
+        batchNumbers: ['TL0001'],
+        classification: 'class_ii',
+        reason: 'Tablets may be superpotent'
+      };
+
+      const asDoctor = await request(app)
+        .post('/api/recalls')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send(recall);
+      expect(asDoctor.status).toBe(403);
+
+      const invalid = await request(app)
+        .post('/api/recalls')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...recall, classification: 'class_iv' });
+      expect(invalid.status).toBe(422);
+    });
+
+    test('POST /recalls - Recalling a lot notifies the patient who reported it once', async () => {
+      const response = await request(app)
+        .post('/api/recalls')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          medication: lotMedicationId,
+          batchNumbers: ['tl-0001'],
+          classification: 'class_ii',
+          reason: 'Tablets may be superpotent.',
+          patientInstructions: 'Return unused tablets to your pharmacy.',
+          reference: 'TEST-R-0001'
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.lots.map(lot => lot._id)).toEqual([lotId]);
+      expect(response.body.data.notifiedCount).toBe(1);
+
+      // A later report of the recalled lot does not notify the patient again
+      await reportBatch('TL-0001');
+      const notifications = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${authToken}`);
+      const recallNotifications = notifications.body.data.notifications.filter(n => n.type === 'product_recall');
+      expect(recallNotifications).toHaveLength(1);
+      expect(recallNotifications[0].metadata.batchNumbers).toEqual(['TL-0001']);
+
+      const completed = await request(app)
+        .put(`/api/recalls/${response.body.data._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'completed', comment: 'All stock returned' });
+      expect(completed.status).toBe(200);
+      expect(completed.body.data.status).toBe('completed');
+    });
+  });
+
+  // ========================================
+  // EXPEDITED REPORTING ENDPOINTS (5 tests)
+  // ========================================
+
+  describe('Expedited Reporting Endpoints', () => {
+
+    test('GET /reports/regulatory-due - Patients cannot view expedited cases', async () => {
+      const response = await request(app)
+        .get('/api/reports/regulatory-due')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('PUT /reports/:id/regulatory - Non-serious reports have no expedited clock', async () => {
+      const response = await request(app)
+        .put(`/api/reports/${testReportId}/regulatory`)
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ expectedness: 'Unexpected' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.regulatoryInfo.expeditedReporting.expectedness).toBe('Unexpected');
+      expect(response.body.data.regulatoryInfo.expeditedReporting.required).toBe(false);
+    });
+
+    test('GET /reports/regulatory-due - List overdue cases', async () => {
+      const response = await request(app)
+        .get('/api/reports/regulatory-due')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .query({ status: 'overdue' });
+
+      expect(response.status).toBe(200);
+      expect(typeof response.body.data.summary.overdue).toBe('number');
+      response.body.data.reports.forEach((report) => {
+        expect(report.deadlineStatus).toBe('overdue');
+      });
+    });
+
+    test('Escalation is retried when no staff member could be notified', async () => {
+      const { _id, version, ...fields } = await ReportSideEffect.findById(testReportId).lean();
+      fields.reportDetails.seriousness = 'Serious';
+      fields.regulatoryInfo.expeditedReporting.expectedness = 'Unexpected';
+      const report = await ReportSideEffect.create(fields);
+
+      const notify = jest.spyOn(notificationService, 'notify').mockResolvedValue(undefined);
+      try {
+        await regulatoryDeadlineService.escalate();
+      } finally {
+        notify.mockRestore();
+      }
+      const failed = await ReportSideEffect.findById(report._id).lean();
+      await regulatoryDeadlineService.escalate();
+      const retried = await ReportSideEffect.findById(report._id).lean();
+      await ReportSideEffect.deleteOne({ _id: report._id });
+
+      expect(failed.regulatoryInfo.expeditedReporting.escalationLevel).toBe('none');
+      expect(retried.regulatoryInfo.expeditedReporting.escalationLevel).toBe('started');
+    });
+
+    test('A report classified serious by the AI starts its clock straight away', async () => {
+      const { _id, version, ...fields } = await ReportSideEffect.findById(testReportId).lean();
+      fields.regulatoryInfo.expeditedReporting.expectedness = 'Unexpected';
+      const report = await ReportSideEffect.create(fields);
+
+      // The AI consumer classifies the report serious without a model save
+      await ReportSideEffect.updateOne({ _id: report._id }, { $set: { 'reportDetails.seriousness': 'Serious' } });
+      const result = await regulatoryDeadlineService.checkReport(report._id);
+      const checked = await ReportSideEffect.findById(report._id).lean();
+      await ReportSideEffect.deleteOne({ _id: report._id });
+
+      expect(result).toEqual({ synced: 1, escalated: 1 });
+      expect(checked.regulatoryInfo.expeditedReporting.required).toBe(true);
+      expect(checked.regulatoryInfo.expeditedReporting.escalationLevel).toBe('started');
+    });
+  });
+
+  // ========================================
+  // DEAD LETTER ENDPOINTS (4 tests)
+  // ========================================
+
+  describe('Dead Letter Endpoints', () => {
+
+    test('GET /dead-letters - Doctors cannot view dead letters', async () => {
+      const response = await request(app)
+        .get('/api/dead-letters')
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('GET /dead-letters - List dead-lettered reports', async () => {
+      const response = await request(app)
+        .get('/api/dead-letters')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .query({ status: 'all', limit: 5 });
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.meta.pagination.limit).toBe(5);
+    });
+
+    test('POST /dead-letters/:id/replay - Unknown dead letter', async () => {
+      const response = await request(app)
+        .post('/api/dead-letters/507f1f77bcf86cd799439011/replay')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('POST /dead-letters/:id/replay - Concurrent replays queue the report once', async () => {
+      await AnalysisJob.updateMany(
+        { report: testReportId, status: { $in: AnalysisJob.ACTIVE_STATUSES } },
+        { $set: { status: 'failed' } }
+      );
+      const deadLetter = await DeadLetter.create({ queue: 'report.created', report: testReportId, reason: 'Test' });
+
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post(`/api/dead-letters/${deadLetter._id}/replay`)
+        .set('Authorization', `Bearer ${adminToken}`)));
+      const stored = await DeadLetter.findById(deadLetter._id).lean();
+      await DeadLetter.deleteOne({ _id: deadLetter._id });
+
+      // 503 when RabbitMQ is not running, and the dead letter can be replayed again
+      const statuses = responses.map(response => response.status);
+      expect(statuses.filter(status => status === 200)).toHaveLength(stored.status === 'replayed' ? 1 : 0);
+      expect(statuses).toContain(409);
+    });
+  });
+
+  // ========================================
+  // AI PROVIDER ENDPOINTS (2 tests)
+  // ========================================
+
+  describe('AI Provider Endpoints', () => {
+    let configuredProvider;
+
+    beforeAll(() => {
+      configuredProvider = config.ai.extractionProvider;
+      config.ai.extractionProvider = 'rule-based';
+    });
+
+    afterAll(() => {
+      config.ai.extractionProvider = configuredProvider;
+    });
+
+    test('POST /reports/aipreview - Rule-based extraction', async () => {
+      const response = await request(app)
+        .post('/api/reports/aipreview')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ text: 'Took Ibuprofen 400 mg and got a severe rash within hours' });
+
+      expect(response.status).toBe(200);
+      const { extractedData } = response.body.data;
+      expect(extractedData.aiProvider).toBe('rule-based');
+      expect(extractedData.medicine.name).toBe('Ibuprofen');
+      expect(extractedData.sideEffects[0].severity).toBe('Severe');
+      expect(extractedData.sideEffects[0].onset).toBe('Within hours');
+      expect(extractedData.reportDetails.seriousness).toBe('Serious');
+      // No prompt is involved in rule-based extraction
+      expect(response.body.data.processingMetadata.promptVersion).toBeNull();
+    });
+
+    test('POST /reports/aipreview - Rule-based extraction is deterministic', async () => {
+      const text = 'Mild headache the next day after Paracetamol 500 mg';
+      const [first, second] = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/reports/aipreview')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ text })));
+
+      expect(first.status).toBe(200);
+      expect(second.body.data.extractedData).toEqual(first.body.data.extractedData);
+    });
+  });
+
+  // ========================================
+  // PROMPT VERSIONS AND EVALUATION (3 tests)
+  // ========================================
+
+  describe('Prompt Versions and Evaluation', () => {
+    const analysis = require('../../consumer/src/services/aiProviders/analysis');
+    const RuleBasedProvider = require('../../consumer/src/services/aiProviders/ruleBasedProvider');
+    const { runCases, summarize } = require('../../consumer/src/eval/runEval');
+    const fixtures = require('../../consumer/src/eval/fixtures.json');
+
+    test('Prompt template renders with its version', () => {
+      const promptTemplates = require('../services/aiProviders/promptTemplates');
+      const prompt = promptTemplates.render('report-extraction', { text: 'Headache after aspirin' }, 'v1');
+
+      expect(prompt.version).toBe('report-extraction@v1');
+      expect(prompt.text).toContain('Headache after aspirin');
+    });
+
+    test('GET /reports/:id - Analysed report stores its prompt version', async () => {
+      // Built and stored the way the consumer does after an AI analysis
+      const prompt = analysis.buildAnalysisPrompt(fixtures[0].report);
+      const aiAnalysis = analysis.validateAndEnhanceAnalysis({}, fixtures[0].report, { promptVersion: prompt.version });
+      await ReportSideEffect.updateOne({ _id: testReportId }, { $set: { 'metadata.aiAnalysis': aiAnalysis } });
+
+      const response = await request(app)
+        .get(`/api/reports/${testReportId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(prompt.version).toMatch(/^report-analysis@v\d+$/);
+      expect(response.body.data.report.metadata.aiAnalysis.promptVersion).toBe(prompt.version);
+    });
+
+    test('Eval harness reports agreement on its fixture set', async () => {
+      const results = await runCases(new RuleBasedProvider(), fixtures, () => {});
+      const summary = summarize(results);
+
+      expect(summary.cases).toBe(fixtures.length);
+      expect(summary.errors).toBe(0);
+      ['severity', 'seriousness', 'priority'].forEach((field) => {
+        expect(summary.agreement[field].total).toBe(fixtures.length);
+        expect(summary.agreement[field].rate).toBeGreaterThanOrEqual(0);
+      });
+    });
+  });
+
+  // ========================================
+  // ANALYSIS JOB ENDPOINTS (4 tests)
+  // ========================================
+
+  describe('Analysis Job Endpoints', () => {
+
+    test('GET /reports/:id/analysis-status - Get analysis status', async () => {
+      const response = await request(app)
+        .get(`/api/reports/${testReportId}/analysis-status`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(typeof response.body.data.aiProcessed).toBe('boolean');
+      expect(Array.isArray(response.body.data.history)).toBe(true);
+    });
+
+    test('POST /reports/:id/reanalyze - Patients cannot re-run analysis', async () => {
+      const response = await request(app)
+        .post(`/api/reports/${testReportId}/reanalyze`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('POST /reports/:id/reanalyze - Unknown report', async () => {
+      const response = await request(app)
+        .post('/api/reports/507f1f77bcf86cd799439011/reanalyze')
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('POST /reports/:id/reanalyze - A re-run starts with a fresh retry budget', async () => {
+      await AnalysisJob.updateMany(
+        { report: testReportId, status: { $in: AnalysisJob.ACTIVE_STATUSES } },
+        { $set: { status: 'failed' } }
+      );
+      await ReportSideEffect.updateOne({ _id: testReportId }, { $set: { 'metadata.aiProcessingAttempts': 5 } });
+
+      const response = await request(app)
+        .post(`/api/reports/${testReportId}/reanalyze`)
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      // 503 when RabbitMQ is not running; the count is reset before publishing
+      expect([202, 503]).toContain(response.status);
+      const report = await ReportSideEffect.findById(testReportId).lean();
+      expect(report.metadata.aiProcessingAttempts).toBe(0);
+    });
+  });
+
+  // ========================================
+  // REAL-TIME NOTIFICATION ENDPOINTS (1 test)
+  // ========================================
+
+  describe('Real-time Notification Endpoints', () => {
+
+    test('GET /metrics - SSE connection counts', async () => {
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      const { sse } = response.body.data;
+      expect(sse.instanceId).toBeDefined();
+      expect(typeof sse.connections).toBe('number');
+      expect(sse.fanout.exchange).toBe('notification.events');
+    });
+  });
+
+  // ========================================
+  // NOTIFICATION PREFERENCE ENDPOINTS (4 tests)
+  // ========================================
+
+  describe('Notification Preference Endpoints', () => {
+
+    test('GET /notifications/preferences - Defaults with channel availability', async () => {
+      const response = await request(app)
+        .get('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const { preferences, types, channels } = response.body.data;
+      expect(preferences.channels).toMatchObject({ email: true, push: true, sms: false });
+      expect(preferences.quietHours.enabled).toBe(false);
+      expect(types).toContain('critical_report');
+      expect(typeof channels.sms).toBe('boolean');
+    });
+
+    test('PUT /notifications/preferences - Reject invalid quiet hours', async () => {
+      const response = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ quietHours: { enabled: true, start: '25:00', timezone: 'Mars/Olympus' } });
+
+      expect(response.status).toBe(422);
+    });
+
+    test('GET /notifications/deliveries - Own delivery log', async () => {
+      const response = await request(app)
+        .get('/api/notifications/deliveries')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.meta.pagination).toBeDefined();
+    });
+
+    test('GET /notifications/deliveries - Only notification:deliveries_all can read another user\'s log', async () => {
+      const response = await request(app)
+        .get('/api/notifications/deliveries')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .query({ recipient: testUserId });
+
+      expect(response.status).toBe(200);
+      response.body.data.forEach((delivery) => {
+        expect(delivery.recipient).not.toBe(testUserId);
+      });
+    });
+  });
+
+  // ========================================
+  // DIGEST ENDPOINTS (3 tests)
+  // ========================================
+
+  describe('Digest Endpoints', () => {
+
+    test('GET /notifications/digest/preview - Doctor sees digest sections', async () => {
+      const response = await request(app)
+        .get('/api/notifications/digest/preview')
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.sections.map(section => section.key)).toEqual(
+        ['pendingReviews', 'progressions', 'overdueAssignments', 'duplicates']
+      );
+      expect(response.body.data.html).toContain('digest');
+    });
+
+    test('GET /notifications/digest/preview - Patients have no digest', async () => {
+      const response = await request(app)
+        .get('/api/notifications/digest/preview')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('PUT /notifications/preferences - Reject unknown digest frequency', async () => {
+      const response = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ digest: { frequency: 'hourly' } });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  // ========================================
+  // NOTIFICATION RULE ENDPOINTS (6 tests)
+  // ========================================
+
+  describe('Notification Rule Endpoints', () => {
+    let ruleId = '';
+
+    const escalationRule = {
+      name: 'Escalate unreviewed severe reports',
+      trigger: 'unreviewed',
+      unreviewedAfterHours: 24,
+      conditions: [{ field: 'severity', operator: 'gte', value: 'Severe' }],
+      recipients: { roles: ['admin'] },
+      notification: { priority: 'critical' }
+    };
+
+    test('POST /notification-rules - Admin creates a rule', async () => {
+      const response = await request(app)
+        .post('/api/notification-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(escalationRule);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.trigger).toBe('unreviewed');
+      expect(response.body.data.fireCount).toBe(0);
+      ruleId = response.body.data._id;
+    });
+
+    test('GET /notification-rules - Doctors cannot manage rules', async () => {
+      const response = await request(app)
+        .get('/api/notification-rules')
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('POST /notification-rules - Reject level comparison on body system', async () => {
+      const response = await request(app)
+        .post('/api/notification-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          ...escalationRule,
+          conditions: [{ field: 'bodySystem', operator: 'gte', value: 'Cardiovascular' }]
+        });
+
+      expect(response.status).toBe(422);
+    });
+
+    test('POST /notification-rules/dry-run - Test a rule against recent reports', async () => {
+      const response = await request(app)
+        .post('/api/notification-rules/dry-run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...escalationRule, trigger: 'report_created', days: 7 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.matched).toBeLessThanOrEqual(response.body.data.checked);
+      response.body.data.recipients.forEach((user) => expect(user.role).toBe('admin'));
+    });
+
+    test('A firing is released when no recipient could be notified', async () => {
+      const rule = await NotificationRule.create({
+        name: 'Every new report',
+        trigger: 'report_created',
+        recipients: { roles: ['admin'] }
+      });
+      const eventKey = `released-${rule._id}`;
+
+      const notify = jest.spyOn(notificationService, 'notify').mockResolvedValue(undefined);
+      let failed;
+      try {
+        failed = await notificationRuleService.evaluate('report_created', testReportId, { eventKey });
+      } finally {
+        notify.mockRestore();
+      }
+      const firingsAfterFailure = await NotificationRuleFiring.countDocuments({ rule: rule._id });
+      const ruleAfterFailure = await NotificationRule.findById(rule._id).lean();
+      const retried = await notificationRuleService.evaluate('report_created', testReportId, { eventKey });
+
+      await NotificationRuleFiring.deleteMany({ rule: rule._id });
+      await NotificationRule.deleteOne({ _id: rule._id });
+
+      expect(failed.fired).toBe(0);
+      expect(firingsAfterFailure).toBe(0);
+      expect(ruleAfterFailure.fireCount).toBe(0);
+      expect(retried.fired).toBe(1);
+    });
+
+    test('DELETE /notification-rules/:id - Delete the rule', async () => {
+      const response = await request(app)
+        .delete(`/api/notification-rules/${ruleId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  // ========================================
+  // ROLE AND PERMISSION ENDPOINTS (6 tests)
+  // ========================================
+
+  describe('Role and Permission Endpoints', () => {
+    let roleId = '';
+    let doctorUserId = '';
+
+    test('GET /auth/profile - Returns the user\'s effective permissions', async () => {
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.role.name).toBe('doctor');
+      expect(response.body.data.permissions).toContain('report:review');
+      expect(response.body.data.permissions).not.toContain('role:manage');
+      doctorUserId = response.body.data.user._id;
+    });
+
+    test('GET /roles - Patients cannot manage roles', async () => {
+      const response = await request(app)
+        .get('/api/roles')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('POST /roles - Admin creates a custom role', async () => {
+      const response = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'pharmacist',
+          label: 'Pharmacist',
+          baseRole: 'doctor',
+          reporterRole: 'pharmacist',
+          permissions: ['report:create', 'medication:verify', 'signal:read']
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.permissions).toEqual(['report:create', 'medication:verify', 'signal:read']);
+      roleId = response.body.data._id;
+    });
+
+    test('PUT /roles/users/:userId - Assigned role replaces the doctor\'s permissions', async () => {
+      const assign = await request(app)
+        .put(`/api/roles/users/${doctorUserId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roleId });
+      expect(assign.status).toBe(200);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${doctorToken}`);
+      expect(profile.body.data.role.name).toBe('pharmacist');
+      expect(profile.body.data.permissions).toEqual(['report:create', 'medication:verify', 'signal:read']);
+
+      const dashboard = await request(app)
+        .get('/api/reports/dashboard')
+        .set('Authorization', `Bearer ${doctorToken}`);
+      expect(dashboard.status).toBe(403);
+    });
+
+    test('DELETE /roles/:role - Cannot delete a role users still have', async () => {
+      const response = await request(app)
+        .delete(`/api/roles/${roleId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    test('DELETE /roles/:role - Unassigned role is deleted and the doctor\'s access restored', async () => {
+      const unassign = await request(app)
+        .put(`/api/roles/users/${doctorUserId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roleId: null });
+      expect(unassign.status).toBe(200);
+
+      const response = await request(app)
+        .delete(`/api/roles/${roleId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(response.status).toBe(200);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${doctorToken}`);
+      expect(profile.body.data.role.name).toBe('doctor');
+      expect(profile.body.data.permissions).toContain('report:dashboard');
+    });
+  });
+
+  // ========================================
+  // CARE TEAM SCOPING (6 tests)
+  // ========================================
+
+  describe('Care Team Scoping', () => {
+
+    test('DELETE /care-team/:id - Patient removes the doctor from their care team', async () => {
+      const list = await request(app)
+        .get('/api/care-team')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ status: 'active' });
+      expect(list.status).toBe(200);
+      expect(list.body.data.length).toBe(1);
+
+      const response = await request(app)
+        .delete(`/api/care-team/${list.body.data[0]._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('ended');
+    });
+
+    test('GET /reports - Doctor no longer sees the patient\'s reports', async () => {
+      const byId = await request(app)
+        .get(`/api/reports/${testReportId}`)
+        .set('Authorization', `Bearer ${doctorToken}`);
+      expect(byId.status).toBe(403);
+
+      const list = await request(app)
+        .get('/api/reports')
+        .set('Authorization', `Bearer ${doctorToken}`);
+      expect(list.status).toBe(200);
+      expect(list.body.data.map((report) => report._id)).not.toContain(testReportId);
+    });
+
+    test('GET /reports/:id/causality/questionnaire - Doctor cannot prefill causality for the patient\'s report', async () => {
+      const response = await request(app)
+        .get(`/api/reports/${testReportId}/causality/questionnaire`)
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .query({ algorithm: 'Naranjo' });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('GET /reports/regulatory-due - Expedited cases are scoped to the care team', async () => {
+      const response = await request(app)
+        .get('/api/reports/regulatory-due')
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.reports.map((report) => report._id)).not.toContain(testReportId);
+    });
+
+    test('GET /reports/:id/duplicates - Doctor cannot check or flag the patient\'s report for duplicates', async () => {
+      const duplicates = await request(app)
+        .get(`/api/reports/${testReportId}/duplicates`)
+        .set('Authorization', `Bearer ${doctorToken}`);
+      expect(duplicates.status).toBe(403);
+
+      const flag = await request(app)
+        .post(`/api/reports/${testReportId}/flag-duplicate`)
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ originalReportId: testReportId });
+      expect(flag.status).toBe(403);
+    });
+
+    test('GET /reports/:id - A custom role with report:read_all sees reports outside the care team', async () => {
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${doctorToken}`);
+      const role = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'safety_officer', baseRole: 'doctor', permissions: ['report:read_all'] });
+      expect(role.status).toBe(201);
+
+      const assign = await request(app)
+        .put(`/api/roles/users/${profile.body.data.user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roleId: role.body.data._id });
+      expect(assign.status).toBe(200);
+
+      const response = await request(app)
+        .get(`/api/reports/${testReportId}`)
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      await request(app)
+        .put(`/api/roles/users/${profile.body.data.user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roleId: null });
+      await request(app)
+        .delete(`/api/roles/${role.body.data._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+    });
+  });
+
   // ========================================
   // CLEANUP TEST - Delete user account
   // ========================================
@@ -0,0 +1,54 @@
+/**
+ * CSV Utilities
+ * Parsing of delimited text files (interaction knowledge bases, catalog imports)
+ */
+
+/**
+ * Split delimited text into rows of fields (RFC 4180): quoted fields may
+ * hold delimiters, newlines and doubled quotes. Blank rows are dropped.
+ * @param {String} text - File contents
+ * @param {String} [delimiter=','] - Field separator, e.g. '\t' for TSV
+ * @returns {Array<Array<String>>} Rows of fields
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+module.exports = {
+  parseCsv
+};
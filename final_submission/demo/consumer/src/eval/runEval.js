@@ -0,0 +1,240 @@
+/**
+ * Offline AI Evaluation
+ *
+ * Runs a labelled set of reports through an AI provider and reports how often
+ * its severity, seriousness and priority agree with the expected labels,
+ * with a severity confusion matrix and precision/recall of the "Critical"
+ * priority. Use it to compare providers and prompt versions before changing
+ * what the analysis decides.
+ *
+ * Nothing is read from or written to the database or the queues; only the
+ * provider is called.
+ *
+ * Usage:
+ *   npm run eval -- [--provider <name>] [--prompt-version <v>] [--fixtures <file>]
+ *                   [--min-agreement <0-1>] [--json]
+ *
+ *   --provider        gemini | openai | rule-based (default: the analysis provider)
+ *   --prompt-version  report-analysis template version, e.g. v2 (default: current)
+ *   --fixtures        JSON array of { id, report, expected: { severity, seriousness, priority } }
+ *                     (default: fixtures.json next to this file)
+ *   --min-agreement   Exit with 1 when any field agrees on fewer cases than this
+ *   --json            Print the results as JSON instead of tables
+ */
+
+const fs = require('fs');
+const path = require('path');
+const promptTemplates = require('../services/aiProviders/promptTemplates');
+
+const FIELDS = {
+  severity: analysis => analysis?.severity?.level,
+  seriousness: analysis => analysis?.seriousness?.classification,
+  priority: analysis => analysis?.priority
+};
+
+const SEVERITY_LEVELS = ['Mild', 'Moderate', 'Severe', 'Life-threatening'];
+
+function parseArgs(argv) {
+  const options = {
+    fixtures: path.join(__dirname, 'fixtures.json'),
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--provider':
+        options.provider = argv[++i];
+        break;
+      case '--prompt-version':
+        options.promptVersion = argv[++i];
+        break;
+      case '--fixtures':
+        options.fixtures = path.resolve(argv[++i]);
+        break;
+      case '--min-agreement':
+        options.minAgreement = parseFloat(argv[++i]);
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Run every case through the provider, one at a time
+ */
+async function runCases(provider, cases, log) {
+  const results = [];
+  for (const testCase of cases) {
+    const started = Date.now();
+    let result;
+    try {
+      result = await provider.analyzeReport(testCase.report, []);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const actual = {};
+    const agrees = {};
+    for (const [field, read] of Object.entries(FIELDS)) {
+      actual[field] = read(result.analysis) || null;
+      agrees[field] = actual[field] === testCase.expected[field];
+    }
+
+    results.push({
+      id: testCase.id,
+      expected: testCase.expected,
+      actual,
+      agrees,
+      modelUsed: result.modelUsed || null,
+      promptVersion: result.analysis?.promptVersion || null,
+      error: result.error || null,
+      durationMs: Date.now() - started
+    });
+    log(`  ${testCase.id}: ${Object.values(agrees).every(Boolean) ? 'agrees' : 'DISAGREES'}${result.error ? ` (${result.error})` : ''}`);
+  }
+  return results;
+}
+
+/**
+ * Agreement per field, severity confusion matrix and Critical priority
+ * precision/recall
+ */
+function summarize(results) {
+  const total = results.length;
+  const agreement = {};
+  for (const field of Object.keys(FIELDS)) {
+    const agreed = results.filter(r => r.agrees[field]).length;
+    agreement[field] = { agreed, total, rate: total ? agreed / total : 0 };
+  }
+
+  // confusion[expected][actual]; 'None' when the provider gave no severity
+  const confusion = {};
+  for (const expected of SEVERITY_LEVELS) {
+    confusion[expected] = Object.fromEntries([...SEVERITY_LEVELS, 'None'].map(level => [level, 0]));
+  }
+  for (const r of results) {
+    const row = confusion[r.expected.severity];
+    if (!row) continue;
+    const actual = SEVERITY_LEVELS.includes(r.actual.severity) ? r.actual.severity : 'None';
+    row[actual]++;
+  }
+
+  const predictedCritical = results.filter(r => r.actual.priority === 'Critical');
+  const expectedCritical = results.filter(r => r.expected.priority === 'Critical');
+  const truePositives = predictedCritical.filter(r => r.expected.priority === 'Critical').length;
+
+  // Below / above the expected severity; under-triage is the dangerous direction
+  const rank = level => SEVERITY_LEVELS.indexOf(level);
+  const graded = results.filter(r => rank(r.actual.severity) >= 0 && rank(r.expected.severity) >= 0);
+
+  return {
+    cases: total,
+    errors: results.filter(r => r.error).length,
+    agreement,
+    severityConfusion: confusion,
+    underTriaged: graded.filter(r => rank(r.actual.severity) < rank(r.expected.severity)).map(r => r.id),
+    overTriaged: graded.filter(r => rank(r.actual.severity) > rank(r.expected.severity)).map(r => r.id),
+    critical: {
+      expected: expectedCritical.length,
+      predicted: predictedCritical.length,
+      precision: predictedCritical.length ? truePositives / predictedCritical.length : null,
+      recall: expectedCritical.length ? truePositives / expectedCritical.length : null,
+      missed: expectedCritical.filter(r => r.actual.priority !== 'Critical').map(r => r.id)
+    }
+  };
+}
+
+const percent = rate => (rate === null ? 'n/a' : `${(rate * 100).toFixed(1)}%`);
+
+function printReport(run, summary) {
+  console.log(`\nProvider: ${run.provider} | Prompt: ${run.promptVersion} | Cases: ${summary.cases} | Errors: ${summary.errors}\n`);
+
+  console.table(run.results.map(r => ({
+    case: r.id,
+    severity: `${r.actual.severity} ${r.agrees.severity ? '=' : '≠'} ${r.expected.severity}`,
+    seriousness: `${r.actual.seriousness} ${r.agrees.seriousness ? '=' : '≠'} ${r.expected.seriousness}`,
+    priority: `${r.actual.priority} ${r.agrees.priority ? '=' : '≠'} ${r.expected.priority}`
+  })));
+
+  console.log('\nAgreement with expected labels:');
+  for (const [field, { agreed, total, rate }] of Object.entries(summary.agreement)) {
+    console.log(`  ${field.padEnd(12)} ${agreed}/${total} (${percent(rate)})`);
+  }
+
+  console.log('\nSeverity confusion (rows: expected, columns: provider):');
+  console.table(summary.severityConfusion);
+  console.log(`  Under-triaged: ${summary.underTriaged.join(', ') || 'none'}`);
+  console.log(`  Over-triaged:  ${summary.overTriaged.join(', ') || 'none'}`);
+
+  const { critical } = summary;
+  console.log('\n"Critical" priority:');
+  console.log(`  precision ${percent(critical.precision)} (${critical.predicted} predicted), recall ${percent(critical.recall)} (${critical.expected} expected)`);
+  console.log(`  Missed: ${critical.missed.join(', ') || 'none'}`);
+}
+
+async function main() {
+  // Loaded here so runCases and summarize can be required without the provider SDKs
+  require('dotenv').config();
+  const aiProviders = require('../services/aiProviders');
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.promptVersion) {
+    const available = promptTemplates.listVersions('report-analysis');
+    if (!available.includes(options.promptVersion)) {
+      throw new Error(`Unknown prompt version ${options.promptVersion} (available: ${available.join(', ')})`);
+    }
+    // Read by the providers when they build the prompt
+    process.env.AI_PROMPT_VERSION_REPORT_ANALYSIS = options.promptVersion;
+  }
+
+  const provider = options.provider
+    ? aiProviders.getProvider(options.provider)
+    : aiProviders.forTask('analysis');
+  const cases = JSON.parse(fs.readFileSync(options.fixtures, 'utf8'));
+  const log = options.json ? () => {} : console.log;
+
+  log(`[Eval] Running ${cases.length} cases through ${provider.name}...`);
+  const results = await runCases(provider, cases, log);
+  const run = {
+    provider: provider.name,
+    promptVersion: `report-analysis@${promptTemplates.versionOf('report-analysis')}`,
+    fixtures: path.relative(process.cwd(), options.fixtures),
+    ranAt: new Date().toISOString(),
+    results
+  };
+  const summary = summarize(results);
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...run, summary }, null, 2));
+  } else {
+    printReport(run, summary);
+  }
+
+  if (options.minAgreement !== undefined) {
+    const failing = Object.entries(summary.agreement)
+      .filter(([, { rate }]) => rate < options.minAgreement)
+      .map(([field]) => field);
+    if (failing.length > 0) {
+      console.error(`\n[Eval] Agreement below ${percent(options.minAgreement)} on: ${failing.join(', ')}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('[Eval] Failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runCases,
+  summarize
+};
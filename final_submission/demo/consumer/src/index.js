@@ -1,7 +1,7 @@
 /**
  * ADR Report Consumer Service
  * 
- * Listens to RabbitMQ for new report events and processes them with Gemini AI
+ * Listens to RabbitMQ for new report events and processes them with the configured AI provider
  * to analyze severity, extract metadata, and enhance report information.
  */
 
@@ -9,6 +9,7 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const RabbitMQService = require('./services/rabbitmqService');
 const ReportProcessor = require('./processors/reportProcessor');
+const AnalysisJobTracker = require('./services/analysisJobTracker');
 
 // Configuration
 const config = {
@@ -19,8 +20,16 @@ const config = {
     url: process.env.RABBITMQ_URL || 'amqp://localhost:5672',
     queues: {
       reportCreated: 'report.created',
-      reportProcessed: 'report.processed'
+      reportProcessed: 'report.processed',
+      reportDeadLetter: 'report.created.dlq',
+      reportAnalysisStatus: 'report.analysis.status'
     }
+  },
+  // Failed analyses are retried after 1, 4, 16 and 64 minutes by default, then dead-lettered
+  retry: {
+    maxAttempts: parseInt(process.env.AI_MAX_ATTEMPTS) || 5,
+    baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 60 * 1000,
+    multiplier: parseFloat(process.env.AI_RETRY_MULTIPLIER) || 4
   }
 };
 
@@ -44,8 +53,11 @@ class ConsumerService {
     this.rabbitMQ = new RabbitMQService(config.rabbitmq);
     await this.rabbitMQ.connect();
 
-    // Initialize Report Processor
-    this.reportProcessor = new ReportProcessor();
+    // Initialize Report Processor, publishing job progress for the backend to push to clients
+    this.reportProcessor = new ReportProcessor({
+      jobTracker: new AnalysisJobTracker(this.rabbitMQ, config.rabbitmq.queues.reportAnalysisStatus),
+      maxAttempts: config.retry.maxAttempts
+    });
 
     // Set up message consumers
     await this.setupConsumers();
@@ -77,29 +89,35 @@ class ConsumerService {
       async (message) => {
         if (this.isShuttingDown) return false;
         
-        try {
-          console.log(`[Consumer] Processing report: ${message.reportId}`);
-          
-          const result = await this.reportProcessor.process(message);
-          
-          if (result.success) {
-            console.log(`[Consumer] Report ${message.reportId} processed successfully`);
-            
-            // Publish processed event for any downstream services
-            await this.rabbitMQ.publish(config.rabbitmq.queues.reportProcessed, {
-              reportId: message.reportId,
-              status: 'processed',
-              analysis: result.analysis,
-              processedAt: new Date().toISOString()
-            });
-          } else {
-            console.error(`[Consumer] Failed to process report ${message.reportId}:`, result.error);
-          }
-          
-          return true; // Acknowledge message
-        } catch (error) {
-          console.error(`[Consumer] Error processing message:`, error);
-          return false; // Reject and requeue
+        console.log(`[Consumer] Processing report: ${message.reportId}`);
+        
+        const result = await this.reportProcessor.process(message);
+        
+        if (!result.success) {
+          console.error(`[Consumer] Failed to process report ${message.reportId}:`, result.error);
+          // Thrown failures are retried with backoff, then dead-lettered
+          const error = new Error(result.error);
+          error.attempts = result.attempts;
+          error.permanent = result.permanent;
+          throw error;
+        }
+
+        console.log(`[Consumer] Report ${message.reportId} processed successfully`);
+        
+        // Publish processed event for any downstream services
+        await this.rabbitMQ.publish(config.rabbitmq.queues.reportProcessed, {
+          reportId: message.reportId,
+          status: 'processed',
+          analysis: result.analysis,
+          processedAt: new Date().toISOString()
+        });
+        
+        return true; // Acknowledge message
+      },
+      {
+        retry: {
+          ...config.retry,
+          deadLetterQueue: config.rabbitmq.queues.reportDeadLetter
         }
       }
     );
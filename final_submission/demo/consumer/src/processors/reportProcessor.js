@@ -1,32 +1,49 @@
 /**
  * Report Processor
  * 
- * Orchestrates the processing of ADR reports using Gemini AI
+ * Orchestrates the processing of ADR reports using the configured AI provider
  */
 
 const mongoose = require('mongoose');
-const GeminiService = require('../services/geminiService');
+const aiProviders = require('../services/aiProviders');
 const MinioService = require('../services/minioService');
+const AnalysisJobTracker = require('../services/analysisJobTracker');
+const InteractionChecker = require('../services/interactionChecker');
 
 // Import the Report model schema (same as backend)
 const reportSideEffectSchema = new mongoose.Schema({}, { strict: false });
 const ReportSideEffect = mongoose.models.ReportSideEffect || 
   mongoose.model('ReportSideEffect', reportSideEffectSchema);
 
+// Version snapshots (see the backend ReportSideEffectVersion model)
+const reportSideEffectVersionSchema = new mongoose.Schema({}, { strict: false, versionKey: false });
+const ReportSideEffectVersion = mongoose.models.ReportSideEffectVersion ||
+  mongoose.model('ReportSideEffectVersion', reportSideEffectVersionSchema);
+
 // Medication model
 const medicationSchema = new mongoose.Schema({}, { strict: false });
 const Medication = mongoose.models.Medication || 
   mongoose.model('Medication', medicationSchema);
 
 class ReportProcessor {
-  constructor() {
-    this.geminiService = new GeminiService();
+  /**
+   * @param {Object} [options]
+   * @param {AnalysisJobTracker} [options.jobTracker] - Records step progress on the report's analysis job
+   * @param {number} [options.maxAttempts] - Attempts before a failed report is dead-lettered, to tell a
+   *   failure that will be retried from a final one
+   */
+  constructor({ jobTracker = new AnalysisJobTracker(), maxAttempts = Infinity } = {}) {
     this.minioService = new MinioService();
+    this.interactionChecker = new InteractionChecker();
+    this.jobTracker = jobTracker;
+    this.maxAttempts = maxAttempts;
+    console.log(`[Processor] AI analysis provider: ${aiProviders.forTask('analysis').name}`);
     
     // Processing pipeline steps - extensible for future enhancements
     this.pipeline = [
       this.fetchReportData.bind(this),
       this.fetchMediaFiles.bind(this),
+      this.screenInteractions.bind(this),
       this.analyzeWithAI.bind(this),
       this.updateReport.bind(this)
     ];
@@ -45,17 +62,26 @@ class ReportProcessor {
     // Create processing context
     const context = {
       reportId,
+      forceReprocess: Boolean(message.forceReprocess),
       startTime: Date.now(),
       steps: [],
       errors: []
     };
 
+    const stepNames = this.pipeline.map(step => step.name.replace(/^bound /, ''));
+    const jobId = await this.jobTracker.begin(message, stepNames);
+    let stepName;
+
     try {
       // Run through pipeline
-      for (const step of this.pipeline) {
-        const stepName = step.name;
+      for (const [index, step] of this.pipeline.entries()) {
+        stepName = stepNames[index];
         console.log(`[Processor] Running step: ${stepName}`);
         
+        // Steps after an already analyzed report is found do nothing
+        const skipped = Boolean(context.alreadyProcessed);
+        if (!skipped) await this.jobTracker.stepStarted(jobId, stepName);
+
         const stepStart = Date.now();
         await step(context);
         
@@ -64,8 +90,14 @@ class ReportProcessor {
           duration: Date.now() - stepStart,
           success: true
         });
+        await this.jobTracker.stepFinished(jobId, stepName, {
+          status: skipped ? 'skipped' : 'completed',
+          durationMs: Date.now() - stepStart
+        });
       }
 
+      await this.jobTracker.finish(jobId, { status: 'completed', modelUsed: context.modelUsed });
+
       return {
         success: true,
         reportId,
@@ -78,23 +110,34 @@ class ReportProcessor {
       console.error(`[Processor] Error processing report ${reportId}:`, error);
       
       context.errors.push({
-        step: 'processing',
+        step: stepName || 'processing',
         error: error.message,
         timestamp: new Date().toISOString()
       });
 
       // Try to save error state to report
+      let attempts;
       try {
-        await this.saveProcessingError(reportId, context.errors);
+        attempts = await this.saveProcessingError(reportId, context.errors);
       } catch (saveError) {
         console.error('[Processor] Failed to save error state:', saveError);
       }
 
+      const permanent = Boolean(error.permanent);
+      await this.jobTracker.stepFinished(jobId, stepName, { status: 'failed', error: error.message });
+      await this.jobTracker.finish(jobId, {
+        status: permanent || attempts >= this.maxAttempts ? 'failed' : 'retrying',
+        error: error.message
+      });
+
       return {
         success: false,
         reportId,
         error: error.message,
         errors: context.errors,
+        // Failed attempts so far, from metadata.aiProcessingAttempts
+        attempts,
+        permanent,
         processingTime: Date.now() - context.startTime
       };
     }
@@ -107,7 +150,10 @@ class ReportProcessor {
     const report = await ReportSideEffect.findById(context.reportId).lean();
     
     if (!report) {
-      throw new Error(`Report not found: ${context.reportId}`);
+      // Retrying will not bring the report back
+      const error = new Error(`Report not found: ${context.reportId}`);
+      error.permanent = true;
+      throw error;
     }
 
     // Check if already processed
@@ -161,7 +207,27 @@ class ReportProcessor {
   }
 
   /**
-   * Step 3: Analyze report with Gemini AI
+   * Step 3: Screen the suspected and concomitant medicines for drug-drug
+   * interactions, so reports re-analyzed after a knowledge base update are
+   * screened again
+   */
+  async screenInteractions(context) {
+    if (context.alreadyProcessed) return;
+
+    try {
+      context.interactionScreening = this.interactionChecker.screenReport(context.report, context.medication);
+      if (context.interactionScreening) {
+        console.log(`[Processor] Interaction screening: ${context.interactionScreening.findings.length} finding(s)`);
+      }
+    } catch (error) {
+      console.warn('[Processor] Interaction screening failed:', error.message);
+      // Continue without screening; the one from submission stays
+    }
+  }
+
+  /**
+   * Step 4: Analyze report with the AI provider configured for analysis,
+   * falling back to AI_FALLBACK_PROVIDER when it fails
    */
   async analyzeWithAI(context) {
     if (context.alreadyProcessed) return;
@@ -179,8 +245,18 @@ class ReportProcessor {
       reportDetails: context.report?.reportDetails || {}
     };
 
-    // Call Gemini service
-    const result = await this.geminiService.analyzeReport(reportData, context.mediaFiles);
+    const provider = aiProviders.forTask('analysis');
+    let result;
+    try {
+      result = await provider.analyzeReport(reportData, context.mediaFiles);
+    } catch (error) {
+      const fallback = aiProviders.fallbackFor(provider);
+      if (!fallback) throw error;
+
+      console.warn(`[Processor] ${provider.name} analysis failed, falling back to ${fallback.name}:`, error.message);
+      result = await fallback.analyzeReport(reportData, context.mediaFiles);
+      result.error = error.message;
+    }
     
     if (!result.success) {
       console.warn('[Processor] AI analysis returned unsuccessful result');
@@ -189,11 +265,12 @@ class ReportProcessor {
     context.analysis = result.analysis;
     context.modelUsed = result.modelUsed;
     
-    console.log(`[Processor] AI analysis completed using model: ${result.modelUsed}`);
+    const promptVersion = result.analysis?.promptVersion;
+    console.log(`[Processor] AI analysis completed using model: ${result.modelUsed}${promptVersion ? ` (prompt ${promptVersion})` : ''}`);
   }
 
   /**
-   * Step 4: Update report with analysis results
+   * Step 5: Update report with analysis results
    */
   async updateReport(context) {
     if (context.alreadyProcessed) {
@@ -219,6 +296,10 @@ class ReportProcessor {
       status: context.report?.status === 'Draft' ? 'Submitted' : context.report?.status
     };
 
+    if (context.interactionScreening) {
+      update.interactionScreening = context.interactionScreening;
+    }
+
     // Update seriousness if AI determined it
     if (context.analysis?.seriousness?.classification) {
       update['reportDetails.seriousness'] = context.analysis.seriousness.classification;
@@ -229,18 +310,41 @@ class ReportProcessor {
       update['sideEffects.0.bodySystem'] = context.analysis.bodySystemsAffected[0];
     }
 
-    await ReportSideEffect.findByIdAndUpdate(context.reportId, {
-      $set: update
-    });
+    // The analysis is a new version of the report, credited to the AI rather than a person
+    const report = await ReportSideEffect.findByIdAndUpdate(context.reportId, {
+      $set: { ...update, updatedAt: new Date() },
+      $inc: { version: 1 }
+    }, { new: true }).lean();
+
+    if (report) {
+      const { __v, ...snapshot } = report;
+      // The backend takes version numbers with the same atomic increment, so
+      // this one is ours alone; a failed snapshot fails the step and shows on
+      // the analysis job instead of going missing from the history unnoticed
+      try {
+        await ReportSideEffectVersion.create({
+          report: report._id,
+          version: report.version,
+          snapshot,
+          actor: 'ai',
+          source: context.modelUsed,
+          createdAt: new Date()
+        });
+      } catch (error) {
+        console.error(`[Processor] Failed to snapshot version ${report.version} of report ${report._id}:`, error.message);
+        throw error;
+      }
+    }
 
     console.log(`[Processor] Updated report ${context.reportId} with AI analysis`);
   }
 
   /**
    * Save processing error to report
+   * @returns {Promise<number|undefined>} Failed attempts so far
    */
   async saveProcessingError(reportId, errors) {
-    await ReportSideEffect.findByIdAndUpdate(reportId, {
+    const report = await ReportSideEffect.findByIdAndUpdate(reportId, {
       $set: {
         'metadata.aiProcessingError': errors[errors.length - 1]?.error,
         'metadata.aiProcessingErrorAt': new Date()
@@ -248,7 +352,9 @@ class ReportProcessor {
       $inc: {
         'metadata.aiProcessingAttempts': 1
       }
-    });
+    }, { new: true, projection: { 'metadata.aiProcessingAttempts': 1 } }).lean();
+
+    return report?.metadata?.aiProcessingAttempts;
   }
 }
 
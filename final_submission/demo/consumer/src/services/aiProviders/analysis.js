@@ -0,0 +1,248 @@
+/**
+ * Report analysis shared by the AI providers: the severity/causality prompt,
+ * parsing of model replies, and the defaults and risk score every provider's
+ * analysis is completed with.
+ */
+
+const promptTemplates = require('./promptTemplates');
+
+/**
+ * Build the analysis prompt for a report
+ * @param {Object} reportData - medication, sideEffects, patientInfo, medicationUsage, reportDetails
+ * @param {Object} [options]
+ * @param {boolean} [options.webSearch] - Tell the model to verify against web search (Gemini with Google Search grounding)
+ * @param {string} [options.version] - Prompt version to use instead of the current one
+ * @returns {{ text: string, version: string }}
+ */
+function buildAnalysisPrompt(reportData, { webSearch = false, version } = {}) {
+  const { medication, sideEffects, patientInfo, medicationUsage, reportDetails } = reportData;
+
+  return promptTemplates.render('report-analysis', {
+    webSearch,
+    medicationName: medication?.name || 'Unknown',
+    genericName: medication?.genericName || 'N/A',
+    category: medication?.category || 'Unknown',
+    dosageAmount: medicationUsage?.dosage?.amount || 'Unknown',
+    dosageFrequency: medicationUsage?.dosage?.frequency || 'Unknown',
+    route: medicationUsage?.dosage?.route || 'Unknown',
+    indication: medicationUsage?.indication || 'Unknown',
+    startDate: medicationUsage?.startDate || 'Unknown',
+    sideEffects: (sideEffects || []).map((se, idx) => ({
+      number: idx + 1,
+      effect: se.effect || 'Not specified',
+      severity: se.severity || 'Unknown',
+      onset: se.onset || 'Unknown',
+      bodySystem: se.bodySystem || 'Not specified',
+      description: se.description || 'No additional description'
+    })),
+    age: patientInfo?.age || 'Unknown',
+    gender: patientInfo?.gender || 'Unknown',
+    weight: `${patientInfo?.weight?.value || 'Unknown'} ${patientInfo?.weight?.unit || ''}`.trim(),
+    medicalHistory: patientInfo?.medicalHistory?.join(', ') || 'Not provided',
+    allergies: patientInfo?.allergies?.join(', ') || 'Not provided',
+    incidentDate: reportDetails?.incidentDate || 'Unknown',
+    reportedSeriousness: reportDetails?.seriousness || 'Unknown',
+    outcome: reportDetails?.outcome || 'Unknown'
+  }, version);
+}
+
+/**
+ * Build the prompt for analyzing an attached image on its own
+ * @returns {{ text: string, version: string }}
+ */
+function buildImageAnalysisPrompt() {
+  return promptTemplates.render('image-analysis');
+}
+
+/**
+ * Parse a model reply as JSON, tolerating text around the object
+ * (grounding and local models can add some)
+ */
+function parseJSONResponse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (parseError) {
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      return JSON.parse(jsonMatch[0]);
+    }
+    throw new Error('Failed to parse AI response as JSON');
+  }
+}
+
+/**
+ * Validate and enhance an AI analysis
+ * @param {Object} analysis - Parsed model reply
+ * @param {Object} reportData - Report the analysis is of
+ * @param {Object} [options]
+ * @param {string} [options.promptVersion] - Prompt the reply was produced with
+ */
+function validateAndEnhanceAnalysis(analysis, reportData, { promptVersion = null } = {}) {
+  // Ensure required fields exist with defaults
+  const validated = {
+    severity: analysis.severity || {
+      level: reportData.sideEffects?.[0]?.severity || 'Moderate',
+      confidence: 0.5,
+      reasoning: 'Unable to fully assess severity'
+    },
+    priority: analysis.priority || 'Medium',
+    seriousness: analysis.seriousness || {
+      classification: 'Non-serious',
+      reasons: []
+    },
+    bodySystemsAffected: analysis.bodySystemsAffected || [],
+    riskFactors: analysis.riskFactors || [],
+    recommendedActions: analysis.recommendedActions || [
+      'Review patient history',
+      'Consider alternative medications if symptoms persist',
+      'Monitor for symptom progression'
+    ],
+    causalityAssessment: analysis.causalityAssessment || {
+      likelihood: 'Possible',
+      reasoning: 'Temporal relationship exists but insufficient data for definitive assessment'
+    },
+    keywords: analysis.keywords || [],
+    summary: analysis.summary || 'Side effect report requires clinical review.',
+    medicalTerminology: analysis.medicalTerminology || [],
+    medicationVerification: analysis.medicationVerification || {
+      isVerifiedMedication: false,
+      drugClass: 'Unknown',
+      knownADR: false,
+      knownADRFrequency: 'Not documented',
+      labelWarnings: [],
+      sources: []
+    },
+    references: analysis.references || [],
+    patientGuidance: analysis.patientGuidance || generateDefaultPatientGuidance(analysis, reportData),
+    promptVersion,
+    aiProcessed: true,
+    aiProcessedAt: new Date().toISOString()
+  };
+
+  // Add computed fields
+  validated.overallRiskScore = calculateRiskScore(validated);
+  
+  return validated;
+}
+
+/**
+ * Generate default patient guidance based on severity
+ */
+function generateDefaultPatientGuidance(analysis, reportData) {
+  const severity = analysis?.severity?.level || reportData.sideEffects?.[0]?.severity || 'Moderate';
+  
+  if (severity === 'Life-threatening') {
+    return {
+      urgencyLevel: 'emergency',
+      recommendation: 'This is a serious reaction that requires immediate medical attention. Please stop taking the medication and seek emergency care right away.',
+      nextSteps: [
+        'Stop taking the medication immediately',
+        'Call emergency services or go to the nearest emergency room',
+        'Bring your medication information with you'
+      ],
+      warningSignsToWatch: [
+        'Difficulty breathing',
+        'Swelling of face, lips, or throat',
+        'Severe chest pain',
+        'Loss of consciousness'
+      ],
+      canContinueMedication: false,
+      shouldSeekMedicalAttention: true
+    };
+  } else if (severity === 'Severe') {
+    return {
+      urgencyLevel: 'urgent',
+      recommendation: 'This is a significant reaction that needs medical evaluation soon. Please contact your doctor within 24 hours or visit an urgent care facility.',
+      nextSteps: [
+        'Consider stopping the medication until you speak with your doctor',
+        'Contact your doctor or healthcare provider today',
+        'Document your symptoms and when they started'
+      ],
+      warningSignsToWatch: [
+        'Symptoms getting worse',
+        'New symptoms appearing',
+        'Fever or chills',
+        'Severe pain or discomfort'
+      ],
+      canContinueMedication: false,
+      shouldSeekMedicalAttention: true
+    };
+  } else if (severity === 'Moderate') {
+    return {
+      urgencyLevel: 'soon',
+      recommendation: 'This side effect should be discussed with your doctor. While not an emergency, please schedule an appointment within the next few days.',
+      nextSteps: [
+        'Continue your medication unless symptoms worsen significantly',
+        'Schedule an appointment with your doctor within a few days',
+        'Keep track of your symptoms'
+      ],
+      warningSignsToWatch: [
+        'Symptoms becoming more severe',
+        'Symptoms lasting longer than expected',
+        'New symptoms developing'
+      ],
+      canContinueMedication: true,
+      shouldSeekMedicalAttention: false
+    };
+  } else {
+    return {
+      urgencyLevel: 'routine',
+      recommendation: 'This appears to be a minor side effect that is commonly associated with this medication. Continue taking your medication as prescribed and monitor your symptoms.',
+      nextSteps: [
+        'Continue your medication as prescribed',
+        'Monitor your symptoms',
+        'Mention this at your next regular appointment'
+      ],
+      warningSignsToWatch: [
+        'Symptoms becoming more severe',
+        'Symptoms not improving over time'
+      ],
+      canContinueMedication: true,
+      shouldSeekMedicalAttention: false
+    };
+  }
+}
+
+/**
+ * Calculate overall risk score (0-100)
+ */
+function calculateRiskScore(analysis) {
+  let score = 0;
+  
+  // Severity contribution (0-40)
+  const severityScores = {
+    'Life-threatening': 40,
+    'Severe': 30,
+    'Moderate': 15,
+    'Mild': 5
+  };
+  score += severityScores[analysis.severity.level] || 15;
+  
+  // Priority contribution (0-30)
+  const priorityScores = {
+    'Critical': 30,
+    'High': 20,
+    'Medium': 10,
+    'Low': 5
+  };
+  score += priorityScores[analysis.priority] || 10;
+  
+  // Seriousness contribution (0-20)
+  if (analysis.seriousness.classification === 'Serious') {
+    score += 20;
+  }
+  
+  // Risk factors contribution (0-10)
+  score += Math.min(analysis.riskFactors.length * 2, 10);
+  
+  return Math.min(Math.round(score), 100);
+}
+
+module.exports = {
+  buildAnalysisPrompt,
+  buildImageAnalysisPrompt,
+  parseJSONResponse,
+  validateAndEnhanceAnalysis,
+  generateDefaultPatientGuidance,
+  calculateRiskScore
+};
@@ -0,0 +1,240 @@
+/**
+ * Gemini Provider
+ * 
+ * Analyzes ADR reports and images with Google's Gemini models, using Google
+ * Search grounding to check the reaction against drug documentation.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const {
+  buildAnalysisPrompt,
+  buildImageAnalysisPrompt,
+  parseJSONResponse,
+  validateAndEnhanceAnalysis
+} = require('./analysis');
+
+// Response schema for structured JSON output
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    severity: {
+      type: 'object',
+      properties: {
+        level: { 
+          type: 'string', 
+          enum: ['Mild', 'Moderate', 'Severe', 'Life-threatening'] 
+        },
+        confidence: { type: 'number' },
+        reasoning: { type: 'string' }
+      },
+      required: ['level', 'confidence', 'reasoning']
+    },
+    priority: {
+      type: 'string',
+      enum: ['Low', 'Medium', 'High', 'Critical']
+    },
+    seriousness: {
+      type: 'object',
+      properties: {
+        classification: { type: 'string', enum: ['Serious', 'Non-serious'] },
+        reasons: { 
+          type: 'array', 
+          items: { type: 'string' } 
+        }
+      },
+      required: ['classification']
+    },
+    bodySystemsAffected: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    riskFactors: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    recommendedActions: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    causalityAssessment: {
+      type: 'object',
+      properties: {
+        likelihood: { 
+          type: 'string', 
+          enum: ['Certain', 'Probable', 'Possible', 'Unlikely', 'Unassessable'] 
+        },
+        reasoning: { type: 'string' }
+      }
+    },
+    keywords: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    summary: { type: 'string' },
+    medicalTerminology: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          term: { type: 'string' },
+          code: { type: 'string' },
+          system: { type: 'string' }
+        }
+      }
+    }
+  },
+  required: ['severity', 'priority', 'seriousness', 'recommendedActions', 'summary']
+};
+
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.apiKey = process.env.GEMINI_API_KEY;
+    
+    if (!this.apiKey || this.apiKey === 'your-gemini-api-key') {
+      this.isConfigured = false;
+    } else {
+      this.genAI = new GoogleGenerativeAI(this.apiKey);
+      this.isConfigured = true;
+    }
+    
+    // Model configurations for different use cases
+    this.models = {
+      // For text analysis (with Google Search grounding)
+      text: process.env.GEMINI_MODEL || 'gemini-3.1-pro-preview',
+      // For multimodal (text + images/video)
+      multimodal: process.env.GEMINI_MULTIMODAL_MODEL || process.env.GEMINI_MODEL || 'gemini-3.1-pro-preview'
+    };
+  }
+
+  /**
+   * Analyze a side effect report with Gemini AI
+   * @throws {Error} When Gemini is not configured or the request fails
+   */
+  async analyzeReport(reportData, mediaFiles = []) {
+    if (!this.isConfigured) {
+      throw new Error('Gemini API key is not configured');
+    }
+
+    const hasMedia = mediaFiles.length > 0;
+    const modelName = hasMedia ? this.models.multimodal : this.models.text;
+    
+    // Configure model with Google Search grounding enabled
+    const model = this.genAI.getGenerativeModel({ 
+      model: modelName,
+      generationConfig: {
+        temperature: 0.3,
+        topP: 0.8,
+        maxOutputTokens: 4096,
+        responseMimeType: 'application/json'
+      },
+      // Enable Google Search for grounding — lets the model verify medication
+      // info, known ADRs, and reference real pharmaceutical documentation
+      tools: [{
+        googleSearch: {}
+      }]
+    });
+
+    // Build the prompt
+    const { text: prompt, version: promptVersion } = buildAnalysisPrompt(reportData, { webSearch: true });
+    
+    // Prepare content parts
+    const parts = [{ text: prompt }];
+    
+    // Add media files if present (images, videos, audio)
+    for (const media of mediaFiles) {
+      if (media.data && media.mimeType) {
+        // Supported types: image/*, video/mp4, video/webm, audio/*
+        parts.push({
+          inlineData: {
+            mimeType: media.mimeType,
+            data: media.data  // base64
+          }
+        });
+        console.log(`[GeminiProvider] Added media: ${media.mimeType} (${Math.round((media.data.length * 3 / 4) / 1024)}KB)`);
+      }
+    }
+
+    console.log('[GeminiProvider] Sending analysis request with Google Search grounding...');
+    const result = await model.generateContent(parts);
+    const response = await result.response;
+    const text = response.text();
+
+    // Extract grounding metadata (search references) if available
+    const groundingMetadata = response.candidates?.[0]?.groundingMetadata;
+    const groundingChunks = groundingMetadata?.groundingChunks || [];
+    const webSources = groundingChunks
+      .filter(chunk => chunk.web)
+      .map(chunk => ({
+        title: chunk.web.title || '',
+        uri: chunk.web.uri || ''
+      }));
+
+    const analysis = parseJSONResponse(text);
+    
+    // Attach source references from Google Search grounding
+    if (webSources.length > 0) {
+      analysis.references = webSources;
+    }
+    
+    console.log(`[GeminiProvider] Analysis completed. ${webSources.length} references found.`);
+    return {
+      success: true,
+      analysis: validateAndEnhanceAnalysis(analysis, reportData, { promptVersion }),
+      modelUsed: modelName,
+      groundingUsed: webSources.length > 0,
+      references: webSources,
+      processedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Analyze an image for visible symptoms
+   */
+  async analyzeImage(imageData, mimeType = 'image/jpeg') {
+    if (!this.isConfigured) {
+      return {
+        success: false,
+        error: 'Gemini AI not configured'
+      };
+    }
+
+    try {
+      const model = this.genAI.getGenerativeModel({ 
+        model: this.models.multimodal,
+        generationConfig: {
+          temperature: 0.3,
+          maxOutputTokens: 1024,
+          responseMimeType: 'application/json'
+        }
+      });
+
+      const result = await model.generateContent([
+        { text: buildImageAnalysisPrompt().text },
+        {
+          inlineData: {
+            mimeType,
+            data: imageData
+          }
+        }
+      ]);
+
+      const response = await result.response;
+      const analysis = parseJSONResponse(response.text());
+
+      return {
+        success: true,
+        analysis
+      };
+
+    } catch (error) {
+      console.error('[GeminiProvider] Image analysis error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = GeminiProvider;
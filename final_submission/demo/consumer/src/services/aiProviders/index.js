@@ -0,0 +1,73 @@
+/**
+ * AI Provider Registry
+ * 
+ * A provider is a class with a `name`, an `isConfigured` flag and one async
+ * method per task:
+ * 
+ *   analyzeReport(reportData, mediaFiles) -> { success, analysis, modelUsed, ... }
+ *   analyzeImage(base64Data, mimeType)    -> { success, analysis | error }
+ * 
+ * Report field extraction runs in the backend, which has its own registry
+ * with the same provider names.
+ * 
+ * The provider of a task is AI_PROVIDER_<TASK> (AI_PROVIDER_ANALYSIS,
+ * AI_PROVIDER_IMAGE), then AI_PROVIDER. When neither is set, Gemini is used if
+ * it has an API key and the rule-based provider otherwise. When a provider
+ * fails, AI_FALLBACK_PROVIDER (default rule-based) takes over; set it to
+ * 'none' to have failures retried and dead-lettered instead.
+ */
+
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const RuleBasedProvider = require('./ruleBasedProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  'rule-based': RuleBasedProvider
+};
+
+// Providers are stateless, so one instance of each is shared
+const instances = {};
+
+/**
+ * Get a provider by name
+ * @throws {Error} When no provider has that name
+ */
+function getProvider(name) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown AI provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  if (!instances[name]) {
+    instances[name] = new Provider();
+  }
+  return instances[name];
+}
+
+/**
+ * Provider configured for a task ('analysis' or 'image')
+ */
+function forTask(task) {
+  const name = process.env[`AI_PROVIDER_${task.toUpperCase()}`] || process.env.AI_PROVIDER;
+  if (name) return getProvider(name);
+
+  const gemini = getProvider('gemini');
+  return gemini.isConfigured ? gemini : getProvider('rule-based');
+}
+
+/**
+ * Provider to fall back on when `provider` fails, or null when the error
+ * should reach the caller
+ */
+function fallbackFor(provider) {
+  const name = process.env.AI_FALLBACK_PROVIDER || 'rule-based';
+  if (name === 'none' || name === provider.name) return null;
+  return getProvider(name);
+}
+
+module.exports = {
+  getProvider,
+  forTask,
+  fallbackFor
+};
@@ -0,0 +1,130 @@
+/**
+ * OpenAI-Compatible Provider
+ * 
+ * Analyzes ADR reports with any server speaking the OpenAI /chat/completions
+ * API, such as a local Ollama, vLLM or LM Studio instance, so report data can
+ * stay inside the hospital network. Without web search the model relies on
+ * its own knowledge of the medication.
+ */
+
+const {
+  buildAnalysisPrompt,
+  buildImageAnalysisPrompt,
+  parseJSONResponse,
+  validateAndEnhanceAnalysis
+} = require('./analysis');
+
+class OpenAICompatibleProvider {
+  constructor() {
+    this.name = 'openai';
+    this.baseUrl = (process.env.AI_OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = process.env.AI_OPENAI_API_KEY;
+    this.timeoutMs = parseInt(process.env.AI_OPENAI_TIMEOUT_MS) || 120 * 1000;
+    this.models = {
+      text: process.env.AI_OPENAI_MODEL || 'llama3.1',
+      // Optional multimodal model; without one, media files are left out
+      multimodal: process.env.AI_OPENAI_VISION_MODEL
+    };
+    this.isConfigured = Boolean(this.baseUrl && this.models.text);
+  }
+
+  /**
+   * POST a chat completion and return the text of the first choice
+   */
+  async complete(model, content) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content }],
+        temperature: 0.3,
+        response_format: { type: 'json_object' }
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`OpenAI-compatible endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error('OpenAI-compatible endpoint returned no content');
+    }
+    return text;
+  }
+
+  /**
+   * Analyze a side effect report
+   * @throws {Error} When the endpoint is unreachable or the reply is not JSON
+   */
+  async analyzeReport(reportData, mediaFiles = []) {
+    const { text: prompt, version: promptVersion } = buildAnalysisPrompt(reportData);
+
+    // Only images can be sent as chat content parts
+    const imageParts = this.models.multimodal
+      ? mediaFiles
+        .filter(media => media.data && media.mimeType?.startsWith('image/'))
+        .map(media => ({
+          type: 'image_url',
+          image_url: { url: `data:${media.mimeType};base64,${media.data}` }
+        }))
+      : [];
+
+    const modelName = imageParts.length > 0 ? this.models.multimodal : this.models.text;
+    const content = imageParts.length > 0
+      ? [{ type: 'text', text: prompt }, ...imageParts]
+      : prompt;
+
+    console.log(`[OpenAICompatibleProvider] Sending analysis request to ${this.baseUrl} (${modelName})...`);
+    const analysis = parseJSONResponse(await this.complete(modelName, content));
+
+    return {
+      success: true,
+      analysis: validateAndEnhanceAnalysis(analysis, reportData, { promptVersion }),
+      modelUsed: modelName,
+      groundingUsed: false,
+      references: [],
+      processedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Analyze an image for visible symptoms
+   */
+  async analyzeImage(imageData, mimeType = 'image/jpeg') {
+    if (!this.models.multimodal) {
+      return {
+        success: false,
+        error: 'No vision model configured (AI_OPENAI_VISION_MODEL)'
+      };
+    }
+
+    try {
+      const text = await this.complete(this.models.multimodal, [
+        { type: 'text', text: buildImageAnalysisPrompt().text },
+        { type: 'image_url', image_url: { url: `data:${mimeType};base64,${imageData}` } }
+      ]);
+
+      return {
+        success: true,
+        analysis: parseJSONResponse(text)
+      };
+
+    } catch (error) {
+      console.error('[OpenAICompatibleProvider] Image analysis error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
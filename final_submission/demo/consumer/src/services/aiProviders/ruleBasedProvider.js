@@ -0,0 +1,97 @@
+/**
+ * Rule-Based Provider
+ * 
+ * Derives the analysis from the patient-reported severity with fixed rules,
+ * no model and no network. The same report always gets the same analysis, so
+ * it works offline, in tests and as the fallback when a model provider fails.
+ */
+
+const { generateDefaultPatientGuidance, calculateRiskScore } = require('./analysis');
+
+class RuleBasedProvider {
+  constructor() {
+    this.name = 'rule-based';
+    this.isConfigured = true;
+  }
+
+  /**
+   * Rule-based analysis of a side effect report
+   */
+  async analyzeReport(reportData) {
+    const sideEffect = reportData.sideEffects?.[0] || {};
+    
+    // Rule-based severity assessment
+    const patientSeverity = sideEffect.severity || 'Moderate';
+    let priority = 'Medium';
+    let seriousness = 'Non-serious';
+    
+    if (patientSeverity === 'Life-threatening') {
+      priority = 'Critical';
+      seriousness = 'Serious';
+    } else if (patientSeverity === 'Severe') {
+      priority = 'High';
+      seriousness = 'Serious';
+    }
+    
+    // Generate patient guidance based on severity
+    const patientGuidance = generateDefaultPatientGuidance({ severity: { level: patientSeverity } }, reportData);
+    
+    return {
+      success: true,
+      analysis: {
+        severity: {
+          level: patientSeverity,
+          confidence: 0.6,
+          reasoning: 'Based on patient-reported severity (rule-based assessment)'
+        },
+        priority,
+        seriousness: {
+          classification: seriousness,
+          reasons: seriousness === 'Serious' ? ['Patient-reported severe symptoms'] : []
+        },
+        bodySystemsAffected: sideEffect.bodySystem ? [sideEffect.bodySystem] : [],
+        riskFactors: [],
+        recommendedActions: [
+          'Clinical review recommended',
+          'Consider contacting patient for follow-up',
+          'Review medication history'
+        ],
+        causalityAssessment: {
+          likelihood: 'Possible',
+          reasoning: 'Temporal relationship exists - manual review recommended'
+        },
+        keywords: [
+          reportData.medication?.name,
+          sideEffect.effect
+        ].filter(Boolean),
+        summary: `Patient reported ${patientSeverity.toLowerCase()} side effect: ${sideEffect.effect || 'unspecified'}. Manual clinical review recommended.`,
+        medicalTerminology: [],
+        patientGuidance,
+        // No prompt involved
+        promptVersion: null,
+        aiProcessed: false,
+        fallbackUsed: true,
+        overallRiskScore: calculateRiskScore({
+          severity: { level: patientSeverity },
+          priority,
+          seriousness: { classification: seriousness },
+          riskFactors: []
+        })
+      },
+      modelUsed: 'rule-based',
+      processedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Images cannot be analyzed without a model
+   */
+  async analyzeImage() {
+    return {
+      success: false,
+      error: 'Image analysis is not supported by the rule-based provider'
+    };
+  }
+}
+
+module.exports = RuleBasedProvider;
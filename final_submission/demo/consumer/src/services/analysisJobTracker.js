@@ -0,0 +1,137 @@
+/**
+ * Analysis Job Tracker
+ *
+ * Records the progress of a report through the processing pipeline on its
+ * AnalysisJob (created by the backend when the report is queued) and
+ * publishes every change so the backend can push it to the report's viewers.
+ * Tracking is best effort: a failure here never fails the analysis.
+ */
+
+const mongoose = require('mongoose');
+
+// Analysis job model (schema owned by the backend)
+const analysisJobSchema = new mongoose.Schema({}, { strict: false, timestamps: true });
+const AnalysisJob = mongoose.models.AnalysisJob ||
+  mongoose.model('AnalysisJob', analysisJobSchema);
+
+class AnalysisJobTracker {
+  /**
+   * @param {RabbitMQService} [rabbitMQ] - Publishes status changes; without it they are only recorded
+   * @param {string} [statusQueue] - Queue the backend forwards status changes from
+   */
+  constructor(rabbitMQ = null, statusQueue = 'report.analysis.status') {
+    this.rabbitMQ = rabbitMQ;
+    this.statusQueue = statusQueue;
+  }
+
+  /**
+   * Mark the job of a message as running with every step pending. Messages
+   * queued without a job (published before jobs existed) get one created.
+   * @returns {Promise<string|null>} Job ID
+   */
+  async begin(message, stepNames) {
+    const now = new Date();
+    const update = {
+      $set: {
+        status: 'running',
+        startedAt: now,
+        steps: stepNames.map(name => ({ name, status: 'pending' }))
+      },
+      $unset: { error: '', finishedAt: '' },
+      $inc: { attempts: 1 }
+    };
+
+    return this.track(null, async () => {
+      let job = mongoose.isValidObjectId(message.jobId)
+        ? await AnalysisJob.findByIdAndUpdate(message.jobId, update, { new: true }).lean()
+        : null;
+
+      if (!job) {
+        job = (await AnalysisJob.create({
+          report: new mongoose.Types.ObjectId(message.reportId),
+          trigger: 'submission',
+          force: Boolean(message.forceReprocess),
+          queuedAt: message.timestamp ? new Date(message.timestamp) : now,
+          attempts: 1,
+          ...update.$set
+        })).toObject();
+      }
+      return job;
+    });
+  }
+
+  /**
+   * Mark a pipeline step as running
+   */
+  async stepStarted(jobId, name) {
+    return this.updateStep(jobId, name, { status: 'running', startedAt: new Date() });
+  }
+
+  /**
+   * Mark a pipeline step as completed, skipped or failed
+   */
+  async stepFinished(jobId, name, { status, durationMs, error }) {
+    return this.updateStep(jobId, name, {
+      status,
+      finishedAt: new Date(),
+      durationMs,
+      ...(error && { error })
+    });
+  }
+
+  /**
+   * Finish the job as completed, retrying (the message went to a delay
+   * queue) or failed
+   */
+  async finish(jobId, { status, error, modelUsed }) {
+    if (!jobId) return null;
+    return this.track(jobId, () => AnalysisJob.findByIdAndUpdate(jobId, {
+      $set: {
+        status,
+        ...(status !== 'retrying' && { finishedAt: new Date() }),
+        ...(error && { error }),
+        ...(modelUsed && { modelUsed })
+      }
+    }, { new: true }).lean());
+  }
+
+  async updateStep(jobId, name, fields) {
+    if (!jobId) return null;
+    const set = {};
+    for (const [key, value] of Object.entries(fields)) {
+      set[`steps.$.${key}`] = value;
+    }
+    return this.track(jobId, () => AnalysisJob.findOneAndUpdate(
+      { _id: jobId, 'steps.name': name },
+      { $set: set },
+      { new: true }
+    ).lean());
+  }
+
+  /**
+   * Run a job update and publish the result
+   * @returns {Promise<string|null>} Job ID, or the one given when the update failed
+   */
+  async track(jobId, update) {
+    try {
+      const job = await update();
+      if (!job) return jobId;
+
+      if (this.rabbitMQ) {
+        await this.rabbitMQ.publish(this.statusQueue, {
+          type: 'analysis.status',
+          jobId: job._id.toString(),
+          reportId: job.report?.toString(),
+          status: job.status,
+          updatedAt: new Date().toISOString()
+        });
+      }
+      return job._id.toString();
+    } catch (error) {
+      console.warn(`[AnalysisJob] Failed to record job status${jobId ? ` of ${jobId}` : ''}:`, error.message);
+      return jobId;
+    }
+  }
+}
+
+module.exports = AnalysisJobTracker;
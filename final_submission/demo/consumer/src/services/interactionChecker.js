@@ -0,0 +1,241 @@
+/**
+ * Interaction Checker for Consumer
+ *
+ * Screens a report's suspected and concomitant medicines for drug-drug
+ * interactions against the knowledge base the backend uses (mounted from
+ * backend/data by docker-compose), so reports re-analyzed by the pipeline get
+ * a fresh screening. Mirrors backend/services/interactionService; keep the
+ * two in step. Screening is best effort: without a knowledge base it is skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Most to least severe
+const SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+
+const DEFAULT_PATH = path.join(__dirname, '..', '..', 'data', 'interactions.json');
+
+// Lowercase and reduce to words
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const containsWords = (text, term) => Boolean(term) && ` ${text} `.includes(` ${term} `);
+
+const containsStem = (text, stem) => Boolean(stem) && ` ${text}`.includes(` ${stem}`);
+
+// RFC 4180 rows: quoted fields may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// ingredient_a,ingredient_b,severity,mechanism,effect,management,reactions (';' separated)
+function fromCsv(text, file) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(name => name.trim().toLowerCase());
+  const cell = (cells, name) => (cells[columns.indexOf(name)] || '').trim();
+
+  return {
+    name: path.basename(file),
+    interactions: rows.map(cells => ({
+      a: cell(cells, 'ingredient_a'),
+      b: cell(cells, 'ingredient_b'),
+      severity: cell(cells, 'severity'),
+      mechanism: cell(cells, 'mechanism'),
+      effect: cell(cells, 'effect'),
+      management: cell(cells, 'management'),
+      reactions: cell(cells, 'reactions').split(';').map(r => r.trim()).filter(Boolean)
+    }))
+  };
+}
+
+class InteractionChecker {
+  /**
+   * @param {string} [knowledgeBasePath] - JSON or CSV knowledge base
+   */
+  constructor(knowledgeBasePath = process.env.INTERACTIONS_KNOWLEDGE_BASE_PATH || DEFAULT_PATH) {
+    this.knowledgeBasePath = knowledgeBasePath;
+    this.knowledgeBase = undefined;
+  }
+
+  /**
+   * Loaded knowledge base, or null when the file is missing or invalid
+   */
+  getKnowledgeBase() {
+    if (this.knowledgeBase !== undefined) return this.knowledgeBase;
+
+    try {
+      this.knowledgeBase = this.load();
+      console.log(`[InteractionChecker] Loaded ${this.knowledgeBase.interactions.length} interactions from ${this.knowledgeBasePath}`);
+    } catch (error) {
+      console.warn(`[InteractionChecker] Interaction screening disabled: ${error.message}`);
+      this.knowledgeBase = null;
+    }
+    return this.knowledgeBase;
+  }
+
+  load() {
+    const file = this.knowledgeBasePath;
+    const text = fs.readFileSync(file, 'utf8');
+    const raw = path.extname(file).toLowerCase() === '.csv' ? fromCsv(text, file) : JSON.parse(text);
+
+    const ingredients = new Map();
+    const addIngredient = (name, groups = []) => {
+      const key = normalize(name);
+      if (!ingredients.has(key)) ingredients.set(key, { name: key, groups: new Set(), aliases: new Set([key]) });
+      groups.forEach(group => ingredients.get(key).groups.add(normalize(group)));
+      return ingredients.get(key);
+    };
+
+    (raw.ingredients || []).forEach((entry) => {
+      const ingredient = addIngredient(entry.name, entry.groups);
+      (entry.aliases || []).forEach(alias => ingredient.aliases.add(normalize(alias)));
+    });
+    const groups = new Set([...ingredients.values()].flatMap(ingredient => [...ingredient.groups]));
+
+    const interactions = (raw.interactions || [])
+      .map(entry => ({
+        a: normalize(entry.a),
+        b: normalize(entry.b),
+        severity: normalize(entry.severity),
+        mechanism: entry.mechanism || '',
+        effect: entry.effect || '',
+        management: entry.management || '',
+        reactions: (entry.reactions || []).map(normalize).filter(Boolean)
+      }))
+      .filter(rule => SEVERITIES.includes(rule.severity));
+    interactions.forEach(rule => [rule.a, rule.b].filter(end => !groups.has(end)).forEach(end => addIngredient(end)));
+
+    return {
+      info: { name: raw.name, version: raw.version || null },
+      ingredients,
+      terms: [...ingredients.values()]
+        .flatMap(ingredient => [...ingredient.aliases].map(term => ({ term, ingredient: ingredient.name }))),
+      interactions
+    };
+  }
+
+  resolveIngredients(kb, ...names) {
+    const text = normalize(names.filter(Boolean).join(' '));
+    return [...new Set(kb.terms.filter(({ term }) => containsWords(text, term)).map(({ ingredient }) => ingredient))];
+  }
+
+  // Entries for one ingredient pair, keeping only the most specific
+  findInteractions(kb, x, y) {
+    const classesOf = ingredient => [ingredient, ...kb.ingredients.get(ingredient).groups];
+    const [ofX, ofY] = [classesOf(x), classesOf(y)];
+    const matches = kb.interactions.filter(rule =>
+      (ofX.includes(rule.a) && ofY.includes(rule.b)) || (ofX.includes(rule.b) && ofY.includes(rule.a))
+    );
+    const specificity = rule => [rule.a, rule.b].filter(end => end === x || end === y).length;
+    const best = Math.max(...matches.map(specificity));
+    return matches.filter(rule => specificity(rule) === best);
+  }
+
+  /**
+   * Screen a report, in the shape stored on ReportSideEffect.interactionScreening
+   * @param {Object} report - Report as read from the database
+   * @param {Object} medication - Suspected medication ({ name, genericName })
+   * @returns {Object|null} Screening result, or null without a knowledge base
+   */
+  screenReport(report, medication) {
+    const kb = this.getKnowledgeBase();
+    if (!kb) return null;
+
+    const medicines = [
+      { name: medication?.name, genericName: medication?.genericName, role: 'suspect' },
+      ...(report.patientInfo?.concomitantMedications || [])
+        .map(med => ({ name: med.medicineName, role: 'concomitant' }))
+    ]
+      .filter(medicine => medicine.name)
+      .map(medicine => ({ ...medicine, ingredients: this.resolveIngredients(kb, medicine.name, medicine.genericName) }));
+
+    const reported = (report.sideEffects || [])
+      .flatMap(sideEffect => [sideEffect.effect, ...(sideEffect.coding?.terms || []).map(term => term.ptName)])
+      .filter(Boolean)
+      .map(text => ({ text, normalized: normalize(text) }));
+
+    const findings = [];
+    const seen = new Set();
+    medicines.forEach((first, i) => {
+      medicines.slice(i + 1).forEach((second) => {
+        first.ingredients.forEach((x) => {
+          second.ingredients.forEach((y) => {
+            if (x === y) return;
+            this.findInteractions(kb, x, y).forEach((rule) => {
+              const key = [first.name, second.name, rule.a, rule.b].join('|');
+              if (seen.has(key)) return;
+              seen.add(key);
+
+              findings.push({
+                severity: rule.severity,
+                medicines: [first.name, second.name],
+                ingredients: [x, y],
+                rule: `${rule.a} + ${rule.b}`,
+                involvesSuspect: first.role === 'suspect' || second.role === 'suspect',
+                mechanism: rule.mechanism,
+                effect: rule.effect,
+                management: rule.management,
+                matchedReactions: [...new Set(reported
+                  .filter(reaction => rule.reactions.some(stem => containsStem(reaction.normalized, stem)))
+                  .map(reaction => reaction.text))]
+              });
+            });
+          });
+        });
+      });
+    });
+
+    findings.sort((x, y) =>
+      SEVERITIES.indexOf(x.severity) - SEVERITIES.indexOf(y.severity) ||
+      Number(y.matchedReactions.length > 0) - Number(x.matchedReactions.length > 0) ||
+      Number(y.involvesSuspect) - Number(x.involvesSuspect)
+    );
+
+    return {
+      status: findings.length > 0 ? 'flagged' : 'clear',
+      highestSeverity: findings[0]?.severity || null,
+      findings,
+      unrecognized: medicines.filter(medicine => medicine.ingredients.length === 0).map(medicine => medicine.name),
+      knowledgeBase: kb.info,
+      source: 'pipeline',
+      checkedAt: new Date()
+    };
+  }
+}
+
+module.exports = InteractionChecker;
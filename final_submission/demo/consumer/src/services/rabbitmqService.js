@@ -80,6 +80,46 @@ class RabbitMQService {
     return this.channel.assertQueue(queueName, defaultOptions);
   }
 
+  /**
+   * Declare the delay queues and the dead-letter queue of a work queue.
+   * Each delay queue holds messages for its TTL and then dead-letters them
+   * back onto the work queue through the default exchange. The delay is part
+   * of the queue name, so changing the backoff declares new queues instead of
+   * clashing with the arguments of existing ones.
+   */
+  async assertRetryQueues(queueName, retry) {
+    const retryQueues = [];
+    for (let attempt = 1; attempt < retry.maxAttempts; attempt++) {
+      const delay = retry.baseDelayMs * Math.pow(retry.multiplier, attempt - 1);
+      const retryQueue = `${queueName}.retry.${delay}ms`;
+
+      await this.assertQueue(retryQueue, {
+        arguments: {
+          'x-message-ttl': delay,
+          'x-dead-letter-exchange': '',
+          'x-dead-letter-routing-key': queueName
+        }
+      });
+      retryQueues.push({ queue: retryQueue, delay });
+    }
+
+    await this.assertQueue(retry.deadLetterQueue);
+    return retryQueues;
+  }
+
+  /**
+   * Send a JSON message to an already declared queue
+   */
+  sendToQueue(queueName, message, options = {}) {
+    const messageBuffer = Buffer.from(JSON.stringify(message));
+    return this.channel.sendToQueue(queueName, messageBuffer, {
+      persistent: true,
+      contentType: 'application/json',
+      timestamp: Date.now(),
+      ...options
+    });
+  }
+
   /**
    * Publish a message to a queue
    */
@@ -87,15 +127,7 @@ class RabbitMQService {
     try {
       await this.assertQueue(queueName);
       
-      const messageBuffer = Buffer.from(JSON.stringify(message));
-      const publishOptions = {
-        persistent: true,
-        contentType: 'application/json',
-        timestamp: Date.now(),
-        ...options
-      };
-
-      this.channel.sendToQueue(queueName, messageBuffer, publishOptions);
+      this.sendToQueue(queueName, message, options);
       console.log(`[RabbitMQ] Published to ${queueName}:`, message.reportId || 'message');
       
       return true;
@@ -107,16 +139,25 @@ class RabbitMQService {
 
   /**
    * Consume messages from a queue
+   *
+   * The handler returns false to put the message back (e.g. while shutting
+   * down) and throws when processing failed. With a retry policy
+   * ({ maxAttempts, baseDelayMs, multiplier, deadLetterQueue }) failed
+   * messages wait in a delay queue and come back, and go to the dead-letter
+   * queue once error.attempts (or the attempt header) reaches maxAttempts or
+   * the error is marked permanent. Without one they are dropped.
    */
-  async consume(queueName, handler) {
+  async consume(queueName, handler, { retry } = {}) {
     try {
       await this.assertQueue(queueName);
+      const retryQueues = retry ? await this.assertRetryQueues(queueName, retry) : [];
       
       await this.channel.consume(queueName, async (msg) => {
         if (!msg) return;
 
+        let content = null;
         try {
-          const content = JSON.parse(msg.content.toString());
+          content = JSON.parse(msg.content.toString());
           const result = await handler(content);
           
           if (result !== false) {
@@ -126,9 +167,12 @@ class RabbitMQService {
             this.channel.nack(msg, false, true);
           }
         } catch (error) {
-          console.error('[RabbitMQ] Message handler error:', error);
-          // Don't requeue on handler errors - send to DLQ
-          this.channel.nack(msg, false, false);
+          console.error('[RabbitMQ] Message handler error:', error.message);
+          if (!retry) {
+            this.channel.nack(msg, false, false);
+            return;
+          }
+          this.retryOrDeadLetter(queueName, msg, content, error, retry, retryQueues);
         }
       });
 
@@ -139,6 +183,48 @@ class RabbitMQService {
     }
   }
 
+  /**
+   * Move a failed message to the delay queue of its attempt, or to the
+   * dead-letter queue with every failure reason when it is out of attempts
+   */
+  retryOrDeadLetter(queueName, msg, content, error, retry, retryQueues) {
+    const headers = msg.properties.headers || {};
+    const attempts = error.attempts || (headers['x-attempts'] || 0) + 1;
+    const failures = [
+      ...JSON.parse(headers['x-failures'] || '[]'),
+      { attempt: attempts, error: error.message, failedAt: new Date().toISOString() }
+    ];
+    // An unparsable message will not parse on the next attempt either
+    const permanent = Boolean(error.permanent) || content === null;
+
+    try {
+      if (permanent || attempts >= retry.maxAttempts || retryQueues.length === 0) {
+        this.sendToQueue(retry.deadLetterQueue, {
+          queue: queueName,
+          reportId: content?.reportId,
+          message: content ?? msg.content.toString(),
+          attempts,
+          permanent,
+          reason: error.message,
+          failures,
+          deadLetteredAt: new Date().toISOString()
+        });
+        console.error(`[RabbitMQ] Dead-lettered ${content?.reportId || 'message'} from ${queueName} after ${attempts} attempt(s): ${error.message}`);
+      } else {
+        const { queue, delay } = retryQueues[Math.min(attempts, retryQueues.length) - 1];
+        this.sendToQueue(queue, content, {
+          headers: { 'x-attempts': attempts, 'x-failures': JSON.stringify(failures) }
+        });
+        console.warn(`[RabbitMQ] Retrying ${content.reportId || 'message'} in ${delay / 1000}s (attempt ${attempts}/${retry.maxAttempts})`);
+      }
+      this.channel.ack(msg);
+    } catch (sendError) {
+      // Could not park the message anywhere; leave it on the work queue
+      console.error('[RabbitMQ] Failed to schedule retry:', sendError.message);
+      this.channel.nack(msg, false, true);
+    }
+  }
+
   /**
    * Close the connection
    */
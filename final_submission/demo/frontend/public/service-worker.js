@@ -0,0 +1,48 @@
+/* eslint-disable no-restricted-globals */
+// SafeMed ADR service worker: shows Web Push notifications sent by the
+// backend and opens the related page when one is clicked
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (err) {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'SafeMed ADR', {
+      body: data.body,
+      tag: data.tag,
+      icon: '/logo192.png',
+      badge: '/logo192.png',
+      // Critical alerts stay on screen until dismissed
+      requireInteraction: data.priority === 'critical',
+      data: { url: data.url || '/dashboard' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/dashboard', self.location.origin).href;
+
+  // Focus an open tab of the app if there is one
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (open) {
+        return open.focus().then((client) => client.navigate(url));
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
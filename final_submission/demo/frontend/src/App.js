@@ -14,9 +14,15 @@ import {
   Dashboard,
   Login,
   Registration,
+  ForgotPassword,
+  ResetPassword,
   AddMedication,
   MedicationManagement,
-  ReviewRequests
+  ReviewRequests,
+  SafetySignals,
+  ReportsByBatch,
+  NotificationRules,
+  MedicationImport
 } from "./pages";
 
 // Import custom components and providers
@@ -31,9 +37,16 @@ function AppContent() {
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const [mobileOpen, setMobileOpen] = useState(false);
   const [showRegistration, setShowRegistration] = useState(false);
+  const [showForgotPassword, setShowForgotPassword] = useState(false);
+  // Reset links from the password reset email land on /reset-password?token=...
+  const [resetToken, setResetToken] = useState(() =>
+    window.location.pathname === '/reset-password'
+      ? new URLSearchParams(window.location.search).get('token')
+      : null
+  );
   const [successMessage, setSuccessMessage] = useState('');
   const [appLoading, setAppLoading] = useState(true);
-  const { isAuthenticated, isPatient } = AuthContainer.useContainer();
+  const { isAuthenticated, isPatient, can } = AuthContainer.useContainer();
 
   // Initialize app
   useEffect(() => {
@@ -76,6 +89,25 @@ function AppContent() {
 
   const handleBackToLogin = () => {
     setShowRegistration(false);
+    setShowForgotPassword(false);
+    if (resetToken !== null) {
+      setResetToken(null);
+      window.history.replaceState(null, '', '/');
+    }
+  };
+
+  const handleShowForgotPassword = () => {
+    setShowForgotPassword(true);
+  };
+
+  const handleShowResetPassword = () => {
+    setShowForgotPassword(false);
+    setResetToken('');
+  };
+
+  const handlePasswordResetSuccess = (result) => {
+    handleBackToLogin();
+    setSuccessMessage(result.message);
   };
 
   const handleRegistrationSuccess = (result) => {
@@ -88,6 +120,23 @@ function AppContent() {
   };
 
   if (!isAuthenticated) {
+    if (resetToken !== null) {
+      return (
+        <ResetPassword
+          initialToken={resetToken}
+          onSuccess={handlePasswordResetSuccess}
+          onBackToLogin={handleBackToLogin}
+        />
+      );
+    }
+    if (showForgotPassword) {
+      return (
+        <ForgotPassword
+          onBackToLogin={handleBackToLogin}
+          onShowResetPassword={handleShowResetPassword}
+        />
+      );
+    }
     if (showRegistration) {
       return (
         <Registration 
@@ -98,7 +147,10 @@ function AppContent() {
     }
     return (
       <>
-        <Login onShowRegistration={handleShowRegistration} />
+        <Login
+          onShowRegistration={handleShowRegistration}
+          onShowForgotPassword={handleShowForgotPassword}
+        />
         <Snackbar
           open={!!successMessage}
           autoHideDuration={6000}
@@ -182,11 +234,15 @@ function AppContent() {
               <>
                 <Route path="/doctor-home" element={<DoctorHome />} />
                 <Route path="/review-requests" element={<ReviewRequests />} />
+                {can('signal:read') && <Route path="/signals" element={<SafetySignals />} />}
+                {can('lot:read') && <Route path="/batches" element={<ReportsByBatch />} />}
+                {can('notification_rule:manage') && <Route path="/notification-rules" element={<NotificationRules />} />}
                 <Route path="/reports/:id" element={<ReportDetail />} />
                 {/* Medication System Routes for Side Effect Reporting */}
                 <Route path="/medications" element={<MedicationManagement />} />
                 <Route path="/add-medication" element={<AddMedication />} />
                 <Route path="/medications/edit/:id" element={<AddMedication />} />
+                {can('medication:import') && <Route path="/medications/import" element={<MedicationImport />} />}
                 <Route path="/dashboard" element={<Dashboard />} />
                 <Route path="/settings" element={<Settings />} />
                 <Route path="/doctor" element={<Navigate to="/doctor-home" replace />} />
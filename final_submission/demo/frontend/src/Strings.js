@@ -13,6 +13,39 @@ const Strings = {
   newToApp: 'New to SafeMed ADR?',
   createAccount: 'Create Account',
   footerCopyright: 'SafeMed ADR © 2025 - Secure Medical Reporting',
+  forgotPassword: 'Forgot password?',
+
+  // Auth / Password reset
+  forgotPasswordTitle: 'Forgot Password',
+  forgotPasswordSubtitle: "Enter your account email and we'll send you a link to reset your password.",
+  email: 'Email',
+  sendResetLink: 'Send Reset Link',
+  sendingResetLink: 'Sending...',
+  resetLinkSent: 'If an account exists for that email, a password reset link has been sent. The link expires in 1 hour.',
+  haveResetCode: 'I already have a reset code',
+  resetPasswordTitle: 'Reset Password',
+  resetPasswordSubtitle: 'Choose a new password for your account.',
+  resetCode: 'Reset Code',
+  resetCodeHelper: 'Paste the code from your password reset email',
+  newPassword: 'New Password',
+  confirmNewPassword: 'Confirm New Password',
+  passwordRequirements: 'At least 6 characters with an uppercase letter, a lowercase letter and a number',
+  passwordsDoNotMatch: 'Passwords do not match',
+  resettingPassword: 'Resetting...',
+  resetPassword: 'Reset Password',
+  passwordResetSuccess: 'Your password has been reset. Please sign in with your new password.',
+  backToLogin: 'Back to Sign In',
+
+  // Auth / Two-factor sign in
+  twoFactorTitle: 'Two-Factor Authentication',
+  twoFactorSubtitle: 'Enter the 6-digit code from your authenticator app.',
+  twoFactorRecoverySubtitle: 'Enter one of your recovery codes. Each code can only be used once.',
+  authenticationCode: 'Authentication Code',
+  recoveryCode: 'Recovery Code',
+  useRecoveryCode: 'Use a recovery code instead',
+  useAuthenticatorCode: 'Use an authenticator code instead',
+  verify: 'Verify',
+  verifying: 'Verifying...',
 
   // Home / Dashboard
   welcomeBack: (name = 'Patient') => `Welcome back, ${name}!`,
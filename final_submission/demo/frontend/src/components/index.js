@@ -2,4 +2,6 @@ export { default as CustomAppBar } from './layout/CustomAppBar';
 export { default as Navigation } from './layout/Navigation';
 export { default as MainLayout } from './layout/MainLayout';
 export { default as Loading } from './ui/Loading';
-export { ButtonLoading, InlineLoading, LoadingOverlay } from './ui/Loading';
\ No newline at end of file
+export { ButtonLoading, InlineLoading, LoadingOverlay } from './ui/Loading';
+export { default as CareTeamCard } from './ui/CareTeamCard';
+export { default as InteractionFindings, InteractionChip } from './ui/InteractionFindings';
@@ -22,6 +22,9 @@ import {
   Person as PatientIcon,
   LocalPharmacy as MedicineIcon,
   RateReview as ReviewIcon,
+  Insights as SignalIcon,
+  QrCode2 as BatchIcon,
+  Rule as RuleIcon,
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
 import AuthContainer from '../../store/containers/AuthContainer';
@@ -34,7 +37,7 @@ const Navigation = ({ mobileOpen, handleDrawerToggle }) => {
   const navigate = useNavigate();
   const location = useLocation();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
-  const { user, isPatient, isDoctor } = AuthContainer.useContainer();
+  const { user, isPatient, isDoctor, can } = AuthContainer.useContainer();
   const { unreadCount } = useNotifications();
 
   const patientNavItems = [
@@ -44,13 +47,17 @@ const Navigation = ({ mobileOpen, handleDrawerToggle }) => {
     { text: 'Settings', icon: <SettingsIcon />, path: '/settings', badge: null },
   ];
 
+  // Items with a permission only show to users who have it
   const doctorNavItems = [
     { text: 'Dashboard', icon: <DoctorIcon />, path: '/doctor-home', badge: null },
-    { text: 'Review Requests', icon: <ReviewIcon />, path: '/review-requests', badge: null },
-    { text: 'Medications', icon: <MedicineIcon />, path: '/medications', badge: null },
-    { text: 'Analytics', icon: <DashboardIcon />, path: '/dashboard', badge: null },
+    { text: 'Review Requests', icon: <ReviewIcon />, path: '/review-requests', badge: null, permission: 'report:review' },
+    { text: 'Safety Signals', icon: <SignalIcon />, path: '/signals', badge: null, permission: 'signal:read' },
+    { text: 'Reports by Batch', icon: <BatchIcon />, path: '/batches', badge: null, permission: 'lot:read' },
+    { text: 'Notification Rules', icon: <RuleIcon />, path: '/notification-rules', badge: null, permission: 'notification_rule:manage' },
+    { text: 'Medications', icon: <MedicineIcon />, path: '/medications', badge: null, permission: 'medication:manage' },
+    { text: 'Analytics', icon: <DashboardIcon />, path: '/dashboard', badge: null, permission: 'report:dashboard' },
     { text: 'Settings', icon: <SettingsIcon />, path: '/settings', badge: null },
-  ];
+  ].filter((item) => !item.permission || can(item.permission));
 
   const navItems = isPatient ? patientNavItems : doctorNavItems;
 
@@ -83,7 +90,7 @@ const Navigation = ({ mobileOpen, handleDrawerToggle }) => {
             {user?.name}
           </Box>
           <Chip
-            label={user?.role}
+            label={user?.roleLabel || user?.role}
             size="small"
             color={isDoctor ? 'secondary' : 'primary'}
             variant="outlined"
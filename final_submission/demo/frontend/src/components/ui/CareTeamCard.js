@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  TextField,
+  Button,
+  Chip,
+  Alert,
+  Avatar,
+  IconButton,
+  Tooltip,
+  Divider,
+  Stack,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Groups as CareTeamIcon,
+  Person as PersonIcon,
+  PersonAdd as InviteIcon,
+  PersonRemove as RemoveIcon,
+  Check as AcceptIcon,
+  Close as DeclineIcon,
+} from '@mui/icons-material';
+import AuthContainer from '../../store/containers/AuthContainer';
+import { careTeamService } from '../../services';
+
+const fullName = (person) => `${person?.firstName || ''} ${person?.lastName || ''}`.trim() || person?.email || 'Unknown';
+
+/**
+ * Care team of the signed-in user: a doctor's patients with their report
+ * counts, or a patient's doctors, plus pending invitations both ways and an
+ * invite-by-email field. Doctors only see reports of their care-team patients.
+ */
+export default function CareTeamCard() {
+  const { user, isDoctor } = AuthContainer.useContainer();
+  const [members, setMembers] = useState([]);
+  const [pending, setPending] = useState([]);
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const userId = user?._id || user?.id;
+  const other = isDoctor ? 'patient' : 'doctor';
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [membersResponse, pendingResponse] = await Promise.all([
+        isDoctor
+          ? careTeamService.getMyPatients()
+          : careTeamService.getRelationships({ status: 'active', limit: 100 }),
+        careTeamService.getRelationships({ status: 'pending', limit: 100 })
+      ]);
+      setMembers(isDoctor
+        ? membersResponse.data || []
+        : (membersResponse.data || []).map(r => ({ relationshipId: r._id, doctor: r.doctor, acceptedAt: r.acceptedAt, accessExpiresAt: r.accessExpiresAt })));
+      setPending(pendingResponse.data || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load care team');
+    } finally {
+      setLoading(false);
+    }
+  }, [isDoctor]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Run a care team action, then reload
+  const act = async (action, message) => {
+    try {
+      setBusy(true);
+      setError(null);
+      await action();
+      setSuccess(message);
+      await load();
+    } catch (err) {
+      setError(err.message || 'Action failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    act(async () => {
+      await careTeamService.invite({ email: email.trim() });
+      setEmail('');
+    }, `Invitation sent to ${email.trim()}`);
+  };
+
+  const handleRemove = (relationshipId, person) => {
+    if (!window.confirm(`Remove ${fullName(person)} from ${isDoctor ? 'your patients' : 'your care team'}?`)) return;
+    act(() => careTeamService.end(relationshipId), `${fullName(person)} removed`);
+  };
+
+  return (
+    <Card sx={{ mb: 4 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <CareTeamIcon sx={{ mr: 1, color: 'primary.main' }} />
+            <Typography variant="h6" sx={{ fontWeight: 600 }}>
+              {isDoctor ? 'My Patients' : 'My Care Team'}
+            </Typography>
+            <Chip label={members.length} size="small" sx={{ ml: 1 }} />
+          </Box>
+          <Box component="form" onSubmit={handleInvite} sx={{ display: 'flex', gap: 1 }}>
+            <TextField
+              size="small"
+              type="email"
+              placeholder={`Invite a ${other} by email`}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <Button type="submit" variant="contained" startIcon={<InviteIcon />} disabled={busy || !email.trim()}>
+              Invite
+            </Button>
+          </Box>
+        </Box>
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {isDoctor
+            ? 'You see the reports and symptom progressions of the patients on this list, and reports assigned to you.'
+            : 'Doctors on your care team can see your reports, and review requests go to them.'}
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+        {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>{success}</Alert>}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : (
+          <>
+            {pending.length > 0 && (
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="subtitle2" sx={{ mb: 1 }}>Pending invitations</Typography>
+                {pending.map((invitation) => {
+                  const person = invitation[other];
+                  const sentByMe = (invitation.invitedBy?._id || invitation.invitedBy) === userId;
+                  return (
+                    <Box key={invitation._id} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', py: 1, gap: 1 }}>
+                      <Box sx={{ minWidth: 0 }}>
+                        <Typography variant="body1" fontWeight={500} noWrap>
+                          {isDoctor ? fullName(person) : `Dr. ${fullName(person)}`}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {sentByMe ? 'Awaiting their answer' : 'Invited you'}
+                          {invitation.inviteExpiresAt && ` · expires ${new Date(invitation.inviteExpiresAt).toLocaleDateString()}`}
+                          {invitation.message && ` · "${invitation.message}"`}
+                        </Typography>
+                      </Box>
+                      {sentByMe ? (
+                        <Button size="small" disabled={busy} onClick={() => act(() => careTeamService.end(invitation._id), 'Invitation withdrawn')}>
+                          Withdraw
+                        </Button>
+                      ) : (
+                        <Stack direction="row" spacing={1} sx={{ flexShrink: 0 }}>
+                          <Button size="small" variant="contained" startIcon={<AcceptIcon />} disabled={busy}
+                            onClick={() => act(() => careTeamService.accept(invitation._id), 'Invitation accepted')}>
+                            Accept
+                          </Button>
+                          <Button size="small" startIcon={<DeclineIcon />} disabled={busy}
+                            onClick={() => act(() => careTeamService.decline(invitation._id), 'Invitation declined')}>
+                            Decline
+                          </Button>
+                        </Stack>
+                      )}
+                    </Box>
+                  );
+                })}
+                <Divider sx={{ mt: 1 }} />
+              </Box>
+            )}
+
+            {members.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                {isDoctor ? 'No patients on your care team yet.' : 'No doctors on your care team yet.'}
+              </Typography>
+            ) : members.map((member, i) => {
+              const person = member[other];
+              return (
+                <Box
+                  key={member.relationshipId}
+                  sx={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    py: 1,
+                    gap: 1,
+                    borderBottom: i < members.length - 1 ? '1px solid' : 'none',
+                    borderColor: 'divider'
+                  }}
+                >
+                  <Box sx={{ display: 'flex', alignItems: 'center', minWidth: 0 }}>
+                    <Avatar sx={{ mr: 1.5, width: 32, height: 32, bgcolor: 'primary.light' }}>
+                      <PersonIcon fontSize="small" />
+                    </Avatar>
+                    <Box sx={{ minWidth: 0 }}>
+                      <Typography variant="body1" fontWeight={500} noWrap>
+                        {isDoctor ? fullName(person) : `Dr. ${fullName(person)}`}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {isDoctor
+                          ? (member.lastReportAt ? `Last report ${new Date(member.lastReportAt).toLocaleDateString()}` : 'No reports yet')
+                          : (person?.doctorInfo?.specialization || person?.email)}
+                        {member.accessExpiresAt && ` · access until ${new Date(member.accessExpiresAt).toLocaleDateString()}`}
+                      </Typography>
+                    </Box>
+                  </Box>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, flexShrink: 0 }}>
+                    {isDoctor && (
+                      <>
+                        <Chip label={`${member.totalReports} reports`} size="small" variant="outlined" />
+                        {member.openReports > 0 && <Chip label={`${member.openReports} open`} size="small" color="warning" />}
+                        {member.seriousReports > 0 && <Chip label={`${member.seriousReports} serious`} size="small" color="error" />}
+                        {member.pendingReviews > 0 && <Chip label={`${member.pendingReviews} review requested`} size="small" color="info" />}
+                      </>
+                    )}
+                    <Tooltip title="Remove">
+                      <span>
+                        <IconButton size="small" disabled={busy} onClick={() => handleRemove(member.relationshipId, person)}>
+                          <RemoveIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </Box>
+                </Box>
+              );
+            })}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
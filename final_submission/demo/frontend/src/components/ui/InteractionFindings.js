@@ -0,0 +1,101 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Alert,
+  AlertTitle,
+  Chip,
+} from '@mui/material';
+
+export const INTERACTION_SEVERITY = {
+  contraindicated: { label: 'Contraindicated', color: 'error', alert: 'error' },
+  major: { label: 'Major', color: 'error', alert: 'error' },
+  moderate: { label: 'Moderate', color: 'warning', alert: 'warning' },
+  minor: { label: 'Minor', color: 'info', alert: 'info' },
+};
+
+/**
+ * Chip with the most severe interaction found on a report, or nothing when
+ * the report was screened clear or not at all.
+ */
+export function InteractionChip({ screening, size = 'small' }) {
+  if (screening?.status !== 'flagged') return null;
+  const severity = INTERACTION_SEVERITY[screening.highestSeverity] || INTERACTION_SEVERITY.moderate;
+  const count = screening.findings?.length || 0;
+
+  return (
+    <Chip
+      label={`${severity.label} interaction${count > 1 ? ` (+${count - 1})` : ''}`}
+      color={severity.color}
+      size={size}
+    />
+  );
+}
+
+/**
+ * Drug-drug interactions found between a report's suspected medicine and
+ * the concomitant medications the reporter listed. Findings whose typical
+ * reactions match the reported ones are called out, since the reaction may
+ * be the interaction rather than the suspected medicine alone.
+ */
+export default function InteractionFindings({ screening }) {
+  if (!screening) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        This report has not been screened for interactions.
+      </Typography>
+    );
+  }
+
+  const findings = screening.findings || [];
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+      {findings.length === 0 && (
+        <Alert severity="success">
+          No known interactions between the suspected medicine and the reported concomitant medications.
+        </Alert>
+      )}
+
+      {findings.map((finding, index) => {
+        const severity = INTERACTION_SEVERITY[finding.severity] || INTERACTION_SEVERITY.moderate;
+        return (
+          <Alert key={`${finding.rule}-${index}`} severity={severity.alert} variant="outlined">
+            <AlertTitle>
+              {finding.medicines.join(' + ')}
+              <Chip label={severity.label} color={severity.color} size="small" sx={{ ml: 1 }} />
+              {!finding.involvesSuspect && (
+                <Chip label="Concomitant only" size="small" variant="outlined" sx={{ ml: 1 }} />
+              )}
+            </AlertTitle>
+            {finding.effect && (
+              <Typography variant="body2" fontWeight={500}>{finding.effect}</Typography>
+            )}
+            {finding.mechanism && (
+              <Typography variant="body2">Mechanism: {finding.mechanism}</Typography>
+            )}
+            {finding.management && (
+              <Typography variant="body2">Management: {finding.management}</Typography>
+            )}
+            {finding.matchedReactions?.length > 0 && (
+              <Typography variant="body2" sx={{ mt: 0.5 }}>
+                <strong>Matches reported reaction:</strong> {finding.matchedReactions.join(', ')}
+              </Typography>
+            )}
+          </Alert>
+        );
+      })}
+
+      {screening.unrecognized?.length > 0 && (
+        <Typography variant="caption" color="text.secondary">
+          Not in the interaction knowledge base: {screening.unrecognized.join(', ')}
+        </Typography>
+      )}
+      <Typography variant="caption" color="text.secondary">
+        Screened {new Date(screening.checkedAt).toLocaleString()}
+        {screening.knowledgeBase?.name && ` against ${screening.knowledgeBase.name}`}
+        {screening.knowledgeBase?.version && ` v${screening.knowledgeBase.version}`}
+      </Typography>
+    </Box>
+  );
+}
@@ -39,6 +39,12 @@ export const ROUTES = {
     MEDICATIONS: '/medications', // Medication system for side effect reporting
     REPORTS: '/reports',
     SYMPTOMS: '/symptom-progression',
+    TERMINOLOGY: '/terminology', // Coded reaction terms (LLT/PT/HLT/SOC)
+    SIGNALS: '/signals', // Disproportionality signals (PRR/ROR/IC)
+    NOTIFICATION_RULES: '/notification-rules', // Who is notified about which reports
+    CARE_TEAM: '/care-team', // Doctor-patient care relationships
+    LOTS: '/lots', // Reports clustered by medicine + batch
+    RECALLS: '/recalls', // Product recalls
   }
 };
 
@@ -1,32 +1,45 @@
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
-import { tokenManager } from '../services/apiClient';
+import { api, tokenManager } from '../services/apiClient';
 
 const NotificationContext = createContext(null);
 
 const BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001/api';
 
+const DEFAULT_RETRY_MS = 10000;
+// The server sends a heartbeat every 25s; a stream silent for longer than
+// this is assumed dead (e.g. dropped by a proxy) and reopened
+const STALE_STREAM_MS = 60000;
+
 export function NotificationProvider({ children }) {
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [connected, setConnected] = useState(false);
   const abortControllerRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
+  // Handlers for other stream events (e.g. analysis_status): Map<event, Set<handler>>
+  const listenersRef = useRef(new Map());
+  // Id of the last notification received, sent as Last-Event-ID on reconnect
+  // so the server re-sends the ones missed in between
+  const lastEventIdRef = useRef(null);
+  // Reconnect delay, updated from the server's `retry:` field
+  const retryDelayRef = useRef(DEFAULT_RETRY_MS);
+  const watchdogRef = useRef(null);
+  // Ids of the notifications in the list
+  const seenIdsRef = useRef(new Set());
 
-  // Fetch existing notifications from API
+  // Fetch existing notifications from API (via apiClient so an expired
+  // access token is refreshed before the SSE stream reconnects with it)
   const fetchNotifications = useCallback(async () => {
     try {
       const token = tokenManager.getToken();
       if (!token || token.startsWith('demo-token')) return;
 
-      const response = await fetch(`${BASE_URL}/notifications?limit=20`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      if (response.ok) {
-        const data = await response.json();
-        if (data.success) {
-          setNotifications(data.data.notifications || []);
-          setUnreadCount(data.data.unreadCount || 0);
-        }
+      const { data } = await api.notifications.getAll({ limit: 20 });
+      if (data.success) {
+        const list = data.data.notifications || [];
+        seenIdsRef.current = new Set(list.map((n) => String(n._id)));
+        setNotifications(list);
+        setUnreadCount(data.data.unreadCount || 0);
       }
     } catch (error) {
       console.error('Failed to fetch notifications:', error);
@@ -46,9 +59,23 @@ export function NotificationProvider({ children }) {
     const abortController = new AbortController();
     abortControllerRef.current = abortController;
 
+    const headers = { Authorization: `Bearer ${token}` };
+    if (lastEventIdRef.current) {
+      headers['Last-Event-ID'] = lastEventIdRef.current;
+    }
+
+    // Reopen the stream when nothing, not even a heartbeat, arrives in time
+    const resetWatchdog = () => {
+      clearTimeout(watchdogRef.current);
+      watchdogRef.current = setTimeout(() => {
+        console.warn('[Notifications] SSE stream went silent, reconnecting');
+        connectSSE();
+      }, STALE_STREAM_MS);
+    };
+
     try {
       const response = await fetch(`${BASE_URL}/notifications/stream`, {
-        headers: { Authorization: `Bearer ${token}` },
+        headers,
         signal: abortController.signal,
       });
 
@@ -62,49 +89,75 @@ export function NotificationProvider({ children }) {
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
       let buffer = '';
+      resetWatchdog();
 
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
+        resetWatchdog();
 
         buffer += decoder.decode(value, { stream: true });
         const lines = buffer.split('\n');
         buffer = lines.pop() || '';
 
         let eventType = '';
+        let eventId = null;
         for (const line of lines) {
-          if (line.startsWith('event:')) {
+          if (line.startsWith('retry:')) {
+            const delay = parseInt(line.slice(6).trim(), 10);
+            if (delay > 0) retryDelayRef.current = delay;
+          } else if (line.startsWith('id:')) {
+            eventId = line.slice(3).trim();
+          } else if (line.startsWith('event:')) {
             eventType = line.slice(6).trim();
           } else if (line.startsWith('data:')) {
             const dataStr = line.slice(5).trim();
+            if (eventId) lastEventIdRef.current = eventId;
             if (eventType === 'notification' && dataStr) {
               try {
                 const notification = JSON.parse(dataStr);
-                setNotifications((prev) => [notification, ...prev.slice(0, 19)]);
-                setUnreadCount((prev) => prev + 1);
-
-                // Show browser notification if permitted
-                if ('Notification' in window && Notification.permission === 'granted') {
-                  new window.Notification(notification.title || 'New Notification', {
-                    body: notification.message,
-                    icon: '/logo192.png',
-                    tag: notification._id || notification.id,
-                  });
+                const notificationId = String(notification._id || notification.id);
+                // Replayed notifications may already be in the list
+                if (!seenIdsRef.current.has(notificationId)) {
+                  seenIdsRef.current.add(notificationId);
+                  setNotifications((prev) => [notification, ...prev.slice(0, 19)]);
+                  setUnreadCount((prev) => prev + 1);
+
+                  // Show browser notification if permitted
+                  if ('Notification' in window && Notification.permission === 'granted') {
+                    new window.Notification(notification.title || 'New Notification', {
+                      body: notification.message,
+                      icon: '/logo192.png',
+                      tag: notification._id || notification.id,
+                    });
+                  }
                 }
               } catch (err) {
                 // ignore non-JSON heartbeat data
               }
+            } else if (dataStr && listenersRef.current.has(eventType)) {
+              try {
+                const data = JSON.parse(dataStr);
+                listenersRef.current.get(eventType).forEach((handler) => handler(data));
+              } catch (err) {
+                console.error(`[Notifications] Failed to handle ${eventType} event:`, err);
+              }
             }
             eventType = '';
+            eventId = null;
           }
         }
       }
+
+      // The server closed the stream (e.g. the instance restarted)
+      throw new Error('SSE stream ended');
     } catch (err) {
-      if (err.name === 'AbortError') return; // intentional disconnect
+      if (err.name === 'AbortError') return; // intentional disconnect or watchdog reconnect
+      clearTimeout(watchdogRef.current);
       console.warn('[Notifications] SSE error, falling back to polling:', err.message);
       setConnected(false);
-      // Reconnect after 10 seconds
-      reconnectTimeoutRef.current = setTimeout(connectSSE, 10000);
+      // Reconnect after the server's retry delay
+      reconnectTimeoutRef.current = setTimeout(connectSSE, retryDelayRef.current);
     }
   }, []);
 
@@ -122,6 +175,7 @@ export function NotificationProvider({ children }) {
       clearInterval(interval);
       if (abortControllerRef.current) abortControllerRef.current.abort();
       if (reconnectTimeoutRef.current) clearTimeout(reconnectTimeoutRef.current);
+      clearTimeout(watchdogRef.current);
     };
   }, [fetchNotifications, connectSSE]);
 
@@ -174,6 +228,19 @@ export function NotificationProvider({ children }) {
     }
   }, []);
 
+  // Listen for a stream event other than 'notification'; returns the unsubscribe function
+  const subscribe = useCallback((event, handler) => {
+    if (!listenersRef.current.has(event)) {
+      listenersRef.current.set(event, new Set());
+    }
+    listenersRef.current.get(event).add(handler);
+    return () => {
+      const handlers = listenersRef.current.get(event);
+      handlers?.delete(handler);
+      if (handlers?.size === 0) listenersRef.current.delete(event);
+    };
+  }, []);
+
   const value = {
     notifications,
     unreadCount,
@@ -181,6 +248,7 @@ export function NotificationProvider({ children }) {
     fetchNotifications,
     markAsRead,
     markAllAsRead,
+    subscribe,
   };
 
   return (
@@ -0,0 +1,140 @@
+import { useState } from "react";
+import {
+  Box,
+  CardContent,
+  TextField,
+  Button,
+  Typography,
+  Alert,
+  Container,
+  Paper,
+  InputAdornment,
+  Link,
+} from "@mui/material";
+import {
+  Email as EmailIcon,
+  LockReset as LockResetIcon,
+  ArrowBack as BackIcon,
+} from "@mui/icons-material";
+import { ButtonLoading } from "../../components/ui/Loading";
+import authService from "../../services/authService";
+import Strings from '../../Strings';
+
+export default function ForgotPassword({ onBackToLogin, onShowResetPassword }) {
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    const result = await authService.forgotPassword(email.trim());
+    setLoading(false);
+
+    if (result.success) {
+      setSent(true);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          py: 4,
+        }}
+      >
+        <Paper elevation={8} sx={{ borderRadius: 3, overflow: 'hidden' }}>
+          {/* Header */}
+          <Box
+            sx={{
+              color: 'primary.contrastText',
+              p: 4,
+              textAlign: 'center',
+              background: (theme) =>
+                `linear-gradient(45deg, ${theme.palette.primary.main} 30%, ${theme.palette.primary.light} 90%)`,
+            }}
+          >
+            <LockResetIcon sx={{ fontSize: 48, mb: 2 }} />
+            <Typography variant="h4" component="h1" gutterBottom fontWeight="600">
+              {Strings.forgotPasswordTitle}
+            </Typography>
+            <Typography variant="body1" sx={{ opacity: 0.9 }}>
+              {Strings.forgotPasswordSubtitle}
+            </Typography>
+          </Box>
+
+          <CardContent sx={{ p: 4 }}>
+            {sent ? (
+              <Alert severity="success" sx={{ mb: 2 }}>
+                {Strings.resetLinkSent}
+              </Alert>
+            ) : (
+              <Box component="form" onSubmit={handleSubmit}>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="email"
+                  type="email"
+                  label={Strings.email}
+                  name="email"
+                  autoComplete="email"
+                  autoFocus
+                  value={email}
+                  onChange={(e) => {
+                    setEmail(e.target.value);
+                    if (error) setError("");
+                  }}
+                  disabled={loading}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <EmailIcon color="action" />
+                      </InputAdornment>
+                    ),
+                  }}
+                />
+
+                {error && (
+                  <Alert severity="error" sx={{ mt: 2 }}>
+                    {error}
+                  </Alert>
+                )}
+
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  disabled={loading || !email.trim()}
+                  sx={{ mt: 3, mb: 2, py: 1.5, fontSize: '1rem', fontWeight: 500 }}
+                >
+                  <ButtonLoading loading={loading} loadingText={Strings.sendingResetLink}>
+                    {Strings.sendResetLink}
+                  </ButtonLoading>
+                </Button>
+              </Box>
+            )}
+
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 1 }}>
+              <Button startIcon={<BackIcon />} onClick={onBackToLogin}>
+                {Strings.backToLogin}
+              </Button>
+              <Link component="button" type="button" variant="body2" onClick={onShowResetPassword}>
+                {Strings.haveResetCode}
+              </Link>
+            </Box>
+          </CardContent>
+        </Paper>
+      </Box>
+    </Container>
+  );
+}
@@ -27,11 +27,15 @@ import { ButtonLoading } from "../../components/ui/Loading";
 import AuthContainer from "../../store/containers/AuthContainer";
 import Strings from '../../Strings';
 
-export default function Login({ onShowRegistration }) {
+export default function Login({ onShowRegistration, onShowForgotPassword }) {
   const [emailOrUsername, setEmailOrUsername] = useState("");
   const [password, setPassword] = useState("");
   const [showPassword, setShowPassword] = useState(false);
-  const { login, loading, error, clearError } = AuthContainer.useContainer();
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const {
+    login, verifyTwoFactor, cancelTwoFactor, twoFactorPending, loading, error, clearError
+  } = AuthContainer.useContainer();
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -44,6 +48,31 @@ export default function Login({ onShowRegistration }) {
     }
   };
 
+  const handleVerifyTwoFactor = async (e) => {
+    e.preventDefault();
+    clearError();
+
+    const result = await verifyTwoFactor(
+      useRecoveryCode ? { recoveryCode: twoFactorCode.trim() } : { code: twoFactorCode.trim() }
+    );
+    if (!result.success) {
+      setTwoFactorCode("");
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setTwoFactorCode("");
+    clearError();
+  };
+
+  const handleCancelTwoFactor = () => {
+    cancelTwoFactor();
+    setTwoFactorCode("");
+    setUseRecoveryCode(false);
+    setPassword("");
+  };
+
   const handleInputChange = (setter) => (e) => {
     setter(e.target.value);
     if (error) clearError();
@@ -100,6 +129,75 @@ export default function Login({ onShowRegistration }) {
             </Typography>
           </Box>
 
+          {twoFactorPending ? (
+          <CardContent sx={{ p: 4 }}>
+            {/* Two-Factor Step */}
+            <Box component="form" onSubmit={handleVerifyTwoFactor}>
+              <Typography variant="h6" fontWeight="600" gutterBottom>
+                {Strings.twoFactorTitle}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {useRecoveryCode ? Strings.twoFactorRecoverySubtitle : Strings.twoFactorSubtitle}
+              </Typography>
+
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="twoFactorCode"
+                label={useRecoveryCode ? Strings.recoveryCode : Strings.authenticationCode}
+                name="twoFactorCode"
+                autoComplete="one-time-code"
+                autoFocus
+                value={twoFactorCode}
+                onChange={handleInputChange(setTwoFactorCode)}
+                disabled={loading}
+                inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', maxLength: 7 }}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <LockIcon color="action" />
+                    </InputAdornment>
+                  ),
+                }}
+              />
+
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
+                <Link component="button" type="button" variant="body2" onClick={toggleRecoveryCode}>
+                  {useRecoveryCode ? Strings.useAuthenticatorCode : Strings.useRecoveryCode}
+                </Link>
+              </Box>
+
+              {error && (
+                <Alert severity="error" sx={{ mt: 2 }}>
+                  {error}
+                </Alert>
+              )}
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                disabled={loading || !twoFactorCode.trim()}
+                sx={{
+                  mt: 3,
+                  mb: 2,
+                  py: 1.5,
+                  fontSize: '1rem',
+                  fontWeight: 500,
+                }}
+              >
+                <ButtonLoading loading={loading} loadingText={Strings.verifying}>
+                  {Strings.verify}
+                </ButtonLoading>
+              </Button>
+
+              <Button fullWidth onClick={handleCancelTwoFactor} disabled={loading}>
+                {Strings.backToLogin}
+              </Button>
+            </Box>
+          </CardContent>
+          ) : (
           <CardContent sx={{ p: 4 }}>
             {/* Demo Credentials */}
             <Box sx={{ mb: 3 }}>
@@ -187,6 +285,12 @@ export default function Login({ onShowRegistration }) {
                 }}
               />
 
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
+                <Link component="button" type="button" variant="body2" onClick={onShowForgotPassword}>
+                  {Strings.forgotPassword}
+                </Link>
+              </Box>
+
               {error && (
                 <Alert severity="error" sx={{ mt: 2 }}>
                   {error}
@@ -232,6 +336,7 @@ export default function Login({ onShowRegistration }) {
               </Button>
             </Box>
           </CardContent>
+          )}
         </Paper>
 
         <Typography
@@ -0,0 +1,198 @@
+import { useState } from "react";
+import {
+  Box,
+  CardContent,
+  TextField,
+  Button,
+  Typography,
+  Alert,
+  Container,
+  Paper,
+  InputAdornment,
+  IconButton,
+} from "@mui/material";
+import {
+  Key as KeyIcon,
+  Lock as LockIcon,
+  LockReset as LockResetIcon,
+  Visibility,
+  VisibilityOff,
+  ArrowBack as BackIcon,
+} from "@mui/icons-material";
+import { ButtonLoading } from "../../components/ui/Loading";
+import authService from "../../services/authService";
+import Strings from '../../Strings';
+
+const PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{6,}$/;
+
+export default function ResetPassword({ initialToken = "", onSuccess, onBackToLogin }) {
+  const [token, setToken] = useState(initialToken);
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!PASSWORD_PATTERN.test(newPassword)) {
+      setError(Strings.passwordRequirements);
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setError(Strings.passwordsDoNotMatch);
+      return;
+    }
+
+    setLoading(true);
+    const result = await authService.resetPassword(token.trim(), newPassword);
+    setLoading(false);
+
+    if (result.success) {
+      onSuccess?.({ message: Strings.passwordResetSuccess });
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const passwordAdornment = (
+    <InputAdornment position="end">
+      <IconButton
+        aria-label={Strings.togglePasswordVisibilityAria}
+        onClick={() => setShowPassword(!showPassword)}
+        edge="end"
+      >
+        {showPassword ? <VisibilityOff /> : <Visibility />}
+      </IconButton>
+    </InputAdornment>
+  );
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          py: 4,
+        }}
+      >
+        <Paper elevation={8} sx={{ borderRadius: 3, overflow: 'hidden' }}>
+          {/* Header */}
+          <Box
+            sx={{
+              color: 'primary.contrastText',
+              p: 4,
+              textAlign: 'center',
+              background: (theme) =>
+                `linear-gradient(45deg, ${theme.palette.primary.main} 30%, ${theme.palette.primary.light} 90%)`,
+            }}
+          >
+            <LockResetIcon sx={{ fontSize: 48, mb: 2 }} />
+            <Typography variant="h4" component="h1" gutterBottom fontWeight="600">
+              {Strings.resetPasswordTitle}
+            </Typography>
+            <Typography variant="body1" sx={{ opacity: 0.9 }}>
+              {Strings.resetPasswordSubtitle}
+            </Typography>
+          </Box>
+
+          <CardContent sx={{ p: 4 }}>
+            <Box component="form" onSubmit={handleSubmit}>
+              {!initialToken && (
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="token"
+                  label={Strings.resetCode}
+                  name="token"
+                  autoFocus
+                  value={token}
+                  onChange={(e) => setToken(e.target.value)}
+                  disabled={loading}
+                  helperText={Strings.resetCodeHelper}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <KeyIcon color="action" />
+                      </InputAdornment>
+                    ),
+                  }}
+                />
+              )}
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="newPassword"
+                label={Strings.newPassword}
+                name="newPassword"
+                type={showPassword ? 'text' : 'password'}
+                autoComplete="new-password"
+                autoFocus={!!initialToken}
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                disabled={loading}
+                helperText={Strings.passwordRequirements}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <LockIcon color="action" />
+                    </InputAdornment>
+                  ),
+                  endAdornment: passwordAdornment,
+                }}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="confirmPassword"
+                label={Strings.confirmNewPassword}
+                name="confirmPassword"
+                type={showPassword ? 'text' : 'password'}
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                disabled={loading}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <LockIcon color="action" />
+                    </InputAdornment>
+                  ),
+                }}
+              />
+
+              {error && (
+                <Alert severity="error" sx={{ mt: 2 }}>
+                  {error}
+                </Alert>
+              )}
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                disabled={loading || !token.trim()}
+                sx={{ mt: 3, mb: 2, py: 1.5, fontSize: '1rem', fontWeight: 500 }}
+              >
+                <ButtonLoading loading={loading} loadingText={Strings.resettingPassword}>
+                  {Strings.resetPassword}
+                </ButtonLoading>
+              </Button>
+            </Box>
+
+            <Button startIcon={<BackIcon />} onClick={onBackToLogin}>
+              {Strings.backToLogin}
+            </Button>
+          </CardContent>
+        </Paper>
+      </Box>
+    </Container>
+  );
+}
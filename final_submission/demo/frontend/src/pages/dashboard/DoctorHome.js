@@ -35,18 +35,20 @@ import {
   ArrowForward as ArrowForwardIcon,
   SmartToy as AIIcon,
   PriorityHigh as CriticalIcon,
+  Gavel as RegulatoryIcon,
 } from '@mui/icons-material';
 import { Link, useNavigate } from 'react-router-dom';
 import AuthContainer from '../../store/containers/AuthContainer';
 import Strings from '../../Strings';
 import { useThemeMode } from '../../styles/theme/ThemeProvider';
 import { reportService } from '../../services';
+import { CareTeamCard } from '../../components';
 
 export default function DoctorHome() {
   const theme = useTheme();
   const navigate = useNavigate();
   const { isDarkMode, toggleTheme } = useThemeMode();
-  const { user } = AuthContainer.useContainer();
+  const { user, isDoctor } = AuthContainer.useContainer();
   const [stats, setStats] = useState({
     total: 0,
     pending: 0,
@@ -60,9 +62,11 @@ export default function DoctorHome() {
   const [aiSeverity, setAiSeverity] = useState([]);
   const [patientSeverity, setPatientSeverity] = useState([]);
   const [priorityDist, setPriorityDist] = useState([]);
-  const [topMedicines, setTopMedicines] = useState([]);
+  const [topIngredients, setTopIngredients] = useState([]);
+  const [topReactions, setTopReactions] = useState([]);
   const [pendingReviewCount, setPendingReviewCount] = useState(0);
   const [recentReviews, setRecentReviews] = useState([]);
+  const [expedited, setExpedited] = useState({ reports: [], summary: { overdue: 0, dueSoon: 0, open: 0 } });
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
 
@@ -71,9 +75,11 @@ export default function DoctorHome() {
       setLoading(true);
       
       // Use the backend aggregation endpoint instead of fetching 100 reports client-side
-      const [dashResponse, reviewsResponse] = await Promise.all([
+      const [dashResponse, reviewsResponse, expeditedResponse] = await Promise.all([
         reportService.getDashboardStats(),
-        reportService.getPendingReviews()
+        reportService.getPendingReviews(),
+        // Expedited cases are an extra; the dashboard still loads without them
+        reportService.getRegulatoryDue({ limit: 5 }).catch(() => null)
       ]);
       
       if (dashResponse.success && dashResponse.data) {
@@ -97,7 +103,12 @@ export default function DoctorHome() {
         setAiSeverity(d.aiSeverityDistribution || []);
         setPatientSeverity(d.patientSeverityDistribution || []);
         setPriorityDist(d.reportsByPriority || []);
-        setTopMedicines(d.mostReportedMedicines || []);
+        setTopIngredients(d.mostReportedIngredients || []);
+        setTopReactions(d.topReactions || []);
+      }
+
+      if (expeditedResponse?.success && expeditedResponse.data) {
+        setExpedited(expeditedResponse.data);
       }
 
       // Load pending review requests
@@ -118,6 +129,18 @@ export default function DoctorHome() {
     loadDashboardData();
   }, []);
 
+  const handleMarkSubmitted = async (reportId) => {
+    try {
+      await reportService.updateRegulatoryInfo(reportId, { submitted: true });
+      const response = await reportService.getRegulatoryDue({ limit: 5 });
+      if (response.success && response.data) {
+        setExpedited(response.data);
+      }
+    } catch (error) {
+      console.error('Error marking expedited report submitted:', error);
+    }
+  };
+
   const handleRefresh = async () => {
     setRefreshing(true);
     await loadDashboardData();
@@ -221,6 +244,75 @@ export default function DoctorHome() {
         </Alert>
       )}
 
+      {/* Expedited Reporting - serious unexpected cases due at the authority */}
+      {expedited.reports.length > 0 && (
+        <Card 
+          sx={{ 
+            mb: 3,
+            border: expedited.summary.overdue > 0 ? `2px solid ${theme.palette.error.main}` : undefined,
+          }}
+        >
+          <CardContent>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                <RegulatoryIcon sx={{ mr: 1, color: expedited.summary.overdue > 0 ? 'error.main' : 'warning.main' }} />
+                <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                  Expedited Reporting
+                </Typography>
+              </Box>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Chip label={`${expedited.summary.overdue} overdue`} size="small" color={expedited.summary.overdue > 0 ? 'error' : 'default'} />
+                <Chip label={`${expedited.summary.dueSoon} due soon`} size="small" color={expedited.summary.dueSoon > 0 ? 'warning' : 'default'} />
+                <Chip label={`${expedited.summary.open} open`} size="small" variant="outlined" />
+              </Box>
+            </Box>
+            {expedited.reports.map((report, i) => {
+              const { deadline, timeframeDays } = report.regulatoryInfo.expeditedReporting;
+              const overdue = report.deadlineStatus === 'overdue';
+              
+              return (
+                <Box 
+                  key={report._id} 
+                  sx={{ 
+                    display: 'flex', 
+                    justifyContent: 'space-between', 
+                    alignItems: 'center', 
+                    py: 1, 
+                    borderBottom: i < expedited.reports.length - 1 ? '1px solid' : 'none', 
+                    borderColor: 'divider' 
+                  }}
+                >
+                  <Box sx={{ cursor: 'pointer', minWidth: 0 }} onClick={() => navigate(`/reports/${report._id}`)}>
+                    <Typography variant="body1" fontWeight={500} noWrap>
+                      {report.medicine?.name} - {report.sideEffects?.[0]?.effect}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {timeframeDays}-day report due {new Date(deadline).toLocaleDateString()}
+                      {report.doctorReview?.assignedDoctor && ` · Dr. ${report.doctorReview.assignedDoctor.lastName}`}
+                    </Typography>
+                  </Box>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexShrink: 0 }}>
+                    <Chip 
+                      label={overdue 
+                        ? `${Math.abs(report.daysRemaining)}d overdue` 
+                        : `${report.daysRemaining}d left`}
+                      size="small"
+                      color={overdue ? 'error' : report.deadlineStatus === 'due_soon' ? 'warning' : 'default'}
+                    />
+                    <Button size="small" onClick={() => handleMarkSubmitted(report._id)}>
+                      Mark Submitted
+                    </Button>
+                  </Box>
+                </Box>
+              );
+            })}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* My Patients - the care team that decides which reports this doctor sees */}
+      {isDoctor && <CareTeamCard />}
+
       {/* Statistics Dashboard */}
       <Grid container spacing={3} sx={{ mb: 4 }}>
         <Grid item xs={12} sm={6} md={4} lg={2}>
@@ -398,22 +490,45 @@ export default function DoctorHome() {
           </Grid>
         )}
 
-        {topMedicines.length > 0 && (
+        {topIngredients.length > 0 && (
           <Grid item xs={12} md={aiSeverity.length > 0 ? 6 : 12}>
             <Card>
               <CardContent>
                 <Typography variant="h6" sx={{ fontWeight: 600, mb: 2 }}>
-                  Most Reported Medications
+                  Most Reported Active Ingredients
                 </Typography>
-                {topMedicines.map((med, i) => (
-                  <Box key={i} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', py: 1, borderBottom: i < topMedicines.length - 1 ? '1px solid' : 'none', borderColor: 'divider' }}>
+                {topIngredients.map((item, i) => (
+                  <Box key={item.ingredient} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', py: 1, borderBottom: i < topIngredients.length - 1 ? '1px solid' : 'none', borderColor: 'divider' }}>
                     <Box>
-                      <Typography variant="body1" fontWeight={500}>{med.medicineName}</Typography>
-                      {med.medicineGeneric && (
-                        <Typography variant="caption" color="text.secondary">{med.medicineGeneric}</Typography>
+                      <Typography variant="body1" fontWeight={500}>{item.ingredientName}</Typography>
+                      {item.medicines?.length > 0 && (
+                        <Typography variant="caption" color="text.secondary">{item.medicines.join(', ')}</Typography>
                       )}
                     </Box>
-                    <Chip label={`${med.reportCount} reports`} size="small" color="primary" variant="outlined" />
+                    <Chip label={`${item.reportCount} reports`} size="small" color="primary" variant="outlined" />
+                  </Box>
+                ))}
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
+        {topReactions.length > 0 && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" sx={{ fontWeight: 600, mb: 2 }}>
+                  Most Reported Reactions
+                </Typography>
+                {topReactions.map((reaction, i) => (
+                  <Box key={reaction.ptCode || reaction.ptName} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', py: 1, borderBottom: i < topReactions.length - 1 ? '1px solid' : 'none', borderColor: 'divider' }}>
+                    <Box>
+                      <Typography variant="body1" fontWeight={500}>{reaction.ptName}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {reaction.coded ? reaction.socName : 'Not yet coded'}
+                      </Typography>
+                    </Box>
+                    <Chip label={`${reaction.reportCount} reports`} size="small" color="primary" variant="outlined" />
                   </Box>
                 ))}
               </CardContent>
@@ -32,12 +32,13 @@ import {
 } from "@mui/icons-material";
 import AuthContainer from "../../store/containers/AuthContainer";
 import reportService from "../../services/reportService";
+import { CareTeamCard } from "../../components";
 import Strings from '../../Strings';
 
 export default function Home() {
   const theme = useTheme();
   const navigate = useNavigate();
-  const { user, isLoading } = AuthContainer.useContainer();
+  const { user, isLoading, isPatient } = AuthContainer.useContainer();
   const [pageLoading, setPageLoading] = useState(true);
   const [userStats, setUserStats] = useState({
     totalReports: 0,
@@ -361,6 +362,9 @@ export default function Home() {
           ))}
         </Grid>
 
+        {/* Care Team - doctors who see this patient's reports */}
+        {isPatient && <CareTeamCard />}
+
         {/* Recent Activity Section */}
         {userStats.recentReports.length > 0 && (
           <>
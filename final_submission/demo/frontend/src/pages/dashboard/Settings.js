@@ -1,22 +1,46 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import {
   Box, Typography, Card, CardContent, Stack, TextField, Button, Avatar,
   Switch, Select, MenuItem, FormControl, InputLabel, Tabs, Tab, Divider,
   Paper, List, ListItem, ListItemIcon, ListItemText, IconButton, Chip,
   Dialog, DialogTitle, DialogContent, DialogActions, InputAdornment,
-  Snackbar, Alert, alpha, useTheme
+  Snackbar, Alert, Checkbox, Table, TableHead, TableBody, TableRow, TableCell,
+  alpha, useTheme
 } from '@mui/material';
 import {
   Person as PersonIcon, Lock as LockIcon, Notifications as NotifIcon,
   Palette as PaletteIcon, CameraAlt as CameraIcon, Save as SaveIcon,
   Visibility, VisibilityOff, Email as EmailIcon, Phone as PhoneIcon,
-  NotificationsActive, ReportProblem, CalendarMonth, SystemUpdate,
+  Bedtime as BedtimeIcon, CalendarMonth,
   DarkMode, LightMode, Logout as LogoutIcon, Badge as BadgeIcon,
   MedicalServices, LocalHospital
 } from '@mui/icons-material';
 import { useThemeMode } from '../../styles/theme/ThemeProvider';
 import AuthContainer from '../../store/containers/AuthContainer';
-import { api, tokenManager } from '../../services/apiClient';
+import { api } from '../../services/apiClient';
+import { subscribeToPush, isPushSupported } from '../../serviceWorkerRegistration';
+
+const NOTIFICATION_CHANNELS = [
+  { key: 'email', label: 'Email', secondary: 'Receive updates via email', icon: <EmailIcon color="action" /> },
+  { key: 'push', label: 'Push', secondary: 'Browser push notifications, even with the app closed', icon: <NotifIcon color="action" /> },
+  { key: 'sms', label: 'SMS', secondary: 'Text message alerts to your phone number', icon: <PhoneIcon color="action" /> }
+];
+
+const NOTIFICATION_TYPE_LABELS = {
+  critical_report: 'Critical reports',
+  urgent_report: 'Urgent reports',
+  new_report: 'New reports',
+  review_requested: 'Review requests',
+  review_completed: 'Review completed',
+  status_updated: 'Report status changes',
+  ai_analysis_complete: 'AI analysis complete',
+  duplicate_detected: 'Possible duplicates',
+  signal_detected: 'Safety signals',
+  expedited_deadline: 'Expedited reporting deadlines',
+  rule_alert: 'Notification rule alerts',
+  care_team: 'Care team invitations',
+  product_recall: 'Product recalls'
+};
 
 function TabPanel({ children, value, index }) {
   return value === index ? <Box>{children}</Box> : null;
@@ -25,7 +49,7 @@ function TabPanel({ children, value, index }) {
 export default function Settings() {
   const theme = useTheme();
   const { mode, toggleTheme } = useThemeMode();
-  const { user, updateProfile } = AuthContainer.useContainer();
+  const { user, updateProfile, logoutAll, can } = AuthContainer.useContainer();
   const fileInputRef = useRef(null);
 
   const [tab, setTab] = useState(0);
@@ -48,17 +72,50 @@ export default function Settings() {
   const [passwords, setPasswords] = useState({ current: '', new: '', confirm: '' });
   const [showPwd, setShowPwd] = useState({ current: false, new: false, confirm: false });
 
-  // Notification state
-  const [notifSettings, setNotifSettings] = useState({
-    emailNotif: true, pushNotif: true, smsNotif: false,
-    highPriority: true, reportReminders: true, weeklyDigest: false, systemUpdates: true
-  });
+  // Notification preferences, with the types and channels the server offers
+  const [notifPrefs, setNotifPrefs] = useState(null);
+  const [notifOptions, setNotifOptions] = useState({ types: [], channels: {}, vapidPublicKey: null });
+  const [pushBusy, setPushBusy] = useState(false);
+  const [digestPreview, setDigestPreview] = useState(null);
 
   // Security settings state
   const [securitySettings, setSecuritySettings] = useState({
-    twoFactor: false, loginAlerts: true, sessionTimeout: '30', passwordExpiry: '90'
+    loginAlerts: true, sessionTimeout: '30', passwordExpiry: '90'
   });
 
+  // Two-factor state; the dialog mode is 'setup', 'disable', 'regenerate' or 'codes'
+  const [twoFactor, setTwoFactor] = useState({ enabled: false, required: false, recoveryCodesRemaining: 0 });
+  const [twoFactorDialog, setTwoFactorDialog] = useState(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorForm, setTwoFactorForm] = useState({ code: '', password: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [twoFactorBusy, setTwoFactorBusy] = useState(false);
+
+  const loadTwoFactorStatus = async () => {
+    try {
+      const response = await api.auth.twoFactorStatus();
+      setTwoFactor(response.data.data);
+    } catch (err) {
+      console.error('Failed to load two-factor status:', err.message);
+    }
+  };
+
+  const loadNotificationPreferences = async () => {
+    try {
+      const response = await api.notifications.getPreferences();
+      const { preferences, ...options } = response.data.data;
+      setNotifPrefs(preferences);
+      setNotifOptions(options);
+    } catch (err) {
+      console.error('Failed to load notification preferences:', err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadTwoFactorStatus();
+    loadNotificationPreferences();
+  }, []);
+
   const showMessage = (message, severity = 'success') => {
     setSnack({ open: true, message, severity });
   };
@@ -113,9 +170,153 @@ export default function Settings() {
     }
   };
 
-  const handleSignOut = () => {
-    tokenManager.clearTokens();
-    window.location.href = '/login';
+  const setChannel = (channel, checked) => {
+    setNotifPrefs((prev) => ({ ...prev, channels: { ...prev.channels, [channel]: checked } }));
+  };
+
+  // Turning push on subscribes this browser first
+  const handlePushToggle = async (e) => {
+    if (!e.target.checked) {
+      setChannel('push', false);
+      return;
+    }
+    setPushBusy(true);
+    try {
+      const subscription = await subscribeToPush(notifOptions.vapidPublicKey);
+      await api.notifications.subscribePush(subscription);
+      setChannel('push', true);
+    } catch (err) {
+      showMessage(err.response?.data?.message || err.message || 'Failed to enable push notifications', 'error');
+    } finally {
+      setPushBusy(false);
+    }
+  };
+
+  // A type receives a channel unless it was turned off for that type
+  const typeWantsChannel = (type, channel) => notifPrefs.types?.[type]?.[channel] !== false;
+
+  const setTypeChannel = (type, channel, checked) => {
+    setNotifPrefs((prev) => ({
+      ...prev,
+      types: { ...prev.types, [type]: { ...prev.types?.[type], [channel]: checked } }
+    }));
+  };
+
+  const setQuietHours = (field, value) => {
+    setNotifPrefs((prev) => ({ ...prev, quietHours: { ...prev.quietHours, [field]: value } }));
+  };
+
+  const handleQuietHoursToggle = (e) => {
+    setNotifPrefs((prev) => ({
+      ...prev,
+      quietHours: {
+        ...prev.quietHours,
+        enabled: e.target.checked,
+        // Default to the browser's time zone the first time
+        timezone: prev.quietHours.timezone === 'UTC'
+          ? Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+          : prev.quietHours.timezone
+      }
+    }));
+  };
+
+  const handleNotificationSave = async () => {
+    setSaving(true);
+    try {
+      const { channels, types, quietHours, digest } = notifPrefs;
+      const response = await api.notifications.updatePreferences({
+        channels, types, quietHours, digest: { frequency: digest.frequency }
+      });
+      setNotifPrefs(response.data.data.preferences);
+      showMessage('Notification preferences saved');
+    } catch (err) {
+      showMessage(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to save notification preferences', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDigestPreview = async () => {
+    try {
+      const frequency = notifPrefs.digest.frequency === 'off' ? 'daily' : notifPrefs.digest.frequency;
+      const response = await api.notifications.previewDigest({ frequency });
+      setDigestPreview(response.data.data);
+    } catch (err) {
+      showMessage(err.response?.data?.message || 'Failed to load digest preview', 'error');
+    }
+  };
+
+  const closeTwoFactorDialog = () => {
+    setTwoFactorDialog(null);
+    setTwoFactorSetup(null);
+    setTwoFactorForm({ code: '', password: '' });
+    setRecoveryCodes([]);
+  };
+
+  const showRecoveryCodes = (codes) => {
+    setRecoveryCodes(codes);
+    setTwoFactorForm({ code: '', password: '' });
+    setTwoFactorDialog('codes');
+  };
+
+  const handleTwoFactorToggle = async (e) => {
+    if (!e.target.checked) {
+      setTwoFactorDialog('disable');
+      return;
+    }
+    setTwoFactorBusy(true);
+    try {
+      const response = await api.auth.twoFactorSetup();
+      setTwoFactorSetup(response.data.data);
+      setTwoFactorDialog('setup');
+    } catch (err) {
+      showMessage(err.response?.data?.message || 'Failed to start two-factor setup', 'error');
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  };
+
+  const handleTwoFactorSubmit = async () => {
+    setTwoFactorBusy(true);
+    try {
+      if (twoFactorDialog === 'setup') {
+        const response = await api.auth.twoFactorEnable(twoFactorForm.code.trim());
+        showRecoveryCodes(response.data.data.recoveryCodes);
+        showMessage('Two-factor authentication enabled');
+      } else if (twoFactorDialog === 'regenerate') {
+        const response = await api.auth.twoFactorRecoveryCodes(twoFactorForm.code.trim());
+        showRecoveryCodes(response.data.data.recoveryCodes);
+        showMessage('New recovery codes generated');
+      } else if (twoFactorDialog === 'disable') {
+        // Accept either an authenticator code or a recovery code
+        const code = twoFactorForm.code.trim();
+        await api.auth.twoFactorDisable({
+          password: twoFactorForm.password,
+          ...(/^\d{3}\s?\d{3}$/.test(code) ? { code } : { recoveryCode: code })
+        });
+        closeTwoFactorDialog();
+        showMessage('Two-factor authentication disabled');
+      }
+      loadTwoFactorStatus();
+    } catch (err) {
+      showMessage(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Two-factor request failed', 'error');
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  };
+
+  const twoFactorDialogTitles = {
+    setup: 'Set Up Two-Factor Authentication',
+    disable: 'Disable Two-Factor Authentication',
+    regenerate: 'Regenerate Recovery Codes',
+    codes: 'Save Your Recovery Codes'
+  };
+
+  const handleSignOut = async () => {
+    const result = await logoutAll();
+    if (!result.success) {
+      showMessage(result.error, 'error');
+    }
   };
 
   const tabs = [
@@ -126,6 +327,7 @@ export default function Settings() {
   ];
 
   const isDoctor = user?.role === 'doctor';
+  const isStaff = isDoctor || user?.role === 'admin';
 
   return (
     <Box sx={{ maxWidth: 1000, mx: 'auto', py: 4, px: 2 }}>
@@ -264,9 +466,31 @@ export default function Settings() {
                 <Typography variant="subtitle2" fontWeight={600} gutterBottom>Security Options</Typography>
                 <List disablePadding>
                   <ListItem disableGutters sx={{ py: 1 }}>
-                    <ListItemText primary="Two-Factor Authentication" secondary="Add an extra layer of security" />
-                    <Switch checked={securitySettings.twoFactor} onChange={(e) => setSecuritySettings({ ...securitySettings, twoFactor: e.target.checked })} />
+                    <ListItemText
+                      primary="Two-Factor Authentication"
+                      secondary={twoFactor.enabled
+                        ? `Enabled · ${twoFactor.recoveryCodesRemaining} recovery codes left`
+                        : 'Require a code from an authenticator app when signing in'}
+                    />
+                    {twoFactor.required && <Chip label="Required for your role" size="small" color="warning" variant="outlined" sx={{ mr: 1 }} />}
+                    <Switch
+                      checked={twoFactor.enabled}
+                      disabled={twoFactorBusy || (twoFactor.enabled && twoFactor.required)}
+                      onChange={handleTwoFactorToggle}
+                    />
                   </ListItem>
+                  {twoFactor.enabled && (
+                    <ListItem disableGutters sx={{ pb: 1, pt: 0 }}>
+                      <Button size="small" onClick={() => setTwoFactorDialog('regenerate')}>
+                        Regenerate Recovery Codes
+                      </Button>
+                    </ListItem>
+                  )}
+                  {twoFactor.required && !twoFactor.enabled && (
+                    <Alert severity="warning" sx={{ mb: 1 }}>
+                      Your role requires two-factor authentication. Enable it to review and update reports.
+                    </Alert>
+                  )}
                   <Divider />
                   <ListItem disableGutters sx={{ py: 1 }}>
                     <ListItemText primary="Login Alerts" secondary="Get notified of new sign-ins" />
@@ -309,59 +533,137 @@ export default function Settings() {
 
           {/* ── Notifications Tab ── */}
           <TabPanel value={tab} index={2}>
-            <Stack spacing={3}>
-              <Paper variant="outlined" sx={{ p: 3, borderRadius: 2 }}>
-                <Typography variant="subtitle2" fontWeight={600} gutterBottom>Notification Channels</Typography>
-                <List disablePadding>
-                  <ListItem disableGutters sx={{ py: 1 }}>
-                    <ListItemIcon sx={{ minWidth: 40 }}><EmailIcon color="action" /></ListItemIcon>
-                    <ListItemText primary="Email Notifications" secondary="Receive updates via email" />
-                    <Switch checked={notifSettings.emailNotif} onChange={(e) => setNotifSettings({ ...notifSettings, emailNotif: e.target.checked })} />
-                  </ListItem>
-                  <Divider />
-                  <ListItem disableGutters sx={{ py: 1 }}>
-                    <ListItemIcon sx={{ minWidth: 40 }}><NotifIcon color="action" /></ListItemIcon>
-                    <ListItemText primary="Push Notifications" secondary="Browser push notifications" />
-                    <Switch checked={notifSettings.pushNotif} onChange={(e) => setNotifSettings({ ...notifSettings, pushNotif: e.target.checked })} />
-                  </ListItem>
-                  <Divider />
-                  <ListItem disableGutters sx={{ py: 1 }}>
-                    <ListItemIcon sx={{ minWidth: 40 }}><PhoneIcon color="action" /></ListItemIcon>
-                    <ListItemText primary="SMS Notifications" secondary="Text message alerts" />
-                    <Switch checked={notifSettings.smsNotif} onChange={(e) => setNotifSettings({ ...notifSettings, smsNotif: e.target.checked })} />
-                  </ListItem>
-                </List>
-              </Paper>
+            {!notifPrefs ? (
+              <Typography variant="body2" color="text.secondary">Loading notification preferences...</Typography>
+            ) : (
+              <Stack spacing={3}>
+                <Paper variant="outlined" sx={{ p: 3, borderRadius: 2 }}>
+                  <Typography variant="subtitle2" fontWeight={600} gutterBottom>Notification Channels</Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                    Notifications always appear in the app; choose where else they reach you
+                  </Typography>
+                  <List disablePadding>
+                    {NOTIFICATION_CHANNELS.map((channel, i) => {
+                      const available = notifOptions.channels[channel.key] !== false
+                        && (channel.key !== 'push' || isPushSupported());
+                      return (
+                        <React.Fragment key={channel.key}>
+                          {i > 0 && <Divider />}
+                          <ListItem disableGutters sx={{ py: 1 }}>
+                            <ListItemIcon sx={{ minWidth: 40 }}>{channel.icon}</ListItemIcon>
+                            <ListItemText primary={`${channel.label} Notifications`} secondary={channel.secondary} />
+                            {!available && <Chip label="Not available" size="small" variant="outlined" sx={{ mr: 1 }} />}
+                            <Switch
+                              checked={notifPrefs.channels[channel.key]}
+                              disabled={!available || (channel.key === 'push' && pushBusy)}
+                              onChange={channel.key === 'push' ? handlePushToggle : (e) => setChannel(channel.key, e.target.checked)}
+                            />
+                          </ListItem>
+                        </React.Fragment>
+                      );
+                    })}
+                  </List>
+                </Paper>
 
-              <Paper variant="outlined" sx={{ p: 3, borderRadius: 2 }}>
-                <Typography variant="subtitle2" fontWeight={600} gutterBottom>Notification Types</Typography>
-                <List disablePadding>
-                  <ListItem disableGutters sx={{ py: 1 }}>
-                    <ListItemIcon sx={{ minWidth: 40 }}><NotificationsActive color="warning" /></ListItemIcon>
-                    <ListItemText primary="High Priority Alerts" secondary="Urgent side effect reports" />
-                    <Switch checked={notifSettings.highPriority} onChange={(e) => setNotifSettings({ ...notifSettings, highPriority: e.target.checked })} />
-                  </ListItem>
-                  <Divider />
-                  <ListItem disableGutters sx={{ py: 1 }}>
-                    <ListItemIcon sx={{ minWidth: 40 }}><ReportProblem color="info" /></ListItemIcon>
-                    <ListItemText primary="Report Reminders" secondary="Follow-up reminders for reports" />
-                    <Switch checked={notifSettings.reportReminders} onChange={(e) => setNotifSettings({ ...notifSettings, reportReminders: e.target.checked })} />
-                  </ListItem>
-                  <Divider />
-                  <ListItem disableGutters sx={{ py: 1 }}>
-                    <ListItemIcon sx={{ minWidth: 40 }}><CalendarMonth color="action" /></ListItemIcon>
-                    <ListItemText primary="Weekly Digest" secondary="Summary of weekly activity" />
-                    <Switch checked={notifSettings.weeklyDigest} onChange={(e) => setNotifSettings({ ...notifSettings, weeklyDigest: e.target.checked })} />
-                  </ListItem>
-                  <Divider />
-                  <ListItem disableGutters sx={{ py: 1 }}>
-                    <ListItemIcon sx={{ minWidth: 40 }}><SystemUpdate color="action" /></ListItemIcon>
-                    <ListItemText primary="System Updates" secondary="Platform changes and features" />
-                    <Switch checked={notifSettings.systemUpdates} onChange={(e) => setNotifSettings({ ...notifSettings, systemUpdates: e.target.checked })} />
-                  </ListItem>
-                </List>
-              </Paper>
-            </Stack>
+                <Paper variant="outlined" sx={{ p: 3, borderRadius: 2 }}>
+                  <Typography variant="subtitle2" fontWeight={600} gutterBottom>Notification Types</Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                    Turn a channel off for the notifications you only want to see in the app
+                  </Typography>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Notification</TableCell>
+                        {NOTIFICATION_CHANNELS.map((channel) => (
+                          <TableCell key={channel.key} align="center">{channel.label}</TableCell>
+                        ))}
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {notifOptions.types.map((type) => (
+                        <TableRow key={type}>
+                          <TableCell>{NOTIFICATION_TYPE_LABELS[type] || type.replace(/_/g, ' ')}</TableCell>
+                          {NOTIFICATION_CHANNELS.map((channel) => (
+                            <TableCell key={channel.key} align="center" padding="checkbox">
+                              <Checkbox
+                                size="small"
+                                checked={notifPrefs.channels[channel.key] && typeWantsChannel(type, channel.key)}
+                                disabled={!notifPrefs.channels[channel.key]}
+                                onChange={(e) => setTypeChannel(type, channel.key, e.target.checked)}
+                              />
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </Paper>
+
+                <Paper variant="outlined" sx={{ p: 3, borderRadius: 2 }}>
+                  <List disablePadding>
+                    <ListItem disableGutters sx={{ py: 1 }}>
+                      <ListItemIcon sx={{ minWidth: 40 }}><BedtimeIcon color="action" /></ListItemIcon>
+                      <ListItemText primary="Quiet Hours" secondary="No email, push or SMS during these hours, except for critical alerts" />
+                      <Switch checked={notifPrefs.quietHours.enabled} onChange={handleQuietHoursToggle} />
+                    </ListItem>
+                  </List>
+                  {notifPrefs.quietHours.enabled && (
+                    <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} sx={{ mt: 1 }}>
+                      <TextField
+                        size="small" type="time" label="From"
+                        value={notifPrefs.quietHours.start}
+                        onChange={(e) => setQuietHours('start', e.target.value)}
+                        InputLabelProps={{ shrink: true }}
+                      />
+                      <TextField
+                        size="small" type="time" label="Until"
+                        value={notifPrefs.quietHours.end}
+                        onChange={(e) => setQuietHours('end', e.target.value)}
+                        InputLabelProps={{ shrink: true }}
+                      />
+                      <TextField
+                        size="small" fullWidth label="Time zone" placeholder="Europe/London"
+                        value={notifPrefs.quietHours.timezone}
+                        onChange={(e) => setQuietHours('timezone', e.target.value)}
+                      />
+                    </Stack>
+                  )}
+                </Paper>
+
+                {isStaff && (
+                  <Paper variant="outlined" sx={{ p: 3, borderRadius: 2 }}>
+                    <List disablePadding>
+                      <ListItem disableGutters sx={{ py: 1 }}>
+                        <ListItemIcon sx={{ minWidth: 40 }}><CalendarMonth color="action" /></ListItemIcon>
+                        <ListItemText
+                          primary="Digest Email"
+                          secondary="Summary of new review requests, progressions needing attention, overdue assignments and duplicate flags"
+                        />
+                        <FormControl size="small" sx={{ minWidth: 120 }}>
+                          <Select
+                            value={notifPrefs.digest.frequency}
+                            onChange={(e) => setNotifPrefs((prev) => ({ ...prev, digest: { ...prev.digest, frequency: e.target.value } }))}
+                          >
+                            <MenuItem value="daily">Daily</MenuItem>
+                            <MenuItem value="weekly">Weekly</MenuItem>
+                            <MenuItem value="off">Off</MenuItem>
+                          </Select>
+                        </FormControl>
+                      </ListItem>
+                      {can('notification:digest') && (
+                        <ListItem disableGutters sx={{ pb: 1, pt: 0 }}>
+                          <Button size="small" onClick={handleDigestPreview}>Preview Digest</Button>
+                        </ListItem>
+                      )}
+                    </List>
+                  </Paper>
+                )}
+
+                <Button variant="contained" startIcon={<SaveIcon />} onClick={handleNotificationSave} disabled={saving} sx={{ alignSelf: 'flex-end' }}>
+                  {saving ? 'Saving...' : 'Save Preferences'}
+                </Button>
+              </Stack>
+            )}
           </TabPanel>
 
           {/* ── Appearance Tab ── */}
@@ -459,6 +761,96 @@ export default function Settings() {
         </DialogActions>
       </Dialog>
 
+      {/* Two-Factor Dialog */}
+      <Dialog open={!!twoFactorDialog} onClose={closeTwoFactorDialog} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ fontWeight: 600 }}>{twoFactorDialogTitles[twoFactorDialog]}</DialogTitle>
+        <DialogContent>
+          {twoFactorDialog === 'codes' ? (
+            <Stack spacing={2} sx={{ mt: 1 }}>
+              <Typography variant="body2" color="text.secondary">
+                Each code can be used once to sign in if you lose access to your authenticator app. They will not be shown again.
+              </Typography>
+              <Paper variant="outlined" sx={{ p: 2, fontFamily: 'monospace', display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+                {recoveryCodes.map((code) => <span key={code}>{code}</span>)}
+              </Paper>
+              <Button variant="outlined" size="small" onClick={() => navigator.clipboard?.writeText(recoveryCodes.join('\n'))}>
+                Copy Codes
+              </Button>
+            </Stack>
+          ) : (
+            <Stack spacing={2} sx={{ mt: 1 }}>
+              {twoFactorDialog === 'setup' && twoFactorSetup && (
+                <>
+                  <Typography variant="body2" color="text.secondary">
+                    Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+                  </Typography>
+                  <Box sx={{ textAlign: 'center' }}>
+                    <img src={twoFactorSetup.qrCode} alt="Two-factor QR code" width={200} height={200} />
+                  </Box>
+                  <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                    Can't scan? Enter this key manually: <strong>{twoFactorSetup.secret}</strong>
+                  </Typography>
+                </>
+              )}
+              {twoFactorDialog === 'disable' && (
+                <TextField
+                  size="small"
+                  fullWidth
+                  type="password"
+                  label="Current Password"
+                  value={twoFactorForm.password}
+                  onChange={(e) => setTwoFactorForm({ ...twoFactorForm, password: e.target.value })}
+                />
+              )}
+              <TextField
+                size="small"
+                fullWidth
+                label={twoFactorDialog === 'disable' ? 'Authentication or Recovery Code' : 'Authentication Code'}
+                value={twoFactorForm.code}
+                autoComplete="one-time-code"
+                onChange={(e) => setTwoFactorForm({ ...twoFactorForm, code: e.target.value })}
+              />
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          {twoFactorDialog === 'codes' ? (
+            <Button variant="contained" onClick={closeTwoFactorDialog}>Done</Button>
+          ) : (
+            <>
+              <Button onClick={closeTwoFactorDialog}>Cancel</Button>
+              <Button
+                variant="contained"
+                color={twoFactorDialog === 'disable' ? 'error' : 'primary'}
+                disabled={twoFactorBusy || !twoFactorForm.code.trim() || (twoFactorDialog === 'disable' && !twoFactorForm.password)}
+                onClick={handleTwoFactorSubmit}
+              >
+                {twoFactorDialog === 'setup' ? 'Enable' : twoFactorDialog === 'disable' ? 'Disable' : 'Generate'}
+              </Button>
+            </>
+          )}
+        </DialogActions>
+      </Dialog>
+
+      {/* Digest Preview Dialog */}
+      <Dialog open={Boolean(digestPreview)} onClose={() => setDigestPreview(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{digestPreview?.subject}</DialogTitle>
+        <DialogContent dividers>
+          {digestPreview && (
+            <Box
+              component="iframe"
+              title="Digest preview"
+              srcDoc={digestPreview.html}
+              sandbox=""
+              sx={{ width: '100%', height: 480, border: 0, bgcolor: '#fff' }}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDigestPreview(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Snackbar */}
       <Snackbar open={snack.open} autoHideDuration={4000} onClose={() => setSnack({ ...snack, open: false })} anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}>
         <Alert severity={snack.severity} onClose={() => setSnack({ ...snack, open: false })} variant="filled" sx={{ width: '100%' }}>
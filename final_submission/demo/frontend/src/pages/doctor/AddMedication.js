@@ -58,6 +58,8 @@ const AddMedication = () => {
     category: '',
     dosageForm: '',
     commonStrengths: [''],
+    ingredients: [{ name: '', strength: '' }],
+    aliases: [],
     description: '',
     tags: [],
   });
@@ -65,6 +67,9 @@ const AddMedication = () => {
   // Tag input state
   const [tagInput, setTagInput] = useState('');
 
+  // Alias input state
+  const [aliasInput, setAliasInput] = useState({ name: '', type: 'brand' });
+
   // Load medication data if in edit mode
   useEffect(() => {
     if (isEditMode && id) {
@@ -86,6 +91,10 @@ const AddMedication = () => {
           category: med.category || '',
           dosageForm: med.dosageForm || '',
           commonStrengths: med.commonStrengths?.length > 0 ? med.commonStrengths : [''],
+          ingredients: med.ingredients?.length > 0
+            ? med.ingredients.map(ingredient => ({ name: ingredient.name, strength: ingredient.strength || '' }))
+            : [{ name: '', strength: '' }],
+          aliases: med.aliases || [],
           description: med.description || '',
           tags: med.tags || [],
         });
@@ -132,6 +141,50 @@ const AddMedication = () => {
     }));
   };
 
+  // Handle ingredient changes
+  const handleIngredientChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      ingredients: prev.ingredients.map((ingredient, i) => i === index ? { ...ingredient, [field]: value } : ingredient),
+    }));
+  };
+
+  // Add ingredient field
+  const addIngredient = () => {
+    setFormData(prev => ({
+      ...prev,
+      ingredients: [...prev.ingredients, { name: '', strength: '' }],
+    }));
+  };
+
+  // Remove ingredient field
+  const removeIngredient = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      ingredients: prev.ingredients.filter((_, i) => i !== index),
+    }));
+  };
+
+  // Handle alias input
+  const handleAddAlias = () => {
+    const name = aliasInput.name.trim();
+    if (name && !formData.aliases.some(alias => alias.name.toLowerCase() === name.toLowerCase())) {
+      setFormData(prev => ({
+        ...prev,
+        aliases: [...prev.aliases, { name, type: aliasInput.type }],
+      }));
+      setAliasInput(prev => ({ ...prev, name: '' }));
+    }
+  };
+
+  // Remove alias
+  const handleRemoveAlias = (nameToRemove) => {
+    setFormData(prev => ({
+      ...prev,
+      aliases: prev.aliases.filter(alias => alias.name !== nameToRemove),
+    }));
+  };
+
   // Handle tag input
   const handleAddTag = () => {
     if (tagInput.trim() && !formData.tags.includes(tagInput.trim().toLowerCase())) {
@@ -180,10 +233,19 @@ const AddMedication = () => {
         category: formData.category || 'Other',
         dosageForm: formData.dosageForm || undefined,
         commonStrengths: formData.commonStrengths.filter(s => s.trim()),
+        aliases: formData.aliases,
         description: formData.description.trim() || undefined,
         tags: formData.tags,
       };
 
+      // Without ingredients the server derives them from the generic name
+      const ingredients = formData.ingredients
+        .filter(ingredient => ingredient.name.trim())
+        .map(ingredient => ({ name: ingredient.name.trim(), strength: ingredient.strength.trim() || undefined }));
+      if (ingredients.length > 0) {
+        submitData.ingredients = ingredients;
+      }
+
       let response;
       if (isEditMode) {
         response = await medicationService.update(id, submitData);
@@ -361,6 +423,117 @@ const AddMedication = () => {
           </Button>
         </Box>
 
+        {/* Active Ingredients Section */}
+        <Box sx={{ mb: 4 }}>
+          <Typography variant="h6" sx={{ mb: 1, fontWeight: 600 }}>
+            Active Ingredients
+          </Typography>
+          <Divider sx={{ mb: 2 }} />
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Reports and safety statistics are grouped by active ingredient. Add one row per ingredient
+            for combination products, or leave empty to derive them from the generic name.
+          </Typography>
+          <Grid container spacing={2}>
+            {formData.ingredients.map((ingredient, index) => (
+              <Grid item xs={12} key={index}>
+                <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label={`Ingredient ${index + 1}`}
+                    placeholder="e.g., Amoxicillin"
+                    value={ingredient.name}
+                    onChange={(e) => handleIngredientChange(index, 'name', e.target.value)}
+                  />
+                  <TextField
+                    size="small"
+                    label="Strength"
+                    placeholder="e.g., 875mg"
+                    value={ingredient.strength}
+                    onChange={(e) => handleIngredientChange(index, 'strength', e.target.value)}
+                    sx={{ minWidth: 140 }}
+                  />
+                  {formData.ingredients.length > 1 && (
+                    <IconButton
+                      color="error"
+                      size="small"
+                      onClick={() => removeIngredient(index)}
+                    >
+                      <RemoveIcon />
+                    </IconButton>
+                  )}
+                </Box>
+              </Grid>
+            ))}
+          </Grid>
+          <Button
+            startIcon={<AddIcon />}
+            onClick={addIngredient}
+            size="small"
+            sx={{ mt: 2 }}
+          >
+            Add Another Ingredient
+          </Button>
+        </Box>
+
+        {/* Brand Names & Synonyms Section */}
+        <Box sx={{ mb: 4 }}>
+          <Typography variant="h6" sx={{ mb: 1, fontWeight: 600 }}>
+            Brand Names & Synonyms
+          </Typography>
+          <Divider sx={{ mb: 3 }} />
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+            <TextField
+              label="Add Name"
+              placeholder="e.g., Advil, Motrin"
+              value={aliasInput.name}
+              onChange={(e) => setAliasInput(prev => ({ ...prev, name: e.target.value }))}
+              onKeyPress={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  handleAddAlias();
+                }
+              }}
+              helperText="Names patients may report this medication under"
+              size="small"
+              sx={{ minWidth: 250 }}
+            />
+            <FormControl size="small" sx={{ minWidth: 140 }}>
+              <InputLabel>Type</InputLabel>
+              <Select
+                value={aliasInput.type}
+                onChange={(e) => setAliasInput(prev => ({ ...prev, type: e.target.value }))}
+                label="Type"
+              >
+                <MenuItem value="brand">Brand</MenuItem>
+                <MenuItem value="synonym">Synonym</MenuItem>
+              </Select>
+            </FormControl>
+            <Button
+              variant="outlined"
+              onClick={handleAddAlias}
+              size="medium"
+              sx={{ mt: 0.5 }}
+            >
+              Add
+            </Button>
+          </Box>
+          {formData.aliases.length > 0 && (
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 2 }}>
+              {formData.aliases.map(alias => (
+                <Chip
+                  key={alias.name}
+                  label={alias.type === 'synonym' ? `${alias.name} (synonym)` : alias.name}
+                  onDelete={() => handleRemoveAlias(alias.name)}
+                  size="small"
+                  color={alias.type === 'brand' ? 'secondary' : 'default'}
+                  variant="outlined"
+                />
+              ))}
+            </Box>
+          )}
+        </Box>
+
         {/* Description Section */}
         <Box sx={{ mb: 4 }}>
           <Typography variant="h6" sx={{ mb: 1, fontWeight: 600 }}>
@@ -459,6 +632,22 @@ const AddMedication = () => {
                 ))}
               </Box>
               
+              {formData.ingredients.some(ingredient => ingredient.name.trim()) && (
+                <Typography variant="body2" sx={{ mt: 2 }}>
+                  <strong>Active ingredients:</strong>{' '}
+                  {formData.ingredients
+                    .filter(ingredient => ingredient.name.trim())
+                    .map(ingredient => [ingredient.name.trim(), ingredient.strength.trim()].filter(Boolean).join(' '))
+                    .join(' + ')}
+                </Typography>
+              )}
+
+              {formData.aliases.length > 0 && (
+                <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                  Also known as {formData.aliases.map(alias => alias.name).join(', ')}
+                </Typography>
+              )}
+
               {formData.description && (
                 <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
                   {formData.description}
@@ -0,0 +1,415 @@
+/**
+ * Medication Import Page (Admin only)
+ *
+ * Bulk import of the medication catalog from RxNorm RRF extracts or openFDA
+ * NDC JSON/CSV files. A dry run shows what the import would create or
+ * update; importing the same file again changes nothing. Every run leaves a
+ * job report, listed under Recent Imports. Files are imported in the
+ * background, so the report of a new run is polled until it finishes.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Button,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  MenuItem,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  Grid,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import {
+  CloudUpload as ImportIcon,
+  UploadFile as FileIcon,
+  Science as DryRunIcon,
+  ArrowBack as BackIcon,
+  Refresh as RefreshIcon,
+} from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import { medicationService } from '../../services';
+import { InlineLoading } from '../../components/ui/Loading';
+
+const FORMAT_LABELS = {
+  rxnorm: 'RxNorm RRF (RXNCONSO.RRF)',
+  'openfda-json': 'openFDA NDC JSON',
+  'openfda-csv': 'openFDA / FDA NDC CSV or TSV',
+};
+
+const ACTION_CHIPS = {
+  create: { label: 'Create', color: 'success' },
+  update: { label: 'Update', color: 'info' },
+  unchanged: { label: 'Unchanged', color: 'default' },
+  skip: { label: 'Skip', color: 'warning' },
+  fail: { label: 'Failed', color: 'error' },
+};
+
+const STATUS_COLORS = {
+  pending: 'default',
+  running: 'info',
+  completed: 'success',
+  failed: 'error',
+};
+
+const ACTIVE_STATUSES = ['pending', 'running'];
+const POLL_INTERVAL_MS = 2000;
+
+const COUNT_LABELS = [
+  ['created', 'Created'],
+  ['updated', 'Updated'],
+  ['unchanged', 'Unchanged'],
+  ['skipped', 'Skipped'],
+  ['failed', 'Failed'],
+];
+
+const personName = (person) => (person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() || person.email : '—');
+
+const MedicationImport = () => {
+  const navigate = useNavigate();
+
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('');
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+  const [job, setJob] = useState(null);
+
+  const [jobs, setJobs] = useState([]);
+  const [jobsLoading, setJobsLoading] = useState(false);
+
+  const loadJobs = useCallback(async () => {
+    setJobsLoading(true);
+    try {
+      const response = await medicationService.getImportJobs({ limit: 10 });
+      if (response.success) {
+        setJobs(response.data.jobs);
+      }
+    } catch (err) {
+      console.error('Load import jobs error:', err);
+    } finally {
+      setJobsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  // Follow the open job until the background import finishes; every poll
+  // that returns the job schedules the next one
+  const jobActive = ACTIVE_STATUSES.includes(job?.status);
+  useEffect(() => {
+    if (!jobActive) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await medicationService.getImportJob(job._id);
+        if (response.success) {
+          setJob(response.data.job);
+          if (!ACTIVE_STATUSES.includes(response.data.job.status)) loadJobs();
+        }
+      } catch (err) {
+        console.error('Poll import job error:', err);
+        setError('Lost track of the import. Open it again from Recent Imports.');
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [job, jobActive, loadJobs]);
+
+  const busy = running || jobActive;
+
+  const handleRun = async (dryRun) => {
+    setRunning(true);
+    setError('');
+    try {
+      const response = await medicationService.importCatalog(file, { format, dryRun });
+      if (response.success) {
+        setJob(response.data.job);
+      }
+    } catch (err) {
+      console.error('Import medications error:', err);
+      setError(err.message || 'Failed to import medications. Please try again.');
+    } finally {
+      setRunning(false);
+      loadJobs();
+    }
+  };
+
+  const handleOpenJob = async (jobId) => {
+    setError('');
+    try {
+      const response = await medicationService.getImportJob(jobId);
+      if (response.success) {
+        setJob(response.data.job);
+      }
+    } catch (err) {
+      console.error('Load import job error:', err);
+      setError('Failed to load the import report.');
+    }
+  };
+
+  const renderReport = () => (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+        <Typography variant="h6">
+          {job.dryRun ? 'Dry Run' : 'Import'}: {job.fileName || FORMAT_LABELS[job.format]}
+        </Typography>
+        <Chip label={job.status} size="small" color={STATUS_COLORS[job.status]} />
+        <Chip label={FORMAT_LABELS[job.format]} size="small" variant="outlined" />
+      </Box>
+
+      {job.dryRun && job.status === 'completed' && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Nothing was saved. Import the same file to apply these changes.
+        </Alert>
+      )}
+      {job.error && (
+        <Alert severity="error" sx={{ mb: 2 }}>{job.error}</Alert>
+      )}
+
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+        {job.counts.records} records grouped into {job.counts.medications} medications
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, mb: 3, flexWrap: 'wrap' }}>
+        {COUNT_LABELS.map(([key, label]) => (
+          <Chip key={key} label={`${label}: ${job.counts[key]}`} variant="outlined" />
+        ))}
+      </Box>
+
+      {job.preview?.length > 0 && (
+        <TableContainer sx={{ mb: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell><strong>Action</strong></TableCell>
+                <TableCell><strong>Medication</strong></TableCell>
+                <TableCell><strong>Category</strong></TableCell>
+                <TableCell><strong>Dosage Form</strong></TableCell>
+                <TableCell><strong>Strengths</strong></TableCell>
+                <TableCell><strong>Brand Names</strong></TableCell>
+                <TableCell><strong>Changes</strong></TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {job.preview.map((item, index) => (
+                <TableRow key={`${item.name}-${index}`}>
+                  <TableCell>
+                    <Chip
+                      label={ACTION_CHIPS[item.action]?.label || item.action}
+                      color={ACTION_CHIPS[item.action]?.color || 'default'}
+                      size="small"
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Typography fontWeight="medium">{item.name}</Typography>
+                    {item.genericName && item.genericName !== item.name && (
+                      <Typography variant="caption" color="textSecondary">{item.genericName}</Typography>
+                    )}
+                    {item.externalIds?.rxcui && (
+                      <Typography variant="caption" color="textSecondary" display="block">
+                        RxCUI {item.externalIds.rxcui}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{item.category || '—'}</TableCell>
+                  <TableCell>{item.dosageForm || '—'}</TableCell>
+                  <TableCell>{item.commonStrengths?.join(', ') || '—'}</TableCell>
+                  <TableCell>{item.aliases?.join(', ') || '—'}</TableCell>
+                  <TableCell>
+                    {item.changes?.length > 0 ? item.changes.join(', ') : (item.reason || '—')}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+      {!jobActive && job.preview?.length < job.counts.medications && (
+        <Typography variant="caption" color="textSecondary">
+          Showing the first {job.preview.length} of {job.counts.medications} medications.
+        </Typography>
+      )}
+
+      {job.issues?.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2">Issues</Typography>
+          <List dense>
+            {job.issues.map((issue, index) => (
+              <ListItem key={index} disableGutters>
+                <ListItemText
+                  primary={issue.message}
+                  secondary={`Line ${issue.line}${issue.name ? ` — ${issue.name}` : ''}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Box>
+      )}
+    </Paper>
+  );
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 4 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <ImportIcon sx={{ mr: 2, color: 'primary.main', fontSize: 40 }} />
+          <Box>
+            <Typography variant="h4" component="h1">
+              Import Medication Catalog
+            </Typography>
+            <Typography variant="body2" color="textSecondary">
+              Add common medications from RxNorm or openFDA NDC files instead of entering them by hand
+            </Typography>
+          </Box>
+        </Box>
+        <Button variant="outlined" startIcon={<BackIcon />} onClick={() => navigate('/medications')}>
+          Back to Medications
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Upload */}
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Alert severity="info" sx={{ mb: 3 }}>
+          Medications are matched by RxNorm concept, NDC or name. Existing medications keep their values;
+          an import only fills in what is missing and adds strengths, brand names and identifiers.
+        </Alert>
+        <Grid container spacing={3} alignItems="center">
+          <Grid item xs={12} md={5}>
+            <Button variant="outlined" component="label" startIcon={<FileIcon />} fullWidth>
+              {file ? file.name : 'Choose File'}
+              <input
+                type="file"
+                hidden
+                accept=".rrf,.json,.csv,.tsv,.txt"
+                onChange={(e) => {
+                  setFile(e.target.files[0] || null);
+                  e.target.value = '';
+                }}
+              />
+            </Button>
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <FormControl fullWidth>
+              <InputLabel>Format</InputLabel>
+              <Select value={format} onChange={(e) => setFormat(e.target.value)} label="Format">
+                <MenuItem value="">Detect from file</MenuItem>
+                {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button
+                variant="outlined"
+                startIcon={<DryRunIcon />}
+                disabled={!file || busy}
+                onClick={() => handleRun(true)}
+                fullWidth
+              >
+                Dry Run
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<ImportIcon />}
+                disabled={!file || busy}
+                onClick={() => handleRun(false)}
+                fullWidth
+              >
+                Import
+              </Button>
+            </Box>
+          </Grid>
+        </Grid>
+        {busy && (
+          <Box sx={{ mt: 2 }}>
+            <InlineLoading message={running ? 'Uploading file...' : 'Importing medications...'} />
+          </Box>
+        )}
+      </Paper>
+
+      {job && renderReport()}
+
+      {/* Recent imports */}
+      <Paper sx={{ p: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+          <Typography variant="h6">Recent Imports</Typography>
+          <Button size="small" startIcon={<RefreshIcon />} onClick={loadJobs}>
+            Refresh
+          </Button>
+        </Box>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell><strong>Started</strong></TableCell>
+                <TableCell><strong>File</strong></TableCell>
+                <TableCell><strong>Run</strong></TableCell>
+                <TableCell><strong>Status</strong></TableCell>
+                <TableCell><strong>Created / Updated</strong></TableCell>
+                <TableCell><strong>By</strong></TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {jobsLoading ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center" sx={{ py: 3 }}>
+                    <InlineLoading message="Loading imports..." />
+                  </TableCell>
+                </TableRow>
+              ) : jobs.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center" sx={{ py: 3 }}>
+                    <Typography color="textSecondary">No imports yet</Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                jobs.map((item) => (
+                  <TableRow key={item._id} hover sx={{ cursor: 'pointer' }} onClick={() => handleOpenJob(item._id)}>
+                    <TableCell>{new Date(item.startedAt).toLocaleString()}</TableCell>
+                    <TableCell>
+                      {item.fileName || '—'}
+                      <Typography variant="caption" color="textSecondary" display="block">
+                        {FORMAT_LABELS[item.format]}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={item.dryRun ? 'Dry run' : 'Import'} size="small" variant="outlined" />
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={item.status} size="small" color={STATUS_COLORS[item.status]} />
+                    </TableCell>
+                    <TableCell>{item.counts.created} / {item.counts.updated}</TableCell>
+                    <TableCell>{item.origin === 'cli' ? 'Command line' : personName(item.requestedBy)}</TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+    </Container>
+  );
+};
+
+export default MedicationImport;
@@ -8,6 +8,8 @@
  * - View all medications (predefined and patient-created)
  * - Add new medications for patients to choose from
  * - Verify patient-created medications
+ * - Review likely duplicates and merge them into verified medications
+ * - Import the catalog from RxNorm / openFDA files (admins)
  * - Filter and search medications
  */
 
@@ -46,6 +48,8 @@ import {
   Tabs,
   Tab,
   Badge,
+  FormControlLabel,
+  Checkbox,
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -58,6 +62,8 @@ import {
   Person as PatientIcon,
   LocalHospital as DoctorIcon,
   Warning as PendingIcon,
+  MergeType as MergeIcon,
+  CloudUpload as ImportIcon,
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { medicationService } from '../../services';
@@ -65,6 +71,15 @@ import { useAuth } from '../../hooks';
 import { MEDICATION_CATEGORIES } from '../../config/constants';
 import { InlineLoading } from '../../components/ui/Loading';
 
+const EMPTY_MERGE_DIALOG = {
+  open: false,
+  medication: null,
+  candidates: [],
+  targetId: '',
+  reason: '',
+  keepNameAsAlias: true,
+};
+
 // Tab panel component
 function TabPanel({ children, value, index, ...props }) {
   return (
@@ -82,7 +97,7 @@ function TabPanel({ children, value, index, ...props }) {
 
 const MedicationManagement = () => {
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const { can } = useAuth();
   
   // State
   const [medications, setMedications] = useState([]);
@@ -113,6 +128,15 @@ const MedicationManagement = () => {
     medicationName: '',
   });
   
+  const [mergeDialog, setMergeDialog] = useState(EMPTY_MERGE_DIALOG);
+
+  // Duplicate review queue
+  const [duplicates, setDuplicates] = useState({
+    clusters: [],
+    totalUnverified: 0,
+    clusteredEntries: 0,
+  });
+  
   // Stats
   const [stats, setStats] = useState({
     total: 0,
@@ -157,6 +181,24 @@ const MedicationManagement = () => {
     }
   }, [page, rowsPerPage, searchQuery, categoryFilter, sourceFilter, tabValue]);
 
+  // Load duplicate review queue
+  const loadDuplicates = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await medicationService.getDuplicateQueue();
+      if (response.success) {
+        setDuplicates(response.data);
+      }
+    } catch (err) {
+      console.error('Load duplicates error:', err);
+      setError('Failed to load possible duplicates. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
   // Load statistics
   const loadStats = useCallback(async () => {
     try {
@@ -192,7 +234,11 @@ const MedicationManagement = () => {
       const response = await medicationService.verify(verifyDialog.medicationId);
       if (response.success) {
         setSuccess('Medication verified successfully');
-        loadMedications();
+        if (tabValue === 2) {
+          loadDuplicates();
+        } else {
+          loadMedications();
+        }
         loadStats();
       }
     } catch (err) {
@@ -203,6 +249,44 @@ const MedicationManagement = () => {
     }
   };
 
+  // Open merge dialog for an entry, preselecting its cluster's target
+  const openMergeDialog = (entry, target) => {
+    const candidates = entry.candidates.map((candidate) => candidate.medication);
+    if (target && !candidates.some((candidate) => candidate._id === target._id)) {
+      candidates.unshift(target);
+    }
+    setMergeDialog({
+      ...EMPTY_MERGE_DIALOG,
+      open: true,
+      medication: entry.medication,
+      candidates,
+      targetId: target?._id || candidates[0]?._id || '',
+    });
+  };
+
+  // Handle merge medication
+  const handleMergeMedication = async () => {
+    const { medication, targetId, reason, keepNameAsAlias } = mergeDialog;
+    try {
+      const response = await medicationService.merge(medication._id, {
+        targetId,
+        keepNameAsAlias,
+        ...(reason.trim() && { reason: reason.trim() }),
+      });
+      if (response.success) {
+        const { medication: target, merge } = response.data;
+        setSuccess(`"${medication.name}" merged into "${target.name}" (${merge.reportsMoved} report(s) moved)`);
+        loadDuplicates();
+        loadStats();
+      }
+    } catch (err) {
+      console.error('Merge medication error:', err);
+      setError(err.message || 'Failed to merge medication. Please try again.');
+    } finally {
+      setMergeDialog(EMPTY_MERGE_DIALOG);
+    }
+  };
+
   // Handle search
   const handleSearch = () => {
     setPage(0);
@@ -228,8 +312,12 @@ const MedicationManagement = () => {
 
   // Effect to load data
   useEffect(() => {
-    loadMedications();
-  }, [loadMedications]);
+    if (tabValue === 2) {
+      loadDuplicates();
+    } else {
+      loadMedications();
+    }
+  }, [tabValue, loadMedications, loadDuplicates]);
 
   useEffect(() => {
     loadStats();
@@ -270,6 +358,118 @@ const MedicationManagement = () => {
     );
   };
 
+  // Duplicate clusters: entries grouped under the verified medication they resemble
+  const renderDuplicateClusters = () => {
+    if (loading) {
+      return (
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <InlineLoading message="Looking for duplicates..." />
+        </Paper>
+      );
+    }
+    if (duplicates.clusters.length === 0) {
+      return (
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <Typography color="textSecondary">
+            No likely duplicates among {duplicates.totalUnverified} unverified medication(s)
+          </Typography>
+        </Paper>
+      );
+    }
+
+    return duplicates.clusters.map((cluster, index) => (
+      <Card key={cluster.target?._id || `unmatched-${index}`} sx={{ mb: 2 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+            {cluster.target ? (
+              <>
+                <Typography variant="h6">{cluster.target.name}</Typography>
+                {cluster.target.genericName && cluster.target.genericName !== cluster.target.name && (
+                  <Typography color="textSecondary">({cluster.target.genericName})</Typography>
+                )}
+                {getSourceChip(cluster.target.source, cluster.target.isVerified)}
+              </>
+            ) : (
+              <Typography variant="h6" color="textSecondary">
+                No verified match: verify one of these, then merge the others into it
+              </Typography>
+            )}
+          </Box>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Patient Entry</strong></TableCell>
+                  <TableCell><strong>Created By</strong></TableCell>
+                  <TableCell><strong>Reports</strong></TableCell>
+                  <TableCell><strong>Similarity</strong></TableCell>
+                  <TableCell align="right"><strong>Actions</strong></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {cluster.entries.map((entry) => (
+                  <TableRow key={entry.medication._id} hover>
+                    <TableCell>
+                      <Typography fontWeight="medium">{entry.medication.name}</Typography>
+                      {entry.matchedOn && entry.matchedOn !== cluster.target?.name && (
+                        <Typography variant="caption" color="textSecondary">
+                          Matches "{entry.matchedOn}"
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {entry.medication.createdBy
+                        ? `${entry.medication.createdBy.firstName} ${entry.medication.createdBy.lastName}`
+                        : '—'}
+                    </TableCell>
+                    <TableCell>{entry.reportCount}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={`${Math.round(entry.score * 100)}%`}
+                        size="small"
+                        color={entry.score >= 0.9 ? 'success' : 'warning'}
+                        variant="outlined"
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+                        <Tooltip title="Verify Medication">
+                          <IconButton
+                            color="success"
+                            size="small"
+                            onClick={() => setVerifyDialog({
+                              open: true,
+                              medicationId: entry.medication._id,
+                              medicationName: entry.medication.name,
+                            })}
+                          >
+                            <VerifyIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title={cluster.target || entry.candidates.length > 0 ? 'Merge into verified medication' : 'No verified medication to merge into'}>
+                          <span>
+                            <IconButton
+                              color="primary"
+                              size="small"
+                              disabled={!cluster.target && entry.candidates.length === 0}
+                              onClick={() => openMergeDialog(entry, cluster.target)}
+                            >
+                              <MergeIcon />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      </Box>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </CardContent>
+      </Card>
+    ));
+  };
+
   // Medications table
   const renderMedicationsTable = () => (
     <TableContainer component={Paper}>
@@ -305,9 +505,19 @@ const MedicationManagement = () => {
               <TableRow key={medication._id} hover>
                 <TableCell>
                   <Typography fontWeight="medium">{medication.name}</Typography>
+                  {medication.aliases?.length > 0 && (
+                    <Typography variant="caption" color="textSecondary">
+                      {medication.aliases.map((alias) => alias.name).join(', ')}
+                    </Typography>
+                  )}
                 </TableCell>
                 <TableCell>
                   {medication.genericName || <Typography color="textSecondary">—</Typography>}
+                  {medication.ingredients?.length > 1 && (
+                    <Box sx={{ mt: 0.5 }}>
+                      <Chip label={`Combination (${medication.ingredients.length})`} size="small" variant="outlined" />
+                    </Box>
+                  )}
                 </TableCell>
                 <TableCell>
                   <Chip label={medication.category || 'Other'} size="small" />
@@ -398,10 +608,26 @@ const MedicationManagement = () => {
           <Button
             variant="outlined"
             startIcon={<RefreshIcon />}
-            onClick={() => { loadMedications(); loadStats(); }}
+            onClick={() => {
+              if (tabValue === 2) {
+                loadDuplicates();
+              } else {
+                loadMedications();
+              }
+              loadStats();
+            }}
           >
             Refresh
           </Button>
+          {can('medication:import') && (
+            <Button
+              variant="outlined"
+              startIcon={<ImportIcon />}
+              onClick={() => navigate('/medications/import')}
+            >
+              Import Catalog
+            </Button>
+          )}
           <Button
             variant="contained"
             startIcon={<AddIcon />}
@@ -521,12 +747,17 @@ const MedicationManagement = () => {
         >
           <Tab label="All Medications" />
           <Tab 
+            disabled={!can('medication:verify')}
             label={
               <Badge badgeContent={stats.pendingVerification} color="warning">
                 Pending Verification
               </Badge>
             } 
           />
+          <Tab
+            disabled={!can('medication:verify')}
+            label="Possible Duplicates"
+          />
         </Tabs>
       </Paper>
 
@@ -539,7 +770,7 @@ const MedicationManagement = () => {
               <TextField
                 fullWidth
                 label="Search medications"
-                placeholder="Search by name or generic name..."
+                placeholder="Search by name, brand, generic name or ingredient..."
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
                 onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
@@ -615,6 +846,16 @@ const MedicationManagement = () => {
         {renderMedicationsTable()}
       </TabPanel>
 
+      {/* Possible Duplicates Tab */}
+      <TabPanel value={tabValue} index={2}>
+        <Alert severity="info" sx={{ mb: 3 }}>
+          Patient-created medications that look like another medication under a misspelling, a strength
+          or a brand name. Merging moves their reports to the verified medication and keeps the name as a
+          synonym, so patients typing it are offered the verified medication.
+        </Alert>
+        {renderDuplicateClusters()}
+      </TabPanel>
+
       {/* Delete Confirmation Dialog */}
       <Dialog
         open={deleteDialog.open}
@@ -662,6 +903,67 @@ const MedicationManagement = () => {
           </Button>
         </DialogActions>
       </Dialog>
+      {/* Merge Dialog */}
+      <Dialog
+        open={mergeDialog.open}
+        onClose={() => setMergeDialog(EMPTY_MERGE_DIALOG)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Merge Medication</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Merge "{mergeDialog.medication?.name}" into a verified medication. Its reports and symptom
+            progressions will be moved and the entry deactivated.
+          </DialogContentText>
+          <FormControl fullWidth sx={{ mb: 2 }}>
+            <InputLabel>Merge into</InputLabel>
+            <Select
+              value={mergeDialog.targetId}
+              onChange={(e) => setMergeDialog({ ...mergeDialog, targetId: e.target.value })}
+              label="Merge into"
+            >
+              {mergeDialog.candidates.map((candidate) => (
+                <MenuItem key={candidate._id} value={candidate._id}>
+                  {candidate.name}{candidate.genericName && candidate.genericName !== candidate.name ? ` (${candidate.genericName})` : ''}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="Reason (optional)"
+            value={mergeDialog.reason}
+            onChange={(e) => setMergeDialog({ ...mergeDialog, reason: e.target.value })}
+            inputProps={{ maxLength: 500 }}
+            sx={{ mb: 1 }}
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={mergeDialog.keepNameAsAlias}
+                onChange={(e) => setMergeDialog({ ...mergeDialog, keepNameAsAlias: e.target.checked })}
+              />
+            }
+            label={`Keep "${mergeDialog.medication?.name || ''}" as a synonym`}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMergeDialog(EMPTY_MERGE_DIALOG)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleMergeMedication}
+            color="primary"
+            variant="contained"
+            disabled={!mergeDialog.targetId}
+          >
+            Merge
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   );
 };
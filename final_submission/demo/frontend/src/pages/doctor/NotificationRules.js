@@ -0,0 +1,739 @@
+/**
+ * Notification Rules Page (Admin only)
+ *
+ * Admin-defined rules deciding which staff are notified about which reports:
+ * a trigger, conditions that must all match the report, and recipients by
+ * role, doctor specialization or user. Rules can be tried against recent
+ * reports before they are saved.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  MenuItem,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Alert,
+  Autocomplete,
+  FormControlLabel,
+  FormGroup,
+  Checkbox,
+  Switch,
+  IconButton,
+  Tooltip,
+  Divider,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import {
+  Rule as RuleIcon,
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  History as HistoryIcon,
+  Refresh as RefreshIcon,
+  RemoveCircleOutline as RemoveIcon,
+  Science as DryRunIcon,
+} from '@mui/icons-material';
+import { notificationRuleService, medicationService } from '../../services';
+import { InlineLoading } from '../../components/ui/Loading';
+
+const TRIGGER_LABELS = {
+  report_created: 'Report created',
+  analysis_completed: 'AI analysis completed',
+  status_changed: 'Status changed',
+  unreviewed: 'Unreviewed for',
+};
+
+const FIELD_LABELS = {
+  severity: 'Severity',
+  priority: 'Priority',
+  seriousness: 'Seriousness',
+  bodySystem: 'Body system',
+  medicine: 'Medicine',
+  status: 'Status',
+};
+
+const OPERATOR_LABELS = {
+  eq: 'is',
+  ne: 'is not',
+  in: 'is one of',
+  gte: 'at least',
+  lte: 'at most',
+};
+
+// gte / lte compare levels, so they only apply to these fields
+const ORDERED_FIELDS = ['severity', 'priority'];
+
+const EMPTY_RULE = {
+  name: '',
+  description: '',
+  enabled: true,
+  trigger: 'report_created',
+  unreviewedAfterHours: 24,
+  conditions: [],
+  recipients: { roles: [], specializations: [], users: [] },
+  notification: { priority: 'high', title: '', message: '' },
+};
+
+// Editable copy of a saved rule; populated users become IDs
+const toForm = (rule) => ({
+  ...EMPTY_RULE,
+  ...rule,
+  unreviewedAfterHours: rule.unreviewedAfterHours || 24,
+  description: rule.description || '',
+  recipients: {
+    roles: rule.recipients?.roles || [],
+    specializations: rule.recipients?.specializations || [],
+    users: (rule.recipients?.users || []).map((user) => user._id || user),
+  },
+  notification: { ...EMPTY_RULE.notification, ...rule.notification },
+});
+
+// Request body for a rule form
+const toPayload = (form) => ({
+  name: form.name.trim(),
+  description: form.description.trim() || undefined,
+  enabled: form.enabled,
+  trigger: form.trigger,
+  ...(form.trigger === 'unreviewed' && { unreviewedAfterHours: Number(form.unreviewedAfterHours) }),
+  conditions: form.conditions,
+  recipients: form.recipients,
+  notification: {
+    priority: form.notification.priority,
+    title: form.notification.title?.trim() || undefined,
+    message: form.notification.message?.trim() || undefined,
+  },
+});
+
+const describeTrigger = (rule) => (rule.trigger === 'unreviewed'
+  ? `${TRIGGER_LABELS.unreviewed} ${rule.unreviewedAfterHours}h`
+  : TRIGGER_LABELS[rule.trigger]);
+
+const describeCondition = ({ field, operator, value }) => {
+  const values = Array.isArray(value) ? value.join(', ') : value;
+  return `${FIELD_LABELS[field]} ${OPERATOR_LABELS[operator]} ${field === 'medicine' ? 'selected medicine' : values}`;
+};
+
+const describeRecipients = (recipients = {}) => [
+  ...(recipients.roles || []).map((role) => `All ${role}s`),
+  ...(recipients.specializations || []),
+  ...(recipients.users || []).map((user) => (user.firstName ? `${user.firstName} ${user.lastName}` : 'User')),
+];
+
+const errorMessage = (err, fallback) => (err.validationErrors?.length
+  ? err.validationErrors.map((e) => e.msg).join('. ')
+  : err.message || fallback);
+
+// Medicine picker for medicine conditions; stores medication IDs
+function MedicineConditionValue({ value, multiple, onChange }) {
+  const [options, setOptions] = useState([]);
+  const [names, setNames] = useState({});
+  const ids = multiple ? (value || []) : (value ? [value] : []);
+
+  const handleInputChange = async (event, input, reason) => {
+    if (reason !== 'input' || input.trim().length < 2) return;
+    try {
+      const response = await medicationService.search(input, { limit: 10 });
+      const medications = response.data?.medications || [];
+      setOptions(medications.map((medication) => medication._id));
+      setNames((prev) => ({
+        ...prev,
+        ...Object.fromEntries(medications.map((medication) => [medication._id, medication.name])),
+      }));
+    } catch (err) {
+      console.error('Error searching medications:', err);
+    }
+  };
+
+  return (
+    <Autocomplete
+      multiple={multiple}
+      size="small"
+      options={options}
+      value={multiple ? ids : (ids[0] || null)}
+      onChange={(event, selected) => onChange(selected || '')}
+      onInputChange={handleInputChange}
+      filterOptions={(x) => x}
+      getOptionLabel={(id) => names[id] || id}
+      noOptionsText="Type to search medicines"
+      renderInput={(params) => <TextField {...params} label="Medicine" />}
+      sx={{ flex: 1, minWidth: 220 }}
+    />
+  );
+}
+
+const NotificationRules = () => {
+  const [rules, setRules] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Editor dialog
+  const [editor, setEditor] = useState({ open: false, id: null, form: EMPTY_RULE });
+  const [saving, setSaving] = useState(false);
+  const [editorError, setEditorError] = useState('');
+  const [dryRunDays, setDryRunDays] = useState(30);
+  const [dryRunning, setDryRunning] = useState(false);
+  const [dryRunResult, setDryRunResult] = useState(null);
+
+  // Firing history dialog
+  const [history, setHistory] = useState({ open: false, rule: null });
+
+  const loadRules = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await notificationRuleService.getRules({ limit: 100 });
+      if (response.success) {
+        setRules(response.data);
+      }
+    } catch (err) {
+      console.error('Load notification rules error:', err);
+      setError('Failed to load notification rules. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  useEffect(() => {
+    notificationRuleService.getOptions()
+      .then((response) => setOptions(response.data))
+      .catch((err) => console.error('Load notification rule options error:', err));
+  }, []);
+
+  const hasCreationRule = rules.some((rule) => rule.enabled && rule.trigger === 'report_created');
+
+  const openEditor = (rule = null) => {
+    setEditor({ open: true, id: rule?._id || null, form: rule ? toForm(rule) : EMPTY_RULE });
+    setEditorError('');
+    setDryRunResult(null);
+  };
+
+  const closeEditor = () => setEditor({ open: false, id: null, form: EMPTY_RULE });
+
+  const updateForm = (changes) => {
+    setEditor((prev) => ({ ...prev, form: { ...prev.form, ...changes } }));
+    setDryRunResult(null);
+  };
+
+  const updateCondition = (index, changes) => {
+    const conditions = editor.form.conditions.map((condition, i) => {
+      if (i !== index) return condition;
+      const next = { ...condition, ...changes };
+      // A new field starts over; 'in' takes a list, the other operators one value
+      if (changes.field) {
+        next.operator = 'eq';
+        next.value = '';
+      } else if (changes.operator && (changes.operator === 'in') !== Array.isArray(condition.value)) {
+        next.value = changes.operator === 'in'
+          ? [condition.value].filter(Boolean)
+          : (condition.value[0] || '');
+      }
+      return next;
+    });
+    updateForm({ conditions });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setEditorError('');
+    try {
+      const payload = toPayload(editor.form);
+      if (editor.id) {
+        await notificationRuleService.updateRule(editor.id, payload);
+      } else {
+        await notificationRuleService.createRule(payload);
+      }
+      setSuccess(editor.id ? 'Notification rule updated' : 'Notification rule created');
+      closeEditor();
+      loadRules();
+    } catch (err) {
+      console.error('Save notification rule error:', err);
+      setEditorError(errorMessage(err, 'Failed to save notification rule.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDryRun = async () => {
+    setDryRunning(true);
+    setEditorError('');
+    try {
+      const response = await notificationRuleService.dryRun(toPayload(editor.form), dryRunDays);
+      setDryRunResult(response.data);
+    } catch (err) {
+      console.error('Notification rule dry run error:', err);
+      setEditorError(errorMessage(err, 'Dry run failed.'));
+    } finally {
+      setDryRunning(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await notificationRuleService.updateRule(rule._id, toPayload({ ...toForm(rule), enabled: !rule.enabled }));
+      loadRules();
+    } catch (err) {
+      console.error('Toggle notification rule error:', err);
+      setError(errorMessage(err, 'Failed to update notification rule.'));
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Its firing history is deleted too.`)) return;
+    try {
+      await notificationRuleService.deleteRule(rule._id);
+      setSuccess('Notification rule deleted');
+      loadRules();
+    } catch (err) {
+      console.error('Delete notification rule error:', err);
+      setError(errorMessage(err, 'Failed to delete notification rule.'));
+    }
+  };
+
+  const openHistory = async (rule) => {
+    setHistory({ open: true, rule: null });
+    try {
+      const response = await notificationRuleService.getRule(rule._id);
+      setHistory({ open: true, rule: response.data });
+    } catch (err) {
+      console.error('Load notification rule error:', err);
+      setHistory({ open: false, rule: null });
+      setError(errorMessage(err, 'Failed to load rule history.'));
+    }
+  };
+
+  const { form } = editor;
+  const staffById = Object.fromEntries((options?.staff || []).map((member) => [member._id, member]));
+
+  const renderConditionValue = (condition, index) => {
+    const multiple = condition.operator === 'in';
+    if (condition.field === 'medicine') {
+      return (
+        <MedicineConditionValue
+          value={condition.value}
+          multiple={multiple}
+          onChange={(value) => updateCondition(index, { value })}
+        />
+      );
+    }
+    return (
+      <TextField
+        select
+        size="small"
+        label="Value"
+        value={condition.value}
+        onChange={(e) => updateCondition(index, { value: e.target.value })}
+        SelectProps={{ multiple }}
+        sx={{ flex: 1, minWidth: 180 }}
+      >
+        {(options?.fieldValues?.[condition.field] || []).map((value) => (
+          <MenuItem key={value} value={value}>{value}</MenuItem>
+        ))}
+      </TextField>
+    );
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 4 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <RuleIcon sx={{ mr: 2, color: 'primary.main', fontSize: 40 }} />
+          <Box>
+            <Typography variant="h4" component="h1">
+              Notification Rules
+            </Typography>
+            <Typography variant="body2" color="textSecondary">
+              Decide which staff hear about which reports
+            </Typography>
+          </Box>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button variant="outlined" startIcon={<RefreshIcon />} onClick={loadRules}>
+            Refresh
+          </Button>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => openEditor()}>
+            New Rule
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>
+      )}
+      {!loading && !hasCreationRule && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          No "Report created" rule is enabled, so every doctor and admin is notified of serious new reports.
+        </Alert>
+      )}
+
+      {/* Rules table */}
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell><strong>Rule</strong></TableCell>
+              <TableCell><strong>Trigger</strong></TableCell>
+              <TableCell><strong>Conditions</strong></TableCell>
+              <TableCell><strong>Recipients</strong></TableCell>
+              <TableCell align="right"><strong>Fired</strong></TableCell>
+              <TableCell><strong>Enabled</strong></TableCell>
+              <TableCell align="right"><strong>Actions</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center" sx={{ py: 4 }}>
+                  <InlineLoading message="Loading rules..." />
+                </TableCell>
+              </TableRow>
+            ) : rules.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center" sx={{ py: 4 }}>
+                  <Typography color="textSecondary">No notification rules yet</Typography>
+                </TableCell>
+              </TableRow>
+            ) : (
+              rules.map((rule) => (
+                <TableRow key={rule._id} hover sx={{ opacity: rule.enabled ? 1 : 0.6 }}>
+                  <TableCell>
+                    <Typography fontWeight="medium">{rule.name}</Typography>
+                    {rule.description && (
+                      <Typography variant="caption" color="textSecondary">{rule.description}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{describeTrigger(rule)}</TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      {rule.conditions.length === 0 ? (
+                        <Typography variant="body2" color="textSecondary">Any report</Typography>
+                      ) : rule.conditions.map((condition, index) => (
+                        <Chip key={index} label={describeCondition(condition)} size="small" variant="outlined" />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      {describeRecipients(rule.recipients).map((label, index) => (
+                        <Chip key={index} label={label} size="small" />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title={rule.lastFiredAt ? `Last fired ${new Date(rule.lastFiredAt).toLocaleString()}` : 'Never fired'}>
+                      <span>{rule.fireCount}</span>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell>
+                    <Switch checked={rule.enabled} onChange={() => handleToggle(rule)} size="small" />
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Firing history">
+                      <IconButton size="small" onClick={() => openHistory(rule)}><HistoryIcon /></IconButton>
+                    </Tooltip>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => openEditor(rule)}><EditIcon /></IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" color="error" onClick={() => handleDelete(rule)}><DeleteIcon /></IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Rule editor */}
+      <Dialog open={editor.open} onClose={closeEditor} maxWidth="md" fullWidth>
+        <DialogTitle>{editor.id ? 'Edit Notification Rule' : 'New Notification Rule'}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {editorError && <Alert severity="error" onClose={() => setEditorError('')}>{editorError}</Alert>}
+
+            <TextField
+              label="Name"
+              value={form.name}
+              onChange={(e) => updateForm({ name: e.target.value })}
+              placeholder="e.g. Cardiac events to cardiology"
+              required
+              fullWidth
+            />
+            <TextField
+              label="Description"
+              value={form.description}
+              onChange={(e) => updateForm({ description: e.target.value })}
+              fullWidth
+            />
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+              <TextField
+                select
+                label="When"
+                value={form.trigger}
+                onChange={(e) => updateForm({ trigger: e.target.value })}
+                sx={{ minWidth: 240 }}
+              >
+                {Object.entries(TRIGGER_LABELS).map(([trigger, label]) => (
+                  <MenuItem key={trigger} value={trigger}>{label}</MenuItem>
+                ))}
+              </TextField>
+              {form.trigger === 'unreviewed' && (
+                <TextField
+                  type="number"
+                  label="Hours"
+                  value={form.unreviewedAfterHours}
+                  onChange={(e) => updateForm({ unreviewedAfterHours: e.target.value })}
+                  inputProps={{ min: 1, max: 720 }}
+                  sx={{ width: 120 }}
+                />
+              )}
+              <FormControlLabel
+                control={<Switch checked={form.enabled} onChange={(e) => updateForm({ enabled: e.target.checked })} />}
+                label="Enabled"
+              />
+            </Box>
+
+            <Divider />
+            <Typography variant="subtitle1">Conditions (all must match)</Typography>
+            {form.conditions.map((condition, index) => (
+              <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                <TextField
+                  select
+                  size="small"
+                  label="Field"
+                  value={condition.field}
+                  onChange={(e) => updateCondition(index, { field: e.target.value })}
+                  sx={{ minWidth: 150 }}
+                >
+                  {Object.entries(FIELD_LABELS).map(([field, label]) => (
+                    <MenuItem key={field} value={field}>{label}</MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  select
+                  size="small"
+                  label="Operator"
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                  sx={{ minWidth: 130 }}
+                >
+                  {Object.entries(OPERATOR_LABELS)
+                    .filter(([operator]) => ORDERED_FIELDS.includes(condition.field) || !['gte', 'lte'].includes(operator))
+                    .map(([operator, label]) => (
+                      <MenuItem key={operator} value={operator}>{label}</MenuItem>
+                    ))}
+                </TextField>
+                {renderConditionValue(condition, index)}
+                <IconButton
+                  onClick={() => updateForm({ conditions: form.conditions.filter((_, i) => i !== index) })}
+                  aria-label="Remove condition"
+                >
+                  <RemoveIcon />
+                </IconButton>
+              </Box>
+            ))}
+            <Box>
+              <Button
+                size="small"
+                startIcon={<AddIcon />}
+                onClick={() => updateForm({ conditions: [...form.conditions, { field: 'severity', operator: 'gte', value: 'Severe' }] })}
+              >
+                Add condition
+              </Button>
+            </Box>
+
+            <Divider />
+            <Typography variant="subtitle1">Notify</Typography>
+            <FormGroup row>
+              {['doctor', 'admin'].map((role) => (
+                <FormControlLabel
+                  key={role}
+                  label={`All ${role}s`}
+                  control={(
+                    <Checkbox
+                      checked={form.recipients.roles.includes(role)}
+                      onChange={(e) => updateForm({
+                        recipients: {
+                          ...form.recipients,
+                          roles: e.target.checked
+                            ? [...form.recipients.roles, role]
+                            : form.recipients.roles.filter((r) => r !== role),
+                        },
+                      })}
+                    />
+                  )}
+                />
+              ))}
+            </FormGroup>
+            <Autocomplete
+              multiple
+              freeSolo
+              options={options?.specializations || []}
+              value={form.recipients.specializations}
+              onChange={(event, specializations) => updateForm({ recipients: { ...form.recipients, specializations } })}
+              renderInput={(params) => (
+                <TextField {...params} label="Doctors specialized in" placeholder="e.g. Cardiology" />
+              )}
+            />
+            <Autocomplete
+              multiple
+              options={(options?.staff || []).map((member) => member._id)}
+              value={form.recipients.users}
+              onChange={(event, users) => updateForm({ recipients: { ...form.recipients, users } })}
+              getOptionLabel={(id) => {
+                const member = staffById[id];
+                return member ? `${member.firstName} ${member.lastName} (${member.role})` : id;
+              }}
+              renderInput={(params) => <TextField {...params} label="These users" />}
+            />
+
+            <Divider />
+            <Typography variant="subtitle1">Notification</Typography>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                select
+                label="Priority"
+                value={form.notification.priority}
+                onChange={(e) => updateForm({ notification: { ...form.notification, priority: e.target.value } })}
+                sx={{ minWidth: 140 }}
+              >
+                {(options?.priorities || ['low', 'medium', 'high', 'critical']).map((priority) => (
+                  <MenuItem key={priority} value={priority} sx={{ textTransform: 'capitalize' }}>{priority}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                label="Title"
+                value={form.notification.title}
+                onChange={(e) => updateForm({ notification: { ...form.notification, title: e.target.value } })}
+                placeholder="Defaults to the rule name and medicine"
+                fullWidth
+              />
+            </Box>
+            <TextField
+              label="Message"
+              value={form.notification.message}
+              onChange={(e) => updateForm({ notification: { ...form.notification, message: e.target.value } })}
+              placeholder="Defaults to a description of the report"
+              multiline
+              rows={2}
+              fullWidth
+            />
+
+            {/* Dry run */}
+            <Divider />
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+              <TextField
+                select
+                size="small"
+                label="Test against"
+                value={dryRunDays}
+                onChange={(e) => { setDryRunDays(e.target.value); setDryRunResult(null); }}
+                sx={{ minWidth: 180 }}
+              >
+                {[7, 30, 90, 365].map((days) => (
+                  <MenuItem key={days} value={days}>Last {days} days</MenuItem>
+                ))}
+              </TextField>
+              <Button
+                variant="outlined"
+                startIcon={dryRunning ? <CircularProgress size={20} /> : <DryRunIcon />}
+                onClick={handleDryRun}
+                disabled={dryRunning}
+              >
+                Dry Run
+              </Button>
+            </Box>
+            {dryRunResult && (
+              <Alert severity={dryRunResult.matched > 0 ? 'info' : 'warning'}>
+                <Typography variant="body2">
+                  Matched {dryRunResult.matched} of {dryRunResult.checked} reports; would have notified{' '}
+                  {dryRunResult.recipients.length} users ({dryRunResult.notifications} notifications).
+                </Typography>
+                {dryRunResult.recipients.length > 0 && (
+                  <Typography variant="caption" component="div" sx={{ mt: 0.5 }}>
+                    {dryRunResult.recipients.map((user) => `${user.firstName} ${user.lastName}`).join(', ')}
+                  </Typography>
+                )}
+                {dryRunResult.reports.length > 0 && (
+                  <List dense disablePadding sx={{ mt: 1 }}>
+                    {dryRunResult.reports.map((report) => (
+                      <ListItem key={report._id} disableGutters>
+                        <ListItemText
+                          primary={`${report.medicine?.name || 'Unknown medicine'} · ${report.severity || 'Unknown severity'} · ${report.status}`}
+                          secondary={`${new Date(report.createdAt).toLocaleString()}${report.bodySystems.length ? ` · ${report.bodySystems.join(', ')}` : ''}`}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                )}
+              </Alert>
+            )}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeEditor}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !form.name.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Firing history */}
+      <Dialog open={history.open} onClose={() => setHistory({ open: false, rule: null })} maxWidth="sm" fullWidth>
+        <DialogTitle>{history.rule ? `${history.rule.name}: latest firings` : 'Latest firings'}</DialogTitle>
+        <DialogContent>
+          {!history.rule ? (
+            <InlineLoading message="Loading history..." />
+          ) : history.rule.firings.length === 0 ? (
+            <Typography color="textSecondary">This rule has not fired yet</Typography>
+          ) : (
+            <List dense>
+              {history.rule.firings.map((firing) => (
+                <ListItem key={firing._id} disableGutters>
+                  <ListItemText
+                    primary={`${firing.report?.medicine?.name || 'Deleted report'} · ${firing.eventKey}`}
+                    secondary={`${new Date(firing.firedAt).toLocaleString()} · ${firing.recipients.length} notified`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHistory({ open: false, rule: null })}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default NotificationRules;
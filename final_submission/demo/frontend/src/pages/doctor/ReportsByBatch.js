@@ -0,0 +1,701 @@
+/**
+ * Reports by Batch Page
+ *
+ * Reports grouped by the medicine and batch (lot) number patients read off
+ * their packs. A lot reported far more often than the same medicine's other
+ * lots is flagged as a possible quality defect. Admins recall lots from
+ * here; patients whose reports name a recalled lot are notified.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Grid,
+  TextField,
+  Button,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Chip,
+  MenuItem,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Alert,
+  Card,
+  CardActionArea,
+  CardContent,
+  InputAdornment,
+  Tooltip,
+  FormControlLabel,
+  Switch,
+  Tabs,
+  Tab,
+  CircularProgress,
+} from '@mui/material';
+import {
+  QrCode2 as BatchIcon,
+  Search as SearchIcon,
+  Refresh as RefreshIcon,
+  ReportProblem as RecallIcon,
+} from '@mui/icons-material';
+import { lotService } from '../../services';
+import { useAuth } from '../../hooks';
+import { InlineLoading } from '../../components/ui/Loading';
+
+const RECALL_CLASSIFICATION = {
+  class_i: { label: 'Class I', color: 'error', description: 'May cause serious harm or death' },
+  class_ii: { label: 'Class II', color: 'warning', description: 'May cause temporary or reversible harm' },
+  class_iii: { label: 'Class III', color: 'info', description: 'Unlikely to cause harm' },
+};
+
+const RECALL_STATUS = {
+  ongoing: { label: 'Ongoing', color: 'error' },
+  completed: { label: 'Completed', color: 'success' },
+  terminated: { label: 'Terminated', color: 'default' },
+};
+
+const WINDOWS = [
+  { days: 90, label: 'Last 3 months' },
+  { days: 180, label: 'Last 6 months' },
+  { days: 365, label: 'Last 12 months' },
+  { days: 730, label: 'Last 2 years' },
+];
+
+const EMPTY_RECALL_DIALOG = {
+  open: false,
+  cluster: null,
+  batchNumbers: '',
+  classification: 'class_ii',
+  reference: '',
+  manufacturer: '',
+  reason: '',
+  patientInstructions: '',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const ReportsByBatch = () => {
+  const { can } = useAuth();
+  const navigate = useNavigate();
+
+  const [tabValue, setTabValue] = useState(0);
+  const [clusters, setClusters] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [thresholds, setThresholds] = useState(null);
+  const [recalls, setRecalls] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Pagination
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+
+  // Filters
+  const [searchQuery, setSearchQuery] = useState('');
+  const [days, setDays] = useState(365);
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+
+  // Lot reports dialog
+  const [lotDialog, setLotDialog] = useState({ open: false, loading: false, data: null });
+
+  // Recall dialog
+  const [recallDialog, setRecallDialog] = useState(EMPTY_RECALL_DIALOG);
+  const [savingRecall, setSavingRecall] = useState(false);
+
+  const loadClusters = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await lotService.getBatchClusters({
+        page: page + 1,
+        limit: rowsPerPage,
+        days,
+        ...(searchQuery && { search: searchQuery }),
+        ...(flaggedOnly && { flagged: true }),
+      });
+      if (response.success) {
+        setClusters(response.data);
+        setTotalItems(response.meta?.pagination?.total || 0);
+        setSummary(response.meta?.summary || null);
+        setThresholds(response.meta?.thresholds || null);
+      }
+    } catch (err) {
+      console.error('Load batch clusters error:', err);
+      setError('Failed to load reports by batch. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, rowsPerPage, days, searchQuery, flaggedOnly]);
+
+  const loadRecalls = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await lotService.getRecalls({ page: page + 1, limit: rowsPerPage });
+      if (response.success) {
+        setRecalls(response.data);
+        setTotalItems(response.meta?.pagination?.total || 0);
+      }
+    } catch (err) {
+      console.error('Load recalls error:', err);
+      setError('Failed to load recalls. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, rowsPerPage]);
+
+  const refresh = tabValue === 0 ? loadClusters : loadRecalls;
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleTabChange = (event, newValue) => {
+    setTabValue(newValue);
+    setPage(0);
+  };
+
+  const handleOpenLot = async (cluster) => {
+    setLotDialog({ open: true, loading: true, data: null });
+    try {
+      const response = await lotService.getLotReports(cluster.lot._id);
+      setLotDialog({ open: true, loading: false, data: response.data });
+    } catch (err) {
+      console.error('Load lot reports error:', err);
+      setLotDialog({ open: false, loading: false, data: null });
+      setError(err.message || 'Failed to load the reports of this lot.');
+    }
+  };
+
+  const handleOpenRecall = (cluster) => {
+    setRecallDialog({
+      ...EMPTY_RECALL_DIALOG,
+      open: true,
+      cluster,
+      batchNumbers: cluster.lot.batchNumber,
+      manufacturer: cluster.lot.manufacturer || '',
+    });
+  };
+
+  const handleIssueRecall = async () => {
+    setSavingRecall(true);
+    try {
+      const response = await lotService.createRecall({
+        medication: recallDialog.cluster.medication._id,
+        batchNumbers: recallDialog.batchNumbers.split(',').map((batch) => batch.trim()).filter(Boolean),
+        classification: recallDialog.classification,
+        reason: recallDialog.reason.trim(),
+        ...(recallDialog.reference.trim() && { reference: recallDialog.reference.trim() }),
+        ...(recallDialog.manufacturer.trim() && { manufacturer: recallDialog.manufacturer.trim() }),
+        ...(recallDialog.patientInstructions.trim() && { patientInstructions: recallDialog.patientInstructions.trim() }),
+      });
+      setSuccess(response.message || 'Recall issued');
+      setRecallDialog(EMPTY_RECALL_DIALOG);
+      loadClusters();
+    } catch (err) {
+      console.error('Issue recall error:', err);
+      setError(err.validationErrors?.map((e) => e.msg).join(', ') || err.message || 'Failed to issue recall.');
+    } finally {
+      setSavingRecall(false);
+    }
+  };
+
+  const handleRecallStatus = async (recall, status) => {
+    try {
+      await lotService.updateRecallStatus(recall._id, status);
+      setSuccess(`Recall marked ${RECALL_STATUS[status].label.toLowerCase()}`);
+      loadRecalls();
+    } catch (err) {
+      console.error('Update recall status error:', err);
+      setError(err.message || 'Failed to update recall status.');
+    }
+  };
+
+  const handleFlaggedCardClick = () => {
+    setFlaggedOnly(!flaggedOnly);
+    setPage(0);
+  };
+
+  const summaryCards = [
+    { key: 'lots', label: 'Lots with reports' },
+    { key: 'reports', label: 'Reports naming a lot' },
+    { key: 'flagged', label: 'Flagged lots', onClick: handleFlaggedCardClick, selected: flaggedOnly },
+    { key: 'recalled', label: 'Recalled lots' },
+  ];
+
+  const renderClusters = () => (
+    <>
+      {/* Summary */}
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        {summaryCards.map((card) => {
+          const content = (
+            <CardContent>
+              <Typography variant="body2" color="textSecondary">{card.label}</Typography>
+              <Typography variant="h4">{summary?.[card.key] ?? '—'}</Typography>
+            </CardContent>
+          );
+          return (
+            <Grid item xs={6} md={3} key={card.key}>
+              <Card variant={card.selected ? 'elevation' : 'outlined'} raised={card.selected}>
+                {card.onClick ? <CardActionArea onClick={card.onClick}>{content}</CardActionArea> : content}
+              </Card>
+            </Grid>
+          );
+        })}
+      </Grid>
+
+      {/* Filters */}
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          size="small"
+          placeholder="Search batch number or medication..."
+          value={searchQuery}
+          onChange={(e) => { setSearchQuery(e.target.value); setPage(0); }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon />
+              </InputAdornment>
+            ),
+          }}
+          sx={{ minWidth: 280 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Reports from"
+          value={days}
+          onChange={(e) => { setDays(e.target.value); setPage(0); }}
+          sx={{ minWidth: 180 }}
+        >
+          {WINDOWS.map((window) => (
+            <MenuItem key={window.days} value={window.days}>{window.label}</MenuItem>
+          ))}
+        </TextField>
+        <FormControlLabel
+          control={<Switch checked={flaggedOnly} onChange={(e) => { setFlaggedOnly(e.target.checked); setPage(0); }} />}
+          label="Flagged only"
+        />
+        {thresholds && (
+          <Typography variant="caption" color="textSecondary">
+            Flagged: at least {thresholds.minReports} reports and {thresholds.concentrationRatio}× the average of the
+            medication's other lots
+          </Typography>
+        )}
+      </Box>
+
+      {/* Lots table */}
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell><strong>Medication</strong></TableCell>
+              <TableCell><strong>Batch</strong></TableCell>
+              <TableCell align="right"><strong>Reports</strong></TableCell>
+              <TableCell align="right"><strong>Serious</strong></TableCell>
+              <TableCell align="right"><strong>vs. Other Lots</strong></TableCell>
+              <TableCell><strong>Top Reactions</strong></TableCell>
+              <TableCell><strong>Status</strong></TableCell>
+              <TableCell align="right"><strong>Actions</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={8} align="center" sx={{ py: 4 }}>
+                  <InlineLoading message="Loading lots..." />
+                </TableCell>
+              </TableRow>
+            ) : clusters.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={8} align="center" sx={{ py: 4 }}>
+                  <Typography color="textSecondary">No reports name a batch number</Typography>
+                </TableCell>
+              </TableRow>
+            ) : (
+              clusters.map((cluster) => (
+                <TableRow key={cluster.lot._id} hover>
+                  <TableCell>
+                    <Typography fontWeight="medium">{cluster.medication?.name || 'Unknown'}</Typography>
+                    <Typography variant="caption" color="textSecondary">
+                      {cluster.medicationLots} lot{cluster.medicationLots === 1 ? '' : 's'} reported
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>{cluster.lot.batchNumber}</Typography>
+                    <Typography variant="caption" color="textSecondary" display="block">
+                      {[cluster.lot.manufacturer, cluster.lot.expiryDate && `Exp. ${formatDate(cluster.lot.expiryDate)}`]
+                        .filter(Boolean).join(' • ')}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    {cluster.reportCount}
+                    <Typography variant="caption" color="textSecondary" display="block">
+                      {cluster.patientCount} patient{cluster.patientCount === 1 ? '' : 's'}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">{cluster.seriousCount}</TableCell>
+                  <TableCell align="right">
+                    {cluster.concentration === null ? (
+                      <Tooltip title="No other lot of this medication has reports">
+                        <span>—</span>
+                      </Tooltip>
+                    ) : `${cluster.concentration}×`}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">
+                      {cluster.topReactions.slice(0, 3).map((reaction) => `${reaction.name} (${reaction.reportCount})`).join(', ')}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5, alignItems: 'flex-start' }}>
+                      {cluster.flagged && <Chip label="Flagged" color="error" size="small" />}
+                      {cluster.recalls.map((recall) => (
+                        <Chip
+                          key={recall._id}
+                          icon={<RecallIcon />}
+                          label={`Recalled · ${RECALL_CLASSIFICATION[recall.classification]?.label}`}
+                          color={recall.status === 'ongoing' ? 'warning' : 'default'}
+                          size="small"
+                          variant="outlined"
+                        />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+                      <Button size="small" onClick={() => handleOpenLot(cluster)}>
+                        Reports
+                      </Button>
+                      {can('recall:manage') && (
+                        <Button size="small" color="error" onClick={() => handleOpenRecall(cluster)}>
+                          Recall
+                        </Button>
+                      )}
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+        <TablePagination
+          component="div"
+          count={totalItems}
+          page={page}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(event) => { setRowsPerPage(parseInt(event.target.value, 10)); setPage(0); }}
+          rowsPerPageOptions={[5, 10, 25, 50]}
+        />
+      </TableContainer>
+    </>
+  );
+
+  const renderRecalls = () => (
+    <TableContainer component={Paper}>
+      <Table>
+        <TableHead>
+          <TableRow>
+            <TableCell><strong>Medication</strong></TableCell>
+            <TableCell><strong>Batches</strong></TableCell>
+            <TableCell><strong>Class</strong></TableCell>
+            <TableCell><strong>Reason</strong></TableCell>
+            <TableCell><strong>Issued</strong></TableCell>
+            <TableCell><strong>Status</strong></TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {loading ? (
+            <TableRow>
+              <TableCell colSpan={6} align="center" sx={{ py: 4 }}>
+                <InlineLoading message="Loading recalls..." />
+              </TableCell>
+            </TableRow>
+          ) : recalls.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={6} align="center" sx={{ py: 4 }}>
+                <Typography color="textSecondary">No recalls issued</Typography>
+              </TableCell>
+            </TableRow>
+          ) : (
+            recalls.map((recall) => {
+              const classification = RECALL_CLASSIFICATION[recall.classification];
+              return (
+                <TableRow key={recall._id} hover>
+                  <TableCell>
+                    <Typography fontWeight="medium">{recall.medication?.name || 'Unknown'}</Typography>
+                    {recall.reference && (
+                      <Typography variant="caption" color="textSecondary">{recall.reference}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>
+                    {recall.lots.map((lot) => lot.batchNumber).join(', ')}
+                  </TableCell>
+                  <TableCell>
+                    <Tooltip title={classification?.description || ''}>
+                      <Chip label={classification?.label} color={classification?.color} size="small" />
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ maxWidth: 320 }}>
+                    <Typography variant="body2">{recall.reason}</Typography>
+                  </TableCell>
+                  <TableCell>
+                    {formatDate(recall.createdAt)}
+                    {recall.issuedBy && (
+                      <Typography variant="caption" color="textSecondary" display="block">
+                        {recall.issuedBy.firstName} {recall.issuedBy.lastName}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {can('recall:manage') ? (
+                      <TextField
+                        select
+                        size="small"
+                        value={recall.status}
+                        onChange={(e) => handleRecallStatus(recall, e.target.value)}
+                        sx={{ minWidth: 140 }}
+                      >
+                        {Object.entries(RECALL_STATUS).map(([status, config]) => (
+                          <MenuItem key={status} value={status}>{config.label}</MenuItem>
+                        ))}
+                      </TextField>
+                    ) : (
+                      <Chip label={RECALL_STATUS[recall.status]?.label} color={RECALL_STATUS[recall.status]?.color} size="small" />
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })
+          )}
+        </TableBody>
+      </Table>
+      <TablePagination
+        component="div"
+        count={totalItems}
+        page={page}
+        onPageChange={(event, newPage) => setPage(newPage)}
+        rowsPerPage={rowsPerPage}
+        onRowsPerPageChange={(event) => { setRowsPerPage(parseInt(event.target.value, 10)); setPage(0); }}
+        rowsPerPageOptions={[5, 10, 25, 50]}
+      />
+    </TableContainer>
+  );
+
+  const lot = lotDialog.data?.lot;
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 4 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <BatchIcon sx={{ mr: 2, color: 'primary.main', fontSize: 40 }} />
+          <Box>
+            <Typography variant="h4" component="h1">
+              Reports by Batch
+            </Typography>
+            <Typography variant="body2" color="textSecondary">
+              Reports grouped by medicine and batch number, to spot lot-specific problems
+            </Typography>
+          </Box>
+        </Box>
+        <Button variant="outlined" startIcon={<RefreshIcon />} onClick={refresh}>
+          Refresh
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>
+      )}
+
+      <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 3 }}>
+        <Tabs value={tabValue} onChange={handleTabChange}>
+          <Tab label="Lots" />
+          <Tab label="Recalls" />
+        </Tabs>
+      </Box>
+
+      {tabValue === 0 ? renderClusters() : renderRecalls()}
+
+      {/* Lot reports dialog */}
+      <Dialog
+        open={lotDialog.open}
+        onClose={() => setLotDialog({ open: false, loading: false, data: null })}
+        maxWidth="md"
+        fullWidth
+      >
+        <DialogTitle>
+          {lot ? `${lot.medication?.name || 'Unknown'} – batch ${lot.batchNumber}` : 'Lot reports'}
+        </DialogTitle>
+        <DialogContent>
+          {lotDialog.loading ? (
+            <InlineLoading message="Loading reports..." />
+          ) : lotDialog.data && (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              <Typography variant="body2" color="textSecondary">
+                {[lot.manufacturer, lot.expiryDate && `Expires ${formatDate(lot.expiryDate)}`,
+                  `first reported ${formatDate(lot.firstReportedAt)}`].filter(Boolean).join(' • ')}
+              </Typography>
+              {lotDialog.data.recalls.map((recall) => (
+                <Alert key={recall._id} severity={recall.status === 'ongoing' ? 'warning' : 'info'} icon={<RecallIcon />}>
+                  {RECALL_CLASSIFICATION[recall.classification]?.label} recall
+                  {recall.reference && ` ${recall.reference}`} ({RECALL_STATUS[recall.status]?.label.toLowerCase()},
+                  {' '}{formatDate(recall.createdAt)}): {recall.reason}
+                </Alert>
+              ))}
+              {lotDialog.data.hiddenReports > 0 && (
+                <Alert severity="info">
+                  {lotDialog.data.hiddenReports} of {lotDialog.data.totalReports} reports are from patients outside your care team.
+                </Alert>
+              )}
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Submitted</TableCell>
+                    <TableCell>Patient</TableCell>
+                    <TableCell>Reactions</TableCell>
+                    <TableCell>Seriousness</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {lotDialog.data.reports.map((report) => (
+                    <TableRow key={report._id} hover>
+                      <TableCell>{formatDate(report.createdAt)}</TableCell>
+                      <TableCell>
+                        {report.patient ? `${report.patient.firstName} ${report.patient.lastName}` : '—'}
+                      </TableCell>
+                      <TableCell>{report.sideEffects?.map((effect) => effect.effect).join(', ')}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={report.reportDetails?.seriousness || 'Unknown'}
+                          color={report.reportDetails?.seriousness === 'Serious' ? 'error' : 'default'}
+                          size="small"
+                          variant="outlined"
+                        />
+                      </TableCell>
+                      <TableCell>{report.status}</TableCell>
+                      <TableCell align="right">
+                        <Button size="small" onClick={() => navigate(`/reports/${report._id}`)}>
+                          View
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setLotDialog({ open: false, loading: false, data: null })}>
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Recall dialog */}
+      <Dialog open={recallDialog.open} onClose={() => setRecallDialog(EMPTY_RECALL_DIALOG)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Recall {recallDialog.cluster?.medication?.name}
+        </DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Alert severity="warning">
+              Every patient whose reports name one of these batches is notified when the recall is issued.
+            </Alert>
+            <TextField
+              label="Batch numbers"
+              value={recallDialog.batchNumbers}
+              onChange={(e) => setRecallDialog((prev) => ({ ...prev, batchNumbers: e.target.value }))}
+              helperText="Separate several batches with commas"
+              required
+              fullWidth
+            />
+            <TextField
+              select
+              label="Classification"
+              value={recallDialog.classification}
+              onChange={(e) => setRecallDialog((prev) => ({ ...prev, classification: e.target.value }))}
+              helperText={RECALL_CLASSIFICATION[recallDialog.classification]?.description}
+              fullWidth
+            >
+              {Object.entries(RECALL_CLASSIFICATION).map(([classification, config]) => (
+                <MenuItem key={classification} value={classification}>{config.label}</MenuItem>
+              ))}
+            </TextField>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="Recall number"
+                value={recallDialog.reference}
+                onChange={(e) => setRecallDialog((prev) => ({ ...prev, reference: e.target.value }))}
+                placeholder="e.g. D-0123-2026"
+                fullWidth
+              />
+              <TextField
+                label="Manufacturer"
+                value={recallDialog.manufacturer}
+                onChange={(e) => setRecallDialog((prev) => ({ ...prev, manufacturer: e.target.value }))}
+                fullWidth
+              />
+            </Box>
+            <TextField
+              label="Reason"
+              multiline
+              rows={2}
+              value={recallDialog.reason}
+              onChange={(e) => setRecallDialog((prev) => ({ ...prev, reason: e.target.value }))}
+              placeholder="e.g. Tablets may contain fragments of glass"
+              required
+              fullWidth
+            />
+            <TextField
+              label="Instructions for patients"
+              multiline
+              rows={2}
+              value={recallDialog.patientInstructions}
+              onChange={(e) => setRecallDialog((prev) => ({ ...prev, patientInstructions: e.target.value }))}
+              placeholder="e.g. Stop taking tablets from this batch and return them to your pharmacy"
+              fullWidth
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRecallDialog(EMPTY_RECALL_DIALOG)}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            color="error"
+            startIcon={savingRecall ? <CircularProgress size={20} color="inherit" /> : <RecallIcon />}
+            onClick={handleIssueRecall}
+            disabled={savingRecall || !recallDialog.batchNumbers.trim() || recallDialog.reason.trim().length < 5}
+          >
+            Issue Recall
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default ReportsByBatch;
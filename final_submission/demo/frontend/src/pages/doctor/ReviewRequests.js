@@ -32,6 +32,10 @@ import {
   Accordion,
   AccordionSummary,
   AccordionDetails,
+  Autocomplete,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
 } from '@mui/material';
 import {
   RateReview as ReviewIcon,
@@ -48,7 +52,22 @@ import {
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import AuthContainer from '../../store/containers/AuthContainer';
-import { reportService } from '../../services';
+import { reportService, terminologyService } from '../../services';
+import { InteractionFindings, InteractionChip } from '../../components';
+
+const CODING_STATUS = {
+  uncoded: { label: 'Uncoded', color: 'default' },
+  auto: { label: 'Auto-coded', color: 'info' },
+  confirmed: { label: 'Confirmed', color: 'success' },
+  overridden: { label: 'Overridden', color: 'warning' },
+};
+
+const CAUSALITY_COLORS = {
+  Certain: 'error',
+  Probable: 'warning',
+  Possible: 'info',
+  Unlikely: 'success',
+};
 
 export default function ReviewRequests() {
   const theme = useTheme();
@@ -66,6 +85,10 @@ export default function ReviewRequests() {
   const [reviewAction, setReviewAction] = useState('none');
   const [agreedWithAI, setAgreedWithAI] = useState(true);
   const [submittingReview, setSubmittingReview] = useState(false);
+  // Coded terms per side effect id, editable by the reviewer
+  const [reactionCoding, setReactionCoding] = useState({});
+  // Guided causality assessment; no algorithm means it is skipped
+  const [causality, setCausality] = useState({ algorithm: '', answers: {} });
 
   useEffect(() => {
     loadPendingReviews();
@@ -96,6 +119,12 @@ export default function ReviewRequests() {
     setReviewRecommendation('');
     setReviewAction('none');
     setAgreedWithAI(true);
+    setReactionCoding(Object.fromEntries(
+      (report.sideEffects || [])
+        .filter((sideEffect) => sideEffect._id)
+        .map((sideEffect) => [sideEffect._id, sideEffect.coding?.terms || []])
+    ));
+    setCausality({ algorithm: '', answers: {} });
     setReviewDialogOpen(true);
   };
 
@@ -104,11 +133,22 @@ export default function ReviewRequests() {
     
     try {
       setSubmittingReview(true);
+      if (causality.algorithm) {
+        await reportService.updateCausalityAssessment(selectedReport._id, {
+          algorithm: causality.algorithm,
+          answers: causality.answers,
+        });
+      }
+      const coding = Object.entries(reactionCoding).map(([sideEffectId, terms]) => ({
+        sideEffectId,
+        lltCodes: terms.map((term) => term.lltCode),
+      }));
       await reportService.submitDoctorReview(selectedReport._id, {
         remarks: reviewRemarks,
         recommendation: reviewRecommendation,
         actionRequired: reviewAction,
         agreedWithAI: agreedWithAI,
+        ...(coding.length > 0 && { coding }),
       });
       setReviewDialogOpen(false);
       setSelectedReport(null);
@@ -222,6 +262,7 @@ export default function ReviewRequests() {
                         </Box>
                       </Box>
                       <Box sx={{ display: 'flex', gap: 1 }}>
+                        <InteractionChip screening={report.interactionScreening} />
                         <Chip 
                           label={patientGuidance?.urgencyLevel || 'unknown'} 
                           color={getUrgencyColor(patientGuidance?.urgencyLevel)}
@@ -477,6 +518,42 @@ export default function ReviewRequests() {
               <MenuItem value="false">No, I have a different assessment</MenuItem>
             </TextField>
 
+            {/* Drug-drug interactions with the reported concomitant medications */}
+            {selectedReport && (
+              <Box>
+                <Typography variant="subtitle2" gutterBottom>Drug Interactions</Typography>
+                <InteractionFindings screening={selectedReport.interactionScreening} />
+              </Box>
+            )}
+
+            {/* Reaction coding */}
+            {selectedReport?.sideEffects?.some((sideEffect) => sideEffect._id) && (
+              <Box>
+                <Typography variant="subtitle2" gutterBottom>Reaction Coding</Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  Keep the suggested terms to confirm them, or search for different ones to override.
+                </Typography>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                  {selectedReport.sideEffects.filter((sideEffect) => sideEffect._id).map((sideEffect) => (
+                    <ReactionTermPicker
+                      key={sideEffect._id}
+                      sideEffect={sideEffect}
+                      value={reactionCoding[sideEffect._id] || []}
+                      onChange={(terms) => setReactionCoding((prev) => ({ ...prev, [sideEffect._id]: terms }))}
+                    />
+                  ))}
+                </Box>
+              </Box>
+            )}
+
+            {selectedReport && (
+              <CausalityQuestionnaire
+                reportId={selectedReport._id}
+                value={causality}
+                onChange={setCausality}
+              />
+            )}
+
             <TextField
               label="Your Remarks / Medical Opinion"
               multiline
@@ -531,3 +608,171 @@ export default function ReviewRequests() {
     </Box>
   );
 }
+
+// Search-and-select coded terms for one reported side effect
+function ReactionTermPicker({ sideEffect, value, onChange }) {
+  const [options, setOptions] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const status = CODING_STATUS[sideEffect.coding?.status] || CODING_STATUS.uncoded;
+
+  const handleInputChange = async (event, input, reason) => {
+    if (reason !== 'input' || input.trim().length < 2) return;
+    try {
+      setSearching(true);
+      const response = await terminologyService.searchTerms(input);
+      setOptions(response.data || []);
+    } catch (err) {
+      console.error('Error searching terms:', err);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Typography variant="body2" fontWeight="medium">"{sideEffect.effect}"</Typography>
+        <Chip label={status.label} color={status.color} size="small" variant="outlined" />
+      </Box>
+      <Autocomplete
+        multiple
+        options={options}
+        value={value}
+        onChange={(event, terms) => onChange(terms)}
+        onInputChange={handleInputChange}
+        filterOptions={(x) => x} // Ranked server-side
+        isOptionEqualToValue={(option, selected) => option.lltCode === selected.lltCode}
+        getOptionLabel={(option) => option.ptName}
+        loading={searching}
+        noOptionsText="Type to search terms"
+        renderOption={(props, option) => {
+          const { key, ...optionProps } = props;
+          return (
+            <Box component="li" key={key} {...optionProps}>
+              <Box>
+                <Typography variant="body2">{option.lltName}</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {option.ptName} · {option.socName}
+                </Typography>
+              </Box>
+            </Box>
+          );
+        }}
+        renderValue={(terms, getItemProps) => terms.map((term, index) => {
+          const { key, ...itemProps } = getItemProps({ index });
+          return <Chip key={key} {...itemProps} label={term.ptName} size="small" />;
+        })}
+        renderInput={(params) => (
+          <TextField {...params} size="small" placeholder={value.length ? '' : 'Search terms...'} />
+        )}
+      />
+    </Box>
+  );
+}
+
+// Naranjo / WHO-UMC questions, prefilled from the report and scored as the reviewer answers
+function CausalityQuestionnaire({ reportId, value, onChange }) {
+  const [questionnaire, setQuestionnaire] = useState(null);
+  const [prefilled, setPrefilled] = useState({});
+  const [result, setResult] = useState(null);
+  const [loadingQuestions, setLoadingQuestions] = useState(false);
+
+  const handleAlgorithmChange = async (algorithm) => {
+    onChange({ algorithm, answers: {} });
+    setQuestionnaire(null);
+    setResult(null);
+    if (!algorithm) return;
+    try {
+      setLoadingQuestions(true);
+      const response = await reportService.getCausalityQuestionnaire(reportId, algorithm);
+      setQuestionnaire(response.data.questionnaire);
+      setPrefilled(response.data.answers);
+      setResult(response.data.result);
+      onChange({ algorithm, answers: response.data.answers });
+    } catch (err) {
+      console.error('Error loading causality questionnaire:', err);
+      onChange({ algorithm: '', answers: {} });
+    } finally {
+      setLoadingQuestions(false);
+    }
+  };
+
+  const handleAnswer = async (questionId, answer) => {
+    const answers = { ...value.answers, [questionId]: answer };
+    onChange({ ...value, answers });
+    try {
+      const response = await reportService.evaluateCausality(value.algorithm, answers);
+      setResult(response.data);
+    } catch (err) {
+      console.error('Error evaluating causality:', err);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>Causality Assessment</Typography>
+      <TextField
+        select
+        label="Assessment method"
+        value={value.algorithm}
+        onChange={(e) => handleAlgorithmChange(e.target.value)}
+        fullWidth
+        size="small"
+      >
+        <MenuItem value="">Skip causality assessment</MenuItem>
+        <MenuItem value="Naranjo">Naranjo scale</MenuItem>
+        <MenuItem value="WHO-UMC">WHO-UMC criteria</MenuItem>
+      </TextField>
+
+      {loadingQuestions && <CircularProgress size={24} sx={{ mt: 2 }} />}
+
+      {questionnaire && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {questionnaire.description}
+          </Typography>
+          {questionnaire.questions.map((question, index) => (
+            <Box key={question.id} sx={{ mb: 1.5 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="body2" fontWeight="medium">
+                  {index + 1}. {question.text}
+                </Typography>
+                {prefilled[question.id] && prefilled[question.id] === value.answers[question.id] && (
+                  <Chip label="From report" size="small" variant="outlined" />
+                )}
+              </Box>
+              <RadioGroup
+                row
+                value={value.answers[question.id] || ''}
+                onChange={(e) => handleAnswer(question.id, e.target.value)}
+              >
+                {question.options.map((option) => (
+                  <FormControlLabel
+                    key={option.value}
+                    value={option.value}
+                    control={<Radio size="small" />}
+                    label={option.points !== undefined ? `${option.label} (${option.points > 0 ? '+' : ''}${option.points})` : option.label}
+                    slotProps={{ typography: { variant: 'body2' } }}
+                  />
+                ))}
+              </RadioGroup>
+            </Box>
+          ))}
+          {result && (
+            <Alert severity="info" icon={<ScienceIcon />}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                <Typography variant="body2">Computed category:</Typography>
+                <Chip label={result.category} color={CAUSALITY_COLORS[result.category] || 'default'} size="small" />
+                {result.score !== null && (
+                  <Typography variant="body2">
+                    Score {result.score} ({result.interpretation})
+                  </Typography>
+                )}
+              </Box>
+            </Alert>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,409 @@
+/**
+ * Safety Signals Page
+ *
+ * Medicine x reaction pairs flagged by disproportionality analysis (PRR, ROR
+ * and information component). Doctors and admins evaluate each signal and
+ * move it from new to under evaluation, then refuted or confirmed.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Grid,
+  TextField,
+  Button,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Chip,
+  MenuItem,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Alert,
+  Card,
+  CardActionArea,
+  CardContent,
+  InputAdornment,
+  Tooltip,
+  FormControlLabel,
+  Switch,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Insights as SignalIcon,
+  Search as SearchIcon,
+  PlayArrow as RunIcon,
+  Refresh as RefreshIcon,
+} from '@mui/icons-material';
+import { signalService } from '../../services';
+import { useAuth } from '../../hooks';
+import { InlineLoading } from '../../components/ui/Loading';
+
+const SIGNAL_STATUS = {
+  new: { label: 'New', color: 'error' },
+  under_evaluation: { label: 'Under Evaluation', color: 'warning' },
+  refuted: { label: 'Refuted', color: 'default' },
+  confirmed: { label: 'Confirmed', color: 'success' },
+};
+
+const formatInterval = (value, lower, upper) =>
+  value === null || value === undefined ? '—' : `${value} (${lower}–${upper})`;
+
+const SafetySignals = () => {
+  const { can } = useAuth();
+
+  const [signals, setSignals] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Pagination
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+
+  // Filters
+  const [searchQuery, setSearchQuery] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [activeOnly, setActiveOnly] = useState(true);
+
+  // Status dialog
+  const [statusDialog, setStatusDialog] = useState({ open: false, signal: null, status: '', comment: '' });
+  const [savingStatus, setSavingStatus] = useState(false);
+
+  const loadSignals = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await signalService.getSignals({
+        page: page + 1,
+        limit: rowsPerPage,
+        ...(searchQuery && { search: searchQuery }),
+        ...(statusFilter && { status: statusFilter }),
+        ...(activeOnly && { active: true }),
+      });
+      if (response.success) {
+        setSignals(response.data);
+        setTotalItems(response.meta?.pagination?.total || 0);
+      }
+    } catch (err) {
+      console.error('Load signals error:', err);
+      setError('Failed to load signals. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, rowsPerPage, searchQuery, statusFilter, activeOnly]);
+
+  const loadSummary = useCallback(async () => {
+    try {
+      const response = await signalService.getSummary();
+      if (response.success) {
+        setSummary(response.data.byStatus);
+      }
+    } catch (err) {
+      console.error('Load signal summary error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSignals();
+  }, [loadSignals]);
+
+  useEffect(() => {
+    loadSummary();
+  }, [loadSummary]);
+
+  const handleRunDetection = async () => {
+    setRunning(true);
+    setError('');
+    try {
+      const response = await signalService.runDetection();
+      const result = response.data;
+      setSuccess(`Detection evaluated ${result.evaluatedPairs} pairs over ${result.totalReports} reports: ` +
+        `${result.flagged} flagged, ${result.created} new.`);
+      loadSignals();
+      loadSummary();
+    } catch (err) {
+      console.error('Run detection error:', err);
+      setError(err.message || 'Signal detection failed.');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleSaveStatus = async () => {
+    setSavingStatus(true);
+    try {
+      await signalService.updateStatus(
+        statusDialog.signal._id,
+        statusDialog.status,
+        statusDialog.comment.trim() || undefined
+      );
+      setSuccess('Signal status updated');
+      setStatusDialog({ open: false, signal: null, status: '', comment: '' });
+      loadSignals();
+      loadSummary();
+    } catch (err) {
+      console.error('Update signal status error:', err);
+      setError(err.message || 'Failed to update signal status.');
+    } finally {
+      setSavingStatus(false);
+    }
+  };
+
+  const handleStatusCardClick = (status) => {
+    setStatusFilter(statusFilter === status ? '' : status);
+    setPage(0);
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 4 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <SignalIcon sx={{ mr: 2, color: 'primary.main', fontSize: 40 }} />
+          <Box>
+            <Typography variant="h4" component="h1">
+              Safety Signals
+            </Typography>
+            <Typography variant="body2" color="textSecondary">
+              Medicine and reaction pairs reported more often than expected
+            </Typography>
+          </Box>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button
+            variant="outlined"
+            startIcon={<RefreshIcon />}
+            onClick={() => { loadSignals(); loadSummary(); }}
+          >
+            Refresh
+          </Button>
+          {can('signal:run') && (
+            <Button
+              variant="contained"
+              startIcon={running ? <CircularProgress size={20} color="inherit" /> : <RunIcon />}
+              onClick={handleRunDetection}
+              disabled={running}
+            >
+              Run Detection
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>
+      )}
+
+      {/* Status summary */}
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        {Object.entries(SIGNAL_STATUS).map(([status, config]) => (
+          <Grid item xs={6} md={3} key={status}>
+            <Card variant={statusFilter === status ? 'elevation' : 'outlined'} raised={statusFilter === status}>
+              <CardActionArea onClick={() => handleStatusCardClick(status)}>
+                <CardContent>
+                  <Typography variant="body2" color="textSecondary">{config.label}</Typography>
+                  <Typography variant="h4">{summary?.[status]?.total ?? '—'}</Typography>
+                  <Typography variant="caption" color="textSecondary">
+                    {summary?.[status]?.active ?? 0} active
+                  </Typography>
+                </CardContent>
+              </CardActionArea>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+
+      {/* Filters */}
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          size="small"
+          placeholder="Search ingredient, medicine or reaction..."
+          value={searchQuery}
+          onChange={(e) => { setSearchQuery(e.target.value); setPage(0); }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon />
+              </InputAdornment>
+            ),
+          }}
+          sx={{ minWidth: 280 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Status"
+          value={statusFilter}
+          onChange={(e) => { setStatusFilter(e.target.value); setPage(0); }}
+          sx={{ minWidth: 180 }}
+        >
+          <MenuItem value="">All statuses</MenuItem>
+          {Object.entries(SIGNAL_STATUS).map(([status, config]) => (
+            <MenuItem key={status} value={status}>{config.label}</MenuItem>
+          ))}
+        </TextField>
+        <FormControlLabel
+          control={<Switch checked={activeOnly} onChange={(e) => { setActiveOnly(e.target.checked); setPage(0); }} />}
+          label="Active only"
+        />
+      </Box>
+
+      {/* Signals table */}
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell><strong>Active Ingredient</strong></TableCell>
+              <TableCell><strong>Reaction</strong></TableCell>
+              <TableCell align="right"><strong>Reports</strong></TableCell>
+              <TableCell><strong>PRR (95% CI)</strong></TableCell>
+              <TableCell><strong>ROR (95% CI)</strong></TableCell>
+              <TableCell align="right"><strong>IC025</strong></TableCell>
+              <TableCell><strong>Status</strong></TableCell>
+              <TableCell align="right"><strong>Actions</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={8} align="center" sx={{ py: 4 }}>
+                  <InlineLoading message="Loading signals..." />
+                </TableCell>
+              </TableRow>
+            ) : signals.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={8} align="center" sx={{ py: 4 }}>
+                  <Typography color="textSecondary">No signals found</Typography>
+                </TableCell>
+              </TableRow>
+            ) : (
+              signals.map((signal) => {
+                const status = SIGNAL_STATUS[signal.status] || SIGNAL_STATUS.new;
+                const { metrics = {} } = signal;
+                return (
+                  <TableRow key={signal._id} hover sx={{ opacity: signal.isActive ? 1 : 0.6 }}>
+                    <TableCell>
+                      <Typography fontWeight="medium">{signal.ingredientName || 'Unknown'}</Typography>
+                      {signal.medicines?.length > 0 && (
+                        <Typography variant="caption" color="textSecondary">
+                          {signal.medicines.map((medicine) => medicine.name).join(', ')}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Typography variant="body2">{signal.event?.ptName}</Typography>
+                        {!signal.event?.coded && <Chip label="Uncoded" size="small" variant="outlined" />}
+                      </Box>
+                      {signal.event?.socName && (
+                        <Typography variant="caption" color="textSecondary">{signal.event.socName}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{signal.contingency?.a}</TableCell>
+                    <TableCell>{formatInterval(metrics.prr, metrics.prrLower, metrics.prrUpper)}</TableCell>
+                    <TableCell>{formatInterval(metrics.ror, metrics.rorLower, metrics.rorUpper)}</TableCell>
+                    <TableCell align="right">{metrics.ic025 ?? '—'}</TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5, alignItems: 'flex-start' }}>
+                        <Chip label={status.label} color={status.color} size="small" />
+                        {signal.isActive ? (
+                          <Tooltip title="Methods that flagged this pair on the latest run">
+                            <Typography variant="caption" color="textSecondary">
+                              {signal.criteria?.join(' · ')}
+                            </Typography>
+                          </Tooltip>
+                        ) : (
+                          <Typography variant="caption" color="textSecondary">Below thresholds</Typography>
+                        )}
+                      </Box>
+                    </TableCell>
+                    <TableCell align="right">
+                      <Button
+                        size="small"
+                        onClick={() => setStatusDialog({ open: true, signal, status: signal.status, comment: '' })}
+                      >
+                        Evaluate
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                );
+              })
+            )}
+          </TableBody>
+        </Table>
+        <TablePagination
+          component="div"
+          count={totalItems}
+          page={page}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(event) => { setRowsPerPage(parseInt(event.target.value, 10)); setPage(0); }}
+          rowsPerPageOptions={[5, 10, 25, 50]}
+        />
+      </TableContainer>
+
+      {/* Status dialog */}
+      <Dialog
+        open={statusDialog.open}
+        onClose={() => setStatusDialog({ open: false, signal: null, status: '', comment: '' })}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          {statusDialog.signal?.ingredientName} – {statusDialog.signal?.event?.ptName}
+        </DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <TextField
+              select
+              label="Evaluation status"
+              value={statusDialog.status}
+              onChange={(e) => setStatusDialog((prev) => ({ ...prev, status: e.target.value }))}
+              fullWidth
+            >
+              {Object.entries(SIGNAL_STATUS).map(([status, config]) => (
+                <MenuItem key={status} value={status}>{config.label}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Comment"
+              multiline
+              rows={3}
+              value={statusDialog.comment}
+              onChange={(e) => setStatusDialog((prev) => ({ ...prev, comment: e.target.value }))}
+              placeholder="Evaluation notes, e.g. case review outcome or literature"
+              fullWidth
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setStatusDialog({ open: false, signal: null, status: '', comment: '' })}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={handleSaveStatus} disabled={savingStatus}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default SafetySignals;
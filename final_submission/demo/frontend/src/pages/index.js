@@ -1,6 +1,8 @@
 // Auth Pages
 export { default as Login } from './auth/Login';
 export { default as Registration } from './auth/Registration';
+export { default as ForgotPassword } from './auth/ForgotPassword';
+export { default as ResetPassword } from './auth/ResetPassword';
 
 // Dashboard Pages  
 export { default as Home } from './dashboard/Home';
@@ -11,7 +13,11 @@ export { default as Settings } from './dashboard/Settings';
 // Doctor Pages - Medication Management for Side Effect Reporting
 export { default as AddMedication } from './doctor/AddMedication';
 export { default as MedicationManagement } from './doctor/MedicationManagement';
+export { default as MedicationImport } from './doctor/MedicationImport';
 export { default as ReviewRequests } from './doctor/ReviewRequests';
+export { default as SafetySignals } from './doctor/SafetySignals';
+export { default as ReportsByBatch } from './doctor/ReportsByBatch';
+export { default as NotificationRules } from './doctor/NotificationRules';
 
 // Patient Pages
 export { default as Report } from './patient/Report';
@@ -169,6 +169,10 @@ export default function Report() {
     frequency: '',
     route: 'Oral',
     indication: '',
+    // From the pack; links the report to the product lot
+    batchNumber: '',
+    expiryDate: '',
+    manufacturer: '',
     symptoms: '',
     severity: 'Mild',
     onset: 'Within hours',
@@ -468,6 +472,11 @@ export default function Report() {
         // Don't send reportedBy - backend gets it from authenticated user
         reporterRole: user.role || 'patient',
         medicine: selectedMedication._id, // Backend expects 'medicine' field
+        medicineDetails: {
+          batchNumber: formData.batchNumber.trim() || undefined,
+          expiryDate: formData.expiryDate || undefined,
+          manufacturer: formData.manufacturer.trim() || undefined
+        },
         sideEffects: [{
           effect: formData.symptoms.trim(),
           severity: formData.severity,
@@ -611,6 +620,11 @@ export default function Report() {
                             {option.genericName}
                           </Typography>
                         )}
+                        {option.aliases?.length > 0 && (
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            Also known as {option.aliases.map((alias) => alias.name).join(', ')}
+                          </Typography>
+                        )}
                         {option.category && (
                           <Typography variant="caption" color="text.secondary">
                             Category: {option.category}
@@ -680,6 +694,41 @@ export default function Report() {
                 helperText="Why are you taking this medication"
               />
             </Grid>
+            <Grid item xs={12}>
+              <Divider textAlign="left">
+                <Typography variant="caption" color="text.secondary">From the pack (optional)</Typography>
+              </Divider>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                label="Batch / Lot Number"
+                value={formData.batchNumber}
+                onChange={handleInputChange('batchNumber')}
+                placeholder="e.g., AB1234"
+                helperText="Printed next to 'Lot' or 'Batch' on the box or blister"
+                inputProps={{ maxLength: 50 }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                type="date"
+                label="Expiry Date"
+                value={formData.expiryDate}
+                onChange={handleInputChange('expiryDate')}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                label="Manufacturer"
+                value={formData.manufacturer}
+                onChange={handleInputChange('manufacturer')}
+                inputProps={{ maxLength: 200 }}
+              />
+            </Grid>
           </Grid>
         );
 
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import {
   Container,
@@ -24,6 +24,13 @@ import {
   DialogContent,
   DialogActions,
   TextField,
+  Tabs,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
   useTheme,
   alpha,
 } from '@mui/material';
@@ -44,9 +51,19 @@ import {
   Schedule as ScheduleIcon,
   Print as PrintIcon,
   FileDownload as DownloadIcon,
+  Article as DetailsIcon,
+  History as HistoryIcon,
+  Restore as RestoreIcon,
+  Replay as ReplayIcon,
+  HourglassEmpty as PendingIcon,
+  SkipNext as SkippedIcon,
+  CompareArrows as InteractionIcon,
 } from '@mui/icons-material';
 import { reportService } from '../../services';
+import AuthContainer from '../../store/containers/AuthContainer';
+import { useNotifications } from '../../contexts/NotificationContext';
 import { printReport, exportClientJSON } from '../../utils/exportUtils';
+import { InteractionFindings } from '../../components';
 
 // Urgency level configurations
 const urgencyConfig = {
@@ -80,6 +97,24 @@ const urgencyConfig = {
   }
 };
 
+// Steps of the AI consumer's processing pipeline
+const analysisStepLabels = {
+  fetchReportData: 'Loading report',
+  fetchMediaFiles: 'Fetching attachments',
+  screenInteractions: 'Screening interactions',
+  analyzeWithAI: 'Analyzing',
+  updateReport: 'Saving results'
+};
+
+const ACTIVE_JOB_STATUSES = ['queued', 'running', 'retrying'];
+
+// A job update from the stream only replaces the one shown if it is newer
+const isNewerJob = (next, current) => {
+  if (!current) return true;
+  if (next.jobId !== current.jobId) return new Date(next.queuedAt) >= new Date(current.queuedAt);
+  return new Date(next.updatedAt) >= new Date(current.updatedAt);
+};
+
 const severityConfig = {
   'Mild': { color: 'success', icon: <CheckIcon /> },
   'Moderate': { color: 'warning', icon: <WarningIcon /> },
@@ -87,26 +122,81 @@ const severityConfig = {
   'Life-threatening': { color: 'error', icon: <ErrorIcon /> }
 };
 
+function TabPanel({ children, value, index }) {
+  return value === index ? <Box>{children}</Box> : null;
+}
+
+// 'doctorReview.doctorAssessment.severityOverride' -> 'Doctor Review › Doctor Assessment › Severity Override'
+const formatFieldPath = (path) => path
+  .split('.')
+  .map((segment) => segment.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase()))
+  .join(' › ');
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+const formatFieldValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+    return new Date(value).toLocaleString();
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '—';
+    return value
+      .map((item) => (item && typeof item === 'object' ? item.effect || item.description || JSON.stringify(item) : String(item)))
+      .join(', ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
 export default function ReportDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
   const theme = useTheme();
+  const { can } = AuthContainer.useContainer();
+  const { subscribe } = useNotifications();
   
+  const [tab, setTab] = useState(0);
   const [report, setReport] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [reviewDialogOpen, setReviewDialogOpen] = useState(false);
   const [reviewReason, setReviewReason] = useState('');
   const [submittingReview, setSubmittingReview] = useState(false);
+  const [analysisJob, setAnalysisJob] = useState(null);
+  const [reanalyzing, setReanalyzing] = useState(false);
 
   useEffect(() => {
     loadReport();
+    loadAnalysisStatus();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [id]);
 
-  const loadReport = async () => {
+  // Analysis progress is pushed over the notification stream
+  useEffect(() => subscribe('analysis_status', (job) => {
+    if (job.reportId !== id) return;
+    setAnalysisJob((current) => (isNewerJob(job, current) ? job : current));
+    if (job.status === 'completed') {
+      loadReport({ showSpinner: false });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }), [id, subscribe]);
+
+  const loadAnalysisStatus = async () => {
     try {
-      setLoading(true);
+      const response = await reportService.getAnalysisStatus(id);
+      const job = response.data?.job;
+      setAnalysisJob(job ? { ...job, jobId: job._id, reportId: job.report } : null);
+    } catch (err) {
+      // The report itself still shows whether it has been analyzed
+      console.error('Error loading analysis status:', err);
+    }
+  };
+
+  const loadReport = async ({ showSpinner = true } = {}) => {
+    try {
+      if (showSpinner) setLoading(true);
       const response = await reportService.getReportById(id);
       // Handle different response formats
       const reportData = response.data?.report || response.report || response.data;
@@ -125,6 +215,20 @@ export default function ReportDetail() {
     }
   };
 
+  const handleReanalyze = async () => {
+    try {
+      setReanalyzing(true);
+      const response = await reportService.reanalyzeReport(id);
+      const job = response.data?.job;
+      if (job) setAnalysisJob({ ...job, jobId: job._id, reportId: job.report });
+    } catch (err) {
+      console.error('Error re-running analysis:', err);
+      alert(err.message || 'Failed to re-run analysis');
+    } finally {
+      setReanalyzing(false);
+    }
+  };
+
   const handleRequestReview = async () => {
     try {
       setSubmittingReview(true);
@@ -169,6 +273,18 @@ export default function ReportDetail() {
   const patientGuidance = aiAnalysis?.patientGuidance;
   const doctorReview = report.doctorReview;
   const urgency = urgencyConfig[patientGuidance?.urgencyLevel] || urgencyConfig.routine;
+  const analysisActive = ACTIVE_JOB_STATUSES.includes(analysisJob?.status);
+  const reanalyzeButton = can('report:reanalyze') && (
+    <Button
+      size="small"
+      variant="outlined"
+      startIcon={reanalyzing ? <CircularProgress size={16} /> : <ReplayIcon />}
+      onClick={handleReanalyze}
+      disabled={reanalyzing || analysisActive}
+    >
+      Re-run Analysis
+    </Button>
+  );
 
   return (
     <Container maxWidth="lg" sx={{ py: 4 }}>
@@ -204,298 +320,382 @@ export default function ReportDetail() {
         </Button>
       </Box>
 
-      <Grid container spacing={3}>
-        {/* Left Column - Report Info */}
-        <Grid item xs={12} md={6}>
-          {/* Medication & Side Effect Info */}
-          <Card sx={{ mb: 3 }}>
-            <CardContent>
-              <Box display="flex" alignItems="center" mb={2}>
-                <Avatar sx={{ bgcolor: theme.palette.primary.main, mr: 2 }}>
-                  <MedicationIcon />
-                </Avatar>
-                <Box>
-                  <Typography variant="h6">{report.medicine?.name || 'Unknown Medication'}</Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    {report.medicine?.genericName}
-                  </Typography>
+      <Tabs
+        value={tab}
+        onChange={(_, value) => setTab(value)}
+        sx={{ borderBottom: 1, borderColor: 'divider', mb: 3 }}
+      >
+        <Tab icon={<DetailsIcon />} iconPosition="start" label="Details" sx={{ minHeight: 48, textTransform: 'none' }} />
+        <Tab icon={<HistoryIcon />} iconPosition="start" label="History" sx={{ minHeight: 48, textTransform: 'none' }} />
+      </Tabs>
+
+      <TabPanel value={tab} index={0}>
+        <Grid container spacing={3}>
+          {/* Left Column - Report Info */}
+          <Grid item xs={12} md={6}>
+            {/* Medication & Side Effect Info */}
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Box display="flex" alignItems="center" mb={2}>
+                  <Avatar sx={{ bgcolor: theme.palette.primary.main, mr: 2 }}>
+                    <MedicationIcon />
+                  </Avatar>
+                  <Box>
+                    <Typography variant="h6">{report.medicine?.name || 'Unknown Medication'}</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {report.medicine?.genericName}
+                    </Typography>
+                    {report.medicineDetails?.batchNumber && (
+                      <Typography variant="caption" color="text.secondary">
+                        Batch {report.medicineDetails.batchNumber}
+                        {report.medicineDetails.expiryDate &&
+                          ` • Exp. ${new Date(report.medicineDetails.expiryDate).toLocaleDateString()}`}
+                        {report.medicineDetails.manufacturer && ` • ${report.medicineDetails.manufacturer}`}
+                      </Typography>
+                    )}
+                  </Box>
                 </Box>
-              </Box>
               
-              <Divider sx={{ my: 2 }} />
+                <Divider sx={{ my: 2 }} />
               
-              <Typography variant="subtitle2" color="text.secondary" gutterBottom>
-                Reported Side Effects
-              </Typography>
-              {report.sideEffects?.map((effect, index) => (
-                <Box key={index} sx={{ mb: 2 }}>
-                  <Box display="flex" alignItems="center" justifyContent="space-between">
-                    <Typography variant="body1" fontWeight="medium">
-                      {effect.effect}
+                <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                  Reported Side Effects
+                </Typography>
+                {report.sideEffects?.map((effect, index) => (
+                  <Box key={index} sx={{ mb: 2 }}>
+                    <Box display="flex" alignItems="center" justifyContent="space-between">
+                      <Typography variant="body1" fontWeight="medium">
+                        {effect.effect}
+                      </Typography>
+                      <Chip 
+                        label={effect.severity}
+                        color={severityConfig[effect.severity]?.color || 'default'}
+                        size="small"
+                      />
+                    </Box>
+                    {effect.description && (
+                      <Typography variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+                        {effect.description}
+                      </Typography>
+                    )}
+                    <Typography variant="caption" color="text.secondary">
+                      Onset: {effect.onset} • {effect.bodySystem || 'General'}
                     </Typography>
-                    <Chip 
-                      label={effect.severity}
-                      color={severityConfig[effect.severity]?.color || 'default'}
-                      size="small"
-                    />
+                    {effect.coding?.terms?.length > 0 && (
+                      <Box display="flex" flexWrap="wrap" alignItems="center" gap={0.5} sx={{ mt: 0.5 }}>
+                        <Typography variant="caption" color="text.secondary">Coded as:</Typography>
+                        {effect.coding.terms.map((term) => (
+                          <Chip
+                            key={term.lltCode}
+                            label={term.ptName}
+                            title={`${term.lltName} → ${term.ptName} → ${term.socName}`}
+                            size="small"
+                            variant="outlined"
+                            color={['confirmed', 'overridden'].includes(effect.coding.status) ? 'success' : 'default'}
+                          />
+                        ))}
+                      </Box>
+                    )}
                   </Box>
-                  {effect.description && (
-                    <Typography variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
-                      {effect.description}
-                    </Typography>
-                  )}
-                  <Typography variant="caption" color="text.secondary">
-                    Onset: {effect.onset} • {effect.bodySystem || 'General'}
-                  </Typography>
-                </Box>
-              ))}
+                ))}
               
-              <Divider sx={{ my: 2 }} />
+                <Divider sx={{ my: 2 }} />
               
-              <Grid container spacing={2}>
-                <Grid item xs={6}>
-                  <Typography variant="caption" color="text.secondary">Dosage</Typography>
-                  <Typography variant="body2">
-                    {report.medicationUsage?.dosage?.amount} - {report.medicationUsage?.dosage?.frequency}
-                  </Typography>
-                </Grid>
-                <Grid item xs={6}>
-                  <Typography variant="caption" color="text.secondary">Route</Typography>
-                  <Typography variant="body2">{report.medicationUsage?.dosage?.route}</Typography>
-                </Grid>
-                <Grid item xs={6}>
-                  <Typography variant="caption" color="text.secondary">Indication</Typography>
-                  <Typography variant="body2">{report.medicationUsage?.indication}</Typography>
-                </Grid>
-                <Grid item xs={6}>
-                  <Typography variant="caption" color="text.secondary">Reported</Typography>
-                  <Typography variant="body2">
-                    {new Date(report.createdAt).toLocaleDateString()}
-                  </Typography>
+                <Grid container spacing={2}>
+                  <Grid item xs={6}>
+                    <Typography variant="caption" color="text.secondary">Dosage</Typography>
+                    <Typography variant="body2">
+                      {report.medicationUsage?.dosage?.amount} - {report.medicationUsage?.dosage?.frequency}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={6}>
+                    <Typography variant="caption" color="text.secondary">Route</Typography>
+                    <Typography variant="body2">{report.medicationUsage?.dosage?.route}</Typography>
+                  </Grid>
+                  <Grid item xs={6}>
+                    <Typography variant="caption" color="text.secondary">Indication</Typography>
+                    <Typography variant="body2">{report.medicationUsage?.indication}</Typography>
+                  </Grid>
+                  <Grid item xs={6}>
+                    <Typography variant="caption" color="text.secondary">Reported</Typography>
+                    <Typography variant="body2">
+                      {new Date(report.createdAt).toLocaleDateString()}
+                    </Typography>
+                  </Grid>
                 </Grid>
-              </Grid>
-            </CardContent>
-          </Card>
-        </Grid>
+              </CardContent>
+            </Card>
 
-        {/* Right Column - AI Analysis & Doctor Review */}
-        <Grid item xs={12} md={6}>
-          {/* AI Analysis Card - Only show if processed */}
-          {report.metadata?.aiProcessed && (
-            <Card 
-              sx={{ 
-                mb: 3, 
-                border: `2px solid ${urgency.borderColor}`,
-                bgcolor: alpha(urgency.borderColor, 0.05)
-              }}
-            >
-              <CardContent>
-                <Box display="flex" alignItems="center" mb={2}>
-                  <Avatar sx={{ bgcolor: urgency.borderColor, mr: 2 }}>
-                    <AIIcon />
-                  </Avatar>
-                  <Box flex={1}>
-                    <Typography variant="h6">AI Analysis</Typography>
-                    <Chip 
-                      icon={urgency.icon}
-                      label={urgency.label}
-                      color={urgency.color}
-                      size="small"
-                    />
+            {/* Interaction screening - for reviewers */}
+            {can('report:review') && (
+              <Card sx={{ mb: 3 }}>
+                <CardContent>
+                  <Box display="flex" alignItems="center" mb={2}>
+                    <Avatar sx={{ bgcolor: theme.palette.warning.main, mr: 2 }}>
+                      <InteractionIcon />
+                    </Avatar>
+                    <Box>
+                      <Typography variant="h6">Drug Interactions</Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        Concomitant: {report.patientInfo?.concomitantMedications?.map((med) => med.medicineName).filter(Boolean).join(', ') || 'none reported'}
+                      </Typography>
+                    </Box>
                   </Box>
-                </Box>
-
-                {/* Main Recommendation */}
-                {patientGuidance?.recommendation && (
-                  <Alert 
-                    severity={urgency.color}
-                    sx={{ mb: 2 }}
-                    icon={urgency.icon}
-                  >
-                    <AlertTitle>What This Means For You</AlertTitle>
-                    {patientGuidance.recommendation}
-                  </Alert>
-                )}
+                  <InteractionFindings screening={report.interactionScreening} />
+                </CardContent>
+              </Card>
+            )}
+          </Grid>
 
-                {/* Next Steps */}
-                {patientGuidance?.nextSteps?.length > 0 && (
-                  <Box mb={2}>
-                    <Typography variant="subtitle2" gutterBottom display="flex" alignItems="center">
-                      <TipIcon sx={{ mr: 1, fontSize: 20 }} />
-                      Recommended Next Steps
-                    </Typography>
-                    <List dense>
-                      {patientGuidance.nextSteps.map((step, idx) => (
-                        <ListItem key={idx} sx={{ py: 0.5 }}>
-                          <ListItemIcon sx={{ minWidth: 32 }}>
-                            <CheckIcon color="success" fontSize="small" />
-                          </ListItemIcon>
-                          <ListItemText primary={step} />
-                        </ListItem>
-                      ))}
-                    </List>
+          {/* Right Column - AI Analysis & Doctor Review */}
+          <Grid item xs={12} md={6}>
+            {/* AI Analysis Card - Only show if processed */}
+            {report.metadata?.aiProcessed && (
+              <Card 
+                sx={{ 
+                  mb: 3, 
+                  border: `2px solid ${urgency.borderColor}`,
+                  bgcolor: alpha(urgency.borderColor, 0.05)
+                }}
+              >
+                <CardContent>
+                  <Box display="flex" alignItems="center" mb={2}>
+                    <Avatar sx={{ bgcolor: urgency.borderColor, mr: 2 }}>
+                      <AIIcon />
+                    </Avatar>
+                    <Box flex={1}>
+                      <Typography variant="h6">AI Analysis</Typography>
+                      <Chip 
+                        icon={urgency.icon}
+                        label={urgency.label}
+                        color={urgency.color}
+                        size="small"
+                      />
+                    </Box>
+                    {reanalyzeButton}
                   </Box>
-                )}
 
-                {/* Warning Signs */}
-                {patientGuidance?.warningSignsToWatch?.length > 0 && (
-                  <Box mb={2}>
-                    <Typography variant="subtitle2" gutterBottom display="flex" alignItems="center" color="warning.main">
-                      <WarningIcon sx={{ mr: 1, fontSize: 20 }} />
-                      Warning Signs to Watch
-                    </Typography>
-                    <List dense>
-                      {patientGuidance.warningSignsToWatch.map((sign, idx) => (
-                        <ListItem key={idx} sx={{ py: 0.5 }}>
-                          <ListItemIcon sx={{ minWidth: 32 }}>
-                            <MonitorIcon color="warning" fontSize="small" />
-                          </ListItemIcon>
-                          <ListItemText primary={sign} />
-                        </ListItem>
-                      ))}
-                    </List>
-                  </Box>
-                )}
+                  {/* A re-run in progress replaces this analysis when it completes */}
+                  {(analysisActive || analysisJob?.status === 'failed') && (
+                    <Box mb={2}>
+                      <AnalysisProgress job={analysisJob} />
+                    </Box>
+                  )}
+
+                  {/* Main Recommendation */}
+                  {patientGuidance?.recommendation && (
+                    <Alert 
+                      severity={urgency.color}
+                      sx={{ mb: 2 }}
+                      icon={urgency.icon}
+                    >
+                      <AlertTitle>What This Means For You</AlertTitle>
+                      {patientGuidance.recommendation}
+                    </Alert>
+                  )}
+
+                  {/* Next Steps */}
+                  {patientGuidance?.nextSteps?.length > 0 && (
+                    <Box mb={2}>
+                      <Typography variant="subtitle2" gutterBottom display="flex" alignItems="center">
+                        <TipIcon sx={{ mr: 1, fontSize: 20 }} />
+                        Recommended Next Steps
+                      </Typography>
+                      <List dense>
+                        {patientGuidance.nextSteps.map((step, idx) => (
+                          <ListItem key={idx} sx={{ py: 0.5 }}>
+                            <ListItemIcon sx={{ minWidth: 32 }}>
+                              <CheckIcon color="success" fontSize="small" />
+                            </ListItemIcon>
+                            <ListItemText primary={step} />
+                          </ListItem>
+                        ))}
+                      </List>
+                    </Box>
+                  )}
 
-                {/* Quick Actions Based on Urgency */}
-                {patientGuidance?.shouldSeekMedicalAttention && (
-                  <Box display="flex" gap={1} mt={2}>
-                    {patientGuidance.urgencyLevel === 'emergency' && (
+                  {/* Warning Signs */}
+                  {patientGuidance?.warningSignsToWatch?.length > 0 && (
+                    <Box mb={2}>
+                      <Typography variant="subtitle2" gutterBottom display="flex" alignItems="center" color="warning.main">
+                        <WarningIcon sx={{ mr: 1, fontSize: 20 }} />
+                        Warning Signs to Watch
+                      </Typography>
+                      <List dense>
+                        {patientGuidance.warningSignsToWatch.map((sign, idx) => (
+                          <ListItem key={idx} sx={{ py: 0.5 }}>
+                            <ListItemIcon sx={{ minWidth: 32 }}>
+                              <MonitorIcon color="warning" fontSize="small" />
+                            </ListItemIcon>
+                            <ListItemText primary={sign} />
+                          </ListItem>
+                        ))}
+                      </List>
+                    </Box>
+                  )}
+
+                  {/* Quick Actions Based on Urgency */}
+                  {patientGuidance?.shouldSeekMedicalAttention && (
+                    <Box display="flex" gap={1} mt={2}>
+                      {patientGuidance.urgencyLevel === 'emergency' && (
+                        <Button 
+                          variant="contained" 
+                          color="error" 
+                          startIcon={<PhoneIcon />}
+                          href="tel:911"
+                        >
+                          Call Emergency
+                        </Button>
+                      )}
                       <Button 
-                        variant="contained" 
-                        color="error" 
-                        startIcon={<PhoneIcon />}
-                        href="tel:911"
+                        variant="outlined" 
+                        color={urgency.color}
+                        startIcon={<HospitalIcon />}
                       >
-                        Call Emergency
+                        Find Nearby Care
                       </Button>
+                    </Box>
+                  )}
+
+                  {/* AI Summary */}
+                  {aiAnalysis?.summary && (
+                    <Paper sx={{ p: 2, mt: 2, bgcolor: 'background.default' }}>
+                      <Typography variant="caption" color="text.secondary">
+                        Clinical Summary
+                      </Typography>
+                      <Typography variant="body2">{aiAnalysis.summary}</Typography>
+                    </Paper>
+                  )}
+                </CardContent>
+              </Card>
+            )}
+
+            {/* Processing Status if not yet processed */}
+            {!report.metadata?.aiProcessed && (
+              <Card sx={{ mb: 3 }}>
+                <CardContent>
+                  <Box display="flex" alignItems="center">
+                    {analysisJob?.status === 'failed' ? (
+                      <ErrorIcon color="error" sx={{ mr: 2 }} />
+                    ) : (
+                      <CircularProgress size={24} sx={{ mr: 2 }} />
                     )}
-                    <Button 
-                      variant="outlined" 
-                      color={urgency.color}
-                      startIcon={<HospitalIcon />}
-                    >
-                      Find Nearby Care
-                    </Button>
+                    <Box flex={1}>
+                      <Typography variant="h6">
+                        {analysisJob?.status === 'failed' ? 'Analysis Unavailable' : 'Analyzing Your Report'}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {analysisJob?.status === 'failed'
+                          ? 'We could not analyze your report automatically. A doctor can still review it.'
+                          : 'Our AI is reviewing your report. This usually takes a few moments.'}
+                      </Typography>
+                    </Box>
+                    {reanalyzeButton}
                   </Box>
-                )}
-
-                {/* AI Summary */}
-                {aiAnalysis?.summary && (
-                  <Paper sx={{ p: 2, mt: 2, bgcolor: 'background.default' }}>
-                    <Typography variant="caption" color="text.secondary">
-                      Clinical Summary
-                    </Typography>
-                    <Typography variant="body2">{aiAnalysis.summary}</Typography>
-                  </Paper>
-                )}
-              </CardContent>
-            </Card>
-          )}
+                  {analysisJob && (
+                    <Box mt={2}>
+                      <AnalysisProgress job={analysisJob} />
+                    </Box>
+                  )}
+                </CardContent>
+              </Card>
+            )}
 
-          {/* Processing Status if not yet processed */}
-          {!report.metadata?.aiProcessed && (
+            {/* Doctor Review Section */}
             <Card sx={{ mb: 3 }}>
               <CardContent>
-                <Box display="flex" alignItems="center">
-                  <CircularProgress size={24} sx={{ mr: 2 }} />
-                  <Box>
-                    <Typography variant="h6">Analyzing Your Report</Typography>
-                    <Typography variant="body2" color="text.secondary">
-                      Our AI is reviewing your report. This usually takes a few moments.
-                    </Typography>
-                  </Box>
+                <Box display="flex" alignItems="center" mb={2}>
+                  <Avatar sx={{ bgcolor: theme.palette.secondary.main, mr: 2 }}>
+                    <DoctorIcon />
+                  </Avatar>
+                  <Typography variant="h6">Doctor Review</Typography>
                 </Box>
-              </CardContent>
-            </Card>
-          )}
 
-          {/* Doctor Review Section */}
-          <Card sx={{ mb: 3 }}>
-            <CardContent>
-              <Box display="flex" alignItems="center" mb={2}>
-                <Avatar sx={{ bgcolor: theme.palette.secondary.main, mr: 2 }}>
-                  <DoctorIcon />
-                </Avatar>
-                <Typography variant="h6">Doctor Review</Typography>
-              </Box>
-
-              {/* If review completed - show doctor's remarks */}
-              {doctorReview?.status === 'completed' ? (
-                <Box>
-                  <Alert severity="success" sx={{ mb: 2 }}>
-                    <AlertTitle>Reviewed by Dr. {doctorReview.reviewedBy?.firstName} {doctorReview.reviewedBy?.lastName}</AlertTitle>
-                    Reviewed on {new Date(doctorReview.reviewedAt).toLocaleDateString()}
-                  </Alert>
-
-                  {doctorReview.remarks && (
-                    <Paper sx={{ p: 2, mb: 2, bgcolor: alpha(theme.palette.success.main, 0.05) }}>
-                      <Typography variant="subtitle2" gutterBottom>
-                        <ReviewIcon sx={{ mr: 1, fontSize: 18, verticalAlign: 'middle' }} />
-                        Doctor's Remarks
-                      </Typography>
-                      <Typography variant="body1">{doctorReview.remarks}</Typography>
-                    </Paper>
-                  )}
+                {/* If review completed - show doctor's remarks */}
+                {doctorReview?.status === 'completed' ? (
+                  <Box>
+                    <Alert severity="success" sx={{ mb: 2 }}>
+                      <AlertTitle>Reviewed by Dr. {doctorReview.reviewedBy?.firstName} {doctorReview.reviewedBy?.lastName}</AlertTitle>
+                      Reviewed on {new Date(doctorReview.reviewedAt).toLocaleDateString()}
+                    </Alert>
 
-                  {doctorReview.doctorAssessment?.recommendation && (
-                    <Paper sx={{ p: 2, mb: 2 }}>
-                      <Typography variant="subtitle2" gutterBottom>Recommendation</Typography>
-                      <Typography variant="body2">{doctorReview.doctorAssessment.recommendation}</Typography>
-                    </Paper>
-                  )}
+                    {doctorReview.remarks && (
+                      <Paper sx={{ p: 2, mb: 2, bgcolor: alpha(theme.palette.success.main, 0.05) }}>
+                        <Typography variant="subtitle2" gutterBottom>
+                          <ReviewIcon sx={{ mr: 1, fontSize: 18, verticalAlign: 'middle' }} />
+                          Doctor's Remarks
+                        </Typography>
+                        <Typography variant="body1">{doctorReview.remarks}</Typography>
+                      </Paper>
+                    )}
 
-                  {doctorReview.doctorAssessment?.actionRequired && 
-                   doctorReview.doctorAssessment.actionRequired !== 'none' && (
-                    <Chip 
-                      label={`Action: ${doctorReview.doctorAssessment.actionRequired.replace(/_/g, ' ')}`}
-                      color="primary"
-                      sx={{ mr: 1 }}
-                    />
-                  )}
+                    {doctorReview.doctorAssessment?.recommendation && (
+                      <Paper sx={{ p: 2, mb: 2 }}>
+                        <Typography variant="subtitle2" gutterBottom>Recommendation</Typography>
+                        <Typography variant="body2">{doctorReview.doctorAssessment.recommendation}</Typography>
+                      </Paper>
+                    )}
 
-                  {doctorReview.doctorAssessment?.followUpRequired && (
-                    <Chip 
-                      icon={<ScheduleIcon />}
-                      label={`Follow-up: ${new Date(doctorReview.doctorAssessment.followUpDate).toLocaleDateString()}`}
-                      color="info"
-                    />
-                  )}
-                </Box>
-              ) : doctorReview?.requested ? (
-                // Review requested but pending
-                <Box>
-                  <Alert severity="info">
-                    <AlertTitle>Review Requested</AlertTitle>
-                    Your request for a doctor review has been submitted. 
-                    {doctorReview.status === 'in_review' 
-                      ? ' A doctor is currently reviewing your report.'
-                      : ' A doctor will review your report soon.'}
-                  </Alert>
-                  <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-                    Requested on {new Date(doctorReview.requestedAt).toLocaleDateString()}
-                  </Typography>
-                </Box>
-              ) : (
-                // No review requested yet
-                <Box>
-                  <Typography variant="body2" color="text.secondary" paragraph>
-                    If you'd like a healthcare professional to review this report and provide personalized guidance, you can request a doctor review.
-                  </Typography>
-                  <Button 
-                    variant="contained" 
-                    color="primary"
-                    startIcon={<DoctorIcon />}
-                    onClick={() => setReviewDialogOpen(true)}
-                  >
-                    Request Doctor Review
-                  </Button>
-                </Box>
-              )}
-            </CardContent>
-          </Card>
+                    {doctorReview.doctorAssessment?.actionRequired && 
+                     doctorReview.doctorAssessment.actionRequired !== 'none' && (
+                      <Chip 
+                        label={`Action: ${doctorReview.doctorAssessment.actionRequired.replace(/_/g, ' ')}`}
+                        color="primary"
+                        sx={{ mr: 1 }}
+                      />
+                    )}
+
+                    {doctorReview.doctorAssessment?.followUpRequired && (
+                      <Chip 
+                        icon={<ScheduleIcon />}
+                        label={`Follow-up: ${new Date(doctorReview.doctorAssessment.followUpDate).toLocaleDateString()}`}
+                        color="info"
+                      />
+                    )}
+                  </Box>
+                ) : doctorReview?.requested ? (
+                  // Review requested but pending
+                  <Box>
+                    <Alert severity="info">
+                      <AlertTitle>Review Requested</AlertTitle>
+                      Your request for a doctor review has been submitted. 
+                      {doctorReview.status === 'in_review' 
+                        ? ' A doctor is currently reviewing your report.'
+                        : ' A doctor will review your report soon.'}
+                    </Alert>
+                    <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+                      Requested on {new Date(doctorReview.requestedAt).toLocaleDateString()}
+                    </Typography>
+                  </Box>
+                ) : (
+                  // No review requested yet
+                  <Box>
+                    <Typography variant="body2" color="text.secondary" paragraph>
+                      If you'd like a healthcare professional to review this report and provide personalized guidance, you can request a doctor review.
+                    </Typography>
+                    <Button 
+                      variant="contained" 
+                      color="primary"
+                      startIcon={<DoctorIcon />}
+                      onClick={() => setReviewDialogOpen(true)}
+                    >
+                      Request Doctor Review
+                    </Button>
+                  </Box>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
         </Grid>
-      </Grid>
+      </TabPanel>
+
+      <TabPanel value={tab} index={1}>
+        <ReportHistory
+          reportId={id}
+          canRestore={can('report:restore_version')}
+          onRestored={loadReport}
+        />
+      </TabPanel>
 
       {/* Request Review Dialog */}
       <Dialog open={reviewDialogOpen} onClose={() => setReviewDialogOpen(false)} maxWidth="sm" fullWidth>
@@ -529,3 +729,225 @@ export default function ReportDetail() {
     </Container>
   );
 }
+
+// Status of an analysis job and each step of the processing pipeline
+function AnalysisProgress({ job }) {
+  const stepIcon = (status) => {
+    switch (status) {
+      case 'running':
+        return <CircularProgress size={16} />;
+      case 'completed':
+        return <CheckIcon color="success" fontSize="small" />;
+      case 'failed':
+        return <ErrorIcon color="error" fontSize="small" />;
+      case 'skipped':
+        return <SkippedIcon color="disabled" fontSize="small" />;
+      default:
+        return <PendingIcon color="disabled" fontSize="small" />;
+    }
+  };
+
+  return (
+    <Box>
+      <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+        <Chip
+          size="small"
+          label={job.status === 'retrying' ? `Retrying (attempt ${job.attempts})` : job.status}
+          color={{ completed: 'success', failed: 'error', retrying: 'warning' }[job.status] || 'info'}
+        />
+        {job.trigger === 'reanalyze' && (
+          <Typography variant="caption" color="text.secondary">Re-run requested</Typography>
+        )}
+      </Box>
+      {job.status === 'queued' && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Waiting for the analysis service…
+        </Typography>
+      )}
+      {job.steps?.length > 0 && (
+        <List dense disablePadding>
+          {job.steps.map((step) => (
+            <ListItem key={step.name} sx={{ py: 0 }}>
+              <ListItemIcon sx={{ minWidth: 32 }}>{stepIcon(step.status)}</ListItemIcon>
+              <ListItemText
+                primary={analysisStepLabels[step.name] || step.name}
+                secondary={step.error}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+      {job.error && job.status !== 'completed' && (
+        <Typography variant="caption" color="error" display="block" sx={{ mt: 0.5 }}>
+          {job.error}
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
+// Version history of a report: who changed which field, and when
+function ReportHistory({ reportId, canRestore, onRestored }) {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restoreReason, setRestoreReason] = useState('');
+  const [restoring, setRestoring] = useState(false);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await reportService.getReportVersions(reportId);
+      setHistory(response.data);
+    } catch (err) {
+      console.error('Error loading report history:', err);
+      setError(err.message || 'Failed to load report history');
+    } finally {
+      setLoading(false);
+    }
+  }, [reportId]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleRestore = async () => {
+    try {
+      setRestoring(true);
+      await reportService.restoreReportVersion(reportId, restoreTarget, restoreReason);
+      setRestoreTarget(null);
+      setRestoreReason('');
+      // Reloading the report also remounts this tab with the new history
+      onRestored();
+    } catch (err) {
+      console.error('Error restoring version:', err);
+      alert(err.message || 'Failed to restore version');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" py={6}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!history?.versions?.length) {
+    return (
+      <Alert severity="info">
+        No version history has been recorded for this report yet.
+      </Alert>
+    );
+  }
+
+  return (
+    <Box>
+      {history.versions.map((entry) => (
+        <Paper key={entry.version} variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Box display="flex" alignItems="center" flexWrap="wrap" gap={1} mb={1}>
+            <Chip label={`Version ${entry.version}`} size="small" color="primary" variant="outlined" />
+            {entry.version === history.currentVersion && (
+              <Chip label="Current" size="small" color="success" />
+            )}
+            {entry.restoredFrom && (
+              <Chip
+                icon={<RestoreIcon />}
+                label={`Restored from version ${entry.restoredFrom}`}
+                size="small"
+                color="warning"
+              />
+            )}
+            <Typography variant="body2" sx={{ flexGrow: 1 }}>
+              {entry.changedBy
+                ? `${entry.changedBy.firstName} ${entry.changedBy.lastName} (${entry.changedBy.role})${entry.source ? ` via ${entry.source}` : ''}`
+                : `${entry.actor === 'ai' ? 'AI analysis' : 'System'}${entry.source ? ` (${entry.source})` : ''}`}
+              {' • '}
+              {new Date(entry.changedAt).toLocaleString()}
+            </Typography>
+            {canRestore && entry.version !== history.currentVersion && (
+              <Button
+                size="small"
+                startIcon={<RestoreIcon />}
+                onClick={() => setRestoreTarget(entry.version)}
+              >
+                Restore
+              </Button>
+            )}
+          </Box>
+
+          {entry.previousVersion === null ? (
+            <Typography variant="body2" color="text.secondary">
+              {entry.version === 1 ? 'Report submitted' : 'Earliest recorded version'}
+            </Typography>
+          ) : entry.changes.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No field changes
+            </Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Field</TableCell>
+                  <TableCell>Before</TableCell>
+                  <TableCell>After</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {entry.changes.map((change) => (
+                  <TableRow key={change.path}>
+                    <TableCell sx={{ fontWeight: 500 }}>{formatFieldPath(change.path)}</TableCell>
+                    <TableCell sx={{ color: 'error.main', wordBreak: 'break-word' }}>
+                      {formatFieldValue(change.before)}
+                    </TableCell>
+                    <TableCell sx={{ color: 'success.main', wordBreak: 'break-word' }}>
+                      {formatFieldValue(change.after)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </Paper>
+      ))}
+
+      {/* Restore Version Dialog */}
+      <Dialog open={restoreTarget !== null} onClose={() => setRestoreTarget(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Restore Version {restoreTarget}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" paragraph sx={{ mt: 1 }}>
+            The report will be brought back to the content of version {restoreTarget}.
+            This is saved as a new version, so the current content stays in the history.
+          </Typography>
+          <TextField
+            fullWidth
+            multiline
+            rows={2}
+            label="Reason (optional)"
+            value={restoreReason}
+            onChange={(e) => setRestoreReason(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRestoreTarget(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color="warning"
+            onClick={handleRestore}
+            disabled={restoring}
+          >
+            {restoring ? <CircularProgress size={24} /> : 'Restore'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
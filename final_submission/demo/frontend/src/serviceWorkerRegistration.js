@@ -94,3 +94,47 @@ export function unregister() {
       });
   }
 }
+
+// VAPID public keys are URL-safe base64; PushManager wants the raw bytes
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+export function isPushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// Ask for permission and subscribe this browser to Web Push; resolves to the
+// subscription to send to the backend
+export async function subscribeToPush(vapidPublicKey) {
+  if (!isPushSupported()) {
+    throw new Error('This browser does not support push notifications');
+  }
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site in the browser settings');
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  const existing = await registration.pushManager.getSubscription();
+  if (existing) return existing.toJSON();
+
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(vapidPublicKey)
+  });
+  return subscription.toJSON();
+}
+
+// Unsubscribe this browser; resolves to the endpoint it had, if any
+export async function unsubscribeFromPush() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription();
+  if (!subscription) return null;
+  await subscription.unsubscribe();
+  return subscription.endpoint;
+}
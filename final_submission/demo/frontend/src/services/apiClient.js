@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { ROUTES } from '../config/constants';
 
 // Base API URL - uses REACT_APP_API_URL env var, defaults to docker-compose backend port
 const BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001/api';
@@ -26,6 +27,20 @@ export const tokenManager = {
   getRefreshToken: () => localStorage.getItem('refreshToken'),
   setRefreshToken: (token) => localStorage.setItem('refreshToken', token),
   removeRefreshToken: () => localStorage.removeItem('refreshToken'),
+  // Store the token pair returned by signin/signup/refresh
+  setTokens: ({ token, refreshToken }) => {
+    if (token) localStorage.setItem('token', token);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  },
+  // Stable per-browser id so each device gets its own server-side session
+  getDeviceId: () => {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+      deviceId = `web-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem('deviceId', deviceId);
+    }
+    return deviceId;
+  },
   clearAll: () => {
     localStorage.removeItem('token');
     localStorage.removeItem('authToken');
@@ -60,6 +75,30 @@ export const userManager = {
   }
 };
 
+// Refresh tokens are single-use, so concurrent 401s must share one refresh call
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = tokenManager.getRefreshToken();
+    refreshPromise = axios
+      .post(`${BASE_URL}${ROUTES.API.AUTH.REFRESH}`, { refreshToken }, { timeout: 10000 })
+      .then((response) => {
+        const tokens = response.data.data;
+        tokenManager.setTokens(tokens);
+        return tokens.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const isAuthEndpoint = (url = '') =>
+  [ROUTES.API.AUTH.LOGIN, ROUTES.API.AUTH.REGISTER, ROUTES.API.AUTH.REFRESH, ROUTES.API.AUTH.LOGOUT]
+    .some((path) => url.includes(path));
+
 // Request interceptor to add token to requests
 apiClient.interceptors.request.use(
   (config) => {
@@ -115,9 +154,20 @@ apiClient.interceptors.response.use(
     }
 
     // Handle 401 Unauthorized errors
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && !originalRequest._retry && !isAuthEndpoint(originalRequest.url)) {
       originalRequest._retry = true;
 
+      // Silently refresh the access token and replay the request once
+      if (tokenManager.getRefreshToken()) {
+        try {
+          const newToken = await refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${newToken}`;
+          return apiClient(originalRequest);
+        } catch (refreshError) {
+          console.error('❌ Token refresh failed:', refreshError.response?.data || refreshError.message);
+        }
+      }
+
       // Clear tokens and redirect to login
       tokenManager.clearAll();
       userManager.removeUser();
@@ -168,15 +218,26 @@ apiClient.interceptors.response.use(
 export const api = {
   // Authentication endpoints
   auth: {
-    signup: (userData) => apiClient.post('/auth/signup', userData),
-    signin: (credentials) => apiClient.post('/auth/signin', credentials),
+    signup: (userData) => apiClient.post('/auth/signup', { deviceId: tokenManager.getDeviceId(), ...userData }),
+    signin: (credentials) => apiClient.post('/auth/signin', { deviceId: tokenManager.getDeviceId(), ...credentials }),
+    signinTwoFactor: (data) => apiClient.post('/auth/signin/2fa', { deviceId: tokenManager.getDeviceId(), ...data }),
+    refresh: (refreshToken) => apiClient.post('/auth/refresh', { refreshToken }),
+    logout: (refreshToken) => apiClient.post('/auth/logout', { refreshToken }),
+    logoutAll: () => apiClient.post('/auth/logout-all'),
     getProfile: () => apiClient.get('/auth/profile'),
     updateProfile: (profileData) => apiClient.put('/auth/profile', profileData),
     changePassword: (passwordData) => apiClient.put('/auth/change-password', passwordData),
     updateProfilePicture: (data) => apiClient.put('/auth/profile-picture', data),
     verifyEmail: (token) => apiClient.get(`/auth/verify-email?token=${token}`),
     resendVerification: (email) => apiClient.post('/auth/resend-verification', { email }),
-    deactivateAccount: (password) => apiClient.delete('/auth/deactivate', { data: { password } })
+    forgotPassword: (email) => apiClient.post('/auth/forgot-password', { email }),
+    resetPassword: (token, newPassword) => apiClient.post('/auth/reset-password', { token, newPassword }),
+    deactivateAccount: (password) => apiClient.delete('/auth/deactivate', { data: { password } }),
+    twoFactorStatus: () => apiClient.get('/auth/2fa/status'),
+    twoFactorSetup: () => apiClient.post('/auth/2fa/setup'),
+    twoFactorEnable: (code) => apiClient.post('/auth/2fa/enable', { code }),
+    twoFactorDisable: (data) => apiClient.post('/auth/2fa/disable', data),
+    twoFactorRecoveryCodes: (code) => apiClient.post('/auth/2fa/recovery-codes', { code })
   },
 
   // Medicine endpoints
@@ -207,7 +268,13 @@ export const api = {
     getUnreadCount: () => apiClient.get('/notifications/unread-count'),
     markRead: (id) => apiClient.put(`/notifications/${id}/read`),
     markAllRead: () => apiClient.put('/notifications/mark-all-read'),
-    stream: () => `${apiClient.defaults.baseURL}/notifications/stream`
+    stream: () => `${apiClient.defaults.baseURL}/notifications/stream`,
+    getPreferences: () => apiClient.get('/notifications/preferences'),
+    updatePreferences: (data) => apiClient.put('/notifications/preferences', data),
+    subscribePush: (subscription) => apiClient.post('/notifications/push-subscriptions', subscription),
+    unsubscribePush: (endpoint) => apiClient.delete('/notifications/push-subscriptions', { data: { endpoint } }),
+    getDeliveries: (params) => apiClient.get('/notifications/deliveries', { params }),
+    previewDigest: (params) => apiClient.get('/notifications/digest/preview', { params })
   },
 
   // Export endpoints
@@ -27,7 +27,7 @@ class AuthService {
         const { user, token } = response.data.data;
         
         // Store token and user data
-        tokenManager.setToken(token);
+        tokenManager.setTokens(response.data.data);
         userManager.setUser(user);
         
         return {
@@ -60,7 +60,7 @@ class AuthService {
         const { user, token } = response.data.data;
         
         // Store token and user data
-        tokenManager.setToken(token);
+        tokenManager.setTokens(response.data.data);
         userManager.setUser(user);
         
         return {
@@ -220,8 +220,68 @@ class AuthService {
     }
   }
 
+  // Request a password reset email
+  async forgotPassword(email) {
+    try {
+      const response = await api.auth.forgotPassword(email);
+      
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message || 'Password reset email sent'
+        };
+      }
+      
+      return {
+        success: false,
+        message: response.data.message || 'Failed to send password reset email'
+      };
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to send password reset email'
+      };
+    }
+  }
+
+  // Reset password with emailed token
+  async resetPassword(token, newPassword) {
+    try {
+      const response = await api.auth.resetPassword(token, newPassword);
+      
+      if (response.data.success) {
+        return {
+          success: true,
+          message: response.data.message || 'Password reset successfully'
+        };
+      }
+      
+      return {
+        success: false,
+        message: response.data.message || 'Failed to reset password'
+      };
+    } catch (error) {
+      console.error('Reset password error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || error.message || 'Failed to reset password'
+      };
+    }
+  }
+
   // Logout user
-  logout() {
+  async logout() {
+    // Revoke this device's session; local data is cleared even if this fails
+    const refreshToken = tokenManager.getRefreshToken();
+    if (refreshToken) {
+      try {
+        await api.auth.logout(refreshToken);
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+    }
+
     // Clear all stored data
     tokenManager.clearAll();
     userManager.removeUser();
@@ -237,6 +297,30 @@ class AuthService {
     };
   }
 
+  // Sign out of every device, including this one
+  async logoutAll() {
+    try {
+      const response = await api.auth.logoutAll();
+      tokenManager.clearAll();
+      userManager.removeUser();
+
+      window.dispatchEvent(new CustomEvent('auth:logout', {
+        detail: { reason: 'user_logout_all' }
+      }));
+
+      return {
+        success: true,
+        message: response.data.message || 'Signed out of all devices'
+      };
+    } catch (error) {
+      console.error('Logout all error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to sign out of all devices'
+      };
+    }
+  }
+
   // Check if user is authenticated
   isAuthenticated() {
     const token = tokenManager.getToken();
@@ -260,6 +344,12 @@ class AuthService {
     return user?.role === role;
   }
 
+  // Check if user has a permission from the API's permission registry
+  hasPermission(permission) {
+    const user = this.getCurrentUser();
+    return (user?.permissions || []).includes(permission);
+  }
+
   // Check if user is patient
   isPatient() {
     return this.hasRole('patient');
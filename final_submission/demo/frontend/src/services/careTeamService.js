@@ -0,0 +1,79 @@
+import apiClient from './apiClient';
+import { ROUTES } from '../config/constants';
+
+class CareTeamService {
+  // Your care relationships and invitations (status, page, limit)
+  async getRelationships(params = {}) {
+    try {
+      const response = await apiClient.get(ROUTES.API.CARE_TEAM, { params });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // The doctor's care-team patients with their report counts
+  async getMyPatients() {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.CARE_TEAM}/patients`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Invite a patient (as a doctor) or a doctor (as a patient) by email
+  async invite(invitation) {
+    try {
+      const response = await apiClient.post(`${ROUTES.API.CARE_TEAM}/invitations`, invitation);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async accept(id) {
+    try {
+      const response = await apiClient.post(`${ROUTES.API.CARE_TEAM}/${id}/accept`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async decline(id) {
+    try {
+      const response = await apiClient.post(`${ROUTES.API.CARE_TEAM}/${id}/decline`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // End a relationship or withdraw an invitation
+  async end(id) {
+    try {
+      const response = await apiClient.delete(`${ROUTES.API.CARE_TEAM}/${id}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Handle API errors
+  handleError(error) {
+    const message = error.response?.data?.message || error.message || 'An error occurred';
+    const status = error.response?.status;
+    const validationErrors = error.response?.data?.errors;
+
+    return {
+      message,
+      status,
+      validationErrors,
+      originalError: error
+    };
+  }
+}
+
+const careTeamServiceInstance = new CareTeamService();
+export default careTeamServiceInstance;
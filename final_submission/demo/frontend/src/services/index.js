@@ -2,3 +2,8 @@ export { default as authService } from './authService';
 export { default as apiClient, api, tokenManager, userManager } from './apiClient';
 export { default as medicationService } from './medicationService'; // Medication system for side effect reporting
 export { default as reportService } from './reportService';
+export { default as terminologyService } from './terminologyService';
+export { default as signalService } from './signalService';
+export { default as notificationRuleService } from './notificationRuleService';
+export { default as careTeamService } from './careTeamService';
+export { default as lotService } from './lotService';
@@ -0,0 +1,71 @@
+import apiClient from './apiClient';
+import { ROUTES } from '../config/constants';
+
+class LotService {
+  // Reports by batch (medicine, search, flagged, days, page, limit)
+  async getBatchClusters(params = {}) {
+    try {
+      const response = await apiClient.get(ROUTES.API.LOTS, { params });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // A lot with its recalls and the reports naming it
+  async getLotReports(id) {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.LOTS}/${id}/reports`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // List recalls (status, medicine, page, limit)
+  async getRecalls(params = {}) {
+    try {
+      const response = await apiClient.get(ROUTES.API.RECALLS, { params });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Issue a recall; patients who reported the lots are notified (Admin only)
+  async createRecall(recallData) {
+    try {
+      const response = await apiClient.post(ROUTES.API.RECALLS, recallData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Move a recall to a new status (Admin only)
+  async updateRecallStatus(id, status, comment) {
+    try {
+      const response = await apiClient.put(`${ROUTES.API.RECALLS}/${id}/status`, { status, comment });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Handle API errors
+  handleError(error) {
+    const message = error.response?.data?.message || error.message || 'An error occurred';
+    const status = error.response?.status;
+    const validationErrors = error.response?.data?.errors;
+
+    return {
+      message,
+      status,
+      validationErrors,
+      originalError: error
+    };
+  }
+}
+
+const lotServiceInstance = new LotService();
+export default lotServiceInstance;
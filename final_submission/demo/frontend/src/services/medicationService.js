@@ -335,6 +335,96 @@ class MedicationService {
     }
   }
 
+  /**
+   * Get unverified medications clustered as likely duplicates (Doctor/Admin)
+   */
+  async getDuplicateQueue() {
+    try {
+      const response = await apiClient.get(`${this.baseUrl}/duplicates`);
+      return response.data;
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Get verified medications a medication likely duplicates (Doctor/Admin)
+   * @param {string} id - Medication ID
+   */
+  async getDuplicateCandidates(id) {
+    try {
+      const response = await apiClient.get(`${this.baseUrl}/${id}/duplicates`);
+      return response.data;
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Merge a patient-created medication into a verified one (Doctor/Admin)
+   * @param {string} id - Medication to merge away
+   * @param {Object} mergeData - { targetId, reason, keepNameAsAlias }
+   */
+  async merge(id, mergeData) {
+    try {
+      const response = await apiClient.post(`${this.baseUrl}/${id}/merge`, mergeData);
+      return response.data;
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  // ==================== CATALOG IMPORT ====================
+
+  /**
+   * Import medications from an RxNorm RRF or openFDA NDC JSON/CSV file (Admin)
+   * @param {File} file - Catalog file
+   * @param {Object} options - { format, dryRun }
+   */
+  async importCatalog(file, { format, dryRun = false } = {}) {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dryRun', String(dryRun));
+      if (format) formData.append('format', format);
+
+      const response = await apiClient.post(`${this.baseUrl}/import`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data;
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Get recent catalog import jobs (Admin)
+   * @param {Object} params - { page, limit }
+   */
+  async getImportJobs(params = {}) {
+    try {
+      const response = await apiClient.get(`${this.baseUrl}/import/jobs`, { params });
+      return response.data;
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Get the job report of a catalog import (Admin)
+   * @param {string} jobId - Import job ID
+   */
+  async getImportJob(jobId) {
+    try {
+      const response = await apiClient.get(`${this.baseUrl}/import/jobs/${jobId}`);
+      return response.data;
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
   /**
    * Get medication statistics (Doctor/Admin)
    */
@@ -0,0 +1,88 @@
+import apiClient from './apiClient';
+import { ROUTES } from '../config/constants';
+
+class NotificationRuleService {
+  // List rules (trigger, enabled, page, limit)
+  async getRules(params = {}) {
+    try {
+      const response = await apiClient.get(ROUTES.API.NOTIFICATION_RULES, { params });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Triggers, condition fields and values, and possible recipients
+  async getOptions() {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.NOTIFICATION_RULES}/options`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Get a rule with its latest firings
+  async getRule(id) {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.NOTIFICATION_RULES}/${id}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async createRule(rule) {
+    try {
+      const response = await apiClient.post(ROUTES.API.NOTIFICATION_RULES, rule);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async updateRule(id, rule) {
+    try {
+      const response = await apiClient.put(`${ROUTES.API.NOTIFICATION_RULES}/${id}`, rule);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async deleteRule(id) {
+    try {
+      const response = await apiClient.delete(`${ROUTES.API.NOTIFICATION_RULES}/${id}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Reports of the last `days` days a rule would match, without notifying anyone
+  async dryRun(rule, days = 30) {
+    try {
+      const response = await apiClient.post(`${ROUTES.API.NOTIFICATION_RULES}/dry-run`, { ...rule, days });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Handle API errors
+  handleError(error) {
+    const message = error.response?.data?.message || error.message || 'An error occurred';
+    const status = error.response?.status;
+    const validationErrors = error.response?.data?.errors;
+
+    return {
+      message,
+      status,
+      validationErrors,
+      originalError: error
+    };
+  }
+}
+
+const notificationRuleServiceInstance = new NotificationRuleService();
+export default notificationRuleServiceInstance;
@@ -65,6 +65,47 @@ class ReportService {
     }
   }
 
+  // Get open expedited reporting cases, earliest deadline first (Doctor/Admin only)
+  // params.status: 'overdue' | 'due_soon' | 'open'
+  async getRegulatoryDue(params = {}) {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.REPORTS}/regulatory-due`, { params });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Record expectedness or authority submission of an expedited case (Doctor/Admin only)
+  async updateRegulatoryInfo(id, regulatoryData) {
+    try {
+      const response = await apiClient.put(`${ROUTES.API.REPORTS}/${id}/regulatory`, regulatoryData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Get the AI analysis status of a report: latest job with its steps, and earlier jobs
+  async getAnalysisStatus(id) {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.REPORTS}/${id}/analysis-status`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Re-run AI analysis of a report (Doctor/Admin only)
+  async reanalyzeReport(id) {
+    try {
+      const response = await apiClient.post(`${ROUTES.API.REPORTS}/${id}/reanalyze`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   // Get reports by medicine
   async getReportsByMedicine(medicineId, params = {}) {
     try {
@@ -131,6 +172,28 @@ class ReportService {
     }
   }
 
+  // Naranjo / WHO-UMC questions with answers prefilled from the report
+  async getCausalityQuestionnaire(id, algorithm) {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.REPORTS}/${id}/causality/questionnaire`, {
+        params: { algorithm },
+      });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Score questionnaire answers without saving them
+  async evaluateCausality(algorithm, answers) {
+    try {
+      const response = await apiClient.post(`${ROUTES.API.REPORTS}/causality/evaluate`, { algorithm, answers });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   // AI-powered report submission with multimodal input
   async submitAIReport(formData) {
     try {
@@ -234,6 +297,50 @@ class ReportService {
     }
   }
 
+  // Confirm or override the coded terms of side effects (Doctor/Admin only)
+  // codingEntries: [{ sideEffectId, lltCodes: [...] }]
+  async updateReactionCoding(reportId, codingEntries) {
+    try {
+      const response = await apiClient.put(`${ROUTES.API.REPORTS}/${reportId}/coding`, { sideEffects: codingEntries });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // ==================== Version History Methods ====================
+
+  // Get every saved version of a report, newest first
+  async getReportVersions(reportId) {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.REPORTS}/${reportId}/versions`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Get the field-level diff of a version (against the previous one by default)
+  async getReportVersionDiff(reportId, version, against) {
+    try {
+      const params = against ? { against } : {};
+      const response = await apiClient.get(`${ROUTES.API.REPORTS}/${reportId}/versions/${version}/diff`, { params });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Restore a report to an earlier version (admin only)
+  async restoreReportVersion(reportId, version, reason = '') {
+    try {
+      const response = await apiClient.post(`${ROUTES.API.REPORTS}/${reportId}/versions/${version}/restore`, { reason });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   // Handle API errors
   handleError(error) {
     const message = error.response?.data?.message || error.message || 'An error occurred';
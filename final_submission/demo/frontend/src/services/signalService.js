@@ -0,0 +1,71 @@
+import apiClient from './apiClient';
+import { ROUTES } from '../config/constants';
+
+class SignalService {
+  // List signals (status, active, medicine, search, page, limit)
+  async getSignals(params = {}) {
+    try {
+      const response = await apiClient.get(ROUTES.API.SIGNALS, { params });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Signal counts by status
+  async getSummary() {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.SIGNALS}/summary`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Get a signal with its status history
+  async getSignal(id) {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.SIGNALS}/${id}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Move a signal to a new evaluation status
+  async updateStatus(id, status, comment) {
+    try {
+      const response = await apiClient.put(`${ROUTES.API.SIGNALS}/${id}/status`, { status, comment });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Run detection now (Admin only)
+  async runDetection() {
+    try {
+      const response = await apiClient.post(`${ROUTES.API.SIGNALS}/run`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Handle API errors
+  handleError(error) {
+    const message = error.response?.data?.message || error.message || 'An error occurred';
+    const status = error.response?.status;
+    const validationErrors = error.response?.data?.errors;
+
+    return {
+      message,
+      status,
+      validationErrors,
+      originalError: error
+    };
+  }
+}
+
+const signalServiceInstance = new SignalService();
+export default signalServiceInstance;
@@ -0,0 +1,41 @@
+import apiClient from './apiClient';
+import { ROUTES } from '../config/constants';
+
+class TerminologyService {
+  // Search coded reaction terms (type-ahead)
+  async searchTerms(query, limit = 10) {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.TERMINOLOGY}/search`, { params: { q: query, limit } });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Get the terms a verbatim reaction would be coded with
+  async suggestTerms(text) {
+    try {
+      const response = await apiClient.get(`${ROUTES.API.TERMINOLOGY}/suggest`, { params: { text } });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // Handle API errors
+  handleError(error) {
+    const message = error.response?.data?.message || error.message || 'An error occurred';
+    const status = error.response?.status;
+    const validationErrors = error.response?.data?.errors;
+
+    return {
+      message,
+      status,
+      validationErrors,
+      originalError: error
+    };
+  }
+}
+
+const terminologyServiceInstance = new TerminologyService();
+export default terminologyServiceInstance;
@@ -1,6 +1,6 @@
 import { useState, useEffect } from "react";
 import { createContainer } from "unstated-next";
-import { api } from "../../services/apiClient";
+import { api, tokenManager } from "../../services/apiClient";
 
 // Demo user database for demo purposes (fallback)
 const MOCK_USERS = {
@@ -13,7 +13,8 @@ const MOCK_USERS = {
     firstName: "Demo",
     lastName: "Patient",
     isActive: true,
-    isEmailVerified: true
+    isEmailVerified: true,
+    permissions: ["report:create", "report:request_review", "medication:add_own"]
   },
   "doctor@demo.com": { 
     _id: "demo-doctor1",
@@ -24,7 +25,8 @@ const MOCK_USERS = {
     firstName: "Dr. Demo",
     lastName: "Doctor",
     isActive: true,
-    isEmailVerified: true
+    isEmailVerified: true,
+    permissions: ["report:create", "report:review", "report:reanalyze", "medication:manage", "signal:read", "report:dashboard"]
   },
 };
 
@@ -33,6 +35,8 @@ function useAuth(initialState = null) {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  // Set while a 2FA account has passed the password step and owes a code
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   // Initialize auth state from localStorage on mount
   useEffect(() => {
@@ -72,9 +76,62 @@ function useAuth(initialState = null) {
     initializeAuth();
   }, []);
 
+  // Permissions can change between sessions (an admin edits a role), so
+  // refresh them from the profile once a saved session is restored
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    let cancelled = false;
+    api.auth.getProfile()
+      .then((response) => {
+        const { permissions, role } = response.data.data;
+        if (cancelled) return;
+        setUser((current) => {
+          if (!current) return current;
+          const refreshed = { ...current, permissions, roleLabel: role?.label };
+          localStorage.setItem("user", JSON.stringify(refreshed));
+          return refreshed;
+        });
+      })
+      .catch((err) => console.error('Error refreshing permissions:', err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated]);
+
+  const completeLogin = (data) => {
+    const { user: apiUser, permissions } = data;
+
+    // Normalize API user object
+    const normalizedUser = {
+      ...apiUser,
+      permissions: permissions || [],
+      name: apiUser.name || `${apiUser.firstName || ''} ${apiUser.lastName || ''}`.trim() || apiUser.username || apiUser.email,
+      firstName: apiUser.firstName || apiUser.name?.split(' ')[0] || apiUser.username || 'User',
+      lastName: apiUser.lastName || apiUser.name?.split(' ')[1] || '',
+      role: apiUser.role || 'patient'
+    };
+
+    setUser(normalizedUser);
+    setIsAuthenticated(true);
+    setTwoFactorChallenge(null);
+
+    // Save to localStorage
+    tokenManager.setTokens(data);
+    localStorage.setItem("user", JSON.stringify(normalizedUser));
+
+    return {
+      success: true,
+      user: normalizedUser,
+      twoFactorSetupRequired: !!data.twoFactorSetupRequired
+    };
+  };
+
   const login = async (emailOrUsername, password) => {
     setLoading(true);
     setError("");
+    setTwoFactorChallenge(null);
     
     try {
       const identifier = emailOrUsername.trim();
@@ -85,25 +142,12 @@ function useAuth(initialState = null) {
         const response = await api.auth.signin({ identifier, email, password });
         
         if (response.data.success) {
-          const { user: apiUser, token } = response.data.data;
-          
-          // Normalize API user object
-          const normalizedUser = {
-            ...apiUser,
-            name: apiUser.name || `${apiUser.firstName || ''} ${apiUser.lastName || ''}`.trim() || apiUser.username || apiUser.email,
-            firstName: apiUser.firstName || apiUser.name?.split(' ')[0] || apiUser.username || 'User',
-            lastName: apiUser.lastName || apiUser.name?.split(' ')[1] || '',
-            role: apiUser.role || 'patient'
-          };
-          
-          setUser(normalizedUser);
-          setIsAuthenticated(true);
-          
-          // Save to localStorage
-          localStorage.setItem("token", token);
-          localStorage.setItem("user", JSON.stringify(normalizedUser));
-          
-          return { success: true, user: normalizedUser };
+          if (response.data.data.twoFactorRequired) {
+            setTwoFactorChallenge({ challengeToken: response.data.data.challengeToken });
+            return { success: false, twoFactorRequired: true };
+          }
+
+          return completeLogin(response.data.data);
         }
       } catch (apiError) {
         console.log("API login failed:", apiError.message);
@@ -151,18 +195,77 @@ function useAuth(initialState = null) {
     }
   };
 
-  const logout = () => {
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
+    if (!twoFactorChallenge) {
+      return { success: false, error: "Please sign in again." };
+    }
+
+    setLoading(true);
+    setError("");
+
+    try {
+      const response = await api.auth.signinTwoFactor({
+        challengeToken: twoFactorChallenge.challengeToken,
+        code,
+        recoveryCode
+      });
+      return completeLogin(response.data.data);
+    } catch (err) {
+      const errorMessage = err.response?.data?.errors?.[0]?.msg
+        || err.response?.data?.message
+        || "Verification failed. Please try again.";
+      // An expired challenge means starting over from the password step
+      if (err.response?.data?.errorCode === 'TWO_FACTOR_CHALLENGE_EXPIRED') {
+        setTwoFactorChallenge(null);
+      }
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+    setError("");
+  };
+
+  const clearSession = () => {
     setUser(null);
     setIsAuthenticated(false);
     setError("");
     
     // Clear all localStorage data
-    localStorage.removeItem("token");
-    localStorage.removeItem("user");
-    localStorage.removeItem("authToken");
-    localStorage.removeItem("userProfile");
-    localStorage.removeItem("userRole");
-    localStorage.removeItem("username");
+    tokenManager.clearAll();
+  };
+
+  // The API client clears storage and emits this when a session can no longer be refreshed
+  useEffect(() => {
+    const handleForcedLogout = () => {
+      setUser(null);
+      setIsAuthenticated(false);
+    };
+    window.addEventListener('auth:logout', handleForcedLogout);
+    return () => window.removeEventListener('auth:logout', handleForcedLogout);
+  }, []);
+
+  const logout = () => {
+    // Revoke this device's session server-side; don't block the UI on it
+    const refreshToken = tokenManager.getRefreshToken();
+    if (refreshToken) {
+      api.auth.logout(refreshToken).catch((err) => console.error('Logout error:', err.message));
+    }
+    clearSession();
+  };
+
+  const logoutAll = async () => {
+    try {
+      await api.auth.logoutAll();
+      clearSession();
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message || "Failed to sign out of all devices" };
+    }
   };
 
   const signup = async (userData) => {
@@ -173,11 +276,12 @@ function useAuth(initialState = null) {
       const response = await api.auth.signup(userData);
       
       if (response.data.success) {
-        const { user: newUser, token } = response.data.data;
+        const { user: newUser, permissions } = response.data.data;
         
         // Normalize user object
         const normalizedUser = {
           ...newUser,
+          permissions: permissions || [],
           name: newUser.name || `${newUser.firstName || ''} ${newUser.lastName || ''}`.trim() || newUser.username,
           firstName: newUser.firstName || newUser.name?.split(' ')[0] || 'User',
           lastName: newUser.lastName || newUser.name?.split(' ')[1] || '',
@@ -188,7 +292,7 @@ function useAuth(initialState = null) {
         setIsAuthenticated(true);
         
         // Save to localStorage
-        localStorage.setItem("token", token);
+        tokenManager.setTokens(response.data.data);
         localStorage.setItem("user", JSON.stringify(normalizedUser));
         
         return { success: true, user: normalizedUser, message: response.data.message };
@@ -260,10 +364,14 @@ function useAuth(initialState = null) {
     isAuthenticated,
     loading,
     error,
+    twoFactorPending: !!twoFactorChallenge,
     
     // Actions
     login,
+    verifyTwoFactor,
+    cancelTwoFactor,
     logout,
+    logoutAll,
     signup,
     updateProfile,
     switchRole,
@@ -273,6 +381,10 @@ function useAuth(initialState = null) {
     isPatient: user?.role === "patient",
     isDoctor: user?.role === "doctor",
     isAdmin: user?.role === "admin",
+
+    // Effective permissions from the API; hide actions the user can't perform
+    permissions: user?.permissions || [],
+    can: (permission) => (user?.permissions || []).includes(permission),
     
     // User info
     userName: user ? `${user.firstName} ${user.lastName}`.trim() : '',
@@ -19,10 +19,21 @@ export const API_CONFIG = {
   ENDPOINTS: {
     // Auth
     LOGIN: '/auth/signin',
+    LOGIN_2FA: '/auth/signin/2fa',
     REGISTER: '/auth/signup',
     PROFILE: '/auth/profile',
     CHANGE_PASSWORD: '/auth/change-password',
     PROFILE_PICTURE: '/auth/profile-picture',
+    REFRESH: '/auth/refresh',
+    LOGOUT: '/auth/logout',
+    LOGOUT_ALL: '/auth/logout-all',
+    FORGOT_PASSWORD: '/auth/forgot-password',
+    RESET_PASSWORD: '/auth/reset-password',
+    TWO_FACTOR_STATUS: '/auth/2fa/status',
+    TWO_FACTOR_SETUP: '/auth/2fa/setup',
+    TWO_FACTOR_ENABLE: '/auth/2fa/enable',
+    TWO_FACTOR_DISABLE: '/auth/2fa/disable',
+    TWO_FACTOR_RECOVERY_CODES: '/auth/2fa/recovery-codes',
     
     // Reports
     REPORTS: '/reports',
@@ -57,6 +68,8 @@ export const APP_CONFIG = {
   // Storage Keys
   STORAGE_KEYS: {
     TOKEN: 'token',
+    REFRESH_TOKEN: 'refreshToken',
+    DEVICE_ID: 'deviceId',
     USER: 'user',
     SETTINGS: 'settings',
     THEME: 'theme',
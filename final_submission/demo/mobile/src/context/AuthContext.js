@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import * as SecureStore from 'expo-secure-store';
 import { authService } from '../services/authService';
+import { tokenStorage, setSessionExpiredHandler } from '../services/apiClient';
 
 const AuthContext = createContext(null);
 
@@ -23,6 +24,16 @@ export const AuthProvider = ({ children }) => {
     checkStoredAuth();
   }, []);
 
+  // apiClient calls this when the session can no longer be refreshed
+  useEffect(() => {
+    setSessionExpiredHandler(() => {
+      setToken(null);
+      setUser(null);
+      setIsAuthenticated(false);
+    });
+    return () => setSessionExpiredHandler(null);
+  }, []);
+
   const checkStoredAuth = async () => {
     try {
       const storedToken = await SecureStore.getItemAsync('token');
@@ -32,6 +43,7 @@ export const AuthProvider = ({ children }) => {
         setToken(storedToken);
         setUser(JSON.parse(storedUser));
         setIsAuthenticated(true);
+        refreshPermissions();
       }
     } catch (error) {
       console.error('Error checking stored auth:', error);
@@ -40,20 +52,46 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Permissions can change between sessions (an admin edits a role), so a
+  // restored session fetches them again
+  const refreshPermissions = async () => {
+    try {
+      const response = await authService.getProfile();
+      const { permissions, role } = response.data;
+      setUser((current) => {
+        if (!current) return current;
+        const refreshed = { ...current, permissions, roleLabel: role?.label };
+        SecureStore.setItemAsync('user', JSON.stringify(refreshed)).catch(() => {});
+        return refreshed;
+      });
+    } catch (error) {
+      console.error('Error refreshing permissions:', error);
+    }
+  };
+
+  const startSession = async (data) => {
+    const sessionUser = { ...data.user, permissions: data.permissions || [] };
+    await tokenStorage.setTokens(data);
+    await SecureStore.setItemAsync('user', JSON.stringify(sessionUser));
+
+    setToken(data.token);
+    setUser(sessionUser);
+    setIsAuthenticated(true);
+  };
+
   const login = async (email, password) => {
     try {
       setIsLoading(true);
       const response = await authService.login(email, password);
       
+      // Accounts with 2FA get a challenge instead of tokens
+      if (response.success && response.data?.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+
       if (response.success && response.data?.token) {
-        await SecureStore.setItemAsync('token', response.data.token);
-        await SecureStore.setItemAsync('user', JSON.stringify(response.data.user));
-        
-        setToken(response.data.token);
-        setUser(response.data.user);
-        setIsAuthenticated(true);
-        
-        return { success: true };
+        await startSession(response.data);
+        return { success: true, twoFactorSetupRequired: !!response.data.twoFactorSetupRequired };
       }
       
       return { success: false, message: response.message || 'Login failed' };
@@ -68,19 +106,37 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, factor) => {
+    try {
+      setIsLoading(true);
+      const response = await authService.verifyTwoFactor(challengeToken, factor);
+
+      if (response.success && response.data?.token) {
+        await startSession(response.data);
+        return { success: true, twoFactorSetupRequired: false };
+      }
+
+      return { success: false, message: response.message || 'Verification failed' };
+    } catch (error) {
+      return {
+        success: false,
+        challengeExpired: error.response?.data?.errorCode === 'TWO_FACTOR_CHALLENGE_EXPIRED',
+        message: error.response?.data?.errors?.[0]?.msg
+          || error.response?.data?.message
+          || 'An error occurred during verification',
+      };
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const register = async (userData) => {
     try {
       setIsLoading(true);
       const response = await authService.register(userData);
       
       if (response.success && response.data?.token) {
-        await SecureStore.setItemAsync('token', response.data.token);
-        await SecureStore.setItemAsync('user', JSON.stringify(response.data.user));
-        
-        setToken(response.data.token);
-        setUser(response.data.user);
-        setIsAuthenticated(true);
-        
+        await startSession(response.data);
         return { success: true };
       }
       
@@ -98,8 +154,12 @@ export const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
-      await SecureStore.deleteItemAsync('token');
-      await SecureStore.deleteItemAsync('user');
+      // Revoke this device's session; sign out locally even if that fails
+      const refreshToken = await tokenStorage.getRefreshToken();
+      if (refreshToken) {
+        await authService.logout(refreshToken).catch(() => {});
+      }
+      await tokenStorage.clear();
       
       setToken(null);
       setUser(null);
@@ -109,6 +169,15 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const logoutAll = async () => {
+    await authService.logoutAll();
+    await tokenStorage.clear();
+
+    setToken(null);
+    setUser(null);
+    setIsAuthenticated(false);
+  };
+
   const updateUser = async (updatedUser) => {
     try {
       await SecureStore.setItemAsync('user', JSON.stringify(updatedUser));
@@ -126,9 +195,14 @@ export const AuthProvider = ({ children }) => {
     isPatient: user?.role === 'patient',
     isDoctor: user?.role === 'doctor',
     isAdmin: user?.role === 'admin',
+    // Effective permissions from the API; hide actions the user can't perform
+    permissions: user?.permissions || [],
+    can: (permission) => (user?.permissions || []).includes(permission),
     login,
+    verifyTwoFactor,
     register,
     logout,
+    logoutAll,
     updateUser,
   };
 
@@ -216,6 +216,7 @@ const PatientTabNavigator = () => {
 // Doctor Tab Navigator
 const DoctorTabNavigator = () => {
   const unreadCount = useUnreadCount();
+  const { can } = useAuth();
   return (
     <Tab.Navigator
       screenOptions={({ route }) => ({
@@ -260,8 +261,8 @@ const DoctorTabNavigator = () => {
       })}
     >
       <Tab.Screen name="Dashboard" component={DoctorHomeStack} />
-      <Tab.Screen name="Medications" component={MedicationsStack} />
-      <Tab.Screen name="Review" component={ReviewStack} />
+      {can('medication:manage') && <Tab.Screen name="Medications" component={MedicationsStack} />}
+      {can('report:review') && <Tab.Screen name="Review" component={ReviewStack} />}
       <Tab.Screen name="Notifications" component={NotificationsStack} />
       <Tab.Screen name="Profile" component={ProfileStack} />
     </Tab.Navigator>
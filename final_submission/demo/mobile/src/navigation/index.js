@@ -9,6 +9,7 @@ export const SCREENS = {
   LOGIN: 'Login',
   REGISTER: 'Register',
   FORGOT_PASSWORD: 'ForgotPassword',
+  RESET_PASSWORD: 'ResetPassword',
   
   // Patient
   HOME: 'Home',
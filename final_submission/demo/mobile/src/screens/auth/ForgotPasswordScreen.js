@@ -1,19 +1,50 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
+  TextInput,
   TouchableOpacity,
   StyleSheet,
   SafeAreaView,
-  Linking,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { authService } from '../../services';
 import { colors, spacing, borderRadius } from '../../config/theme';
 
 const ForgotPasswordScreen = ({ navigation }) => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async () => {
+    if (!/\S+@\S+\.\S+/.test(email.trim())) {
+      setError('Please enter a valid email');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await authService.forgotPassword(email.trim());
+      setSent(true);
+    } catch (err) {
+      const message = err.response?.data?.message || 'Failed to send password reset email';
+      Alert.alert('Error', message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   return (
     <SafeAreaView style={styles.container}>
-      <View style={styles.content}>
+      <KeyboardAvoidingView
+        style={styles.content}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
         {/* Back Button */}
         <TouchableOpacity
           style={styles.backButton}
@@ -28,24 +59,69 @@ const ForgotPasswordScreen = ({ navigation }) => {
 
         <Text style={styles.title}>Forgot Password?</Text>
         <Text style={styles.subtitle}>
-          Password reset is handled by your administrator. Please contact support to reset your password.
+          Enter the email for your account and we'll send you a reset code.
         </Text>
 
-        {/* Contact Support */}
-        <View style={styles.infoCard}>
-          <Ionicons name="information-circle-outline" size={24} color={colors.info} />
-          <Text style={styles.infoText}>
-            For security reasons, password resets require administrator verification. Please reach out via one of the options below.
-          </Text>
-        </View>
+        {sent ? (
+          <View style={styles.infoCard}>
+            <Ionicons name="mail-open-outline" size={24} color={colors.success} />
+            <Text style={styles.infoText}>
+              If an account exists for {email.trim()}, a reset code is on its way. It can be used once and expires in 1 hour.
+            </Text>
+          </View>
+        ) : (
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Email</Text>
+            <View style={[styles.inputWrapper, error && styles.inputError]}>
+              <Ionicons name="mail-outline" size={20} color={colors.textSecondary} />
+              <TextInput
+                style={styles.input}
+                placeholder="Enter your email"
+                placeholderTextColor={colors.textDisabled}
+                value={email}
+                onChangeText={(text) => { setEmail(text); if (error) setError(null); }}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            </View>
+            {error && <Text style={styles.errorText}>{error}</Text>}
+          </View>
+        )}
 
-        <TouchableOpacity
-          style={styles.button}
-          onPress={() => Linking.openURL('mailto:support@safemed.app?subject=Password%20Reset%20Request')}
-        >
-          <Ionicons name="mail-outline" size={20} color="#fff" style={{ marginRight: 8 }} />
-          <Text style={styles.buttonText}>Email Support</Text>
-        </TouchableOpacity>
+        {sent ? (
+          <TouchableOpacity
+            style={styles.button}
+            onPress={() => navigation.navigate('ResetPassword', { email: email.trim() })}
+          >
+            <Ionicons name="key-outline" size={20} color="#fff" style={{ marginRight: 8 }} />
+            <Text style={styles.buttonText}>Enter Reset Code</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.button, isLoading && styles.buttonDisabled]}
+            onPress={handleSubmit}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <>
+                <Ionicons name="mail-outline" size={20} color="#fff" style={{ marginRight: 8 }} />
+                <Text style={styles.buttonText}>Send Reset Code</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+
+        {!sent && (
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => navigation.navigate('ResetPassword')}
+          >
+            <Text style={styles.secondaryButtonText}>I already have a reset code</Text>
+          </TouchableOpacity>
+        )}
 
         <TouchableOpacity
           style={styles.secondaryButton}
@@ -53,7 +129,7 @@ const ForgotPasswordScreen = ({ navigation }) => {
         >
           <Text style={styles.secondaryButtonText}>Back to Login</Text>
         </TouchableOpacity>
-      </View>
+      </KeyboardAvoidingView>
     </SafeAreaView>
   );
 };
@@ -88,9 +164,42 @@ const styles = StyleSheet.create({
     marginBottom: spacing.xl,
     lineHeight: 20,
   },
+  inputContainer: {
+    marginBottom: spacing.lg,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingHorizontal: spacing.base,
+    height: 50,
+  },
+  inputError: {
+    borderColor: colors.error,
+  },
+  input: {
+    flex: 1,
+    marginLeft: spacing.sm,
+    fontSize: 16,
+    color: colors.text,
+  },
+  errorText: {
+    color: colors.error,
+    fontSize: 12,
+    marginTop: spacing.xs,
+  },
   infoCard: {
     flexDirection: 'row',
-    backgroundColor: (colors.info || '#2196F3') + '15',
+    backgroundColor: (colors.success || '#4CAF50') + '15',
     borderRadius: borderRadius.md,
     padding: spacing.base,
     marginBottom: spacing.xl,
@@ -112,6 +221,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: spacing.base,
   },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
   buttonText: {
     color: '#fff',
     fontSize: 16,
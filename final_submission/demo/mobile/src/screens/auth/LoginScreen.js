@@ -23,11 +23,15 @@ const DEMO_ACCOUNTS = [
 ];
 
 const LoginScreen = ({ navigation }) => {
-  const { login, isLoading } = useAuth();
+  const { login, verifyTwoFactor, isLoading } = useAuth();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [errors, setErrors] = useState({});
+  // Set once the password is accepted for an account with 2FA enabled
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const validateForm = () => {
     const newErrors = {};
@@ -48,11 +52,110 @@ const LoginScreen = ({ navigation }) => {
   const handleLogin = async () => {
     if (!validateForm()) return;
     const result = await login(email, password);
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      return;
+    }
     if (!result.success) {
       Alert.alert('Login Failed', result.message);
+    } else if (result.twoFactorSetupRequired) {
+      Alert.alert(
+        'Two-Factor Authentication Required',
+        'Your role requires two-factor authentication. Enable it from your Profile to review and update reports.'
+      );
     }
   };
 
+  const resetTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setPassword('');
+  };
+
+  const handleVerifyTwoFactor = async () => {
+    const value = twoFactorCode.trim();
+    if (!value) return;
+    const result = await verifyTwoFactor(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: value } : { code: value }
+    );
+    if (!result.success) {
+      setTwoFactorCode('');
+      if (result.challengeExpired) resetTwoFactor();
+      Alert.alert('Verification Failed', result.message);
+    }
+  };
+
+  const renderTwoFactorStep = () => (
+    <View style={styles.formCard}>
+      <Text style={styles.formTitle}>Two-Factor Authentication</Text>
+      <Text style={styles.formSubtitle}>
+        {useRecoveryCode
+          ? 'Enter one of your recovery codes. Each code can only be used once.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </Text>
+
+      <View style={styles.inputContainer}>
+        <Text style={styles.label}>{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</Text>
+        <View style={styles.inputWrapper}>
+          <Ionicons name="keypad-outline" size={20} color={colors.textSecondary} />
+          <TextInput
+            style={styles.input}
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            placeholderTextColor={colors.textDisabled}
+            value={twoFactorCode}
+            onChangeText={setTwoFactorCode}
+            keyboardType={useRecoveryCode ? 'default' : 'number-pad'}
+            maxLength={useRecoveryCode ? 20 : 6}
+            autoCapitalize="none"
+            autoCorrect={false}
+            autoFocus
+            textContentType="oneTimeCode"
+          />
+        </View>
+      </View>
+
+      <TouchableOpacity
+        style={styles.forgotPassword}
+        onPress={() => { setUseRecoveryCode(!useRecoveryCode); setTwoFactorCode(''); }}
+      >
+        <Text style={styles.forgotPasswordText}>
+          {useRecoveryCode ? 'Use authenticator code instead' : 'Use a recovery code instead'}
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={[styles.loginButton, (isLoading || !twoFactorCode.trim()) && styles.buttonDisabled]}
+        onPress={handleVerifyTwoFactor}
+        disabled={isLoading || !twoFactorCode.trim()}
+        activeOpacity={0.8}
+      >
+        <LinearGradient
+          colors={['#1976D2', '#42A5F5']}
+          start={{ x: 0, y: 0 }}
+          end={{ x: 1, y: 0 }}
+          style={styles.loginButtonGradient}
+        >
+          {isLoading ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="shield-checkmark-outline" size={20} color="#fff" />
+              <Text style={styles.loginButtonText}>Verify</Text>
+            </>
+          )}
+        </LinearGradient>
+      </TouchableOpacity>
+
+      <View style={styles.registerContainer}>
+        <TouchableOpacity onPress={resetTwoFactor}>
+          <Text style={styles.registerLink}>Back to Sign In</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
   const fillDemoCredentials = (account) => {
     setEmail(account.email);
     setPassword(account.password);
@@ -89,6 +192,7 @@ const LoginScreen = ({ navigation }) => {
           </LinearGradient>
 
           {/* Form Card */}
+          {challengeToken ? renderTwoFactorStep() : (
           <View style={styles.formCard}>
             <Text style={styles.formTitle}>Welcome Back</Text>
             <Text style={styles.formSubtitle}>Sign in to continue</Text>
@@ -204,6 +308,7 @@ const LoginScreen = ({ navigation }) => {
               </TouchableOpacity>
             </View>
           </View>
+          )}
 
           {/* Footer */}
           <View style={styles.footer}>
@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  Alert,
+  ActivityIndicator,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { authService } from '../../services';
+import { colors, spacing, borderRadius } from '../../config/theme';
+
+const PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{6,}$/;
+
+const ResetPasswordScreen = ({ navigation, route }) => {
+  const [token, setToken] = useState(route?.params?.token || '');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+
+  const validate = () => {
+    const newErrors = {};
+    if (!token.trim()) {
+      newErrors.token = 'Reset code is required';
+    }
+    if (!PASSWORD_PATTERN.test(newPassword)) {
+      newErrors.newPassword = 'At least 6 characters with an uppercase letter, a lowercase letter and a number';
+    }
+    if (newPassword !== confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleReset = async () => {
+    if (!validate()) return;
+
+    setIsLoading(true);
+    try {
+      await authService.resetPassword({ token: token.trim(), newPassword });
+      Alert.alert('Password Reset', 'Your password has been reset. Please sign in with your new password.', [
+        { text: 'OK', onPress: () => navigation.navigate('Login') },
+      ]);
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg
+        || error.response?.data?.message
+        || 'Failed to reset password';
+      Alert.alert('Error', message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderInput = ({ field, label, icon, value, onChangeText, placeholder, secure }) => (
+    <View style={styles.inputContainer}>
+      <Text style={styles.label}>{label}</Text>
+      <View style={[styles.inputWrapper, errors[field] && styles.inputError]}>
+        <Ionicons name={icon} size={20} color={colors.textSecondary} />
+        <TextInput
+          style={styles.input}
+          placeholder={placeholder}
+          placeholderTextColor={colors.textDisabled}
+          value={value}
+          onChangeText={(text) => {
+            onChangeText(text);
+            if (errors[field]) setErrors(prev => ({ ...prev, [field]: null }));
+          }}
+          secureTextEntry={secure && !showPassword}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        {secure && (
+          <TouchableOpacity onPress={() => setShowPassword(!showPassword)}>
+            <Ionicons
+              name={showPassword ? 'eye-off-outline' : 'eye-outline'}
+              size={20}
+              color={colors.textSecondary}
+            />
+          </TouchableOpacity>
+        )}
+      </View>
+      {errors[field] && <Text style={styles.errorText}>{errors[field]}</Text>}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {/* Back Button */}
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Ionicons name="arrow-back" size={24} color={colors.text} />
+          </TouchableOpacity>
+
+          <View style={styles.iconContainer}>
+            <Ionicons name="key-outline" size={64} color={colors.primary} />
+          </View>
+
+          <Text style={styles.title}>Reset Password</Text>
+          <Text style={styles.subtitle}>
+            {route?.params?.email
+              ? `Enter the reset code sent to ${route.params.email} and choose a new password.`
+              : 'Enter the reset code from your email and choose a new password.'}
+          </Text>
+
+          {renderInput({
+            field: 'token',
+            label: 'Reset Code',
+            icon: 'key-outline',
+            value: token,
+            onChangeText: setToken,
+            placeholder: 'Paste your reset code',
+          })}
+          {renderInput({
+            field: 'newPassword',
+            label: 'New Password',
+            icon: 'lock-closed-outline',
+            value: newPassword,
+            onChangeText: setNewPassword,
+            placeholder: 'Enter new password',
+            secure: true,
+          })}
+          {renderInput({
+            field: 'confirmPassword',
+            label: 'Confirm Password',
+            icon: 'lock-closed-outline',
+            value: confirmPassword,
+            onChangeText: setConfirmPassword,
+            placeholder: 'Re-enter new password',
+            secure: true,
+          })}
+
+          <TouchableOpacity
+            style={[styles.button, isLoading && styles.buttonDisabled]}
+            onPress={handleReset}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Reset Password</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => navigation.navigate('Login')}
+          >
+            <Text style={styles.secondaryButtonText}>Back to Login</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: spacing.xl,
+  },
+  backButton: {
+    marginBottom: spacing.lg,
+  },
+  iconContainer: {
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: colors.text,
+    textAlign: 'center',
+    marginBottom: spacing.sm,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: spacing.xl,
+    lineHeight: 20,
+  },
+  inputContainer: {
+    marginBottom: spacing.lg,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingHorizontal: spacing.base,
+    height: 50,
+  },
+  inputError: {
+    borderColor: colors.error,
+  },
+  input: {
+    flex: 1,
+    marginLeft: spacing.sm,
+    fontSize: 16,
+    color: colors.text,
+  },
+  errorText: {
+    color: colors.error,
+    fontSize: 12,
+    marginTop: spacing.xs,
+  },
+  button: {
+    backgroundColor: colors.primary,
+    borderRadius: borderRadius.md,
+    height: 50,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: spacing.base,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    alignItems: 'center',
+    padding: spacing.md,
+  },
+  secondaryButtonText: {
+    color: colors.primary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default ResetPasswordScreen;
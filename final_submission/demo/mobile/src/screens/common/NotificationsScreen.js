@@ -86,6 +86,8 @@ const NotificationsScreen = ({ navigation }) => {
         return { name: 'analytics', color: '#7C4DFF' };
       case 'duplicate_detected':
         return { name: 'copy', color: colors.info };
+      case 'expedited_deadline':
+        return { name: 'timer', color: colors.error };
       default:
         return { name: 'notifications', color: colors.primary };
     }
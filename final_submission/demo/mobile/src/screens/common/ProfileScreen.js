@@ -10,6 +10,7 @@ import {
   ActivityIndicator,
   Image,
   RefreshControl,
+  Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import * as ImagePicker from 'expo-image-picker';
@@ -20,7 +21,7 @@ import { API_CONFIG } from '../../config/constants';
 import { colors, spacing, borderRadius, shadows } from '../../config/theme';
 
 const ProfileScreen = ({ navigation }) => {
-  const { user, updateUser, logout } = useAuth();
+  const { user, updateUser, logout, logoutAll } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
@@ -31,11 +32,28 @@ const ProfileScreen = ({ navigation }) => {
     email: user?.email || '',
     phone: user?.phone || '',
   });
+  // Two-factor state; mode is 'setup', 'disable', 'regenerate' or 'codes' while a form is open
+  const [twoFactor, setTwoFactor] = useState({ enabled: false, required: false, recoveryCodesRemaining: 0 });
+  const [twoFactorMode, setTwoFactorMode] = useState(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorForm, setTwoFactorForm] = useState({ code: '', password: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [twoFactorBusy, setTwoFactorBusy] = useState(false);
 
   useEffect(() => {
     refreshProfile();
+    loadTwoFactorStatus();
   }, []);
 
+  const loadTwoFactorStatus = async () => {
+    try {
+      const response = await authService.getTwoFactorStatus();
+      if (response.data) setTwoFactor(response.data);
+    } catch (error) {
+      // silent – the section falls back to "not enabled"
+    }
+  };
+
   const refreshProfile = async () => {
     try {
       setIsRefreshing(true);
@@ -142,6 +160,149 @@ const ProfileScreen = ({ navigation }) => {
     );
   };
 
+  const handleLogoutAll = () => {
+    Alert.alert(
+      'Sign Out of All Devices',
+      'This will sign you out everywhere, including this device.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out All',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await logoutAll();
+            } catch (error) {
+              Alert.alert('Error', error.response?.data?.message || 'Failed to sign out of all devices');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const closeTwoFactor = () => {
+    setTwoFactorMode(null);
+    setTwoFactorSetup(null);
+    setTwoFactorForm({ code: '', password: '' });
+    setRecoveryCodes([]);
+  };
+
+  const handleStartTwoFactorSetup = async () => {
+    setTwoFactorBusy(true);
+    try {
+      const response = await authService.setupTwoFactor();
+      setTwoFactorSetup(response.data);
+      setTwoFactorMode('setup');
+    } catch (error) {
+      Alert.alert('Error', error.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  };
+
+  const handleTwoFactorSubmit = async () => {
+    const code = twoFactorForm.code.trim();
+    setTwoFactorBusy(true);
+    try {
+      if (twoFactorMode === 'setup' || twoFactorMode === 'regenerate') {
+        const response = twoFactorMode === 'setup'
+          ? await authService.enableTwoFactor(code)
+          : await authService.regenerateRecoveryCodes(code);
+        setRecoveryCodes(response.data?.recoveryCodes || []);
+        setTwoFactorForm({ code: '', password: '' });
+        setTwoFactorMode('codes');
+      } else if (twoFactorMode === 'disable') {
+        // Accept either an authenticator code or a recovery code
+        await authService.disableTwoFactor({
+          password: twoFactorForm.password,
+          ...(/^\d{6}$/.test(code) ? { code } : { recoveryCode: code }),
+        });
+        closeTwoFactor();
+        Alert.alert('Success', 'Two-factor authentication disabled');
+      }
+      loadTwoFactorStatus();
+    } catch (error) {
+      Alert.alert(
+        'Error',
+        error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Two-factor request failed'
+      );
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  };
+
+  const renderTwoFactorForm = () => {
+    if (twoFactorMode === 'codes') {
+      return (
+        <View style={styles.fieldContainer}>
+          <Text style={styles.fieldLabel}>
+            Save these recovery codes somewhere safe. Each one can be used once if you lose your authenticator app. They will not be shown again.
+          </Text>
+          <View style={styles.recoveryCodes}>
+            {recoveryCodes.map((code) => (
+              <Text key={code} style={styles.recoveryCode} selectable>{code}</Text>
+            ))}
+          </View>
+          <TouchableOpacity style={styles.saveButton} onPress={closeTwoFactor}>
+            <Text style={styles.saveButtonText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.fieldContainer}>
+        {twoFactorMode === 'setup' && twoFactorSetup && (
+          <>
+            <Text style={styles.fieldLabel}>
+              Scan this QR code with an authenticator app, or enter the key manually, then enter the 6-digit code it shows.
+            </Text>
+            <Image source={{ uri: twoFactorSetup.qrCode }} style={styles.qrCode} />
+            <Text style={styles.secretText} selectable>{twoFactorSetup.secret}</Text>
+          </>
+        )}
+        {twoFactorMode === 'disable' && (
+          <TextInput
+            style={[styles.input, styles.twoFactorInput]}
+            value={twoFactorForm.password}
+            onChangeText={(text) => setTwoFactorForm(prev => ({ ...prev, password: text }))}
+            placeholder="Current password"
+            placeholderTextColor={colors.textDisabled}
+            secureTextEntry
+          />
+        )}
+        <TextInput
+          style={[styles.input, styles.twoFactorInput]}
+          value={twoFactorForm.code}
+          onChangeText={(text) => setTwoFactorForm(prev => ({ ...prev, code: text }))}
+          placeholder={twoFactorMode === 'disable' ? 'Authentication or recovery code' : '6-digit code'}
+          placeholderTextColor={colors.textDisabled}
+          keyboardType={twoFactorMode === 'disable' ? 'default' : 'number-pad'}
+          autoCapitalize="none"
+          autoCorrect={false}
+          textContentType="oneTimeCode"
+        />
+        <TouchableOpacity
+          style={[styles.saveButton, twoFactorBusy && styles.buttonDisabled]}
+          onPress={handleTwoFactorSubmit}
+          disabled={twoFactorBusy || !twoFactorForm.code.trim()}
+        >
+          {twoFactorBusy ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.saveButtonText}>
+              {twoFactorMode === 'setup' ? 'Enable' : twoFactorMode === 'disable' ? 'Disable' : 'Generate New Codes'}
+            </Text>
+          )}
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.cancelLink} onPress={closeTwoFactor}>
+          <Text style={styles.cancelLinkText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
   const getProfileImageUri = () => {
     if (user?.profilePicture) {
       // If it's a full URL, return as-is
@@ -283,6 +444,53 @@ const ProfileScreen = ({ navigation }) => {
         </View>
       )}
 
+      {/* Security */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Security</Text>
+        <View style={styles.card}>
+          <View style={styles.menuItem}>
+            <Ionicons name="shield-checkmark-outline" size={24} color={colors.text} />
+            <View style={styles.twoFactorStatus}>
+              <Text style={styles.menuItemText}>Two-Factor Authentication</Text>
+              <Text style={styles.twoFactorSubtitle}>
+                {twoFactor.enabled
+                  ? `Enabled · ${twoFactor.recoveryCodesRemaining} recovery codes left`
+                  : twoFactor.required
+                    ? 'Required for your role'
+                    : 'Not enabled'}
+              </Text>
+            </View>
+          </View>
+          {twoFactorMode ? renderTwoFactorForm() : (
+            <>
+              {!twoFactor.enabled && (
+                <TouchableOpacity style={styles.menuItem} onPress={handleStartTwoFactorSetup} disabled={twoFactorBusy}>
+                  <Ionicons name="qr-code-outline" size={24} color={colors.primary} />
+                  <Text style={styles.menuItemText}>Set Up Two-Factor</Text>
+                  {twoFactorBusy
+                    ? <ActivityIndicator size="small" color={colors.primary} />
+                    : <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />}
+                </TouchableOpacity>
+              )}
+              {twoFactor.enabled && (
+                <TouchableOpacity style={styles.menuItem} onPress={() => setTwoFactorMode('regenerate')}>
+                  <Ionicons name="key-outline" size={24} color={colors.text} />
+                  <Text style={styles.menuItemText}>Regenerate Recovery Codes</Text>
+                  <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />
+                </TouchableOpacity>
+              )}
+              {twoFactor.enabled && !twoFactor.required && (
+                <TouchableOpacity style={styles.menuItem} onPress={() => setTwoFactorMode('disable')}>
+                  <Ionicons name="close-circle-outline" size={24} color={colors.error} />
+                  <Text style={styles.menuItemText}>Disable Two-Factor</Text>
+                  <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />
+                </TouchableOpacity>
+              )}
+            </>
+          )}
+        </View>
+      </View>
+
       {/* Account Actions */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Account</Text>
@@ -303,6 +511,11 @@ const ProfileScreen = ({ navigation }) => {
             <Text style={styles.menuItemText}>Change Password</Text>
             <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />
           </TouchableOpacity>
+          <TouchableOpacity style={styles.menuItem} onPress={handleLogoutAll}>
+            <Ionicons name="phone-portrait-outline" size={24} color={colors.text} />
+            <Text style={styles.menuItemText}>Sign Out of All Devices</Text>
+            <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />
+          </TouchableOpacity>
           <TouchableOpacity style={styles.menuItem}>
             <Ionicons name="help-circle-outline" size={24} color={colors.text} />
             <Text style={styles.menuItemText}>Help & Support</Text>
@@ -456,6 +669,52 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: colors.text,
   },
+  twoFactorStatus: {
+    flex: 1,
+  },
+  twoFactorSubtitle: {
+    marginLeft: spacing.md,
+    marginTop: 2,
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  twoFactorInput: {
+    marginTop: spacing.sm,
+    paddingVertical: spacing.sm,
+  },
+  qrCode: {
+    width: 200,
+    height: 200,
+    alignSelf: 'center',
+    marginVertical: spacing.md,
+  },
+  secretText: {
+    fontSize: 13,
+    color: colors.text,
+    textAlign: 'center',
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  recoveryCodes: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: spacing.sm,
+  },
+  recoveryCode: {
+    width: '50%',
+    paddingVertical: spacing.xs,
+    fontSize: 14,
+    color: colors.text,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  cancelLink: {
+    alignItems: 'center',
+    padding: spacing.md,
+  },
+  cancelLinkText: {
+    color: colors.primary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
   logoutButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -26,7 +26,7 @@ const DoctorHomeScreen = ({ navigation }) => {
     reportsThisWeek: 0,
     aiSeverityDistribution: [],
     patientSeverityDistribution: [],
-    mostReportedMedicines: [],
+    mostReportedIngredients: [],
     reportsByStatus: [],
     reportsByPriority: [],
   });
@@ -62,7 +62,7 @@ const DoctorHomeScreen = ({ navigation }) => {
           // Store server-aggregated distributions
           aiSeverityDistribution: d.aiSeverityDistribution || [],
           patientSeverityDistribution: d.patientSeverityDistribution || [],
-          mostReportedMedicines: d.mostReportedMedicines || [],
+          mostReportedIngredients: d.mostReportedIngredients || [],
           reportsByStatus: d.reportsByStatus || [],
           reportsByPriority: d.reportsByPriority || [],
         });
@@ -111,12 +111,12 @@ const DoctorHomeScreen = ({ navigation }) => {
     }));
   })();
 
-  // Use server-aggregated top medications (with client-side fallback)
+  // Use server-aggregated top active ingredients (with client-side fallback)
   const topMedications = (() => {
-    if (stats.mostReportedMedicines?.length) {
-      return stats.mostReportedMedicines.slice(0, 5).map((m) => ({
-        name: m.medicineName || m.name || 'Unknown',
-        count: m.reportCount || m.count || 0,
+    if (stats.mostReportedIngredients?.length) {
+      return stats.mostReportedIngredients.slice(0, 5).map((m) => ({
+        name: m.ingredientName || 'Unknown',
+        count: m.reportCount || 0,
       }));
     }
     // Fallback to client-side
@@ -13,11 +13,13 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { medicationService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
 import { colors, spacing, borderRadius, shadows } from '../../config/theme';
 
 const CATEGORY_FILTERS = ['All', 'Analgesic', 'Antibiotic', 'Antiviral', 'Cardiovascular', 'Dermatological', 'Neurological', 'Psychiatric', 'Respiratory', 'Gastrointestinal'];
 
 const MedicationsScreen = ({ navigation }) => {
+  const { can } = useAuth();
   const [medications, setMedications] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isRefreshing, setIsRefreshing] = useState(false);
@@ -204,7 +206,7 @@ const MedicationsScreen = ({ navigation }) => {
 
       {/* Action buttons */}
       <View style={styles.actionRow}>
-        {!item.isVerified && (
+        {!item.isVerified && can('medication:verify') && (
           <TouchableOpacity style={styles.verifyBtn} onPress={() => handleVerify(item)}>
             <Ionicons name="checkmark" size={16} color={colors.success} />
             <Text style={styles.verifyBtnText}>Verify</Text>
@@ -28,6 +28,19 @@ const ACTION_OPTIONS = [
   { value: 'emergency', label: 'Seek immediate medical attention' },
 ];
 
+const CAUSALITY_ALGORITHMS = [
+  { value: '', label: 'Skip' },
+  { value: 'Naranjo', label: 'Naranjo scale' },
+  { value: 'WHO-UMC', label: 'WHO-UMC criteria' },
+];
+
+const CAUSALITY_COLORS = {
+  Certain: '#F44336',
+  Probable: '#FF9800',
+  Possible: '#42A5F5',
+  Unlikely: '#4CAF50',
+};
+
 const ReviewRequestsScreen = ({ navigation }) => {
   const [reports, setReports] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -45,6 +58,12 @@ const ReviewRequestsScreen = ({ navigation }) => {
     actionRequired: 'none',
     followUpRequired: false,
   });
+  // Guided causality assessment; no algorithm means it is skipped
+  const [causality, setCausality] = useState({ algorithm: '', answers: {} });
+  const [questionnaire, setQuestionnaire] = useState(null);
+  const [prefilledAnswers, setPrefilledAnswers] = useState({});
+  const [causalityResult, setCausalityResult] = useState(null);
+  const [loadingQuestionnaire, setLoadingQuestionnaire] = useState(false);
 
   useEffect(() => { fetchReports(); }, []);
 
@@ -81,9 +100,43 @@ const ReviewRequestsScreen = ({ navigation }) => {
       actionRequired: 'none',
       followUpRequired: false,
     });
+    setCausality({ algorithm: '', answers: {} });
+    setQuestionnaire(null);
+    setCausalityResult(null);
     setShowReviewModal(true);
   };
 
+  const selectCausalityAlgorithm = async (algorithm) => {
+    setCausality({ algorithm, answers: {} });
+    setQuestionnaire(null);
+    setCausalityResult(null);
+    if (!algorithm) return;
+    try {
+      setLoadingQuestionnaire(true);
+      const response = await reportService.getCausalityQuestionnaire(reviewingReport._id, algorithm);
+      setQuestionnaire(response.data.questionnaire);
+      setPrefilledAnswers(response.data.answers);
+      setCausalityResult(response.data.result);
+      setCausality({ algorithm, answers: response.data.answers });
+    } catch (error) {
+      setCausality({ algorithm: '', answers: {} });
+      Alert.alert('Error', error.response?.data?.message || 'Failed to load causality questionnaire.');
+    } finally {
+      setLoadingQuestionnaire(false);
+    }
+  };
+
+  const answerCausalityQuestion = async (questionId, answer) => {
+    const answers = { ...causality.answers, [questionId]: answer };
+    setCausality(c => ({ ...c, answers }));
+    try {
+      const response = await reportService.evaluateCausality(causality.algorithm, answers);
+      setCausalityResult(response.data);
+    } catch (error) {
+      console.error('Error evaluating causality:', error);
+    }
+  };
+
   const handleSubmitReview = async () => {
     if (!reviewForm.remarks.trim()) {
       Alert.alert('Required', 'Please enter your remarks before submitting.');
@@ -91,6 +144,12 @@ const ReviewRequestsScreen = ({ navigation }) => {
     }
     try {
       setIsSubmitting(true);
+      if (causality.algorithm) {
+        await reportService.updateCausalityAssessment(reviewingReport._id, {
+          algorithm: causality.algorithm,
+          answers: causality.answers,
+        });
+      }
       // Send data matching web's format exactly
       await reportService.submitReview(reviewingReport._id, {
         remarks: reviewForm.remarks,
@@ -118,6 +177,15 @@ const ReviewRequestsScreen = ({ navigation }) => {
     }
   };
 
+  const getInteractionColor = (severity) => {
+    switch (severity) {
+      case 'contraindicated':
+      case 'major': return '#F44336';
+      case 'moderate': return '#FF9800';
+      default: return '#42A5F5';
+    }
+  };
+
   const getUrgencyConfig = (level) => {
     switch (level?.toLowerCase()) {
       case 'emergency': return { color: '#F44336', label: 'Emergency', icon: 'alert-circle' };
@@ -137,6 +205,8 @@ const ReviewRequestsScreen = ({ navigation }) => {
       return (order[se.severity] || 0) > (order[max] || 0) ? se.severity : max;
     }, 'Mild') || 'Unknown';
     const isExpanded = expandedId === item._id;
+    const interactions = item.interactionScreening;
+    const interactionColor = getInteractionColor(interactions?.highestSeverity);
 
     return (
       <View style={[styles.reportCard, { borderLeftColor: getSeverityColor(maxSeverity) }]}>
@@ -186,6 +256,14 @@ const ReviewRequestsScreen = ({ navigation }) => {
               <Ionicons name="calendar-outline" size={13} color={colors.textSecondary} />
               <Text style={styles.dateText}>{formatDate(item.createdAt)}</Text>
             </View>
+            {interactions?.status === 'flagged' && (
+              <View style={[styles.interactionBadge, { backgroundColor: interactionColor + '18' }]}>
+                <Ionicons name="git-compare" size={12} color={interactionColor} />
+                <Text style={[styles.interactionBadgeText, { color: interactionColor }]}>
+                  {interactions.highestSeverity} interaction
+                </Text>
+              </View>
+            )}
             {ai && (
               <View style={styles.aiBadge}>
                 <Ionicons name="analytics" size={12} color="#7C4DFF" />
@@ -199,6 +277,30 @@ const ReviewRequestsScreen = ({ navigation }) => {
         {/* Expanded: AI Analysis (matching web's expandable accordion) */}
         {isExpanded && (
           <View style={styles.expandedSection}>
+            {/* Drug-drug interactions with the reported concomitant medications */}
+            {interactions?.findings?.length > 0 && (
+              <View style={styles.interactionCard}>
+                <Text style={styles.aiSubLabel}>Drug Interactions</Text>
+                {interactions.findings.map((finding, i) => (
+                  <View key={i} style={styles.interactionRow}>
+                    <View style={[styles.miniDot, { backgroundColor: getInteractionColor(finding.severity), marginTop: 6 }]} />
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.interactionTitle}>
+                        {finding.medicines.join(' + ')} ({finding.severity})
+                      </Text>
+                      {!!finding.effect && <Text style={styles.aiRecText}>{finding.effect}</Text>}
+                      {!!finding.management && <Text style={styles.interactionMeta}>{finding.management}</Text>}
+                      {finding.matchedReactions?.length > 0 && (
+                        <Text style={[styles.interactionMeta, { color: colors.error }]}>
+                          Matches reported: {finding.matchedReactions.join(', ')}
+                        </Text>
+                      )}
+                    </View>
+                  </View>
+                ))}
+              </View>
+            )}
+
             {ai && (
               <View style={styles.aiCard}>
                 <LinearGradient
@@ -435,6 +537,63 @@ const ReviewRequestsScreen = ({ navigation }) => {
                 </View>
               )}
 
+              {/* Causality assessment */}
+              <View style={styles.formRow}>
+                <Text style={styles.formLabel}>Causality Assessment</Text>
+                <View style={styles.algorithmRow}>
+                  {CAUSALITY_ALGORITHMS.map((opt) => (
+                    <TouchableOpacity
+                      key={opt.value}
+                      style={[styles.answerPill, causality.algorithm === opt.value && styles.answerPillActive]}
+                      onPress={() => selectCausalityAlgorithm(opt.value)}
+                    >
+                      <Text style={[styles.answerPillText, causality.algorithm === opt.value && styles.answerPillTextActive]}>
+                        {opt.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {loadingQuestionnaire && <ActivityIndicator size="small" color={colors.primary} style={{ marginTop: spacing.sm }} />}
+                {questionnaire && (
+                  <View style={{ marginTop: spacing.md }}>
+                    <Text style={styles.questionnaireHint}>{questionnaire.description}</Text>
+                    {questionnaire.questions.map((question, index) => (
+                      <View key={question.id} style={styles.questionBlock}>
+                        <Text style={styles.questionText}>{index + 1}. {question.text}</Text>
+                        {prefilledAnswers[question.id] && prefilledAnswers[question.id] === causality.answers[question.id] && (
+                          <Text style={styles.fromReportText}>From report</Text>
+                        )}
+                        <View style={styles.answerRow}>
+                          {question.options.map((opt) => {
+                            const selected = causality.answers[question.id] === opt.value;
+                            return (
+                              <TouchableOpacity
+                                key={opt.value}
+                                style={[styles.answerPill, selected && styles.answerPillActive]}
+                                onPress={() => answerCausalityQuestion(question.id, opt.value)}
+                              >
+                                <Text style={[styles.answerPillText, selected && styles.answerPillTextActive]}>
+                                  {opt.label}{opt.points !== undefined ? ` (${opt.points > 0 ? '+' : ''}${opt.points})` : ''}
+                                </Text>
+                              </TouchableOpacity>
+                            );
+                          })}
+                        </View>
+                      </View>
+                    ))}
+                    {causalityResult && (
+                      <View style={styles.causalityResult}>
+                        <Ionicons name="flask" size={16} color={CAUSALITY_COLORS[causalityResult.category] || colors.textSecondary} />
+                        <Text style={[styles.causalityResultText, { color: CAUSALITY_COLORS[causalityResult.category] || colors.text }]}>
+                          {causalityResult.category}
+                          {causalityResult.score !== null ? ` — score ${causalityResult.score} (${causalityResult.interpretation})` : ''}
+                        </Text>
+                      </View>
+                    )}
+                  </View>
+                )}
+              </View>
+
               {/* Remarks */}
               <View style={styles.formRow}>
                 <Text style={styles.formLabel}>Your Remarks / Medical Opinion *</Text>
@@ -573,8 +732,20 @@ const styles = StyleSheet.create({
     paddingHorizontal: 6, paddingVertical: 2, borderRadius: borderRadius.full, gap: 3,
   },
   aiBadgeText: { fontSize: 10, fontWeight: '700', color: '#7C4DFF' },
+  interactionBadge: {
+    flexDirection: 'row', alignItems: 'center',
+    paddingHorizontal: 6, paddingVertical: 2, borderRadius: borderRadius.full, gap: 3,
+  },
+  interactionBadgeText: { fontSize: 10, fontWeight: '700', textTransform: 'capitalize' },
   // Expanded
   expandedSection: { marginTop: spacing.md, borderTopWidth: 1, borderTopColor: colors.divider, paddingTop: spacing.md },
+  interactionCard: {
+    backgroundColor: colors.error + '08', borderRadius: borderRadius.md, padding: spacing.md,
+    marginBottom: spacing.md, borderWidth: 1, borderColor: colors.error + '20',
+  },
+  interactionRow: { flexDirection: 'row', alignItems: 'flex-start', gap: spacing.sm, marginTop: spacing.xs },
+  interactionTitle: { fontSize: 13, fontWeight: '600', color: colors.text },
+  interactionMeta: { fontSize: 11, color: colors.textSecondary, lineHeight: 16 },
   aiCard: { borderRadius: borderRadius.md, overflow: 'hidden', marginBottom: spacing.md },
   aiHeader: { flexDirection: 'row', alignItems: 'center', gap: spacing.sm, paddingHorizontal: spacing.md, paddingVertical: spacing.sm },
   aiHeaderText: { color: '#fff', fontSize: 13, fontWeight: '600' },
@@ -664,6 +835,24 @@ const styles = StyleSheet.create({
   },
   actionOptionText: { fontSize: 13, color: colors.text },
   actionOptionTextActive: { color: colors.primary, fontWeight: '500' },
+  algorithmRow: { flexDirection: 'row', flexWrap: 'wrap', gap: spacing.xs },
+  questionnaireHint: { fontSize: 12, color: colors.textSecondary, lineHeight: 17, marginBottom: spacing.md },
+  questionBlock: { marginBottom: spacing.md },
+  questionText: { fontSize: 13, color: colors.text, lineHeight: 18, marginBottom: spacing.xs },
+  fromReportText: { fontSize: 11, color: colors.info, fontWeight: '600', marginBottom: spacing.xs },
+  answerRow: { flexDirection: 'row', flexWrap: 'wrap', gap: spacing.xs },
+  answerPill: {
+    paddingHorizontal: spacing.md, paddingVertical: 6, borderRadius: borderRadius.full,
+    borderWidth: 1, borderColor: colors.border, backgroundColor: colors.background,
+  },
+  answerPillActive: { borderColor: colors.primary, backgroundColor: colors.primary + '12' },
+  answerPillText: { fontSize: 12, color: colors.text },
+  answerPillTextActive: { color: colors.primary, fontWeight: '600' },
+  causalityResult: {
+    flexDirection: 'row', alignItems: 'center', gap: spacing.sm,
+    padding: spacing.md, borderRadius: borderRadius.md, backgroundColor: colors.info + '10',
+  },
+  causalityResultText: { flex: 1, fontSize: 13, fontWeight: '600' },
   modalActions: { flexDirection: 'row', gap: spacing.md, marginTop: spacing.md, paddingBottom: spacing.lg },
   cancelBtn: {
     flex: 1, borderWidth: 1, borderColor: colors.border, borderRadius: borderRadius.md,
@@ -20,11 +20,13 @@ import * as Sharing from 'expo-sharing';
 import * as FileSystem from 'expo-file-system';
 import * as Print from 'expo-print';
 import { reportService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
 import { colors, spacing, borderRadius, shadows } from '../../config/theme';
 import { API_CONFIG } from '../../config/constants';
 
 const ReportDetailScreen = ({ route, navigation }) => {
   const { reportId } = route.params;
+  const { can } = useAuth();
   const [report, setReport] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isRefreshing, setIsRefreshing] = useState(false);
@@ -34,8 +36,55 @@ const ReportDetailScreen = ({ route, navigation }) => {
   const [showReviewDialog, setShowReviewDialog] = useState(false);
   const [reviewReason, setReviewReason] = useState('');
 
+  // Details / History tabs
+  const [activeTab, setActiveTab] = useState('details');
+  const [history, setHistory] = useState(null);
+  const [isHistoryLoading, setIsHistoryLoading] = useState(false);
+
   useEffect(() => { fetchReportDetail(); }, [reportId]);
 
+  useEffect(() => {
+    if (activeTab === 'history' && !history) fetchHistory();
+  }, [activeTab]);
+
+  const fetchHistory = async () => {
+    try {
+      setIsHistoryLoading(true);
+      const response = await reportService.getReportVersions(reportId);
+      setHistory(response.data || { versions: [] });
+    } catch (error) {
+      console.error('Error fetching report history:', error);
+      Alert.alert('Error', error.response?.data?.message || 'Failed to load report history.');
+    } finally {
+      setIsHistoryLoading(false);
+    }
+  };
+
+  const handleRefresh = () => {
+    fetchReportDetail(true);
+    if (activeTab === 'history') fetchHistory();
+  };
+
+  const handleRestoreVersion = (version) => {
+    Alert.alert(
+      `Restore Version ${version}`,
+      'The report will be brought back to this version. This is saved as a new version, so the current content stays in the history.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Restore', style: 'destructive', onPress: async () => {
+          try {
+            await reportService.restoreReportVersion(reportId, version);
+            Alert.alert('Restored', `Report restored to version ${version}.`);
+            fetchReportDetail(true);
+            fetchHistory();
+          } catch (error) {
+            Alert.alert('Error', error.response?.data?.message || 'Failed to restore version.');
+          }
+        }},
+      ]
+    );
+  };
+
   const fetchReportDetail = async (refresh = false) => {
     try {
       if (refresh) setIsRefreshing(true);
@@ -205,6 +254,116 @@ const ReportDetailScreen = ({ route, navigation }) => {
     });
   };
 
+  const formatDateTime = (dateString) => {
+    if (!dateString) return 'N/A';
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    });
+  };
+
+  // 'doctorReview.doctorAssessment.severityOverride' -> 'Doctor Review › Doctor Assessment › Severity Override'
+  const formatFieldPath = (path) => path
+    .split('.')
+    .map((segment) => segment.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase()))
+    .join(' › ');
+
+  const formatFieldValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) return formatDateTime(value);
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '—';
+      return value
+        .map((item) => (item && typeof item === 'object' ? item.effect || item.description || JSON.stringify(item) : String(item)))
+        .join(', ');
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  };
+
+  const renderHistory = () => {
+    if (isHistoryLoading && !history) {
+      return (
+        <View style={[styles.section, { alignItems: 'center', paddingVertical: spacing.xl }]}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      );
+    }
+
+    if (!history?.versions?.length) {
+      return (
+        <View style={styles.section}>
+          <View style={[styles.card, { alignItems: 'center', paddingVertical: spacing.xl }]}>
+            <Ionicons name="time-outline" size={40} color={colors.textSecondary} />
+            <Text style={[styles.descriptionText, { textAlign: 'center', color: colors.textSecondary }]}>
+              No version history has been recorded for this report yet.
+            </Text>
+          </View>
+        </View>
+      );
+    }
+
+    const canRestore = can('report:restore_version');
+
+    return (
+      <View style={styles.section}>
+        {history.versions.map((entry) => {
+          const isCurrent = entry.version === history.currentVersion;
+          return (
+            <View key={entry.version} style={[styles.card, styles.versionCard, isCurrent && { borderLeftColor: colors.success }]}>
+              <View style={styles.versionHeader}>
+                <Text style={styles.versionTitle}>Version {entry.version}</Text>
+                {isCurrent && (
+                  <View style={[styles.tag, { backgroundColor: colors.success + '18' }]}>
+                    <Text style={[styles.tagText, { color: colors.success }]}>Current</Text>
+                  </View>
+                )}
+                {entry.restoredFrom ? (
+                  <View style={[styles.tag, { backgroundColor: colors.warning + '18' }]}>
+                    <Text style={[styles.tagText, { color: colors.warning }]}>Restored from v{entry.restoredFrom}</Text>
+                  </View>
+                ) : null}
+              </View>
+              <Text style={styles.versionMeta}>
+                {entry.changedBy
+                  ? `${entry.changedBy.firstName} ${entry.changedBy.lastName} (${entry.changedBy.role})`
+                  : 'System'}
+                {' • '}
+                {formatDateTime(entry.changedAt)}
+              </Text>
+
+              {entry.previousVersion === null ? (
+                <Text style={styles.versionNote}>
+                  {entry.version === 1 ? 'Report submitted' : 'Earliest recorded version'}
+                </Text>
+              ) : entry.changes.length === 0 ? (
+                <Text style={styles.versionNote}>No field changes</Text>
+              ) : (
+                entry.changes.map((change) => (
+                  <View key={change.path} style={styles.changeRow}>
+                    <Text style={styles.changeField}>{formatFieldPath(change.path)}</Text>
+                    <Text style={styles.changeBefore}>{formatFieldValue(change.before)}</Text>
+                    <View style={{ flexDirection: 'row', alignItems: 'center', gap: spacing.xs }}>
+                      <Ionicons name="arrow-forward" size={12} color={colors.success} />
+                      <Text style={styles.changeAfter}>{formatFieldValue(change.after)}</Text>
+                    </View>
+                  </View>
+                ))
+              )}
+
+              {canRestore && !isCurrent && (
+                <TouchableOpacity style={styles.restoreBtn} onPress={() => handleRestoreVersion(entry.version)}>
+                  <Ionicons name="refresh" size={14} color={colors.warning} />
+                  <Text style={styles.restoreBtnText}>Restore this version</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
   if (isLoading) {
     return (
       <View style={styles.loadingContainer}>
@@ -241,7 +400,7 @@ const ReportDetailScreen = ({ route, navigation }) => {
   return (
     <ScrollView
       style={styles.container}
-      refreshControl={<RefreshControl refreshing={isRefreshing} onRefresh={() => fetchReportDetail(true)} colors={[colors.primary]} />}
+      refreshControl={<RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} colors={[colors.primary]} />}
     >
       {/* Status Header */}
       <View style={[styles.statusHeader, { backgroundColor: statusColor + '12', borderLeftColor: statusColor }]}>
@@ -250,378 +409,399 @@ const ReportDetailScreen = ({ route, navigation }) => {
         <Text style={styles.reportId}>#{reportId?.slice(-6)}</Text>
       </View>
 
-      {/* Medication Section */}
-      <View style={styles.section}>
-        <View style={styles.sectionHeader}>
-          <Ionicons name="medkit" size={20} color={colors.primary} />
-          <Text style={styles.sectionTitle}>Medication</Text>
-        </View>
-        <View style={styles.card}>
-          <Text style={styles.medicineName}>{report.medicine?.name || 'Unknown'}</Text>
-          {report.medicine?.genericName && (
-            <Text style={styles.medicineGeneric}>{report.medicine.genericName}</Text>
-          )}
-          <View style={styles.tagRow}>
-            {report.medicine?.category && (
-              <View style={styles.tag}>
-                <Text style={styles.tagText}>{report.medicine.category}</Text>
-              </View>
-            )}
-            {report.medicine?.manufacturer && (
-              <View style={[styles.tag, { backgroundColor: colors.textSecondary + '15' }]}>
-                <Text style={[styles.tagText, { color: colors.textSecondary }]}>{report.medicine.manufacturer}</Text>
-              </View>
-            )}
-          </View>
-        </View>
+      {/* Details / History Tabs */}
+      <View style={styles.tabBar}>
+        {[
+          ['details', 'document-text-outline', 'Details'],
+          ['history', 'time-outline', 'History'],
+        ].map(([key, icon, label]) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.tabItem, activeTab === key && styles.tabItemActive]}
+            onPress={() => setActiveTab(key)}
+          >
+            <Ionicons name={icon} size={16} color={activeTab === key ? colors.primary : colors.textSecondary} />
+            <Text style={[styles.tabText, activeTab === key && styles.tabTextActive]}>{label}</Text>
+          </TouchableOpacity>
+        ))}
       </View>
 
-      {/* Side Effects Section */}
-      <View style={styles.section}>
-        <View style={styles.sectionHeader}>
-          <Ionicons name="warning" size={20} color={colors.warning} />
-          <Text style={styles.sectionTitle}>Side Effects ({report.sideEffects?.length || 0})</Text>
-        </View>
-        {report.sideEffects?.map((effect, index) => (
-          <View key={index} style={[styles.card, { marginBottom: spacing.sm, borderLeftWidth: 3, borderLeftColor: getSeverityColor(effect.severity) }]}>
-            <View style={styles.sideEffectHeader}>
-              <Text style={styles.sideEffectTitle}>{effect.effect}</Text>
-              <View style={[styles.severityBadge, { backgroundColor: getSeverityColor(effect.severity) + '18' }]}>
-                <Text style={[styles.severityText, { color: getSeverityColor(effect.severity) }]}>{effect.severity}</Text>
+      {activeTab === 'history' ? renderHistory() : (
+        <>
+          {/* Medication Section */}
+          <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+              <Ionicons name="medkit" size={20} color={colors.primary} />
+              <Text style={styles.sectionTitle}>Medication</Text>
+            </View>
+            <View style={styles.card}>
+              <Text style={styles.medicineName}>{report.medicine?.name || 'Unknown'}</Text>
+              {report.medicine?.genericName && (
+                <Text style={styles.medicineGeneric}>{report.medicine.genericName}</Text>
+              )}
+              <View style={styles.tagRow}>
+                {report.medicine?.category && (
+                  <View style={styles.tag}>
+                    <Text style={styles.tagText}>{report.medicine.category}</Text>
+                  </View>
+                )}
+                {report.medicine?.manufacturer && (
+                  <View style={[styles.tag, { backgroundColor: colors.textSecondary + '15' }]}>
+                    <Text style={[styles.tagText, { color: colors.textSecondary }]}>{report.medicine.manufacturer}</Text>
+                  </View>
+                )}
               </View>
             </View>
-            <View style={styles.detailRow}>
-              <Text style={styles.detailLabel}>Onset</Text>
-              <Text style={styles.detailValue}>{effect.onset || 'Unknown'}</Text>
+          </View>
+
+          {/* Side Effects Section */}
+          <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+              <Ionicons name="warning" size={20} color={colors.warning} />
+              <Text style={styles.sectionTitle}>Side Effects ({report.sideEffects?.length || 0})</Text>
             </View>
-            {effect.bodySystem && (
-              <View style={styles.detailRow}>
-                <Text style={styles.detailLabel}>Body System</Text>
-                <Text style={styles.detailValue}>{effect.bodySystem}</Text>
+            {report.sideEffects?.map((effect, index) => (
+              <View key={index} style={[styles.card, { marginBottom: spacing.sm, borderLeftWidth: 3, borderLeftColor: getSeverityColor(effect.severity) }]}>
+                <View style={styles.sideEffectHeader}>
+                  <Text style={styles.sideEffectTitle}>{effect.effect}</Text>
+                  <View style={[styles.severityBadge, { backgroundColor: getSeverityColor(effect.severity) + '18' }]}>
+                    <Text style={[styles.severityText, { color: getSeverityColor(effect.severity) }]}>{effect.severity}</Text>
+                  </View>
+                </View>
+                <View style={styles.detailRow}>
+                  <Text style={styles.detailLabel}>Onset</Text>
+                  <Text style={styles.detailValue}>{effect.onset || 'Unknown'}</Text>
+                </View>
+                {effect.bodySystem && (
+                  <View style={styles.detailRow}>
+                    <Text style={styles.detailLabel}>Body System</Text>
+                    <Text style={styles.detailValue}>{effect.bodySystem}</Text>
+                  </View>
+                )}
+                {effect.description && (
+                  <Text style={styles.descriptionText}>{effect.description}</Text>
+                )}
               </View>
-            )}
-            {effect.description && (
-              <Text style={styles.descriptionText}>{effect.description}</Text>
-            )}
+            ))}
           </View>
-        ))}
-      </View>
 
-      {/* Medication Usage Section */}
-      <View style={styles.section}>
-        <View style={styles.sectionHeader}>
-          <Ionicons name="time" size={20} color={colors.info} />
-          <Text style={styles.sectionTitle}>Medication Usage</Text>
-        </View>
-        <View style={styles.card}>
-          {[
-            ['Indication', report.medicationUsage?.indication || 'Not specified'],
-            ['Dosage', report.medicationUsage?.dosage?.amount || 'N/A'],
-            ['Frequency', report.medicationUsage?.dosage?.frequency || 'N/A'],
-            ['Route', report.medicationUsage?.dosage?.route || 'N/A'],
-            ['Start Date', formatDate(report.medicationUsage?.startDate)],
-          ].map(([label, value]) => (
-            <View key={label} style={styles.detailRow}>
-              <Text style={styles.detailLabel}>{label}</Text>
-              <Text style={styles.detailValue}>{value}</Text>
+          {/* Medication Usage Section */}
+          <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+              <Ionicons name="time" size={20} color={colors.info} />
+              <Text style={styles.sectionTitle}>Medication Usage</Text>
             </View>
-          ))}
-        </View>
-      </View>
-
-      {/* Report Details Section */}
-      <View style={styles.section}>
-        <View style={styles.sectionHeader}>
-          <Ionicons name="document-text" size={20} color={colors.textSecondary} />
-          <Text style={styles.sectionTitle}>Report Details</Text>
-        </View>
-        <View style={styles.card}>
-          {[
-            ['Incident Date', formatDate(report.reportDetails?.incidentDate)],
-            ['Report Date', formatDate(report.createdAt)],
-            ['Seriousness', report.reportDetails?.seriousness || 'Not assessed'],
-            ['Outcome', report.reportDetails?.outcome || 'Unknown'],
-          ].map(([label, value]) => (
-            <View key={label} style={styles.detailRow}>
-              <Text style={styles.detailLabel}>{label}</Text>
-              <Text style={styles.detailValue}>{value}</Text>
+            <View style={styles.card}>
+              {[
+                ['Indication', report.medicationUsage?.indication || 'Not specified'],
+                ['Dosage', report.medicationUsage?.dosage?.amount || 'N/A'],
+                ['Frequency', report.medicationUsage?.dosage?.frequency || 'N/A'],
+                ['Route', report.medicationUsage?.dosage?.route || 'N/A'],
+                ['Start Date', formatDate(report.medicationUsage?.startDate)],
+              ].map(([label, value]) => (
+                <View key={label} style={styles.detailRow}>
+                  <Text style={styles.detailLabel}>{label}</Text>
+                  <Text style={styles.detailValue}>{value}</Text>
+                </View>
+              ))}
             </View>
-          ))}
-        </View>
-      </View>
-
-      {/* ═══ AI Analysis Section (matching web) ═══ */}
-      {aiProcessed && ai ? (
-        <View style={styles.section}>
-          <View style={styles.sectionHeader}>
-            <Ionicons name="analytics" size={20} color="#7C4DFF" />
-            <Text style={styles.sectionTitle}>AI Analysis</Text>
           </View>
-          <View style={[styles.card, { borderLeftWidth: 3, borderLeftColor: '#7C4DFF', overflow: 'hidden' }]}>
-            {/* Urgency Banner */}
-            <LinearGradient
-              colors={urgencyConfig.gradient}
-              start={{ x: 0, y: 0 }} end={{ x: 1, y: 0 }}
-              style={styles.urgencyBanner}
-            >
-              <Ionicons name={urgencyConfig.icon} size={18} color="#fff" />
-              <Text style={styles.urgencyText}>{urgencyConfig.label}</Text>
-            </LinearGradient>
-
-            {/* What This Means For You */}
-            {ai.patientGuidance?.recommendation && (
-              <View style={styles.guidanceBox}>
-                <View style={styles.guidanceHeader}>
-                  <Ionicons name="information-circle" size={16} color={colors.info} />
-                  <Text style={styles.guidanceTitle}>What This Means For You</Text>
+
+          {/* Report Details Section */}
+          <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+              <Ionicons name="document-text" size={20} color={colors.textSecondary} />
+              <Text style={styles.sectionTitle}>Report Details</Text>
+            </View>
+            <View style={styles.card}>
+              {[
+                ['Incident Date', formatDate(report.reportDetails?.incidentDate)],
+                ['Report Date', formatDate(report.createdAt)],
+                ['Seriousness', report.reportDetails?.seriousness || 'Not assessed'],
+                ['Outcome', report.reportDetails?.outcome || 'Unknown'],
+              ].map(([label, value]) => (
+                <View key={label} style={styles.detailRow}>
+                  <Text style={styles.detailLabel}>{label}</Text>
+                  <Text style={styles.detailValue}>{value}</Text>
                 </View>
-                <Text style={styles.guidanceText}>{ai.patientGuidance.recommendation}</Text>
+              ))}
+            </View>
+          </View>
+
+          {/* ═══ AI Analysis Section (matching web) ═══ */}
+          {aiProcessed && ai ? (
+            <View style={styles.section}>
+              <View style={styles.sectionHeader}>
+                <Ionicons name="analytics" size={20} color="#7C4DFF" />
+                <Text style={styles.sectionTitle}>AI Analysis</Text>
               </View>
-            )}
+              <View style={[styles.card, { borderLeftWidth: 3, borderLeftColor: '#7C4DFF', overflow: 'hidden' }]}>
+                {/* Urgency Banner */}
+                <LinearGradient
+                  colors={urgencyConfig.gradient}
+                  start={{ x: 0, y: 0 }} end={{ x: 1, y: 0 }}
+                  style={styles.urgencyBanner}
+                >
+                  <Ionicons name={urgencyConfig.icon} size={18} color="#fff" />
+                  <Text style={styles.urgencyText}>{urgencyConfig.label}</Text>
+                </LinearGradient>
 
-            {/* Recommended Next Steps */}
-            {ai.patientGuidance?.nextSteps?.length > 0 && (
-              <View style={styles.aiListSection}>
-                <Text style={styles.aiListTitle}>Recommended Next Steps</Text>
-                {ai.patientGuidance.nextSteps.map((step, i) => (
-                  <View key={i} style={styles.aiListRow}>
-                    <View style={styles.aiListDot}>
-                      <Ionicons name="checkmark-circle" size={14} color={colors.success} />
+                {/* What This Means For You */}
+                {ai.patientGuidance?.recommendation && (
+                  <View style={styles.guidanceBox}>
+                    <View style={styles.guidanceHeader}>
+                      <Ionicons name="information-circle" size={16} color={colors.info} />
+                      <Text style={styles.guidanceTitle}>What This Means For You</Text>
                     </View>
-                    <Text style={styles.aiListText}>{step}</Text>
+                    <Text style={styles.guidanceText}>{ai.patientGuidance.recommendation}</Text>
                   </View>
-                ))}
-              </View>
-            )}
+                )}
 
-            {/* Warning Signs to Watch */}
-            {ai.patientGuidance?.warningSignsToWatch?.length > 0 && (
-              <View style={[styles.aiListSection, { backgroundColor: '#FFF3E0', borderRadius: borderRadius.md, padding: spacing.md }]}>
-                <Text style={[styles.aiListTitle, { color: '#E65100' }]}>Warning Signs to Watch</Text>
-                {ai.patientGuidance.warningSignsToWatch.map((sign, i) => (
-                  <View key={i} style={styles.aiListRow}>
-                    <Ionicons name="alert-circle" size={14} color="#E65100" />
-                    <Text style={[styles.aiListText, { color: '#BF360C' }]}>{sign}</Text>
+                {/* Recommended Next Steps */}
+                {ai.patientGuidance?.nextSteps?.length > 0 && (
+                  <View style={styles.aiListSection}>
+                    <Text style={styles.aiListTitle}>Recommended Next Steps</Text>
+                    {ai.patientGuidance.nextSteps.map((step, i) => (
+                      <View key={i} style={styles.aiListRow}>
+                        <View style={styles.aiListDot}>
+                          <Ionicons name="checkmark-circle" size={14} color={colors.success} />
+                        </View>
+                        <Text style={styles.aiListText}>{step}</Text>
+                      </View>
+                    ))}
                   </View>
-                ))}
-              </View>
-            )}
+                )}
 
-            {/* Emergency / Medical Attention Buttons */}
-            {ai.patientGuidance?.shouldSeekMedicalAttention && (
-              <View style={styles.emergencyActions}>
-                {ai.patientGuidance?.urgencyLevel === 'emergency' && (
-                  <TouchableOpacity
-                    style={styles.emergencyBtn}
-                    onPress={() => Linking.openURL('tel:911')}
-                  >
-                    <Ionicons name="call" size={16} color="#fff" />
-                    <Text style={styles.emergencyBtnText}>Call Emergency</Text>
-                  </TouchableOpacity>
+                {/* Warning Signs to Watch */}
+                {ai.patientGuidance?.warningSignsToWatch?.length > 0 && (
+                  <View style={[styles.aiListSection, { backgroundColor: '#FFF3E0', borderRadius: borderRadius.md, padding: spacing.md }]}>
+                    <Text style={[styles.aiListTitle, { color: '#E65100' }]}>Warning Signs to Watch</Text>
+                    {ai.patientGuidance.warningSignsToWatch.map((sign, i) => (
+                      <View key={i} style={styles.aiListRow}>
+                        <Ionicons name="alert-circle" size={14} color="#E65100" />
+                        <Text style={[styles.aiListText, { color: '#BF360C' }]}>{sign}</Text>
+                      </View>
+                    ))}
+                  </View>
                 )}
-                <TouchableOpacity
-                  style={styles.findCareBtn}
-                  onPress={() => Linking.openURL('https://www.google.com/maps/search/hospital+near+me')}
-                >
-                  <Ionicons name="medkit" size={16} color={urgencyConfig.color} />
-                  <Text style={[styles.findCareBtnText, { color: urgencyConfig.color }]}>Find Nearby Care</Text>
-                </TouchableOpacity>
-              </View>
-            )}
 
-            {/* Clinical Summary */}
-            {ai.summary && (
-              <View style={styles.aiReasoningBox}>
-                <Text style={styles.aiReasoningLabel}>Clinical Summary</Text>
-                <Text style={styles.aiReasoningText}>{typeof ai.summary === 'string' ? ai.summary : ''}</Text>
-              </View>
-            )}
-          </View>
-        </View>
-      ) : !aiProcessed ? (
-        <View style={styles.section}>
-          <View style={styles.sectionHeader}>
-            <Ionicons name="analytics" size={20} color="#7C4DFF" />
-            <Text style={styles.sectionTitle}>AI Analysis</Text>
-          </View>
-          <View style={[styles.card, { alignItems: 'center', paddingVertical: spacing.xl }]}>
-            <ActivityIndicator size="large" color="#7C4DFF" />
-            <Text style={[styles.sectionTitle, { marginTop: spacing.base, fontSize: 15 }]}>Analyzing Your Report</Text>
-            <Text style={[styles.descriptionText, { textAlign: 'center', color: colors.textSecondary }]}>
-              Our AI is reviewing your report. This usually takes a few moments. Pull down to refresh.
-            </Text>
-          </View>
-        </View>
-      ) : null}
+                {/* Emergency / Medical Attention Buttons */}
+                {ai.patientGuidance?.shouldSeekMedicalAttention && (
+                  <View style={styles.emergencyActions}>
+                    {ai.patientGuidance?.urgencyLevel === 'emergency' && (
+                      <TouchableOpacity
+                        style={styles.emergencyBtn}
+                        onPress={() => Linking.openURL('tel:911')}
+                      >
+                        <Ionicons name="call" size={16} color="#fff" />
+                        <Text style={styles.emergencyBtnText}>Call Emergency</Text>
+                      </TouchableOpacity>
+                    )}
+                    <TouchableOpacity
+                      style={styles.findCareBtn}
+                      onPress={() => Linking.openURL('https://www.google.com/maps/search/hospital+near+me')}
+                    >
+                      <Ionicons name="medkit" size={16} color={urgencyConfig.color} />
+                      <Text style={[styles.findCareBtnText, { color: urgencyConfig.color }]}>Find Nearby Care</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
 
-      {/* ═══ Doctor Review Section (matching web data paths) ═══ */}
-      {review?.status === 'completed' && (
-        <View style={styles.section}>
-          <View style={styles.sectionHeader}>
-            <Ionicons name="person" size={20} color={colors.success} />
-            <Text style={styles.sectionTitle}>Doctor Review</Text>
-          </View>
-          <View style={[styles.card, { borderLeftWidth: 3, borderLeftColor: colors.success }]}>
-            {/* Success banner */}
-            <View style={styles.reviewBanner}>
-              <Ionicons name="checkmark-circle" size={16} color={colors.success} />
-              <Text style={styles.reviewBannerText}>
-                Reviewed by Dr. {review.reviewedBy?.firstName} {review.reviewedBy?.lastName || ''}
-              </Text>
-              <Text style={styles.reviewDate}>{formatDate(review.reviewedAt)}</Text>
+                {/* Clinical Summary */}
+                {ai.summary && (
+                  <View style={styles.aiReasoningBox}>
+                    <Text style={styles.aiReasoningLabel}>Clinical Summary</Text>
+                    <Text style={styles.aiReasoningText}>{typeof ai.summary === 'string' ? ai.summary : ''}</Text>
+                  </View>
+                )}
+              </View>
             </View>
-
-            {/* Remarks */}
-            {review.remarks && (
-              <View style={styles.reviewSection}>
-                <Text style={styles.reviewSectionLabel}>Doctor's Remarks</Text>
-                <View style={styles.reviewTextBox}>
-                  <Text style={styles.reviewText}>{review.remarks}</Text>
-                </View>
+          ) : !aiProcessed ? (
+            <View style={styles.section}>
+              <View style={styles.sectionHeader}>
+                <Ionicons name="analytics" size={20} color="#7C4DFF" />
+                <Text style={styles.sectionTitle}>AI Analysis</Text>
               </View>
-            )}
-
-            {/* Recommendation */}
-            {review.doctorAssessment?.recommendation && (
-              <View style={styles.reviewSection}>
-                <Text style={styles.reviewSectionLabel}>Recommendation</Text>
-                <View style={styles.reviewTextBox}>
-                  <Text style={styles.reviewText}>{review.doctorAssessment.recommendation}</Text>
-                </View>
+              <View style={[styles.card, { alignItems: 'center', paddingVertical: spacing.xl }]}>
+                <ActivityIndicator size="large" color="#7C4DFF" />
+                <Text style={[styles.sectionTitle, { marginTop: spacing.base, fontSize: 15 }]}>Analyzing Your Report</Text>
+                <Text style={[styles.descriptionText, { textAlign: 'center', color: colors.textSecondary }]}>
+                  Our AI is reviewing your report. This usually takes a few moments. Pull down to refresh.
+                </Text>
               </View>
-            )}
+            </View>
+          ) : null}
 
-            {/* Action Required */}
-            {review.doctorAssessment?.actionRequired && review.doctorAssessment.actionRequired !== 'none' && (
-              <View style={styles.reviewSection}>
-                <Text style={styles.reviewSectionLabel}>Action Required</Text>
-                <View style={[styles.actionChip, { borderColor: getActionColor(review.doctorAssessment.actionRequired) }]}>
-                  <Ionicons name="alert-circle" size={14} color={getActionColor(review.doctorAssessment.actionRequired)} />
-                  <Text style={[styles.actionChipText, { color: getActionColor(review.doctorAssessment.actionRequired) }]}>
-                    {getActionLabel(review.doctorAssessment.actionRequired)}
+          {/* ═══ Doctor Review Section (matching web data paths) ═══ */}
+          {review?.status === 'completed' && (
+            <View style={styles.section}>
+              <View style={styles.sectionHeader}>
+                <Ionicons name="person" size={20} color={colors.success} />
+                <Text style={styles.sectionTitle}>Doctor Review</Text>
+              </View>
+              <View style={[styles.card, { borderLeftWidth: 3, borderLeftColor: colors.success }]}>
+                {/* Success banner */}
+                <View style={styles.reviewBanner}>
+                  <Ionicons name="checkmark-circle" size={16} color={colors.success} />
+                  <Text style={styles.reviewBannerText}>
+                    Reviewed by Dr. {review.reviewedBy?.firstName} {review.reviewedBy?.lastName || ''}
                   </Text>
+                  <Text style={styles.reviewDate}>{formatDate(review.reviewedAt)}</Text>
                 </View>
+
+                {/* Remarks */}
+                {review.remarks && (
+                  <View style={styles.reviewSection}>
+                    <Text style={styles.reviewSectionLabel}>Doctor's Remarks</Text>
+                    <View style={styles.reviewTextBox}>
+                      <Text style={styles.reviewText}>{review.remarks}</Text>
+                    </View>
+                  </View>
+                )}
+
+                {/* Recommendation */}
+                {review.doctorAssessment?.recommendation && (
+                  <View style={styles.reviewSection}>
+                    <Text style={styles.reviewSectionLabel}>Recommendation</Text>
+                    <View style={styles.reviewTextBox}>
+                      <Text style={styles.reviewText}>{review.doctorAssessment.recommendation}</Text>
+                    </View>
+                  </View>
+                )}
+
+                {/* Action Required */}
+                {review.doctorAssessment?.actionRequired && review.doctorAssessment.actionRequired !== 'none' && (
+                  <View style={styles.reviewSection}>
+                    <Text style={styles.reviewSectionLabel}>Action Required</Text>
+                    <View style={[styles.actionChip, { borderColor: getActionColor(review.doctorAssessment.actionRequired) }]}>
+                      <Ionicons name="alert-circle" size={14} color={getActionColor(review.doctorAssessment.actionRequired)} />
+                      <Text style={[styles.actionChipText, { color: getActionColor(review.doctorAssessment.actionRequired) }]}>
+                        {getActionLabel(review.doctorAssessment.actionRequired)}
+                      </Text>
+                    </View>
+                  </View>
+                )}
+
+                {/* Follow-up */}
+                {review.doctorAssessment?.followUpRequired && (
+                  <View style={[styles.followUpBox]}>
+                    <Ionicons name="calendar" size={14} color={colors.info} />
+                    <Text style={styles.followUpText}>
+                      Follow-up: {review.doctorAssessment.followUpDate
+                        ? formatDate(review.doctorAssessment.followUpDate)
+                        : 'Required'}
+                    </Text>
+                  </View>
+                )}
               </View>
-            )}
+            </View>
+          )}
 
-            {/* Follow-up */}
-            {review.doctorAssessment?.followUpRequired && (
-              <View style={[styles.followUpBox]}>
-                <Ionicons name="calendar" size={14} color={colors.info} />
-                <Text style={styles.followUpText}>
-                  Follow-up: {review.doctorAssessment.followUpDate
-                    ? formatDate(review.doctorAssessment.followUpDate)
-                    : 'Required'}
+          {/* Review Requested but not completed */}
+          {review?.requested && review?.status !== 'completed' && (
+            <View style={styles.section}>
+              <View style={[styles.card, { backgroundColor: colors.info + '08', borderWidth: 1, borderColor: colors.info + '30' }]}>
+                <View style={{ flexDirection: 'row', alignItems: 'center', gap: spacing.sm }}>
+                  <Ionicons name="hourglass" size={18} color={colors.info} />
+                  <Text style={{ fontSize: 14, fontWeight: '600', color: colors.info }}>Review Requested</Text>
+                </View>
+                <Text style={{ fontSize: 13, color: colors.textSecondary, marginTop: spacing.sm }}>
+                  Your review request has been submitted. A doctor will review your report soon.
                 </Text>
               </View>
-            )}
-          </View>
-        </View>
-      )}
+            </View>
+          )}
 
-      {/* Review Requested but not completed */}
-      {review?.requested && review?.status !== 'completed' && (
-        <View style={styles.section}>
-          <View style={[styles.card, { backgroundColor: colors.info + '08', borderWidth: 1, borderColor: colors.info + '30' }]}>
-            <View style={{ flexDirection: 'row', alignItems: 'center', gap: spacing.sm }}>
-              <Ionicons name="hourglass" size={18} color={colors.info} />
-              <Text style={{ fontSize: 14, fontWeight: '600', color: colors.info }}>Review Requested</Text>
+          {/* ═══ Attachments Section ═══ */}
+          {report.attachments?.length > 0 && (
+            <View style={styles.section}>
+              <View style={styles.sectionHeader}>
+                <Ionicons name="attach" size={18} color={colors.primary} />
+                <Text style={styles.sectionTitle}>Attachments ({report.attachments.length})</Text>
+              </View>
+              <View style={styles.card}>
+                <View style={styles.attachmentsGrid}>
+                  {report.attachments.map((att, idx) => {
+                    const url = getAttachmentUrl(att);
+                    const isImage = att.mimeType?.startsWith('image/');
+                    const isAudio = att.mimeType?.startsWith('audio/');
+                    const isVideo = att.mimeType?.startsWith('video/');
+                    return (
+                      <TouchableOpacity
+                        key={idx}
+                        style={styles.attachmentCard}
+                        onPress={() => url && Linking.openURL(url)}
+                      >
+                        {isImage && url ? (
+                          <Image source={{ uri: url }} style={styles.attachmentImage} resizeMode="cover" />
+                        ) : (
+                          <View style={[styles.attachmentPlaceholder, {
+                            backgroundColor: isAudio ? '#7C4DFF15' : isVideo ? '#E6510015' : colors.primary + '15',
+                          }]}>
+                            <Ionicons
+                              name={isAudio ? 'musical-notes' : isVideo ? 'videocam' : 'document'}
+                              size={24}
+                              color={isAudio ? '#7C4DFF' : isVideo ? '#E65100' : colors.primary}
+                            />
+                          </View>
+                        )}
+                        <Text style={styles.attachmentName} numberOfLines={1}>
+                          {att.originalName || `File ${idx + 1}`}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
             </View>
-            <Text style={{ fontSize: 13, color: colors.textSecondary, marginTop: spacing.sm }}>
-              Your review request has been submitted. A doctor will review your report soon.
-            </Text>
-          </View>
-        </View>
-      )}
+          )}
 
-      {/* ═══ Attachments Section ═══ */}
-      {report.attachments?.length > 0 && (
-        <View style={styles.section}>
-          <View style={styles.sectionHeader}>
-            <Ionicons name="attach" size={18} color={colors.primary} />
-            <Text style={styles.sectionTitle}>Attachments ({report.attachments.length})</Text>
-          </View>
-          <View style={styles.card}>
-            <View style={styles.attachmentsGrid}>
-              {report.attachments.map((att, idx) => {
-                const url = getAttachmentUrl(att);
-                const isImage = att.mimeType?.startsWith('image/');
-                const isAudio = att.mimeType?.startsWith('audio/');
-                const isVideo = att.mimeType?.startsWith('video/');
-                return (
-                  <TouchableOpacity
-                    key={idx}
-                    style={styles.attachmentCard}
-                    onPress={() => url && Linking.openURL(url)}
-                  >
-                    {isImage && url ? (
-                      <Image source={{ uri: url }} style={styles.attachmentImage} resizeMode="cover" />
-                    ) : (
-                      <View style={[styles.attachmentPlaceholder, {
-                        backgroundColor: isAudio ? '#7C4DFF15' : isVideo ? '#E6510015' : colors.primary + '15',
-                      }]}>
-                        <Ionicons
-                          name={isAudio ? 'musical-notes' : isVideo ? 'videocam' : 'document'}
-                          size={24}
-                          color={isAudio ? '#7C4DFF' : isVideo ? '#E65100' : colors.primary}
-                        />
-                      </View>
-                    )}
-                    <Text style={styles.attachmentName} numberOfLines={1}>
-                      {att.originalName || `File ${idx + 1}`}
-                    </Text>
-                  </TouchableOpacity>
-                );
-              })}
+          {/* Action Buttons */}
+          <View style={styles.actionsSection}>
+            {/* Export / Share Buttons */}
+            <View style={styles.exportRow}>
+              <TouchableOpacity style={styles.exportBtn} onPress={handleExportJSON}>
+                <Ionicons name="share-outline" size={16} color={colors.primary} />
+                <Text style={styles.exportBtnText}>Export JSON</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.exportBtn} onPress={handlePrintReport}>
+                <Ionicons name="print-outline" size={16} color={colors.primary} />
+                <Text style={styles.exportBtnText}>Print</Text>
+              </TouchableOpacity>
             </View>
+            {canRequestReview && (
+              <TouchableOpacity
+                style={styles.reviewBtn}
+                onPress={() => setShowReviewDialog(true)}
+                disabled={isRequesting}
+              >
+                <LinearGradient
+                  colors={['#1565C0', '#42A5F5']}
+                  start={{ x: 0, y: 0 }} end={{ x: 1, y: 0 }}
+                  style={styles.gradientBtn}
+                >
+                  {isRequesting ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                  ) : (
+                    <>
+                      <Ionicons name="person-add" size={18} color="#fff" />
+                      <Text style={styles.gradientBtnText}>Request Doctor Review</Text>
+                    </>
+                  )}
+                </LinearGradient>
+              </TouchableOpacity>
+            )}
+
+            {canDelete && (
+              <TouchableOpacity style={styles.deleteBtn} onPress={handleDeleteReport}>
+                <Ionicons name="trash-outline" size={18} color={colors.error} />
+                <Text style={styles.deleteBtnText}>Delete Report</Text>
+              </TouchableOpacity>
+            )}
           </View>
-        </View>
+        </>
       )}
 
-      {/* Action Buttons */}
-      <View style={styles.actionsSection}>
-        {/* Export / Share Buttons */}
-        <View style={styles.exportRow}>
-          <TouchableOpacity style={styles.exportBtn} onPress={handleExportJSON}>
-            <Ionicons name="share-outline" size={16} color={colors.primary} />
-            <Text style={styles.exportBtnText}>Export JSON</Text>
-          </TouchableOpacity>
-          <TouchableOpacity style={styles.exportBtn} onPress={handlePrintReport}>
-            <Ionicons name="print-outline" size={16} color={colors.primary} />
-            <Text style={styles.exportBtnText}>Print</Text>
-          </TouchableOpacity>
-        </View>
-        {canRequestReview && (
-          <TouchableOpacity
-            style={styles.reviewBtn}
-            onPress={() => setShowReviewDialog(true)}
-            disabled={isRequesting}
-          >
-            <LinearGradient
-              colors={['#1565C0', '#42A5F5']}
-              start={{ x: 0, y: 0 }} end={{ x: 1, y: 0 }}
-              style={styles.gradientBtn}
-            >
-              {isRequesting ? (
-                <ActivityIndicator size="small" color="#fff" />
-              ) : (
-                <>
-                  <Ionicons name="person-add" size={18} color="#fff" />
-                  <Text style={styles.gradientBtnText}>Request Doctor Review</Text>
-                </>
-              )}
-            </LinearGradient>
-          </TouchableOpacity>
-        )}
-
-        {canDelete && (
-          <TouchableOpacity style={styles.deleteBtn} onPress={handleDeleteReport}>
-            <Ionicons name="trash-outline" size={18} color={colors.error} />
-            <Text style={styles.deleteBtnText}>Delete Report</Text>
-          </TouchableOpacity>
-        )}
-      </View>
-
       <View style={{ height: spacing.xxl }} />
 
       {/* Review Request Dialog (matching web) */}
@@ -824,6 +1004,34 @@ const styles = StyleSheet.create({
     justifyContent: 'center', alignItems: 'center',
   },
   attachmentName: { fontSize: 10, color: colors.textSecondary, marginTop: 4, textAlign: 'center' },
+  // Tabs
+  tabBar: {
+    flexDirection: 'row', marginHorizontal: spacing.base, marginBottom: spacing.md,
+    backgroundColor: colors.surface, borderRadius: borderRadius.md, padding: 4, ...shadows.sm,
+  },
+  tabItem: {
+    flex: 1, flexDirection: 'row', alignItems: 'center', justifyContent: 'center', gap: spacing.xs,
+    paddingVertical: 10, borderRadius: borderRadius.sm,
+  },
+  tabItemActive: { backgroundColor: colors.primary + '12' },
+  tabText: { fontSize: 14, fontWeight: '600', color: colors.textSecondary },
+  tabTextActive: { color: colors.primary },
+  // History
+  versionCard: { marginBottom: spacing.sm, borderLeftWidth: 3, borderLeftColor: colors.primary },
+  versionHeader: { flexDirection: 'row', alignItems: 'center', flexWrap: 'wrap', gap: spacing.sm },
+  versionTitle: { fontSize: 15, fontWeight: '700', color: colors.text },
+  versionMeta: { fontSize: 12, color: colors.textSecondary, marginTop: spacing.xs, marginBottom: spacing.sm },
+  versionNote: { fontSize: 13, color: colors.textSecondary, fontStyle: 'italic' },
+  changeRow: { paddingVertical: spacing.sm, borderTopWidth: 1, borderTopColor: colors.divider },
+  changeField: { fontSize: 12, fontWeight: '600', color: colors.text, marginBottom: 2 },
+  changeBefore: { fontSize: 13, color: colors.error, textDecorationLine: 'line-through' },
+  changeAfter: { flex: 1, fontSize: 13, color: colors.success },
+  restoreBtn: {
+    flexDirection: 'row', alignItems: 'center', justifyContent: 'center', gap: spacing.xs,
+    marginTop: spacing.sm, paddingVertical: 8, borderRadius: borderRadius.md,
+    borderWidth: 1, borderColor: colors.warning + '40', backgroundColor: colors.warning + '08',
+  },
+  restoreBtnText: { fontSize: 13, fontWeight: '600', color: colors.warning },
   // Export
   exportRow: { flexDirection: 'row', gap: spacing.sm, marginBottom: spacing.sm },
   exportBtn: {
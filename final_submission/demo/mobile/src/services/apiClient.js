@@ -1,6 +1,8 @@
 import axios from 'axios';
 import * as SecureStore from 'expo-secure-store';
-import { API_CONFIG } from '../config/constants';
+import { API_CONFIG, APP_CONFIG } from '../config/constants';
+
+const { STORAGE_KEYS } = APP_CONFIG;
 
 // Create axios instance
 const apiClient = axios.create({
@@ -11,11 +13,72 @@ const apiClient = axios.create({
   },
 });
 
+// Token storage helpers
+export const tokenStorage = {
+  setTokens: async ({ token, refreshToken }) => {
+    if (token) await SecureStore.setItemAsync(STORAGE_KEYS.TOKEN, token);
+    if (refreshToken) await SecureStore.setItemAsync(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
+  },
+  getRefreshToken: () => SecureStore.getItemAsync(STORAGE_KEYS.REFRESH_TOKEN),
+  clear: async () => {
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.TOKEN);
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.REFRESH_TOKEN);
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.USER);
+  },
+  // Stable per-install id so each device gets its own server-side session
+  getDeviceId: async () => {
+    let deviceId = await SecureStore.getItemAsync(STORAGE_KEYS.DEVICE_ID);
+    if (!deviceId) {
+      deviceId = `mobile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      await SecureStore.setItemAsync(STORAGE_KEYS.DEVICE_ID, deviceId);
+    }
+    return deviceId;
+  },
+};
+
+// AuthContext registers a handler so it can reset state when the session ends
+let onSessionExpired = null;
+export const setSessionExpiredHandler = (handler) => {
+  onSessionExpired = handler;
+};
+
+// Refresh tokens are single-use, so concurrent 401s must share one refresh call
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await tokenStorage.getRefreshToken();
+      if (!refreshToken) throw new Error('No refresh token');
+
+      const response = await axios.post(
+        `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.REFRESH}`,
+        { refreshToken },
+        { timeout: API_CONFIG.TIMEOUT }
+      );
+      const tokens = response.data.data;
+      await tokenStorage.setTokens(tokens);
+      return tokens.token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+const AUTH_ENDPOINTS = [
+  API_CONFIG.ENDPOINTS.LOGIN,
+  API_CONFIG.ENDPOINTS.LOGIN_2FA,
+  API_CONFIG.ENDPOINTS.REGISTER,
+  API_CONFIG.ENDPOINTS.REFRESH,
+  API_CONFIG.ENDPOINTS.LOGOUT,
+];
+
 // Request interceptor - add auth token
 apiClient.interceptors.request.use(
   async (config) => {
     try {
-      const token = await SecureStore.getItemAsync('token');
+      const token = await SecureStore.getItemAsync(STORAGE_KEYS.TOKEN);
       if (token) {
         config.headers.Authorization = `Bearer ${token}`;
       }
@@ -36,15 +99,26 @@ apiClient.interceptors.response.use(
     const originalRequest = error.config;
 
     // Handle 401 Unauthorized
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !AUTH_ENDPOINTS.includes(originalRequest.url)
+    ) {
       originalRequest._retry = true;
-      
-      // Clear stored credentials
-      await SecureStore.deleteItemAsync('token');
-      await SecureStore.deleteItemAsync('user');
-      
-      // You might want to trigger a logout here
-      // This could be done via an event emitter or navigation
+
+      // Silently refresh the access token and replay the request once
+      try {
+        const newToken = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${newToken}`;
+        return apiClient(originalRequest);
+      } catch (refreshError) {
+        console.error('Token refresh failed:', refreshError.response?.data?.message || refreshError.message);
+      }
+
+      // Clear stored credentials and let the app return to the login screen
+      await tokenStorage.clear();
+      if (onSessionExpired) onSessionExpired();
     }
 
     return Promise.reject(error);
@@ -1,4 +1,5 @@
-import apiClient from './apiClient';
+import { Platform } from 'react-native';
+import apiClient, { tokenStorage } from './apiClient';
 import { API_CONFIG } from '../config/constants';
 
 const { ENDPOINTS } = API_CONFIG;
@@ -9,7 +10,13 @@ export const authService = {
    */
   login: async (email, password) => {
     try {
-      const response = await apiClient.post(ENDPOINTS.LOGIN, { email, password });
+      const deviceId = await tokenStorage.getDeviceId();
+      const response = await apiClient.post(ENDPOINTS.LOGIN, {
+        email,
+        password,
+        deviceId,
+        deviceName: `SafeMed ${Platform.OS}`,
+      });
       return response.data;
     } catch (error) {
       console.error('Login service error:', error);
@@ -17,12 +24,37 @@ export const authService = {
     }
   },
 
+  /**
+   * Complete a login that requires a two-factor code
+   */
+  verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const deviceId = await tokenStorage.getDeviceId();
+      const response = await apiClient.post(ENDPOINTS.LOGIN_2FA, {
+        challengeToken,
+        code,
+        recoveryCode,
+        deviceId,
+        deviceName: `SafeMed ${Platform.OS}`,
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      throw error;
+    }
+  },
+
   /**
    * Register new user
    */
   register: async (userData) => {
     try {
-      const response = await apiClient.post(ENDPOINTS.REGISTER, userData);
+      const deviceId = await tokenStorage.getDeviceId();
+      const response = await apiClient.post(ENDPOINTS.REGISTER, {
+        ...userData,
+        deviceId,
+        deviceName: `SafeMed ${Platform.OS}`,
+      });
       return response.data;
     } catch (error) {
       console.error('Register service error:', error);
@@ -71,6 +103,130 @@ export const authService = {
       throw error;
     }
   },
+
+  /**
+   * Revoke this device's session
+   */
+  logout: async (refreshToken) => {
+    try {
+      const response = await apiClient.post(ENDPOINTS.LOGOUT, { refreshToken });
+      return response.data;
+    } catch (error) {
+      console.error('Logout error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sign out of all devices
+   */
+  logoutAll: async () => {
+    try {
+      const response = await apiClient.post(ENDPOINTS.LOGOUT_ALL);
+      return response.data;
+    } catch (error) {
+      console.error('Logout all error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Request a password reset email
+   */
+  forgotPassword: async (email) => {
+    try {
+      const response = await apiClient.post(ENDPOINTS.FORGOT_PASSWORD, { email });
+      return response.data;
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reset password with the code from the reset email
+   */
+  resetPassword: async ({ token, newPassword }) => {
+    try {
+      const response = await apiClient.post(ENDPOINTS.RESET_PASSWORD, {
+        token,
+        newPassword,
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Reset password error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get two-factor authentication status
+   */
+  getTwoFactorStatus: async () => {
+    try {
+      const response = await apiClient.get(ENDPOINTS.TWO_FACTOR_STATUS);
+      return response.data;
+    } catch (error) {
+      console.error('Two-factor status error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Start two-factor enrollment (returns secret and QR code)
+   */
+  setupTwoFactor: async () => {
+    try {
+      const response = await apiClient.post(ENDPOINTS.TWO_FACTOR_SETUP);
+      return response.data;
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Confirm two-factor enrollment with a code from the authenticator app
+   */
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await apiClient.post(ENDPOINTS.TWO_FACTOR_ENABLE, { code });
+      return response.data;
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Disable two-factor authentication
+   */
+  disableTwoFactor: async ({ password, code, recoveryCode }) => {
+    try {
+      const response = await apiClient.post(ENDPOINTS.TWO_FACTOR_DISABLE, {
+        password,
+        code,
+        recoveryCode,
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace recovery codes
+   */
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await apiClient.post(ENDPOINTS.TWO_FACTOR_RECOVERY_CODES, { code });
+      return response.data;
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      throw error;
+    }
+  },
 };
 
 export default authService;
@@ -151,6 +151,47 @@ export const reportService = {
     }
   },
 
+  /**
+   * Get a Naranjo / WHO-UMC questionnaire with answers prefilled from the report
+   */
+  getCausalityQuestionnaire: async (id, algorithm) => {
+    try {
+      const response = await apiClient.get(`${ENDPOINTS.REPORTS}/${id}/causality/questionnaire`, {
+        params: { algorithm },
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Get causality questionnaire error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Score questionnaire answers without saving them
+   */
+  evaluateCausality: async (algorithm, answers) => {
+    try {
+      const response = await apiClient.post(`${ENDPOINTS.REPORTS}/causality/evaluate`, { algorithm, answers });
+      return response.data;
+    } catch (error) {
+      console.error('Evaluate causality error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save a causality assessment; with answers the category is computed
+   */
+  updateCausalityAssessment: async (id, causalityData) => {
+    try {
+      const response = await apiClient.put(`${ENDPOINTS.REPORTS}/${id}/causality`, causalityData);
+      return response.data;
+    } catch (error) {
+      console.error('Update causality assessment error:', error);
+      throw error;
+    }
+  },
+
   /**
    * Request doctor review
    */
@@ -163,6 +204,32 @@ export const reportService = {
       throw error;
     }
   },
+
+  /**
+   * Get version history (newest first, with changed fields)
+   */
+  getReportVersions: async (id) => {
+    try {
+      const response = await apiClient.get(`${ENDPOINTS.REPORTS}/${id}/versions`);
+      return response.data;
+    } catch (error) {
+      console.error('Get report versions error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Restore an earlier version (admin only)
+   */
+  restoreReportVersion: async (id, version, data = {}) => {
+    try {
+      const response = await apiClient.post(`${ENDPOINTS.REPORTS}/${id}/versions/${version}/restore`, data);
+      return response.data;
+    } catch (error) {
+      console.error('Restore report version error:', error);
+      throw error;
+    }
+  },
 };
 
 export default reportService;